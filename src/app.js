@@ -32,14 +32,28 @@ const uploadRoutes = require('./routes/uploadRoutes');
 const farmerRoutes = require('./routes/farmerRoutes');
 const settingsRoutes = require('./routes/settingsRoutes'); // Import settings routes
 const cartRoutes = require('./routes/cartRoutes'); // Import cart routes
+const pricingRoutes = require('./routes/pricingRoutes');
+const driverCompensationRoutes = require('./routes/driverCompensationRoutes');
+const productSearchRoutes = require('./routes/productSearchRoutes');
+const farmSearchRoutes = require('./routes/farmSearchRoutes');
+const membershipRoutes = require('./routes/membershipRoutes');
+const serviceAreaRoutes = require('./routes/serviceAreaRoutes');
+const deliverySlotRoutes = require('./routes/deliverySlotRoutes');
+const boxSubscriptionRoutes = require('./routes/boxSubscriptionRoutes');
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
+const dispatchRoutes = require('./routes/dispatchRoutes');
+const driverShiftRoutes = require('./routes/driverShiftRoutes');
 const { limiter, authLimiter } = require('./middleware/rateLimiter'); // Import rate limiters
+const { maintenanceMode, requireFeature } = require('./middleware/systemSettings');
 
 // Initialize Express app
 const app = express();
 const NODE_ENV = process.env.NODE_ENV || 'production'; // Default to production for safety
 
-// Serve uploaded files statically
+// Serve uploaded files statically. Proofs of delivery are private and only
+// served through GET /api/deliveries/:id/proof/files/:filename.
 const uploadsDir = path.join(__dirname, '../uploads');
+app.use('/uploads/proofs', (req, res) => res.status(404).end());
 app.use('/uploads', express.static(uploadsDir));
 logger.info(`Serving uploads from: ${uploadsDir}`);
 
@@ -82,6 +96,8 @@ logger.info(`CORS configured in ${NODE_ENV} mode`);
 app.use(limiter);
 
 // Body parser middleware
+// Stripe webhooks need the raw body for signature verification, so parse it before express.json()
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -129,16 +145,27 @@ apiRouter.use('/deliveries', deliveryRoutes);
 apiRouter.use('/analytics', analyticsRoutes);
 apiRouter.use('/dashboard', dashboardRoutes);
 apiRouter.use('/payments', paymentRoutes);
-apiRouter.use('/referrals', referralRoutes);
+apiRouter.use('/referrals', requireFeature('referrals'), referralRoutes);
 apiRouter.use('/drivers', driverRoutes);
-apiRouter.use('/wishlist', wishlistRoutes);
+apiRouter.use('/wishlist', requireFeature('wishlist'), wishlistRoutes);
 apiRouter.use('/upload', uploadRoutes); // Mount upload routes
 apiRouter.use('/farmers', farmerRoutes); // Mount farmer routes
 apiRouter.use('/settings', settingsRoutes); // Mount settings routes
 apiRouter.use('/cart', cartRoutes); // Mount cart routes
-
-// Mount all API routes under /api
-app.use('/api', apiRouter);
+apiRouter.use('/pricing', pricingRoutes);
+apiRouter.use('/driver-compensation', driverCompensationRoutes);
+apiRouter.use('/search/products', productSearchRoutes);
+apiRouter.use('/search/farms', farmSearchRoutes);
+apiRouter.use('/memberships', membershipRoutes);
+apiRouter.use('/service-areas', serviceAreaRoutes);
+apiRouter.use('/delivery-slots', deliverySlotRoutes);
+apiRouter.use('/box-subscriptions', boxSubscriptionRoutes);
+apiRouter.use('/promo-codes', promoCodeRoutes);
+apiRouter.use('/dispatch', dispatchRoutes);
+apiRouter.use('/driver-shifts', driverShiftRoutes);
+
+// Mount all API routes under /api; while maintenance mode is on only admins get through
+app.use('/api', maintenanceMode, apiRouter);
 
 // Main app health check endpoint
 app.get('/health', (req, res) => {
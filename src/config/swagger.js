@@ -214,6 +214,46 @@ const options = {
       {
         name: 'Deliveries',
         description: 'Delivery management endpoints'
+      },
+      {
+        name: 'Pricing',
+        description: 'Checkout charge quotes and pricing configuration'
+      },
+      {
+        name: 'Driver Compensation',
+        description: 'Driver earnings, payouts and compensation configuration'
+      },
+      {
+        name: 'Search',
+        description: 'Product and farm search endpoints'
+      },
+      {
+        name: 'Memberships',
+        description: 'Paid memberships, billing and member savings'
+      },
+      {
+        name: 'Service Areas',
+        description: 'Areas FreshFarmily delivers to'
+      },
+      {
+        name: 'Delivery Slots',
+        description: 'Bookable delivery windows and their capacity'
+      },
+      {
+        name: 'Box Subscriptions',
+        description: 'Recurring CSA boxes with skip, swap and pause'
+      },
+      {
+        name: 'Promo Codes',
+        description: 'Promo codes funded by the platform or a farm'
+      },
+      {
+        name: 'Dispatch',
+        description: 'Automatic offers of pending deliveries to drivers'
+      },
+      {
+        name: 'Driver Shifts',
+        description: 'Driver shifts, breaks and online status'
       }
     ]
   },
@@ -11,20 +11,18 @@
 const driverCompensationService = require('../services/driverCompensationService');
 const { DriverCompensationConfig, DriverEarnings } = require('../models/pricing');
 const logger = require('../utils/logger');
-const { get_user_with_permissions } = require('../middleware/jwt');
 
 /**
  * Calculate driver earnings for a specific period
- * @route POST /api/driver/earnings/calculate
+ * @route POST /api/driver-compensation/earnings/calculate
  * @access Private (Admin or self)
  */
 const calculateDriverEarnings = async (req, res) => {
   try {
     const { driverId, startDate, endDate } = req.body;
-    const user = await get_user_with_permissions(req);
     
     // Check permissions - must be admin or the driver themselves
-    if (!user || (!user.permissions.includes('admin') && user.id !== driverId)) {
+    if (req.user.role !== 'admin' && req.user.userId !== driverId) {
       return res.status(403).json({ message: 'You do not have permission to access these earnings' });
     }
     
@@ -47,18 +45,12 @@ const calculateDriverEarnings = async (req, res) => {
 
 /**
  * Save driver earnings
- * @route POST /api/driver/earnings
+ * @route POST /api/driver-compensation/earnings
  * @access Private (Admin only)
  */
 const saveDriverEarnings = async (req, res) => {
   try {
     const earningsData = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     // Basic validation
     if (!earningsData.driverId || !earningsData.payPeriodStart || !earningsData.payPeriodEnd) {
@@ -82,17 +74,16 @@ const saveDriverEarnings = async (req, res) => {
 
 /**
  * Get driver earnings for a specific period
- * @route GET /api/driver/earnings/:driverId
+ * @route GET /api/driver-compensation/earnings/:driverId
  * @access Private (Admin or self)
  */
 const getDriverEarnings = async (req, res) => {
   try {
     const { driverId } = req.params;
     const { startDate, endDate } = req.query;
-    const user = await get_user_with_permissions(req);
     
     // Check permissions - must be admin or the driver themselves
-    if (!user || (!user.permissions.includes('admin') && user.id !== driverId)) {
+    if (req.user.role !== 'admin' && req.user.userId !== driverId) {
       return res.status(403).json({ message: 'You do not have permission to access these earnings' });
     }
     
@@ -106,11 +97,10 @@ const getDriverEarnings = async (req, res) => {
       new Date(endDate)
     );
     
-    if (!earnings) {
-      return res.status(404).json({ message: 'Earnings record not found' });
-    }
-    
-    return res.status(200).json(earnings);
+    return res.status(200).json({
+      count: earnings.length,
+      earnings
+    });
   } catch (error) {
     logger.error(`Error getting earnings for driver ${req.params.driverId}:`, error);
     return res.status(500).json({ message: 'Failed to retrieve driver earnings' });
@@ -119,23 +109,14 @@ const getDriverEarnings = async (req, res) => {
 
 /**
  * Process payment for driver earnings
- * @route POST /api/driver/earnings/:earningsId/process
+ * @route POST /api/driver-compensation/earnings/:earningsId/process
  * @access Private (Admin only)
  */
 const processDriverPayment = async (req, res) => {
   try {
     const { earningsId } = req.params;
-    const { paymentReference } = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-    
-    if (!paymentReference) {
-      return res.status(400).json({ message: 'Payment reference is required' });
-    }
+    // 'manual' records a payment made outside Stripe; anything else pays by Stripe transfer
+    const { paymentReference = null } = req.body;
     
     const processedEarnings = await driverCompensationService.processDriverPayment(
       earningsId, 
@@ -151,18 +132,12 @@ const processDriverPayment = async (req, res) => {
 
 /**
  * Calculate earnings for all active drivers
- * @route POST /api/driver/earnings/calculateAll
+ * @route POST /api/driver-compensation/earnings/calculateAll
  * @access Private (Admin only)
  */
 const calculateAllDriverEarnings = async (req, res) => {
   try {
     const { startDate, endDate } = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     if (!startDate || !endDate) {
       return res.status(400).json({ message: 'Start date and end date are required' });
@@ -185,17 +160,16 @@ const calculateAllDriverEarnings = async (req, res) => {
 
 /**
  * Generate earnings projection for a driver
- * @route POST /api/driver/earnings/projection/:driverId
+ * @route POST /api/driver-compensation/earnings/projection/:driverId
  * @access Private (Admin or self)
  */
 const generateEarningsProjection = async (req, res) => {
   try {
     const { driverId } = req.params;
     const projectionParams = req.body;
-    const user = await get_user_with_permissions(req);
     
     // Check permissions - must be admin or the driver themselves
-    if (!user || (!user.permissions.includes('admin') && user.id !== driverId)) {
+    if (req.user.role !== 'admin' && req.user.userId !== driverId) {
       return res.status(403).json({ message: 'You do not have permission to access these projections' });
     }
     
@@ -214,19 +188,12 @@ const generateEarningsProjection = async (req, res) => {
 /**
  * Estimate delivery earnings for a potential delivery
  * This allows drivers to see potential earnings before accepting an order
- * @route POST /api/driver/earnings/estimate
+ * @route POST /api/driver-compensation/earnings/estimate
  * @access Private (Driver only)
  */
 const estimateDeliveryEarnings = async (req, res) => {
   try {
     const { orderId, estimatedDistanceKm, estimatedTimeMinutes, deliveryDetails } = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has driver permission
-    if (!user || !user.permissions.includes('update_delivery')) {
-      return res.status(403).json({ message: 'Driver access required' });
-    }
-    
     if (!estimatedDistanceKm || !estimatedTimeMinutes) {
       return res.status(400).json({ 
         message: 'Estimated distance and time are required' 
@@ -235,7 +202,7 @@ const estimateDeliveryEarnings = async (req, res) => {
     
     const earnings = await driverCompensationService.estimateDeliveryEarnings(
       orderId,
-      user.id,
+      req.user.userId,
       estimatedDistanceKm,
       estimatedTimeMinutes,
       deliveryDetails || {}
@@ -250,17 +217,11 @@ const estimateDeliveryEarnings = async (req, res) => {
 
 /**
  * Get active driver compensation configuration
- * @route GET /api/driver/compensation/configuration
+ * @route GET /api/driver-compensation/compensation/configuration
  * @access Private (Admin only)
  */
 const getActiveCompensationConfig = async (req, res) => {
   try {
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     const config = await driverCompensationService.getActiveCompensationConfig();
     
@@ -273,18 +234,12 @@ const getActiveCompensationConfig = async (req, res) => {
 
 /**
  * Process payment for multiple driver earnings records
- * @route POST /api/driver/earnings/process-batch
+ * @route POST /api/driver-compensation/earnings/process-batch
  * @access Private (Admin only)
  */
 const processBatchDriverPayments = async (req, res) => {
   try {
     const { earningsIds } = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     if (!earningsIds || !Array.isArray(earningsIds) || earningsIds.length === 0) {
       return res.status(400).json({ message: 'Earnings IDs array is required' });
@@ -313,21 +268,20 @@ const processBatchDriverPayments = async (req, res) => {
 
 /**
  * Create Stripe Connect account for a driver
- * @route POST /api/driver/connect-account
+ * @route POST /api/driver-compensation/connect-account
  * @access Private (Admin or self)
  */
 const createDriverConnectAccount = async (req, res) => {
   try {
     const { driverId } = req.body;
-    const user = await get_user_with_permissions(req);
     
     // Check permissions - must be admin or the driver themselves
-    if (!user || (!user.permissions.includes('admin') && user.id !== driverId)) {
+    if (driverId && req.user.role !== 'admin' && req.user.userId !== driverId) {
       return res.status(403).json({ message: 'You do not have permission to create this account' });
     }
     
     // Get the target driver (either self or specified by admin)
-    const targetDriverId = driverId || user.id;
+    const targetDriverId = driverId || req.user.userId;
     
     const { User } = require('../models/user');
     const driver = await User.findByPk(targetDriverId);
@@ -360,18 +314,12 @@ const createDriverConnectAccount = async (req, res) => {
 
 /**
  * Create new driver compensation configuration
- * @route POST /api/driver/compensation/configuration
+ * @route POST /api/driver-compensation/compensation/configuration
  * @access Private (Admin only)
  */
 const createCompensationConfig = async (req, res) => {
   try {
     const configData = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     if (!configData.name) {
       return res.status(400).json({ message: 'Configuration name is required' });
@@ -380,7 +328,7 @@ const createCompensationConfig = async (req, res) => {
     // Create new configuration
     const newConfig = await DriverCompensationConfig.create({
       ...configData,
-      effectiveDate: new Date(configData.effectiveDate) || new Date(),
+      effectiveDate: configData.effectiveDate ? new Date(configData.effectiveDate) : new Date(),
       expirationDate: configData.expirationDate ? new Date(configData.expirationDate) : null
     });
     
@@ -393,19 +341,13 @@ const createCompensationConfig = async (req, res) => {
 
 /**
  * Update driver compensation configuration
- * @route PUT /api/driver/compensation/configuration/:id
+ * @route PUT /api/driver-compensation/compensation/configuration/:id
  * @access Private (Admin only)
  */
 const updateCompensationConfig = async (req, res) => {
   try {
     const { id } = req.params;
     const configData = req.body;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     // Find the configuration
     const config = await DriverCompensationConfig.findByPk(id);
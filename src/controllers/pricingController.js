@@ -10,34 +10,64 @@
 
 const pricingService = require('../services/pricingService');
 const { PricingConfiguration } = require('../models/pricing');
+const { Product } = require('../models/product');
+const { Farm } = require('../models/farm');
+const { Order } = require('../models/order');
 const logger = require('../utils/logger');
-const { get_user_with_permissions } = require('../middleware/jwt');
 
 /**
- * Calculate order charges for a potential order
+ * Calculate order charges for a potential order. Send either the cart's
+ * items ({ productId, quantity }) so prices come from the catalogue, or an
+ * order with a precomputed subtotal. With items, deliveryDetails.latitude and
+ * longitude price the distance from the farms.
  * @route POST /api/pricing/calculate
  * @access Public
  */
 const calculateOrderCharges = async (req, res) => {
   try {
-    const { order, deliveryDetails } = req.body;
-    const userId = req.user ? req.user.id : null;
+    const { order, items, deliveryDetails = {} } = req.body;
+    const userId = req.user ? req.user.userId : null;
     
-    if (!order || !deliveryDetails) {
-      return res.status(400).json({ message: 'Order and delivery details are required' });
+    if (!order && !Array.isArray(items)) {
+      return res.status(400).json({ message: 'Order or items are required' });
     }
     
-    const charges = await pricingService.calculateOrderCharges(order, userId, deliveryDetails);
+    let quoteOrder = order;
+    let details = deliveryDetails;
+    
+    if (Array.isArray(items)) {
+      const products = await Product.findAll({
+        where: { id: items.map(item => item.productId) },
+        attributes: ['id', 'price', 'farmId']
+      });
+      
+      if (products.length !== new Set(items.map(item => item.productId)).size) {
+        return res.status(400).json({ message: 'One or more products were not found' });
+      }
+      
+      const subtotal = items.reduce((sum, item) => {
+        const product = products.find(p => p.id === item.productId);
+        return sum + Math.round(parseFloat(product.price) * parseFloat(item.quantity) * 100) / 100;
+      }, 0);
+      
+      const farms = await Farm.findAll({
+        where: { id: [...new Set(products.map(p => p.farmId))] },
+        attributes: ['id', 'latitude', 'longitude']
+      });
+      
+      quoteOrder = { subtotal };
+      details = {
+        ...deliveryDetails,
+        distance: deliveryDetails.distance !== undefined
+          ? deliveryDetails.distance
+          : pricingService.calculateDeliveryDistance(farms, deliveryDetails)
+      };
+    }
+    
+    const charges = await pricingService.calculateOrderCharges(quoteOrder, userId, details);
     
     // Return the formatted customer-facing charges
-    return res.status(200).json({
-      productSubtotal: charges.productSubtotal,
-      deliveryFee: charges.customerDeliveryFee,
-      platformServiceCharge: charges.customerPlatformFee,
-      paymentProcessingFee: charges.paymentProcessingFee,
-      taxAmount: charges.taxAmount,
-      total: charges.finalTotal
-    });
+    return res.status(200).json(pricingService.formatCustomerCharges(charges));
   } catch (error) {
     logger.error('Error calculating order charges:', error);
     return res.status(500).json({ message: 'Failed to calculate order charges' });
@@ -45,20 +75,25 @@ const calculateOrderCharges = async (req, res) => {
 };
 
 /**
- * Save order charges for a completed order
+ * Save order charges for an order placed before charges were recorded automatically
  * @route POST /api/pricing/saveCharges
- * @access Private
+ * @access Private (Admin only)
  */
 const saveOrderCharges = async (req, res) => {
   try {
     const { order, deliveryDetails } = req.body;
-    const userId = req.user.id;
     
     if (!order || !deliveryDetails) {
       return res.status(400).json({ message: 'Order and delivery details are required' });
     }
     
-    const charges = await pricingService.calculateOrderCharges(order, userId, deliveryDetails);
+    const existingOrder = await Order.findByPk(order.id, { attributes: ['id', 'userId'] });
+    if (!existingOrder) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    // Price with the customer's membership, not the admin's
+    const charges = await pricingService.calculateOrderCharges(order, existingOrder.userId, deliveryDetails);
     const savedCharges = await pricingService.saveOrderCharges(charges);
     
     return res.status(201).json(savedCharges);
@@ -71,7 +106,7 @@ const saveOrderCharges = async (req, res) => {
 /**
  * Get customer-facing order summary
  * @route GET /api/pricing/orderSummary/:orderId
- * @access Private
+ * @access Private (Admin or the customer who placed the order)
  */
 const getOrderSummary = async (req, res) => {
   try {
@@ -81,6 +116,14 @@ const getOrderSummary = async (req, res) => {
       return res.status(400).json({ message: 'Order ID is required' });
     }
     
+    // Customers can only see their own orders' charges
+    if (req.user.role !== 'admin') {
+      const order = await Order.findByPk(orderId, { attributes: ['id', 'userId'] });
+      if (!order || order.userId !== req.user.userId) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+    }
+    
     const summary = await pricingService.getCustomerOrderSummary(orderId);
     
     return res.status(200).json(summary);
@@ -98,12 +141,6 @@ const getOrderSummary = async (req, res) => {
 const getDetailedOrderCharges = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
     
     if (!orderId) {
       return res.status(400).json({ message: 'Order ID is required' });
@@ -111,6 +148,10 @@ const getDetailedOrderCharges = async (req, res) => {
     
     const detailedCharges = await pricingService.getDetailedOrderCharges(orderId);
     
+    if (!detailedCharges) {
+      return res.status(404).json({ message: 'Order charges not found' });
+    }
+    
     return res.status(200).json(detailedCharges);
   } catch (error) {
     logger.error(`Error getting detailed charges for order ${req.params.orderId}:`, error);
@@ -125,13 +166,6 @@ const getDetailedOrderCharges = async (req, res) => {
  */
 const getActivePricingConfig = async (req, res) => {
   try {
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-    
     const config = await pricingService.getActivePricingConfig();
     
     return res.status(200).json(config);
@@ -148,13 +182,6 @@ const getActivePricingConfig = async (req, res) => {
  */
 const createPricingConfig = async (req, res) => {
   try {
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-    
     const configData = req.body;
     
     if (!configData.name) {
@@ -164,7 +191,7 @@ const createPricingConfig = async (req, res) => {
     // Create new configuration
     const newConfig = await PricingConfiguration.create({
       ...configData,
-      effectiveDate: new Date(configData.effectiveDate) || new Date(),
+      effectiveDate: configData.effectiveDate ? new Date(configData.effectiveDate) : new Date(),
       expirationDate: configData.expirationDate ? new Date(configData.expirationDate) : null
     });
     
@@ -183,13 +210,6 @@ const createPricingConfig = async (req, res) => {
 const updatePricingConfig = async (req, res) => {
   try {
     const { id } = req.params;
-    const user = await get_user_with_permissions(req);
-    
-    // Check if user has admin permission
-    if (!user || !user.permissions.includes('admin')) {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-    
     const configData = req.body;
     
     // Find the configuration
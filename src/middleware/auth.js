@@ -10,6 +10,21 @@ const { User, Profile } = require('../models/user');
 const { authLogger } = require('../utils/logger');
 require('dotenv').config();
 
+/**
+ * Whether a decoded token's session is still active. Tokens issued without a
+ * session have nothing to revoke.
+ * 
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Boolean>} False once the session is revoked
+ */
+const hasActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return true;
+  }
+  const { isSessionActive } = require('../services/sessionService');
+  return isSessionActive(decoded.sid);
+};
+
 /**
  * Middleware to authenticate a user's JWT token
  * 
@@ -37,10 +52,20 @@ const authenticate = async (req, res, next) => {
       const decoded = verifyToken(token);
       authLogger.debug(`Token decoded for user: ${decoded.userId}`);
       
+      // Tokens tied to a session stop working as soon as it is revoked
+      if (!(await hasActiveSession(decoded))) {
+        authLogger.warn(`Token for revoked session ${decoded.sid} rejected for user: ${decoded.userId}`);
+        return res.status(401).json({ 
+          error: 'Unauthorized', 
+          message: 'Your session has ended. Please log in again.' 
+        });
+      }
+      
       // Set user info in request
       req.user = {
         userId: decoded.userId,
-        role: decoded.role
+        role: decoded.role,
+        sessionId: decoded.sid || null
       };
       
       next();
@@ -205,6 +230,7 @@ const requireConsumer = [authenticate, requireRoles(['consumer', 'admin', 'farme
 // Export the middleware functions
 module.exports = {
   authenticate,
+  hasActiveSession,
   requirePermissions,
   requireRoles,
   requireActiveUser,
@@ -49,7 +49,29 @@ const authLimiter = rateLimit({
   }
 });
 
+// Per-email limiter for endpoints that send email (password reset, verification).
+// Keyed by endpoint and address so one inbox can't be flooded from many IPs.
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each email to 5 requests per endpoint per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many requests for this email address, please try again later.',
+    retryAfter: '1 hour'
+  },
+  handler: (req, res, next, options) => {
+    logger.warn(`Email rate limit exceeded for ${req.originalUrl}`);
+    res.status(429).json(options.message);
+  },
+  keyGenerator: (req) => `${req.baseUrl}${req.path}:${String(req.body.email).trim().toLowerCase()}`,
+  // Requests without an email fail validation and are covered by authLimiter
+  skip: (req) => !req.body || typeof req.body.email !== 'string'
+});
+
 module.exports = {
   limiter,
-  authLimiter
+  authLimiter,
+  emailLimiter
 };
@@ -0,0 +1,105 @@
+/**
+ * System Settings Middleware
+ *
+ * Enforces the admin-editable system settings: maintenance mode and feature flags
+ */
+
+const { verifyToken } = require('../utils/jwt');
+const { hasActiveSession } = require('./auth');
+const systemSettingsService = require('../services/systemSettingsService');
+const logger = require('../utils/logger');
+
+// Paths (under /api) that keep working during maintenance: admins need to log in
+// to turn it off, Stripe must still be able to deliver webhooks, and clients
+// need the status endpoint to show the maintenance message
+const MAINTENANCE_EXEMPT_PATHS = [
+  '/health',
+  '/auth/login',
+  '/auth/refresh',
+  '/payments/webhook',
+  '/settings/status'
+];
+
+/**
+ * Whether the request carries a valid admin token whose session hasn't been revoked
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Boolean>} True for admins
+ */
+const isAdminRequest = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  try {
+    const decoded = verifyToken(authHeader.split(' ')[1]);
+    return decoded.role === 'admin' && await hasActiveSession(decoded);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Middleware that answers 503 with the configured message while maintenance
+ * mode is on. Admins and the exempt paths are let through. If the settings
+ * can't be read, requests are let through rather than taking the API down.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const maintenanceMode = async (req, res, next) => {
+  if (MAINTENANCE_EXEMPT_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  let settings;
+  try {
+    settings = await systemSettingsService.getSystemSettings();
+  } catch (error) {
+    logger.warn(`Maintenance check skipped, system settings unavailable: ${error.message}`);
+    return next();
+  }
+
+  if (!settings.maintenance.enabled || await isAdminRequest(req)) {
+    return next();
+  }
+
+  res.setHeader('Retry-After', '300');
+  return res.status(503).json({
+    error: 'Service Unavailable',
+    message: settings.maintenance.message,
+    maintenance: true
+  });
+};
+
+/**
+ * Middleware that answers 404 when a feature flag is off, as if the feature's
+ * routes didn't exist
+ *
+ * @param {string} feature - Feature name (see systemSettingsService.SYSTEM_SETTINGS_SCHEMA.features)
+ * @returns {Function} Express middleware function
+ */
+const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (await systemSettingsService.isFeatureEnabled(feature)) {
+        return next();
+      }
+    } catch (error) {
+      logger.warn(`Feature check for ${feature} skipped, system settings unavailable: ${error.message}`);
+      return next();
+    }
+
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `The ${feature} feature is currently disabled`
+    });
+  };
+};
+
+module.exports = {
+  maintenanceMode,
+  requireFeature
+};
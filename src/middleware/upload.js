@@ -9,8 +9,13 @@ const productDir = path.join(uploadDir, 'products');
 const farmDir = path.join(uploadDir, 'farms');
 const profileDir = path.join(uploadDir, 'profiles');
 
+// Proof of delivery images are private: they are kept outside the public
+// uploads directory and only served through GET /api/deliveries/:id/proof/files.
+// Proofs stored in the public directory before are moved by the 20250504 migration
+const proofDir = process.env.PROOF_STORAGE_DIR || path.join(__dirname, '../../storage/proofs');
+
 // Ensure directories exist
-for (const dir of [uploadDir, productDir, farmDir, profileDir]) {
+for (const dir of [uploadDir, productDir, farmDir, profileDir, proofDir]) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -19,6 +24,11 @@ for (const dir of [uploadDir, productDir, farmDir, profileDir]) {
 // Define storage strategy
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
+    // Proof of delivery photos are only accepted by the route that sets this
+    if (req.uploadType === 'proof') {
+      return cb(null, proofDir);
+    }
+
     const type = req.body.type || 'product';
     let destinationPath;
     
@@ -65,3 +75,4 @@ const upload = multer({
 });
 
 module.exports = upload;
+module.exports.proofDir = proofDir;
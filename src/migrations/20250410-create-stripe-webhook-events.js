@@ -0,0 +1,71 @@
+/**
+ * FreshFarmily Stripe Webhook Events Migration
+ * Date: 2025-04-10
+ *
+ * Creates the stripe_webhook_events table used to make webhook processing
+ * idempotent. Stripe may deliver the same event more than once, so every
+ * event ID is recorded once it has been handled.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating stripe_webhook_events table');
+
+  await queryInterface.createTable('stripe_webhook_events', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      comment: 'Stripe event ID (evt_...)'
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    objectId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ID of the Stripe object the event refers to'
+    },
+    status: {
+      type: DataTypes.ENUM('processed', 'ignored', 'failed'),
+      allowNull: false,
+      defaultValue: 'processed'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('stripe_webhook_events', ['type']);
+  await queryInterface.addIndex('stripe_webhook_events', ['objectId']);
+
+  console.log('stripe_webhook_events table created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping stripe_webhook_events table');
+
+  await queryInterface.dropTable('stripe_webhook_events');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stripe_webhook_events_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
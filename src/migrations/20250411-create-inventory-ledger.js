@@ -0,0 +1,92 @@
+/**
+ * FreshFarmily Inventory Ledger Migration
+ * Date: 2025-04-11
+ *
+ * Creates the inventory_ledger table. Stock reserved by orders, returned on
+ * cancellation or payment failure, and adjusted by farmers is recorded here.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating inventory_ledger table');
+
+  await queryInterface.createTable('inventory_ledger', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.ENUM(
+        'order_reserved',
+        'order_cancelled',
+        'payment_failed',
+        'manual_adjustment'
+      ),
+      allowNull: false
+    },
+    quantityChange: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    quantityAfter: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    markedUnavailable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('inventory_ledger', ['productId']);
+  await queryInterface.addIndex('inventory_ledger', ['farmId']);
+  await queryInterface.addIndex('inventory_ledger', ['orderId']);
+  await queryInterface.addIndex('inventory_ledger', ['createdAt']);
+
+  console.log('inventory_ledger table created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping inventory_ledger table');
+
+  await queryInterface.dropTable('inventory_ledger');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_inventory_ledger_reason";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,30 @@
+/**
+ * FreshFarmily Delivery Tracking Indexes Migration
+ * Date: 2025-04-12
+ *
+ * Adds indexes to delivery_trackings for looking up the latest position of a
+ * delivery and for the retention job that prunes old points by timestamp.
+ */
+
+async function up(queryInterface, Sequelize) {
+  console.log('Adding indexes to delivery_trackings table');
+
+  await queryInterface.addIndex('delivery_trackings', ['deliveryId', 'timestamp']);
+  await queryInterface.addIndex('delivery_trackings', ['timestamp']);
+
+  console.log('delivery_trackings indexes added successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Removing indexes from delivery_trackings table');
+
+  await queryInterface.removeIndex('delivery_trackings', ['deliveryId', 'timestamp']);
+  await queryInterface.removeIndex('delivery_trackings', ['timestamp']);
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,73 @@
+/**
+ * FreshFarmily Order Status History Migration
+ * Date: 2025-04-13
+ *
+ * Creates the order_status_history table. Every order status change is
+ * recorded with the user who made it, their role and the reason given.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating order_status_history table');
+
+  await queryInterface.createTable('order_status_history', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    toStatus: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    actorRole: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'system'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isOverride: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('order_status_history', ['orderId', 'createdAt']);
+  await queryInterface.addIndex('order_status_history', ['changedBy']);
+
+  console.log('order_status_history table created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping order_status_history table');
+
+  await queryInterface.dropTable('order_status_history');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,130 @@
+/**
+ * FreshFarmily Order Fulfillments Migration
+ * Date: 2025-04-14
+ *
+ * Splits orders into per-farm fulfillment groups:
+ * - Creates the order_fulfillments table
+ * - Adds fulfillmentId to order_items
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating order_fulfillments table');
+
+  await queryInterface.createTable('order_fulfillments', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    farmName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(
+        'pending',
+        'confirmed',
+        'processing',
+        'ready',
+        'picked_up',
+        'rejected',
+        'cancelled'
+      ),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    pickupAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    pickupLatitude: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    pickupLongitude: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    confirmedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    readyAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    pickedUpAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancellationReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    refundAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    refundId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('order_fulfillments', ['orderId', 'farmId'], { unique: true });
+  await queryInterface.addIndex('order_fulfillments', ['farmId', 'status']);
+
+  console.log('Adding fulfillmentId to order_items');
+
+  await queryInterface.addColumn('order_items', 'fulfillmentId', {
+    type: DataTypes.UUID,
+    allowNull: true
+  });
+
+  await queryInterface.addIndex('order_items', ['fulfillmentId']);
+
+  console.log('order_fulfillments migration completed successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Rolling back order_fulfillments migration');
+
+  await queryInterface.removeIndex('order_items', ['fulfillmentId']);
+  await queryInterface.removeColumn('order_items', 'fulfillmentId');
+  await queryInterface.dropTable('order_fulfillments');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_order_fulfillments_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,56 @@
+/**
+ * FreshFarmily Checkout Charge Fields Migration
+ * Date: 2025-04-15
+ *
+ * Supports a single checkout quote shared by carts and orders:
+ * - Adds serviceFee to orders and carts
+ * - Records the province and tax rate applied on order_charges
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Adding serviceFee to orders and carts');
+
+  await queryInterface.addColumn('orders', 'serviceFee', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  });
+
+  await queryInterface.addColumn('carts', 'serviceFee', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  });
+
+  console.log('Adding tax fields to order_charges');
+
+  await queryInterface.addColumn('order_charges', 'province', {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('order_charges', 'taxRate', {
+    type: DataTypes.DECIMAL(6, 5),
+    allowNull: true
+  });
+
+  console.log('Checkout charge fields added successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Removing checkout charge fields');
+
+  await queryInterface.removeColumn('order_charges', 'taxRate');
+  await queryInterface.removeColumn('order_charges', 'province');
+  await queryInterface.removeColumn('carts', 'serviceFee');
+  await queryInterface.removeColumn('orders', 'serviceFee');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
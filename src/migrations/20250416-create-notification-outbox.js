@@ -0,0 +1,101 @@
+/**
+ * FreshFarmily Notification Outbox Migration
+ * Date: 2025-04-16
+ *
+ * Creates the notification_outbox table. Email and SMS messages are queued
+ * here with the change that caused them and sent by the outbox worker.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating notification_outbox table');
+
+  await queryInterface.createTable('notification_outbox', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    channel: {
+      type: DataTypes.ENUM('email', 'sms'),
+      allowNull: false
+    },
+    template: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dedupeKey: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('notification_outbox', ['status', 'nextAttemptAt']);
+  await queryInterface.addIndex('notification_outbox', ['userId', 'createdAt']);
+  await queryInterface.addIndex('notification_outbox', ['dedupeKey', 'channel'], { unique: true });
+
+  console.log('notification_outbox table created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping notification_outbox table');
+
+  await queryInterface.dropTable('notification_outbox');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notification_outbox_channel";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notification_outbox_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,97 @@
+/**
+ * FreshFarmily User Tokens Migration
+ * Date: 2025-04-17
+ *
+ * Supports email verification and password reset:
+ * - Creates the user_tokens table holding hashed, expiring, single-use tokens
+ * - Adds emailVerified and passwordChangedAt to users. Older databases may
+ *   already have emailVerified, so columns are only added when missing.
+ * - Marks accounts that are already active as verified
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating user_tokens table');
+
+  await queryInterface.createTable('user_tokens', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.ENUM('email_verification', 'password_reset'),
+      allowNull: false
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('user_tokens', ['userId', 'type']);
+
+  console.log('Adding verification fields to users');
+
+  const columns = await queryInterface.describeTable('users');
+
+  if (!columns.emailVerified) {
+    await queryInterface.addColumn('users', 'emailVerified', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  }
+
+  if (!columns.passwordChangedAt) {
+    await queryInterface.addColumn('users', 'passwordChangedAt', {
+      type: DataTypes.DATE,
+      allowNull: true
+    });
+  }
+
+  // Accounts created before verification existed are treated as verified
+  await queryInterface.sequelize.query(
+    'UPDATE users SET "emailVerified" = true WHERE status = \'active\''
+  );
+
+  console.log('user_tokens table and verification fields created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping user_tokens table and verification fields');
+
+  await queryInterface.dropTable('user_tokens');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_user_tokens_type";');
+  await queryInterface.removeColumn('users', 'passwordChangedAt');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,130 @@
+/**
+ * FreshFarmily User Sessions Migration
+ * Date: 2025-04-18
+ *
+ * Creates the user_sessions and refresh_tokens tables. Refresh tokens are
+ * stored hashed per login session and rotated on every refresh.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating user_sessions table');
+
+  await queryInterface.createTable('user_sessions', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    deviceName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.ENUM(
+        'logout',
+        'user_revoked',
+        'token_reuse',
+        'password_changed',
+        'admin_logout'
+      ),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('user_sessions', ['userId', 'revokedAt']);
+
+  console.log('Creating refresh_tokens table');
+
+  await queryInterface.createTable('refresh_tokens', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('refresh_tokens', ['sessionId']);
+
+  console.log('user_sessions and refresh_tokens tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping refresh_tokens and user_sessions tables');
+
+  await queryInterface.dropTable('refresh_tokens');
+  await queryInterface.dropTable('user_sessions');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_user_sessions_revokedReason";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,219 @@
+/**
+ * FreshFarmily Order Refunds Migration
+ * Date: 2025-04-19
+ *
+ * Adds the refund ledger:
+ * - Creates order_refunds, one row per refund made against an order
+ * - Creates refund_adjustments, the money taken back from farms and drivers
+ *   because of a refund
+ * - Adds adjustmentAmount to driver_earnings
+ * - Records refunds already made for rejected or cancelled fulfillments in
+ *   the ledger so they count against each order's refundable balance
+ */
+
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating order_refunds table');
+
+  await queryInterface.createTable('order_refunds', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: DataTypes.ENUM('full', 'items', 'goodwill', 'fulfillment'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    items: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    fulfillmentId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    driverClawback: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    stripeRefundId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    requestedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    requestedByRole: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'system'
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('order_refunds', ['orderId']);
+  await queryInterface.addIndex('order_refunds', ['status']);
+
+  console.log('Creating refund_adjustments table');
+
+  await queryInterface.createTable('refund_adjustments', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    refundId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'order_refunds',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    payeeType: {
+      type: DataTypes.ENUM('farmer', 'driver'),
+      allowNull: false
+    },
+    payeeId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    commissionAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'applied'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    farmerPaymentId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    driverEarningsId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    appliedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('refund_adjustments', ['refundId']);
+  await queryInterface.addIndex('refund_adjustments', ['payeeType', 'payeeId', 'status']);
+
+  console.log('Adding adjustmentAmount to driver_earnings');
+
+  await queryInterface.addColumn('driver_earnings', 'adjustmentAmount', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  });
+
+  console.log('Recording existing fulfillment refunds in the ledger');
+
+  const [fulfillmentRefunds] = await queryInterface.sequelize.query(
+    'SELECT id, "orderId", "farmId", "refundAmount", "refundId", "cancellationReason", "cancelledAt" ' +
+    'FROM order_fulfillments WHERE "refundId" IS NOT NULL AND "refundAmount" > 0'
+  );
+
+  if (fulfillmentRefunds.length > 0) {
+    await queryInterface.bulkInsert('order_refunds', fulfillmentRefunds.map(row => ({
+      id: crypto.randomUUID(),
+      orderId: row.orderId,
+      type: 'fulfillment',
+      status: 'succeeded',
+      amount: row.refundAmount,
+      reason: row.cancellationReason,
+      farmId: row.farmId,
+      fulfillmentId: row.id,
+      stripeRefundId: row.refundId,
+      requestedByRole: 'system',
+      processedAt: row.cancelledAt || new Date(),
+      createdAt: row.cancelledAt || new Date(),
+      updatedAt: new Date()
+    })));
+  }
+
+  console.log(`order_refunds and refund_adjustments tables created successfully (${fulfillmentRefunds.length} existing refund(s) recorded)`);
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping refund ledger tables');
+
+  await queryInterface.removeColumn('driver_earnings', 'adjustmentAmount');
+  await queryInterface.dropTable('refund_adjustments');
+  await queryInterface.dropTable('order_refunds');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_refund_adjustments_payeeType";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_refund_adjustments_status";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_order_refunds_type";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_order_refunds_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,172 @@
+/**
+ * FreshFarmily Membership Billing Migration
+ * Date: 2025-04-20
+ *
+ * Adds subscription billing to memberships:
+ * - Lifecycle fields on memberships (status, scheduled cancellation and
+ *   pause, billing provider and subscription references)
+ * - Creates membership_invoices, one row per membership fee charged or attempted
+ * - Existing memberships have no subscription behind them: they stay active
+ *   until their renewal date and end then unless the member subscribes
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Adding billing fields to memberships');
+
+  await queryInterface.addColumn('memberships', 'status', {
+    type: DataTypes.ENUM('active', 'past_due', 'paused', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  });
+
+  await queryInterface.addColumn('memberships', 'currentPeriodStart', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('memberships', 'cancelAtPeriodEnd', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+
+  await queryInterface.addColumn('memberships', 'cancelledAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('memberships', 'pausedUntil', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('memberships', 'billingProvider', {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'stub'
+  });
+
+  await queryInterface.addColumn('memberships', 'providerCustomerId', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('memberships', 'providerSubscriptionId', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('memberships', 'monthlyFee', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('memberships', 'failedPaymentCount', {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+
+  await queryInterface.sequelize.query(
+    'UPDATE memberships SET status = \'cancelled\' WHERE "isActive" = false'
+  );
+
+  await queryInterface.addIndex('memberships', ['status', 'renewalDate']);
+  await queryInterface.addIndex('memberships', ['providerSubscriptionId']);
+
+  console.log('Creating membership_invoices table');
+
+  await queryInterface.createTable('membership_invoices', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    membershipId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'memberships',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('paid', 'failed'),
+      allowNull: false
+    },
+    periodStart: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    periodEnd: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    providerInvoiceId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('membership_invoices', ['membershipId']);
+  await queryInterface.addIndex('membership_invoices', ['userId']);
+
+  console.log('Membership billing fields and membership_invoices table created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Removing membership billing');
+
+  await queryInterface.dropTable('membership_invoices');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_membership_invoices_status";');
+
+  await queryInterface.removeIndex('memberships', ['status', 'renewalDate']);
+  await queryInterface.removeIndex('memberships', ['providerSubscriptionId']);
+
+  for (const column of [
+    'status',
+    'currentPeriodStart',
+    'cancelAtPeriodEnd',
+    'cancelledAt',
+    'pausedUntil',
+    'billingProvider',
+    'providerCustomerId',
+    'providerSubscriptionId',
+    'monthlyFee',
+    'failedPaymentCount'
+  ]) {
+    await queryInterface.removeColumn('memberships', column);
+  }
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_memberships_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,215 @@
+/**
+ * FreshFarmily Address Book Migration
+ * Date: 2025-04-21
+ *
+ * Adds saved, geocoded delivery addresses:
+ * - Creates addresses, each user's address book
+ * - Creates geocode_cache, so each distinct address is geocoded once
+ * - Creates service_areas, the areas FreshFarmily delivers to
+ * - Adds addressId to orders, the saved address an order is delivered to
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating addresses table');
+
+  await queryInterface.createTable('addresses', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    label: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'Home'
+    },
+    recipientName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    streetAddress: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    unit: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    city: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    state: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    zipCode: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    country: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      defaultValue: 'CA'
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    deliveryInstructions: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    latitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    longitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    formattedAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    geocodeSource: {
+      type: DataTypes.ENUM('google', 'fallback'),
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('addresses', ['userId', 'isDefault']);
+
+  console.log('Creating geocode_cache table');
+
+  await queryInterface.createTable('geocode_cache', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    queryHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    query: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    latitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    longitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    formattedAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  console.log('Creating service_areas table');
+
+  await queryInterface.createTable('service_areas', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    centerLatitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    centerLongitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    radiusKm: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  console.log('Adding addressId to orders');
+
+  await queryInterface.addColumn('orders', 'addressId', {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'addresses',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  });
+
+  console.log('addresses, geocode_cache and service_areas tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping address book tables');
+
+  await queryInterface.removeColumn('orders', 'addressId');
+  await queryInterface.dropTable('service_areas');
+  await queryInterface.dropTable('geocode_cache');
+  await queryInterface.dropTable('addresses');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_addresses_geocodeSource";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
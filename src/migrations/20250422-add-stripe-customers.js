@@ -0,0 +1,34 @@
+/**
+ * FreshFarmily Stripe Customers Migration
+ * Date: 2025-04-22
+ *
+ * Adds stripeCustomerId to users. Each user is given a Stripe Customer the
+ * first time they save a card, and their saved payment methods live there.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Adding stripeCustomerId to users');
+
+  await queryInterface.addColumn('users', 'stripeCustomerId', {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  });
+
+  console.log('stripeCustomerId added to users successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Removing stripeCustomerId from users');
+
+  await queryInterface.removeColumn('users', 'stripeCustomerId');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
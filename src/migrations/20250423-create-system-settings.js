@@ -0,0 +1,99 @@
+/**
+ * FreshFarmily System Settings Migration
+ * Date: 2025-04-23
+ *
+ * Adds admin-editable platform settings:
+ * - Creates system_settings, the settings changed from their defaults
+ * - Creates system_setting_changes, the audit trail of every change
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating system_settings table');
+
+  await queryInterface.createTable('system_settings', {
+    key: {
+      type: DataTypes.STRING(100),
+      primaryKey: true
+    },
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    updatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  console.log('Creating system_setting_changes table');
+
+  await queryInterface.createTable('system_setting_changes', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    oldValue: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    newValue: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('system_setting_changes', ['key', 'createdAt']);
+  await queryInterface.addIndex('system_setting_changes', ['createdAt']);
+
+  console.log('system_settings and system_setting_changes tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping system settings tables');
+
+  await queryInterface.dropTable('system_setting_changes');
+  await queryInterface.dropTable('system_settings');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,177 @@
+/**
+ * FreshFarmily Delivery Slots Migration
+ * Date: 2025-04-24
+ *
+ * Adds bookable delivery time slots:
+ * - Creates delivery_windows, the weekly windows defined per service area
+ *   (and optionally per farm) with their driver capacity
+ * - Creates delivery_slots, the dated occurrences of a window and the number
+ *   of orders booked into each
+ * - Adds deliverySlotId to orders, deliveries and delivery_batches
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating delivery_windows table');
+
+  await queryInterface.createTable('delivery_windows', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    serviceAreaId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'service_areas',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'farms',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    dayOfWeek: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    startTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.STRING(5),
+      allowNull: false
+    },
+    driverCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    deliveriesPerDriver: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    cutoffHours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 12
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('delivery_windows', ['serviceAreaId', 'dayOfWeek']);
+  await queryInterface.addIndex('delivery_windows', ['farmId']);
+
+  console.log('Creating delivery_slots table');
+
+  await queryInterface.createTable('delivery_slots', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    windowId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'delivery_windows',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    bookedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('delivery_slots', ['windowId', 'date'], { unique: true });
+  await queryInterface.addIndex('delivery_slots', ['startsAt']);
+
+  console.log('Adding deliverySlotId to orders, deliveries and delivery_batches');
+
+  for (const table of ['orders', 'deliveries', 'delivery_batches']) {
+    await queryInterface.addColumn(table, 'deliverySlotId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'delivery_slots',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex(table, ['deliverySlotId']);
+  }
+
+  console.log('Delivery slot tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping delivery slot tables');
+
+  for (const table of ['delivery_batches', 'deliveries', 'orders']) {
+    await queryInterface.removeColumn(table, 'deliverySlotId');
+  }
+
+  await queryInterface.dropTable('delivery_slots');
+  await queryInterface.dropTable('delivery_windows');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
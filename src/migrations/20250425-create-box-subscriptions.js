@@ -0,0 +1,193 @@
+/**
+ * FreshFarmily Box Subscriptions Migration
+ * Date: 2025-04-25
+ *
+ * Adds recurring CSA box subscriptions:
+ * - Adds subscriptionCadences to products, marking the products sold as boxes
+ * - Creates box_subscriptions, a customer's recurring box with its cadence,
+ *   delivery window and payment method
+ * - Creates box_subscription_cycles, the skips, item swaps and orders for
+ *   each delivery date
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Adding subscriptionCadences to products');
+
+  await queryInterface.addColumn('products', 'subscriptionCadences', {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: []
+  });
+
+  console.log('Creating box_subscriptions table');
+
+  await queryInterface.createTable('box_subscriptions', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'farms',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 1
+    },
+    cadence: {
+      type: DataTypes.ENUM('weekly', 'biweekly'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'paused', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    addressId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'addresses',
+        key: 'id'
+      }
+    },
+    deliveryWindowId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'delivery_windows',
+        key: 'id'
+      }
+    },
+    paymentMethodId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    nextDeliveryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    pausedUntil: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('box_subscriptions', ['userId']);
+  await queryInterface.addIndex('box_subscriptions', ['status', 'nextDeliveryDate']);
+  await queryInterface.addIndex('box_subscriptions', ['farmId']);
+
+  console.log('Creating box_subscription_cycles table');
+
+  await queryInterface.createTable('box_subscription_cycles', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    subscriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'box_subscriptions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    deliveryDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'skipped', 'ordered', 'failed'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    items: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    failureReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('box_subscription_cycles', ['subscriptionId', 'deliveryDate'], { unique: true });
+  await queryInterface.addIndex('box_subscription_cycles', ['orderId']);
+
+  console.log('Box subscription tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping box subscription tables');
+
+  await queryInterface.dropTable('box_subscription_cycles');
+  await queryInterface.dropTable('box_subscriptions');
+  await queryInterface.removeColumn('products', 'subscriptionCadences');
+
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_box_subscription_cycles_status";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_box_subscriptions_status";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_box_subscriptions_cadence";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
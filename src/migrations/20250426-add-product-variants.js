@@ -0,0 +1,183 @@
+/**
+ * FreshFarmily Product Variants and Catch-Weight Migration
+ * Date: 2025-04-26
+ *
+ * Adds sizes/packs and catch-weight pricing:
+ * - Creates product_variants, each with its own price, SKU and stock
+ * - Adds isCatchWeight and estimatedWeight to products
+ * - Adds the variant, SKU and estimated/actual weights to order_items
+ * - Adds authorizedAmount to orders and the 'authorized' payment status to
+ *   orders and payment_info, for orders captured after weighing
+ * - Adds variantId to inventory_ledger
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating product_variants table');
+
+  await queryInterface.createTable('product_variants', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    unit: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    quantityAvailable: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    estimatedWeight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true
+    },
+    isAvailable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('product_variants', ['productId', 'sortOrder']);
+
+  console.log('Adding catch-weight fields to products');
+
+  await queryInterface.addColumn('products', 'isCatchWeight', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+  await queryInterface.addColumn('products', 'estimatedWeight', {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true
+  });
+
+  console.log('Adding variant and weight fields to order_items');
+
+  await queryInterface.addColumn('order_items', 'variantId', {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  });
+  await queryInterface.addColumn('order_items', 'variantName', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+  await queryInterface.addColumn('order_items', 'sku', {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  });
+  await queryInterface.addColumn('order_items', 'isCatchWeight', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+  await queryInterface.addColumn('order_items', 'estimatedWeight', {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true
+  });
+  await queryInterface.addColumn('order_items', 'actualWeight', {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true
+  });
+  await queryInterface.addColumn('order_items', 'weighedAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+  await queryInterface.addColumn('order_items', 'weighedBy', {
+    type: DataTypes.UUID,
+    allowNull: true
+  });
+
+  console.log('Adding payment authorization to orders and payment_info');
+
+  await queryInterface.addColumn('orders', 'authorizedAmount', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  });
+
+  // ADD VALUE can't run inside a transaction block, so each runs on its own
+  await queryInterface.sequelize.query('ALTER TYPE "enum_orders_paymentStatus" ADD VALUE IF NOT EXISTS \'authorized\' AFTER \'pending\';');
+  await queryInterface.sequelize.query('ALTER TYPE "enum_payment_info_paymentStatus" ADD VALUE IF NOT EXISTS \'authorized\' AFTER \'processing\';');
+
+  console.log('Adding variantId to inventory_ledger');
+
+  await queryInterface.addColumn('inventory_ledger', 'variantId', {
+    type: DataTypes.UUID,
+    allowNull: true
+  });
+
+  console.log('Product variants and catch-weight pricing added successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Removing product variants and catch-weight pricing');
+
+  await queryInterface.removeColumn('inventory_ledger', 'variantId');
+
+  // Postgres can't drop enum values; authorized orders fall back to pending
+  await queryInterface.sequelize.query('UPDATE "orders" SET "paymentStatus" = \'pending\' WHERE "paymentStatus" = \'authorized\';');
+  await queryInterface.sequelize.query('UPDATE "payment_info" SET "paymentStatus" = \'pending\' WHERE "paymentStatus" = \'authorized\';');
+  await queryInterface.removeColumn('orders', 'authorizedAmount');
+
+  for (const column of ['weighedBy', 'weighedAt', 'actualWeight', 'estimatedWeight', 'isCatchWeight', 'sku', 'variantName', 'variantId']) {
+    await queryInterface.removeColumn('order_items', column);
+  }
+
+  await queryInterface.removeColumn('products', 'estimatedWeight');
+  await queryInterface.removeColumn('products', 'isCatchWeight');
+
+  await queryInterface.dropTable('product_variants');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,285 @@
+/**
+ * FreshFarmily Promo Codes Migration
+ * Date: 2025-04-27
+ *
+ * Adds promo codes to checkout:
+ * - Creates promo_codes, the codes admins and farmers create with their rules
+ * - Creates promo_code_redemptions, each order's use of a code and how its
+ *   discount was split across farms
+ * - Adds promoCodeId and promoDiscount to orders, the promo code and who
+ *   funded it to order_charges, and the entered promoCode to carts
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating promo_codes table');
+
+  await queryInterface.createTable('promo_codes', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    code: {
+      type: DataTypes.STRING(32),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    discountType: {
+      type: DataTypes.ENUM('percent', 'fixed', 'free_delivery'),
+      allowNull: false
+    },
+    value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    maxDiscount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    minSubtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    farmIds: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      allowNull: false,
+      defaultValue: []
+    },
+    categories: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    firstOrderOnly: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    usageLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    perUserLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 1
+    },
+    usageCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    fundedBy: {
+      type: DataTypes.ENUM('platform', 'farm'),
+      allowNull: false,
+      defaultValue: 'platform'
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'farms',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('promo_codes', ['code'], { unique: true });
+  await queryInterface.addIndex('promo_codes', ['farmId']);
+
+  console.log('Creating promo_code_redemptions table');
+
+  await queryInterface.createTable('promo_code_redemptions', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    promoCodeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'promo_codes',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    code: {
+      type: DataTypes.STRING(32),
+      allowNull: false
+    },
+    discountType: {
+      type: DataTypes.ENUM('percent', 'fixed', 'free_delivery'),
+      allowNull: false
+    },
+    productDiscount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    deliveryDiscount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    fundedBy: {
+      type: DataTypes.ENUM('platform', 'farm'),
+      allowNull: false
+    },
+    farmId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'farms',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    allocations: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('redeemed', 'reversed'),
+      allowNull: false,
+      defaultValue: 'redeemed'
+    },
+    reversedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('promo_code_redemptions', ['promoCodeId', 'userId']);
+  await queryInterface.addIndex('promo_code_redemptions', ['orderId'], { unique: true });
+
+  console.log('Adding promo code fields to orders, order_charges and carts');
+
+  await queryInterface.addColumn('orders', 'promoCodeId', {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'promo_codes',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  });
+  await queryInterface.addColumn('orders', 'promoDiscount', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  });
+
+  await queryInterface.addColumn('order_charges', 'promoCode', {
+    type: DataTypes.STRING(32),
+    allowNull: true
+  });
+  await queryInterface.addColumn('order_charges', 'promoDiscount', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  });
+  await queryInterface.addColumn('order_charges', 'promoFundedBy', {
+    type: DataTypes.ENUM('platform', 'farm'),
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('carts', 'promoCode', {
+    type: DataTypes.STRING(32),
+    allowNull: true
+  });
+
+  console.log('Promo code tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping promo code tables');
+
+  await queryInterface.removeColumn('carts', 'promoCode');
+  await queryInterface.removeColumn('order_charges', 'promoFundedBy');
+  await queryInterface.removeColumn('order_charges', 'promoDiscount');
+  await queryInterface.removeColumn('order_charges', 'promoCode');
+  await queryInterface.removeColumn('orders', 'promoDiscount');
+  await queryInterface.removeColumn('orders', 'promoCodeId');
+
+  await queryInterface.dropTable('promo_code_redemptions');
+  await queryInterface.dropTable('promo_codes');
+
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_order_charges_promoFundedBy";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promo_code_redemptions_status";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promo_code_redemptions_fundedBy";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promo_code_redemptions_discountType";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promo_codes_fundedBy";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promo_codes_discountType";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,114 @@
+/**
+ * FreshFarmily Dispatch Offers Migration
+ * Date: 2025-04-28
+ *
+ * Adds automatic dispatch:
+ * - Creates dispatch_offers, the batches of pending deliveries the
+ *   dispatcher proposes to drivers, with their score, planned route and
+ *   the time the driver has to accept or decline
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating dispatch_offers table');
+
+  await queryInterface.createTable('dispatch_offers', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    driverId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    deliveryIds: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      allowNull: false,
+      defaultValue: []
+    },
+    deliverySlotId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'delivery_slots',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'accepted', 'declined', 'expired', 'withdrawn'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    score: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    scoreDetails: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    routeData: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    declineReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    batchId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'delivery_batches',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('dispatch_offers', ['status', 'expiresAt']);
+  await queryInterface.addIndex('dispatch_offers', ['driverId', 'status']);
+
+  console.log('Dispatch offers table created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping dispatch_offers table');
+
+  await queryInterface.dropTable('dispatch_offers');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_dispatch_offers_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
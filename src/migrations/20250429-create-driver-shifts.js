@@ -0,0 +1,199 @@
+/**
+ * FreshFarmily Driver Shifts Migration
+ * Date: 2025-04-29
+ *
+ * Adds driver shifts and availability:
+ * - Creates driver_shifts, planned shifts and when drivers actually worked them
+ * - Creates driver_breaks, breaks taken during a shift
+ * - Creates driver_statuses, each driver's current state (offline, online
+ *   or on a break) and last known location
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating driver_shifts table');
+
+  await queryInterface.createTable('driver_shifts', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    driverId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'active', 'completed', 'cancelled', 'missed'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    plannedStart: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    plannedEnd: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    actualStart: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    actualEnd: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('driver_shifts', ['driverId', 'plannedStart']);
+  await queryInterface.addIndex('driver_shifts', ['driverId', 'actualStart']);
+  await queryInterface.addIndex('driver_shifts', ['status']);
+
+  console.log('Creating driver_breaks table');
+
+  await queryInterface.createTable('driver_breaks', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    shiftId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'driver_shifts',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    driverId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('driver_breaks', ['shiftId']);
+
+  console.log('Creating driver_statuses table');
+
+  await queryInterface.createTable('driver_statuses', {
+    driverId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    status: {
+      type: DataTypes.ENUM('offline', 'online', 'on_break'),
+      allowNull: false,
+      defaultValue: 'offline'
+    },
+    shiftId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'driver_shifts',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    latitude: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    longitude: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    locationUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    statusChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('driver_statuses', ['status']);
+
+  console.log('Driver shift tables created successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping driver shift tables');
+
+  await queryInterface.dropTable('driver_statuses');
+  await queryInterface.dropTable('driver_breaks');
+  await queryInterface.dropTable('driver_shifts');
+
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_driver_statuses_status";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_driver_shifts_status";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
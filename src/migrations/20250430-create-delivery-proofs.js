@@ -0,0 +1,113 @@
+/**
+ * FreshFarmily Delivery Proofs Migration
+ * Date: 2025-04-30
+ *
+ * Adds proof of delivery:
+ * - Creates delivery_proofs, the photos, signature, recipient and position
+ *   a driver captures when completing a delivery
+ * - Drops deliveries.deliveryProof, a single image URL nothing populated
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating delivery_proofs table');
+
+  await queryInterface.createTable('delivery_proofs', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    deliveryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'deliveries',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    driverId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    photoUrls: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    signatureUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    recipientName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    leftAtDoor: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    latitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    longitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    distanceMeters: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    geofenceRadiusMeters: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    overrideReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('delivery_proofs', ['driverId']);
+
+  console.log('Dropping deliveries.deliveryProof');
+
+  await queryInterface.removeColumn('deliveries', 'deliveryProof');
+
+  console.log('Delivery proofs migration completed successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping delivery_proofs table');
+
+  await queryInterface.addColumn('deliveries', 'deliveryProof', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+
+  await queryInterface.dropTable('delivery_proofs');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
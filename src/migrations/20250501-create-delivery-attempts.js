@@ -0,0 +1,153 @@
+/**
+ * FreshFarmily Delivery Attempts Migration
+ * Date: 2025-05-01
+ *
+ * Adds the failed delivery and redelivery workflow:
+ * - Creates delivery_attempts, every attempt to deliver an order with its
+ *   outcome, why it failed, what happened to the goods and how it was settled
+ * - Adds isPerishable to products
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Creating delivery_attempts table');
+
+  await queryInterface.createTable('delivery_attempts', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    deliveryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'deliveries',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    driverId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    attemptNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    outcome: {
+      type: DataTypes.ENUM('delivered', 'failed'),
+      allowNull: false
+    },
+    failureReason: {
+      type: DataTypes.ENUM('no_access', 'customer_absent', 'damaged', 'other'),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    latitude: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    longitude: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    goodsDisposition: {
+      type: DataTypes.ENUM('return_to_farm', 'donate'),
+      allowNull: true
+    },
+    resolution: {
+      type: DataTypes.ENUM('redelivery', 'refund'),
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolvedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    redeliverySlotId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'delivery_slots',
+        key: 'id'
+      }
+    },
+    refundId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'order_refunds',
+        key: 'id'
+      }
+    },
+    attemptedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: Sequelize.fn('NOW')
+    }
+  });
+
+  await queryInterface.addIndex('delivery_attempts', ['deliveryId', 'attemptNumber'], { unique: true });
+  await queryInterface.addIndex('delivery_attempts', ['orderId']);
+
+  console.log('Adding isPerishable to products');
+
+  await queryInterface.addColumn('products', 'isPerishable', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  });
+
+  console.log('Delivery attempts migration completed successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Dropping delivery_attempts table');
+
+  await queryInterface.removeColumn('products', 'isPerishable');
+  await queryInterface.dropTable('delivery_attempts');
+
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_delivery_attempts_outcome";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_delivery_attempts_failureReason";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_delivery_attempts_goodsDisposition";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_delivery_attempts_resolution";');
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
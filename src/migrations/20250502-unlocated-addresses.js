@@ -0,0 +1,74 @@
+/**
+ * FreshFarmily Unlocated Addresses Migration
+ * Date: 2025-05-02
+ *
+ * Addresses Google couldn't place used to get a made-up point near the
+ * fallback centre. They are now stored without coordinates as 'unlocated' and
+ * geocoded again later (see addressService), so existing fallback addresses
+ * lose their made-up coordinates, as do the deliveries still headed to them.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Making addresses unlocated instead of approximately located');
+
+  // Can't run inside a transaction on older PostgreSQL versions
+  await queryInterface.sequelize.query(`ALTER TYPE "enum_addresses_geocodeSource" ADD VALUE IF NOT EXISTS 'unlocated';`);
+
+  await queryInterface.changeColumn('addresses', 'latitude', {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  });
+  await queryInterface.changeColumn('addresses', 'longitude', {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  });
+
+  await queryInterface.sequelize.query(`
+    UPDATE deliveries SET "deliveryLatitude" = NULL, "deliveryLongitude" = NULL
+    WHERE status NOT IN ('delivered', 'cancelled')
+      AND "orderId" IN (
+        SELECT o.id FROM orders o
+        JOIN addresses a ON a.id = o."addressId"
+        WHERE a."geocodeSource" = 'fallback'
+      );
+  `);
+  await queryInterface.sequelize.query(`
+    UPDATE addresses SET latitude = NULL, longitude = NULL, "geocodeSource" = 'unlocated'
+    WHERE "geocodeSource" = 'fallback';
+  `);
+
+  await queryInterface.addIndex('addresses', ['geocodeSource']);
+
+  console.log('Fallback addresses are now unlocated');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Giving unlocated addresses approximate coordinates again');
+
+  await queryInterface.removeIndex('addresses', ['geocodeSource']);
+
+  // PostgreSQL can't drop an enum value; unlocated addresses go back to the
+  // old fallback centre so the columns can be required again
+  await queryInterface.sequelize.query(`
+    UPDATE addresses SET latitude = 43.6532, longitude = -79.3832, "geocodeSource" = 'fallback'
+    WHERE "geocodeSource" = 'unlocated';
+  `);
+
+  await queryInterface.changeColumn('addresses', 'latitude', {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  });
+  await queryInterface.changeColumn('addresses', 'longitude', {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  });
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,87 @@
+/**
+ * FreshFarmily Route Optimization History Migration
+ * Date: 2025-05-03
+ *
+ * The reset migration created route optimization history as
+ * route_optimization_history, with the columns of an older design and a
+ * required updatedAt. The RouteOptimizationHistory model writes to
+ * route_optimization_histories and never sets updatedAt, so every route
+ * optimization failed to save. This renames the table and brings its columns
+ * in line with the model. Databases built from the delivery migration already
+ * have the right table and are left alone.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Renaming route_optimization_history to route_optimization_histories');
+
+  const tables = (await queryInterface.showAllTables()).map(table => (typeof table === 'string' ? table : table.tableName));
+
+  if (tables.includes('route_optimization_history') && !tables.includes('route_optimization_histories')) {
+    await queryInterface.renameTable('route_optimization_history', 'route_optimization_histories');
+  }
+
+  const columns = await queryInterface.describeTable('route_optimization_histories');
+
+  if (columns.optimizationAlgorithm && !columns.optimizationStrategy) {
+    await queryInterface.renameColumn('route_optimization_histories', 'optimizationAlgorithm', 'optimizationStrategy');
+  }
+
+  if (columns.originalRoute && !columns.previousRoute) {
+    await queryInterface.renameColumn('route_optimization_histories', 'originalRoute', 'previousRoute');
+  }
+
+  if (!columns.driverId) {
+    await queryInterface.addColumn('route_optimization_histories', 'driverId', {
+      type: DataTypes.UUID,
+      allowNull: true
+    });
+
+    // Existing rows belong to whoever drives the batch
+    await queryInterface.sequelize.query(`
+      UPDATE route_optimization_histories h SET "driverId" = b."driverId"
+      FROM delivery_batches b
+      WHERE b.id = h."batchId";
+    `);
+  }
+
+  if (!columns.optimizationTime) {
+    await queryInterface.addColumn('route_optimization_histories', 'optimizationTime', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Time taken for optimization in milliseconds'
+    });
+  }
+
+  if (columns.updatedAt) {
+    await queryInterface.removeColumn('route_optimization_histories', 'updatedAt');
+  }
+
+  await queryInterface.changeColumn('route_optimization_histories', 'createdAt', {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('NOW')
+  });
+
+  console.log('Route optimization history now matches the model');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Restoring updatedAt on route optimization history');
+
+  // Only the updatedAt column is restored; the table keeps the name and
+  // columns the model uses, which the delivery migration creates as well
+  await queryInterface.addColumn('route_optimization_histories', 'updatedAt', {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('NOW')
+  });
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,87 @@
+/**
+ * FreshFarmily Private Delivery Proofs Migration
+ * Date: 2025-05-04
+ *
+ * Proof of delivery photos and signatures used to be served from the public
+ * /uploads/proofs directory. They now live in private storage (PROOF_STORAGE_DIR,
+ * see middleware/upload) and are only served through
+ * GET /api/deliveries/:id/proof/files/:filename. This moves the files there
+ * and points the stored URLs at that route. Run it with the API's
+ * PROOF_STORAGE_DIR set; the files are copied and then removed, so private
+ * storage can be on another filesystem. If any file can't be moved the
+ * migration fails, and running it again moves the rest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const publicProofDir = path.join(__dirname, '../../uploads/proofs');
+const proofDir = process.env.PROOF_STORAGE_DIR || path.join(__dirname, '../../storage/proofs');
+
+function moveProofFiles() {
+  if (!fs.existsSync(publicProofDir)) {
+    return;
+  }
+
+  console.log(`Moving delivery proof files from ${publicProofDir} to ${proofDir}`);
+  fs.mkdirSync(proofDir, { recursive: true });
+
+  const failed = [];
+  for (const filename of fs.readdirSync(publicProofDir)) {
+    try {
+      fs.copyFileSync(path.join(publicProofDir, filename), path.join(proofDir, filename));
+      fs.unlinkSync(path.join(publicProofDir, filename));
+    } catch (error) {
+      console.error(`Could not move delivery proof file ${filename}: ${error.message}`);
+      failed.push(filename);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} delivery proof files could not be moved; fix the errors above and run the migration again`);
+  }
+
+  fs.rmdirSync(publicProofDir);
+}
+
+async function up(queryInterface, Sequelize) {
+  moveProofFiles();
+
+  console.log('Pointing delivery proof URLs at the authorized proof files route');
+
+  await queryInterface.sequelize.query(`
+    UPDATE delivery_proofs SET
+      "photoUrls" = ARRAY(
+        SELECT '/api/deliveries/' || "deliveryId" || '/proof/files/' || regexp_replace(url, '^.*/', '')
+        FROM unnest("photoUrls") WITH ORDINALITY AS photo(url, position)
+        ORDER BY position
+      ),
+      "signatureUrl" = CASE WHEN "signatureUrl" IS NULL THEN NULL
+        ELSE '/api/deliveries/' || "deliveryId" || '/proof/files/' || regexp_replace("signatureUrl", '^.*/', '') END;
+  `);
+
+  console.log('Delivery proof URLs updated');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Pointing delivery proof URLs back at /uploads/proofs');
+
+  // The files themselves stay in private storage
+  await queryInterface.sequelize.query(`
+    UPDATE delivery_proofs SET
+      "photoUrls" = ARRAY(
+        SELECT '/uploads/proofs/' || regexp_replace(url, '^.*/', '')
+        FROM unnest("photoUrls") WITH ORDINALITY AS photo(url, position)
+        ORDER BY position
+      ),
+      "signatureUrl" = CASE WHEN "signatureUrl" IS NULL THEN NULL
+        ELSE '/uploads/proofs/' || regexp_replace("signatureUrl", '^.*/', '') END;
+  `);
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
@@ -0,0 +1,49 @@
+/**
+ * FreshFarmily Per-Item Delivery Dispositions Migration
+ * Date: 2025-05-05
+ *
+ * A failed delivery's goods used to get one disposition for the whole order,
+ * so donating an order with any perishable in it recorded its non-perishables
+ * as donated too. Each item's disposition is now recorded on the attempt:
+ * perishables may be donated and everything else goes back to the farm, which
+ * the attempt sums up as partial_donation. Failed attempts the customer never
+ * decides on are refunded automatically, found by the new index.
+ */
+
+const { DataTypes } = require('sequelize');
+
+async function up(queryInterface, Sequelize) {
+  console.log('Recording failed delivery dispositions per item');
+
+  // Can't run inside a transaction on older PostgreSQL versions
+  await queryInterface.sequelize.query(`ALTER TYPE "enum_delivery_attempts_goodsDisposition" ADD VALUE IF NOT EXISTS 'partial_donation';`);
+
+  await queryInterface.addColumn('delivery_attempts', 'itemDispositions', {
+    type: DataTypes.JSONB,
+    allowNull: true
+  });
+
+  await queryInterface.addIndex('delivery_attempts', ['outcome', 'resolution', 'attemptedAt']);
+
+  console.log('Per-item dispositions migration completed successfully');
+}
+
+async function down(queryInterface, Sequelize) {
+  console.log('Removing per-item dispositions from delivery_attempts');
+
+  await queryInterface.removeIndex('delivery_attempts', ['outcome', 'resolution', 'attemptedAt']);
+  await queryInterface.removeColumn('delivery_attempts', 'itemDispositions');
+
+  // PostgreSQL can't drop an enum value; partial donations read as donations
+  await queryInterface.sequelize.query(`
+    UPDATE delivery_attempts SET "goodsDisposition" = 'donate'
+    WHERE "goodsDisposition" = 'partial_donation';
+  `);
+
+  console.log('Rollback migration completed successfully');
+}
+
+module.exports = {
+  up,
+  down
+};
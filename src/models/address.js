@@ -0,0 +1,221 @@
+/**
+ * Address Models
+ *
+ * Defines the customer address book, the geocoding cache and the areas
+ * FreshFarmily delivers to. Addresses are geocoded when saved, so orders
+ * placed to a saved address always carry delivery coordinates.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Address model - a user's saved delivery addresses
+const Address = sequelize.define('Address', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  label: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'Home',
+    comment: 'Name the user gave the address, e.g. Home or Work'
+  },
+  recipientName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  streetAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  state: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Province or state code'
+  },
+  zipCode: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    defaultValue: 'CA'
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  deliveryInstructions: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'null while the address is unlocated'
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'null while the address is unlocated'
+  },
+  formattedAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  geocodeSource: {
+    type: DataTypes.ENUM('google', 'unlocated'),
+    allowNull: false,
+    comment: 'unlocated addresses are geocoded again later (see addressService)'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'addresses',
+  indexes: [
+    {
+      fields: ['userId', 'isDefault']
+    }
+  ]
+});
+
+// GeocodeCache model - geocoding results keyed by normalized address
+const GeocodeCache = sequelize.define('GeocodeCache', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  queryHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the normalized address'
+  },
+  query: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  formattedAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'geocode_cache'
+});
+
+// ServiceArea model - a circle FreshFarmily delivers within
+const ServiceArea = sequelize.define('ServiceArea', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  centerLatitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  centerLongitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  radiusKm: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'service_areas'
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+  const { Order } = require('./order');
+
+  User.hasMany(Address, {
+    foreignKey: 'userId',
+    as: 'Addresses',
+    onDelete: 'CASCADE'
+  });
+
+  Address.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'User'
+  });
+
+  Order.belongsTo(Address, {
+    foreignKey: 'addressId',
+    as: 'Address',
+    constraints: false
+  });
+
+  logger.debug('Address model associations established');
+};
+
+// Export models
+module.exports = {
+  Address,
+  GeocodeCache,
+  ServiceArea,
+  establishAssociations
+};
@@ -0,0 +1,198 @@
+/**
+ * Box Subscription Models
+ *
+ * Defines recurring CSA box subscriptions for the FreshFarmily system. A
+ * subscription delivers a farm's box product on a weekly or biweekly cadence
+ * in one of the customer's delivery windows, charged to a saved card. Each
+ * delivery date is a cycle; a cycle row is only stored once something
+ * happens to it (skipped, items swapped, order placed or failed).
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// BoxSubscription model - a customer's recurring box
+const BoxSubscription = sequelize.define('BoxSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'The box product delivered each cycle'
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 1
+  },
+  cadence: {
+    type: DataTypes.ENUM('weekly', 'biweekly'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'paused', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  addressId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  deliveryWindowId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  paymentMethodId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Saved card to charge; null charges the default card'
+  },
+  nextDeliveryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'First delivery date no order has been placed for yet'
+  },
+  pausedUntil: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Deliveries before this date are skipped'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'box_subscriptions',
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status', 'nextDeliveryDate']
+    },
+    {
+      fields: ['farmId']
+    }
+  ]
+});
+
+// BoxSubscriptionCycle model - what happens to one delivery date
+const BoxSubscriptionCycle = sequelize.define('BoxSubscriptionCycle', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  subscriptionId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  deliveryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'skipped', 'ordered', 'failed'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+  items: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Items swapped in for this delivery, [{ productId, quantity }]; null delivers the box'
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'box_subscription_cycles',
+  indexes: [
+    {
+      unique: true,
+      fields: ['subscriptionId', 'deliveryDate']
+    },
+    {
+      fields: ['orderId']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+  const { Product } = require('./product');
+  const { Order } = require('./order');
+  const { DeliveryWindow } = require('./deliverySlot');
+
+  BoxSubscription.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'User'
+  });
+
+  BoxSubscription.belongsTo(Product, {
+    foreignKey: 'productId',
+    as: 'Product'
+  });
+
+  BoxSubscription.belongsTo(DeliveryWindow, {
+    foreignKey: 'deliveryWindowId',
+    as: 'DeliveryWindow'
+  });
+
+  BoxSubscription.hasMany(BoxSubscriptionCycle, {
+    foreignKey: 'subscriptionId',
+    as: 'Cycles'
+  });
+
+  BoxSubscriptionCycle.belongsTo(BoxSubscription, {
+    foreignKey: 'subscriptionId',
+    as: 'Subscription'
+  });
+
+  BoxSubscriptionCycle.belongsTo(Order, {
+    foreignKey: 'orderId',
+    as: 'Order'
+  });
+
+  logger.debug('Box subscription model associations established');
+};
+
+// Export models
+module.exports = {
+  BoxSubscription,
+  BoxSubscriptionCycle,
+  establishAssociations
+};
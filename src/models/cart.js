@@ -41,6 +41,11 @@ Cart.init({
     defaultValue: 0,
     allowNull: false
   },
+  serviceFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    allowNull: false
+  },
   discount: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0,
@@ -71,6 +76,10 @@ Cart.init({
     defaultValue: false,
     allowNull: false
   },
+  promoCode: {
+    type: DataTypes.STRING(32),
+    allowNull: true
+  },
   lastActivity: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
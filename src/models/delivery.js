@@ -28,6 +28,10 @@ const Delivery = sequelize.define('Delivery', {
     type: DataTypes.UUID,
     allowNull: true
   },
+  deliverySlotId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   status: {
     type: DataTypes.ENUM(
       'pending',
@@ -136,10 +140,6 @@ const Delivery = sequelize.define('Delivery', {
     type: DataTypes.TEXT,
     allowNull: true
   },
-  deliveryProof: {
-    type: DataTypes.STRING, // URL to delivery proof image
-    allowNull: true
-  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -173,6 +173,11 @@ const DeliveryBatch = sequelize.define('DeliveryBatch', {
     type: DataTypes.UUID,
     allowNull: false
   },
+  deliverySlotId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Slot every delivery in the batch was booked into'
+  },
   status: {
     type: DataTypes.ENUM('active', 'completed', 'cancelled'),
     defaultValue: 'active'
@@ -236,6 +241,7 @@ const DeliveryBatch = sequelize.define('DeliveryBatch', {
     defaultValue: DataTypes.NOW
   }
 }, {
+  tableName: 'delivery_batches',
   hooks: {
     afterCreate: async (batch) => {
       logger.info(`New delivery batch created: ${batch.id} for driver ${batch.driverId} with ${batch.deliveryCount} deliveries`);
@@ -295,6 +301,18 @@ const DeliveryTracking = sequelize.define('DeliveryTracking', {
     type: DataTypes.STRING, // GPS, Network, etc.
     allowNull: true
   }
+}, {
+  tableName: 'delivery_trackings',
+  // Points carry their own device timestamp; the table has no createdAt/updatedAt
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['deliveryId', 'timestamp']
+    },
+    {
+      fields: ['timestamp']
+    }
+  ]
 });
 
 // Create RouteOptimizationHistory model for tracking route optimizations
@@ -325,7 +343,7 @@ const RouteOptimizationHistory = sequelize.define('RouteOptimizationHistory', {
     allowNull: false
   },
   optimizationTime: {
-    type: DataTypes.INTEGER, // in milliseconds
+    type: DataTypes.INTEGER, // time taken to optimize, in milliseconds
     allowNull: true
   },
   distanceSaved: {
@@ -340,6 +358,180 @@ const RouteOptimizationHistory = sequelize.define('RouteOptimizationHistory', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'route_optimization_histories',
+  // History rows are never updated; the table has no updatedAt
+  updatedAt: false
+});
+
+// Create DeliveryProof model for what the driver captured when handing over an order
+const DeliveryProof = sequelize.define('DeliveryProof', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  deliveryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  photoUrls: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: []
+  },
+  signatureUrl: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  recipientName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  leftAtDoor: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  latitude: {
+    type: DataTypes.FLOAT, // Driver's position when completing the delivery
+    allowNull: false
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  distanceMeters: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Distance from the delivery address; null if the address has no coordinates'
+  },
+  geofenceRadiusMeters: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  overrideReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Why the driver completed the delivery outside the geofence'
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'delivery_proofs',
+  // Proofs are never changed once captured
+  updatedAt: false
+});
+
+// Create DeliveryAttempt model for the history of every attempt to deliver an order
+const DeliveryAttempt = sequelize.define('DeliveryAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  deliveryId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  attemptNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  outcome: {
+    type: DataTypes.ENUM('delivered', 'failed'),
+    allowNull: false
+  },
+  failureReason: {
+    type: DataTypes.ENUM('no_access', 'customer_absent', 'damaged', 'other'),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  latitude: {
+    type: DataTypes.FLOAT, // Driver's position at the attempt
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  goodsDisposition: {
+    type: DataTypes.ENUM('return_to_farm', 'donate', 'partial_donation'),
+    allowNull: true,
+    comment: 'What happened to the goods of a failed attempt: partial_donation when only the perishables were donated'
+  },
+  itemDispositions: {
+    type: DataTypes.JSONB, // [{ orderItemId, farmId, productName, disposition }]
+    allowNull: true,
+    comment: 'What happened to each item of a failed attempt'
+  },
+  resolution: {
+    type: DataTypes.ENUM('redelivery', 'refund'),
+    allowNull: true,
+    comment: 'How a failed attempt was settled; null while the customer decides'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Null when the refund was automatic'
+  },
+  redeliverySlotId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  refundId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  attemptedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'delivery_attempts',
+  indexes: [
+    {
+      fields: ['deliveryId', 'attemptNumber'],
+      unique: true
+    },
+    {
+      fields: ['orderId']
+    }
+  ]
 });
 
 // Establish associations
@@ -370,6 +562,15 @@ function establishAssociations() {
   // DeliveryBatch has many RouteOptimizationHistory records
   DeliveryBatch.hasMany(RouteOptimizationHistory, { foreignKey: 'batchId', as: 'OptimizationHistory' });
   RouteOptimizationHistory.belongsTo(DeliveryBatch, { foreignKey: 'batchId' });
+  
+  // Delivery has one DeliveryProof once it is delivered
+  Delivery.hasOne(DeliveryProof, { foreignKey: 'deliveryId', as: 'Proof' });
+  DeliveryProof.belongsTo(Delivery, { foreignKey: 'deliveryId' });
+  
+  // Delivery has many DeliveryAttempts, delivered or failed
+  Delivery.hasMany(DeliveryAttempt, { foreignKey: 'deliveryId', as: 'Attempts' });
+  DeliveryAttempt.belongsTo(Delivery, { foreignKey: 'deliveryId' });
+  DeliveryAttempt.belongsTo(User, { foreignKey: 'driverId', as: 'Driver' });
 }
 
 // Call this function from models/index.js
@@ -378,5 +579,7 @@ module.exports = {
   DeliveryTracking,
   DeliveryBatch,
   RouteOptimizationHistory,
+  DeliveryProof,
+  DeliveryAttempt,
   establishAssociations
 };
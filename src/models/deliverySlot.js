@@ -0,0 +1,195 @@
+/**
+ * Delivery Slot Models
+ *
+ * Defines the delivery windows customers book at checkout. A window repeats
+ * weekly (e.g. Tuesdays 16:00-19:00 in one service area) and its capacity
+ * is the number of drivers working it times the deliveries each can make.
+ * A DeliverySlot is one dated occurrence of a window and counts the orders
+ * booked into it; slots are created the first time they are booked.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// DeliveryWindow model - a weekly, bookable delivery window
+const DeliveryWindow = sequelize.define('DeliveryWindow', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  serviceAreaId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Service area the window covers; null covers every area'
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Farm running its own deliveries in this window; null for platform windows open to every order'
+  },
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 6
+    },
+    comment: '0 = Sunday'
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'Local time, HH:MM'
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'Local time, HH:MM'
+  },
+  driverCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  deliveriesPerDriver: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3
+  },
+  cutoffHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 12,
+    comment: 'Bookings close this many hours before the window starts'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'delivery_windows',
+  indexes: [
+    {
+      fields: ['serviceAreaId', 'dayOfWeek']
+    },
+    {
+      fields: ['farmId']
+    }
+  ]
+});
+
+// DeliverySlot model - one dated occurrence of a window and its bookings
+const DeliverySlot = sequelize.define('DeliverySlot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  windowId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  bookedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'delivery_slots',
+  indexes: [
+    {
+      unique: true,
+      fields: ['windowId', 'date']
+    },
+    {
+      fields: ['startsAt']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { ServiceArea } = require('./address');
+  const { Farm } = require('./farm');
+  const { Order } = require('./order');
+  const { Delivery, DeliveryBatch } = require('./delivery');
+
+  DeliveryWindow.belongsTo(ServiceArea, {
+    foreignKey: 'serviceAreaId',
+    as: 'ServiceArea'
+  });
+
+  DeliveryWindow.belongsTo(Farm, {
+    foreignKey: 'farmId',
+    as: 'Farm'
+  });
+
+  DeliveryWindow.hasMany(DeliverySlot, {
+    foreignKey: 'windowId',
+    as: 'Slots'
+  });
+
+  DeliverySlot.belongsTo(DeliveryWindow, {
+    foreignKey: 'windowId',
+    as: 'Window'
+  });
+
+  Order.belongsTo(DeliverySlot, {
+    foreignKey: 'deliverySlotId',
+    as: 'DeliverySlot'
+  });
+
+  Delivery.belongsTo(DeliverySlot, {
+    foreignKey: 'deliverySlotId',
+    as: 'DeliverySlot'
+  });
+
+  DeliveryBatch.belongsTo(DeliverySlot, {
+    foreignKey: 'deliverySlotId',
+    as: 'DeliverySlot'
+  });
+
+  logger.debug('Delivery slot model associations established');
+};
+
+// Export models
+module.exports = {
+  DeliveryWindow,
+  DeliverySlot,
+  establishAssociations
+};
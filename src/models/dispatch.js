@@ -0,0 +1,123 @@
+/**
+ * Dispatch Models
+ *
+ * Defines the offers the automatic dispatcher makes to drivers. An offer
+ * proposes a batch of pending deliveries to one driver, who has until
+ * expiresAt to accept or decline it. Accepting turns the offer into a
+ * DeliveryBatch; declined and expired offers free their deliveries to be
+ * offered to someone else.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// DispatchOffer model - a batch of deliveries proposed to one driver
+const DispatchOffer = sequelize.define('DispatchOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  deliveryIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    allowNull: false,
+    defaultValue: []
+  },
+  deliverySlotId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Slot every offered delivery was booked into'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'expired', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  score: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Weighted dispatch score, 0 to 1'
+  },
+  scoreDetails: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Factor scores, the weights used and the driver\'s distance in km'
+  },
+  routeData: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Planned route for the offered deliveries'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  declineReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  batchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Batch created when the offer was accepted'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'dispatch_offers',
+  indexes: [
+    {
+      fields: ['status', 'expiresAt']
+    },
+    {
+      fields: ['driverId', 'status']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+  const { DeliveryBatch } = require('./delivery');
+
+  User.hasMany(DispatchOffer, {
+    foreignKey: 'driverId',
+    as: 'DispatchOffers'
+  });
+
+  DispatchOffer.belongsTo(User, {
+    foreignKey: 'driverId',
+    as: 'Driver'
+  });
+
+  DispatchOffer.belongsTo(DeliveryBatch, {
+    foreignKey: 'batchId',
+    as: 'Batch'
+  });
+
+  logger.debug('Dispatch model associations established');
+};
+
+// Export models
+module.exports = {
+  DispatchOffer,
+  establishAssociations
+};
@@ -0,0 +1,218 @@
+/**
+ * Driver Shift Models
+ *
+ * Defines when drivers work. A DriverShift is planned ahead (plannedStart to
+ * plannedEnd) and records when the driver actually went online and offline;
+ * shifts a driver starts without planning have no planned times. Breaks taken
+ * during a shift are DriverBreaks. DriverStatus holds each driver's current
+ * state (offline, online or on a break) and last known location.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// DriverShift model - a planned or worked shift
+const DriverShift = sequelize.define('DriverShift', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'active', 'completed', 'cancelled', 'missed'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+  plannedStart: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null for shifts started without planning'
+  },
+  plannedEnd: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  actualStart: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the driver went online'
+  },
+  actualEnd: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the driver went offline'
+  },
+  notes: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'driver_shifts',
+  indexes: [
+    {
+      fields: ['driverId', 'plannedStart']
+    },
+    {
+      fields: ['driverId', 'actualStart']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// DriverBreak model - a break taken during a shift
+const DriverBreak = sequelize.define('DriverBreak', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shiftId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'driver_breaks',
+  indexes: [
+    {
+      fields: ['shiftId']
+    }
+  ]
+});
+
+// DriverStatus model - one row per driver with their current state
+const DriverStatus = sequelize.define('DriverStatus', {
+  driverId: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.ENUM('offline', 'online', 'on_break'),
+    allowNull: false,
+    defaultValue: 'offline'
+  },
+  shiftId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Shift in progress while online or on a break'
+  },
+  latitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  locationUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  statusChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'driver_statuses',
+  indexes: [
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+
+  User.hasMany(DriverShift, {
+    foreignKey: 'driverId',
+    as: 'Shifts'
+  });
+
+  DriverShift.belongsTo(User, {
+    foreignKey: 'driverId',
+    as: 'Driver'
+  });
+
+  DriverShift.hasMany(DriverBreak, {
+    foreignKey: 'shiftId',
+    as: 'Breaks'
+  });
+
+  DriverBreak.belongsTo(DriverShift, {
+    foreignKey: 'shiftId',
+    as: 'Shift'
+  });
+
+  User.hasOne(DriverStatus, {
+    foreignKey: 'driverId',
+    as: 'DriverStatus'
+  });
+
+  DriverStatus.belongsTo(User, {
+    foreignKey: 'driverId',
+    as: 'Driver'
+  });
+
+  DriverStatus.belongsTo(DriverShift, {
+    foreignKey: 'shiftId',
+    as: 'Shift'
+  });
+
+  logger.debug('Driver shift model associations established');
+};
+
+// Export models
+module.exports = {
+  DriverShift,
+  DriverBreak,
+  DriverStatus,
+  establishAssociations
+};
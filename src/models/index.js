@@ -9,11 +9,23 @@ const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
 
 // Import models
-const { User, Profile } = require('./user');
+const { User, Profile, UserToken } = require('./user');
 const { Farm, FarmPhoto, establishFarmAssociations } = require('./farm');
-const { Product, ProductPhoto, ProductReview } = require('./product');
+const { Product, ProductPhoto, ProductVariant, ProductReview } = require('./product');
 const { Order, OrderItem, establishOrderAssociations } = require('./order');
 const { Delivery } = require('./delivery');
+const { establishAssociations: establishPaymentAssociations } = require('./payment');
+const { establishAssociations: establishInventoryAssociations } = require('./inventory');
+const { establishAssociations: establishPricingAssociations } = require('./pricing');
+const { establishAssociations: establishNotificationAssociations } = require('./notification');
+const { UserSession, RefreshToken, establishAssociations: establishSessionAssociations } = require('./session');
+const { Address, establishAssociations: establishAddressAssociations } = require('./address');
+const { establishAssociations: establishSettingAssociations } = require('./setting');
+const { establishAssociations: establishDeliverySlotAssociations } = require('./deliverySlot');
+const { establishAssociations: establishBoxSubscriptionAssociations } = require('./boxSubscription');
+const { establishAssociations: establishPromoCodeAssociations } = require('./promoCode');
+const { establishAssociations: establishDispatchAssociations } = require('./dispatch');
+const { establishAssociations: establishDriverShiftAssociations } = require('./driverShift');
 
 /**
  * Initialize models and their associations
@@ -48,6 +60,9 @@ function initializeModels() {
       onUpdate: 'CASCADE' 
     });
 
+    User.hasMany(UserToken, { foreignKey: 'userId', as: 'Tokens', onDelete: 'CASCADE' });
+    UserToken.belongsTo(User, { foreignKey: 'userId', as: 'User' });
+
     // Farm associations - fixing the association with User
     Farm.belongsTo(User, { 
       foreignKey: 'farmerId', 
@@ -62,11 +77,13 @@ function initializeModels() {
     Product.hasMany(ProductPhoto, { foreignKey: 'productId', as: 'ProductPhotos' });
     Product.hasMany(ProductReview, { foreignKey: 'productId', as: 'Reviews' });
     Product.hasMany(OrderItem, { foreignKey: 'productId', as: 'OrderItems' });
+    Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'Variants' });
+    ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'Product', onDelete: 'CASCADE' });
 
     // Order associations
     Order.belongsTo(User, { foreignKey: 'userId', as: 'Consumer' });
     Order.hasMany(OrderItem, { foreignKey: 'orderId', as: 'Items' });
-    // PaymentInfo association removed until PaymentInfo model is properly implemented
+    // PaymentInfo associations are set up by the payment model's association setter
     Order.hasOne(Delivery, { foreignKey: 'orderId', as: 'Delivery' });
 
     // OrderItem associations
@@ -86,6 +103,54 @@ function initializeModels() {
       establishOrderAssociations();
     }
 
+    if (typeof establishPaymentAssociations === 'function') {
+      establishPaymentAssociations();
+    }
+
+    if (typeof establishInventoryAssociations === 'function') {
+      establishInventoryAssociations();
+    }
+
+    if (typeof establishPricingAssociations === 'function') {
+      establishPricingAssociations();
+    }
+
+    if (typeof establishNotificationAssociations === 'function') {
+      establishNotificationAssociations();
+    }
+
+    if (typeof establishSessionAssociations === 'function') {
+      establishSessionAssociations();
+    }
+
+    if (typeof establishAddressAssociations === 'function') {
+      establishAddressAssociations();
+    }
+
+    if (typeof establishSettingAssociations === 'function') {
+      establishSettingAssociations();
+    }
+
+    if (typeof establishDeliverySlotAssociations === 'function') {
+      establishDeliverySlotAssociations();
+    }
+
+    if (typeof establishBoxSubscriptionAssociations === 'function') {
+      establishBoxSubscriptionAssociations();
+    }
+
+    if (typeof establishPromoCodeAssociations === 'function') {
+      establishPromoCodeAssociations();
+    }
+
+    if (typeof establishDispatchAssociations === 'function') {
+      establishDispatchAssociations();
+    }
+
+    if (typeof establishDriverShiftAssociations === 'function') {
+      establishDriverShiftAssociations();
+    }
+
     logger.info('Model associations initialized successfully');
   } catch (error) {
     logger.error(`Error initializing model associations: ${error.message}`);
@@ -98,10 +163,15 @@ module.exports = {
   sequelize,
   User,
   Profile,
+  UserToken,
+  UserSession,
+  RefreshToken,
+  Address,
   Farm,
   FarmPhoto,
   Product,
   ProductPhoto,
+  ProductVariant,
   ProductReview,
   Order,
   OrderItem,
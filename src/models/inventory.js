@@ -0,0 +1,125 @@
+/**
+ * Inventory Models
+ *
+ * Defines the inventory ledger for the FreshFarmily system. Every change to
+ * the quantityAvailable of a product or one of its variants is recorded with
+ * a reason so farmers can see why their stock moved.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// InventoryLedgerEntry model - one row per stock movement
+const InventoryLedgerEntry = sequelize.define('InventoryLedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Variant whose stock moved; null for the product\'s own stock'
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Order that caused the movement, if any'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'User who triggered the movement (customer, farmer or admin)'
+  },
+  reason: {
+    type: DataTypes.ENUM(
+      'order_reserved',
+      'order_cancelled',
+      'payment_failed',
+      'manual_adjustment'
+    ),
+    allowNull: false
+  },
+  quantityChange: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Negative when stock is taken, positive when it is returned or added'
+  },
+  quantityAfter: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'quantityAvailable of the product (or variant) after this movement'
+  },
+  markedUnavailable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'True when this movement emptied the stock and flagged the product (or variant) unavailable'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'inventory_ledger',
+  indexes: [
+    {
+      fields: ['productId']
+    },
+    {
+      fields: ['farmId']
+    },
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { Product } = require('./product');
+  const { Order } = require('./order');
+
+  InventoryLedgerEntry.belongsTo(Product, {
+    foreignKey: 'productId',
+    as: 'Product'
+  });
+
+  Product.hasMany(InventoryLedgerEntry, {
+    foreignKey: 'productId',
+    as: 'InventoryLedger'
+  });
+
+  InventoryLedgerEntry.belongsTo(Order, {
+    foreignKey: 'orderId',
+    as: 'Order'
+  });
+
+  logger.debug('Inventory model associations established');
+};
+
+// Export models
+module.exports = {
+  InventoryLedgerEntry,
+  establishAssociations
+};
@@ -0,0 +1,114 @@
+/**
+ * Notification Models
+ *
+ * Defines the notification outbox for the FreshFarmily system. Messages are
+ * rendered and written here in the same transaction as the change that
+ * caused them, then sent by the outbox worker with retries.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// NotificationOutbox model - one row per message per channel
+const NotificationOutbox = sequelize.define('NotificationOutbox', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'sms'),
+    allowNull: false
+  },
+  template: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  recipient: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Email address or phone number at the time the message was queued'
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Email subject; unused for SMS'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  dedupeKey: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Identifies the event so the same message is never queued twice'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'notification_outbox',
+  indexes: [
+    {
+      fields: ['status', 'nextAttemptAt']
+    },
+    {
+      fields: ['userId', 'createdAt']
+    },
+    {
+      unique: true,
+      fields: ['dedupeKey', 'channel']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+
+  NotificationOutbox.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'User'
+  });
+
+  logger.debug('Notification model associations established');
+};
+
+// Export models
+module.exports = {
+  NotificationOutbox,
+  establishAssociations
+};
@@ -1,7 +1,8 @@
 /**
  * Order Model
  * 
- * Defines the order entity and related order item models for the FreshFarmily system
+ * Defines the order entity and related order item, per-farm fulfillment
+ * and status history models for the FreshFarmily system
  */
 
 const { DataTypes } = require('sequelize');
@@ -58,16 +59,43 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     defaultValue: 0.00
   },
+  serviceFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Platform service charge plus payment processing, as quoted at checkout'
+  },
   discountAmount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     defaultValue: 0.00
   },
+  promoCodeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Promo code redeemed at checkout'
+  },
+  promoDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Product and delivery discount from the promo code, included in discountAmount and deliveryFee'
+  },
   deliveryMethod: {
     type: DataTypes.ENUM('pickup', 'delivery'),
     allowNull: false,
     defaultValue: 'pickup'
   },
+  addressId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Saved address the order is delivered to; the delivery fields below are a copy of it'
+  },
+  deliverySlotId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Delivery slot held for the order at checkout'
+  },
   deliveryAddress: {
     type: DataTypes.STRING,
     allowNull: true
@@ -106,13 +134,18 @@ const Order = sequelize.define('Order', {
     defaultValue: 'card'
   },
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
+    type: DataTypes.ENUM('pending', 'authorized', 'paid', 'failed', 'refunded'),
     defaultValue: 'pending'
   },
   paymentIntentId: {
     type: DataTypes.STRING,
     allowNull: true
   },
+  authorizedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Amount held on the card for orders with catch-weight items, captured once they are weighed; null for orders charged straight away'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -193,17 +226,36 @@ const OrderItem = sequelize.define('OrderItem', {
     type: DataTypes.UUID,
     allowNull: false
   },
+  fulfillmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Per-farm fulfillment group this item belongs to'
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Size or pack ordered, for products that have them'
+  },
   productName: {
     type: DataTypes.STRING,
     allowNull: false
   },
+  variantName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sku: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   farmName: {
     type: DataTypes.STRING,
     allowNull: false
   },
   quantity: {
     type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+    allowNull: false,
+    comment: 'In the item\'s unit, or number of pieces for catch-weight items'
   },
   unit: {
     type: DataTypes.STRING,
@@ -215,7 +267,31 @@ const OrderItem = sequelize.define('OrderItem', {
   },
   totalPrice: {
     type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+    allowNull: false,
+    comment: 'For catch-weight items, the estimate until the actual weight is recorded'
+  },
+  isCatchWeight: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  estimatedWeight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    comment: 'Weight the customer authorized for catch-weight items, in the item\'s unit'
+  },
+  actualWeight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    comment: 'Weight recorded by the farm at packing'
+  },
+  weighedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  weighedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
   },
   discountPercent: {
     type: DataTypes.INTEGER,
@@ -269,10 +345,167 @@ const OrderItem = sequelize.define('OrderItem', {
   }
 });
 
+// OrderFulfillment model - the portion of an order supplied by a single farm
+const OrderFulfillment = sequelize.define('OrderFulfillment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  farmName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(
+      'pending',
+      'confirmed',
+      'processing',
+      'ready',
+      'picked_up',
+      'rejected',
+      'cancelled'
+    ),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  pickupAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  pickupLatitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  pickupLongitude: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  readyAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  pickedUpAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Amount refunded to the customer for this farm\'s portion'
+  },
+  refundId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'order_fulfillments',
+  indexes: [
+    {
+      fields: ['orderId', 'farmId'],
+      unique: true
+    },
+    {
+      fields: ['farmId', 'status']
+    }
+  ]
+});
+
+// OrderStatusHistory model - audit trail of every order status change
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Null for the initial status when the order is created'
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'User who made the change; null for system changes (e.g. payment webhooks)'
+  },
+  actorRole: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isOverride: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'True when an admin forced a transition the state machine would not allow'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'order_status_history',
+  // History rows are never updated
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['orderId', 'createdAt']
+    },
+    {
+      fields: ['changedBy']
+    }
+  ]
+});
+
 // Establish associations 
 const establishAssociations = () => {
   const { User } = require('./user');
-  const { Product } = require('./product');
+  const { Product, ProductVariant } = require('./product');
   const { Farm } = require('./farm');
   const { Delivery } = require('./delivery');
   
@@ -305,12 +538,60 @@ const establishAssociations = () => {
     foreignKey: 'farmId'
   });
   
+  // OrderItem may be for one of the product's variants
+  OrderItem.belongsTo(ProductVariant, {
+    foreignKey: 'variantId',
+    as: 'Variant'
+  });
+  
   // Order has one Delivery
   Order.hasOne(Delivery, {
     foreignKey: 'orderId',
     as: 'DeliveryInfo'
   });
   
+  // Order is split into one fulfillment group per farm
+  Order.hasMany(OrderFulfillment, {
+    foreignKey: 'orderId',
+    as: 'Fulfillments',
+    onDelete: 'CASCADE'
+  });
+  
+  OrderFulfillment.belongsTo(Order, {
+    foreignKey: 'orderId'
+  });
+  
+  OrderFulfillment.belongsTo(Farm, {
+    foreignKey: 'farmId',
+    as: 'Farm'
+  });
+  
+  OrderFulfillment.hasMany(OrderItem, {
+    foreignKey: 'fulfillmentId',
+    as: 'Items'
+  });
+  
+  OrderItem.belongsTo(OrderFulfillment, {
+    foreignKey: 'fulfillmentId',
+    as: 'Fulfillment'
+  });
+  
+  // Order has many status history entries
+  Order.hasMany(OrderStatusHistory, {
+    foreignKey: 'orderId',
+    as: 'StatusHistory',
+    onDelete: 'CASCADE'
+  });
+  
+  OrderStatusHistory.belongsTo(Order, {
+    foreignKey: 'orderId'
+  });
+  
+  OrderStatusHistory.belongsTo(User, {
+    foreignKey: 'changedBy',
+    as: 'ChangedBy'
+  });
+  
   logger.debug('Order associations established');
 };
 
@@ -318,5 +599,7 @@ const establishAssociations = () => {
 module.exports = {
   Order,
   OrderItem,
+  OrderFulfillment,
+  OrderStatusHistory,
   establishOrderAssociations: establishAssociations
 };
@@ -5,6 +5,8 @@
  * - Payment information
  * - Farmer payments (platform commission tracking)
  * - Farmer payouts (weekly settlement)
+ * - Stripe webhook events (idempotency log)
+ * - Order refunds (refund ledger) and the payout adjustments they cause
  */
 
 const { DataTypes } = require('sequelize');
@@ -177,7 +179,7 @@ const PaymentInfo = sequelize.define('PaymentInfo', {
     defaultValue: 'card'
   },
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'processing', 'succeeded', 'failed', 'refunded'),
+    type: DataTypes.ENUM('pending', 'processing', 'authorized', 'succeeded', 'failed', 'refunded'),
     defaultValue: 'pending'
   },
   amount: {
@@ -230,6 +232,214 @@ const PaymentInfo = sequelize.define('PaymentInfo', {
   ]
 });
 
+// StripeWebhookEvent model - records processed Stripe events so redeliveries are ignored
+const StripeWebhookEvent = sequelize.define('StripeWebhookEvent', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    comment: 'Stripe event ID (evt_...)'
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  objectId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'ID of the Stripe object the event refers to'
+  },
+  status: {
+    type: DataTypes.ENUM('processed', 'ignored', 'failed'),
+    allowNull: false,
+    defaultValue: 'processed'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'stripe_webhook_events',
+  indexes: [
+    {
+      fields: ['type']
+    },
+    {
+      fields: ['objectId']
+    }
+  ]
+});
+
+// OrderRefund model - ledger of every refund made against an order
+const OrderRefund = sequelize.define('OrderRefund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('full', 'items', 'goodwill', 'fulfillment'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Pending refunds count against the refundable balance until they fail'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  items: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Refunded order items: orderItemId, farmId, productName, subtotal, tax, amount'
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Farm charged for a goodwill refund, or whose fulfillment was refunded'
+  },
+  fulfillmentId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  driverClawback: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Amount taken back from the delivering driver\'s pay'
+  },
+  stripeRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  requestedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Null for refunds the system makes (e.g. cancelled orders)'
+  },
+  requestedByRole: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'order_refunds',
+  indexes: [
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// RefundAdjustment model - money taken back from a farm or driver because of a refund
+const RefundAdjustment = sequelize.define('RefundAdjustment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  refundId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  payeeType: {
+    type: DataTypes.ENUM('farmer', 'driver'),
+    allowNull: false
+  },
+  payeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'FarmerPayment.farmerId for farms, driver user ID for drivers'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Amount taken back from the payee'
+  },
+  commissionAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Platform commission reversed along with it'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'applied'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Pending driver adjustments are deducted from the next earnings record'
+  },
+  farmerPaymentId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  driverEarningsId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  appliedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'refund_adjustments',
+  indexes: [
+    {
+      fields: ['refundId']
+    },
+    {
+      fields: ['payeeType', 'payeeId', 'status']
+    }
+  ]
+});
+
 // Establish associations
 const establishAssociations = () => {
   const { Order } = require('./order');
@@ -290,6 +500,27 @@ const establishAssociations = () => {
     as: 'Payouts'
   });
   
+  // Refunds belong to an order and record their adjustments
+  OrderRefund.belongsTo(Order, {
+    foreignKey: 'orderId',
+    as: 'Order'
+  });
+  
+  Order.hasMany(OrderRefund, {
+    foreignKey: 'orderId',
+    as: 'Refunds'
+  });
+  
+  OrderRefund.hasMany(RefundAdjustment, {
+    foreignKey: 'refundId',
+    as: 'Adjustments'
+  });
+  
+  RefundAdjustment.belongsTo(OrderRefund, {
+    foreignKey: 'refundId',
+    as: 'Refund'
+  });
+  
   logger.debug('Payment model associations established');
 };
 
@@ -298,5 +529,8 @@ module.exports = {
   PaymentInfo,
   FarmerPayment,
   FarmerPayout,
+  StripeWebhookEvent,
+  OrderRefund,
+  RefundAdjustment,
   establishAssociations
 };
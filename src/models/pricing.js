@@ -192,6 +192,8 @@ const PricingConfiguration = sequelize.define('PricingConfiguration', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'pricing_configurations'
 });
 
 // DriverCompensationConfig model to store driver pay structure
@@ -326,6 +328,8 @@ const DriverCompensationConfig = sequelize.define('DriverCompensationConfig', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'driver_compensation_configs'
 });
 
 // OrderCharge model to store detailed pricing breakdown for each order
@@ -396,10 +400,35 @@ const OrderCharge = sequelize.define('OrderCharge', {
     defaultValue: 0.00,
     comment: 'Discount applied to enforce fee cap'
   },
+  promoCode: {
+    type: DataTypes.STRING(32),
+    allowNull: true
+  },
+  promoDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Product and delivery discount from the promo code'
+  },
+  promoFundedBy: {
+    type: DataTypes.ENUM('platform', 'farm'),
+    allowNull: true,
+    comment: 'Whose revenue the promo discount comes out of'
+  },
   subtotalBeforeTax: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
+  province: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'Province whose tax rates were applied'
+  },
+  taxRate: {
+    type: DataTypes.DECIMAL(6, 5),
+    allowNull: true,
+    comment: 'Combined GST/PST (or HST) rate applied'
+  },
   taxAmount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -444,6 +473,8 @@ const OrderCharge = sequelize.define('OrderCharge', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'order_charges'
 });
 
 // DriverEarnings model to track driver compensation
@@ -520,6 +551,12 @@ const DriverEarnings = sequelize.define('DriverEarnings', {
     allowNull: false,
     defaultValue: 0.00
   },
+  adjustmentAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Refund clawbacks deducted from this period (zero or negative)'
+  },
   totalEarnings: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -545,6 +582,8 @@ const DriverEarnings = sequelize.define('DriverEarnings', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'driver_earnings'
 });
 
 // Membership model to track customer membership status
@@ -561,21 +600,70 @@ const Membership = sequelize.define('Membership', {
   },
   isActive: {
     type: DataTypes.BOOLEAN,
-    defaultValue: true
+    defaultValue: true,
+    comment: 'True while the member gets benefits; kept in step with status'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'past_due', 'paused', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
   },
   startDate: {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
   },
+  currentPeriodStart: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   renewalDate: {
     type: DataTypes.DATE,
-    allowNull: false
+    allowNull: false,
+    comment: 'End of the current paid period'
   },
   autoRenew: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  cancelAtPeriodEnd: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  pausedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'While active: a pause starting at renewalDate; while paused: when billing resumes'
+  },
+  billingProvider: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'stub',
+    comment: 'stripe or stub (see membershipBilling)'
+  },
+  providerCustomerId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  providerSubscriptionId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  monthlyFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Fee the member signed up at'
+  },
+  failedPaymentCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   membershipType: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -605,6 +693,77 @@ const Membership = sequelize.define('Membership', {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
+}, {
+  tableName: 'memberships',
+  indexes: [
+    {
+      fields: ['status', 'renewalDate']
+    },
+    {
+      fields: ['providerSubscriptionId']
+    }
+  ]
+});
+
+// MembershipInvoice model - every membership fee charged (or attempted)
+const MembershipInvoice = sequelize.define('MembershipInvoice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  membershipId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('paid', 'failed'),
+    allowNull: false
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  providerInvoiceId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    comment: 'Stripe invoice ID, or a generated ID for the stub provider'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'membership_invoices',
+  indexes: [
+    {
+      fields: ['membershipId']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
 });
 
 // Function to establish associations
@@ -613,7 +772,7 @@ function establishAssociations() {
   const { User } = require('./user');
   
   // Order association
-  Order.hasOne(OrderCharge, { foreignKey: 'orderId' });
+  Order.hasOne(OrderCharge, { foreignKey: 'orderId', as: 'Charges' });
   OrderCharge.belongsTo(Order, { foreignKey: 'orderId' });
   
   // Pricing configuration association
@@ -627,6 +786,8 @@ function establishAssociations() {
   // Membership associations
   User.hasOne(Membership, { foreignKey: 'userId' });
   Membership.belongsTo(User, { foreignKey: 'userId' });
+  Membership.hasMany(MembershipInvoice, { foreignKey: 'membershipId', as: 'Invoices' });
+  MembershipInvoice.belongsTo(Membership, { foreignKey: 'membershipId' });
 }
 
 module.exports = {
@@ -635,5 +796,6 @@ module.exports = {
   OrderCharge,
   DriverEarnings,
   Membership,
+  MembershipInvoice,
   establishAssociations
 };
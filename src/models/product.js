@@ -44,6 +44,17 @@ const Product = sequelize.define('Product', {
     allowNull: false,
     defaultValue: 'lb' // pound, ounce, each, bunch, etc.
   },
+  isCatchWeight: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Sold by the piece but charged on the weight packed; price is per unit (lb or kg)'
+  },
+  estimatedWeight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    comment: 'Typical weight of one piece of a catch-weight product, in its unit'
+  },
   quantityAvailable: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -54,11 +65,23 @@ const Product = sequelize.define('Product', {
     allowNull: false,
     defaultValue: false
   },
+  isPerishable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Perishable goods from failed deliveries are returned to the farm or donated'
+  },
   isAvailable: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: true
   },
+  subscriptionCadences: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Cadences the product can be subscribed to as a CSA box (weekly, biweekly); empty if it is not a box'
+  },
   nutritionalInfo: {
     type: DataTypes.JSONB,
     allowNull: true
@@ -193,6 +216,74 @@ const ProductPhoto = sequelize.define('ProductPhoto', {
   tableName: 'product_photos'
 });
 
+// ProductVariant model - a size or pack of a product with its own price, SKU and stock
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'e.g. "1 lb bag", "5 lb bag"'
+  },
+  sku: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Per piece, or per unit of weight for catch-weight products'
+  },
+  unit: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Overrides the product\'s unit; null uses it'
+  },
+  quantityAvailable: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  estimatedWeight: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    comment: 'Typical weight of one piece for catch-weight products; null uses the product\'s'
+  },
+  isAvailable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'product_variants',
+  indexes: [
+    {
+      fields: ['productId', 'sortOrder']
+    }
+  ]
+});
+
 // Establish associations (to be completed after Farm model is defined)
 const establishAssociations = () => {
   const { Farm } = require('./farm');
@@ -302,6 +393,7 @@ const establishReviewAssociations = () => {
 module.exports = {
   Product,
   ProductPhoto,
+  ProductVariant,
   ProductReview,
   establishProductAssociations: establishAssociations,
   establishReviewAssociations: establishReviewAssociations
@@ -0,0 +1,257 @@
+/**
+ * Promo Code Models
+ *
+ * Defines the promo codes admins and farmers create for the FreshFarmily
+ * system, and the record of each order that redeemed one. A code takes a
+ * percentage or fixed amount off the eligible products, or waives the
+ * delivery fee, and is funded either by the platform or by the farm that
+ * created it.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// PromoCode model - a code customers enter at checkout
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true,
+    comment: 'Stored in upper case; codes are matched case-insensitively'
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  discountType: {
+    type: DataTypes.ENUM('percent', 'fixed', 'free_delivery'),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Percentage off, or dollar amount off; unused for free delivery'
+  },
+  maxDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Most a percentage code takes off an order'
+  },
+  minSubtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Subtotal of eligible products needed to use the code'
+  },
+  farmIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Farms whose products the code applies to; empty for all farms'
+  },
+  categories: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Product categories the code applies to; empty for all categories'
+  },
+  firstOrderOnly: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Redemptions allowed across all customers; null for no limit'
+  },
+  perUserLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 1,
+    comment: 'Redemptions allowed per customer; null for no limit'
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  fundedBy: {
+    type: DataTypes.ENUM('platform', 'farm'),
+    allowNull: false,
+    defaultValue: 'platform',
+    comment: 'Who absorbs the discount: the platform, or the farm in farmId'
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Farm that created and funds the code; null for platform codes'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'promo_codes',
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['farmId']
+    }
+  ]
+});
+
+// PromoCodeRedemption model - one order's use of a code
+const PromoCodeRedemption = sequelize.define('PromoCodeRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  promoCodeId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
+  },
+  code: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  discountType: {
+    type: DataTypes.ENUM('percent', 'fixed', 'free_delivery'),
+    allowNull: false
+  },
+  productDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  deliveryDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  fundedBy: {
+    type: DataTypes.ENUM('platform', 'farm'),
+    allowNull: false
+  },
+  farmId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Farm funding the discount, for farm-funded codes'
+  },
+  allocations: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Product discount split across farms, { farmId: amount }'
+  },
+  status: {
+    type: DataTypes.ENUM('redeemed', 'reversed'),
+    allowNull: false,
+    defaultValue: 'redeemed'
+  },
+  reversedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'promo_code_redemptions',
+  indexes: [
+    {
+      fields: ['promoCodeId', 'userId']
+    },
+    {
+      unique: true,
+      fields: ['orderId']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+  const { Farm } = require('./farm');
+  const { Order } = require('./order');
+
+  PromoCode.belongsTo(Farm, {
+    foreignKey: 'farmId',
+    as: 'Farm'
+  });
+
+  PromoCode.hasMany(PromoCodeRedemption, {
+    foreignKey: 'promoCodeId',
+    as: 'Redemptions'
+  });
+
+  PromoCodeRedemption.belongsTo(PromoCode, {
+    foreignKey: 'promoCodeId',
+    as: 'PromoCode'
+  });
+
+  PromoCodeRedemption.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'User'
+  });
+
+  PromoCodeRedemption.belongsTo(Order, {
+    foreignKey: 'orderId',
+    as: 'Order'
+  });
+
+  logger.debug('Promo code model associations established');
+};
+
+// Export models
+module.exports = {
+  PromoCode,
+  PromoCodeRedemption,
+  establishAssociations
+};
@@ -0,0 +1,153 @@
+/**
+ * Session Models
+ *
+ * Defines login sessions for the FreshFarmily system. Each login on a device
+ * starts a session; its refresh tokens are stored hashed and rotated on every
+ * refresh, so the tokens of one session form a family that is revoked
+ * together if an already-used token is presented again.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// UserSession model - one row per login per device
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  deviceName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Name the client gave the device at login, if any'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Extended each time the session refreshes'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.ENUM(
+      'logout',
+      'user_revoked',
+      'token_reuse',
+      'password_changed',
+      'admin_logout'
+    ),
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_sessions',
+  indexes: [
+    {
+      fields: ['userId', 'revokedAt']
+    }
+  ]
+});
+
+// RefreshToken model - every refresh token ever issued for a session
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the token; the token itself is never stored'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is exchanged; presenting it again revokes the session'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'refresh_tokens',
+  // Tokens are only ever marked used
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['sessionId']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+
+  UserSession.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'User'
+  });
+
+  User.hasMany(UserSession, {
+    foreignKey: 'userId',
+    as: 'Sessions'
+  });
+
+  UserSession.hasMany(RefreshToken, {
+    foreignKey: 'sessionId',
+    as: 'RefreshTokens',
+    onDelete: 'CASCADE'
+  });
+
+  RefreshToken.belongsTo(UserSession, {
+    foreignKey: 'sessionId',
+    as: 'Session'
+  });
+
+  logger.debug('Session model associations established');
+};
+
+// Export models
+module.exports = {
+  UserSession,
+  RefreshToken,
+  establishAssociations
+};
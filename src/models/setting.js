@@ -0,0 +1,102 @@
+/**
+ * System Setting Models
+ *
+ * Defines admin-editable platform settings for the FreshFarmily system
+ * (maintenance mode, feature flags, limits) and the audit trail of every
+ * change to them. Settings without a row use the defaults in systemSettingsService.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+
+// SystemSetting model - one row per setting that has been changed from its default
+const SystemSetting = sequelize.define('SystemSetting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    comment: 'Dotted setting path, e.g. maintenance.enabled'
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'system_settings'
+});
+
+// SystemSettingChange model - audit trail, one row per setting changed
+const SystemSettingChange = sequelize.define('SystemSettingChange', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  oldValue: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Value before the change (the default if the setting had never been changed)'
+  },
+  newValue: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'system_setting_changes',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['key', 'createdAt']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+// Establish associations
+const establishAssociations = () => {
+  const { User } = require('./user');
+
+  SystemSettingChange.belongsTo(User, {
+    foreignKey: 'changedBy',
+    as: 'ChangedBy'
+  });
+
+  logger.debug('System setting model associations established');
+};
+
+// Export models
+module.exports = {
+  SystemSetting,
+  SystemSettingChange,
+  establishAssociations
+};
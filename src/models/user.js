@@ -64,6 +64,22 @@ const User = sequelize.define('User', {
     defaultValue: 'pending',
     allowNull: false
   },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the password was last changed or reset'
+  },
+  stripeCustomerId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    comment: 'Stripe Customer holding the user\'s saved payment methods'
+  },
   // Add timestamps - these match Sequelize defaults
   createdAt: {
     type: DataTypes.DATE,
@@ -148,7 +164,8 @@ const Profile = sequelize.define('Profile', {
   },
   preferences: {
     type: DataTypes.JSONB,
-    allowNull: true
+    allowNull: true,
+    comment: 'Settings the user has changed, tagged with the schema version (see settingsService)'
   },
   createdAt: {
     type: DataTypes.DATE,
@@ -162,5 +179,49 @@ const Profile = sequelize.define('Profile', {
   tableName: 'profiles'
 });
 
+// Define UserToken model - single-use email verification and password reset tokens.
+// Only a SHA-256 hash of each token is stored; the token itself is only ever emailed.
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('email_verification', 'password_reset'),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is redeemed or superseded by a newer one'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_tokens',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'type']
+    }
+  ]
+});
+
 // Export models - removing the associations from here as they are now defined in index.js
-module.exports = { User, Profile, ROLE_PERMISSIONS };
+module.exports = { User, Profile, UserToken, ROLE_PERMISSIONS };
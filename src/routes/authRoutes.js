@@ -5,14 +5,28 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authService = require('../services/authService');
 const { authenticate, requireActiveUser } = require('../middleware/auth');
+const { emailLimiter } = require('../middleware/rateLimiter');
 const { authLogger } = require('../utils/logger');
 const { User } = require('../models');
+const sessionService = require('../services/sessionService');
 
 const router = express.Router();
 
+/**
+ * Client details recorded on a session
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Object} userAgent, ipAddress and deviceName
+ */
+const clientContext = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip || null,
+  deviceName: req.body && req.body.deviceName ? String(req.body.deviceName).trim() : null
+});
+
 /**
  * @route GET /api/auth/db-check
  * @description Check database connection and get user count
@@ -68,7 +82,7 @@ router.post('/register', [
     
     // Return success response
     return res.status(201).json({
-      message: 'User registered successfully. You can now log in.',
+      message: 'User registered successfully. Please check your email to verify your account before logging in.',
       user
     });
   } catch (error) {
@@ -91,7 +105,7 @@ router.post('/register', [
 
 /**
  * @route POST /api/auth/verify
- * @description User verification endpoint (placeholder) - all accounts are now active by default
+ * @description Verify an email address with the token from the verification email
  * @access Public
  */
 router.post('/verify', [
@@ -104,14 +118,20 @@ router.post('/verify', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Since all accounts are now active by default, this is just a placeholder
-    // that returns a success message for API compatibility
+    await authService.verifyEmail(req.body.token);
+    
     return res.status(200).json({ 
-      message: 'Your account is already active. You can log in now.',
+      message: 'Your email has been verified. You can log in now.',
       verified: true
     });
-    
   } catch (error) {
+    if (error.message === 'Invalid or expired token') {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
     authLogger.error(`Verification error: ${error.message}`);
     return res.status(500).json({ 
       error: 'Verification failed',
@@ -120,6 +140,105 @@ router.post('/verify', [
   }
 });
 
+/**
+ * @route POST /api/auth/resend-verification
+ * @description Send a new verification email to a pending account
+ * @access Public (rate limited per email)
+ */
+router.post('/resend-verification', [
+  emailLimiter,
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.resendVerification(req.body.email);
+    
+    // Same response whether or not the account exists
+    return res.status(200).json({
+      message: 'If that account is awaiting verification, a new verification email has been sent.'
+    });
+  } catch (error) {
+    authLogger.error(`Resend verification error: ${error.message}`);
+    return res.status(500).json({
+      error: 'Resend failed',
+      message: 'An error occurred while sending the verification email. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @description Email a password reset link
+ * @access Public (rate limited per email)
+ */
+router.post('/forgot-password', [
+  emailLimiter,
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.requestPasswordReset(req.body.email);
+    
+    // Same response whether or not the account exists
+    return res.status(200).json({
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    authLogger.error(`Forgot password error: ${error.message}`);
+    return res.status(500).json({
+      error: 'Password reset failed',
+      message: 'An error occurred while requesting a password reset. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/reset-password
+ * @description Set a new password with the token from the reset email. Signs out all existing sessions.
+ * @access Public
+ */
+router.post('/reset-password', [
+  body('token').trim().notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.resetPassword(req.body.token, req.body.newPassword);
+    
+    return res.status(200).json({
+      message: 'Your password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.message === 'Invalid or expired token') {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'This password reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    authLogger.error(`Reset password error: ${error.message}`);
+    return res.status(500).json({
+      error: 'Password reset failed',
+      message: 'An error occurred while resetting your password. Please try again later.'
+    });
+  }
+});
+
 /**
  * @route POST /api/auth/login
  * @description Authenticate a user and get JWT token
@@ -128,7 +247,8 @@ router.post('/verify', [
 router.post('/login', [
   // Validation middleware
   body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('password').notEmpty().withMessage('Password is required'),
+  body('deviceName').optional().isString().isLength({ max: 100 }).withMessage('Device name must be at most 100 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -143,8 +263,8 @@ router.post('/login', [
       // Authenticate user
       const user = await authService.authenticateUser(email, password);
       
-      // Generate tokens
-      const tokens = await authService.getTokensForUser(user);
+      // Start a session for this device and generate tokens
+      const tokens = await authService.getTokensForUser(user, clientContext(req));
       
       // Return tokens with user data
       return res.status(200).json({
@@ -166,6 +286,12 @@ router.post('/login', [
           error: 'Authentication failed',
           message: 'Invalid email or password'
         });
+      } else if (authError.message === 'Email not verified') {
+        return res.status(403).json({
+          error: 'Authentication failed',
+          code: 'email_not_verified',
+          message: 'Please verify your email address before logging in. You can request a new verification email.'
+        });
       } else if (authError.message === 'Account is not active') {
         return res.status(403).json({
           error: 'Authentication failed',
@@ -188,7 +314,8 @@ router.post('/login', [
 
 /**
  * @route POST /api/auth/refresh
- * @description Refresh access token using refresh token
+ * @description Exchange a refresh token for a new access token and refresh token.
+ * Each refresh token works once; reusing one signs out its session.
  * @access Public
  */
 router.post('/refresh', [
@@ -202,9 +329,9 @@ router.post('/refresh', [
     }
 
     // Refresh the token
-    const tokenResponse = await authService.refreshAccessToken(req.body.refresh_token);
+    const tokenResponse = await authService.refreshAccessToken(req.body.refresh_token, clientContext(req));
     
-    // Return the new access token
+    // Return the new access and refresh tokens
     return res.status(200).json(tokenResponse);
   } catch (error) {
     authLogger.warn(`Token refresh failed: ${error.message}`);
@@ -245,12 +372,13 @@ router.post('/change-password', [
     const success = await authService.changePassword(
       req.user.userId,
       req.body.currentPassword,
-      req.body.newPassword
+      req.body.newPassword,
+      req.user.sessionId
     );
     
     // Return success response
     return res.status(200).json({ 
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. You have been signed out on your other devices.'
     });
   } catch (error) {
     authLogger.error(`Password change error for user ${req.user.userId}: ${error.message}`);
@@ -374,17 +502,12 @@ router.get('/admin-check', [
 
 /**
  * @route POST /api/auth/logout
- * @description Log out a user (clear refresh token)
+ * @description Log out of the current session
  * @access Private
  */
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    // Clear refresh token in database
-    const { User } = require('../models/user');
-    await User.update(
-      { refreshToken: null },
-      { where: { id: req.user.userId } }
-    );
+    await authService.logout(req.user.userId, req.user.sessionId);
     
     // Return success response
     return res.status(200).json({ 
@@ -399,4 +522,66 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/auth/sessions
+ * @description List the current user's active sessions (devices)
+ * @access Private
+ */
+router.get('/sessions', [authenticate, requireActiveUser], async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId);
+    
+    return res.status(200).json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    authLogger.error(`Error listing sessions for user ${req.user.userId}: ${error.message}`);
+    return res.status(500).json({ 
+      error: 'Failed to list sessions',
+      message: 'An error occurred while retrieving your sessions.'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @description Sign out one of the current user's sessions
+ * @access Private
+ */
+router.delete('/sessions/:id', [
+  authenticate,
+  requireActiveUser,
+  param('id').isUUID().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await sessionService.revokeSession(req.user.userId, req.params.id, 'user_revoked');
+    
+    if (!revoked) {
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+    
+    return res.status(200).json({ 
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    authLogger.error(`Error revoking session ${req.params.id} for user ${req.user.userId}: ${error.message}`);
+    return res.status(500).json({ 
+      error: 'Failed to sign out session',
+      message: 'An error occurred while signing out the session.'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,398 @@
+/**
+ * Box Subscription Routes
+ *
+ * API routes for recurring CSA box subscriptions:
+ * - Subscribing to a farm's box with a cadence, delivery window and saved card
+ * - Skipping a delivery or swapping its items before the cutoff
+ * - Pausing, resuming and cancelling
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
+const boxSubscriptionService = require('../services/boxSubscriptionService');
+const logger = require('../utils/logger');
+
+const ERROR_NAMES = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict' };
+
+// Delivery and pause dates, YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Send a service error, or a 500 with a generic message
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: ERROR_NAMES[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+// Every route acts on the signed-in customer's own subscriptions
+const customer = [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['create_order'])
+];
+
+const idValidator = param('id').isUUID().withMessage('Invalid subscription ID');
+
+/**
+ * @swagger
+ * /api/box-subscriptions:
+ *   get:
+ *     summary: List the current user's box subscriptions
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions with their upcoming and recent deliveries
+ */
+router.get('/', customer, async (req, res) => {
+  try {
+    const subscriptions = await boxSubscriptionService.listSubscriptions(req.user.userId);
+    return res.status(200).json({ subscriptions });
+  } catch (error) {
+    logger.error(`Error fetching box subscriptions: ${error.message}`);
+    return sendError(res, error, 'Failed to fetch box subscriptions');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions:
+ *   post:
+ *     summary: Subscribe to a farm's box
+ *     description: >
+ *       The box must be offered at the cadence chosen, and the delivery window must serve
+ *       the address. Each delivery is charged to the saved card given, or the default card.
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId, cadence, addressId, deliveryWindowId]
+ *             properties:
+ *               productId: { type: string, format: uuid }
+ *               quantity: { type: number }
+ *               cadence: { type: string, enum: [weekly, biweekly] }
+ *               addressId: { type: string, format: uuid }
+ *               deliveryWindowId: { type: string, format: uuid }
+ *               paymentMethodId: { type: string }
+ *               startDate: { type: string, format: date }
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *       400:
+ *         description: Box, window or card can't be used
+ *       404:
+ *         description: Box or address not found
+ */
+router.post('/', [
+  ...customer,
+  body('productId').isUUID().withMessage('Valid box product ID is required'),
+  body('quantity').optional().isFloat({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20').toFloat(),
+  body('cadence').isIn(['weekly', 'biweekly']).withMessage('Cadence must be weekly or biweekly'),
+  body('addressId').isUUID().withMessage('Valid address ID is required'),
+  body('deliveryWindowId').isUUID().withMessage('Valid delivery window ID is required'),
+  body('paymentMethodId').optional().matches(/^pm_/).withMessage('Invalid payment method ID'),
+  body('startDate').optional().matches(DATE_PATTERN).withMessage('Start date must be YYYY-MM-DD'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.createSubscription(req.user.userId, req.body);
+    return res.status(201).json(subscription);
+  } catch (error) {
+    logger.error(`Error creating box subscription: ${error.message}`);
+    return sendError(res, error, 'Failed to create box subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions/{id}:
+ *   get:
+ *     summary: Get a box subscription
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Subscription with its upcoming and recent deliveries
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', [
+  ...customer,
+  idValidator,
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.getSubscription(req.user.userId, req.params.id);
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error fetching box subscription ${req.params.id}: ${error.message}`);
+    return sendError(res, error, 'Failed to fetch box subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions/{id}:
+ *   put:
+ *     summary: Change a box subscription's quantity, address or card
+ *     description: Applies to deliveries whose orders haven't been placed yet. The address must be served by the subscription's delivery window.
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       409:
+ *         description: Subscription is cancelled
+ */
+router.put('/:id', [
+  ...customer,
+  idValidator,
+  body('quantity').optional().isFloat({ min: 1, max: 20 }).withMessage('Quantity must be between 1 and 20').toFloat(),
+  body('addressId').optional().isUUID().withMessage('Invalid address ID'),
+  body('paymentMethodId').optional({ nullable: true }).matches(/^pm_/).withMessage('Invalid payment method ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.updateSubscription(req.user.userId, req.params.id, {
+      quantity: req.body.quantity,
+      addressId: req.body.addressId,
+      paymentMethodId: req.body.paymentMethodId
+    });
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error updating box subscription ${req.params.id}: ${error.message}`);
+    return sendError(res, error, 'Failed to update box subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions/{id}/deliveries/{date}:
+ *   put:
+ *     summary: Skip an upcoming delivery or swap its items
+ *     description: >
+ *       Allowed until the delivery's change cutoff, when its order is placed. Swapped items
+ *       must be products from the box's farm and are charged at their own prices; send
+ *       items as null to go back to the box.
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema: { type: string, format: date }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skip: { type: boolean }
+ *               items:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string, format: uuid }
+ *                     variantId: { type: string, format: uuid, description: Size or pack, for products sold in several }
+ *                     quantity: { type: number }
+ *     responses:
+ *       200:
+ *         description: Delivery updated
+ *       404:
+ *         description: No upcoming delivery on that date
+ *       409:
+ *         description: Past the change cutoff
+ */
+router.put('/:id/deliveries/:date', [
+  ...customer,
+  idValidator,
+  param('date').matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD'),
+  body('skip').optional().isBoolean().withMessage('skip must be a boolean').toBoolean(),
+  body('items').optional({ nullable: true }).isArray({ min: 1, max: 50 }).withMessage('Items must be a non-empty array'),
+  body('items.*.productId').isUUID().withMessage('Valid product ID is required'),
+  body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('Invalid variant ID'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body().custom(value => value.skip !== undefined || value.items !== undefined)
+    .withMessage('Send skip or items'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.updateDelivery(req.user.userId, req.params.id, req.params.date, {
+      skip: req.body.skip,
+      items: req.body.items === null ? null : req.body.items && req.body.items.map(item => ({
+        productId: item.productId,
+        ...(item.variantId && { variantId: item.variantId }),
+        quantity: item.quantity
+      }))
+    });
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error updating box subscription ${req.params.id} delivery: ${error.message}`);
+    return sendError(res, error, 'Failed to update delivery');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pause deliveries until a date
+ *     description: Deliveries before the date are skipped; the subscription resumes on its own.
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [until]
+ *             properties:
+ *               until: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: Subscription paused
+ *       400:
+ *         description: Pause is in the past or too long
+ */
+router.post('/:id/pause', [
+  ...customer,
+  idValidator,
+  body('until').matches(DATE_PATTERN).withMessage('Pause end date must be YYYY-MM-DD'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.pause(req.user.userId, req.params.id, req.body.until);
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error pausing box subscription ${req.params.id}: ${error.message}`);
+    return sendError(res, error, 'Failed to pause box subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions/{id}/resume:
+ *   post:
+ *     summary: End a pause now
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       409:
+ *         description: Subscription is not paused
+ */
+router.post('/:id/resume', [
+  ...customer,
+  idValidator,
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.resume(req.user.userId, req.params.id);
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error resuming box subscription ${req.params.id}: ${error.message}`);
+    return sendError(res, error, 'Failed to resume box subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /api/box-subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a box subscription
+ *     description: Stops future deliveries. Orders already placed for it are kept and can be cancelled like any order.
+ *     tags: [Box Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled
+ *       409:
+ *         description: Already cancelled
+ */
+router.post('/:id/cancel', [
+  ...customer,
+  idValidator,
+  handleValidation
+], async (req, res) => {
+  try {
+    const subscription = await boxSubscriptionService.cancel(req.user.userId, req.params.id);
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error cancelling box subscription ${req.params.id}: ${error.message}`);
+    return sendError(res, error, 'Failed to cancel box subscription');
+  }
+});
+
+module.exports = router;
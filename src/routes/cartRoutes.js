@@ -9,7 +9,10 @@ const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
 const { Cart, CartItem } = require('../models/cart');
 const { Product } = require('../models/product');
+const { Farm } = require('../models/farm');
 const { sequelize } = require('../config/database');
+const pricingService = require('../services/pricingService');
+const promoCodeService = require('../services/promoCodeService');
 
 const router = express.Router();
 
@@ -26,6 +29,7 @@ router.get('/', async (req, res) => {
         subtotal: 0,
         taxes: 0,
         deliveryFee: 0,
+        serviceFee: 0,
         discount: 0,
         total: 0,
         options: {
@@ -74,12 +78,14 @@ router.get('/', async (req, res) => {
       subtotal: Number(cart.subtotal || 0),
       taxes: Number(cart.taxes || 0),
       deliveryFee: Number(cart.deliveryFee || 0),
+      serviceFee: Number(cart.serviceFee || 0),
       discount: Number(cart.discount || 0),
       total: Number(cart.total || 0),
       options: {
         province: cart.province || 'BC',
         deliveryMethod: cart.deliveryMethod || 'delivery',
-        applyFreeDelivery: Boolean(cart.applyFreeDelivery || false)
+        applyFreeDelivery: Boolean(cart.applyFreeDelivery || false),
+        promoCode: cart.promoCode || null
       }
     };
 
@@ -94,6 +100,7 @@ router.get('/', async (req, res) => {
       subtotal: 0,
       taxes: 0,
       deliveryFee: 0,
+      serviceFee: 0,
       discount: 0,
       total: 0,
       options: {
@@ -141,6 +148,7 @@ async function addItemToCart(req, res) {
         subtotal: Number(req.body.price || 0) * Number(req.body.quantity || 1),
         taxes: 0,
         deliveryFee: 0,
+        serviceFee: 0,
         discount: 0,
         total: Number(req.body.price || 0) * Number(req.body.quantity || 1),
         options: {
@@ -195,6 +203,9 @@ async function addItemToCart(req, res) {
       });
     }
 
+    // Recalculate cart totals
+    await calculateCartTotals(cart.id);
+
     // Get updated cart with items
     const updatedCart = await Cart.findOne({
       where: { id: cart.id },
@@ -210,20 +221,6 @@ async function addItemToCart(req, res) {
       ]
     });
 
-    // Calculate cart totals
-    let subtotal = 0;
-    if (updatedCart.items) {
-      subtotal = updatedCart.items.reduce((total, item) => total + (Number(item.price) * Number(item.quantity)), 0);
-    }
-
-    // Update cart with new totals
-    await updatedCart.update({
-      subtotal: subtotal,
-      taxes: subtotal * 0.05, // 5% tax
-      deliveryFee: subtotal > 50 ? 0 : 5, // Free delivery over $50
-      total: subtotal + (subtotal * 0.05) + (subtotal > 50 ? 0 : 5)
-    });
-
     // Format response
     const cartResponse = {
       id: updatedCart.id,
@@ -244,12 +241,14 @@ async function addItemToCart(req, res) {
       subtotal: Number(updatedCart.subtotal || 0),
       taxes: Number(updatedCart.taxes || 0),
       deliveryFee: Number(updatedCart.deliveryFee || 0),
+      serviceFee: Number(updatedCart.serviceFee || 0),
       discount: Number(updatedCart.discount || 0),
       total: Number(updatedCart.total || 0),
       options: {
         province: updatedCart.province || 'BC',
         deliveryMethod: updatedCart.deliveryMethod || 'delivery',
-        applyFreeDelivery: Boolean(updatedCart.applyFreeDelivery || false)
+        applyFreeDelivery: Boolean(updatedCart.applyFreeDelivery || false),
+        promoCode: updatedCart.promoCode || null
       }
     };
 
@@ -278,6 +277,7 @@ router.delete('/items/:itemId', async (req, res) => {
         subtotal: 0,
         taxes: 0,
         deliveryFee: 0,
+        serviceFee: 0,
         discount: 0,
         total: 0,
         options: {
@@ -355,12 +355,14 @@ router.delete('/items/:itemId', async (req, res) => {
       subtotal: Number(updatedCart.subtotal || 0),
       taxes: Number(updatedCart.taxes || 0),
       deliveryFee: Number(updatedCart.deliveryFee || 0),
+      serviceFee: Number(updatedCart.serviceFee || 0),
       discount: Number(updatedCart.discount || 0),
       total: Number(updatedCart.total || 0),
       options: {
         province: updatedCart.province || 'BC',
         deliveryMethod: updatedCart.deliveryMethod || 'delivery',
-        applyFreeDelivery: Boolean(updatedCart.applyFreeDelivery || false)
+        applyFreeDelivery: Boolean(updatedCart.applyFreeDelivery || false),
+        promoCode: updatedCart.promoCode || null
       }
     };
 
@@ -388,6 +390,7 @@ router.delete('/', async (req, res) => {
         subtotal: 0,
         taxes: 0,
         deliveryFee: 0,
+        serviceFee: 0,
         discount: 0,
         total: 0,
         options: {
@@ -424,6 +427,7 @@ router.delete('/', async (req, res) => {
     cart.subtotal = 0;
     cart.taxes = 0;
     cart.deliveryFee = 0;
+    cart.serviceFee = 0;
     cart.discount = 0;
     cart.total = 0;
     cart.totalItems = 0;
@@ -437,12 +441,14 @@ router.delete('/', async (req, res) => {
       subtotal: 0,
       taxes: 0,
       deliveryFee: 0,
+      serviceFee: 0,
       discount: 0,
       total: 0,
       options: {
         province: cart.province || 'BC',
         deliveryMethod: cart.deliveryMethod || 'delivery',
-        applyFreeDelivery: Boolean(cart.applyFreeDelivery || false)
+        applyFreeDelivery: Boolean(cart.applyFreeDelivery || false),
+        promoCode: cart.promoCode || null
       }
     };
 
@@ -457,6 +463,151 @@ router.delete('/', async (req, res) => {
   }
 });
 
+// Apply a promo code to the cart
+router.post('/promo', [
+  body('code').trim().isLength({ min: 1, max: 32 }).withMessage('Promo code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg
+      });
+    }
+
+    // Check if user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in to use a promo code'
+      });
+    }
+
+    const cart = await Cart.findOne({
+      where: {
+        userId: req.user.id,
+        status: 'active'
+      },
+      include: [
+        {
+          model: CartItem,
+          as: 'items'
+        }
+      ]
+    });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Add something to your cart before using a promo code'
+      });
+    }
+
+    // Check the code now so the customer hears why it doesn't apply
+    const promo = await promoCodeService.evaluate(req.body.code, {
+      userId: req.user.id,
+      lines: await getPromoLines(cart.items),
+      deliveryMethod: cart.deliveryMethod || 'delivery'
+    });
+
+    cart.promoCode = promo.promoCode.code;
+    await cart.save();
+
+    const updatedCart = await calculateCartTotals(cart.id);
+
+    return res.status(200).json({
+      success: true,
+      promoCode: updatedCart.promoCode,
+      description: promo.promoCode.description,
+      discount: Number(updatedCart.discount || 0),
+      deliveryFee: Number(updatedCart.deliveryFee || 0),
+      total: Number(updatedCart.total || 0)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error applying promo code to cart:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to apply promo code',
+      error: error.message
+    });
+  }
+});
+
+// Remove the promo code from the cart
+router.delete('/promo', async (req, res) => {
+  try {
+    // Check if user is authenticated
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in to use a promo code'
+      });
+    }
+
+    const cart = await Cart.findOne({
+      where: {
+        userId: req.user.id,
+        status: 'active'
+      }
+    });
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active cart found'
+      });
+    }
+
+    cart.promoCode = null;
+    await cart.save();
+
+    const updatedCart = await calculateCartTotals(cart.id);
+
+    return res.status(200).json({
+      success: true,
+      promoCode: null,
+      discount: Number(updatedCart.discount || 0),
+      deliveryFee: Number(updatedCart.deliveryFee || 0),
+      total: Number(updatedCart.total || 0)
+    });
+  } catch (error) {
+    logger.error('Error removing promo code from cart:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove promo code',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Helper function to describe cart items the way promo codes see them
+ */
+async function getPromoLines(items, transaction = null) {
+  const products = await Product.findAll({
+    where: { id: items.map(item => item.productId) },
+    attributes: ['id', 'category'],
+    transaction
+  });
+
+  return items.map(item => {
+    const product = products.find(p => p.id === item.productId);
+    return {
+      farmId: item.farmId,
+      category: product ? product.category : null,
+      total: item.price * item.quantity
+    };
+  });
+}
+
 /**
  * Helper function to calculate cart totals
  */
@@ -490,64 +641,47 @@ async function calculateCartTotals(cartId, options = {}, transaction = null) {
       return sum + itemTotal;
     }, 0);
 
-    // Get tax rate based on province
-    const taxRates = {
-      'ON': 0.13, // Ontario HST
-      'BC': 0.12, // British Columbia PST + GST
-      'AB': 0.05, // Alberta GST only
-      'QC': 0.14975, // Quebec QST + GST
-      'NS': 0.15, // Nova Scotia HST
-      'NB': 0.15, // New Brunswick HST
-      'MB': 0.12, // Manitoba PST + GST
-      'PE': 0.15, // Prince Edward Island HST
-      'SK': 0.11, // Saskatchewan PST + GST
-      'NL': 0.15, // Newfoundland and Labrador HST
-      'YT': 0.05, // Yukon GST only
-      'NT': 0.05, // Northwest Territories GST only
-      'NU': 0.05  // Nunavut GST only
-    };
-    
+    // Price the cart with the same quote engine used at checkout
     const province = options.province || cart.province || 'BC';
-    const taxRate = taxRates[province] || 0.05; // Default to 5% GST
-    const taxes = subtotal * taxRate;
+    const deliveryMethod = options.deliveryMethod || cart.deliveryMethod || 'delivery';
+    const applyFreeDelivery = options.applyFreeDelivery !== undefined ? options.applyFreeDelivery : cart.applyFreeDelivery;
+
+    // A promo code that no longer applies to the cart (items removed, expired, used up) is dropped
+    let promo = null;
+    if (cart.promoCode && cart.items.length > 0) {
+      try {
+        promo = await promoCodeService.evaluate(cart.promoCode, {
+          userId: cart.userId,
+          lines: await getPromoLines(cart.items, transaction),
+          deliveryMethod,
+          transaction
+        });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        logger.info(`Removed promo code ${cart.promoCode} from cart ${cart.id}: ${error.message}`);
+        cart.promoCode = null;
+      }
+    }
 
-    // Calculate delivery fee
-    let deliveryFee = 0;
-    const FREE_DELIVERY_THRESHOLD = 75;
-    const STANDARD_DELIVERY_FEE = 7.99;
-    
+    let charges = null;
     if (cart.items.length > 0) {
-      // Delivery method from options or cart
-      const deliveryMethod = options.deliveryMethod || cart.deliveryMethod || 'delivery';
-      
-      if (deliveryMethod !== 'pickup') {
-        // Free delivery over threshold
-        if (subtotal >= FREE_DELIVERY_THRESHOLD) {
-          deliveryFee = 0;
-        } 
-        // Free delivery from referral program or other offers
-        else if (options.applyFreeDelivery || cart.applyFreeDelivery) {
-          deliveryFee = 0;
-        }
-        // Standard delivery fee
-        else {
-          deliveryFee = STANDARD_DELIVERY_FEE;
-        }
-      }
+      charges = await pricingService.calculateOrderCharges({ subtotal }, cart.userId, {
+        province,
+        deliveryMethod,
+        applyFreeDelivery,
+        promo: promo ? promoCodeService.toPricing(promo) : null
+      });
     }
 
-    // Use existing discount or 0
-    const discount = cart.discount || 0;
-    
-    // Calculate total
-    const total = subtotal + taxes + deliveryFee - discount;
     const totalItems = cart.items.reduce((count, item) => count + item.quantity, 0);
     
     // Update cart with calculated values
     cart.subtotal = subtotal;
-    cart.taxes = taxes;
-    cart.deliveryFee = deliveryFee;
-    cart.total = total;
+    cart.taxes = charges ? charges.taxAmount : 0;
+    cart.deliveryFee = charges ? charges.customerDeliveryFee : 0;
+    cart.serviceFee = charges ? pricingService.getServiceFee(charges) : 0;
+    cart.discount = charges ? charges.memberProductDiscount + charges.promoProductDiscount : 0;
+    cart.total = charges ? charges.finalTotal : 0;
     cart.totalItems = totalItems;
     
     // Update options if provided
@@ -5,12 +5,18 @@
  */
 
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const { body, query, param, validationResult } = require('express-validator');
-const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
+const { authenticate, requireActiveUser, requirePermissions, requireRoles } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { Delivery } = require('../models/delivery');
 const { Order } = require('../models/order');
 const { User } = require('../models/user');
+const deliveryTrackingService = require('../services/deliveryTrackingService');
+const deliveryProofService = require('../services/deliveryProofService');
+const failedDeliveryService = require('../services/failedDeliveryService');
+const upload = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -316,11 +322,12 @@ router.put('/:id', [
         }
       });
       
-      // Drivers can only update to certain statuses
+      // Drivers can only update to certain statuses; they complete
+      // deliveries with proof at POST /api/deliveries/:id/complete
       if (req.body.status) {
         const allowedStatusTransitions = {
           'assigned': ['in_progress'],
-          'in_progress': ['completed', 'cancelled']
+          'in_progress': ['cancelled']
         };
         
         if (
@@ -336,8 +343,14 @@ router.put('/:id', [
     }
     
     // Update delivery
+    const previousStatus = delivery.status;
     await delivery.update(req.body);
     
+    // Let customers following the delivery know its status changed
+    if (delivery.status !== previousStatus) {
+      deliveryTrackingService.publishStatusChange(delivery);
+    }
+    
     logger.info(`Delivery updated: ${delivery.id}`);
     
     return res.status(200).json({
@@ -583,4 +596,582 @@ router.get('/consumer/:userId', [
   }
 });
 
+/**
+ * @route POST /api/deliveries/:id/complete
+ * @description Complete a delivery with proof. Multipart form with one or more `photos`,
+ * an optional `signature` image, `recipientName` (unless `leftAtDoor` is true) and the
+ * driver's `latitude` and `longitude`. Completing it outside the geofence around the
+ * delivery address needs an `overrideReason`. The order is marked delivered.
+ * @access Private (assigned driver only)
+ */
+router.post('/:id/complete', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  receiveProofFiles,
+  param('id').isUUID().withMessage('Invalid delivery ID'),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat(),
+  body('recipientName').optional({ checkFalsy: true }).trim().isLength({ max: 255 }).withMessage('Recipient name must be at most 255 characters'),
+  body('leftAtDoor').optional().isBoolean().withMessage('leftAtDoor must be a boolean').toBoolean(),
+  body('overrideReason').optional({ checkFalsy: true }).trim().isLength({ max: 500 }).withMessage('Override reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const files = req.files || {};
+    const photos = files.photos || [];
+    const signature = files.signature ? files.signature[0] : null;
+
+    const { delivery, proof, batchCompleted } = await deliveryProofService.completeDelivery(req.params.id, req.user.userId, {
+      photoUrls: photos.map(photo => deliveryProofService.proofFileUrl(req.params.id, photo.filename)),
+      signatureUrl: signature ? deliveryProofService.proofFileUrl(req.params.id, signature.filename) : null,
+      recipientName: req.body.recipientName || null,
+      leftAtDoor: req.body.leftAtDoor === true,
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+      overrideReason: req.body.overrideReason || null
+    });
+    
+    return res.status(201).json({
+      message: 'Delivery completed',
+      delivery,
+      proof,
+      batchCompleted
+    });
+  } catch (error) {
+    removeUploadedFiles(req);
+    if (error.statusCode) {
+      const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode] || 'Error',
+        message: error.message
+      });
+    }
+    logger.error(`Error completing delivery: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to complete delivery'
+    });
+  }
+});
+
+/**
+ * @route GET /api/deliveries/:id/proof
+ * @description Get the proof a delivery was completed with. Customers get the photos,
+ * signature and recipient; the driver and admins also get where it was completed.
+ * @access Private (admin, assigned driver, or consumer who placed the order)
+ */
+router.get('/:id/proof', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const proof = await deliveryProofService.getProof(req.params.id, req.user);
+    
+    return res.status(200).json({ proof });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 403 ? 'Forbidden' : 'Not Found',
+        message: error.message
+      });
+    }
+    logger.error(`Error fetching delivery proof: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve proof of delivery'
+    });
+  }
+});
+
+/**
+ * @route GET /api/deliveries/:id/proof/files/:filename
+ * @description Get one of the photos or the signature of a delivery's proof. Proof images
+ * aren't public; they are served to the same people who may see the proof.
+ * @access Private (admin, assigned driver, or consumer who placed the order)
+ */
+router.get('/:id/proof/files/:filename', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid delivery ID'),
+  param('filename').matches(/^[\w-]+\.\w+$/).withMessage('Invalid file name')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filename = await deliveryProofService.getProofFile(req.params.id, req.params.filename, req.user);
+
+    res.set('Cache-Control', 'private, no-store');
+    return res.sendFile(path.join(upload.proofDir, filename), (error) => {
+      if (error && !res.headersSent) {
+        logger.error(`Error sending proof file ${filename}: ${error.message}`);
+        res.status(404).json({
+          error: 'Not Found',
+          message: 'File not found'
+        });
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 403 ? 'Forbidden' : 'Not Found',
+        message: error.message
+      });
+    }
+    logger.error(`Error fetching delivery proof file: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve proof of delivery'
+    });
+  }
+});
+
+/**
+ * @route POST /api/deliveries/:id/fail
+ * @description Mark a delivery attempt failed with a `reason` (no_access, customer_absent,
+ * damaged or other, which needs `notes`). `disposition` says what happens to the goods:
+ * return_to_farm (the default) or donate, which donates the perishable items and refunds
+ * them, and returns the rest to the farm. The customer is offered a redelivery or a refund,
+ * or refunded straight away when the order can't be redelivered.
+ * @access Private (assigned driver only)
+ */
+router.post('/:id/fail', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  param('id').isUUID().withMessage('Invalid delivery ID'),
+  body('reason').isIn(failedDeliveryService.FAILED_DELIVERY_CONSTANTS.FAILURE_REASONS)
+    .withMessage(`Reason must be one of: ${failedDeliveryService.FAILED_DELIVERY_CONSTANTS.FAILURE_REASONS.join(', ')}`),
+  body('notes').optional({ checkFalsy: true }).trim().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters'),
+  body('disposition').optional({ checkFalsy: true }).isIn(failedDeliveryService.FAILED_DELIVERY_CONSTANTS.DISPOSITIONS)
+    .withMessage(`Disposition must be one of: ${failedDeliveryService.FAILED_DELIVERY_CONSTANTS.DISPOSITIONS.join(', ')}`),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { delivery, attempt, options } = await failedDeliveryService.failDelivery(req.params.id, req.user.userId, {
+      reason: req.body.reason,
+      notes: req.body.notes || null,
+      disposition: req.body.disposition || null,
+      latitude: req.body.latitude !== undefined ? req.body.latitude : null,
+      longitude: req.body.longitude !== undefined ? req.body.longitude : null
+    });
+
+    return res.status(201).json({
+      message: 'Delivery attempt marked failed',
+      delivery,
+      attempt,
+      options
+    });
+  } catch (error) {
+    return sendFailedDeliveryError(res, error, 'Failed to mark delivery failed');
+  }
+});
+
+/**
+ * @route GET /api/deliveries/:id/attempts
+ * @description Get a delivery's attempts, oldest first, and while a failed attempt waits for
+ * the customer's decision, their options: whether it can be redelivered and the refund amount
+ * @access Private (admin, assigned driver, or consumer who placed the order)
+ */
+router.get('/:id/attempts', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { attempts, options } = await failedDeliveryService.listAttempts(req.params.id, req.user);
+
+    return res.status(200).json({ attempts, options });
+  } catch (error) {
+    return sendFailedDeliveryError(res, error, 'Failed to retrieve delivery attempts');
+  }
+});
+
+/**
+ * @route POST /api/deliveries/:id/redeliver
+ * @description Book a redelivery after a failed attempt, in the delivery slot given by
+ * `windowId` and `date` (needed where delivery windows cover the address)
+ * @access Private (consumer who placed the order, or admin)
+ */
+router.post('/:id/redeliver', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['consumer', 'admin']),
+  param('id').isUUID().withMessage('Invalid delivery ID'),
+  body('windowId').optional().isUUID().withMessage('Invalid delivery window ID'),
+  body('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Slot date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const selection = req.body.windowId ? { windowId: req.body.windowId, date: req.body.date } : null;
+    const { delivery, attempt } = await failedDeliveryService.redeliver(req.params.id, req.user, selection);
+
+    return res.status(200).json({
+      message: 'Redelivery booked',
+      delivery,
+      attempt
+    });
+  } catch (error) {
+    return sendFailedDeliveryError(res, error, 'Failed to book redelivery');
+  }
+});
+
+/**
+ * @route POST /api/deliveries/:id/refund
+ * @description Take a refund instead of a redelivery after a failed attempt. The order is
+ * closed; the delivery fee is kept when the customer was at fault, per system settings.
+ * @access Private (consumer who placed the order, or admin)
+ */
+router.post('/:id/refund', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['consumer', 'admin']),
+  param('id').isUUID().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { attempt, refund, order } = await failedDeliveryService.refundFailedDelivery(req.params.id, req.user);
+
+    return res.status(200).json({
+      message: refund ? 'Refund issued' : 'Order closed; nothing was charged',
+      attempt,
+      refund,
+      order
+    });
+  } catch (error) {
+    return sendFailedDeliveryError(res, error, 'Failed to refund delivery');
+  }
+});
+
+/**
+ * Answer a failed delivery route's error: service errors with their status,
+ * anything else as a logged 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown
+ * @param {String} message - Message for unexpected errors
+ */
+function sendFailedDeliveryError(res, error, message) {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict', 502: 'Bad Gateway' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+  logger.error(`${message}: ${error.message}`);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message
+  });
+}
+
+/**
+ * Receive proof of delivery images into the private proofs directory,
+ * answering upload errors (wrong type, too large, too many) with a 400
+ */
+function receiveProofFiles(req, res, next) {
+  req.uploadType = 'proof';
+  const receive = upload.fields([
+    { name: 'photos', maxCount: deliveryProofService.PROOF_CONSTANTS.MAX_PHOTOS },
+    { name: 'signature', maxCount: 1 }
+  ]);
+  
+  receive(req, res, (error) => {
+    if (error) {
+      removeUploadedFiles(req);
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Delete the proof images of a request that was rejected
+ * @param {Object} req - Express request
+ */
+function removeUploadedFiles(req) {
+  const files = Object.values(req.files || {}).flat();
+  files.forEach(file => {
+    fs.unlink(file.path, (error) => {
+      if (error) {
+        logger.warn(`Could not remove uploaded file ${file.path}: ${error.message}`);
+      }
+    });
+  });
+}
+
+/**
+ * Load a delivery and check the user may follow its tracking
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<Object>} { delivery, status, error } where status/error are set on failure
+ */
+async function findTrackableDelivery(deliveryId, user) {
+  const delivery = await Delivery.findByPk(deliveryId, {
+    include: [{ model: Order, attributes: ['id', 'userId', 'orderNumber'] }]
+  });
+  
+  if (!delivery) {
+    return { status: 404, error: { error: 'Not Found', message: 'Delivery not found' } };
+  }
+  
+  const isAuthorized = user.role === 'admin' ||
+                      (user.role === 'driver' && delivery.driverId === user.userId) ||
+                      (delivery.Order && delivery.Order.userId === user.userId);
+  
+  if (!isAuthorized) {
+    return { status: 403, error: { error: 'Forbidden', message: 'You do not have permission to track this delivery' } };
+  }
+  
+  return { delivery };
+}
+
+/**
+ * @route POST /api/deliveries/:id/tracking
+ * @description Record a batch of location points from the assigned driver's device
+ * @access Private (assigned driver only)
+ */
+router.post('/:id/tracking', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  param('id').isUUID().withMessage('Invalid delivery ID'),
+  body('points').isArray({ min: 1, max: deliveryTrackingService.TRACKING_CONSTANTS.MAX_POINTS_PER_BATCH })
+    .withMessage(`Points must be an array of 1 to ${deliveryTrackingService.TRACKING_CONSTANTS.MAX_POINTS_PER_BATCH} locations`),
+  body('points.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('points.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('points.*.speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number'),
+  body('points.*.heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+  body('points.*.batteryLevel').optional().isFloat({ min: 0, max: 100 }).withMessage('Battery level must be between 0 and 100'),
+  body('points.*.accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number'),
+  body('points.*.provider').optional().trim(),
+  body('points.*.timestamp').optional().isISO8601().withMessage('Invalid timestamp format')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await Delivery.findByPk(req.params.id);
+    
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Delivery not found'
+      });
+    }
+    
+    if (delivery.driverId !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not assigned to this delivery'
+      });
+    }
+    
+    if (!deliveryTrackingService.TRACKING_CONSTANTS.TRACKABLE_STATUSES.includes(delivery.status)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Location updates are not accepted for a delivery that is ${delivery.status}`
+      });
+    }
+    
+    const result = await deliveryTrackingService.recordLocationBatch(delivery, req.user.userId, req.body.points);
+    
+    return res.status(201).json({
+      message: 'Location recorded',
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error recording delivery location: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record location'
+    });
+  }
+});
+
+/**
+ * @route GET /api/deliveries/:id/tracking
+ * @description Get the driver's current position and ETA, optionally with the recent path
+ * @access Private (admin, assigned driver, or consumer who placed the order)
+ */
+router.get('/:id/tracking', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid delivery ID'),
+  query('includePath').optional().isBoolean().withMessage('includePath must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { delivery, status, error } = await findTrackableDelivery(req.params.id, req.user);
+    if (error) {
+      return res.status(status).json(error);
+    }
+    
+    const latest = await deliveryTrackingService.getLatestPosition(delivery.id);
+    const eta = latest ? await deliveryTrackingService.estimateEta(delivery, latest) : null;
+    
+    const response = {
+      deliveryId: delivery.id,
+      status: delivery.status,
+      position: latest ? deliveryTrackingService.formatPosition(latest) : null,
+      eta
+    };
+    
+    if (req.query.includePath === 'true') {
+      response.path = await deliveryTrackingService.getPath(delivery.id);
+    }
+    
+    return res.status(200).json(response);
+  } catch (error) {
+    logger.error(`Error fetching delivery tracking: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve delivery tracking'
+    });
+  }
+});
+
+/**
+ * @route GET /api/deliveries/:id/tracking/stream
+ * @description Stream position, ETA and status updates using Server-Sent Events.
+ * Sends a `snapshot` event on connect, then `position` and `status` events.
+ * The stream closes once the delivery reaches a final status.
+ * @access Private (admin, assigned driver, or consumer who placed the order)
+ */
+router.get('/:id/tracking/stream', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { delivery, status, error } = await findTrackableDelivery(req.params.id, req.user);
+    if (error) {
+      return res.status(status).json(error);
+    }
+    
+    const latest = await deliveryTrackingService.getLatestPosition(delivery.id);
+    const eta = latest ? await deliveryTrackingService.estimateEta(delivery, latest) : null;
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const isFinal = deliveryTrackingService.TRACKING_CONSTANTS.FINAL_STATUSES.includes(delivery.status);
+    
+    send('snapshot', {
+      deliveryId: delivery.id,
+      status: delivery.status,
+      position: latest ? deliveryTrackingService.formatPosition(latest) : null,
+      eta,
+      final: isFinal
+    });
+    
+    if (isFinal) {
+      return res.end();
+    }
+    
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+    
+    let unsubscribe = null;
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    };
+    
+    unsubscribe = deliveryTrackingService.subscribe(delivery.id, (update) => {
+      send(update.type, update);
+      if (update.final) {
+        cleanup();
+        res.end();
+      }
+    });
+    
+    req.on('close', cleanup);
+  } catch (error) {
+    logger.error(`Error streaming delivery tracking: ${error.message}`);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to stream delivery tracking'
+    });
+  }
+});
+
 module.exports = router;
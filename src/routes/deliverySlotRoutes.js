@@ -0,0 +1,296 @@
+/**
+ * Delivery Slot Routes
+ *
+ * API routes for booking delivery times. Customers list the open slots for
+ * one of their addresses and pick one at checkout; admins and farmers
+ * manage the weekly windows those slots come from.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const deliverySlotService = require('../services/deliverySlotService');
+const logger = require('../utils/logger');
+
+// Local time of day, HH:MM
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Send a delivery slot service error with its status, or a 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Validators for delivery window fields; the schedule is required on create
+ * @param {Boolean} isCreate - Whether the window is being created
+ * @returns {Array} express-validator chains
+ */
+const windowValidators = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+  const { MAX_DRIVERS_PER_WINDOW, MAX_DELIVERIES_PER_DRIVER } = deliverySlotService.SLOT_CONSTANTS;
+
+  return [
+    body('serviceAreaId').optional({ nullable: true }).isUUID().withMessage('Invalid service area ID'),
+    body('farmId').optional({ nullable: true }).isUUID().withMessage('Invalid farm ID'),
+    field('dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)').toInt(),
+    field('startTime').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    field('endTime').matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+    field('driverCount').isInt({ min: 1, max: MAX_DRIVERS_PER_WINDOW })
+      .withMessage(`Driver count must be between 1 and ${MAX_DRIVERS_PER_WINDOW}`).toInt(),
+    body('deliveriesPerDriver').optional().isInt({ min: 1, max: MAX_DELIVERIES_PER_DRIVER })
+      .withMessage(`Deliveries per driver must be between 1 and ${MAX_DELIVERIES_PER_DRIVER}`).toInt(),
+    body('cutoffHours').optional().isInt({ min: 0, max: 168 }).withMessage('Cutoff must be between 0 and 168 hours').toInt(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/delivery-slots:
+ *   get:
+ *     summary: List the delivery slots open for an address
+ *     description: >
+ *       Slots for the next two weeks, past their booking cutoff excluded. Full slots are
+ *       included with available set to false. Pass the farms in the cart to also see
+ *       windows a farm runs for its own orders. An empty list means the address has no
+ *       windows and orders to it don't need a slot.
+ *     tags: [Delivery Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: addressId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: farmIds
+ *         description: Comma-separated farm IDs
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Delivery slots in start order
+ *       404:
+ *         description: Address not found
+ */
+router.get('/', [
+  authenticate,
+  requireActiveUser,
+  query('addressId').isUUID().withMessage('Valid address ID is required'),
+  query('farmIds').optional().customSanitizer(value => String(value).split(',').map(id => id.trim()).filter(Boolean)),
+  query('farmIds.*').isUUID().withMessage('Invalid farm ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const slots = await deliverySlotService.getAvailableSlots(req.user.userId, req.query.addressId, {
+      farmIds: req.query.farmIds || []
+    });
+    return res.status(200).json({ slots });
+  } catch (error) {
+    logger.error(`Error fetching delivery slots: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve delivery slots');
+  }
+});
+
+/**
+ * @swagger
+ * /api/delivery-slots/windows:
+ *   get:
+ *     summary: List delivery windows
+ *     description: Farmers see the platform windows and their own farms' windows.
+ *     tags: [Delivery Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serviceAreaId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: farmId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: includeInactive
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Delivery windows
+ */
+router.get('/windows', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  query('serviceAreaId').optional().isUUID().withMessage('Invalid service area ID'),
+  query('farmId').optional().isUUID().withMessage('Invalid farm ID'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean').toBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const windows = await deliverySlotService.listWindows(req.user, {
+      serviceAreaId: req.query.serviceAreaId,
+      farmId: req.query.farmId,
+      includeInactive: req.query.includeInactive
+    });
+    return res.status(200).json({ windows });
+  } catch (error) {
+    logger.error(`Error fetching delivery windows: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve delivery windows');
+  }
+});
+
+/**
+ * @swagger
+ * /api/delivery-slots/windows:
+ *   post:
+ *     summary: Add a weekly delivery window
+ *     description: >
+ *       Admins add platform windows (no farmId); farmers add windows for their own farm,
+ *       offered only on orders made up entirely of that farm's products. Capacity per
+ *       date is driverCount times deliveriesPerDriver.
+ *     tags: [Delivery Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dayOfWeek, startTime, endTime, driverCount]
+ *             properties:
+ *               serviceAreaId: { type: string, format: uuid, nullable: true }
+ *               farmId: { type: string, format: uuid, nullable: true }
+ *               dayOfWeek: { type: integer, minimum: 0, maximum: 6 }
+ *               startTime: { type: string, example: '16:00' }
+ *               endTime: { type: string, example: '19:00' }
+ *               driverCount: { type: integer }
+ *               deliveriesPerDriver: { type: integer }
+ *               cutoffHours: { type: integer }
+ *               isActive: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Window created
+ *       403:
+ *         description: Not allowed to manage this farm's windows
+ */
+router.post('/windows', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  ...windowValidators(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const window = await deliverySlotService.createWindow(req.user, req.body);
+    return res.status(201).json(window);
+  } catch (error) {
+    logger.error(`Error creating delivery window: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to create delivery window');
+  }
+});
+
+/**
+ * @swagger
+ * /api/delivery-slots/windows/{id}:
+ *   put:
+ *     summary: Update a delivery window
+ *     description: A window with upcoming bookings can't be moved to another day or time.
+ *     tags: [Delivery Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Window updated
+ *       404:
+ *         description: Window not found
+ *       409:
+ *         description: Window has upcoming bookings
+ */
+router.put('/windows/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid delivery window ID'),
+  ...windowValidators(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const window = await deliverySlotService.updateWindow(req.user, req.params.id, req.body);
+    return res.status(200).json(window);
+  } catch (error) {
+    logger.error(`Error updating delivery window ${req.params.id}: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to update delivery window');
+  }
+});
+
+/**
+ * @swagger
+ * /api/delivery-slots/windows/{id}:
+ *   delete:
+ *     summary: Remove a delivery window
+ *     description: Windows that have been booked are deactivated instead so existing orders keep their slot.
+ *     tags: [Delivery Slots]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Window deleted or deactivated
+ *       404:
+ *         description: Window not found
+ */
+router.delete('/windows/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid delivery window ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const deleted = await deliverySlotService.deleteWindow(req.user, req.params.id);
+    return res.status(200).json({
+      message: deleted ? 'Delivery window deleted' : 'Delivery window has bookings and was deactivated',
+      deleted
+    });
+  } catch (error) {
+    logger.error(`Error deleting delivery window ${req.params.id}: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to delete delivery window');
+  }
+});
+
+module.exports = router;
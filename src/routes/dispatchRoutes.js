@@ -0,0 +1,237 @@
+/**
+ * Dispatch Routes
+ *
+ * API routes for the automatic dispatcher. Drivers see the batches of
+ * deliveries offered to them and accept or decline them before they expire;
+ * admins review offers and can run the dispatcher immediately. Dispatch is
+ * turned on and its scoring weights are tuned in the dispatch system settings
+ * (PUT /api/settings/system).
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const dispatchService = require('../services/dispatchService');
+const logger = require('../utils/logger');
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Send a dispatch service error with its status, or a 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/dispatch/offers:
+ *   get:
+ *     summary: List dispatch offers
+ *     description: >
+ *       Drivers get the offers open to them, each with its deliveries, planned route
+ *       and deadline. Admins get every offer, optionally filtered by status and driver,
+ *       with the scores behind it.
+ *     tags: [Dispatch]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, accepted, declined, expired, withdrawn] }
+ *       - in: query
+ *         name: driverId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Offers, newest first
+ */
+router.get('/offers', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  query('status').optional().isIn(dispatchService.DISPATCH_CONSTANTS.OFFER_STATUSES).withMessage('Invalid offer status'),
+  query('driverId').optional().isUUID().withMessage('Invalid driver ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const result = await dispatchService.listOffers(req.user, {
+      status: req.query.status,
+      driverId: req.query.driverId,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error fetching dispatch offers: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve dispatch offers');
+  }
+});
+
+/**
+ * @swagger
+ * /api/dispatch/offers/{id}/accept:
+ *   post:
+ *     summary: Accept a dispatch offer
+ *     description: >
+ *       Assigns the offered deliveries to the driver. They join the driver's active
+ *       batch from the same slot, whose route is solved again with every stop still
+ *       to make; a driver without one gets a new batch with the offer's planned route.
+ *     tags: [Dispatch]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       201:
+ *         description: Offer accepted; its deliveries were added to the driver's batch
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: The offer expired or was answered, or its deliveries were taken
+ */
+router.post('/offers/:id/accept', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  param('id').isUUID().withMessage('Invalid offer ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { offer, batch } = await dispatchService.acceptOffer(req.params.id, req.user.userId);
+    return res.status(201).json({
+      message: 'Offer accepted',
+      offer,
+      batch,
+      route: batch.routeData
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error accepting dispatch offer: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to accept offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/dispatch/offers/{id}/decline:
+ *   post:
+ *     summary: Decline a dispatch offer
+ *     description: The deliveries are offered to other drivers on the dispatcher's next run.
+ *     tags: [Dispatch]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: The offer expired or was already answered
+ */
+router.post('/offers/:id/decline', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  param('id').isUUID().withMessage('Invalid offer ID'),
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const offer = await dispatchService.declineOffer(req.params.id, req.user.userId, req.body.reason);
+    return res.status(200).json({
+      message: 'Offer declined',
+      offer
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error declining dispatch offer: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to decline offer');
+  }
+});
+
+/**
+ * @swagger
+ * /api/dispatch/run:
+ *   post:
+ *     summary: Run the dispatcher now
+ *     description: >
+ *       Expires overdue offers and, while dispatch is enabled, offers dispatchable
+ *       deliveries to online drivers. The dispatcher also runs every 30 seconds;
+ *       a run requested while another is under way is skipped.
+ *     tags: [Dispatch]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Offers made and offers expired
+ */
+router.post('/run', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin'])
+], async (req, res) => {
+  try {
+    const { expired, offers, skipped } = await dispatchService.runDispatch();
+    return res.status(200).json({
+      message: skipped ? 'Dispatch is already running' : `${offers.length} offers made`,
+      expired,
+      offers,
+      skipped
+    });
+  } catch (error) {
+    logger.error(`Error running dispatch: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to run dispatch');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 /**
  * Driver Compensation Routes
- * 
+ *
  * API routes for driver compensation functionality including:
  * - Earnings calculation and retrieval
  * - Payment processing
@@ -8,61 +8,398 @@
  */
 
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const driverCompensationController = require('../controllers/driverCompensationController');
-const { authenticateJWT, requirePermission } = require('../middleware/auth');
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const { DriverCompensationConfig } = require('../models/pricing');
 
-// All routes require basic authentication
-router.use(authenticateJWT);
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
 
-// Routes for accessing driver's own earnings or admin accessing any driver
-router.post('/earnings/calculate', driverCompensationController.calculateDriverEarnings);
-router.get('/earnings/:driverId', driverCompensationController.getDriverEarnings);
-router.post('/earnings/projection/:driverId', driverCompensationController.generateEarningsProjection);
+const configValidators = [
+  ...Object.entries(DriverCompensationConfig.rawAttributes)
+    .filter(([, attribute]) => ['FLOAT', 'INTEGER'].includes(attribute.type.key))
+    .map(([name]) => body(name).optional().isFloat({ min: 0 }).withMessage(`${name} must be a positive number`)),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('effectiveDate').optional().isISO8601().withMessage('Invalid effective date format'),
+  body('expirationDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiration date format')
+];
 
-// Driver-only route for estimating earnings before accepting an order
-router.post('/earnings/estimate', 
-  requirePermission('update_delivery'), 
-  driverCompensationController.estimateDeliveryEarnings
-);
+const periodValidators = [
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required')
+];
 
-// Connect account creation (driver can create their own, admin can create for any)
-router.post('/connect-account', driverCompensationController.createDriverConnectAccount);
+// All routes require an authenticated, active account
+router.use(authenticate, requireActiveUser);
 
-// Admin-only routes
-router.post('/earnings', 
-  requirePermission('admin'), 
-  driverCompensationController.saveDriverEarnings
-);
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/calculate:
+ *   post:
+ *     summary: Calculate a driver's earnings for a period
+ *     description: Drivers can only calculate their own earnings.
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [driverId, startDate, endDate]
+ *             properties:
+ *               driverId: { type: string, format: uuid }
+ *               startDate: { type: string, format: date-time }
+ *               endDate: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Earnings breakdown for the period
+ *       403:
+ *         description: Not the driver or an admin
+ */
+router.post('/earnings/calculate', [
+  requireRoles(['admin', 'driver']),
+  body('driverId').isUUID().withMessage('Valid driver ID is required'),
+  ...periodValidators,
+  handleValidation
+], driverCompensationController.calculateDriverEarnings);
 
-router.post('/earnings/:earningsId/process', 
-  requirePermission('admin'), 
-  driverCompensationController.processDriverPayment
-);
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/estimate:
+ *   post:
+ *     summary: Estimate the driver's earnings for a delivery before accepting it
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [estimatedDistanceKm, estimatedTimeMinutes]
+ *             properties:
+ *               orderId: { type: string, format: uuid }
+ *               estimatedDistanceKm: { type: number }
+ *               estimatedTimeMinutes: { type: number }
+ *               deliveryDetails: { type: object }
+ *     responses:
+ *       200:
+ *         description: Estimated earnings
+ *       403:
+ *         description: Driver access required
+ */
+router.post('/earnings/estimate', [
+  requireRoles(['driver']),
+  body('orderId').optional().isUUID().withMessage('Invalid order ID'),
+  body('estimatedDistanceKm').isFloat({ gt: 0 }).withMessage('Estimated distance must be greater than 0'),
+  body('estimatedTimeMinutes').isFloat({ gt: 0 }).withMessage('Estimated time must be greater than 0'),
+  body('deliveryDetails').optional().isObject().withMessage('Delivery details must be an object'),
+  handleValidation
+], driverCompensationController.estimateDeliveryEarnings);
 
-router.post('/earnings/process-batch', 
-  requirePermission('admin'), 
-  driverCompensationController.processBatchDriverPayments
-);
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/process-batch:
+ *   post:
+ *     summary: Pay out several unpaid earnings records
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [earningsIds]
+ *             properties:
+ *               earningsIds:
+ *                 type: array
+ *                 items: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Payment results
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: No unpaid earnings found
+ */
+router.post('/earnings/process-batch', [
+  requireRoles(['admin']),
+  body('earningsIds').isArray({ min: 1 }).withMessage('Earnings IDs array is required'),
+  body('earningsIds.*').isUUID().withMessage('Invalid earnings ID'),
+  handleValidation
+], driverCompensationController.processBatchDriverPayments);
 
-router.post('/earnings/calculateAll', 
-  requirePermission('admin'), 
-  driverCompensationController.calculateAllDriverEarnings
-);
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/calculateAll:
+ *   post:
+ *     summary: Calculate and save earnings for every driver for a period
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate, endDate]
+ *             properties:
+ *               startDate: { type: string, format: date-time }
+ *               endDate: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Saved earnings records
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/earnings/calculateAll', [
+  requireRoles(['admin']),
+  ...periodValidators,
+  handleValidation
+], driverCompensationController.calculateAllDriverEarnings);
+
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/projection/{driverId}:
+ *   post:
+ *     summary: Project a driver's weekly earnings
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hoursPerWeek: { type: number }
+ *               deliveriesPerHour: { type: number }
+ *               averageDistanceKm: { type: number }
+ *               weeks: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Earnings projection
+ *       403:
+ *         description: Not the driver or an admin
+ */
+router.post('/earnings/projection/:driverId', [
+  requireRoles(['admin', 'driver']),
+  param('driverId').isUUID().withMessage('Invalid driver ID'),
+  body('hoursPerWeek').optional().isFloat({ gt: 0, max: 168 }).withMessage('Hours per week must be between 0 and 168'),
+  body('deliveriesPerHour').optional().isFloat({ gt: 0 }).withMessage('Deliveries per hour must be greater than 0'),
+  body('averageDistanceKm').optional().isFloat({ gt: 0 }).withMessage('Average distance must be greater than 0'),
+  body('weeks').optional().isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1 and 52'),
+  handleValidation
+], driverCompensationController.generateEarningsProjection);
 
-router.get('/compensation/configuration', 
-  requirePermission('admin'), 
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/{driverId}:
+ *   get:
+ *     summary: List a driver's earnings records
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Earnings records overlapping the period
+ *       403:
+ *         description: Not the driver or an admin
+ */
+router.get('/earnings/:driverId', [
+  requireRoles(['admin', 'driver']),
+  param('driverId').isUUID().withMessage('Invalid driver ID'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  handleValidation
+], driverCompensationController.getDriverEarnings);
+
+/**
+ * @swagger
+ * /api/driver-compensation/earnings:
+ *   post:
+ *     summary: Record a driver earnings entry
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Earnings saved
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/earnings', [
+  requireRoles(['admin']),
+  body('driverId').isUUID().withMessage('Valid driver ID is required'),
+  body('payPeriodStart').isISO8601().withMessage('Valid pay period start is required'),
+  body('payPeriodEnd').isISO8601().withMessage('Valid pay period end is required'),
+  handleValidation
+], driverCompensationController.saveDriverEarnings);
+
+/**
+ * @swagger
+ * /api/driver-compensation/earnings/{earningsId}/process:
+ *   post:
+ *     summary: Pay out a single earnings record
+ *     description: Paid by Stripe transfer, or recorded as paid outside Stripe with a paymentReference of manual.
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: earningsId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentReference: { type: string, enum: [manual] }
+ *     responses:
+ *       200:
+ *         description: Payment result
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/earnings/:earningsId/process', [
+  requireRoles(['admin']),
+  param('earningsId').isUUID().withMessage('Invalid earnings ID'),
+  body('paymentReference').optional().isIn(['manual']).withMessage('Payment reference must be manual, or omitted to pay by Stripe transfer'),
+  handleValidation
+], driverCompensationController.processDriverPayment);
+
+/**
+ * @swagger
+ * /api/driver-compensation/connect-account:
+ *   post:
+ *     summary: Create a Stripe Connect account for payouts
+ *     description: Drivers create their own account; admins may pass a driverId.
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Account created with an onboarding link
+ *       400:
+ *         description: Driver already has an account
+ *       403:
+ *         description: Not the driver or an admin
+ */
+router.post('/connect-account', [
+  requireRoles(['admin', 'driver']),
+  body('driverId').optional().isUUID().withMessage('Invalid driver ID'),
+  handleValidation
+], driverCompensationController.createDriverConnectAccount);
+
+/**
+ * @swagger
+ * /api/driver-compensation/compensation/configuration:
+ *   get:
+ *     summary: Get the active driver compensation configuration
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active configuration
+ *       403:
+ *         description: Admin access required
+ *   post:
+ *     summary: Create a driver compensation configuration
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Configuration created
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/compensation/configuration',
+  requireRoles(['admin']),
   driverCompensationController.getActiveCompensationConfig
 );
 
-router.post('/compensation/configuration', 
-  requirePermission('admin'), 
-  driverCompensationController.createCompensationConfig
-);
+router.post('/compensation/configuration', [
+  requireRoles(['admin']),
+  body('name').trim().notEmpty().withMessage('Configuration name is required'),
+  ...configValidators,
+  handleValidation
+], driverCompensationController.createCompensationConfig);
 
-router.put('/compensation/configuration/:id', 
-  requirePermission('admin'), 
-  driverCompensationController.updateCompensationConfig
-);
+/**
+ * @swagger
+ * /api/driver-compensation/compensation/configuration/{id}:
+ *   put:
+ *     summary: Update a driver compensation configuration
+ *     tags: [Driver Compensation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Configuration updated
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Configuration not found
+ */
+router.put('/compensation/configuration/:id', [
+  requireRoles(['admin']),
+  param('id').isUUID().withMessage('Invalid configuration ID'),
+  body('name').optional().trim().notEmpty().withMessage('Configuration name cannot be empty'),
+  ...configValidators,
+  handleValidation
+], driverCompensationController.updateCompensationConfig);
 
 module.exports = router;
@@ -11,12 +11,15 @@ const { authenticate, requireActiveUser, requirePermissions } = require('../midd
 const logger = require('../utils/logger');
 const { Delivery, DeliveryBatch, RouteOptimizationHistory } = require('../models/delivery');
 const { Order, OrderItem } = require('../models/order');
-const { User } = require('../models/user');
+const { User, Profile } = require('../models/user');
 const { Farm } = require('../models/farm');
 const { Product } = require('../models/product');
+const { DeliverySlot } = require('../models/deliverySlot');
 const { sequelize } = require('../config/database');
 const geolib = require('geolib');
 const googleMapsService = require('../services/googleMapsService');
+const routeSolverService = require('../services/routeSolverService');
+const driverShiftService = require('../services/driverShiftService');
 
 const router = express.Router();
 
@@ -30,6 +33,7 @@ router.get('/available-deliveries', [
   requireActiveUser,
   requirePermissions(['update_delivery']),
   query('maxDistance').optional().isFloat({ min: 0 }).withMessage('Max distance must be a positive number'),
+  query('slotId').optional().isUUID().withMessage('Invalid delivery slot ID'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ], async (req, res) => {
@@ -47,17 +51,15 @@ router.get('/available-deliveries', [
       });
     }
 
-    // Get driver's current location (from profile or query)
-    const driver = await User.findByPk(req.user.userId);
-    
-    // Default to driver's base location if not provided
-    const driverLat = parseFloat(req.query.lat) || driver.latitude;
-    const driverLng = parseFloat(req.query.lng) || driver.longitude;
+    // Use the location given, or the driver's last known location
+    const { location } = await driverShiftService.getStatus(req.user.userId);
+    const driverLat = parseFloat(req.query.lat) || (location && location.latitude);
+    const driverLng = parseFloat(req.query.lng) || (location && location.longitude);
     
     if (!driverLat || !driverLng) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'Driver location not available. Please update your profile or provide lat/lng parameters'
+        message: 'Driver location not available. Go online with your location or provide lat/lng parameters'
       });
     }
     
@@ -66,13 +68,23 @@ router.get('/available-deliveries', [
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
     
-    // Get unassigned deliveries
+    // Get unassigned deliveries, optionally only those booked into one slot
+    const where = {
+      status: 'pending',
+      driverId: null
+    };
+    if (req.query.slotId) {
+      where.deliverySlotId = req.query.slotId;
+    }
+    
     const deliveries = await Delivery.findAll({
-      where: {
-        status: 'pending',
-        driverId: null
-      },
+      where,
       include: [
+        {
+          model: DeliverySlot,
+          as: 'DeliverySlot',
+          attributes: ['id', 'startsAt', 'endsAt']
+        },
         {
           model: Order,
           include: [
@@ -100,7 +112,8 @@ router.get('/available-deliveries', [
             {
               model: User,
               as: 'Consumer',
-              attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber', 'latitude', 'longitude']
+              attributes: ['id', 'firstName', 'lastName', 'email'],
+              include: [{ model: Profile, as: 'Profile', attributes: ['phone'] }]
             }
           ]
         }
@@ -134,8 +147,8 @@ router.get('/available-deliveries', [
       const farms = Array.from(farmsInOrder.values());
       
       // Get customer location
-      const customerLat = delivery.Order.Consumer.latitude;
-      const customerLng = delivery.Order.Consumer.longitude;
+      const customerLat = delivery.deliveryLatitude;
+      const customerLng = delivery.deliveryLongitude;
       
       // If we don't have coordinates, use addresses to estimate distances
       let totalDistance = 0;
@@ -191,6 +204,11 @@ router.get('/available-deliveries', [
           status: delivery.status,
           scheduledDeliveryTime: delivery.scheduledDeliveryTime,
           scheduledPickupTime: delivery.scheduledPickupTime || null,
+          slot: delivery.DeliverySlot ? {
+            id: delivery.DeliverySlot.id,
+            startsAt: delivery.DeliverySlot.startsAt,
+            endsAt: delivery.DeliverySlot.endsAt
+          } : null,
           deliveryAddress: `${delivery.deliveryAddress}, ${delivery.deliveryCity}, ${delivery.deliveryState} ${delivery.deliveryZipCode}`
         },
         order: {
@@ -201,7 +219,7 @@ router.get('/available-deliveries', [
         },
         customer: {
           name: `${delivery.Order.Consumer.firstName} ${delivery.Order.Consumer.lastName}`,
-          phoneNumber: delivery.Order.Consumer.phoneNumber
+          phoneNumber: delivery.Order.Consumer.Profile ? delivery.Order.Consumer.Profile.phone : null
         },
         farms: farms,
         distanceDetails: {
@@ -214,9 +232,12 @@ router.get('/available-deliveries', [
       return delivery.distanceDetails.totalDistanceKm <= maxDistance;
     });
     
-    // Sort by distance
+    // Sort by slot so deliveries that can be batched together sit together (unbooked
+    // deliveries last), then by distance
+    const slotStart = (entry) => (entry.delivery.slot ? new Date(entry.delivery.slot.startsAt).getTime() : Infinity);
     deliveriesWithDistance.sort((a, b) => {
-      return a.distanceDetails.totalDistanceKm - b.distanceDetails.totalDistanceKm;
+      return (slotStart(a) - slotStart(b)) ||
+        (a.distanceDetails.totalDistanceKm - b.distanceDetails.totalDistanceKm);
     });
     
     // Apply pagination
@@ -289,7 +310,8 @@ router.post('/batch-create', [
             },
             { model: User, as: 'Consumer' }
           ]
-        }
+        },
+        { model: DeliverySlot, as: 'DeliverySlot' }
       ]
     });
     
@@ -300,6 +322,16 @@ router.post('/batch-create', [
       });
     }
     
+    // A batch is one trip, so its deliveries must all be booked into the same slot
+    const slotIds = new Set(deliveries.map(d => d.deliverySlotId || null));
+    if (slotIds.size > 1) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Deliveries in a batch must all be booked into the same delivery slot'
+      });
+    }
+    const [deliverySlotId] = slotIds;
+    
     // Make sure batch size doesn't exceed 3
     const currentDeliveryCount = await Delivery.count({
       where: {
@@ -317,75 +349,42 @@ router.post('/batch-create', [
     
     // Start a transaction
     const result = await sequelize.transaction(async (t) => {
-      // Generate route data for this batch
+      // Generate route data for this batch: each farm pickup, then the customer drop-off
       let routeData = {
         driverId: req.user.userId,
         deliveryIds: deliveryIds,
         optimized: optimizedRoute,
         createdAt: new Date(),
-        stops: []
+        stops: routeSolverService.buildDeliveryStops(deliveries)
       };
       
       // Assign all deliveries to this driver
       for (const delivery of deliveries) {
-        // Add farm pickups
-        const uniqueFarms = new Map();
-        delivery.Order.Items.forEach(item => {
-          const farm = item.Product.Farm;
-          uniqueFarms.set(farm.id, {
-            id: farm.id,
-            name: farm.name,
-            latitude: farm.latitude,
-            longitude: farm.longitude,
-            address: farm.address,
-            type: 'pickup'
-          });
-        });
-        
-        // Add stops to the route
-        Array.from(uniqueFarms.values()).forEach(farm => {
-          routeData.stops.push({
-            type: 'pickup',
-            farmId: farm.id,
-            farmName: farm.name,
-            latitude: farm.latitude,
-            longitude: farm.longitude,
-            address: farm.address,
-            orderId: delivery.Order.id,
-            orderNumber: delivery.Order.orderNumber
-          });
-        });
-        
-        // Add customer stop
-        routeData.stops.push({
-          type: 'delivery',
-          customerId: delivery.Order.Consumer.id,
-          customerName: `${delivery.Order.Consumer.firstName} ${delivery.Order.Consumer.lastName}`,
-          latitude: delivery.Order.Consumer.latitude,
-          longitude: delivery.Order.Consumer.longitude,
-          address: `${delivery.deliveryAddress}, ${delivery.deliveryCity}, ${delivery.deliveryState} ${delivery.deliveryZipCode}`,
-          orderId: delivery.Order.id,
-          orderNumber: delivery.Order.orderNumber,
-          deliveryId: delivery.id
-        });
-        
-        // Update delivery status
         await delivery.update({
           driverId: req.user.userId,
-          status: 'assigned',
-          batchId: routeData.batchId
+          status: 'assigned'
         }, { transaction: t });
       }
       
-      // Optimize route if requested
+      // Order the stops so every pickup comes before its drop-off; the driver's
+      // position isn't known yet, so the route starts at its first stop
       if (optimizedRoute) {
-        routeData = optimizeRoute(routeData);
+        const solved = routeSolverService.solveRoute(null, routeData.stops, { strategy: 'balanced' });
+        routeData = {
+          ...routeData,
+          stops: solved.stops,
+          totalDistance: solved.totalDistance,
+          totalDuration: solved.totalDuration,
+          strategy: solved.strategy,
+          solver: solved.solver
+        };
       }
       
       // Create batch record in database
       const { DeliveryBatch } = require('../models/delivery');
       const batch = await DeliveryBatch.create({
         driverId: req.user.userId,
+        deliverySlotId,
         routeData: routeData,
         status: 'active',
         deliveryCount: deliveries.length
@@ -434,6 +433,8 @@ router.post('/optimize-route', [
   requirePermissions(['update_delivery']),
   body('batchId').isUUID().withMessage('Valid batch ID is required'),
   body('strategy').optional().isIn(['fastest', 'shortest', 'balanced']).withMessage('Strategy must be fastest, shortest, or balanced'),
+  body('solver').optional().isIn(routeSolverService.ROUTE_SOLVER_CONSTANTS.SOLVERS).withMessage('Solver must be google or local'),
+  body('vehicleCapacity').optional().isInt({ min: 1 }).withMessage('Vehicle capacity must be at least 1 order').toInt(),
   body('currentLocation').optional().isObject().withMessage('Current location must be an object'),
   body('currentLocation.latitude').optional().isFloat().withMessage('Latitude must be a valid number'),
   body('currentLocation.longitude').optional().isFloat().withMessage('Longitude must be a valid number')
@@ -445,7 +446,7 @@ router.post('/optimize-route', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { batchId, strategy = 'balanced', currentLocation } = req.body;
+    const { batchId, strategy = 'balanced', solver, vehicleCapacity, currentLocation } = req.body;
     const driverId = req.user.userId;
 
     // Find the batch and all its deliveries
@@ -463,13 +464,24 @@ router.post('/optimize-route', [
             {
               model: Order,
               include: [
+                {
+                  model: OrderItem,
+                  as: 'Items',
+                  include: [
+                    {
+                      model: Product,
+                      include: [{ model: Farm }]
+                    }
+                  ]
+                },
                 { 
                   model: User, 
                   as: 'Consumer',
-                  attributes: ['id', 'firstName', 'lastName', 'latitude', 'longitude']
+                  attributes: ['id', 'firstName', 'lastName']
                 }
               ]
-            }
+            },
+            { model: DeliverySlot, as: 'DeliverySlot' }
           ]
         }
       ]
@@ -504,50 +516,52 @@ router.post('/optimize-route', [
       };
     }
 
-    // Extract delivery points for optimization
-    const deliveryPoints = batch.Deliveries.map(delivery => {
-      return {
-        id: delivery.id,
-        orderId: delivery.orderId,
-        status: delivery.status,
-        latitude: delivery.deliveryLatitude,
-        longitude: delivery.deliveryLongitude,
-        address: `${delivery.deliveryAddress}, ${delivery.deliveryCity}, ${delivery.deliveryState} ${delivery.deliveryZipCode}`,
-        customerName: delivery.Order.Consumer ? `${delivery.Order.Consumer.firstName} ${delivery.Order.Consumer.lastName}` : 'Unknown'
-      };
-    });
-
-    // Store the original route for optimization history
-    const originalRoute = {
-      points: deliveryPoints,
-      driverLocation
-    };
+    // Stops still to visit: farms not yet picked up from, and customers not yet delivered to
+    const stops = routeSolverService.buildDeliveryStops(batch.Deliveries);
+    if (stops.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Batch has no stops left to optimize'
+      });
+    }
 
-    // Use Google Maps for production, or geolib as fallback
+    const solverOptions = { solver, vehicleCapacity, departAt: new Date() };
+    const startedAt = Date.now();
     let optimizedRouteData;
     try {
-      // Try Google Maps API first for more accurate optimization
-      optimizedRouteData = await googleMapsService.optimizeDeliveryRoute(
-        driverLocation,
-        deliveryPoints,
-        strategy
-      );
-      
-      logger.info(`Route optimized using Google Maps API for batch ${batchId}`);
+      optimizedRouteData = await googleMapsService.optimizeDeliveryRoute(driverLocation, stops, strategy, solverOptions);
+      logger.info(`Route optimized for batch ${batchId} with the ${optimizedRouteData.solver} solver (${strategy})`);
     } catch (error) {
-      // Fall back to local optimization if Google Maps fails
-      logger.warn(`Google Maps optimization failed, using fallback: ${error.message}`);
-      optimizedRouteData = optimizeRoute(deliveryPoints, driverLocation, strategy);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      throw error;
     }
 
+    // Measure the route the driver had before, from the same position, to see what was saved.
+    // Both routes are estimated the same way so Google's road distances don't skew the comparison.
+    const estimateOptions = { strategy, vehicleCapacity, departAt: solverOptions.departAt };
+    const previousRoute = routeSolverService.evaluateRoute(driverLocation, orderLikePreviousRoute(stops, batch.routeData), estimateOptions);
+    const newRoute = routeSolverService.evaluateRoute(driverLocation, optimizedRouteData.stops, estimateOptions);
+    optimizedRouteData.distanceSaved = Math.round((previousRoute.totalDistance - newRoute.totalDistance) * 100) / 100;
+    optimizedRouteData.timeSaved = Math.round(previousRoute.totalDuration - newRoute.totalDuration);
+
     // Save the optimization history
     const routeOptimization = await RouteOptimizationHistory.create({
       batchId,
       driverId,
-      previousRoute: originalRoute,
+      previousRoute: {
+        driverLocation,
+        stops: previousRoute.stops,
+        totalDistance: previousRoute.totalDistance,
+        totalDuration: previousRoute.totalDuration
+      },
       optimizedRoute: optimizedRouteData,
       optimizationStrategy: strategy,
-      optimizationTime: Date.now(),
+      optimizationTime: Date.now() - startedAt,
       distanceSaved: optimizedRouteData.distanceSaved,
       timeSaved: optimizedRouteData.timeSaved
     });
@@ -684,6 +698,13 @@ router.put('/update-batch-progress/:batchId', [
 
     const { deliveryId, status, currentLocation, notes } = req.body;
     
+    if (status === 'completed') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Complete deliveries with proof of delivery at POST /api/deliveries/:id/complete'
+      });
+    }
+    
     // Get the batch and verify ownership
     const { DeliveryBatch } = require('../models/delivery');
     const batch = await DeliveryBatch.findOne({
@@ -719,39 +740,19 @@ router.put('/update-batch-progress/:batchId', [
     // Update delivery status
     await delivery.update({
       status,
-      actualDeliveryTime: status === 'completed' ? new Date() : null,
       driverNotes: notes || delivery.driverNotes
     });
     
     // If driver provided location, update it
     if (currentLocation && currentLocation.latitude && currentLocation.longitude) {
-      await User.update(
-        {
-          latitude: currentLocation.latitude,
-          longitude: currentLocation.longitude,
-          lastLocationUpdate: new Date()
-        },
-        { where: { id: req.user.userId } }
-      );
-    }
-    
-    // Check if all deliveries in batch are completed
-    const allCompleted = (await Delivery.findAll({
-      where: {
-        batchId: batch.id
-      }
-    })).every(d => d.status === 'completed');
-    
-    if (allCompleted) {
-      await batch.update({
-        status: 'completed',
-        completedAt: new Date()
+      await driverShiftService.updateLocation(req.user.userId, {
+        latitude: currentLocation.latitude,
+        longitude: currentLocation.longitude
       });
     }
     
     return res.status(200).json({
-      message: `Delivery status updated to ${status}`,
-      batchCompleted: allCompleted
+      message: `Delivery status updated to ${status}`
     });
   } catch (error) {
     logger.error(`Error updating batch progress: ${error.message}`);
@@ -762,61 +763,21 @@ router.put('/update-batch-progress/:batchId', [
   }
 });
 
-// Helper function for route optimization (fallback if Google Maps API fails)
-function optimizeRoute(deliveryPoints, driverLocation, strategy = 'balanced') {
-  // Keep the existing optimizeRoute implementation as a fallback
-  // This function will be used when Google Maps API is unavailable
-  
-  // Start with the driver's location
-  let currentLocation = driverLocation;
-  let remainingPoints = [...deliveryPoints];
-  let route = [];
-  let totalDistance = 0;
-  
-  // Simple nearest neighbor algorithm
-  while (remainingPoints.length > 0) {
-    let nextPointIndex = 0;
-    let shortestDistance = Infinity;
-    
-    // Find the closest point to the current location
-    remainingPoints.forEach((point, index) => {
-      const distance = geolib.getDistance(
-        { latitude: currentLocation.latitude, longitude: currentLocation.longitude },
-        { latitude: point.latitude, longitude: point.longitude }
-      );
-      
-      if (distance < shortestDistance) {
-        shortestDistance = distance;
-        nextPointIndex = index;
-      }
-    });
-    
-    // Add the closest point to the route
-    const nextPoint = remainingPoints[nextPointIndex];
-    route.push(nextPoint);
-    totalDistance += shortestDistance;
-    
-    // Update current location and remove the point from remaining points
-    currentLocation = nextPoint;
-    remainingPoints.splice(nextPointIndex, 1);
-  }
-  
-  // Estimate time based on average speed (30 km/h for urban delivery)
-  const totalDistanceKm = totalDistance / 1000;
-  const estimatedDuration = Math.round(totalDistanceKm * 2); // 2 minutes per km as a rough estimate
-  
-  return {
-    optimizedRoute: [driverLocation, ...route],
-    totalDistance: totalDistanceKm,
-    totalDuration: estimatedDuration,
-    points: route.map(point => ({
-      id: point.id,
-      latitude: point.latitude,
-      longitude: point.longitude,
-      address: point.address,
-      customerName: point.customerName
-    }))
+/**
+ * Put stops in the order of a batch's current route, so it can be compared with
+ * a new one. Stops the current route doesn't have go last.
+ * @param {Array} stops - Stops from routeSolverService.buildDeliveryStops
+ * @param {Object} routeData - The batch's current route data
+ * @returns {Array} Stops in the current route's order
+ */
+function orderLikePreviousRoute(stops, routeData) {
+  const previousKeys = ((routeData && routeData.stops) || []).map(stop => stop.key).filter(Boolean);
+  const position = key => {
+    const index = previousKeys.indexOf(key);
+    return index === -1 ? previousKeys.length : index;
   };
+
+  return [...stops].sort((a, b) => position(a.key) - position(b.key));
 }
 
 module.exports = router;
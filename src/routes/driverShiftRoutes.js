@@ -0,0 +1,577 @@
+/**
+ * Driver Shift Routes
+ *
+ * API routes for driver shifts and availability. Drivers plan their shifts
+ * (admins can plan them for any driver), go online and offline, take breaks
+ * and report their location while idle; admins see who is working and the
+ * planned-versus-worked hours report.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const driverShiftService = require('../services/driverShiftService');
+const logger = require('../utils/logger');
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Send a driver shift service error with its status, or a 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+// Validators for a position sent by the driver app
+const locationValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+    field('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/driver-shifts:
+ *   get:
+ *     summary: List shifts
+ *     description: Drivers see their own shifts; admins see everyone's, or one driver's.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [scheduled, active, completed, cancelled, missed] }
+ *     responses:
+ *       200:
+ *         description: Shifts with their breaks
+ */
+router.get('/', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  query('driverId').optional().isUUID().withMessage('Invalid driver ID'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('status').optional().isIn(driverShiftService.SHIFT_CONSTANTS.SHIFT_STATUSES).withMessage('Invalid shift status'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const shifts = await driverShiftService.listShifts(req.user, {
+      driverId: req.query.driverId,
+      from: req.query.from,
+      to: req.query.to,
+      status: req.query.status
+    });
+    return res.status(200).json({ shifts });
+  } catch (error) {
+    logger.error(`Error fetching shifts: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve shifts');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts:
+ *   post:
+ *     summary: Plan a shift
+ *     description: >
+ *       Drivers plan their own shifts; admins pass driverId to plan one for a driver.
+ *       Shifts are up to 12 hours and can't overlap the driver's other shifts.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [plannedStart, plannedEnd]
+ *             properties:
+ *               driverId: { type: string, format: uuid }
+ *               plannedStart: { type: string, format: date-time }
+ *               plannedEnd: { type: string, format: date-time }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Shift planned
+ *       409:
+ *         description: The shift overlaps another shift
+ */
+router.post('/', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  body('driverId').optional().isUUID().withMessage('Invalid driver ID'),
+  body('plannedStart').isISO8601().withMessage('Planned start is required'),
+  body('plannedEnd').isISO8601().withMessage('Planned end is required'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const shift = await driverShiftService.createShift(req.user, req.body);
+    return res.status(201).json({
+      message: 'Shift planned',
+      shift
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error planning shift: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to plan shift');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/report:
+ *   get:
+ *     summary: Planned versus worked hours
+ *     description: >
+ *       Per driver, the hours planned and worked (less breaks) in the period, with
+ *       missed shifts, late starts and unplanned shifts. Drivers only get their own.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: driverId
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Hours per driver
+ */
+router.get('/report', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  query('from').isISO8601().withMessage('From date is required'),
+  query('to').isISO8601().withMessage('To date is required'),
+  query('driverId').optional().isUUID().withMessage('Invalid driver ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const report = await driverShiftService.getHoursReport({
+      from: req.query.from,
+      to: req.query.to,
+      driverId: req.user.role === 'admin' ? req.query.driverId : req.user.userId
+    });
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error building shift hours report: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to build hours report');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status:
+ *   get:
+ *     summary: Get your status
+ *     description: Whether you are offline, online or on a break, your current shift and last known location.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Driver status
+ */
+router.get('/status', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver'])
+], async (req, res) => {
+  try {
+    const status = await driverShiftService.getStatus(req.user.userId);
+    return res.status(200).json(status);
+  } catch (error) {
+    logger.error(`Error fetching driver status: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve status');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status/drivers:
+ *   get:
+ *     summary: List drivers who are working
+ *     description: Drivers online or on a break, with their shift and last known location.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Working drivers
+ */
+router.get('/status/drivers', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin'])
+], async (req, res) => {
+  try {
+    const drivers = await driverShiftService.listActiveDrivers();
+    return res.status(200).json({ drivers });
+  } catch (error) {
+    logger.error(`Error fetching working drivers: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve working drivers');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status/online:
+ *   post:
+ *     summary: Go online
+ *     description: >
+ *       Starts your planned shift if one starts within 30 minutes or is under way,
+ *       or an unplanned shift otherwise. Send your location to be offered work.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               latitude: { type: number }
+ *               longitude: { type: number }
+ *     responses:
+ *       200:
+ *         description: You are online
+ *       409:
+ *         description: Already online
+ */
+router.post('/status/online', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  ...locationValidators(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const location = latitude !== undefined && longitude !== undefined ? { latitude, longitude } : null;
+    const status = await driverShiftService.goOnline(req.user.userId, location);
+    return res.status(200).json(status);
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error going online: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to go online');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status/offline:
+ *   post:
+ *     summary: Go offline
+ *     description: Ends your shift and any break you are on.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: You are offline, with the shift just ended
+ *       409:
+ *         description: Already offline
+ */
+router.post('/status/offline', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver'])
+], async (req, res) => {
+  try {
+    const status = await driverShiftService.goOffline(req.user.userId);
+    return res.status(200).json(status);
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error going offline: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to go offline');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status/break/start:
+ *   post:
+ *     summary: Start a break
+ *     description: You aren't offered work while on a break, and break time isn't paid.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: You are on a break
+ *       409:
+ *         description: Not online, or already on a break
+ */
+router.post('/status/break/start', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver'])
+], async (req, res) => {
+  try {
+    const status = await driverShiftService.startBreak(req.user.userId);
+    return res.status(200).json(status);
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error starting break: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to start break');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status/break/end:
+ *   post:
+ *     summary: End your break
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: You are back online
+ *       409:
+ *         description: Not on a break
+ */
+router.post('/status/break/end', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver'])
+], async (req, res) => {
+  try {
+    const status = await driverShiftService.endBreak(req.user.userId);
+    return res.status(200).json(status);
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error ending break: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to end break');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/status/location:
+ *   put:
+ *     summary: Report your location
+ *     description: >
+ *       Keeps your last known location current while you wait for work. Location
+ *       pings for deliveries you are carrying update it too.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [latitude, longitude]
+ *             properties:
+ *               latitude: { type: number }
+ *               longitude: { type: number }
+ *     responses:
+ *       200:
+ *         description: Location recorded
+ */
+router.put('/status/location', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['driver']),
+  ...locationValidators(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    await driverShiftService.updateLocation(req.user.userId, {
+      latitude: req.body.latitude,
+      longitude: req.body.longitude
+    });
+    const status = await driverShiftService.getStatus(req.user.userId);
+    return res.status(200).json(status);
+  } catch (error) {
+    logger.error(`Error updating driver location: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to update location');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/{id}:
+ *   get:
+ *     summary: Get a shift
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Shift with its breaks
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  param('id').isUUID().withMessage('Invalid shift ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const shift = await driverShiftService.getShift(req.user, req.params.id);
+    return res.status(200).json({ shift });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error fetching shift: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to retrieve shift');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/{id}:
+ *   put:
+ *     summary: Change a planned shift
+ *     description: Only shifts that haven't started can be changed.
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plannedStart: { type: string, format: date-time }
+ *               plannedEnd: { type: string, format: date-time }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Shift updated
+ *       409:
+ *         description: The shift has started, or overlaps another shift
+ */
+router.put('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  param('id').isUUID().withMessage('Invalid shift ID'),
+  body('plannedStart').optional().isISO8601().withMessage('Invalid planned start'),
+  body('plannedEnd').optional().isISO8601().withMessage('Invalid planned end'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const shift = await driverShiftService.updateShift(req.user, req.params.id, req.body);
+    return res.status(200).json({
+      message: 'Shift updated',
+      shift
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error updating shift: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to update shift');
+  }
+});
+
+/**
+ * @swagger
+ * /api/driver-shifts/{id}:
+ *   delete:
+ *     summary: Cancel a planned shift
+ *     tags: [Driver Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Shift cancelled
+ *       409:
+ *         description: The shift has already started
+ */
+router.delete('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'driver']),
+  param('id').isUUID().withMessage('Invalid shift ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const shift = await driverShiftService.cancelShift(req.user, req.params.id);
+    return res.status(200).json({
+      message: 'Shift cancelled',
+      shift
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error cancelling shift: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to cancel shift');
+  }
+});
+
+module.exports = router;
@@ -12,9 +12,47 @@ const searchService = require('../services/searchService');
 const router = express.Router();
 
 /**
- * @route GET /api/farms-search
- * @description Search farms with advanced matching
- * @access Public
+ * @swagger
+ * /api/search/farms:
+ *   get:
+ *     summary: Search farms
+ *     tags: [Search]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isVerified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: acceptsDelivery
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated search results
+ *       400:
+ *         description: Invalid search parameters
  */
 router.get('/', [
   query('q').notEmpty().withMessage('Search query is required'),
@@ -31,7 +31,7 @@ router.use('/farmers', farmerRoutes);
 router.use('/farms', farmRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/pricing', pricingRoutes);
-router.use('/driver', driverCompensationRoutes);
+router.use('/driver-compensation', driverCompensationRoutes);
 router.use('/upload', uploadRoutes);
 router.use('/settings', settingsRoutes);
 
@@ -0,0 +1,334 @@
+/**
+ * Membership Routes
+ *
+ * API routes for paid memberships:
+ * - Subscribing, cancelling, pausing and resuming
+ * - Membership status and member savings
+ * - Savings reporting across all members (admin)
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const membershipService = require('../services/membershipService');
+const logger = require('../utils/logger');
+
+const ERROR_NAMES = { 400: 'Bad Request', 402: 'Payment Required', 404: 'Not Found', 409: 'Conflict' };
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Send a service error, or a 500 with a generic message
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: ERROR_NAMES[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+const rangeValidators = [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+/**
+ * @swagger
+ * /api/memberships/me:
+ *   get:
+ *     summary: Get the current user's membership
+ *     description: Returns the membership (null if the user never subscribed), the monthly fee and the member benefits.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Membership status, fee and benefits
+ */
+router.get('/me', [
+  authenticate,
+  requireActiveUser
+], async (req, res) => {
+  try {
+    const membership = await membershipService.getMembership(req.user.userId);
+    return res.status(200).json(membership);
+  } catch (error) {
+    logger.error(`Error fetching membership: ${error.message}`);
+    return sendError(res, error, 'Failed to fetch membership');
+  }
+});
+
+/**
+ * @swagger
+ * /api/memberships:
+ *   post:
+ *     summary: Subscribe to a membership
+ *     description: Charges the first month's fee and starts a monthly subscription that renews automatically.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentMethodId]
+ *             properties:
+ *               paymentMethodId: { type: string, description: Stripe payment method ID }
+ *     responses:
+ *       201:
+ *         description: Membership started
+ *       400:
+ *         description: The payment method doesn't exist
+ *       402:
+ *         description: Payment declined
+ *       409:
+ *         description: The user already has a membership
+ */
+router.post('/', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['consumer']),
+  body('paymentMethodId').isString().trim().notEmpty().withMessage('Payment method is required'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const membership = await membershipService.subscribe(req.user.userId, {
+      paymentMethodId: req.body.paymentMethodId
+    });
+
+    return res.status(201).json({
+      message: 'Membership started successfully',
+      membership
+    });
+  } catch (error) {
+    logger.error(`Error subscribing user ${req.user.userId} to membership: ${error.message}`);
+    return sendError(res, error, 'Failed to start membership');
+  }
+});
+
+/**
+ * @swagger
+ * /api/memberships/me/cancel:
+ *   post:
+ *     summary: Cancel the current user's membership
+ *     description: An active membership keeps its benefits until the end of the paid period. A paused or past-due membership ends immediately.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Membership cancelled or set to cancel
+ *       404:
+ *         description: No membership
+ */
+router.post('/me/cancel', [
+  authenticate,
+  requireActiveUser
+], async (req, res) => {
+  try {
+    const membership = await membershipService.cancel(req.user.userId);
+
+    return res.status(200).json({
+      message: membership.status === 'cancelled'
+        ? 'Membership cancelled'
+        : 'Membership will be cancelled at the end of the current period',
+      membership
+    });
+  } catch (error) {
+    logger.error(`Error cancelling membership for user ${req.user.userId}: ${error.message}`);
+    return sendError(res, error, 'Failed to cancel membership');
+  }
+});
+
+/**
+ * @swagger
+ * /api/memberships/me/pause:
+ *   post:
+ *     summary: Pause the current user's membership
+ *     description: Skips billing for whole months starting at the end of the current paid period. No member benefits apply while paused.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [months]
+ *             properties:
+ *               months: { type: integer, minimum: 1, maximum: 3 }
+ *     responses:
+ *       200:
+ *         description: Pause scheduled
+ *       409:
+ *         description: The membership can't be paused
+ */
+router.post('/me/pause', [
+  authenticate,
+  requireActiveUser,
+  body('months')
+    .isInt({ min: 1, max: membershipService.MEMBERSHIP_CONSTANTS.MAX_PAUSE_MONTHS })
+    .withMessage(`Months must be between 1 and ${membershipService.MEMBERSHIP_CONSTANTS.MAX_PAUSE_MONTHS}`)
+    .toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const membership = await membershipService.pause(req.user.userId, req.body.months);
+
+    return res.status(200).json({
+      message: 'Membership pause scheduled',
+      membership
+    });
+  } catch (error) {
+    logger.error(`Error pausing membership for user ${req.user.userId}: ${error.message}`);
+    return sendError(res, error, 'Failed to pause membership');
+  }
+});
+
+/**
+ * @swagger
+ * /api/memberships/me/resume:
+ *   post:
+ *     summary: Resume the current user's membership
+ *     description: Undoes a scheduled cancellation or pause. A paused membership is billed and reactivated straight away.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Membership resumed
+ *       402:
+ *         description: Payment declined
+ *       409:
+ *         description: Nothing to resume
+ */
+router.post('/me/resume', [
+  authenticate,
+  requireActiveUser
+], async (req, res) => {
+  try {
+    const membership = await membershipService.resume(req.user.userId);
+
+    return res.status(200).json({
+      message: 'Membership resumed',
+      membership
+    });
+  } catch (error) {
+    logger.error(`Error resuming membership for user ${req.user.userId}: ${error.message}`);
+    return sendError(res, error, 'Failed to resume membership');
+  }
+});
+
+/**
+ * @swagger
+ * /api/memberships/me/savings:
+ *   get:
+ *     summary: Get the current user's member savings
+ *     description: Member discounts on orders that weren't cancelled or refunded, against the membership fees paid.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Savings summary
+ */
+router.get('/me/savings', [
+  authenticate,
+  requireActiveUser,
+  ...rangeValidators,
+  handleValidation
+], async (req, res) => {
+  try {
+    const savings = await membershipService.getMemberSavings(req.user.userId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    return res.status(200).json(savings);
+  } catch (error) {
+    logger.error(`Error fetching member savings: ${error.message}`);
+    return sendError(res, error, 'Failed to fetch member savings');
+  }
+});
+
+/**
+ * @swagger
+ * /api/memberships/savings:
+ *   get:
+ *     summary: Member savings report
+ *     description: Savings and fees paid per member, biggest savers first, with totals across all members.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Savings report
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/savings', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  ...rangeValidators,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const report = await membershipService.getSavingsReport({
+      from: req.query.from,
+      to: req.query.to,
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error generating member savings report: ${error.message}`);
+    return sendError(res, error, 'Failed to generate member savings report');
+  }
+});
+
+module.exports = router;
@@ -6,15 +6,24 @@
 
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
-const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
+const { authenticate, requireActiveUser, requirePermissions, requireRoles } = require('../middleware/auth');
 const logger = require('../utils/logger');
-const { Order, OrderItem, PaymentInfo } = require('../models/order');
+const { Order, OrderItem, OrderFulfillment } = require('../models/order');
+const { PaymentInfo } = require('../models/payment');
+const { OrderCharge } = require('../models/pricing');
 const { Product } = require('../models/product');
+const { Farm } = require('../models/farm');
 const { User } = require('../models/user');
-const { Delivery } = require('../models/delivery');
+const { Delivery, DeliveryProof } = require('../models/delivery');
 const { sequelize } = require('../config/database');
-const { v4: uuidv4 } = require('uuid');
-const stripeService = require('../services/stripeService');
+const referralService = require('../services/referralService');
+const orderStateMachine = require('../services/orderStateMachine');
+const pricingService = require('../services/pricingService');
+const fulfillmentService = require('../services/fulfillmentService');
+const refundService = require('../services/refundService');
+const orderService = require('../services/orderService');
+const catchWeightService = require('../services/catchWeightService');
+const deliveryProofService = require('../services/deliveryProofService');
 
 const router = express.Router();
 
@@ -29,7 +38,7 @@ router.get('/', [
   requirePermissions(['read']),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  query('status').optional().isIn(orderStateMachine.ORDER_STATUSES).withMessage('Invalid status'),
   query('farmId').optional().isUUID().withMessage('Invalid farm ID'),
   query('userId').optional().isUUID().withMessage('Invalid user ID'),
   query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
@@ -177,6 +186,10 @@ router.get('/:id', [
             }
           ]
         },
+        {
+          model: OrderFulfillment,
+          as: 'Fulfillments'
+        },
         {
           model: PaymentInfo,
           as: 'Payment'
@@ -189,6 +202,12 @@ router.get('/:id', [
               model: User,
               as: 'Driver',
               attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+            },
+            {
+              // Photos, signature and recipient once the order is delivered
+              model: DeliveryProof,
+              as: 'Proof',
+              attributes: deliveryProofService.PROOF_CONSTANTS.CUSTOMER_FIELDS
             }
           ]
         }
@@ -234,7 +253,7 @@ router.get('/farm/:farmId', [
   param('farmId').isUUID().withMessage('Invalid farm ID'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered', 'picked_up', 'cancelled']).withMessage('Invalid status')
+  query('status').optional().isIn(orderStateMachine.ORDER_STATUSES).withMessage('Invalid status')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -365,7 +384,10 @@ router.get('/farm/:farmId', [
 
 /**
  * @route POST /api/orders
- * @description Create a new order
+ * @description Create a new order. Products sold in several sizes or packs need the item's
+ * variantId. Catch-weight items are priced on their estimated weight and the card is only
+ * authorized until the farm has weighed them. An optional promoCode is checked against the
+ * items and taken off the order.
  * @access Private (consumers only)
  */
 router.post('/', [
@@ -374,15 +396,22 @@ router.post('/', [
   requirePermissions(['create_order']),
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('items.*.productId').isUUID().withMessage('Valid product ID is required'),
+  body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('Invalid variant ID'),
   body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
   body('delivery').optional().isObject().withMessage('Delivery must be an object'),
+  body('delivery.addressId').optional().isUUID().withMessage('Invalid address ID'),
   body('delivery.deliveryAddress').optional().trim().notEmpty().withMessage('Delivery address is required'),
+  body('delivery.deliveryUnit').optional().trim().isLength({ max: 20 }).withMessage('Unit must be at most 20 characters'),
   body('delivery.deliveryCity').optional().trim().notEmpty().withMessage('Delivery city is required'),
   body('delivery.deliveryState').optional().trim().notEmpty().withMessage('Delivery state is required'),
   body('delivery.deliveryZipCode').optional().trim().notEmpty().withMessage('Delivery ZIP code is required'),
   body('delivery.deliveryMethod').optional().isIn(['pickup', 'delivery']).withMessage('Invalid delivery method'),
+  body('delivery.slot').optional().isObject().withMessage('Delivery slot must be an object'),
+  body('delivery.slot.windowId').optional().isUUID().withMessage('Invalid delivery window ID'),
+  body('delivery.slot.date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Slot date must be YYYY-MM-DD'),
   body('delivery.scheduledDeliveryTime').optional().isISO8601().withMessage('Invalid scheduled delivery time format'),
   body('delivery.deliveryInstructions').optional().trim(),
+  body('promoCode').optional({ nullable: true }).trim().isLength({ min: 1, max: 32 }).withMessage('Promo code must be at most 32 characters'),
   body('payment').optional().isObject().withMessage('Payment info is required')
 ], async (req, res) => {
   try {
@@ -392,133 +421,14 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Start a transaction to ensure data consistency
-    const result = await sequelize.transaction(async (t) => {
-      // Verify all products exist and are available
-      const productIds = req.body.items.map(item => item.productId);
-      const products = await Product.findAll({
-        where: {
-          id: productIds,
-          isAvailable: true,
-          status: 'active'
-        },
-        include: [{
-          model: User,
-          as: 'Farmer',
-          attributes: ['id', 'firstName', 'lastName', 'email']
-        }]
-      });
-      
-      // Check if all products were found
-      if (products.length !== productIds.length) {
-        const foundIds = products.map(p => p.id);
-        const missingIds = productIds.filter(id => !foundIds.includes(id));
-        
-        throw new Error(`Some products are not available: ${missingIds.join(', ')}`);
-      }
-      
-      // Calculate order total
-      let subtotal = 0;
-      const orderItems = [];
-      let uniqueFarms = new Set();
-      
-      for (const item of req.body.items) {
-        const product = products.find(p => p.id === item.productId);
-        const itemTotal = product.price * item.quantity;
-        subtotal += itemTotal;
-        uniqueFarms.add(product.Farmer.id);
-        
-        orderItems.push({
-          productId: item.productId,
-          quantity: item.quantity,
-          pricePerUnit: product.price,
-          totalPrice: itemTotal,
-          farmerId: product.Farmer.id
-        });
-      }
-      
-      // Calculate taxes based on province
-      const province = req.body.delivery?.deliveryState || 'ON'; // Default to Ontario if not specified
-      const { totalTaxAmount } = stripeService.calculateTaxes(subtotal, province);
-      
-      // Add delivery fee
-      const deliveryFee = req.body.delivery?.deliveryMethod === 'pickup' ? 0 : 5.99;
-      
-      // Apply free delivery from referral program if available
-      let freeDeliveryApplied = false;
-      if (deliveryFee > 0) {
-        const referralInfo = await referralService.getUserReferralInfo(req.user.userId);
-        if (referralInfo && referralInfo.freeDeliveriesRemaining > 0) {
-          freeDeliveryApplied = true;
-        }
-      }
-      
-      const finalDeliveryFee = freeDeliveryApplied ? 0 : deliveryFee;
-      
-      // Calculate the total amount
-      const totalAmount = subtotal + totalTaxAmount + finalDeliveryFee;
-      
-      // Generate a unique order number
-      const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      
-      // Create the order
-      const order = await Order.create({
-        userId: req.user.userId,
-        orderNumber,
-        subtotalAmount: subtotal,
-        taxAmount: totalTaxAmount,
-        deliveryFee: finalDeliveryFee,
-        totalAmount,
-        status: 'pending',
-        paymentStatus: 'pending',
-        freeDeliveryApplied
-      }, { transaction: t });
-      
-      // Add order items
-      for (const item of orderItems) {
-        await OrderItem.create({
-          ...item,
-          orderId: order.id
-        }, { transaction: t });
-      }
-      
-      // Create placeholder payment info
-      await PaymentInfo.create({
-        orderId: order.id,
-        paymentMethod: 'card',
-        paymentStatus: 'pending',
-        amount: totalAmount,
-        currency: 'CAD'
-      }, { transaction: t });
-      
-      // Add delivery info if provided
-      if (req.body.delivery) {
-        // Set default pickup time if not provided
-        if (!req.body.delivery.scheduledDeliveryTime) {
-          // Default to 2 days from now
-          const deliveryDate = new Date();
-          deliveryDate.setDate(deliveryDate.getDate() + 2);
-          req.body.delivery.scheduledDeliveryTime = deliveryDate;
-        }
-        
-        await Delivery.create({
-          orderId: order.id,
-          status: 'pending',
-          deliveryMethod: req.body.delivery.deliveryMethod || 'delivery',
-          scheduledDeliveryTime: req.body.delivery.scheduledDeliveryTime,
-          deliveryAddress: req.body.delivery.deliveryAddress,
-          deliveryCity: req.body.delivery.deliveryCity,
-          deliveryState: req.body.delivery.deliveryState,
-          deliveryZipCode: req.body.delivery.deliveryZipCode,
-          deliveryInstructions: req.body.delivery.deliveryInstructions
-        }, { transaction: t });
-      }
-      
-      return order;
-    });
+    const placed = await orderService.placeOrder(req.user.userId, {
+      items: req.body.items,
+      delivery: req.body.delivery,
+      promoCode: req.body.promoCode
+    }, { actor: req.user });
     
     // Get the full order with associations
-    const order = await Order.findByPk(result.id, {
+    const order = await Order.findByPk(placed.id, {
       include: [
         { 
           model: OrderItem, 
@@ -526,7 +436,8 @@ router.post('/', [
           include: ['Product']
         },
         { model: PaymentInfo, as: 'Payment' },
-        { model: Delivery, as: 'Delivery' }
+        { model: Delivery, as: 'Delivery' },
+        { model: OrderCharge, as: 'Charges' }
       ]
     });
     
@@ -535,10 +446,22 @@ router.post('/', [
     return res.status(201).json({
       message: 'Order created successfully',
       order,
+      charges: pricingService.formatCustomerCharges(order.Charges),
       paymentInstructions: 'Proceed to payment using the order ID and our payment endpoints'
     });
   } catch (error) {
     logger.error(`Error creating order: ${error.message}`);
+    
+    // Stock, quantity-limit, delivery address and promo code problems are reported to the customer as-is
+    if (error.statusCode) {
+      const errorNames = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict', 422: 'Unprocessable Entity' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode] || 'Error',
+        message: error.message,
+        details: error.details
+      });
+    }
+    
     return res.status(500).json({
       error: 'Internal Server Error',
       message: error.message || 'Failed to create order'
@@ -548,16 +471,20 @@ router.post('/', [
 
 /**
  * @route PUT /api/orders/:id/status
- * @description Update order status
- * @access Private (admin only)
+ * @description Move an order to a new status. Drivers deliver orders once every farm's part is
+ * picked up, and admins can make any transition (or override the rules with a reason).
+ * Farmers update their own part through the fulfillment endpoints below.
+ * @access Private (admin, assigned driver)
  */
 router.put('/:id/status', [
   authenticate,
   requireActiveUser,
-  requirePermissions(['admin']),
+  requireRoles(['admin', 'driver']),
   param('id').isUUID().withMessage('Invalid order ID'),
-  body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('paymentStatus').optional().isIn(['pending', 'paid', 'failed', 'refunded']).withMessage('Invalid payment status')
+  body('status').isIn(orderStateMachine.ORDER_STATUSES).withMessage('Invalid status'),
+  body('paymentStatus').optional().isIn(['pending', 'authorized', 'paid', 'failed', 'refunded']).withMessage('Invalid payment status'),
+  body('reason').optional().trim(),
+  body('override').optional().isBoolean().withMessage('Override must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -567,39 +494,63 @@ router.put('/:id/status', [
     }
 
     // Get order
-    const order = await Order.findByPk(req.params.id);
+    const existingOrder = await Order.findByPk(req.params.id);
     
-    if (!order) {
+    if (!existingOrder) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'Order not found'
       });
     }
     
-    // Update order status
-    const previousStatus = order.status;
-    await order.update({
-      status: req.body.status,
-      paymentStatus: req.body.paymentStatus || order.paymentStatus
+    // Only admins can correct the payment status by hand
+    if (req.body.paymentStatus && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only admins can change the payment status'
+      });
+    }
+    
+    const { order, fromStatus: previousStatus } = await orderStateMachine.transitionOrder(existingOrder, req.body.status, {
+      actor: req.user,
+      reason: req.body.reason,
+      override: req.body.override === true || req.body.override === 'true',
+      updates: req.body.paymentStatus ? { paymentStatus: req.body.paymentStatus } : {}
     });
     
-    // If transitioning to cancelled, handle payment cancellation
-    if (req.body.status === 'cancelled' && previousStatus !== 'cancelled') {
-      // If payment was already processed, issue refund
-      if (order.paymentStatus === 'paid' && order.paymentIntentId) {
-        try {
-          const refund = await stripeService.refundPayment(order.paymentIntentId);
-          await order.update({ paymentStatus: 'refunded', refundId: refund.id });
-          
+    // If transitioning to cancelled, refund whatever farms haven't already refunded. The
+    // cancellation stands if Stripe fails; the reconciliation worker retries the refund
+    if (req.body.status === 'cancelled') {
+      try {
+        const refund = await fulfillmentService.refundRemainder(order);
+        if (refund) {
           logger.info(`Refund processed for order ${order.id}: ${refund.id}`);
-        } catch (refundError) {
-          logger.error(`Failed to process refund for order ${order.id}: ${refundError.message}`);
         }
+      } catch (refundError) {
+        return res.status(502).json({
+          error: 'Bad Gateway',
+          message: `Order status updated to ${order.status}, but its refund failed and will be retried. ${refundError.message}`,
+          order,
+          allowedTransitions: orderStateMachine.getAllowedTransitions(order.status, req.user.role)
+        });
       }
     }
     
+    // Authorized orders are charged their weighed total once they are ready. The status
+    // change stands if Stripe fails; the capture worker retries it
+    try {
+      await catchWeightService.capturePayment(order);
+    } catch (captureError) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: `Order status updated to ${order.status}, but its payment wasn't captured. ${captureError.message}`,
+        order,
+        allowedTransitions: orderStateMachine.getAllowedTransitions(order.status, req.user.role)
+      });
+    }
+    
     // If transitioning to delivered, process referral rewards if applicable
-    if (req.body.status === 'delivered' && previousStatus !== 'delivered') {
+    if (req.body.status === 'delivered') {
       try {
         // Process any pending referral rewards
         await referralService.processDeliveryReferralRewards(order.id, order.userId);
@@ -612,10 +563,19 @@ router.put('/:id/status', [
     
     return res.status(200).json({
       message: 'Order status updated successfully',
-      order
+      order,
+      allowedTransitions: orderStateMachine.getAllowedTransitions(order.status, req.user.role)
     });
   } catch (error) {
     logger.error(`Error updating order status: ${error.message}`);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 403 ? 'Forbidden' : error.statusCode === 409 ? 'Conflict' : 'Bad Request',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       error: 'Internal Server Error',
       message: 'Failed to update order status'
@@ -623,9 +583,384 @@ router.put('/:id/status', [
   }
 });
 
+/**
+ * @route GET /api/orders/:id/history
+ * @description Get the status history of an order
+ * @access Private (admin, consumer who placed the order, farmer with products in it, assigned driver)
+ */
+router.get('/:id/history', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findByPk(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Order not found'
+      });
+    }
+    
+    if (!(await orderStateMachine.isOrderParticipant(order, req.user))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view this order'
+      });
+    }
+    
+    const history = await orderStateMachine.getHistory(order.id);
+    
+    return res.status(200).json({
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      allowedTransitions: orderStateMachine.getAllowedTransitions(order.status, req.user.role),
+      history
+    });
+  } catch (error) {
+    logger.error(`Error fetching order history: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve order history'
+    });
+  }
+});
+
+/**
+ * @route GET /api/orders/:id/fulfillments
+ * @description Get an order's per-farm fulfillment groups. Farmers only see their own farms' groups.
+ * @access Private (admin, consumer who placed the order, farmer with products in it, assigned driver)
+ */
+router.get('/:id/fulfillments', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findByPk(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Order not found'
+      });
+    }
+    
+    if (!(await orderStateMachine.isOrderParticipant(order, req.user))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view this order'
+      });
+    }
+    
+    let farmIds = null;
+    if (req.user.role === 'farmer') {
+      const farms = await Farm.findAll({ where: { farmerId: req.user.userId }, attributes: ['id'] });
+      farmIds = farms.map(farm => farm.id);
+    }
+    
+    const fulfillments = await fulfillmentService.getFulfillments(order.id, { farmIds });
+    
+    return res.status(200).json({
+      orderId: order.id,
+      orderStatus: order.status,
+      fulfillments: fulfillments.map(group => ({
+        ...group.toJSON(),
+        allowedTransitions: Object.keys(fulfillmentService.FULFILLMENT_TRANSITIONS[group.status] || {})
+          .filter(status => fulfillmentService.FULFILLMENT_TRANSITIONS[group.status][status].includes(req.user.role))
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error fetching order fulfillments: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch order fulfillments'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/orders/:id/fulfillments/:fulfillmentId/status
+ * @description Move one farm's part of an order to a new status. Farmers confirm, prepare, ready
+ * or reject their own part, consumers can cancel a single farm's part, and drivers mark each
+ * farm's part picked up. Rejected or cancelled parts are refunded on their own.
+ * @access Private (admin, farmer who owns the farm, consumer who placed the order, assigned driver)
+ */
+router.put('/:id/fulfillments/:fulfillmentId/status', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid order ID'),
+  param('fulfillmentId').isUUID().withMessage('Invalid fulfillment ID'),
+  body('status').isIn(Object.keys(fulfillmentService.FULFILLMENT_TRANSITIONS)).withMessage('Invalid status'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fulfillment = await OrderFulfillment.findOne({
+      where: { id: req.params.fulfillmentId, orderId: req.params.id }
+    });
+    
+    if (!fulfillment) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Fulfillment not found'
+      });
+    }
+    
+    const { group: updated, order, fromStatus, refund, refundError, captureError } = await fulfillmentService.transitionFulfillment(fulfillment, req.body.status, {
+      actor: req.user,
+      reason: req.body.reason
+    });
+    
+    logger.info(`Fulfillment ${updated.id} of order ${order.id} updated from ${fromStatus} to ${updated.status}`);
+    
+    // The status change stands, but no money moved; the failed refund is in the order's refunds to retry
+    if (refundError) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: `${updated.farmName}'s part of the order was ${updated.status}, but its refund failed: ${refundError.message}`,
+        fulfillment: updated,
+        orderStatus: order.status,
+        refund: null
+      });
+    }
+    
+    // Likewise the order is ready, but the customer hasn't been charged yet
+    if (captureError) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: `${updated.farmName}'s part of the order was ${updated.status}, but the order's payment wasn't captured. ${captureError.message}`,
+        fulfillment: updated,
+        orderStatus: order.status,
+        refund: refund ? { id: refund.id, amount: refund.amount / 100 } : null
+      });
+    }
+    
+    return res.status(200).json({
+      message: 'Fulfillment status updated successfully',
+      fulfillment: updated,
+      orderStatus: order.status,
+      refund: refund ? { id: refund.id, amount: refund.amount / 100 } : null
+    });
+  } catch (error) {
+    logger.error(`Error updating fulfillment status: ${error.message}`);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 403 ? 'Forbidden' : error.statusCode === 409 ? 'Conflict' : 'Bad Request',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update fulfillment status'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/orders/:id/items/:itemId/weight
+ * @description Record the weight packed for a catch-weight item. Reprices the item, the farm's
+ * part and the order; allowed until the farm's part is ready, and only up to the amount
+ * authorized on the customer's card.
+ * @access Private (admin, farmer who owns the item's farm)
+ */
+router.put('/:id/items/:itemId/weight', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid order ID'),
+  param('itemId').isUUID().withMessage('Invalid item ID'),
+  body('actualWeight').isFloat({ gt: 0 }).withMessage('Weight must be greater than 0').toFloat()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { item, order } = await catchWeightService.recordWeight(req.params.id, req.params.itemId, req.body.actualWeight, req.user);
+    
+    return res.status(200).json({
+      message: 'Weight recorded successfully',
+      item,
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        subTotal: parseFloat(order.subTotal),
+        taxAmount: parseFloat(order.taxAmount),
+        totalAmount: parseFloat(order.totalAmount),
+        authorizedAmount: order.authorizedAmount !== null ? parseFloat(order.authorizedAmount) : null,
+        paymentStatus: order.paymentStatus
+      }
+    });
+  } catch (error) {
+    logger.error(`Error recording item weight: ${error.message}`);
+    
+    if (error.statusCode) {
+      const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode] || 'Error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record item weight'
+    });
+  }
+});
+
+/**
+ * @route GET /api/orders/:id/refunds
+ * @description Get an order's refund ledger. Customers see their refunds; farmers, drivers and
+ * customers don't see the payout adjustments behind them.
+ * @access Private (admin, consumer who placed the order, farmer with products in it, assigned driver)
+ */
+router.get('/:id/refunds', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read']),
+  param('id').isUUID().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findByPk(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Order not found'
+      });
+    }
+    
+    if (!(await orderStateMachine.isOrderParticipant(order, req.user))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view this order'
+      });
+    }
+    
+    const { refunds, refundedAmount } = await refundService.listRefunds(order.id);
+    
+    return res.status(200).json({
+      orderId: order.id,
+      paymentStatus: order.paymentStatus,
+      refundedAmount,
+      refundableAmount: order.paymentStatus === 'paid' ? await refundService.getRefundableAmount(order) : 0,
+      refunds: refunds.map(refund => {
+        const data = refund.toJSON();
+        if (req.user.role !== 'admin') {
+          delete data.Adjustments;
+          delete data.driverClawback;
+        }
+        return data;
+      })
+    });
+  } catch (error) {
+    logger.error(`Error fetching order refunds: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch order refunds'
+    });
+  }
+});
+
+/**
+ * @route POST /api/orders/:id/refunds
+ * @description Refund a paid order. Admins can refund the whole order, specific items, or a
+ * goodwill amount (optionally charged to a farm) and claw back driver pay. Farms can refund their
+ * own items, or a goodwill amount charged to their farm. The farm's share of what is refunded is
+ * taken back from its earnings.
+ * @access Private (admin, farmer with products in the order)
+ */
+router.post('/:id/refunds', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid order ID'),
+  body('type').isIn(['full', 'items', 'goodwill']).withMessage('Type must be full, items or goodwill'),
+  body('items').if(body('type').equals('items')).isArray({ min: 1 }).withMessage('Items refunds need at least one order item'),
+  body('items.*').optional().isUUID().withMessage('Invalid order item ID'),
+  body('amount').if(body('type').equals('goodwill')).isFloat({ gt: 0 }).withMessage('Goodwill refunds need an amount greater than zero'),
+  body('farmId').optional().isUUID().withMessage('Invalid farm ID'),
+  body('driverClawback').optional().isFloat({ gt: 0 }).withMessage('Driver clawback must be greater than zero'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refund, order } = await refundService.createRefund(req.params.id, {
+      type: req.body.type,
+      items: req.body.items,
+      amount: req.body.amount,
+      farmId: req.body.farmId,
+      driverClawback: req.body.driverClawback,
+      reason: req.body.reason
+    }, req.user);
+    
+    return res.status(201).json({
+      message: 'Refund issued successfully',
+      refund,
+      paymentStatus: order.paymentStatus,
+      orderStatus: order.status
+    });
+  } catch (error) {
+    logger.error(`Error refunding order ${req.params.id}: ${error.message}`);
+    
+    if (error.statusCode) {
+      const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict', 502: 'Bad Gateway' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode] || 'Error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to refund order'
+    });
+  }
+});
+
 /**
  * @route PUT /api/orders/:id/cancel
- * @description Cancel an order (consumer or admin)
+ * @description Cancel an order (consumer or admin). If Stripe rejects the refund the order
+ * stays cancelled, the response is a 502, and the refund is retried automatically.
  * @access Private
  */
 router.put('/:id/cancel', [
@@ -652,10 +987,8 @@ router.put('/:id/cancel', [
       });
     }
     
-    // Check authorization
-    const isAuthorized = req.user.role === 'admin' || 
-                        (order.userId === req.user.userId && 
-                         ['pending', 'processing'].includes(order.status));
+    // Consumers can only cancel their own orders; the state machine enforces the cancellation window
+    const isAuthorized = req.user.role === 'admin' || order.userId === req.user.userId;
     
     if (!isAuthorized) {
       return res.status(403).json({
@@ -664,16 +997,49 @@ router.put('/:id/cancel', [
       });
     }
     
-    // Update order status to cancelled
-    await order.update({ 
-      status: 'cancelled',
-      cancellationReason: req.body.reason || 'Cancelled by user'
-    });
+    // Admins cancelling on a customer's behalf act as admins; everyone else as the customer
+    const actor = req.user.role === 'admin' ? req.user : { userId: req.user.userId, role: 'consumer' };
+    const reason = req.body.reason || 'Cancelled by user';
+    
+    try {
+      await sequelize.transaction(async (t) => {
+        // Update order status to cancelled (also returns reserved stock)
+        await orderStateMachine.transitionOrder(order, 'cancelled', {
+          actor,
+          reason,
+          updates: { cancellationReason: reason },
+          transaction: t
+        });
+        
+        // Update delivery status if exists
+        const delivery = await Delivery.findOne({ where: { orderId: order.id }, transaction: t });
+        if (delivery) {
+          await delivery.update({ status: 'cancelled' }, { transaction: t });
+        }
+      });
+    } catch (transitionError) {
+      // 409 when the order is past the cancellation window, 403 when the role may not cancel it
+      if (transitionError.statusCode) {
+        return res.status(transitionError.statusCode).json({
+          error: transitionError.statusCode === 403 ? 'Forbidden' : transitionError.statusCode === 409 ? 'Conflict' : 'Bad Request',
+          message: transitionError.message
+        });
+      }
+      throw transitionError;
+    }
     
-    // Update delivery status if exists
-    const delivery = await Delivery.findOne({ where: { orderId: order.id } });
-    if (delivery) {
-      await delivery.update({ status: 'cancelled' });
+    await order.reload();
+    
+    // Refund whatever farms haven't already refunded for their own parts. The order stays
+    // cancelled if Stripe fails; the reconciliation worker retries the refund
+    try {
+      await fulfillmentService.refundRemainder(order);
+    } catch (refundError) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: `Order cancelled, but its refund failed and will be retried. ${refundError.message}`,
+        order
+      });
     }
     
     logger.info(`Order cancelled: ${order.orderNumber}`);
@@ -8,7 +8,11 @@ const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
 const stripeService = require('../services/stripeService');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const inventoryService = require('../services/inventoryService');
+const paymentMethodService = require('../services/paymentMethodService');
 const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
 const { FarmerPayment, FarmerPayout } = require('../models/payment');
 const { User } = require('../models/user');
 const { Farm } = require('../models/farm');
@@ -17,15 +21,17 @@ const router = express.Router();
 
 /**
  * @route POST /api/payments/process
- * @description Process payment for an order
+ * @description Process payment for an order. Without a paymentMethodId the order owner's
+ * default saved card is charged; an admin paying for a customer charges it off-session.
+ * The receipt goes to the order owner's email unless another is given.
  * @access Private
  */
 router.post('/process', [
   authenticate,
   requireActiveUser,
   body('orderId').isUUID().withMessage('Invalid order ID'),
-  body('paymentMethodId').notEmpty().withMessage('Payment method ID is required'),
-  body('email').isEmail().withMessage('Valid email is required')
+  body('paymentMethodId').optional().isString().notEmpty().withMessage('Invalid payment method ID'),
+  body('email').optional().isEmail().withMessage('Valid email is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -34,7 +40,7 @@ router.post('/process', [
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { orderId, paymentMethodId, email } = req.body;
+    const { orderId } = req.body;
     
     // Get order details
     const { Order, OrderItem } = require('../models/order');
@@ -63,12 +69,123 @@ router.post('/process', [
       });
     }
     
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot pay for a cancelled order'
+      });
+    }
+    
+    // Charge the card given, or the order owner's default saved card
+    let paymentMethod;
+    try {
+      paymentMethod = await paymentMethodService.resolvePaymentMethod(order.userId, req.body.paymentMethodId);
+    } catch (paymentMethodError) {
+      if (paymentMethodError.statusCode) {
+        return res.status(paymentMethodError.statusCode).json({
+          error: 'Bad Request',
+          message: paymentMethodError.message
+        });
+      }
+      throw paymentMethodError;
+    }
+    
+    let email = req.body.email;
+    if (!email) {
+      const owner = await User.findByPk(order.userId, { attributes: ['id', 'email'] });
+      email = owner ? owner.email : undefined;
+    }
+    
+    // Stock is released when a payment fails, so take it again before retrying
+    try {
+      await sequelize.transaction(async (t) => {
+        await inventoryService.reserveOrderStock(order, { userId: req.user.userId, transaction: t });
+      });
+    } catch (stockError) {
+      if (stockError.statusCode) {
+        return res.status(stockError.statusCode).json({
+          error: stockError.statusCode === 409 ? 'Conflict' : 'Bad Request',
+          message: stockError.message,
+          details: stockError.details
+        });
+      }
+      throw stockError;
+    }
+    
     // Process payment with Stripe
     const paymentIntent = await stripeService.createPaymentIntent(order, {
-      paymentMethodId,
+      paymentMethodId: paymentMethod.paymentMethodId,
+      customerId: paymentMethod.customerId,
+      // The customer isn't there to authenticate when someone else pays for them
+      offSession: order.userId !== req.user.userId,
       email
     });
     
+    const { PaymentInfo } = require('../models/payment');
+    
+    // Orders with catch-weight items are only authorized now; the weighed total
+    // is captured when the farm has packed them
+    if (paymentIntent.status === 'requires_capture') {
+      await stripeWebhookService.handlePaymentIntentAuthorized(paymentIntent);
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Payment authorized; the final amount is charged once your order is weighed',
+        paymentIntent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          amount: paymentIntent.amount / 100
+        },
+        order: {
+          id: order.id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          paymentStatus: 'authorized',
+          authorizedAmount: parseFloat(order.authorizedAmount)
+        }
+      });
+    }
+    
+    // Payments needing further action (e.g. 3D Secure) are settled later by the webhook
+    if (paymentIntent.status !== 'succeeded') {
+      await order.update({ paymentIntentId: paymentIntent.id });
+      
+      const [pendingPayment, created] = await PaymentInfo.findOrCreate({
+        where: { orderId: order.id },
+        defaults: {
+          paymentIntentId: paymentIntent.id,
+          paymentMethod: 'card',
+          paymentStatus: 'processing',
+          amount: order.totalAmount,
+          currency: 'CAD'
+        }
+      });
+      
+      if (!created) {
+        await pendingPayment.update({
+          paymentIntentId: paymentIntent.id,
+          paymentStatus: 'processing'
+        });
+      }
+      
+      return res.status(202).json({
+        success: true,
+        message: 'Payment requires additional action',
+        requiresAction: paymentIntent.status === 'requires_action',
+        paymentIntent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          clientSecret: paymentIntent.client_secret
+        },
+        order: {
+          id: order.id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          paymentStatus: order.paymentStatus
+        }
+      });
+    }
+    
     // Update order payment status
     await order.update({
       paymentStatus: 'paid',
@@ -76,7 +193,6 @@ router.post('/process', [
     });
     
     // Create payment info record
-    const { PaymentInfo } = require('../models/payment');
     const paymentInfo = await PaymentInfo.create({
       orderId: order.id,
       paymentIntentId: paymentIntent.id,
@@ -126,6 +242,19 @@ router.post('/process', [
     if (error.type && error.type.startsWith('Stripe')) {
       status = 400;
       
+      // Return the order's stock; it is reserved again when the customer retries
+      try {
+        await sequelize.transaction(async (t) => {
+          await inventoryService.releaseStock(req.body.orderId, {
+            reason: 'payment_failed',
+            notes: error.code,
+            transaction: t
+          });
+        });
+      } catch (releaseError) {
+        logger.error(`Failed to release stock for order ${req.body.orderId}: ${releaseError.message}`);
+      }
+      
       switch (error.code) {
         case 'card_declined':
           errorMessage = 'Your card was declined. Please try another payment method.';
@@ -139,6 +268,9 @@ router.post('/process', [
         case 'processing_error':
           errorMessage = 'An error occurred while processing your card. Please try again.';
           break;
+        case 'authentication_required':
+          errorMessage = 'The card needs the customer to authenticate this payment. Ask them to pay for the order themselves.';
+          break;
         default:
           errorMessage = error.message || 'Payment processing failed. Please try again.';
       }
@@ -152,6 +284,43 @@ router.post('/process', [
   }
 });
 
+/**
+ * @route POST /api/payments/webhook
+ * @description Receive Stripe webhook events. The request body must be the raw payload
+ * (see app.js) so the Stripe-Signature header can be verified.
+ * @access Public (signed by Stripe)
+ */
+router.post('/webhook', async (req, res) => {
+  let event;
+  
+  try {
+    event = stripeService.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    logger.warn(`Stripe webhook signature verification failed: ${error.message}`);
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid webhook signature'
+    });
+  }
+  
+  try {
+    const stripeWebhookService = require('../services/stripeWebhookService');
+    const result = await stripeWebhookService.processEvent(event);
+    
+    return res.status(200).json({
+      received: true,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the event later
+    logger.error(`Error processing Stripe webhook ${event.id} (${event.type}): ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process webhook event'
+    });
+  }
+});
+
 /**
  * @route GET /api/payments/farmer-payments
  * @description Get farmer payment history with pagination
@@ -1,6 +1,6 @@
 /**
  * Pricing Routes
- * 
+ *
  * API routes for pricing functionality including:
  * - Order charge calculation
  * - Order summaries (customer and admin views)
@@ -8,40 +8,266 @@
  */
 
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const router = express.Router();
 const pricingController = require('../controllers/pricingController');
-const { authenticateJWT, requirePermission } = require('../middleware/auth');
-
-// Public endpoint - calculate potential order charges without authentication
-router.post('/calculate', pricingController.calculateOrderCharges);
-
-// Private endpoints - require authentication
-router.post('/saveCharges', authenticateJWT, pricingController.saveOrderCharges);
-router.get('/orderSummary/:orderId', authenticateJWT, pricingController.getOrderSummary);
-
-// Admin-only endpoints - require admin permission
-router.get('/detailedCharges/:orderId', 
-  authenticateJWT, 
-  requirePermission('admin'), 
-  pricingController.getDetailedOrderCharges
-);
-
-router.get('/configuration', 
-  authenticateJWT, 
-  requirePermission('admin'), 
-  pricingController.getActivePricingConfig
-);
-
-router.post('/configuration', 
-  authenticateJWT, 
-  requirePermission('admin'), 
-  pricingController.createPricingConfig
-);
-
-router.put('/configuration/:id', 
-  authenticateJWT, 
-  requirePermission('admin'), 
-  pricingController.updatePricingConfig
-);
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const { PricingConfiguration } = require('../models/pricing');
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Every numeric pricing setting can be changed; discounts are stored as negative amounts
+const configNumberValidators = Object.entries(PricingConfiguration.rawAttributes)
+  .filter(([, attribute]) => ['FLOAT', 'INTEGER'].includes(attribute.type.key))
+  .map(([name]) => body(name).optional().isFloat().withMessage(`${name} must be a number`));
+
+const configValidators = [
+  ...configNumberValidators,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('effectiveDate').optional().isISO8601().withMessage('Invalid effective date format'),
+  body('expirationDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiration date format')
+];
+
+const deliveryDetailsValidators = [
+  body('deliveryDetails.deliveryMethod').optional().isIn(['pickup', 'delivery']).withMessage('Invalid delivery method'),
+  body('deliveryDetails.province').optional().isLength({ min: 2, max: 2 }).withMessage('Province must be a 2-letter code'),
+  body('deliveryDetails.distance').optional().isFloat({ min: 0 }).withMessage('Distance must be a positive number'),
+  body('deliveryDetails.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('deliveryDetails.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+];
+
+/**
+ * @swagger
+ * /api/pricing/calculate:
+ *   post:
+ *     summary: Quote checkout charges
+ *     description: Prices a cart or order with the same engine used at checkout. Send either items (priced from the catalogue) or an order subtotal.
+ *     tags: [Pricing]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string, format: uuid }
+ *                     quantity: { type: number }
+ *               order:
+ *                 type: object
+ *                 properties:
+ *                   subtotal: { type: number }
+ *               deliveryDetails:
+ *                 type: object
+ *                 properties:
+ *                   address: { type: object }
+ *                   province: { type: string, example: ON }
+ *                   deliveryMethod: { type: string, enum: [delivery, pickup] }
+ *                   distance: { type: number, description: Kilometers from the farthest farm }
+ *                   latitude: { type: number }
+ *                   longitude: { type: number }
+ *     responses:
+ *       200:
+ *         description: Customer-facing charges
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/calculate', [
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.productId').optional().isUUID().withMessage('Valid product ID is required'),
+  body('items.*.quantity').optional().isFloat({ min: 0.01 }).withMessage('Quantity must be greater than 0'),
+  body('order.subtotal').optional().isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
+  ...deliveryDetailsValidators,
+  handleValidation
+], pricingController.calculateOrderCharges);
+
+/**
+ * @swagger
+ * /api/pricing/saveCharges:
+ *   post:
+ *     summary: Record charges for an existing order
+ *     description: Orders record their charges when placed; this backfills orders placed before that.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Charges saved
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order not found
+ */
+router.post('/saveCharges', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  body('order.id').isUUID().withMessage('Valid order ID is required'),
+  body('order.subtotal').isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
+  body('deliveryDetails').isObject().withMessage('Delivery details are required'),
+  ...deliveryDetailsValidators,
+  handleValidation
+], pricingController.saveOrderCharges);
+
+/**
+ * @swagger
+ * /api/pricing/orderSummary/{orderId}:
+ *   get:
+ *     summary: Get the charges a customer paid for an order
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Customer-facing order charges
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orderSummary/:orderId', [
+  authenticate,
+  requireActiveUser,
+  param('orderId').isUUID().withMessage('Invalid order ID'),
+  handleValidation
+], pricingController.getOrderSummary);
+
+/**
+ * @swagger
+ * /api/pricing/detailedCharges/{orderId}:
+ *   get:
+ *     summary: Get the full charge breakdown and revenue split for an order
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Detailed order charges
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order charges not found
+ */
+router.get('/detailedCharges/:orderId', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  param('orderId').isUUID().withMessage('Invalid order ID'),
+  handleValidation
+], pricingController.getDetailedOrderCharges);
+
+/**
+ * @swagger
+ * /api/pricing/configuration:
+ *   get:
+ *     summary: Get the active pricing configuration
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active pricing configuration
+ *       403:
+ *         description: Admin access required
+ *   post:
+ *     summary: Create a pricing configuration
+ *     description: Numeric settings not given fall back to the platform defaults.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string }
+ *               effectiveDate: { type: string, format: date-time }
+ *               expirationDate: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Configuration created
+ *       400:
+ *         description: Invalid configuration
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/configuration', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin'])
+], pricingController.getActivePricingConfig);
+
+router.post('/configuration', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  body('name').trim().notEmpty().withMessage('Configuration name is required'),
+  ...configValidators,
+  handleValidation
+], pricingController.createPricingConfig);
+
+/**
+ * @swagger
+ * /api/pricing/configuration/{id}:
+ *   put:
+ *     summary: Update a pricing configuration
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Configuration updated
+ *       400:
+ *         description: Invalid configuration
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Configuration not found
+ */
+router.put('/configuration/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  param('id').isUUID().withMessage('Invalid configuration ID'),
+  body('name').optional().trim().notEmpty().withMessage('Configuration name cannot be empty'),
+  ...configValidators,
+  handleValidation
+], pricingController.updatePricingConfig);
 
 module.exports = router;
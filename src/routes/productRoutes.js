@@ -8,11 +8,15 @@ const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
 const logger = require('../utils/logger');
-const { Product, ProductPhoto, ProductReview } = require('../models/product');
+const { Product, ProductPhoto, ProductReview, ProductVariant } = require('../models/product');
 const { Farm } = require('../models/farm');
 const { User } = require('../models/user');
 const { sequelize } = require('../config/database');
 const searchService = require('../services/searchService');
+const inventoryService = require('../services/inventoryService');
+const productVariantService = require('../services/productVariantService');
+const systemSettingsService = require('../services/systemSettingsService');
+const { requireFeature } = require('../middleware/systemSettings');
 
 // Create a router for specific non-ID routes
 const router = express.Router();
@@ -32,8 +36,8 @@ async function findProductById(req, res, next) {
     // Find the product with explicit attributes
     const product = await Product.findByPk(req.params.id, {
       attributes: [
-        'id', 'name', 'description', 'price', 'unit', 
-        'quantityAvailable', 'isOrganic', 'isAvailable', 'category',
+        'id', 'name', 'description', 'price', 'unit', 'isCatchWeight', 'estimatedWeight',
+        'quantityAvailable', 'isOrganic', 'isAvailable', 'subscriptionCadences', 'category',
         'createdAt', 'updatedAt', 'farmId'
       ]
     });
@@ -48,7 +52,7 @@ async function findProductById(req, res, next) {
     
     // Get the farm for the product with explicit attributes
     const farm = await Farm.findByPk(product.farmId, {
-      attributes: ['id', 'name', 'description', 'city', 'state', 'isActive', 'address', 'zipCode']
+      attributes: ['id', 'farmerId', 'name', 'description', 'city', 'state', 'isActive', 'address', 'zipCode']
     });
     
     // If no farm found, return 404
@@ -76,6 +80,35 @@ async function findProductById(req, res, next) {
   }
 }
 
+// Shape a variant for API responses, with numbers as numbers
+function formatVariant(variant) {
+  return {
+    id: variant.id,
+    name: variant.name,
+    sku: variant.sku,
+    price: Number(variant.price),
+    unit: variant.unit,
+    quantityAvailable: Number(variant.quantityAvailable),
+    estimatedWeight: variant.estimatedWeight !== null ? Number(variant.estimatedWeight) : null,
+    isAvailable: Boolean(variant.isAvailable),
+    sortOrder: variant.sortOrder
+  };
+}
+
+// Catch-weight products are priced per pound or kilogram and need a typical piece weight
+function checkCatchWeight(product) {
+  if (!product.isCatchWeight) {
+    return null;
+  }
+  if (!['lb', 'kg'].includes(product.unit)) {
+    return 'Catch-weight products must be sold by lb or kg';
+  }
+  if (!(parseFloat(product.estimatedWeight) > 0)) {
+    return 'Catch-weight products need an estimatedWeight per piece';
+  }
+  return null;
+}
+
 /**
  * @swagger
  * /api/products/search:
@@ -247,8 +280,8 @@ router.get('/', [
     // Build database query options
     const queryOptions = {
       attributes: [
-        'id', 'name', 'description', 'price', 'unit', 
-        'quantityAvailable', 'isOrganic', 'isAvailable', 'category'
+        'id', 'name', 'description', 'price', 'unit', 'isCatchWeight', 'estimatedWeight',
+        'quantityAvailable', 'isOrganic', 'isAvailable', 'subscriptionCadences', 'category'
       ],
       where: {
         isAvailable: true
@@ -327,9 +360,12 @@ router.get('/', [
       description: product.description,
       price: Number(product.price), // Ensure price is a number for toFixed() method
       unit: product.unit,
+      isCatchWeight: Boolean(product.isCatchWeight),
+      estimatedWeight: product.estimatedWeight !== null ? Number(product.estimatedWeight) : null,
       quantityAvailable: Number(product.quantityAvailable), // Ensure quantity is a number
       isOrganic: Boolean(product.isOrganic),
       isAvailable: Boolean(product.isAvailable),
+      subscriptionCadences: product.subscriptionCadences || [],
       category: product.category,
       // Add default values for fields that might not exist in DB
       nutritionalInfo: {},
@@ -388,8 +424,8 @@ idRouter.get('/', [
     // Find the product with all related data
     const product = await Product.findByPk(req.params.id, {
       attributes: [
-        'id', 'name', 'description', 'price', 'unit', 
-        'quantityAvailable', 'isOrganic', 'isAvailable', 'category',
+        'id', 'name', 'description', 'price', 'unit', 'isCatchWeight', 'estimatedWeight',
+        'quantityAvailable', 'isOrganic', 'isAvailable', 'subscriptionCadences', 'category',
         'createdAt', 'updatedAt', 'farmId'
       ],
       include: [
@@ -406,8 +442,14 @@ idRouter.get('/', [
           model: ProductReview,
           as: 'Reviews',
           attributes: ['id', 'rating', 'comment', 'createdAt', 'userId']
+        },
+        {
+          model: ProductVariant,
+          as: 'Variants',
+          required: false
         }
-      ]
+      ],
+      order: [[{ model: ProductVariant, as: 'Variants' }, 'sortOrder', 'ASC']]
     });
     
     // If product not found, return 404
@@ -418,6 +460,8 @@ idRouter.get('/', [
       });
     }
 
+    const variants = product.Variants || [];
+
     // Format the response in the structure expected by the frontend
     const formattedProduct = {
       id: product.id,
@@ -425,9 +469,12 @@ idRouter.get('/', [
       description: product.description,
       price: Number(product.price || 0), // Ensure price is a number for toFixed() method
       unit: product.unit,
+      isCatchWeight: Boolean(product.isCatchWeight),
+      estimatedWeight: product.estimatedWeight !== null ? Number(product.estimatedWeight) : null,
       quantityAvailable: Number(product.quantityAvailable || 0), // Ensure quantity is a number
       isOrganic: Boolean(product.isOrganic),
       isAvailable: Boolean(product.isAvailable),
+      subscriptionCadences: product.subscriptionCadences || [],
       category: product.category,
       nutritionalInfo: {}, // Default empty object since field doesn't exist in DB
       storageInstructions: '', // Default empty string since field doesn't exist in DB
@@ -461,10 +508,18 @@ idRouter.get('/', [
       })) : [],
       createdAt: product.createdAt,
       updatedAt: product.updatedAt,
+      variants: variants.map(formatVariant),
       // Add these fields to match frontend expectations
-      units: [
-        { type: product.unit, price: Number(product.price || 0), available: Number(product.quantityAvailable || 0) }
-      ],
+      units: variants.length > 0
+        ? variants.filter(variant => variant.isAvailable).map(variant => ({
+          variantId: variant.id,
+          type: variant.name,
+          price: Number(variant.price),
+          available: Number(variant.quantityAvailable)
+        }))
+        : [
+          { type: product.unit, price: Number(product.price || 0), available: Number(product.quantityAvailable || 0) }
+        ],
       additionalServices: []
     };
 
@@ -481,7 +536,8 @@ idRouter.get('/', [
 
 /**
  * @route POST /api/products
- * @description Create a new product
+ * @description Create a new product. A farm can have at most the maxProductsPerFarm system limit
+ * of products; creating more is rejected with 409.
  * @access Private (farmers only)
  */
 router.post('/', [
@@ -497,7 +553,12 @@ router.post('/', [
   body('unit').trim().notEmpty().withMessage('Unit is required'),
   body('quantityAvailable').isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
   body('isOrganic').optional().isBoolean(),
+  body('isPerishable').optional().isBoolean().withMessage('isPerishable must be a boolean').toBoolean(),
   body('isAvailable').optional().isBoolean(),
+  body('subscriptionCadences').optional().isArray().withMessage('Subscription cadences must be an array'),
+  body('subscriptionCadences.*').isIn(['weekly', 'biweekly']).withMessage('Subscription cadence must be weekly or biweekly'),
+  body('isCatchWeight').optional().isBoolean().withMessage('isCatchWeight must be a boolean').toBoolean(),
+  body('estimatedWeight').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Estimated weight must be greater than 0'),
   // Updated to Allow empty values or relative paths starting with "/"
   body('imageUrl')
   .optional()
@@ -567,11 +628,42 @@ router.post('/', [
       unit: req.body.unit,
       quantityAvailable: parseFloat(req.body.quantityAvailable),
       isOrganic: req.body.isOrganic || false,
+      isPerishable: req.body.isPerishable !== false,
       isAvailable: req.body.isAvailable || true,
+      subscriptionCadences: req.body.subscriptionCadences || [],
+      isCatchWeight: req.body.isCatchWeight || false,
+      estimatedWeight: req.body.estimatedWeight ? parseFloat(req.body.estimatedWeight) : null,
       imageUrl: req.body.imageUrl || ''
     };
 
-    const product = await Product.create(productData);
+    const catchWeightProblem = checkCatchWeight(productData);
+    if (catchWeightProblem) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: catchWeightProblem
+      });
+    }
+
+    const { limits } = await systemSettingsService.getSystemSettings();
+
+    const product = await sequelize.transaction(async (transaction) => {
+      // Locked so concurrent creates can't take the farm past its product limit
+      await Farm.findByPk(farm.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+      const productCount = await Product.count({ where: { farmId: farm.id }, transaction });
+      if (productCount >= limits.maxProductsPerFarm) {
+        return null;
+      }
+
+      return Product.create(productData, { transaction });
+    });
+
+    if (!product) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `A farm can have at most ${limits.maxProductsPerFarm} products. Remove some before adding more.`
+      });
+    }
 
     logger.info(`New product created: ${product.name} for farm ${farm.name}`);
 
@@ -605,7 +697,12 @@ idRouter.put('/', [
   body('unit').optional().trim().notEmpty().withMessage('Unit cannot be empty if provided'),
   body('quantityAvailable').optional().isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
   body('isOrganic').optional().isBoolean(),
+  body('isPerishable').optional().isBoolean().withMessage('isPerishable must be a boolean').toBoolean(),
   body('isAvailable').optional().isBoolean(),
+  body('subscriptionCadences').optional().isArray().withMessage('Subscription cadences must be an array'),
+  body('subscriptionCadences.*').isIn(['weekly', 'biweekly']).withMessage('Subscription cadence must be weekly or biweekly'),
+  body('isCatchWeight').optional().isBoolean().withMessage('isCatchWeight must be a boolean').toBoolean(),
+  body('estimatedWeight').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Estimated weight must be greater than 0'),
   body('imageUrl').optional().trim().isURL().withMessage('Invalid image URL'),
   body('harvestedDate').optional().isISO8601().withMessage('Invalid harvested date format'),
   body('expectedAvailability').optional().isISO8601().withMessage('Invalid expected availability date format'),
@@ -615,7 +712,8 @@ idRouter.put('/', [
   body('discountPercent').optional().isInt({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
   body('minOrderQuantity').optional().isFloat({ min: 0 }),
   body('maxOrderQuantity').optional().isFloat({ min: 0 }),
-  body('status').optional().isIn(['active', 'out_of_stock', 'coming_soon', 'archived']).withMessage('Invalid status')
+  body('status').optional().isIn(['active', 'out_of_stock', 'coming_soon', 'archived']).withMessage('Invalid status'),
+  body('inventoryNote').optional().trim()
 ], findProductById, async (req, res) => {
   try {
     // Check for validation errors
@@ -630,7 +728,7 @@ idRouter.put('/', [
     // Check authorization
     const canUpdate = req.user.role === 'admin' ||
                      (req.user.role === 'farmer' &&
-                      product.Farm.farmerId === req.user.userId);
+                      req.farm.farmerId === req.user.userId);
 
     if (!canUpdate) {
       return res.status(403).json({
@@ -647,8 +745,38 @@ idRouter.put('/', [
       });
     }
 
-    // Update product
-    await product.update(req.body);
+    const catchWeightProblem = checkCatchWeight({
+      isCatchWeight: req.body.isCatchWeight !== undefined ? req.body.isCatchWeight : product.isCatchWeight,
+      unit: req.body.unit !== undefined ? req.body.unit : product.unit,
+      estimatedWeight: req.body.estimatedWeight !== undefined ? req.body.estimatedWeight : product.estimatedWeight
+    });
+    if (catchWeightProblem) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: catchWeightProblem
+      });
+    }
+
+    // Update product, locking the row so stock changes don't race with order reservations
+    await sequelize.transaction(async (t) => {
+      const locked = await Product.findByPk(product.id, {
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+      const previousQuantity = locked.quantityAvailable;
+
+      await locked.update(req.body, { transaction: t });
+
+      if (req.body.quantityAvailable !== undefined) {
+        await inventoryService.recordAdjustment(locked, previousQuantity, {
+          userId: req.user.userId,
+          notes: req.body.inventoryNote,
+          transaction: t
+        });
+      }
+
+      await product.reload({ transaction: t });
+    });
 
     logger.info(`Product updated: ${product.name}`);
 
@@ -665,6 +793,228 @@ idRouter.put('/', [
   }
 });
 
+/**
+ * @route GET /api/products/:id/inventory-ledger
+ * @description Get the stock movements for a product (reservations, releases and adjustments)
+ * @access Private (farm owner or admin)
+ */
+idRouter.get('/inventory-ledger', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['read_farm']),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], findProductById, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Only the owning farmer or an admin can see stock history
+    if (req.user.role !== 'admin' && req.farm.farmerId !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view this product\'s inventory'
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const { count, rows } = await inventoryService.getProductLedger(req.product.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return res.status(200).json({
+      productId: req.product.id,
+      quantityAvailable: Number(req.product.quantityAvailable || 0),
+      isAvailable: req.product.isAvailable,
+      entries: rows,
+      total: count,
+      page,
+      pageSize: limit,
+      totalPages: Math.ceil(count / limit)
+    });
+  } catch (error) {
+    logger.error(`Error retrieving inventory ledger: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve inventory ledger'
+    });
+  }
+});
+
+// Only the owning farmer or an admin can manage a product's variants
+function canManageVariants(req) {
+  return req.user.role === 'admin' ||
+    (req.user.role === 'farmer' && req.farm.farmerId === req.user.userId);
+}
+
+// Report a variant service error with its status code
+function sendVariantError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+}
+
+// Validators for variant fields; name and price are required when adding one
+function variantValidators(required) {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').trim().notEmpty().withMessage('Variant name is required'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('sku').optional({ nullable: true }).trim().isLength({ min: 1, max: 64 }).withMessage('SKU must be 1 to 64 characters'),
+    body('unit').optional({ nullable: true }).trim().notEmpty().withMessage('Unit cannot be empty if provided'),
+    body('quantityAvailable').optional().isFloat({ min: 0 }).withMessage('Quantity must be a positive number').toFloat(),
+    body('estimatedWeight').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Estimated weight must be greater than 0'),
+    body('isAvailable').optional().isBoolean().toBoolean(),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a non-negative integer').toInt()
+  ];
+}
+
+/**
+ * @route GET /api/products/:id/variants
+ * @description List the sizes or packs a product is sold in
+ * @access Public
+ */
+idRouter.get('/variants', findProductById, async (req, res) => {
+  try {
+    const variants = await productVariantService.listVariants(req.product.id);
+    return res.status(200).json({ variants: variants.map(formatVariant) });
+  } catch (error) {
+    logger.error(`Error listing product variants: ${error.message}`);
+    return sendVariantError(res, error, 'Failed to list variants');
+  }
+});
+
+/**
+ * @route POST /api/products/:id/variants
+ * @description Add a size or pack with its own price, SKU and stock. Once a product has
+ * variants, customers must choose one when ordering.
+ * @access Private (farm owner or admin)
+ */
+idRouter.post('/variants', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['update']),
+  ...variantValidators(true)
+], findProductById, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!canManageVariants(req)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to update this product'
+      });
+    }
+
+    const variant = await productVariantService.createVariant(req.product, req.body, { userId: req.user.userId });
+
+    return res.status(201).json({
+      message: 'Variant added successfully',
+      variant: formatVariant(variant)
+    });
+  } catch (error) {
+    logger.error(`Error adding product variant: ${error.message}`);
+    return sendVariantError(res, error, 'Failed to add variant');
+  }
+});
+
+/**
+ * @route PUT /api/products/:id/variants/:variantId
+ * @description Update a variant; stock changes are recorded in the inventory ledger
+ * @access Private (farm owner or admin)
+ */
+idRouter.put('/variants/:variantId', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['update']),
+  param('variantId').isUUID().withMessage('Invalid variant ID'),
+  ...variantValidators(false),
+  body('inventoryNote').optional().trim()
+], findProductById, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!canManageVariants(req)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to update this product'
+      });
+    }
+
+    const variant = await productVariantService.updateVariant(req.product, req.params.variantId, req.body, {
+      userId: req.user.userId
+    });
+
+    return res.status(200).json({
+      message: 'Variant updated successfully',
+      variant: formatVariant(variant)
+    });
+  } catch (error) {
+    logger.error(`Error updating product variant: ${error.message}`);
+    return sendVariantError(res, error, 'Failed to update variant');
+  }
+});
+
+/**
+ * @route DELETE /api/products/:id/variants/:variantId
+ * @description Remove a variant. Variants that have been ordered are made unavailable instead.
+ * @access Private (farm owner or admin)
+ */
+idRouter.delete('/variants/:variantId', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['update']),
+  param('variantId').isUUID().withMessage('Invalid variant ID')
+], findProductById, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!canManageVariants(req)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to update this product'
+      });
+    }
+
+    const { deleted, variant } = await productVariantService.deleteVariant(req.product, req.params.variantId);
+
+    return res.status(200).json({
+      message: deleted ? 'Variant deleted successfully' : 'Variant has been ordered, so it was made unavailable instead',
+      deleted,
+      variant: formatVariant(variant)
+    });
+  } catch (error) {
+    logger.error(`Error deleting product variant: ${error.message}`);
+    return sendVariantError(res, error, 'Failed to delete variant');
+  }
+});
+
 /**
  * @route DELETE /api/products/:id
  * @description Delete a product
@@ -712,10 +1062,11 @@ idRouter.delete('/', [
 
 /**
  * @route POST /api/products/:id/reviews
- * @description Add a review for a product
+ * @description Add a review for a product (404 while the ratings feature is off)
  * @access Private (consumers only)
  */
 idRouter.post('/reviews', [
+  requireFeature('ratings'),
   authenticate,
   requireActiveUser,
   requirePermissions(['create_order']), // Only consumers can review products
@@ -785,8 +1136,8 @@ router.get('/farm/:farmId', async (req, res) => {
     // Find products for this farm
     const products = await Product.findAll({
       attributes: [
-        'id', 'name', 'description', 'price', 'unit', 
-        'quantityAvailable', 'isOrganic', 'isAvailable', 'category'
+        'id', 'name', 'description', 'price', 'unit', 'isCatchWeight', 'estimatedWeight',
+        'quantityAvailable', 'isOrganic', 'isAvailable', 'subscriptionCadences', 'category'
       ],
       where: {
         farmId: farmId
@@ -811,9 +1162,12 @@ router.get('/farm/:farmId', async (req, res) => {
       description: product.description || '',
       price: Number(product.price), // Ensure price is a number for toFixed() method
       unit: product.unit,
+      isCatchWeight: Boolean(product.isCatchWeight),
+      estimatedWeight: product.estimatedWeight !== null ? Number(product.estimatedWeight) : null,
       quantityAvailable: Number(product.quantityAvailable), // Ensure quantity is a number
       isOrganic: Boolean(product.isOrganic),
       isAvailable: Boolean(product.isAvailable),
+      subscriptionCadences: product.subscriptionCadences || [],
       category: product.category,
       farm: {
         id: product.Farm.id,
@@ -12,9 +12,51 @@ const searchService = require('../services/searchService');
 const router = express.Router();
 
 /**
- * @route GET /api/products-search
- * @description Search products with advanced matching
- * @access Public
+ * @swagger
+ * /api/search/products:
+ *   get:
+ *     summary: Search products
+ *     tags: [Search]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: farmId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: isOrganic
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated search results
+ *       400:
+ *         description: Invalid search parameters
  */
 router.get('/', [
   query('q').notEmpty().withMessage('Search query is required'),
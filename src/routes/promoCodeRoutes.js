@@ -0,0 +1,392 @@
+/**
+ * Promo Code Routes
+ *
+ * API routes for promo codes. Admins manage platform-funded codes and
+ * farmers manage codes funded by their own farms; customers check a code
+ * against the items they are about to order. Codes are applied by passing
+ * promoCode when placing an order, or through the cart.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const promoCodeService = require('../services/promoCodeService');
+const logger = require('../utils/logger');
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Send a promo code service error with its status, or a 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Validators for promo code fields; the code and discount are required on create
+ * @param {Boolean} isCreate - Whether the code is being created
+ * @returns {Array} express-validator chains
+ */
+const codeValidators = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+  const { DISCOUNT_TYPES } = promoCodeService.PROMO_CODE_CONSTANTS;
+
+  return [
+    field('code').trim().isLength({ min: 3, max: 32 }).withMessage('Code must be 3 to 32 characters'),
+    field('discountType').isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`),
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number').toFloat(),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Maximum discount must be positive').toFloat(),
+    body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be 0 or more').toFloat(),
+    body('farmIds').optional().isArray().withMessage('farmIds must be an array'),
+    body('farmIds.*').isUUID().withMessage('Invalid farm ID'),
+    body('categories').optional().isArray().withMessage('categories must be an array'),
+    body('categories.*').isString().trim().notEmpty().withMessage('Invalid category'),
+    body('firstOrderOnly').optional().isBoolean().withMessage('firstOrderOnly must be a boolean').toBoolean(),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1').toInt(),
+    body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1').toInt(),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+    body('endsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid end date'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+/**
+ * @swagger
+ * /api/promo-codes/validate:
+ *   post:
+ *     summary: Check a promo code against the items about to be ordered
+ *     description: >
+ *       Returns the discount the code would give. The code is only used once it is
+ *       passed as promoCode when placing the order.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, items]
+ *             properties:
+ *               code: { type: string, example: 'SPRING10' }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string, format: uuid }
+ *                     variantId: { type: string, format: uuid }
+ *                     quantity: { type: number }
+ *               deliveryMethod: { type: string, enum: [delivery, pickup] }
+ *     responses:
+ *       200:
+ *         description: The code applies, with its discount
+ *       400:
+ *         description: The code can't be used on these items
+ *       404:
+ *         description: No such code
+ */
+router.post('/validate', [
+  authenticate,
+  requireActiveUser,
+  body('code').trim().isLength({ min: 1, max: 32 }).withMessage('Promo code is required'),
+  body('items').isArray({ min: 1 }).withMessage('Items are required'),
+  body('items.*.productId').isUUID().withMessage('Valid product ID is required'),
+  body('items.*.variantId').optional({ nullable: true }).isUUID().withMessage('Invalid variant ID'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+  body('deliveryMethod').optional().isIn(['pickup', 'delivery']).withMessage('Invalid delivery method'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const preview = await promoCodeService.previewCode(req.body.code, {
+      userId: req.user.userId,
+      items: req.body.items,
+      deliveryMethod: req.body.deliveryMethod
+    });
+    return res.status(200).json(preview);
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error(`Error checking promo code: ${error.message}`);
+    }
+    return sendServiceError(res, error, 'Failed to check promo code');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes:
+ *   get:
+ *     summary: List promo codes
+ *     description: Admins see every code; farmers see their own farms' codes.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: isActive
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Promo codes, newest first
+ */
+router.get('/', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  query('farmId').optional().isUUID().withMessage('Invalid farm ID'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const promoCodes = await promoCodeService.listCodes(req.user, {
+      farmId: req.query.farmId,
+      isActive: req.query.isActive
+    });
+    return res.status(200).json({ promoCodes });
+  } catch (error) {
+    logger.error(`Error fetching promo codes: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve promo codes');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes:
+ *   post:
+ *     summary: Create a promo code
+ *     description: >
+ *       Admins create platform codes, funded by the platform and optionally limited to
+ *       farmIds. A code with a farmId is funded by that farm and only discounts its
+ *       products; farmers can only create codes for their own farms. Percentage codes
+ *       take value percent off the eligible products (up to maxDiscount), fixed codes
+ *       take value dollars off, and free_delivery codes waive the delivery fee.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, discountType]
+ *             properties:
+ *               code: { type: string, example: 'SPRING10' }
+ *               description: { type: string }
+ *               discountType: { type: string, enum: [percent, fixed, free_delivery] }
+ *               value: { type: number }
+ *               maxDiscount: { type: number, nullable: true }
+ *               minSubtotal: { type: number }
+ *               farmId: { type: string, format: uuid, nullable: true }
+ *               farmIds: { type: array, items: { type: string, format: uuid } }
+ *               categories: { type: array, items: { type: string } }
+ *               firstOrderOnly: { type: boolean }
+ *               usageLimit: { type: integer, nullable: true }
+ *               perUserLimit: { type: integer, nullable: true }
+ *               startsAt: { type: string, format: date-time, nullable: true }
+ *               endsAt: { type: string, format: date-time, nullable: true }
+ *               isActive: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       403:
+ *         description: Not allowed to create codes for this farm
+ *       409:
+ *         description: The code already exists
+ */
+router.post('/', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  body('farmId').optional({ nullable: true }).isUUID().withMessage('Invalid farm ID'),
+  ...codeValidators(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.createCode(req.user, req.body);
+    return res.status(201).json(promoCode);
+  } catch (error) {
+    logger.error(`Error creating promo code: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to create promo code');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes/{id}:
+ *   get:
+ *     summary: Get a promo code
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Promo code
+ *       404:
+ *         description: Promo code not found
+ */
+router.get('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid promo code ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.getCode(req.user, req.params.id);
+    return res.status(200).json(promoCode);
+  } catch (error) {
+    logger.error(`Error fetching promo code ${req.params.id}: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve promo code');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes/{id}:
+ *   put:
+ *     summary: Update a promo code
+ *     description: Once a code has been used, its code, discount type and value can't change.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       404:
+ *         description: Promo code not found
+ *       409:
+ *         description: The code has been used and its discount can't change
+ */
+router.put('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid promo code ID'),
+  ...codeValidators(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.updateCode(req.user, req.params.id, req.body);
+    return res.status(200).json(promoCode);
+  } catch (error) {
+    logger.error(`Error updating promo code ${req.params.id}: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to update promo code');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes/{id}:
+ *   delete:
+ *     summary: Deactivate a promo code
+ *     description: Codes are kept for their redemption history; orders that used one keep their discount.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Promo code deactivated
+ *       404:
+ *         description: Promo code not found
+ */
+router.delete('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid promo code ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.deactivateCode(req.user, req.params.id);
+    return res.status(200).json({
+      message: 'Promo code deactivated',
+      promoCode
+    });
+  } catch (error) {
+    logger.error(`Error deactivating promo code ${req.params.id}: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to deactivate promo code');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes/{id}/redemptions:
+ *   get:
+ *     summary: List the orders a promo code was used on
+ *     description: Each redemption has its product and delivery discount and how the product discount was split across farms.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Redemptions, newest first
+ *       404:
+ *         description: Promo code not found
+ */
+router.get('/:id/redemptions', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin', 'farmer']),
+  param('id').isUUID().withMessage('Invalid promo code ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const redemptions = await promoCodeService.listRedemptions(req.user, req.params.id);
+    return res.status(200).json({ redemptions });
+  } catch (error) {
+    logger.error(`Error fetching redemptions for promo code ${req.params.id}: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to retrieve promo code redemptions');
+  }
+});
+
+module.exports = router;
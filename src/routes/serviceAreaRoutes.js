@@ -0,0 +1,221 @@
+/**
+ * Service Area Routes
+ *
+ * API routes for the areas FreshFarmily delivers to. Addresses outside every
+ * active area can't be saved or delivered to; with no areas configured,
+ * everywhere is served.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticate, requireActiveUser, requireRoles } = require('../middleware/auth');
+const { ServiceArea } = require('../models/address');
+const logger = require('../utils/logger');
+
+/**
+ * Reject the request with the validation errors collected so far
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validators for service area fields; all are required on create
+ * @param {Boolean} isCreate - Whether the area is being created
+ * @returns {Array} express-validator chains
+ */
+const areaValidators = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('centerLatitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid centre latitude').toFloat(),
+    field('centerLongitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid centre longitude').toFloat(),
+    field('radiusKm').isFloat({ gt: 0, max: 500 }).withMessage('Radius must be between 0 and 500 km').toFloat(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+const pickAreaFields = (data) => ['name', 'centerLatitude', 'centerLongitude', 'radiusKm', 'isActive']
+  .reduce((fields, name) => {
+    if (data[name] !== undefined) {
+      fields[name] = data[name];
+    }
+    return fields;
+  }, {});
+
+/**
+ * @swagger
+ * /api/service-areas:
+ *   get:
+ *     summary: List the active service areas
+ *     tags: [Service Areas]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Active service areas
+ */
+router.get('/', async (req, res) => {
+  try {
+    const areas = await ServiceArea.findAll({
+      where: { isActive: true },
+      order: [['name', 'ASC']]
+    });
+    return res.status(200).json(areas);
+  } catch (error) {
+    logger.error(`Error fetching service areas: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve service areas'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-areas:
+ *   post:
+ *     summary: Add a service area
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, centerLatitude, centerLongitude, radiusKm]
+ *             properties:
+ *               name: { type: string }
+ *               centerLatitude: { type: number }
+ *               centerLongitude: { type: number }
+ *               radiusKm: { type: number }
+ *               isActive: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Service area created
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  ...areaValidators(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const area = await ServiceArea.create(pickAreaFields(req.body));
+    logger.info(`Service area ${area.name} created by ${req.user.userId}`);
+    return res.status(201).json(area);
+  } catch (error) {
+    logger.error(`Error creating service area: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create service area'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-areas/{id}:
+ *   put:
+ *     summary: Update a service area
+ *     description: Shrinking or deactivating an area stops new deliveries to saved addresses it no longer covers.
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Service area updated
+ *       404:
+ *         description: Service area not found
+ */
+router.put('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  param('id').isUUID().withMessage('Invalid service area ID'),
+  ...areaValidators(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const area = await ServiceArea.findByPk(req.params.id);
+    if (!area) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Service area not found'
+      });
+    }
+
+    await area.update(pickAreaFields(req.body));
+    logger.info(`Service area ${area.name} updated by ${req.user.userId}`);
+    return res.status(200).json(area);
+  } catch (error) {
+    logger.error(`Error updating service area: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update service area'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/service-areas/{id}:
+ *   delete:
+ *     summary: Delete a service area
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Service area deleted
+ *       404:
+ *         description: Service area not found
+ */
+router.delete('/:id', [
+  authenticate,
+  requireActiveUser,
+  requireRoles(['admin']),
+  param('id').isUUID().withMessage('Invalid service area ID'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const deleted = await ServiceArea.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Service area not found'
+      });
+    }
+
+    logger.info(`Service area ${req.params.id} deleted by ${req.user.userId}`);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting service area: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete service area'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,16 +5,43 @@
  */
 
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const settingsService = require('../services/settingsService');
+const systemSettingsService = require('../services/systemSettingsService');
 
 // Create router
 const router = express.Router();
 
+/**
+ * Send a settings service error: 400 with the invalid fields, or the error's
+ * status, or a 500 with a generic message
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendSettingsError = (res, error, fallbackMessage) => {
+  if (error.statusCode === 400 && error.errors && error.errors.length > 0) {
+    return res.status(400).json({ errors: error.errors });
+  }
+  
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.statusCode === 404 ? 'Not Found' : 'Error',
+      message: error.message
+    });
+  }
+  
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
 /**
  * @route GET /api/settings/user
- * @description Get user settings
+ * @description Get the user's settings, with defaults for anything they haven't changed
  * @access Private
  */
 router.get('/user', [
@@ -22,68 +49,55 @@ router.get('/user', [
   requireActiveUser
 ], async (req, res) => {
   try {
-    // For now, return a placeholder response
-    logger.info(`User ${req.user.userId} requested their settings`);
+    const settings = await settingsService.getSettings(req.user.userId);
     
     return res.status(200).json({
       message: 'Settings retrieved successfully',
-      settings: {
-        notifications: {
-          email: true,
-          sms: false,
-          push: true,
-          orderUpdates: true,
-          marketingEmails: false
-        },
-        preferences: {
-          theme: 'light',
-          language: 'en',
-          currency: 'USD'
-        },
-        privacy: {
-          shareProfileWithCustomers: true,
-          showFarmLocation: true
-        },
-        payment: {
-          preferredPaymentMethod: 'bank_transfer',
-          autoWithdraw: false,
-          withdrawThreshold: 100
-        }
-      }
+      settings
     });
   } catch (error) {
     logger.error(`Error fetching user settings: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to fetch user settings'
-    });
+    return sendSettingsError(res, error, 'Failed to fetch user settings');
   }
 });
 
 /**
  * @route PUT /api/settings/user
- * @description Update user settings
+ * @description Change some of the user's settings. The body is shaped like the
+ * settings; fields left out keep their values.
  * @access Private
  */
 router.put('/user', [
   authenticate,
-  requireActiveUser,
-  // Validation rules can be added here
+  requireActiveUser
 ], async (req, res) => {
   try {
-    // For now, just log and return success
-    logger.info(`User ${req.user.userId} updated their settings`);
+    const settings = await settingsService.updateSettings(req.user.userId, req.body);
     
     return res.status(200).json({
       message: 'Settings updated successfully',
-      settings: req.body
+      settings
     });
   } catch (error) {
     logger.error(`Error updating user settings: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to update user settings'
-    });
+    return sendSettingsError(res, error, 'Failed to update user settings');
+  }
+});
+
+/**
+ * @route GET /api/settings/status
+ * @description Get the maintenance status and feature flags, so clients can show the
+ * maintenance message and hide disabled features. Available during maintenance.
+ * @access Public
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const { maintenance, features } = await systemSettingsService.getSystemSettings();
+    
+    return res.status(200).json({ maintenance, features });
+  } catch (error) {
+    logger.error(`Error fetching system status: ${error.message}`);
+    return sendSettingsError(res, error, 'Failed to fetch system status');
   }
 });
 
@@ -98,32 +112,80 @@ router.get('/system', [
   requirePermissions(['admin'])
 ], async (req, res) => {
   try {
-    logger.info(`Admin ${req.user.userId} requested system settings`);
+    const settings = await systemSettingsService.getSystemSettings({ fresh: true });
     
     return res.status(200).json({
       message: 'System settings retrieved successfully',
-      settings: {
-        maintenance: {
-          enabled: false,
-          message: ''
-        },
-        features: {
-          referrals: true,
-          ratings: true,
-          wishlist: true
-        },
-        limits: {
-          maxProductsPerFarm: 500,
-          maxActiveOrders: 1000
-        }
-      }
+      settings
     });
   } catch (error) {
     logger.error(`Error fetching system settings: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to fetch system settings'
+    return sendSettingsError(res, error, 'Failed to fetch system settings');
+  }
+});
+
+/**
+ * @route PUT /api/settings/system
+ * @description Change some system settings. The body is shaped like the settings, plus
+ * an optional reason; fields left out keep their values. Every change is audited.
+ * @access Admin only
+ */
+router.put('/system', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['admin']),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { reason, ...changes } = req.body;
+    const result = await systemSettingsService.updateSystemSettings(changes, req.user.userId, reason || null);
+    
+    return res.status(200).json({
+      message: 'System settings updated successfully',
+      settings: result.settings,
+      changes: result.changes
     });
+  } catch (error) {
+    logger.error(`Error updating system settings: ${error.message}`);
+    return sendSettingsError(res, error, 'Failed to update system settings');
+  }
+});
+
+/**
+ * @route GET /api/settings/system/history
+ * @description Get the audit trail of system setting changes, newest first
+ * @access Admin only
+ */
+router.get('/system/history', [
+  authenticate,
+  requireActiveUser,
+  requirePermissions(['admin']),
+  query('key').optional().isString().trim().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const history = await systemSettingsService.getSystemSettingChanges({
+      key: req.query.key || null,
+      limit: req.query.limit || 50,
+      offset: req.query.offset || 0
+    });
+    
+    return res.status(200).json(history);
+  } catch (error) {
+    logger.error(`Error fetching system setting history: ${error.message}`);
+    return sendSettingsError(res, error, 'Failed to fetch system setting history');
   }
 });
 
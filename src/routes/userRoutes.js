@@ -5,10 +5,15 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { authenticate, requireActiveUser, requirePermissions } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { User, Profile } = require('../models/user');
+const sessionService = require('../services/sessionService');
+const addressService = require('../services/addressService');
+const paymentMethodService = require('../services/paymentMethodService');
+const settingsService = require('../services/settingsService');
+const { sequelize } = require('../config/database');
 
 const router = express.Router();
 
@@ -161,31 +166,59 @@ router.put('/profile', [
   }
 });
 
+/**
+ * Send an address, payment method or settings service error, or a 500 with a generic message
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {String} fallbackMessage - Message for unexpected errors
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict', 422: 'Unprocessable Entity' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode] || 'Error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+/**
+ * Validators for address fields; required ones are only required on create
+ * @param {Boolean} isCreate - Whether the address is being created
+ * @returns {Array} express-validator chains
+ */
+const addressValidators = (isCreate) => {
+  const required = (field) => (isCreate ? body(field) : body(field).optional());
+
+  return [
+    required('streetAddress').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Street address is required'),
+    required('city').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('City is required'),
+    required('state').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Province is required'),
+    required('zipCode').isString().trim().notEmpty().isLength({ max: 20 }).withMessage('Postal code is required'),
+    body('country').optional().trim().toUpperCase().isISO31661Alpha2().withMessage('Country must be a 2-letter code'),
+    body('label').optional().isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+    body('recipientName').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+    body('unit').optional({ nullable: true }).isString().trim().isLength({ max: 20 }).withMessage('Unit must be at most 20 characters'),
+    body('phone').optional({ nullable: true }).isString().trim().isLength({ max: 30 }).withMessage('Invalid phone number'),
+    body('deliveryInstructions').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Delivery instructions must be at most 500 characters'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean').toBoolean()
+  ];
+};
+
 /**
  * @route GET /api/users/profile/addresses
- * @description Get user's addresses
+ * @description Get user's saved addresses, default first
  * @access Private
  */
 router.get('/profile/addresses', [authenticate, requireActiveUser], async (req, res) => {
   try {
-    // For MVP, returning mock data
-    // In a production app, this would query a real database table
-    return res.status(200).json([
-      {
-        id: '1',
-        userId: req.user.userId,
-        name: 'Home',
-        streetAddress: '123 Main St',
-        unit: 'Apt 4B',
-        city: 'San Francisco',
-        state: 'CA',
-        zipCode: '94105',
-        country: 'USA',
-        phone: '415-555-1234',
-        isDefault: true,
-        type: 'both'
-      }
-    ]);
+    const addresses = await addressService.listAddresses(req.user.userId);
+    return res.status(200).json(addresses);
   } catch (error) {
     logger.error(`Error fetching addresses: ${error.message}`);
     return res.status(500).json({
@@ -197,201 +230,227 @@ router.get('/profile/addresses', [authenticate, requireActiveUser], async (req,
 
 /**
  * @route POST /api/users/profile/addresses
- * @description Add a new address
+ * @description Add a new address. It is geocoded and must be inside a service area;
+ * the user's first address becomes their default.
  * @access Private
  */
-router.post('/profile/addresses', [authenticate, requireActiveUser], async (req, res) => {
+router.post('/profile/addresses', [
+  authenticate,
+  requireActiveUser,
+  ...addressValidators(true)
+], async (req, res) => {
   try {
-    // For MVP, returning mock data
-    // In a production app, this would create a real record
-    return res.status(201).json({
-      id: Date.now().toString(),
-      userId: req.user.userId,
-      ...req.body,
-      isDefault: req.body.isDefault || false
-    });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const address = await addressService.createAddress(req.user.userId, req.body);
+    return res.status(201).json(address);
   } catch (error) {
     logger.error(`Error adding address: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to add address'
-    });
+    return sendServiceError(res, error, 'Failed to add address');
   }
 });
 
 /**
  * @route PUT /api/users/profile/addresses/:id
- * @description Update an address
+ * @description Update an address. Changing where it is geocodes it again;
+ * isDefault: true makes it the default.
  * @access Private
  */
-router.put('/profile/addresses/:id', [authenticate, requireActiveUser], async (req, res) => {
+router.put('/profile/addresses/:id', [
+  authenticate,
+  requireActiveUser,
+  param('id').isUUID().withMessage('Invalid address ID'),
+  ...addressValidators(false)
+], async (req, res) => {
   try {
-    // For MVP, returning mock data
-    // In a production app, this would update a real record
-    return res.status(200).json({
-      id: req.params.id,
-      userId: req.user.userId,
-      ...req.body
-    });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const address = await addressService.updateAddress(req.user.userId, req.params.id, req.body);
+    return res.status(200).json(address);
   } catch (error) {
     logger.error(`Error updating address: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to update address'
-    });
+    return sendServiceError(res, error, 'Failed to update address');
   }
 });
 
 /**
  * @route DELETE /api/users/profile/addresses/:id
- * @description Delete an address
+ * @description Delete an address. Past orders keep their delivery address.
  * @access Private
  */
-router.delete('/profile/addresses/:id', [authenticate, requireActiveUser], async (req, res) => {
+router.delete('/profile/addresses/:id', [
+  authenticate,
+  requireActiveUser,
+  param('id').isUUID().withMessage('Invalid address ID')
+], async (req, res) => {
   try {
-    // For MVP, returning success
-    // In a production app, this would delete a real record
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await addressService.deleteAddress(req.user.userId, req.params.id);
     return res.status(200).json({ success: true });
   } catch (error) {
     logger.error(`Error deleting address: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to delete address'
-    });
+    return sendServiceError(res, error, 'Failed to delete address');
   }
 });
 
 /**
  * @route GET /api/users/profile/payment-methods
- * @description Get user's payment methods
+ * @description Get user's saved cards, default first
  * @access Private
  */
 router.get('/profile/payment-methods', [authenticate, requireActiveUser], async (req, res) => {
   try {
-    // For MVP, returning mock data
-    return res.status(200).json([
-      {
-        id: '1',
-        userId: req.user.userId,
-        type: 'card',
-        cardBrand: 'Visa',
-        lastFour: '4242',
-        expiryMonth: '12',
-        expiryYear: '2025',
-        name: 'Personal Card',
-        isDefault: true
-      }
-    ]);
+    const paymentMethods = await paymentMethodService.listPaymentMethods(req.user.userId);
+    return res.status(200).json(paymentMethods);
   } catch (error) {
     logger.error(`Error fetching payment methods: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to retrieve payment methods'
-    });
+    return sendServiceError(res, error, 'Failed to retrieve payment methods');
+  }
+});
+
+/**
+ * @route POST /api/users/profile/payment-methods/setup-intent
+ * @description Start saving a card. The client confirms the returned SetupIntent
+ * with Stripe.js, then posts its ID to /profile/payment-methods.
+ * @access Private
+ */
+router.post('/profile/payment-methods/setup-intent', [authenticate, requireActiveUser], async (req, res) => {
+  try {
+    const setupIntent = await paymentMethodService.createSetupIntent(req.user.userId);
+    return res.status(201).json(setupIntent);
+  } catch (error) {
+    logger.error(`Error creating setup intent: ${error.message}`);
+    return sendServiceError(res, error, 'Failed to start saving payment method');
   }
 });
 
 /**
  * @route POST /api/users/profile/payment-methods
- * @description Add a new payment method
+ * @description Save the card from a confirmed SetupIntent. The user's first card
+ * becomes their default.
  * @access Private
  */
-router.post('/profile/payment-methods', [authenticate, requireActiveUser], async (req, res) => {
+router.post('/profile/payment-methods', [
+  authenticate,
+  requireActiveUser,
+  body('setupIntentId').isString().trim().matches(/^seti_/).withMessage('A confirmed setup intent ID is required'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean').toBoolean()
+], async (req, res) => {
   try {
-    // For MVP, returning mock data
-    return res.status(201).json({
-      id: Date.now().toString(),
-      userId: req.user.userId,
-      ...req.body,
-      isDefault: req.body.isDefault || false
-    });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paymentMethod = await paymentMethodService.savePaymentMethod(
+      req.user.userId,
+      req.body.setupIntentId,
+      { makeDefault: req.body.isDefault === true }
+    );
+    return res.status(201).json(paymentMethod);
   } catch (error) {
     logger.error(`Error adding payment method: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to add payment method'
-    });
+    return sendServiceError(res, error, 'Failed to add payment method');
   }
 });
 
 /**
  * @route DELETE /api/users/profile/payment-methods/:id
- * @description Delete a payment method
+ * @description Remove a saved card. If it was the default, the newest remaining
+ * card becomes the default.
  * @access Private
  */
-router.delete('/profile/payment-methods/:id', [authenticate, requireActiveUser], async (req, res) => {
+router.delete('/profile/payment-methods/:id', [
+  authenticate,
+  requireActiveUser,
+  param('id').matches(/^pm_/).withMessage('Invalid payment method ID')
+], async (req, res) => {
   try {
-    // For MVP, returning success
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await paymentMethodService.deletePaymentMethod(req.user.userId, req.params.id);
     return res.status(200).json({ success: true });
   } catch (error) {
     logger.error(`Error deleting payment method: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to delete payment method'
-    });
+    return sendServiceError(res, error, 'Failed to delete payment method');
   }
 });
 
 /**
  * @route POST /api/users/profile/payment-methods/:id/default
- * @description Set a payment method as default
+ * @description Set a saved card as the default, used when checkout doesn't name one
  * @access Private
  */
-router.post('/profile/payment-methods/:id/default', [authenticate, requireActiveUser], async (req, res) => {
+router.post('/profile/payment-methods/:id/default', [
+  authenticate,
+  requireActiveUser,
+  param('id').matches(/^pm_/).withMessage('Invalid payment method ID')
+], async (req, res) => {
   try {
-    // For MVP, returning success
-    return res.status(200).json({ success: true });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paymentMethod = await paymentMethodService.setDefaultPaymentMethod(req.user.userId, req.params.id);
+    return res.status(200).json(paymentMethod);
   } catch (error) {
     logger.error(`Error setting default payment method: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to set default payment method'
-    });
+    return sendServiceError(res, error, 'Failed to set default payment method');
   }
 });
 
 /**
  * @route GET /api/users/profile/preferences
- * @description Get user preferences
+ * @description Get user settings (same as GET /api/settings/user)
  * @access Private
  */
 router.get('/profile/preferences', [authenticate, requireActiveUser], async (req, res) => {
   try {
-    // For MVP, returning mock data
-    return res.status(200).json({
-      emailNotifications: true,
-      smsNotifications: false,
-      marketingEmails: true,
-      orderUpdates: true,
-      promotions: false,
-      referralEnabled: true
-    });
+    const settings = await settingsService.getSettings(req.user.userId);
+    return res.status(200).json(settings);
   } catch (error) {
     logger.error(`Error fetching preferences: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to retrieve preferences'
-    });
+    return sendServiceError(res, error, 'Failed to retrieve preferences');
   }
 });
 
 /**
  * @route PUT /api/users/profile/preferences
- * @description Update user preferences
+ * @description Change some user settings (same as PUT /api/settings/user). Email
+ * and SMS notifications are only sent on the channels and events enabled here;
+ * SMS also needs a phone number on the profile.
  * @access Private
  */
 router.put('/profile/preferences', [authenticate, requireActiveUser], async (req, res) => {
   try {
-    // For MVP, returning the updated preferences
-    return res.status(200).json({
-      ...req.body
-    });
+    const settings = await settingsService.updateSettings(req.user.userId, req.body);
+    return res.status(200).json(settings);
   } catch (error) {
     logger.error(`Error updating preferences: ${error.message}`);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to update preferences'
-    });
+    if (error.errors && error.errors.length > 0) {
+      return res.status(400).json({ errors: error.errors });
+    }
+    return sendServiceError(res, error, 'Failed to update preferences');
   }
 });
 
@@ -514,14 +573,16 @@ router.get('/:id', [authenticate, requireActiveUser, requirePermissions(['admin'
 
 /**
  * @route PUT /api/users/:id/status
- * @description Update user status (admin only)
+ * @description Update user status (admin only). Suspending or deleting a user
+ * logs them out everywhere; set logoutEverywhere to do so for other statuses.
  * @access Private (Admin only)
  */
 router.put('/:id/status', [
   authenticate,
   requireActiveUser,
   requirePermissions(['admin']),
-  body('status').isIn(['active', 'pending', 'suspended', 'deleted']).withMessage('Invalid status')
+  body('status').isIn(['active', 'pending', 'suspended', 'deleted']).withMessage('Invalid status'),
+  body('logoutEverywhere').optional().isBoolean().withMessage('logoutEverywhere must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -540,14 +601,30 @@ router.put('/:id/status', [
       });
     }
     
-    // Update status
-    user.status = req.body.status;
-    await user.save();
+    const logoutEverywhere = ['suspended', 'deleted'].includes(req.body.status) ||
+      req.body.logoutEverywhere === true || req.body.logoutEverywhere === 'true';
+    
+    // Update status and end the user's sessions together
+    const revokedSessions = await sequelize.transaction(async (transaction) => {
+      user.status = req.body.status;
+      await user.save({ transaction });
+      
+      if (!logoutEverywhere) {
+        return 0;
+      }
+      
+      return sessionService.revokeAllSessions(user.id, 'admin_logout', { transaction });
+    });
+    
+    if (logoutEverywhere) {
+      logger.info(`Admin ${req.user.userId} logged out user ${user.id} everywhere (${revokedSessions} session(s))`);
+    }
     
     return res.status(200).json({
       message: `User status updated to ${req.body.status}`,
       userId: user.id,
-      status: user.status
+      status: user.status,
+      revokedSessions
     });
   } catch (error) {
     logger.error(`Error updating user status: ${error.message}`);
@@ -583,9 +660,12 @@ router.delete('/:id', [authenticate, requireActiveUser, requirePermissions(['adm
       });
     }
     
-    // Soft delete - update status to 'deleted'
-    user.status = 'deleted';
-    await user.save();
+    // Soft delete - update status to 'deleted' and end the user's sessions
+    await sequelize.transaction(async (transaction) => {
+      user.status = 'deleted';
+      await user.save({ transaction });
+      await sessionService.revokeAllSessions(user.id, 'admin_logout', { transaction });
+    });
     
     // Alternatively, for hard delete:
     // await user.destroy();
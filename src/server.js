@@ -9,6 +9,17 @@ const { sequelize, testConnection } = require('./config/database');
 const { initializeModels } = require('./models/index');
 const logger = require('./utils/logger');
 const app = require('./app');
+const deliveryTrackingService = require('./services/deliveryTrackingService');
+const notificationService = require('./services/notificationService');
+const membershipService = require('./services/membershipService');
+const boxSubscriptionService = require('./services/boxSubscriptionService');
+const dispatchService = require('./services/dispatchService');
+const refundService = require('./services/refundService');
+const membershipBilling = require('./services/membershipBilling');
+const addressService = require('./services/addressService');
+const catchWeightService = require('./services/catchWeightService');
+const driverShiftService = require('./services/driverShiftService');
+const failedDeliveryService = require('./services/failedDeliveryService');
 require('dotenv').config();
 
 // Initialize Express app
@@ -74,12 +85,29 @@ function startServer(port) {
 // Initialize the application
 async function initialize() {
   try {
+    // Memberships must not be handed out without a real way to bill them
+    membershipBilling.checkConfiguration();
+
     // Initialize database
     const dbInitialized = await initializeDatabase();
     if (!dbInitialized && NODE_ENV === 'production') {
       throw new Error('Database initialization failed in production mode');
     }
     
+    // Prune and downsample old delivery tracking points, send queued notifications, renew memberships, place box subscription orders, dispatch deliveries, reconcile refunds, locate unlocated addresses, retry catch-weight captures, take absent drivers offline and refund undecided failed deliveries periodically
+    if (dbInitialized) {
+      deliveryTrackingService.startRetentionJob();
+      notificationService.startOutboxWorker();
+      membershipService.startRenewalWorker();
+      boxSubscriptionService.startSubscriptionWorker();
+      dispatchService.startDispatchWorker();
+      refundService.startReconciliationWorker();
+      addressService.startRelocationWorker();
+      catchWeightService.startCaptureWorker();
+      driverShiftService.startAutoOfflineWorker();
+      failedDeliveryService.startDecisionWorker();
+    }
+    
     // Start with the initial port
     startServer(PORT);
   } catch (error) {
@@ -0,0 +1,431 @@
+/**
+ * Address Service
+ *
+ * Manages customers' saved delivery addresses:
+ * - Addresses are geocoded when saved, and again only when the street, city,
+ *   province, postal code or country changes
+ * - Addresses that couldn't be geocoded are saved unlocated, without
+ *   coordinates, and geocoded again by the relocation worker or when an order
+ *   is placed to them; their deliveries get coordinates once they are found
+ * - Only addresses inside an active service area can be saved or delivered to
+ * - Each user has at most one default address; the first one saved becomes it
+ * - Orders placed with address fields reuse a saved address at the same place
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const geocodingService = require('./geocodingService');
+
+const ADDRESS_CONSTANTS = {
+  RELOCATE_INTERVAL_MS: 15 * 60 * 1000,
+  // Unlocated addresses geocoded again per run
+  RELOCATE_BATCH_SIZE: 50
+};
+
+// Fields that change where an address is, and so need geocoding again
+const LOCATION_FIELDS = ['streetAddress', 'city', 'state', 'zipCode', 'country'];
+
+let relocateTimer = null;
+
+// Fields a user can set
+const EDITABLE_FIELDS = [
+  'label',
+  'recipientName',
+  'unit',
+  'phone',
+  'deliveryInstructions',
+  ...LOCATION_FIELDS
+];
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const addressError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pickEditable = (data) => EDITABLE_FIELDS.reduce((fields, name) => {
+  if (data[name] !== undefined) {
+    fields[name] = typeof data[name] === 'string' ? data[name].trim() : data[name];
+  }
+  return fields;
+}, {});
+
+/**
+ * Geocode address fields and make sure they are in a service area
+ * @param {Object} fields - Address fields
+ * @returns {Promise<Object>} Coordinates and geocoding details to store
+ * @throws {Error} 422 if FreshFarmily doesn't deliver there
+ */
+const locate = async (fields) => {
+  const location = await geocodingService.geocode(fields);
+  // Unlocated addresses are checked once they are found
+  const { serviceable } = await geocodingService.findServiceArea(location);
+
+  if (!serviceable) {
+    throw addressError('FreshFarmily does not deliver to this address yet', 422);
+  }
+
+  return {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    formattedAddress: location.formattedAddress,
+    geocodeSource: location.source
+  };
+};
+
+/**
+ * Make an address the user's only default
+ * @param {Object} address - Address instance
+ * @param {Object} transaction - Sequelize transaction
+ */
+const makeDefault = async (address, transaction) => {
+  const { Address } = require('../models/address');
+
+  await Address.update({ isDefault: false }, {
+    where: { userId: address.userId, id: { [Op.ne]: address.id }, isDefault: true },
+    transaction
+  });
+  await address.update({ isDefault: true }, { transaction });
+};
+
+/**
+ * List a user's addresses, default first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Addresses
+ */
+const listAddresses = async (userId) => {
+  const { Address } = require('../models/address');
+
+  return Address.findAll({
+    where: { userId },
+    order: [['isDefault', 'DESC'], ['updatedAt', 'DESC']]
+  });
+};
+
+/**
+ * Get one of a user's addresses
+ * @param {String} userId - User ID
+ * @param {String} addressId - Address ID
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} Address instance
+ * @throws {Error} 404 if the user has no such address
+ */
+const getAddress = async (userId, addressId, transaction = null) => {
+  const { Address } = require('../models/address');
+
+  const address = await Address.findOne({ where: { id: addressId, userId }, transaction });
+  if (!address) {
+    throw addressError('Address not found', 404);
+  }
+  return address;
+};
+
+/**
+ * Save a new address
+ * @param {String} userId - User ID
+ * @param {Object} data - Address fields, plus isDefault
+ * @param {Object} transaction - Optional Sequelize transaction to join
+ * @returns {Promise<Object>} Created address
+ */
+const createAddress = async (userId, data, transaction = null) => {
+  const { Address } = require('../models/address');
+  const fields = pickEditable(data);
+
+  // Geocode before writing anything so no lock is held during the lookup
+  const location = await locate(fields);
+
+  const run = async (t) => {
+    const existing = await Address.count({ where: { userId }, transaction: t });
+    const address = await Address.create({ userId, ...fields, ...location }, { transaction: t });
+
+    if (data.isDefault || existing === 0) {
+      await makeDefault(address, t);
+    }
+    return address;
+  };
+  const address = await (transaction ? run(transaction) : sequelize.transaction(run));
+
+  logger.info(`Address ${address.id} saved for user ${userId} (${location.geocodeSource} geocode)`);
+  return address;
+};
+
+/**
+ * Update an address, geocoding it again if it moved
+ * @param {String} userId - User ID
+ * @param {String} addressId - Address ID
+ * @param {Object} data - Fields to change, plus isDefault
+ * @returns {Promise<Object>} Updated address
+ */
+const updateAddress = async (userId, addressId, data) => {
+  const address = await getAddress(userId, addressId);
+  const fields = pickEditable(data);
+
+  const moved = LOCATION_FIELDS.some(name => fields[name] !== undefined && fields[name] !== address[name]);
+  const location = moved ? await locate({ ...address.toJSON(), ...fields }) : {};
+
+  await sequelize.transaction(async (transaction) => {
+    await address.update({ ...fields, ...location }, { transaction });
+
+    // A default can be replaced but not simply switched off
+    if (data.isDefault === true && !address.isDefault) {
+      await makeDefault(address, transaction);
+    }
+  });
+
+  return address;
+};
+
+/**
+ * Delete an address. Orders keep their own copy of the delivery address.
+ * If it was the default, the most recently used remaining address takes over.
+ * @param {String} userId - User ID
+ * @param {String} addressId - Address ID
+ * @throws {Error} 409 if a box subscription delivers to the address
+ */
+const deleteAddress = async (userId, addressId) => {
+  const { Address } = require('../models/address');
+  const { BoxSubscription } = require('../models/boxSubscription');
+
+  await sequelize.transaction(async (transaction) => {
+    const address = await getAddress(userId, addressId, transaction);
+
+    const subscriptions = await BoxSubscription.count({
+      where: { addressId, status: ['active', 'paused'] },
+      transaction
+    });
+    if (subscriptions > 0) {
+      throw addressError('This address is used by a box subscription; move the subscription to another address first', 409);
+    }
+
+    await address.destroy({ transaction });
+
+    if (address.isDefault) {
+      const next = await Address.findOne({
+        where: { userId },
+        order: [['updatedAt', 'DESC']],
+        transaction
+      });
+      if (next) {
+        await next.update({ isDefault: true }, { transaction });
+      }
+    }
+  });
+};
+
+/**
+ * Geocode an unlocated address again. Once it is found, deliveries still on
+ * their way to it get its coordinates too.
+ * @param {Object} address - Address instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Boolean>} True if the address was located
+ */
+const relocateAddress = async (address, transaction = null) => {
+  const { Order } = require('../models/order');
+  const { Delivery } = require('../models/delivery');
+
+  const location = await geocodingService.geocode(address);
+  if (!geocodingService.isLocated(location)) {
+    return false;
+  }
+
+  const run = async (t) => {
+    await address.update({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      formattedAddress: location.formattedAddress,
+      geocodeSource: location.source
+    }, { transaction: t });
+
+    const orders = await Order.findAll({ where: { addressId: address.id }, attributes: ['id'], transaction: t });
+    if (orders.length > 0) {
+      await Delivery.update(
+        { deliveryLatitude: location.latitude, deliveryLongitude: location.longitude },
+        {
+          where: {
+            orderId: orders.map(order => order.id),
+            deliveryLatitude: null,
+            status: { [Op.notIn]: ['delivered', 'cancelled'] }
+          },
+          transaction: t
+        }
+      );
+    }
+  };
+  await (transaction ? run(transaction) : sequelize.transaction(run));
+
+  logger.info(`Address ${address.id} located (${location.source} geocode)`);
+  return true;
+};
+
+/**
+ * One of the user's saved addresses at the same place as address fields
+ * @param {String} userId - User ID
+ * @param {Object} fields - Address fields
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} Address instance, or null
+ */
+const findSavedAddress = async (userId, fields, transaction = null) => {
+  const { Address } = require('../models/address');
+  const place = geocodingService.normalizeAddress(fields);
+  const unit = String(fields.unit || '').trim().toUpperCase();
+
+  const addresses = await Address.findAll({
+    where: { userId },
+    order: [['isDefault', 'DESC'], ['updatedAt', 'DESC']],
+    transaction
+  });
+  return addresses.find(address => geocodingService.normalizeAddress(address) === place &&
+    String(address.unit || '').trim().toUpperCase() === unit) || null;
+};
+
+/**
+ * Work out the saved address an order is delivered to: the one it names, one
+ * from the address fields it gives (a saved address at the same place, or a
+ * new one added to the address book), or the user's default
+ * @param {String} userId - User ID
+ * @param {Object} delivery - Order delivery details
+ * @param {Object} transaction - Optional Sequelize transaction; a new address is only kept if it commits
+ * @returns {Promise<Object>} Address instance
+ * @throws {Error} 400 if there is no address to use, 404 if the named one isn't the user's,
+ *   422 if it is outside every service area
+ */
+const resolveOrderAddress = async (userId, delivery = {}, transaction = null) => {
+  const { Address } = require('../models/address');
+
+  if (delivery.addressId) {
+    const address = await getAddress(userId, delivery.addressId, transaction);
+
+    // Give an unlocated address another chance to be found before it is delivered to
+    if (address.geocodeSource === 'unlocated') {
+      await relocateAddress(address, transaction);
+    }
+
+    // Service areas can shrink after an address is saved
+    const { serviceable } = await geocodingService.findServiceArea(address);
+    if (!serviceable) {
+      throw addressError('FreshFarmily does not deliver to this address yet', 422);
+    }
+    return address;
+  }
+
+  if (delivery.deliveryAddress) {
+    if (!delivery.deliveryCity || !delivery.deliveryState || !delivery.deliveryZipCode) {
+      throw addressError('Delivery city, province and postal code are required', 400);
+    }
+    const fields = {
+      streetAddress: delivery.deliveryAddress,
+      unit: delivery.deliveryUnit,
+      city: delivery.deliveryCity,
+      state: delivery.deliveryState,
+      zipCode: delivery.deliveryZipCode
+    };
+
+    const saved = await findSavedAddress(userId, fields, transaction);
+    if (saved) {
+      return resolveOrderAddress(userId, { addressId: saved.id }, transaction);
+    }
+    return createAddress(userId, {
+      label: 'Other',
+      ...fields,
+      deliveryInstructions: delivery.deliveryInstructions
+    }, transaction);
+  }
+
+  const address = await Address.findOne({ where: { userId, isDefault: true }, transaction });
+  if (!address) {
+    throw addressError('A delivery address is required', 400);
+  }
+  return resolveOrderAddress(userId, { addressId: address.id }, transaction);
+};
+
+/**
+ * Geocode unlocated addresses again, oldest first
+ * @returns {Promise<Object>} { located, unlocated }
+ */
+const relocateAddresses = async () => {
+  const { Address } = require('../models/address');
+  const counts = { located: 0, unlocated: 0 };
+
+  const addresses = await Address.findAll({
+    where: { geocodeSource: 'unlocated' },
+    order: [['updatedAt', 'ASC']],
+    limit: ADDRESS_CONSTANTS.RELOCATE_BATCH_SIZE
+  });
+
+  for (const address of addresses) {
+    try {
+      if (await relocateAddress(address)) {
+        counts.located++;
+        continue;
+      }
+      // Send it to the back of the queue
+      address.changed('updatedAt', true);
+      await address.save();
+    } catch (error) {
+      logger.error(`Locating address ${address.id} failed: ${error.message}`);
+    }
+    counts.unlocated++;
+  }
+
+  if (addresses.length > 0) {
+    logger.info(`Address relocation: ${counts.located} located, ${counts.unlocated} still unlocated`);
+  }
+  return counts;
+};
+
+/**
+ * Start geocoding unlocated addresses periodically
+ */
+const startRelocationWorker = () => {
+  if (relocateTimer) {
+    return;
+  }
+
+  relocateTimer = setInterval(() => {
+    relocateAddresses().catch(error => {
+      logger.error(`Address relocation worker failed: ${error.message}`);
+    });
+  }, ADDRESS_CONSTANTS.RELOCATE_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  relocateTimer.unref();
+  logger.info('Address relocation worker started');
+};
+
+/**
+ * Stop the periodic address relocation job
+ */
+const stopRelocationWorker = () => {
+  if (relocateTimer) {
+    clearInterval(relocateTimer);
+    relocateTimer = null;
+  }
+};
+
+/**
+ * Street line for an address, with its unit
+ * @param {Object} address - Address instance
+ * @returns {String} e.g. '4B-123 Main St'
+ */
+const formatStreet = (address) => (address.unit ? `${address.unit}-${address.streetAddress}` : address.streetAddress);
+
+module.exports = {
+  ADDRESS_CONSTANTS,
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  resolveOrderAddress,
+  formatStreet,
+  relocateAddresses,
+  startRelocationWorker,
+  stopRelocationWorker
+};
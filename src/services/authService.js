@@ -1,14 +1,119 @@
 /**
  * Authentication Service
  * 
- * Handles user authentication, registration, and token management
+ * Handles user authentication, registration, and token management, including
+ * email verification and password reset with hashed, expiring, single-use tokens
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
 const { User, Profile } = require('../models');
-const { createTokens, verifyToken } = require('../utils/jwt');
+const { UserToken } = require('../models/user');
+const { createTokens } = require('../utils/jwt');
 const { authLogger } = require('../utils/logger');
 const { sequelize } = require('../config/database');
+const notificationService = require('./notificationService');
+const sessionService = require('./sessionService');
+
+const AUTH_TOKEN_CONSTANTS = {
+  VERIFICATION_TTL_MS: 24 * 60 * 60 * 1000, // 24 hours
+  PASSWORD_RESET_TTL_MS: 60 * 60 * 1000 // 1 hour
+};
+
+/**
+ * Hash a verification or reset token for storage and lookup
+ * 
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build a frontend link carrying a token
+ * 
+ * @param {string} path - Frontend path
+ * @param {string} token - Raw token
+ * @returns {string} Link
+ */
+const buildTokenLink = (path, token) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Issue a new token of a type for a user. Any earlier unused token of the
+ * same type is retired so only the latest link works.
+ * 
+ * @param {string} userId - User ID
+ * @param {string} type - 'email_verification' or 'password_reset'
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<string>} Raw token (never stored)
+ */
+const issueUserToken = async (userId, type, ttlMs, transaction) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await UserToken.update({ usedAt: now }, {
+    where: { userId, type, usedAt: null },
+    transaction
+  });
+
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlMs)
+  }, { transaction });
+
+  return token;
+};
+
+/**
+ * Redeem a token: it must exist, be unused and unexpired. It is marked used
+ * in the same transaction as the change it authorizes.
+ * 
+ * @param {string} token - Raw token
+ * @param {string} type - Expected token type
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Redeemed UserToken
+ * @throws {Error} 'Invalid or expired token'
+ */
+const redeemUserToken = async (token, type, transaction) => {
+  const userToken = await UserToken.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!userToken) {
+    throw new Error('Invalid or expired token');
+  }
+
+  await userToken.update({ usedAt: new Date() }, { transaction });
+  return userToken;
+};
+
+/**
+ * Issue a verification token and queue the verification email
+ * 
+ * @param {Object} user - User instance
+ * @param {Object} transaction - Sequelize transaction
+ */
+const sendVerificationEmail = async (user, transaction) => {
+  const token = await issueUserToken(user.id, 'email_verification', AUTH_TOKEN_CONSTANTS.VERIFICATION_TTL_MS, transaction);
+
+  await notificationService.notify(user.id, 'email_verification', {
+    link: buildTokenLink('/verify-email', token),
+    expiresInHours: AUTH_TOKEN_CONSTANTS.VERIFICATION_TTL_MS / (60 * 60 * 1000)
+  }, { transaction });
+};
 
 /**
  * Register a new user
@@ -31,8 +136,8 @@ const registerUser = async (userData) => {
       throw new Error('Email already in use');
     }
 
-    // All users are automatically set to active status
-    const initialStatus = 'active';
+    // Accounts stay pending until the email address is verified
+    const initialStatus = 'pending';
 
     // Create the user with fields that actually exist in the database
     const user = await User.create({
@@ -42,6 +147,7 @@ const registerUser = async (userData) => {
       lastName: userData.lastName || '',
       role: userData.role || 'consumer',
       status: initialStatus,
+      emailVerified: false,
       isActive: true,
       stripeCustomerId: null,
       stripeAccountId: null
@@ -65,6 +171,8 @@ const registerUser = async (userData) => {
       // We'll continue with user creation regardless of profile creation success
     }
 
+    await sendVerificationEmail(user, transaction);
+
     // Commit transaction
     await transaction.commit();
 
@@ -159,6 +267,11 @@ const authenticateUser = async (email, password) => {
       throw new Error('Invalid credentials');
     }
     
+    // Pending accounts have not verified their email yet
+    if (user.status === 'pending') {
+      throw new Error('Email not verified');
+    }
+    
     // If user is not active
     if (user.status !== 'active') {
       throw new Error('Account is not active');
@@ -195,7 +308,7 @@ const authenticateUser = async (email, password) => {
     return authenticatedUser;
   } catch (error) {
     // If the error is already a known error, rethrow it
-    if (error.message === 'Invalid credentials' || error.message === 'Account is not active') {
+    if (['Invalid credentials', 'Account is not active', 'Email not verified'].includes(error.message)) {
       throw error;
     }
     
@@ -206,43 +319,32 @@ const authenticateUser = async (email, password) => {
 };
 
 /**
- * Refresh an access token using a refresh token
+ * Refresh an access token using a refresh token. The refresh token is
+ * rotated: the one presented stops working and a new one is returned.
  * 
  * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} Object containing new access token
+ * @param {Object} context - Client details (userAgent, ipAddress)
+ * @returns {Promise<Object>} Object containing new access and refresh tokens
  */
-const refreshAccessToken = async (refreshToken) => {
+const refreshAccessToken = async (refreshToken, context = {}) => {
   try {
-    // Verify the refresh token
-    const decoded = verifyToken(refreshToken);
-    
-    // Check if token is a refresh token
-    if (!decoded.type || decoded.type !== 'refresh') {
-      authLogger.warn('Invalid token type for refresh');
-      throw new Error('Invalid token');
-    }
-    
-    // Find the user - we no longer store refresh tokens in the database
-    // so we just look up the user by ID
-    const user = await User.findOne({
-      where: { 
-        id: decoded.userId
-      }
-    });
+    const { session, refreshToken: nextRefreshToken } = await sessionService.rotateRefreshToken(refreshToken, context);
+
+    const user = await User.findByPk(session.userId);
     
-    if (!user) {
-      authLogger.warn(`User not found for token: ${decoded.userId}`);
+    if (!user || user.status !== 'active') {
+      authLogger.warn(`Refresh rejected for missing or inactive user: ${session.userId}`);
       throw new Error('Invalid refresh token');
     }
     
-    // Generate new access token
-    const accessToken = createTokens(user).access_token;
+    const tokens = createTokens(user, { sessionId: session.id, refreshToken: nextRefreshToken });
     
     authLogger.info(`Access token refreshed for user: ${user.id}`);
     return {
-      access_token: accessToken,
-      token_type: 'bearer',
-      expires_in: 3600 // 1 hour in seconds
+      access_token: tokens.access_token,
+      token_type: tokens.token_type,
+      expires_in: tokens.expires_in,
+      refresh_token: tokens.refresh_token
     };
   } catch (error) {
     authLogger.error(`Token refresh error: ${error.message}`);
@@ -250,15 +352,31 @@ const refreshAccessToken = async (refreshToken) => {
   }
 };
 
+/**
+ * Log out of the current session
+ * 
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const logout = async (userId, sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  return sessionService.revokeSession(userId, sessionId, 'logout');
+};
+
 /**
  * Change a user's password
  * 
  * @param {string} userId - User ID
  * @param {string} currentPassword - Current password
  * @param {string} newPassword - New password
+ * @param {string} currentSessionId - Session to keep signed in; all others are revoked
  * @returns {Promise<boolean>} True if password change was successful
  */
-const changePassword = async (userId, currentPassword, newPassword) => {
+const changePassword = async (userId, currentPassword, newPassword, currentSessionId = null) => {
   try {
     // Find the user
     const user = await User.findByPk(userId);
@@ -280,9 +398,17 @@ const changePassword = async (userId, currentPassword, newPassword) => {
       throw new Error('Current password is incorrect');
     }
     
-    // Update password
-    user.password = newPassword; // Bcrypt hash is applied in beforeUpdate hook
-    await user.save();
+    // Update password and sign out every other session
+    await sequelize.transaction(async (transaction) => {
+      user.password = newPassword; // Bcrypt hash is applied in beforeUpdate hook
+      user.passwordChangedAt = new Date();
+      await user.save({ transaction });
+
+      await sessionService.revokeAllSessions(userId, 'password_changed', {
+        exceptSessionId: currentSessionId,
+        transaction
+      });
+    });
     
     authLogger.info(`Password changed successfully for user: ${userId}`);
     return true;
@@ -293,18 +419,125 @@ const changePassword = async (userId, currentPassword, newPassword) => {
 };
 
 /**
- * Get tokens for authenticated user
+ * Verify a user's email address with a verification token
+ * 
+ * @param {string} token - Raw verification token
+ * @returns {Promise<Object>} Verified user (id, email, status)
+ * @throws {Error} 'Invalid or expired token'
+ */
+const verifyEmail = async (token) => {
+  return sequelize.transaction(async (transaction) => {
+    const userToken = await redeemUserToken(token, 'email_verification', transaction);
+    const user = await User.findByPk(userToken.userId, { transaction });
+
+    if (!user) {
+      throw new Error('Invalid or expired token');
+    }
+
+    // Verification activates pending accounts but never lifts a suspension
+    await user.update({
+      emailVerified: true,
+      status: user.status === 'pending' ? 'active' : user.status
+    }, { transaction });
+
+    authLogger.info(`Email verified for user: ${user.id}`);
+    return { id: user.id, email: user.email, status: user.status };
+  });
+};
+
+/**
+ * Send a new verification email to a pending account. Silently does nothing
+ * for unknown or already verified addresses so callers can't probe accounts.
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} True if an email was queued
+ */
+const resendVerification = async (email) => {
+  return sequelize.transaction(async (transaction) => {
+    const user = await User.findOne({ where: { email }, transaction });
+
+    if (!user || user.emailVerified || user.status !== 'pending') {
+      return false;
+    }
+
+    await sendVerificationEmail(user, transaction);
+    authLogger.info(`Verification email re-sent for user: ${user.id}`);
+    return true;
+  });
+};
+
+/**
+ * Start a password reset. Silently does nothing for unknown, suspended or
+ * deleted accounts so callers can't probe accounts.
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} True if a reset email was queued
+ */
+const requestPasswordReset = async (email) => {
+  return sequelize.transaction(async (transaction) => {
+    const user = await User.findOne({ where: { email }, transaction });
+
+    if (!user || ['suspended', 'deleted'].includes(user.status)) {
+      return false;
+    }
+
+    const token = await issueUserToken(user.id, 'password_reset', AUTH_TOKEN_CONSTANTS.PASSWORD_RESET_TTL_MS, transaction);
+
+    await notificationService.notify(user.id, 'password_reset', {
+      link: buildTokenLink('/reset-password', token),
+      expiresInMinutes: AUTH_TOKEN_CONSTANTS.PASSWORD_RESET_TTL_MS / (60 * 1000)
+    }, { transaction });
+
+    authLogger.info(`Password reset requested for user: ${user.id}`);
+    return true;
+  });
+};
+
+/**
+ * Set a new password with a password reset token. All existing sessions are
+ * revoked. Since the link was emailed, using it also verifies the address.
+ * 
+ * @param {string} token - Raw password reset token
+ * @param {string} newPassword - New password
+ * @returns {Promise<boolean>} True if the password was reset
+ * @throws {Error} 'Invalid or expired token'
+ */
+const resetPassword = async (token, newPassword) => {
+  return sequelize.transaction(async (transaction) => {
+    const userToken = await redeemUserToken(token, 'password_reset', transaction);
+    const user = await User.findByPk(userToken.userId, { transaction });
+
+    if (!user || ['suspended', 'deleted'].includes(user.status)) {
+      throw new Error('Invalid or expired token');
+    }
+
+    user.password = newPassword; // Bcrypt hash is applied in beforeUpdate hook
+    user.passwordChangedAt = new Date();
+    user.emailVerified = true;
+    if (user.status === 'pending') {
+      user.status = 'active';
+    }
+    await user.save({ transaction });
+
+    await sessionService.revokeAllSessions(user.id, 'password_changed', { transaction });
+
+    authLogger.info(`Password reset for user: ${user.id}`);
+    return true;
+  });
+};
+
+/**
+ * Get tokens for authenticated user. Each call starts a new session.
  * 
  * @param {Object} user - Authenticated user
+ * @param {Object} context - Client details (userAgent, ipAddress, deviceName)
  * @returns {Object} Access and refresh tokens
  */
-const getTokensForUser = async (user) => {
+const getTokensForUser = async (user, context = {}) => {
   try {
-    // Create tokens
-    const tokens = createTokens(user);
+    const { session, refreshToken } = await sessionService.createSession(user.id, context);
+    const tokens = createTokens(user, { sessionId: session.id, refreshToken });
     
-    // We don't store refresh tokens in the database anymore
-    // Just log the token generation
     authLogger.info(`Tokens generated successfully for user: ${user.id}, role: ${user.role}`);
     return tokens;
   } catch (error) {
@@ -314,9 +547,15 @@ const getTokensForUser = async (user) => {
 };
 
 module.exports = {
+  AUTH_TOKEN_CONSTANTS,
   registerUser,
   authenticateUser,
   refreshAccessToken,
+  logout,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
   getTokensForUser
 };
@@ -0,0 +1,846 @@
+/**
+ * Box Subscription Service
+ *
+ * Recurring CSA box subscriptions. A subscription delivers a farm's box
+ * product weekly or biweekly in one of the customer's delivery windows:
+ * - Until a delivery's change cutoff (ORDER_LEAD_HOURS before the slot's
+ *   booking cutoff) the customer can skip it or swap its items for other
+ *   products from the same farm.
+ * - At the cutoff the subscription worker places a real order for the
+ *   delivery, booking its slot, and charges the saved card off-session.
+ *   A declined card cancels the order, giving back its stock and slot.
+ *   Payments that need the customer (3D Secure) leave the order unpaid for
+ *   them to pay from the app until the slot's booking cutoff, when it is
+ *   cancelled too. Orders the worker never got to charge are charged on a
+ *   later run.
+ * - Paused subscriptions skip deliveries until pausedUntil, then resume on
+ *   their own. Cancelling stops future deliveries; orders already placed
+ *   are kept.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const addressService = require('./addressService');
+const deliverySlotService = require('./deliverySlotService');
+const paymentMethodService = require('./paymentMethodService');
+
+const BOX_SUBSCRIPTION_CONSTANTS = {
+  CADENCE_DAYS: {
+    weekly: 7,
+    biweekly: 14
+  },
+  // Orders are placed this long before the slot's booking cutoff; skips and swaps close then
+  ORDER_LEAD_HOURS: 24,
+  UPCOMING_DELIVERIES: 4,
+  MAX_PAUSE_WEEKS: 12,
+  // Deliveries one subscription can catch up on per run (e.g. after downtime)
+  MAX_CYCLES_PER_RUN: 4,
+  // Orders the worker placed but didn't manage to charge are charged again after this
+  UNCHARGED_RETRY_MINUTES: 10,
+  WORKER_INTERVAL_MS: 15 * 60 * 1000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let workerTimer = null;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const subscriptionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} days - Days to add
+ * @returns {String} YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+  // Noon keeps daylight saving changes from moving the date
+  const day = new Date(`${date}T12:00:00`);
+  day.setDate(day.getDate() + days);
+  return deliverySlotService.toDateString(day);
+};
+
+/**
+ * When skips and swaps close for a delivery and its order is placed
+ * @param {Object} window - Delivery window
+ * @param {String} date - Delivery date
+ * @returns {Date} Change cutoff
+ */
+const getChangeCutoff = (window, date) => new Date(
+  deliverySlotService.getBookingCutoff(window, date).getTime() -
+  BOX_SUBSCRIPTION_CONSTANTS.ORDER_LEAD_HOURS * 60 * 60 * 1000
+);
+
+/**
+ * Whether a date is one of the subscription's upcoming deliveries
+ * @param {Object} subscription - Box subscription
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Boolean} True for upcoming delivery dates
+ */
+const isDeliveryDate = (subscription, date) => {
+  const days = Math.round((new Date(`${date}T12:00:00`) - new Date(`${subscription.nextDeliveryDate}T12:00:00`)) / DAY_MS);
+  return days >= 0 && days % BOX_SUBSCRIPTION_CONSTANTS.CADENCE_DAYS[subscription.cadence] === 0;
+};
+
+/**
+ * First date on or after fromDate the window runs whose change cutoff hasn't passed
+ * @param {Object} window - Delivery window
+ * @param {String} fromDate - YYYY-MM-DD
+ * @param {Date} now - Current time
+ * @returns {String} YYYY-MM-DD
+ */
+const firstDeliveryDate = (window, fromDate, now) => {
+  // Cutoffs are at most a week and a day, so a date is always found within four weeks
+  for (let offset = 0; offset < 28; offset++) {
+    const date = addDays(fromDate, offset);
+    if (new Date(`${date}T12:00:00`).getDay() === window.dayOfWeek && getChangeCutoff(window, date) > now) {
+      return date;
+    }
+  }
+  throw subscriptionError('That delivery window has no upcoming dates', 400);
+};
+
+/**
+ * Find one of the windows a box can be delivered in to an address
+ * @param {Object} address - Saved address
+ * @param {String} farmId - Box's farm
+ * @param {String} windowId - Delivery window ID
+ * @returns {Promise<Object>} Delivery window
+ * @throws {Error} 400 if the window doesn't serve the address or farm
+ */
+const findDeliveryWindow = async (address, farmId, windowId) => {
+  const windows = await deliverySlotService.findBookableWindows(address, [farmId]);
+  const window = windows.find(candidate => candidate.id === windowId);
+  if (!window) {
+    throw subscriptionError('That delivery window is not available for this address and box', 400);
+  }
+  return window;
+};
+
+/**
+ * Make sure the user has a saved card to charge: the one given, or their default
+ * @param {String} userId - User ID
+ * @param {String|null} paymentMethodId - Saved card, or null for the default
+ * @throws {Error} 400 if the card isn't saved to the user's account
+ */
+const requireSavedCard = async (userId, paymentMethodId) => {
+  const { customerId } = await paymentMethodService.resolvePaymentMethod(userId, paymentMethodId || null);
+  if (!customerId) {
+    throw subscriptionError('Box subscriptions are charged automatically, so they need a saved card', 400);
+  }
+};
+
+/**
+ * Check swapped-in items are available products (and sizes) from the box's farm
+ * @param {Object} subscription - Box subscription
+ * @param {Array} items - [{ productId, variantId, quantity }]
+ * @throws {Error} 400 if a product can't be swapped in
+ */
+const validateSwapItems = async (subscription, items) => {
+  const { Product, ProductVariant } = require('../models/product');
+
+  const products = await Product.findAll({
+    where: { id: items.map(item => item.productId) },
+    attributes: ['id', 'farmId', 'name', 'isAvailable']
+  });
+  const variants = await ProductVariant.findAll({
+    where: { productId: items.map(item => item.productId) },
+    attributes: ['id', 'productId', 'name', 'isAvailable']
+  });
+
+  for (const item of items) {
+    const product = products.find(candidate => candidate.id === item.productId);
+    if (!product || product.farmId !== subscription.farmId) {
+      throw subscriptionError('Swapped items must be products from the box\'s farm', 400);
+    }
+    if (!product.isAvailable) {
+      throw subscriptionError(`${product.name} is not available`, 400);
+    }
+
+    const productVariants = variants.filter(variant => variant.productId === product.id);
+    const variant = item.variantId ? productVariants.find(candidate => candidate.id === item.variantId) : null;
+    if (item.variantId && !variant) {
+      throw subscriptionError(`Unknown size for ${product.name}`, 400);
+    }
+    if (!item.variantId && productVariants.length > 0) {
+      throw subscriptionError(`Choose a size for ${product.name}`, 400);
+    }
+    if (variant && !variant.isAvailable) {
+      throw subscriptionError(`${product.name} (${variant.name}) is not available`, 400);
+    }
+  }
+};
+
+/**
+ * Whether a delivery falls inside the subscription's pause
+ * @param {Object} subscription - Box subscription
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Boolean} True if the delivery is paused
+ */
+const isPausedOn = (subscription, date) => subscription.status === 'paused' &&
+  !!subscription.pausedUntil && date < subscription.pausedUntil;
+
+/**
+ * Shape a subscription for API responses, with its upcoming and recent deliveries
+ * @param {Object} subscription - Box subscription with Product and DeliveryWindow
+ * @param {Array} cycles - The subscription's cycles
+ * @param {Date} now - Current time
+ * @returns {Object} Subscription details
+ */
+const serializeSubscription = (subscription, cycles, now = new Date()) => {
+  const window = subscription.DeliveryWindow;
+  const cyclesByDate = new Map(cycles.map(cycle => [cycle.deliveryDate, cycle]));
+  const upcomingDeliveries = [];
+
+  if (subscription.status !== 'cancelled' && window) {
+    const cadenceDays = BOX_SUBSCRIPTION_CONSTANTS.CADENCE_DAYS[subscription.cadence];
+    for (let i = 0; i < BOX_SUBSCRIPTION_CONSTANTS.UPCOMING_DELIVERIES; i++) {
+      const date = addDays(subscription.nextDeliveryDate, i * cadenceDays);
+      const cycle = cyclesByDate.get(date);
+      const changeCutoff = getChangeCutoff(window, date);
+      let status = 'scheduled';
+      if (cycle && cycle.status === 'skipped') {
+        status = 'skipped';
+      } else if (isPausedOn(subscription, date)) {
+        status = 'paused';
+      }
+
+      upcomingDeliveries.push({
+        date,
+        status,
+        items: cycle ? cycle.items : null,
+        changeCutoff,
+        canChange: changeCutoff > now
+      });
+    }
+  }
+
+  const recentDeliveries = cycles
+    .filter(cycle => cycle.status === 'ordered' || cycle.status === 'failed')
+    .sort((a, b) => (a.deliveryDate < b.deliveryDate ? 1 : -1))
+    .slice(0, 5)
+    .map(cycle => ({
+      date: cycle.deliveryDate,
+      status: cycle.status,
+      orderId: cycle.orderId,
+      failureReason: cycle.failureReason
+    }));
+
+  return {
+    id: subscription.id,
+    product: subscription.Product ? {
+      id: subscription.Product.id,
+      name: subscription.Product.name,
+      price: parseFloat(subscription.Product.price),
+      unit: subscription.Product.unit
+    } : { id: subscription.productId },
+    farmId: subscription.farmId,
+    quantity: parseFloat(subscription.quantity),
+    cadence: subscription.cadence,
+    status: subscription.status,
+    addressId: subscription.addressId,
+    deliveryWindow: window ? {
+      id: window.id,
+      dayOfWeek: window.dayOfWeek,
+      startTime: window.startTime,
+      endTime: window.endTime
+    } : null,
+    paymentMethodId: subscription.paymentMethodId,
+    nextDeliveryDate: subscription.nextDeliveryDate,
+    pausedUntil: subscription.pausedUntil,
+    cancelledAt: subscription.cancelledAt,
+    createdAt: subscription.createdAt,
+    upcomingDeliveries,
+    recentDeliveries
+  };
+};
+
+/**
+ * Load a user's subscriptions with what serializing them needs
+ * @param {Object} where - Subscription filter (must include userId)
+ * @returns {Promise<Array>} Serialized subscriptions
+ */
+const loadSubscriptions = async (where) => {
+  const { BoxSubscription, BoxSubscriptionCycle } = require('../models/boxSubscription');
+
+  const subscriptions = await BoxSubscription.findAll({
+    where,
+    include: ['Product', 'DeliveryWindow'],
+    order: [['createdAt', 'DESC']]
+  });
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  const cycles = await BoxSubscriptionCycle.findAll({
+    where: { subscriptionId: subscriptions.map(subscription => subscription.id) }
+  });
+
+  return subscriptions.map(subscription => serializeSubscription(
+    subscription,
+    cycles.filter(cycle => cycle.subscriptionId === subscription.id)
+  ));
+};
+
+/**
+ * List a user's box subscriptions, newest first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Subscriptions
+ */
+const listSubscriptions = async (userId) => loadSubscriptions({ userId });
+
+/**
+ * Get one of a user's box subscriptions
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription
+ * @throws {Error} 404 if the user has no such subscription
+ */
+const getSubscription = async (userId, subscriptionId) => {
+  const [subscription] = await loadSubscriptions({ id: subscriptionId, userId });
+  if (!subscription) {
+    throw subscriptionError('Box subscription not found', 404);
+  }
+  return subscription;
+};
+
+/**
+ * Get a user's subscription for a change, locked when a transaction is given
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object>} Box subscription instance
+ * @throws {Error} 404 if not found, 409 if cancelled
+ */
+const getChangeableSubscription = async (userId, subscriptionId, transaction = null) => {
+  const { BoxSubscription } = require('../models/boxSubscription');
+
+  const subscription = await BoxSubscription.findOne({
+    where: { id: subscriptionId, userId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!subscription) {
+    throw subscriptionError('Box subscription not found', 404);
+  }
+  if (subscription.status === 'cancelled') {
+    throw subscriptionError('This box subscription is cancelled', 409);
+  }
+  return subscription;
+};
+
+/**
+ * Subscribe to a box
+ * @param {String} userId - User ID
+ * @param {Object} data - { productId, quantity, cadence, addressId, deliveryWindowId, paymentMethodId, startDate }
+ * @returns {Promise<Object>} Subscription
+ * @throws {Error} 404 if the box doesn't exist, 400 if it can't be delivered as asked
+ */
+const createSubscription = async (userId, data) => {
+  const { Product } = require('../models/product');
+  const { BoxSubscription } = require('../models/boxSubscription');
+
+  const product = await Product.findByPk(data.productId);
+  if (!product || !product.isAvailable) {
+    throw subscriptionError('Box not found', 404);
+  }
+  if (!(product.subscriptionCadences || []).includes(data.cadence)) {
+    throw subscriptionError(`${product.name} is not offered as a ${data.cadence} box`, 400);
+  }
+
+  const address = await addressService.getAddress(userId, data.addressId);
+  const window = await findDeliveryWindow(address, product.farmId, data.deliveryWindowId);
+  await requireSavedCard(userId, data.paymentMethodId);
+
+  const now = new Date();
+  const today = deliverySlotService.toDateString(now);
+  const startDate = data.startDate && data.startDate > today ? data.startDate : today;
+
+  const subscription = await BoxSubscription.create({
+    userId,
+    productId: product.id,
+    farmId: product.farmId,
+    quantity: data.quantity || 1,
+    cadence: data.cadence,
+    addressId: address.id,
+    deliveryWindowId: window.id,
+    paymentMethodId: data.paymentMethodId || null,
+    nextDeliveryDate: firstDeliveryDate(window, startDate, now)
+  });
+
+  logger.info(`Box subscription ${subscription.id} created for user ${userId} (${data.cadence} ${product.name})`);
+  return getSubscription(userId, subscription.id);
+};
+
+/**
+ * Change a subscription's quantity, delivery address or card. Changes apply
+ * to deliveries whose orders haven't been placed yet.
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @param {Object} changes - { quantity, addressId, paymentMethodId }
+ * @returns {Promise<Object>} Subscription
+ */
+const updateSubscription = async (userId, subscriptionId, changes) => {
+  const subscription = await getChangeableSubscription(userId, subscriptionId);
+  const updates = {};
+
+  if (changes.quantity !== undefined) {
+    updates.quantity = changes.quantity;
+  }
+  if (changes.addressId !== undefined) {
+    // The new address must still be served by the subscription's window
+    const address = await addressService.getAddress(userId, changes.addressId);
+    await findDeliveryWindow(address, subscription.farmId, subscription.deliveryWindowId);
+    updates.addressId = address.id;
+  }
+  if (changes.paymentMethodId !== undefined) {
+    await requireSavedCard(userId, changes.paymentMethodId);
+    updates.paymentMethodId = changes.paymentMethodId || null;
+  }
+
+  await subscription.update(updates);
+  return getSubscription(userId, subscriptionId);
+};
+
+/**
+ * Skip an upcoming delivery or swap its items, before its change cutoff
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @param {String} date - Delivery date
+ * @param {Object} changes - { skip: Boolean, items: [{ productId, variantId, quantity }] or null to deliver the box }
+ * @returns {Promise<Object>} Subscription
+ * @throws {Error} 404 if there is no delivery that day, 409 past the cutoff
+ */
+const updateDelivery = async (userId, subscriptionId, date, { skip, items }) => {
+  const { BoxSubscriptionCycle } = require('../models/boxSubscription');
+  const { DeliveryWindow } = require('../models/deliverySlot');
+
+  await sequelize.transaction(async (transaction) => {
+    const subscription = await getChangeableSubscription(userId, subscriptionId, transaction);
+    if (!isDeliveryDate(subscription, date)) {
+      throw subscriptionError('There is no upcoming delivery on that date', 404);
+    }
+
+    const window = await DeliveryWindow.findByPk(subscription.deliveryWindowId, { transaction });
+    if (getChangeCutoff(window, date) <= new Date()) {
+      throw subscriptionError('Changes to this delivery are closed; its order is being placed', 409);
+    }
+
+    if (items) {
+      await validateSwapItems(subscription, items);
+    }
+
+    const fields = {};
+    if (skip !== undefined) {
+      fields.status = skip ? 'skipped' : 'scheduled';
+    }
+    if (items !== undefined) {
+      fields.items = items;
+    }
+
+    const cycle = await BoxSubscriptionCycle.findOne({
+      where: { subscriptionId, deliveryDate: date },
+      transaction
+    });
+    if (cycle) {
+      await cycle.update(fields, { transaction });
+    } else {
+      await BoxSubscriptionCycle.create({ subscriptionId, deliveryDate: date, ...fields }, { transaction });
+    }
+  });
+
+  logger.info(`Box subscription ${subscriptionId} delivery on ${date} changed by user ${userId}`);
+  return getSubscription(userId, subscriptionId);
+};
+
+/**
+ * Pause deliveries until a date
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @param {String} until - First date deliveries resume, YYYY-MM-DD
+ * @returns {Promise<Object>} Subscription
+ */
+const pause = async (userId, subscriptionId, until) => {
+  const subscription = await getChangeableSubscription(userId, subscriptionId);
+
+  const today = deliverySlotService.toDateString(new Date());
+  if (until <= today) {
+    throw subscriptionError('A pause must end in the future', 400);
+  }
+  if (until > addDays(today, BOX_SUBSCRIPTION_CONSTANTS.MAX_PAUSE_WEEKS * 7)) {
+    throw subscriptionError(`Subscriptions can be paused for up to ${BOX_SUBSCRIPTION_CONSTANTS.MAX_PAUSE_WEEKS} weeks`, 400);
+  }
+
+  await subscription.update({ status: 'paused', pausedUntil: until });
+
+  logger.info(`Box subscription ${subscription.id} paused until ${until}`);
+  return getSubscription(userId, subscriptionId);
+};
+
+/**
+ * End a pause now
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription
+ */
+const resume = async (userId, subscriptionId) => {
+  const subscription = await getChangeableSubscription(userId, subscriptionId);
+  if (subscription.status !== 'paused') {
+    throw subscriptionError('This box subscription is not paused', 409);
+  }
+
+  await subscription.update({ status: 'active', pausedUntil: null });
+
+  logger.info(`Box subscription ${subscription.id} resumed`);
+  return getSubscription(userId, subscriptionId);
+};
+
+/**
+ * Cancel a subscription. Orders already placed for it are kept.
+ * @param {String} userId - User ID
+ * @param {String} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription
+ */
+const cancel = async (userId, subscriptionId) => {
+  const subscription = await getChangeableSubscription(userId, subscriptionId);
+
+  await subscription.update({ status: 'cancelled', pausedUntil: null, cancelledAt: new Date() });
+
+  logger.info(`Box subscription ${subscription.id} cancelled`);
+  return getSubscription(userId, subscriptionId);
+};
+
+/**
+ * Handle a subscription's next delivery if its change cutoff has passed:
+ * skip it, or place its order. The order is placed in a savepoint so a
+ * failure (e.g. out of stock, slot full) is recorded without leaving part
+ * of the order behind.
+ * @param {String} subscriptionId - Subscription ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { status: ordered|skipped|failed, order } or null if nothing was due
+ */
+const processNextDelivery = async (subscriptionId, now) => {
+  const { BoxSubscription, BoxSubscriptionCycle } = require('../models/boxSubscription');
+  const { DeliveryWindow } = require('../models/deliverySlot');
+  const orderService = require('./orderService');
+
+  return sequelize.transaction(async (t) => {
+    const subscription = await BoxSubscription.findByPk(subscriptionId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!subscription || subscription.status === 'cancelled') {
+      return null;
+    }
+
+    const window = await DeliveryWindow.findByPk(subscription.deliveryWindowId, { transaction: t });
+    const date = subscription.nextDeliveryDate;
+    if (getChangeCutoff(window, date) > now) {
+      return null;
+    }
+
+    const cycle = await BoxSubscriptionCycle.findOne({
+      where: { subscriptionId, deliveryDate: date },
+      transaction: t
+    });
+
+    const finish = async (status, fields = {}) => {
+      if (cycle) {
+        await cycle.update({ status, ...fields }, { transaction: t });
+      } else {
+        await BoxSubscriptionCycle.create({ subscriptionId, deliveryDate: date, status, ...fields }, { transaction: t });
+      }
+      await subscription.update({
+        nextDeliveryDate: addDays(date, BOX_SUBSCRIPTION_CONSTANTS.CADENCE_DAYS[subscription.cadence])
+      }, { transaction: t });
+      return status;
+    };
+
+    if (isPausedOn(subscription, date)) {
+      return { status: await finish('skipped') };
+    }
+    if (subscription.status === 'paused') {
+      // The pause is over
+      await subscription.update({ status: 'active', pausedUntil: null }, { transaction: t });
+    }
+    if (cycle && cycle.status === 'skipped') {
+      return { status: await finish('skipped') };
+    }
+
+    if (!window.isActive) {
+      return { status: await finish('failed', { failureReason: 'The delivery window is no longer offered' }) };
+    }
+    if (deliverySlotService.getBookingCutoff(window, date) <= now) {
+      return { status: await finish('failed', { failureReason: 'The order could not be placed before the delivery slot closed' }) };
+    }
+
+    let order;
+    try {
+      order = await sequelize.transaction({ transaction: t }, (savepoint) => orderService.placeOrder(subscription.userId, {
+        items: (cycle && cycle.items) || [{ productId: subscription.productId, quantity: parseFloat(subscription.quantity) }],
+        delivery: {
+          deliveryMethod: 'delivery',
+          addressId: subscription.addressId,
+          slot: { windowId: window.id, date }
+        }
+      }, {
+        reason: 'Box subscription delivery',
+        transaction: savepoint
+      }));
+    } catch (error) {
+      // Problems the customer can fix (stock, address, slot) fail this delivery only
+      if (!error.statusCode) {
+        throw error;
+      }
+      return { status: await finish('failed', { failureReason: error.message }) };
+    }
+
+    await finish('ordered', { orderId: order.id, failureReason: null });
+    return { status: 'ordered', order, subscription };
+  });
+};
+
+/**
+ * Cancel a subscription order that wasn't paid for, giving back its stock
+ * and delivery slot, and record why on its delivery
+ * @param {Object} order - Order placed for the delivery
+ * @param {String} reason - Why the order is cancelled
+ * @param {String} notes - Optional ledger notes (e.g. the card's decline code)
+ */
+const cancelUnpaidOrder = async (order, reason, notes = null) => {
+  const { BoxSubscriptionCycle } = require('../models/boxSubscription');
+  const { PaymentInfo } = require('../models/payment');
+  const inventoryService = require('./inventoryService');
+  const orderStateMachine = require('./orderStateMachine');
+
+  await sequelize.transaction(async (t) => {
+    await PaymentInfo.update({ paymentStatus: 'failed' }, { where: { orderId: order.id }, transaction: t });
+    // Recorded as a failed payment; the cancellation then finds no stock left to return
+    await inventoryService.releaseStock(order.id, {
+      reason: 'payment_failed',
+      notes,
+      transaction: t
+    });
+    await orderStateMachine.transitionOrder(order, 'cancelled', {
+      reason,
+      updates: { paymentStatus: 'failed', cancellationReason: reason },
+      transaction: t
+    });
+    await BoxSubscriptionCycle.update(
+      { status: 'failed', failureReason: reason },
+      { where: { orderId: order.id }, transaction: t }
+    );
+  });
+};
+
+/**
+ * Charge a subscription order to the subscription's card, off-session. A
+ * declined card cancels the order; a payment that couldn't be attempted
+ * (e.g. Stripe unreachable) leaves it for settleUnpaidOrders to charge again.
+ * @param {Object} subscription - Box subscription
+ * @param {Object} order - Order placed for the delivery
+ */
+const chargeOrder = async (subscription, order) => {
+  const stripeService = require('./stripeService');
+  const stripeWebhookService = require('./stripeWebhookService');
+
+  let paymentIntent;
+  try {
+    const { paymentMethodId, customerId } = await paymentMethodService.resolvePaymentMethod(
+      subscription.userId,
+      subscription.paymentMethodId
+    );
+
+    paymentIntent = await stripeService.createPaymentIntent(order, {
+      paymentMethodId,
+      customerId,
+      offSession: true,
+      // A retry after a crash must not charge the order twice
+      idempotencyKey: `box-subscription-order-${order.id}`
+    });
+  } catch (error) {
+    // Declines and missing cards need the customer; anything else is retried
+    if (error.type !== 'StripeCardError' && !error.statusCode) {
+      logger.error(`Box subscription ${subscription.id} could not charge order ${order.orderNumber}: ${error.message}`);
+      return;
+    }
+
+    logger.warn(`Box subscription ${subscription.id} payment for order ${order.orderNumber} failed: ${error.message}`);
+    await cancelUnpaidOrder(order, `Payment failed: ${error.message}`, error.code);
+    return;
+  }
+
+  if (paymentIntent.status !== 'succeeded' && paymentIntent.status !== 'requires_capture') {
+    // Settled by the payment_intent webhooks
+    await order.update({ paymentIntentId: paymentIntent.id });
+    return;
+  }
+
+  try {
+    // Boxes with catch-weight items are captured once the farm has weighed them
+    if (paymentIntent.status === 'requires_capture') {
+      await stripeWebhookService.handlePaymentIntentAuthorized(paymentIntent);
+    } else {
+      await stripeWebhookService.handlePaymentIntentSucceeded(paymentIntent);
+    }
+  } catch (error) {
+    // The payment_intent webhooks settle the order instead
+    logger.error(`Box subscription order ${order.orderNumber} charged but not yet settled: ${error.message}`);
+  }
+};
+
+/**
+ * Deal with subscription orders that are still unpaid: charge the ones the
+ * worker never charged (e.g. it stopped between placing and charging), and
+ * cancel the ones still waiting on the customer once their delivery slot
+ * has closed, so they don't hold stock and a slot for nothing
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Counts of orders charged, cancelled and failed
+ */
+const settleUnpaidOrders = async (now) => {
+  const { BoxSubscription, BoxSubscriptionCycle } = require('../models/boxSubscription');
+  const { DeliveryWindow } = require('../models/deliverySlot');
+  const { Order } = require('../models/order');
+  const stripeService = require('./stripeService');
+  const counts = { charged: 0, cancelled: 0, failed: 0 };
+
+  const cycles = await BoxSubscriptionCycle.findAll({
+    where: { status: 'ordered' },
+    include: [
+      {
+        model: Order,
+        as: 'Order',
+        where: { status: 'pending', paymentStatus: ['pending', 'failed'] }
+      },
+      {
+        model: BoxSubscription,
+        as: 'Subscription',
+        include: [{ model: DeliveryWindow, as: 'DeliveryWindow' }]
+      }
+    ]
+  });
+
+  for (const cycle of cycles) {
+    const { Order: order, Subscription: subscription } = cycle;
+    try {
+      if (deliverySlotService.getBookingCutoff(subscription.DeliveryWindow, cycle.deliveryDate) <= now) {
+        // Stop the customer paying for an order that is about to be cancelled
+        if (order.paymentIntentId && order.paymentStatus === 'pending') {
+          await stripeService.cancelPaymentIntent(order.paymentIntentId);
+        }
+        await cancelUnpaidOrder(order, 'The order was not paid for before its delivery slot closed');
+        counts.cancelled += 1;
+      } else if (!order.paymentIntentId && order.paymentStatus === 'pending' &&
+        order.createdAt <= new Date(now.getTime() - BOX_SUBSCRIPTION_CONSTANTS.UNCHARGED_RETRY_MINUTES * 60 * 1000)) {
+        await chargeOrder(subscription, order);
+        counts.charged += 1;
+      }
+    } catch (error) {
+      counts.failed += 1;
+      logger.error(`Box subscription order ${order.orderNumber} could not be settled: ${error.message}`);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Place the orders for deliveries whose change cutoff has passed, after
+ * settling the orders earlier runs left unpaid
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Counts of deliveries handled
+ */
+const processSubscriptions = async (now = new Date()) => {
+  const { BoxSubscription } = require('../models/boxSubscription');
+  const counts = { ordered: 0, skipped: 0, failed: 0 };
+
+  const unpaid = await settleUnpaidOrders(now);
+  if (unpaid.charged || unpaid.cancelled || unpaid.failed) {
+    logger.info(`Box subscriptions: ${unpaid.charged} unpaid orders charged, ${unpaid.cancelled} cancelled, ${unpaid.failed} failed`);
+  }
+
+  // Deliveries beyond the slot booking horizon can't be due yet
+  const horizon = addDays(deliverySlotService.toDateString(now), deliverySlotService.SLOT_CONSTANTS.BOOKING_HORIZON_DAYS);
+  const subscriptions = await BoxSubscription.findAll({
+    where: {
+      status: ['active', 'paused'],
+      nextDeliveryDate: { [Op.lte]: horizon }
+    },
+    attributes: ['id']
+  });
+
+  for (const { id } of subscriptions) {
+    try {
+      for (let i = 0; i < BOX_SUBSCRIPTION_CONSTANTS.MAX_CYCLES_PER_RUN; i++) {
+        const result = await processNextDelivery(id, now);
+        if (!result) {
+          break;
+        }
+
+        counts[result.status] += 1;
+        if (result.order) {
+          await chargeOrder(result.subscription, result.order);
+        }
+      }
+    } catch (error) {
+      logger.error(`Box subscription ${id} processing failed: ${error.message}`);
+    }
+  }
+
+  if (counts.ordered || counts.skipped || counts.failed) {
+    logger.info(`Box subscriptions: ${counts.ordered} ordered, ${counts.skipped} skipped, ${counts.failed} failed`);
+  }
+
+  return counts;
+};
+
+/**
+ * Start the periodic subscription job
+ */
+const startSubscriptionWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processSubscriptions().catch(error => {
+      logger.error(`Box subscription worker failed: ${error.message}`);
+    });
+  }, BOX_SUBSCRIPTION_CONSTANTS.WORKER_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  workerTimer.unref();
+  logger.info('Box subscription worker started');
+};
+
+/**
+ * Stop the periodic subscription job
+ */
+const stopSubscriptionWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  BOX_SUBSCRIPTION_CONSTANTS,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  updateDelivery,
+  pause,
+  resume,
+  cancel,
+  processSubscriptions,
+  startSubscriptionWorker,
+  stopSubscriptionWorker
+};
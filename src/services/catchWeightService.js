@@ -0,0 +1,421 @@
+/**
+ * Catch-Weight Service
+ *
+ * Catch-weight products are sold by the piece but charged on the weight packed.
+ * At checkout each piece is priced on its estimated weight and the card is only
+ * authorized, for the estimate plus a margin. The farm records the actual weight
+ * when it packs the order, which reprices the item, the farm's subtotal and the
+ * order total; the weighed total is captured once the order is ready, and the
+ * farmer payments recorded on capture use the weighed item totals.
+ *
+ * Stripe lets an authorization lapse after seven days, so orders with
+ * catch-weight items are only booked into slots that start before their
+ * authorization deadline. A capture that fails is reported to whoever moved
+ * the order along and retried by the capture worker until the deadline.
+ *
+ * Fees and discounts stay as quoted at checkout; only item prices and tax move.
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+
+const CATCH_WEIGHT_CONSTANTS = {
+  // Extra held on the card over the estimated catch-weight items, with their tax
+  AUTHORIZATION_MARGIN: 0.15,
+  // Fulfillment statuses in which a farm can still weigh its items
+  WEIGHABLE_STATUSES: ['pending', 'confirmed', 'processing'],
+  // Order statuses from which the weighed total is captured
+  CAPTURE_STATUSES: ['ready', 'picked_up', 'out_for_delivery', 'delivered'],
+  // Stripe releases uncaptured card authorizations after this long
+  AUTHORIZATION_VALID_DAYS: 7,
+  // Deliveries are booked to leave at least this long to capture before then
+  CAPTURE_MARGIN_DAYS: 1,
+  CAPTURE_INTERVAL_MS: 15 * 60 * 1000
+};
+
+let captureTimer = null;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const catchWeightError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round to cents, or to another number of decimal places
+ * @param {Number} value - Value to round
+ * @param {Number} places - Decimal places
+ * @returns {Number} Rounded value
+ */
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Estimated total weight of some pieces of a catch-weight product
+ * @param {Object} product - Product
+ * @param {Object} variant - Chosen variant, if any (its estimate wins over the product's)
+ * @param {Number} quantity - Number of pieces
+ * @returns {Number} Estimated weight in the product's unit
+ */
+const estimateWeight = (product, variant, quantity) => {
+  const perPiece = variant && variant.estimatedWeight !== null && variant.estimatedWeight !== undefined
+    ? parseFloat(variant.estimatedWeight)
+    : parseFloat(product.estimatedWeight || 0);
+  return round(perPiece * parseFloat(quantity), 3);
+};
+
+/**
+ * Latest time an authorized order's weighed total can safely be captured, and
+ * so the latest its delivery can start
+ * @param {Date} authorizedAt - When the card was authorized (for orders, when they were placed)
+ * @returns {Date} Deadline
+ */
+const getAuthorizationDeadline = (authorizedAt) => {
+  const deadline = new Date(authorizedAt);
+  deadline.setDate(deadline.getDate() + CATCH_WEIGHT_CONSTANTS.AUTHORIZATION_VALID_DAYS - CATCH_WEIGHT_CONSTANTS.CAPTURE_MARGIN_DAYS);
+  return deadline;
+};
+
+/**
+ * Amount to authorize for an order with catch-weight items
+ * @param {Number} totalAmount - Order total priced on estimated weights
+ * @param {Number} catchWeightSubtotal - Part of the product subtotal that is catch-weight
+ * @param {Number} taxRate - Tax rate applied to the order
+ * @returns {Number} Amount to hold on the card
+ */
+const getAuthorizationAmount = (totalAmount, catchWeightSubtotal, taxRate) => {
+  const margin = catchWeightSubtotal * (1 + parseFloat(taxRate || 0)) * CATCH_WEIGHT_CONSTANTS.AUTHORIZATION_MARGIN;
+  return round(parseFloat(totalAmount) + margin);
+};
+
+/**
+ * Tax rate to apply to a weight adjustment: the rate quoted at checkout, or the
+ * order's own tax ratio for orders priced before rates were recorded
+ * @param {Object} order - Order instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Number>} Tax rate
+ */
+const getOrderTaxRate = async (order, transaction) => {
+  const { OrderCharge } = require('../models/pricing');
+
+  const charge = await OrderCharge.findOne({
+    where: { orderId: order.id },
+    attributes: ['taxRate'],
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+  if (charge && charge.taxRate !== null) {
+    return parseFloat(charge.taxRate);
+  }
+
+  const subTotal = parseFloat(order.subTotal);
+  return subTotal ? parseFloat(order.taxAmount) / subTotal : 0;
+};
+
+/**
+ * Amount to authorize for an unpaid order, with a margin on the items still to be weighed
+ * @param {Object} order - Order instance
+ * @param {Number} totalAmount - Order total with the weights recorded so far
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Number>} Amount (the total itself once everything is weighed)
+ */
+const getUnweighedAuthorization = async (order, totalAmount, transaction) => {
+  const { OrderItem } = require('../models/order');
+
+  const unweighed = await OrderItem.findAll({
+    where: { orderId: order.id, isCatchWeight: true, actualWeight: null, status: ['pending', 'confirmed'] },
+    attributes: ['totalPrice'],
+    transaction
+  });
+
+  const unweighedSubtotal = unweighed.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0);
+  return getAuthorizationAmount(totalAmount, unweighedSubtotal, await getOrderTaxRate(order, transaction));
+};
+
+/**
+ * Record the actual weight of a catch-weight item and reprice the order
+ * @param {String} orderId - Order ID
+ * @param {String} itemId - Order item ID
+ * @param {Number} actualWeight - Weight packed, in the item's unit
+ * @param {Object} actor - { userId, role } of the farmer or admin weighing it
+ * @returns {Promise<Object>} { item, order }
+ * @throws {Error} 404 if the item is not in the order, 403 for other farms,
+ *   409 once the item is packed or paid, or when the weight is over the authorized amount
+ */
+const recordWeight = async (orderId, itemId, actualWeight, actor) => {
+  const { Order, OrderItem, OrderFulfillment } = require('../models/order');
+  const { OrderCharge } = require('../models/pricing');
+  const { Farm } = require('../models/farm');
+
+  return sequelize.transaction(async (t) => {
+    // Lock the order so two items weighed at once can't both reprice it
+    const order = await Order.findByPk(orderId, { lock: t.LOCK.UPDATE, transaction: t });
+    const item = order
+      ? await OrderItem.findOne({ where: { id: itemId, orderId }, transaction: t })
+      : null;
+    if (!item) {
+      throw catchWeightError('Order item not found', 404);
+    }
+
+    if (actor.role !== 'admin') {
+      const farm = await Farm.findOne({
+        where: { id: item.farmId, farmerId: actor.userId },
+        attributes: ['id'],
+        transaction: t
+      });
+      if (!farm) {
+        throw catchWeightError('You can only weigh items from your own farms', 403);
+      }
+    }
+
+    if (!item.isCatchWeight) {
+      throw catchWeightError(`${item.productName} is not sold by weight`, 409);
+    }
+    if (['cancelled', 'refunded'].includes(item.status)) {
+      throw catchWeightError(`${item.productName} is no longer part of the order`, 409);
+    }
+
+    const group = item.fulfillmentId
+      ? await OrderFulfillment.findByPk(item.fulfillmentId, { lock: t.LOCK.UPDATE, transaction: t })
+      : null;
+    if (group && !CATCH_WEIGHT_CONSTANTS.WEIGHABLE_STATUSES.includes(group.status)) {
+      throw catchWeightError(`${item.farmName}'s part of the order is already ${group.status}`, 409);
+    }
+    if (!['pending', 'authorized'].includes(order.paymentStatus)) {
+      throw catchWeightError(`Cannot reweigh an order whose payment is ${order.paymentStatus}`, 409);
+    }
+
+    const totalPrice = round(parseFloat(item.unitPrice) * actualWeight);
+    const priceChange = round(totalPrice - parseFloat(item.totalPrice));
+    const taxChange = round(priceChange * await getOrderTaxRate(order, t));
+
+    const subTotal = round(parseFloat(order.subTotal) + priceChange);
+    const taxAmount = round(parseFloat(order.taxAmount) + taxChange);
+    const totalAmount = round(parseFloat(order.totalAmount) + priceChange + taxChange);
+
+    // Stripe can capture less than it authorized, never more
+    if (order.paymentStatus === 'authorized' && totalAmount > parseFloat(order.authorizedAmount)) {
+      throw catchWeightError(
+        `At ${actualWeight} ${item.unit} the order would come to $${totalAmount.toFixed(2)}, more than the $${parseFloat(order.authorizedAmount).toFixed(2)} authorized`,
+        409
+      );
+    }
+
+    await item.update({
+      actualWeight,
+      weighedAt: new Date(),
+      weighedBy: actor.userId,
+      totalPrice
+    }, { transaction: t });
+
+    if (group) {
+      await group.update({ subtotal: round(parseFloat(group.subtotal) + priceChange) }, { transaction: t });
+    }
+
+    await order.update({
+      subTotal,
+      taxAmount,
+      totalAmount,
+      // Unpaid orders authorize against the weighed price when they are paid
+      ...(order.paymentStatus === 'pending' && {
+        authorizedAmount: await getUnweighedAuthorization(order, totalAmount, t)
+      })
+    }, { transaction: t });
+
+    // Keep the saved quote in line with what the customer is charged
+    const charge = await OrderCharge.findOne({
+      where: { orderId: order.id },
+      order: [['createdAt', 'DESC']],
+      transaction: t
+    });
+    if (charge) {
+      await charge.update({
+        productSubtotal: round(parseFloat(charge.productSubtotal) + priceChange),
+        subtotalBeforeTax: round(parseFloat(charge.subtotalBeforeTax) + priceChange),
+        taxAmount: round(parseFloat(charge.taxAmount) + taxChange),
+        finalTotal: round(parseFloat(charge.finalTotal) + priceChange + taxChange)
+      }, { transaction: t });
+    }
+
+    logger.info(`Weighed ${item.productName} on order ${order.orderNumber}: ${actualWeight} ${item.unit}, $${totalPrice.toFixed(2)}`);
+    return { item, order };
+  });
+};
+
+/**
+ * Whether every catch-weight item still in a fulfillment group (or order) has been weighed
+ * @param {Object} where - { fulfillmentId } or { orderId }
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Boolean>} True if nothing is left to weigh
+ */
+const isWeighed = async (where, transaction = null) => {
+  const { OrderItem } = require('../models/order');
+  const { Op } = require('sequelize');
+
+  const unweighed = await OrderItem.count({
+    where: {
+      ...where,
+      isCatchWeight: true,
+      actualWeight: null,
+      status: { [Op.notIn]: ['cancelled', 'refunded'] }
+    },
+    transaction
+  });
+  return unweighed === 0;
+};
+
+/**
+ * Capture the weighed total of an authorized order once it is ready.
+ * Does nothing for orders that are not authorized, not ready, or not fully weighed.
+ * @param {Object} order - Order instance
+ * @returns {Promise<Object|null>} Stripe payment intent, or null if nothing was captured
+ * @throws {Error} 502 if Stripe won't capture it; the order stays authorized for the capture worker to retry
+ */
+const capturePayment = async (order) => {
+  if (order.paymentStatus !== 'authorized' || !order.paymentIntentId ||
+    !CATCH_WEIGHT_CONSTANTS.CAPTURE_STATUSES.includes(order.status)) {
+    return null;
+  }
+
+  if (!(await isWeighed({ orderId: order.id }))) {
+    logger.warn(`Order ${order.orderNumber} is ${order.status} with items still to weigh; not capturing yet`);
+    return null;
+  }
+
+  const stripeService = require('./stripeService');
+  const stripeWebhookService = require('./stripeWebhookService');
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripeService.capturePaymentIntent(
+      order.paymentIntentId,
+      parseFloat(order.totalAmount),
+      `capture-${order.id}`
+    );
+  } catch (error) {
+    logger.error(`Failed to capture payment for order ${order.orderNumber}: ${error.message}`);
+    throw catchWeightError(`The payment provider could not capture the payment for order ${order.orderNumber}: ${error.message}`, 502);
+  }
+
+  try {
+    // Records farmer payments from the weighed item totals
+    await stripeWebhookService.handlePaymentIntentSucceeded(paymentIntent);
+  } catch (error) {
+    // The money moved; the payment_intent.succeeded webhook settles the order instead
+    logger.error(`Order ${order.orderNumber} captured but not yet settled: ${error.message}`);
+  }
+  return paymentIntent;
+};
+
+/**
+ * Capture every authorized order that is ready and weighed but wasn't
+ * captured, e.g. because Stripe failed when it became ready. Orders past
+ * their authorization deadline are reported so support can charge them by hand.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { captured, failed, overdue }
+ */
+const captureDuePayments = async (now = new Date()) => {
+  const { Order } = require('../models/order');
+  const counts = { captured: 0, failed: 0, overdue: 0 };
+
+  const orders = await Order.findAll({
+    where: { paymentStatus: 'authorized', status: CATCH_WEIGHT_CONSTANTS.CAPTURE_STATUSES },
+    order: [['createdAt', 'ASC']]
+  });
+
+  for (const order of orders) {
+    try {
+      if (await capturePayment(order)) {
+        counts.captured++;
+      }
+    } catch (error) {
+      counts.failed++;
+      if (getAuthorizationDeadline(order.createdAt) <= now) {
+        counts.overdue++;
+        logger.error(`Order ${order.orderNumber} is past its authorization deadline and still not captured`);
+      }
+    }
+  }
+
+  if (counts.captured > 0 || counts.failed > 0) {
+    logger.info(`Catch-weight capture: ${counts.captured} captured, ${counts.failed} failed (${counts.overdue} past their deadline)`);
+  }
+  return counts;
+};
+
+/**
+ * Start retrying uncaptured payments periodically
+ */
+const startCaptureWorker = () => {
+  if (captureTimer) {
+    return;
+  }
+
+  captureTimer = setInterval(() => {
+    captureDuePayments().catch(error => {
+      logger.error(`Catch-weight capture worker failed: ${error.message}`);
+    });
+  }, CATCH_WEIGHT_CONSTANTS.CAPTURE_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  captureTimer.unref();
+  logger.info('Catch-weight capture worker started');
+};
+
+/**
+ * Stop the periodic capture job
+ */
+const stopCaptureWorker = () => {
+  if (captureTimer) {
+    clearInterval(captureTimer);
+    captureTimer = null;
+  }
+};
+
+/**
+ * Release the authorization of a cancelled order, so nothing is charged
+ * @param {Object} order - Order instance
+ * @returns {Promise<Object|null>} Cancelled Stripe payment intent, or null
+ */
+const releaseAuthorization = async (order) => {
+  if (order.paymentStatus !== 'authorized' || !order.paymentIntentId) {
+    return null;
+  }
+
+  const stripeService = require('./stripeService');
+  const { PaymentInfo } = require('../models/payment');
+
+  try {
+    const paymentIntent = await stripeService.cancelPaymentIntent(order.paymentIntentId);
+    await sequelize.transaction(async (t) => {
+      await order.update({ paymentStatus: 'refunded' }, { transaction: t });
+      await PaymentInfo.update({ paymentStatus: 'refunded' }, { where: { orderId: order.id }, transaction: t });
+    });
+    return paymentIntent;
+  } catch (error) {
+    logger.error(`Failed to release payment authorization for order ${order.orderNumber}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  CATCH_WEIGHT_CONSTANTS,
+  estimateWeight,
+  getAuthorizationAmount,
+  getAuthorizationDeadline,
+  recordWeight,
+  isWeighed,
+  capturePayment,
+  captureDuePayments,
+  startCaptureWorker,
+  stopCaptureWorker,
+  releaseAuthorization
+};
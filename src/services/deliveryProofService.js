@@ -0,0 +1,267 @@
+/**
+ * Delivery Proof Service
+ *
+ * Completes FreshFarmily deliveries with proof of delivery: one or more photos,
+ * an optional signature, who took the order (or that it was left at the door)
+ * and where the driver was. Drivers must be within the geofence radius in the
+ * proofOfDelivery system settings of the delivery address, or say why they
+ * weren't. Completing a delivery moves its order to delivered, which notifies
+ * the customer, and is recorded in the delivery's attempt history.
+ *
+ * Proof images are private. They are served only through the proof's files
+ * route, to the same people who may see the proof itself (see getProofFile).
+ */
+
+const path = require('path');
+const geolib = require('geolib');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const orderStateMachine = require('./orderStateMachine');
+const systemSettingsService = require('./systemSettingsService');
+const deliveryTrackingService = require('./deliveryTrackingService');
+const driverShiftService = require('./driverShiftService');
+
+// Proof of delivery configuration
+const PROOF_CONSTANTS = {
+  MAX_PHOTOS: 5,
+  // Delivery statuses a driver can complete a delivery from
+  COMPLETABLE_STATUSES: ['assigned', 'picked_up', 'in_transit'],
+  // Proof fields customers see; positions and overrides are for drivers and admins
+  CUSTOMER_FIELDS: ['id', 'photoUrls', 'signatureUrl', 'recipientName', 'leftAtDoor', 'deliveredAt']
+};
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const proofError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Complete a delivery's batch once none of its deliveries is still on the way
+ * @param {String|null} batchId - Batch the delivery was part of
+ * @param {Date} now - Completion time
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Boolean>} True if the batch was completed
+ */
+const closeBatchIfDone = async (batchId, now, transaction) => {
+  const { Delivery, DeliveryBatch } = require('../models/delivery');
+
+  if (!batchId) {
+    return false;
+  }
+
+  const open = await Delivery.count({
+    where: { batchId, status: PROOF_CONSTANTS.COMPLETABLE_STATUSES },
+    transaction
+  });
+  if (open > 0) {
+    return false;
+  }
+
+  await DeliveryBatch.update(
+    { status: 'completed', completedAt: now },
+    { where: { id: batchId, status: 'active' }, transaction }
+  );
+  return true;
+};
+
+/**
+ * Complete a delivery with proof and mark its order delivered
+ * @param {String} deliveryId - Delivery ID
+ * @param {String} driverId - Driver completing the delivery
+ * @param {Object} proof - { photoUrls, signatureUrl, recipientName, leftAtDoor, latitude, longitude, overrideReason }
+ * @returns {Promise<Object>} { delivery, proof, batchCompleted }
+ * @throws {Error} 400 for missing proof or a position outside the geofence, 403 if the delivery
+ *   isn't the driver's, 404 if it doesn't exist, 409 if it can't be completed
+ */
+const completeDelivery = async (deliveryId, driverId, proof) => {
+  const { Delivery, DeliveryProof, DeliveryAttempt } = require('../models/delivery');
+  const { Order } = require('../models/order');
+
+  const {
+    photoUrls = [],
+    signatureUrl = null,
+    recipientName = null,
+    leftAtDoor = false,
+    latitude,
+    longitude,
+    overrideReason = null
+  } = proof;
+
+  if (photoUrls.length === 0) {
+    throw proofError('At least one photo is required to complete a delivery', 400);
+  }
+  if (photoUrls.length > PROOF_CONSTANTS.MAX_PHOTOS) {
+    throw proofError(`At most ${PROOF_CONSTANTS.MAX_PHOTOS} photos can be attached`, 400);
+  }
+  if (!leftAtDoor && !recipientName) {
+    throw proofError('A recipient name is required unless the order was left at the door', 400);
+  }
+
+  const { proofOfDelivery: settings } = await systemSettingsService.getSystemSettings();
+  const radius = settings.geofenceRadiusMeters;
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const delivery = await Delivery.findByPk(deliveryId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!delivery) {
+      throw proofError('Delivery not found', 404);
+    }
+    if (delivery.driverId !== driverId) {
+      throw proofError('You are not assigned to this delivery', 403);
+    }
+    if (!PROOF_CONSTANTS.COMPLETABLE_STATUSES.includes(delivery.status)) {
+      throw proofError(`A delivery that is ${delivery.status} can't be completed`, 409);
+    }
+
+    // Addresses that were never geocoded can't be checked
+    let distance = null;
+    if (delivery.deliveryLatitude !== null && delivery.deliveryLongitude !== null) {
+      distance = geolib.getDistance(
+        { latitude, longitude },
+        { latitude: delivery.deliveryLatitude, longitude: delivery.deliveryLongitude }
+      );
+      if (distance > radius && !overrideReason) {
+        throw proofError(
+          `You are ${distance} m from the delivery address; move within ${radius} m or give a reason to complete it from here`,
+          400
+        );
+      }
+    }
+
+    const now = new Date();
+    const created = await DeliveryProof.create({
+      deliveryId: delivery.id,
+      driverId,
+      photoUrls,
+      signatureUrl,
+      recipientName,
+      leftAtDoor,
+      latitude,
+      longitude,
+      distanceMeters: distance,
+      geofenceRadiusMeters: radius,
+      // Only kept when it was needed
+      overrideReason: distance !== null && distance > radius ? overrideReason : null,
+      deliveredAt: now
+    }, { transaction });
+
+    await DeliveryAttempt.create({
+      deliveryId: delivery.id,
+      orderId: delivery.orderId,
+      driverId,
+      attemptNumber: (await DeliveryAttempt.count({ where: { deliveryId: delivery.id }, transaction })) + 1,
+      outcome: 'delivered',
+      latitude,
+      longitude,
+      attemptedAt: now
+    }, { transaction });
+
+    await delivery.update({ status: 'delivered', actualDeliveryTime: now }, { transaction });
+
+    const order = await Order.findByPk(delivery.orderId, { transaction });
+    await orderStateMachine.transitionOrder(order, 'delivered', {
+      actor: { userId: driverId, role: 'driver' },
+      reason: leftAtDoor ? 'Delivered, left at the door' : `Delivered to ${recipientName}`,
+      updates: { actualDeliveryTime: now },
+      transaction
+    });
+
+    const batchCompleted = await closeBatchIfDone(delivery.batchId, now, transaction);
+
+    return { delivery, proof: created, batchCompleted };
+  });
+
+  deliveryTrackingService.publishStatusChange(result.delivery);
+
+  try {
+    await driverShiftService.updateLocation(driverId, { latitude, longitude });
+  } catch (error) {
+    logger.warn(`Could not update last known location of driver ${driverId}: ${error.message}`);
+  }
+
+  logger.info(`Delivery ${deliveryId} completed by driver ${driverId}` +
+    `${result.proof.overrideReason ? ` outside the geofence (${result.proof.distanceMeters} m)` : ''}`);
+
+  return result;
+};
+
+/**
+ * Get the proof a delivery was completed with. Customers get the photos,
+ * signature and recipient; drivers and admins also get the position.
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} actor - { userId, role }
+ * @returns {Promise<Object>} Proof of delivery
+ * @throws {Error} 403 if the actor isn't involved in the delivery, 404 if there is no proof
+ */
+const getProof = async (deliveryId, actor) => {
+  const { Delivery, DeliveryProof } = require('../models/delivery');
+  const { Order } = require('../models/order');
+
+  const delivery = await Delivery.findByPk(deliveryId, {
+    include: [{ model: Order, attributes: ['id', 'userId'] }]
+  });
+  if (!delivery) {
+    throw proofError('Delivery not found', 404);
+  }
+
+  const isCustomer = actor.role === 'consumer' && delivery.Order && delivery.Order.userId === actor.userId;
+  const isDriver = actor.role === 'driver' && delivery.driverId === actor.userId;
+  if (actor.role !== 'admin' && !isCustomer && !isDriver) {
+    throw proofError('You do not have permission to view this delivery', 403);
+  }
+
+  const proof = await DeliveryProof.findOne({
+    where: { deliveryId },
+    attributes: isCustomer ? PROOF_CONSTANTS.CUSTOMER_FIELDS : undefined
+  });
+  if (!proof) {
+    throw proofError('This delivery has no proof of delivery yet', 404);
+  }
+
+  return proof;
+};
+
+/**
+ * URL of one of a delivery's proof images, served by getProofFile
+ * @param {String} deliveryId - Delivery ID
+ * @param {String} filename - Stored image filename
+ * @returns {String} URL
+ */
+const proofFileUrl = (deliveryId, filename) => `/api/deliveries/${deliveryId}/proof/files/${filename}`;
+
+/**
+ * Check a user may see one of a delivery's proof images: it must belong to the
+ * delivery's proof, and the user must be allowed to see the proof (see getProof)
+ * @param {String} deliveryId - Delivery ID
+ * @param {String} filename - Stored image filename
+ * @param {Object} actor - { userId, role }
+ * @returns {Promise<String>} The filename
+ * @throws {Error} 403 for users who may not see the proof, 404 if it isn't one of its images
+ */
+const getProofFile = async (deliveryId, filename, actor) => {
+  const proof = await getProof(deliveryId, actor);
+
+  const filenames = [...(proof.photoUrls || []), proof.signatureUrl]
+    .filter(Boolean)
+    .map(url => path.basename(url));
+  if (!filenames.includes(filename)) {
+    throw proofError('File not found', 404);
+  }
+
+  return filename;
+};
+
+module.exports = {
+  PROOF_CONSTANTS,
+  closeBatchIfDone,
+  completeDelivery,
+  getProof,
+  proofFileUrl,
+  getProofFile
+};
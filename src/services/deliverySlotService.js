@@ -0,0 +1,480 @@
+/**
+ * Delivery Slot Service
+ *
+ * Manages the delivery windows customers book at checkout. Admins define
+ * platform windows per service area and day of the week; farmers can add
+ * windows for their own farm's deliveries, which are offered only on orders
+ * made up entirely of that farm's products. A window's capacity is its
+ * driver count times the deliveries each driver makes, and a slot (one dated
+ * occurrence of a window) is held when an order is placed and released when
+ * it is cancelled.
+ *
+ * Dates and times are in the server's local time zone.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const geocodingService = require('./geocodingService');
+const addressService = require('./addressService');
+
+// Booking rules
+const SLOT_CONSTANTS = {
+  BOOKING_HORIZON_DAYS: 14, // How far ahead customers can book
+  MAX_DRIVERS_PER_WINDOW: 100,
+  MAX_DELIVERIES_PER_DRIVER: 50
+};
+
+// Window fields admins and farmers can set
+const WINDOW_FIELDS = [
+  'serviceAreaId',
+  'farmId',
+  'dayOfWeek',
+  'startTime',
+  'endTime',
+  'driverCount',
+  'deliveriesPerDriver',
+  'cutoffHours',
+  'isActive'
+];
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const slotError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {String} Date string
+ */
+const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Start and end of a window on a given date
+ * @param {Object} window - Delivery window
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Object} { startsAt, endsAt }
+ */
+const slotTimes = (window, date) => ({
+  startsAt: new Date(`${date}T${window.startTime}:00`),
+  endsAt: new Date(`${date}T${window.endTime}:00`)
+});
+
+/**
+ * Number of deliveries a window can take on one date
+ * @param {Object} window - Delivery window
+ * @returns {Number} Capacity
+ */
+const windowCapacity = (window) => window.driverCount * window.deliveriesPerDriver;
+
+/**
+ * Whether a window's slot on a date can still be booked
+ * @param {Object} window - Delivery window
+ * @param {Date} startsAt - Slot start
+ * @param {Date} now - Current time
+ * @returns {Boolean} True before the window's booking cutoff
+ */
+const isBeforeCutoff = (window, startsAt, now) => startsAt.getTime() - window.cutoffHours * 60 * 60 * 1000 > now.getTime();
+
+/**
+ * When booking a window's slot on a date closes
+ * @param {Object} window - Delivery window
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Date} Booking cutoff
+ */
+const getBookingCutoff = (window, date) => new Date(
+  slotTimes(window, date).startsAt.getTime() - window.cutoffHours * 60 * 60 * 1000
+);
+
+/**
+ * Active windows a delivery to the address can be booked into. Platform
+ * windows are open to every order; a farm's own windows only to orders whose
+ * items all come from that farm.
+ * @param {Object} address - Geocoded address
+ * @param {Array} farmIds - Farms the order's items come from
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Array>} Delivery windows
+ */
+const findBookableWindows = async (address, farmIds = [], transaction = null) => {
+  const { DeliveryWindow } = require('../models/deliverySlot');
+
+  const { area } = await geocodingService.findServiceArea({
+    latitude: address.latitude,
+    longitude: address.longitude
+  });
+
+  const uniqueFarmIds = [...new Set(farmIds)];
+
+  return DeliveryWindow.findAll({
+    where: {
+      isActive: true,
+      serviceAreaId: area ? { [Op.or]: [null, area.id] } : null,
+      farmId: uniqueFarmIds.length === 1 ? { [Op.or]: [null, uniqueFarmIds[0]] } : null
+    },
+    order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * Make sure the actor may manage windows for a farm: admins may manage any,
+ * farmers only their own farm's
+ * @param {Object} actor - { userId, role }
+ * @param {String|null} farmId - Farm the window belongs to
+ * @throws {Error} 403 if the actor can't manage the farm's windows
+ */
+const assertCanManage = async (actor, farmId) => {
+  if (actor.role === 'admin') {
+    return;
+  }
+
+  if (!farmId) {
+    throw slotError('Only admins can manage platform delivery windows', 403);
+  }
+
+  const { Farm } = require('../models/farm');
+  const farm = await Farm.findOne({ where: { id: farmId, farmerId: actor.userId }, attributes: ['id'] });
+  if (!farm) {
+    throw slotError('You can only manage delivery windows for your own farms', 403);
+  }
+};
+
+/**
+ * Check a window's fields make sense together
+ * @param {Object} fields - Window fields
+ * @throws {Error} 400 if the window ends before it starts
+ */
+const assertValidWindow = (fields) => {
+  if (fields.startTime >= fields.endTime) {
+    throw slotError('A delivery window must end after it starts', 400);
+  }
+};
+
+/**
+ * Pick the window fields that were provided
+ * @param {Object} data - Request data
+ * @returns {Object} Window fields
+ */
+const pickWindowFields = (data) => WINDOW_FIELDS.reduce((fields, name) => {
+  if (data[name] !== undefined) {
+    fields[name] = data[name];
+  }
+  return fields;
+}, {});
+
+/**
+ * List delivery windows. Farmers see the platform windows and their own farms'.
+ * @param {Object} actor - { userId, role }
+ * @param {Object} filters - { serviceAreaId, farmId, includeInactive }
+ * @returns {Promise<Array>} Delivery windows
+ */
+const listWindows = async (actor, { serviceAreaId, farmId, includeInactive = false } = {}) => {
+  const { DeliveryWindow } = require('../models/deliverySlot');
+  const { Farm } = require('../models/farm');
+  const where = {};
+
+  if (!includeInactive) {
+    where.isActive = true;
+  }
+  if (serviceAreaId) {
+    where.serviceAreaId = serviceAreaId;
+  }
+  if (farmId) {
+    where.farmId = farmId;
+  }
+
+  if (actor.role !== 'admin') {
+    const farms = await Farm.findAll({ where: { farmerId: actor.userId }, attributes: ['id'] });
+    const ownFarmIds = farms.map(farm => farm.id);
+    where[Op.and] = [{ farmId: { [Op.or]: [null, { [Op.in]: ownFarmIds }] } }];
+  }
+
+  return DeliveryWindow.findAll({
+    where,
+    order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+  });
+};
+
+/**
+ * Create a delivery window
+ * @param {Object} actor - { userId, role }
+ * @param {Object} data - Window fields
+ * @returns {Promise<Object>} Created window
+ */
+const createWindow = async (actor, data) => {
+  const { DeliveryWindow } = require('../models/deliverySlot');
+  const fields = pickWindowFields(data);
+
+  await assertCanManage(actor, fields.farmId || null);
+  assertValidWindow(fields);
+
+  const window = await DeliveryWindow.create({ ...fields, createdBy: actor.userId });
+
+  logger.info(`Delivery window ${window.id} created by ${actor.userId}`);
+  return window;
+};
+
+/**
+ * Update a delivery window. Capacity changes apply to slots already booked;
+ * a slot reduced below its bookings keeps them but takes no more.
+ * @param {Object} actor - { userId, role }
+ * @param {String} windowId - Window ID
+ * @param {Object} data - Window fields to change
+ * @returns {Promise<Object>} Updated window
+ */
+const updateWindow = async (actor, windowId, data) => {
+  const { DeliveryWindow, DeliverySlot } = require('../models/deliverySlot');
+  const fields = pickWindowFields(data);
+
+  const window = await DeliveryWindow.findByPk(windowId);
+  if (!window) {
+    throw slotError('Delivery window not found', 404);
+  }
+
+  await assertCanManage(actor, window.farmId);
+  if (fields.farmId !== undefined && fields.farmId !== window.farmId) {
+    await assertCanManage(actor, fields.farmId);
+  }
+
+  const timingChanged = ['dayOfWeek', 'startTime', 'endTime']
+    .some(name => fields[name] !== undefined && fields[name] !== window[name]);
+  if (timingChanged) {
+    // Customers booked a specific time; moving it under them isn't allowed
+    const upcoming = await DeliverySlot.count({
+      where: { windowId, startsAt: { [Op.gt]: new Date() }, bookedCount: { [Op.gt]: 0 } }
+    });
+    if (upcoming > 0) {
+      throw slotError('This window has upcoming bookings; create a new window instead of moving it', 409);
+    }
+  }
+
+  assertValidWindow({ ...window.get(), ...fields });
+  await window.update(fields);
+
+  logger.info(`Delivery window ${window.id} updated by ${actor.userId}`);
+  return window;
+};
+
+/**
+ * Remove a delivery window. Windows that have been booked or subscribed to
+ * are deactivated instead so existing orders keep their slot.
+ * @param {Object} actor - { userId, role }
+ * @param {String} windowId - Window ID
+ * @returns {Promise<Boolean>} True if the window was deleted, false if deactivated
+ */
+const deleteWindow = async (actor, windowId) => {
+  const { DeliveryWindow, DeliverySlot } = require('../models/deliverySlot');
+
+  const window = await DeliveryWindow.findByPk(windowId);
+  if (!window) {
+    throw slotError('Delivery window not found', 404);
+  }
+
+  await assertCanManage(actor, window.farmId);
+
+  const { BoxSubscription } = require('../models/boxSubscription');
+  const [slots, subscriptions] = await Promise.all([
+    DeliverySlot.count({ where: { windowId } }),
+    BoxSubscription.count({ where: { deliveryWindowId: windowId } })
+  ]);
+  if (slots > 0 || subscriptions > 0) {
+    await window.update({ isActive: false });
+    logger.info(`Delivery window ${window.id} deactivated by ${actor.userId}`);
+    return false;
+  }
+
+  await window.destroy();
+  logger.info(`Delivery window ${window.id} deleted by ${actor.userId}`);
+  return true;
+};
+
+/**
+ * Upcoming slots for a delivery to one of the user's addresses, with the
+ * room left in each. Slots past their booking cutoff are left out; full
+ * ones are included but marked unavailable.
+ * @param {String} userId - User ID
+ * @param {String} addressId - Saved address ID
+ * @param {Object} options - Options
+ * @param {Array} options.farmIds - Farms the order's items come from
+ * @returns {Promise<Array>} Slots in start order
+ */
+const getAvailableSlots = async (userId, addressId, { farmIds = [] } = {}) => {
+  const { DeliverySlot } = require('../models/deliverySlot');
+
+  const address = await addressService.getAddress(userId, addressId);
+  const windows = await findBookableWindows(address, farmIds);
+  if (windows.length === 0) {
+    return [];
+  }
+
+  const now = new Date();
+  const dates = [];
+  for (let offset = 0; offset < SLOT_CONSTANTS.BOOKING_HORIZON_DAYS; offset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    dates.push({ date: toDateString(day), dayOfWeek: day.getDay() });
+  }
+
+  const booked = await DeliverySlot.findAll({
+    where: {
+      windowId: windows.map(window => window.id),
+      date: { [Op.between]: [dates[0].date, dates[dates.length - 1].date] }
+    }
+  });
+  const bookedBySlot = new Map(booked.map(slot => [`${slot.windowId}|${slot.date}`, slot]));
+
+  const slots = [];
+  for (const { date, dayOfWeek } of dates) {
+    for (const window of windows.filter(candidate => candidate.dayOfWeek === dayOfWeek)) {
+      const { startsAt, endsAt } = slotTimes(window, date);
+      if (!isBeforeCutoff(window, startsAt, now)) {
+        continue;
+      }
+
+      const slot = bookedBySlot.get(`${window.id}|${date}`);
+      const capacity = windowCapacity(window);
+      const remaining = Math.max(0, capacity - (slot ? slot.bookedCount : 0));
+
+      slots.push({
+        windowId: window.id,
+        slotId: slot ? slot.id : null,
+        farmId: window.farmId,
+        date,
+        startsAt,
+        endsAt,
+        capacity,
+        remaining,
+        available: remaining > 0
+      });
+    }
+  }
+
+  return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Hold a slot for an order being placed. Must run in the order's
+ * transaction so the booking is undone if the order fails.
+ *
+ * Addresses no window covers are delivered without a slot, so nothing is
+ * held and null is returned; once windows cover the address a slot must be
+ * chosen.
+ * @param {Object|null} selection - { windowId, date } chosen by the customer
+ * @param {Object} options - Options
+ * @param {Object} options.address - Geocoded delivery address
+ * @param {Array} options.farmIds - Farms the order's items come from
+ * @param {Date} options.latestStart - Latest the slot may start, for orders that must be
+ *   delivered before a card authorization lapses (see catchWeightService)
+ * @param {Object} options.transaction - Order transaction
+ * @returns {Promise<Object|null>} Held slot
+ * @throws {Error} 400 if the selection can't be booked, 409 if the slot is full
+ */
+const holdSlot = async (selection, { address, farmIds, latestStart = null, transaction }) => {
+  const { DeliverySlot } = require('../models/deliverySlot');
+
+  const windows = await findBookableWindows(address, farmIds, transaction);
+
+  if (!selection || !selection.windowId) {
+    if (windows.length > 0) {
+      throw slotError('A delivery slot is required for this address', 400);
+    }
+    return null;
+  }
+
+  const window = windows.find(candidate => candidate.id === selection.windowId);
+  if (!window) {
+    throw slotError('The selected delivery slot is not available for this order', 400);
+  }
+
+  if (!selection.date) {
+    throw slotError('A date is required with the delivery slot', 400);
+  }
+
+  const day = new Date(`${selection.date}T00:00:00`);
+  if (Number.isNaN(day.getTime()) || day.getDay() !== window.dayOfWeek) {
+    throw slotError('The selected delivery window does not run on that date', 400);
+  }
+
+  const now = new Date();
+  const horizon = new Date(now.getFullYear(), now.getMonth(), now.getDate() + SLOT_CONSTANTS.BOOKING_HORIZON_DAYS);
+  const { startsAt, endsAt } = slotTimes(window, selection.date);
+  if (!isBeforeCutoff(window, startsAt, now) || day >= horizon) {
+    throw slotError('The selected delivery slot can no longer be booked', 400);
+  }
+  if (latestStart && startsAt > latestStart) {
+    throw slotError(`Orders with items sold by weight must be delivered by ${latestStart.toDateString()}; please choose an earlier slot`, 400);
+  }
+
+  // Slots are created on first booking; the unique (windowId, date) index
+  // keeps concurrent first bookings on the same row
+  await DeliverySlot.bulkCreate([{
+    windowId: window.id,
+    date: selection.date,
+    startsAt,
+    endsAt
+  }], { ignoreDuplicates: true, transaction });
+
+  const slot = await DeliverySlot.findOne({
+    where: { windowId: window.id, date: selection.date },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (slot.bookedCount >= windowCapacity(window)) {
+    throw slotError('The selected delivery slot is full; please choose another', 409);
+  }
+
+  await slot.update({ bookedCount: slot.bookedCount + 1 }, { transaction });
+
+  logger.info(`Delivery slot ${slot.id} held (${slot.bookedCount}/${windowCapacity(window)} booked)`);
+  return slot;
+};
+
+/**
+ * Give back the slot an order held
+ * @param {Object} order - Order
+ * @param {Object} options - Options
+ * @param {Object} options.transaction - Transaction the order change runs in
+ */
+const releaseSlot = async (order, { transaction } = {}) => {
+  if (!order.deliverySlotId) {
+    return;
+  }
+
+  const { DeliverySlot } = require('../models/deliverySlot');
+
+  const slot = await DeliverySlot.findByPk(order.deliverySlotId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!slot || slot.bookedCount === 0) {
+    return;
+  }
+
+  await slot.update({ bookedCount: slot.bookedCount - 1 }, { transaction });
+  logger.info(`Delivery slot ${slot.id} released by order ${order.id}`);
+};
+
+module.exports = {
+  SLOT_CONSTANTS,
+  toDateString,
+  getBookingCutoff,
+  findBookableWindows,
+  listWindows,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  getAvailableSlots,
+  holdSlot,
+  releaseSlot
+};
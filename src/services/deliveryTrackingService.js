@@ -0,0 +1,369 @@
+/**
+ * Delivery Tracking Service
+ *
+ * Stores driver location pings for FreshFarmily deliveries and publishes
+ * position and ETA updates to customers following their delivery.
+ *
+ * Live updates use an in-process event emitter, so subscribers only receive
+ * pings handled by the same server instance.
+ */
+
+const EventEmitter = require('events');
+const geolib = require('geolib');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const { DeliveryTracking } = require('../models/delivery');
+const driverShiftService = require('./driverShiftService');
+
+// Tracking configuration
+const TRACKING_CONSTANTS = {
+  MAX_POINTS_PER_BATCH: 100,
+  // Delivery statuses during which drivers may report their position
+  TRACKABLE_STATUSES: ['assigned', 'picked_up', 'in_transit'],
+  // Statuses after which the tracking stream is closed
+  FINAL_STATUSES: ['delivered', 'failed', 'cancelled'],
+  // Fallback speed when the driver's recent speed is unknown or near zero
+  DEFAULT_SPEED_KMH: 30,
+  MIN_MOVING_SPEED_KMH: 5,
+  // Number of recent pings used to estimate the driver's speed
+  SPEED_SAMPLE_SIZE: 5,
+  // Retention: points older than this are deleted entirely
+  RETENTION_DAYS: parseInt(process.env.TRACKING_RETENTION_DAYS, 10) || 30,
+  // Downsampling: points older than this are thinned to one per interval
+  DOWNSAMPLE_AFTER_HOURS: parseInt(process.env.TRACKING_DOWNSAMPLE_AFTER_HOURS, 10) || 24,
+  DOWNSAMPLE_INTERVAL_SECONDS: parseInt(process.env.TRACKING_DOWNSAMPLE_INTERVAL_SECONDS, 10) || 60,
+  // How often the retention job runs
+  RETENTION_JOB_INTERVAL_MS: 60 * 60 * 1000
+};
+
+const emitter = new EventEmitter();
+// Each open stream adds a listener; many customers may follow deliveries at once
+emitter.setMaxListeners(0);
+
+let retentionTimer = null;
+
+/**
+ * Record a batch of location points from the driver's device
+ * @param {Object} delivery - Delivery instance
+ * @param {String} driverId - Driver user ID
+ * @param {Array} points - Location points ({ latitude, longitude, speed, heading, batteryLevel, accuracy, provider, timestamp })
+ * @returns {Promise<Object>} { recorded, position, eta }
+ */
+const recordLocationBatch = async (delivery, driverId, points) => {
+  const latest = await DeliveryTracking.findOne({
+    where: { deliveryId: delivery.id },
+    order: [['timestamp', 'DESC']]
+  });
+  const latestTime = latest ? new Date(latest.timestamp).getTime() : 0;
+  const now = Date.now();
+
+  // Devices buffer points while offline, so order them and drop anything already stored
+  const rows = points
+    .map(point => ({
+      deliveryId: delivery.id,
+      driverId,
+      latitude: parseFloat(point.latitude),
+      longitude: parseFloat(point.longitude),
+      speed: point.speed !== undefined ? parseFloat(point.speed) : null,
+      heading: point.heading !== undefined ? parseFloat(point.heading) : null,
+      batteryLevel: point.batteryLevel !== undefined ? parseFloat(point.batteryLevel) : null,
+      accuracy: point.accuracy !== undefined ? parseFloat(point.accuracy) : null,
+      provider: point.provider || null,
+      // Clamp device clocks that run ahead of the server
+      timestamp: new Date(Math.min(point.timestamp ? new Date(point.timestamp).getTime() : now, now))
+    }))
+    .filter(row => row.timestamp.getTime() > latestTime)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (rows.length > 0) {
+    await DeliveryTracking.bulkCreate(rows);
+
+    // The newest point is also the driver's last known location
+    const newest = rows[rows.length - 1];
+    await driverShiftService.updateLocation(driverId, newest, newest.timestamp).catch(error => {
+      logger.warn(`Failed to update location of driver ${driverId}: ${error.message}`);
+    });
+  }
+
+  const position = rows.length > 0 ? rows[rows.length - 1] : (latest ? latest.get({ plain: true }) : null);
+  const eta = position ? await estimateEta(delivery, position) : null;
+
+  if (rows.length > 0) {
+    publish(delivery.id, {
+      type: 'position',
+      deliveryId: delivery.id,
+      status: delivery.status,
+      position: formatPosition(position),
+      eta
+    });
+  }
+
+  return {
+    recorded: rows.length,
+    position: position ? formatPosition(position) : null,
+    eta
+  };
+};
+
+/**
+ * Get the most recent position for a delivery
+ * @param {String} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} Latest tracking record
+ */
+const getLatestPosition = async (deliveryId) => {
+  return DeliveryTracking.findOne({
+    where: { deliveryId },
+    order: [['timestamp', 'DESC']]
+  });
+};
+
+/**
+ * Get the recorded path for a delivery, oldest first
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} options - { since, limit }
+ * @returns {Promise<Array>} Positions
+ */
+const getPath = async (deliveryId, { since = null, limit = 500 } = {}) => {
+  const where = { deliveryId };
+  if (since) {
+    where.timestamp = { [Op.gt]: since };
+  }
+
+  const points = await DeliveryTracking.findAll({
+    where,
+    order: [['timestamp', 'DESC']],
+    limit
+  });
+
+  return points.reverse().map(formatPosition);
+};
+
+/**
+ * Estimate time of arrival at the customer's address
+ * @param {Object} delivery - Delivery instance
+ * @param {Object} position - Current driver position
+ * @returns {Promise<Object|null>} { distanceMeters, durationSeconds, estimatedArrival, source }
+ */
+const estimateEta = async (delivery, position) => {
+  // Without coordinates for the drop-off we can only echo the schedule
+  if (delivery.deliveryLatitude === null || delivery.deliveryLatitude === undefined ||
+      delivery.deliveryLongitude === null || delivery.deliveryLongitude === undefined) {
+    return delivery.scheduledDeliveryTime ? {
+      distanceMeters: null,
+      durationSeconds: null,
+      estimatedArrival: new Date(delivery.scheduledDeliveryTime).toISOString(),
+      source: 'schedule'
+    } : null;
+  }
+
+  const current = { latitude: position.latitude, longitude: position.longitude };
+  const dropoff = { latitude: delivery.deliveryLatitude, longitude: delivery.deliveryLongitude };
+
+  // The driver still has to visit every farm that hasn't handed over its part
+  const pickups = await getRemainingPickups(delivery.orderId);
+
+  let distanceMeters;
+  if (pickups.length > 0) {
+    const stops = [current, ...pickups, dropoff];
+    distanceMeters = 0;
+    for (let i = 1; i < stops.length; i++) {
+      distanceMeters += geolib.getDistance(stops[i - 1], stops[i]);
+    }
+  } else if (delivery.status === 'assigned' && delivery.pickupLatitude !== null && delivery.pickupLongitude !== null &&
+      delivery.pickupLatitude !== undefined && delivery.pickupLongitude !== undefined) {
+    const pickup = { latitude: delivery.pickupLatitude, longitude: delivery.pickupLongitude };
+    distanceMeters = geolib.getDistance(current, pickup) + geolib.getDistance(pickup, dropoff);
+  } else {
+    distanceMeters = geolib.getDistance(current, dropoff);
+  }
+
+  const speedKmh = await getRecentSpeed(delivery.id);
+  const durationSeconds = Math.round(distanceMeters / (speedKmh * 1000 / 3600));
+  const fromTime = position.timestamp ? new Date(position.timestamp).getTime() : Date.now();
+
+  return {
+    distanceMeters,
+    durationSeconds,
+    estimatedArrival: new Date(fromTime + durationSeconds * 1000).toISOString(),
+    source: 'tracking'
+  };
+};
+
+/**
+ * Farm pickups still outstanding for an order, in the order they were created
+ * @param {String} orderId - Order ID
+ * @returns {Promise<Array>} Pickup coordinates ({ latitude, longitude })
+ */
+const getRemainingPickups = async (orderId) => {
+  const { OrderFulfillment } = require('../models/order');
+
+  const groups = await OrderFulfillment.findAll({
+    where: {
+      orderId,
+      status: { [Op.notIn]: ['picked_up', 'rejected', 'cancelled'] },
+      pickupLatitude: { [Op.ne]: null },
+      pickupLongitude: { [Op.ne]: null }
+    },
+    attributes: ['pickupLatitude', 'pickupLongitude'],
+    order: [['createdAt', 'ASC']]
+  });
+
+  return groups.map(group => ({ latitude: group.pickupLatitude, longitude: group.pickupLongitude }));
+};
+
+/**
+ * Average speed over the most recent pings, ignoring stops
+ * @param {String} deliveryId - Delivery ID
+ * @returns {Promise<Number>} Speed in km/h
+ */
+const getRecentSpeed = async (deliveryId) => {
+  const recent = await DeliveryTracking.findAll({
+    where: {
+      deliveryId,
+      speed: { [Op.gte]: TRACKING_CONSTANTS.MIN_MOVING_SPEED_KMH }
+    },
+    attributes: ['speed'],
+    order: [['timestamp', 'DESC']],
+    limit: TRACKING_CONSTANTS.SPEED_SAMPLE_SIZE
+  });
+
+  if (recent.length === 0) {
+    return TRACKING_CONSTANTS.DEFAULT_SPEED_KMH;
+  }
+
+  return recent.reduce((sum, point) => sum + point.speed, 0) / recent.length;
+};
+
+/**
+ * Format a tracking record for API responses
+ * @param {Object} point - Tracking record or plain object
+ * @returns {Object} Public position fields
+ */
+const formatPosition = (point) => ({
+  latitude: point.latitude,
+  longitude: point.longitude,
+  speed: point.speed,
+  heading: point.heading,
+  accuracy: point.accuracy,
+  timestamp: new Date(point.timestamp).toISOString()
+});
+
+/**
+ * Publish an update to everyone following a delivery
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} update - Update payload
+ */
+const publish = (deliveryId, update) => {
+  emitter.emit(`delivery:${deliveryId}`, update);
+};
+
+/**
+ * Notify followers that a delivery's status changed
+ * @param {Object} delivery - Delivery instance
+ */
+const publishStatusChange = (delivery) => {
+  publish(delivery.id, {
+    type: 'status',
+    deliveryId: delivery.id,
+    status: delivery.status,
+    final: TRACKING_CONSTANTS.FINAL_STATUSES.includes(delivery.status)
+  });
+};
+
+/**
+ * Follow live updates for a delivery
+ * @param {String} deliveryId - Delivery ID
+ * @param {Function} listener - Called with each update
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (deliveryId, listener) => {
+  const eventName = `delivery:${deliveryId}`;
+  emitter.on(eventName, listener);
+  return () => emitter.removeListener(eventName, listener);
+};
+
+/**
+ * Delete expired tracking points and thin out older ones.
+ * Points older than the downsample threshold keep only the first point in each
+ * interval per delivery; points older than the retention period are removed.
+ * @param {Object} options - Overrides for retention settings
+ * @returns {Promise<Object>} { deleted, downsampled }
+ */
+const pruneTrackingData = async (options = {}) => {
+  const retentionDays = options.retentionDays || TRACKING_CONSTANTS.RETENTION_DAYS;
+  const downsampleAfterHours = options.downsampleAfterHours || TRACKING_CONSTANTS.DOWNSAMPLE_AFTER_HOURS;
+  const intervalSeconds = options.intervalSeconds || TRACKING_CONSTANTS.DOWNSAMPLE_INTERVAL_SECONDS;
+
+  const retentionCutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const downsampleCutoff = new Date(Date.now() - downsampleAfterHours * 60 * 60 * 1000);
+
+  const deleted = await DeliveryTracking.destroy({
+    where: { timestamp: { [Op.lt]: retentionCutoff } }
+  });
+
+  // Keep the earliest point in each (delivery, interval) bucket
+  const [, result] = await sequelize.query(`
+    DELETE FROM delivery_trackings
+    WHERE "timestamp" < :downsampleCutoff
+      AND id NOT IN (
+        SELECT DISTINCT ON ("deliveryId", FLOOR(EXTRACT(EPOCH FROM "timestamp") / :intervalSeconds)) id
+        FROM delivery_trackings
+        WHERE "timestamp" < :downsampleCutoff
+        ORDER BY "deliveryId", FLOOR(EXTRACT(EPOCH FROM "timestamp") / :intervalSeconds), "timestamp" ASC
+      )
+  `, {
+    replacements: { downsampleCutoff, intervalSeconds }
+  });
+
+  const downsampled = result && typeof result.rowCount === 'number' ? result.rowCount : 0;
+
+  if (deleted > 0 || downsampled > 0) {
+    logger.info(`Tracking retention: deleted ${deleted} expired points, downsampled ${downsampled} points`);
+  }
+
+  return { deleted, downsampled };
+};
+
+/**
+ * Start the periodic retention job
+ */
+const startRetentionJob = () => {
+  if (retentionTimer) {
+    return;
+  }
+
+  retentionTimer = setInterval(() => {
+    pruneTrackingData().catch(error => {
+      logger.error(`Tracking retention job failed: ${error.message}`);
+    });
+  }, TRACKING_CONSTANTS.RETENTION_JOB_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  retentionTimer.unref();
+  logger.info('Delivery tracking retention job started');
+};
+
+/**
+ * Stop the periodic retention job
+ */
+const stopRetentionJob = () => {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+};
+
+module.exports = {
+  recordLocationBatch,
+  getLatestPosition,
+  getPath,
+  estimateEta,
+  formatPosition,
+  publishStatusChange,
+  subscribe,
+  pruneTrackingData,
+  startRetentionJob,
+  stopRetentionJob,
+  TRACKING_CONSTANTS
+};
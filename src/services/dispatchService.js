@@ -0,0 +1,770 @@
+/**
+ * Dispatch Service
+ *
+ * Automatic dispatcher for pending deliveries. Every run it scores each
+ * dispatchable delivery against each online driver and offers the best
+ * matches, as a batch of up to MAX_ACTIVE_DELIVERIES deliveries from one
+ * delivery slot, to one driver at a time:
+ * - A delivery is dispatchable once its order is confirmed and it is due
+ *   within DISPATCH_LEAD_HOURS; it is held while an offer for it is pending.
+ * - Work is offered to drivers who are online and not on a break, at their
+ *   last known location (see driverShiftService).
+ * - A driver's score for a delivery weighs, with the admin-set weights in
+ *   the dispatch system settings: how close they are to its first pickup,
+ *   how well it fits with the deliveries they already carry, how much room
+ *   and planned shift time they have left, and their customer rating.
+ * - Offers expire after the configured timeout. Declined and expired work is
+ *   offered again on the next run, never to a driver who already turned it
+ *   down.
+ *
+ * Accepting an offer adds its deliveries to the driver's active batch from
+ * the same slot and solves the batch's route again, from where the driver
+ * is, with every stop still to make. A driver with no such batch gets a new
+ * DeliveryBatch, as POST /drivers/batch-create creates when a driver picks
+ * deliveries themselves.
+ *
+ * Only one dispatch run happens at a time: a run started while another is
+ * under way, in this process or another instance, is skipped.
+ */
+
+const geolib = require('geolib');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const notificationService = require('./notificationService');
+const routeSolverService = require('./routeSolverService');
+const driverShiftService = require('./driverShiftService');
+const systemSettingsService = require('./systemSettingsService');
+
+const DISPATCH_CONSTANTS = {
+  // Deliveries due within this many hours are dispatched
+  DISPATCH_LEAD_HOURS: 4,
+  // Order statuses in which a delivery can be dispatched
+  DISPATCHABLE_ORDER_STATUSES: ['confirmed', 'processing', 'ready'],
+  // Most deliveries a driver carries at once, as in POST /drivers/batch-create
+  MAX_ACTIVE_DELIVERIES: 3,
+  ACTIVE_DELIVERY_STATUSES: ['assigned', 'picked_up', 'in_transit'],
+  // Stops this far from the nearest stop already in a batch don't fit in it
+  BATCH_FIT_RADIUS_KM: 5,
+  // Deliveries are added to an offer only if they fit it at least this well
+  MIN_BATCH_FIT: 0.5,
+  // Drivers with less of their planned shift left than this are less available
+  SHIFT_TIME_NEEDED_MINUTES: 60,
+  // Rating assumed for drivers nobody has rated yet
+  DEFAULT_RATING: 4,
+  OFFER_STATUSES: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+  // Key of the PostgreSQL advisory lock held while dispatch runs
+  RUN_LOCK_KEY: 72040001,
+  WORKER_INTERVAL_MS: 30 * 1000
+};
+
+let workerTimer = null;
+let running = false;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const dispatchError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round to a number of decimal places
+ * @param {Number} value - Value to round
+ * @param {Number} places - Decimal places
+ * @returns {Number} Rounded value
+ */
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Straight-line distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {Number} Kilometres
+ */
+const distanceKm = (from, to) => geolib.getDistance(
+  { latitude: from.latitude, longitude: from.longitude },
+  { latitude: to.latitude, longitude: to.longitude }
+) / 1000;
+
+/**
+ * Includes needed to build a delivery's route stops
+ * @returns {Array} Sequelize includes for Delivery
+ */
+const deliveryInclude = () => {
+  const { Order, OrderItem } = require('../models/order');
+  const { Product } = require('../models/product');
+  const { Farm } = require('../models/farm');
+  const { User } = require('../models/user');
+  const { DeliverySlot } = require('../models/deliverySlot');
+
+  return [
+    {
+      model: Order,
+      include: [
+        {
+          model: OrderItem,
+          as: 'Items',
+          include: [{ model: Product, include: [{ model: Farm }] }]
+        },
+        { model: User, as: 'Consumer', attributes: ['id', 'firstName', 'lastName'] }
+      ]
+    },
+    { model: DeliverySlot, as: 'DeliverySlot' }
+  ];
+};
+
+/**
+ * Stops with a known position, so they can be measured
+ * @param {Object|Array} deliveries - A delivery or deliveries (see deliveryInclude)
+ * @returns {Array} Route stops
+ */
+const locatedStops = (deliveries) => routeSolverService
+  .buildDeliveryStops([].concat(deliveries))
+  .filter(stop => stop.latitude !== null && stop.latitude !== undefined &&
+    stop.longitude !== null && stop.longitude !== undefined);
+
+/**
+ * How well new stops fit with stops already in a batch: 1 when every new stop
+ * is next to a stop of the same kind, falling to 0 at BATCH_FIT_RADIUS_KM
+ * @param {Array} batchStops - Stops already in the batch
+ * @param {Array} newStops - Stops to add
+ * @returns {Number} Fit, 0 to 1
+ */
+const batchFit = (batchStops, newStops) => {
+  if (batchStops.length === 0) {
+    return 1;
+  }
+  if (newStops.length === 0) {
+    return 0;
+  }
+
+  const total = newStops.reduce((sum, stop) => {
+    const sameType = batchStops.filter(other => other.type === stop.type);
+    const candidates = sameType.length > 0 ? sameType : batchStops;
+    return sum + Math.min(...candidates.map(other => distanceKm(stop, other)));
+  }, 0);
+
+  return Math.max(0, 1 - (total / newStops.length) / DISPATCH_CONSTANTS.BATCH_FIT_RADIUS_KM);
+};
+
+/**
+ * Combine factor scores with the configured weights
+ * @param {Object} factors - { distance, batchFit, availability, rating }, each 0 to 1
+ * @param {Object} weights - Weights for the same factors
+ * @returns {Number} Score, 0 to 1
+ */
+const weightedScore = (factors, weights) => {
+  const names = Object.keys(factors);
+  const totalWeight = names.reduce((sum, name) => sum + (weights[name] || 0), 0);
+
+  // With every weight at zero, count the factors equally
+  if (totalWeight === 0) {
+    return names.reduce((sum, name) => sum + factors[name], 0) / names.length;
+  }
+
+  return names.reduce((sum, name) => sum + factors[name] * (weights[name] || 0), 0) / totalWeight;
+};
+
+/**
+ * Deliveries waiting for a driver that are due soon and not held by a pending offer
+ * @param {Date} now - Current time
+ * @param {Set} heldIds - Delivery IDs in pending offers
+ * @returns {Promise<Array>} Deliveries (see deliveryInclude)
+ */
+const getDispatchableDeliveries = async (now, heldIds) => {
+  const { Delivery } = require('../models/delivery');
+  const dueBy = new Date(now.getTime() + DISPATCH_CONSTANTS.DISPATCH_LEAD_HOURS * 60 * 60 * 1000);
+
+  const deliveries = await Delivery.findAll({
+    where: {
+      status: 'pending',
+      driverId: null,
+      scheduledDeliveryTime: { [Op.lte]: dueBy }
+    },
+    include: deliveryInclude(),
+    order: [['scheduledDeliveryTime', 'ASC']]
+  });
+
+  return deliveries.filter(delivery => !heldIds.has(delivery.id) &&
+    DISPATCH_CONSTANTS.DISPATCHABLE_ORDER_STATUSES.includes(delivery.Order.status));
+};
+
+/**
+ * Drivers online and not on a break, with what they carry, their shift and their rating
+ * @param {Date} now - Current time
+ * @param {Set} busyDriverIds - Drivers with a pending offer
+ * @returns {Promise<Array>} { id, location, shiftEndsAt, activeDeliveries, room, deliverySlotId, stops, rating }
+ */
+const getOnlineDrivers = async (now, busyDriverIds) => {
+  const { Delivery } = require('../models/delivery');
+
+  const statuses = (await driverShiftService.getOnlineDrivers(now))
+    .filter(status => !busyDriverIds.has(status.driverId));
+  const driverIds = statuses.map(status => status.driverId);
+  if (driverIds.length === 0) {
+    return [];
+  }
+
+  const activeDeliveries = await Delivery.findAll({
+    where: { driverId: driverIds, status: DISPATCH_CONSTANTS.ACTIVE_DELIVERY_STATUSES },
+    include: deliveryInclude()
+  });
+
+  const ratings = await Delivery.findAll({
+    where: { driverId: driverIds, driverRating: { [Op.ne]: null } },
+    attributes: ['driverId', [sequelize.fn('AVG', sequelize.col('driverRating')), 'averageRating']],
+    group: ['driverId'],
+    raw: true
+  });
+
+  return statuses.map(status => {
+    const id = status.driverId;
+    const carrying = activeDeliveries.filter(delivery => delivery.driverId === id);
+    const rating = ratings.find(row => row.driverId === id);
+    return {
+      id,
+      location: { latitude: status.latitude, longitude: status.longitude },
+      // Unplanned shifts have no set end
+      shiftEndsAt: status.Shift && status.Shift.plannedEnd ? new Date(status.Shift.plannedEnd) : null,
+      activeDeliveries: carrying.length,
+      room: DISPATCH_CONSTANTS.MAX_ACTIVE_DELIVERIES - carrying.length,
+      deliverySlotId: carrying.length > 0 ? carrying[0].deliverySlotId || null : null,
+      stops: locatedStops(carrying),
+      rating: rating ? parseFloat(rating.averageRating) : DISPATCH_CONSTANTS.DEFAULT_RATING
+    };
+  }).filter(driver => driver.room > 0);
+};
+
+/**
+ * How available a driver is: the room they have left, scaled down as the end
+ * of their planned shift gets closer than SHIFT_TIME_NEEDED_MINUTES
+ * @param {Object} driver - Online driver (see getOnlineDrivers)
+ * @param {Date} now - Current time
+ * @returns {Number} Availability, 0 to 1
+ */
+const availability = (driver, now) => {
+  const room = driver.room / DISPATCH_CONSTANTS.MAX_ACTIVE_DELIVERIES;
+  if (!driver.shiftEndsAt) {
+    return room;
+  }
+
+  const minutesLeft = (driver.shiftEndsAt.getTime() - now.getTime()) / (60 * 1000);
+  return room * Math.min(Math.max(minutesLeft / DISPATCH_CONSTANTS.SHIFT_TIME_NEEDED_MINUTES, 0), 1);
+};
+
+/**
+ * Score a delivery for a driver
+ * @param {Object} driver - Online driver (see getOnlineDrivers)
+ * @param {Object} delivery - Delivery
+ * @param {Array} stops - The delivery's located stops
+ * @param {Object} settings - Dispatch system settings
+ * @param {Date} now - Current time
+ * @returns {Object|null} { score, factors, distanceKm }, or null if the driver can't take it
+ */
+const scoreDelivery = (driver, delivery, stops, settings, now) => {
+  // A batch only takes deliveries from one slot
+  if (driver.activeDeliveries > 0 && driver.deliverySlotId !== (delivery.deliverySlotId || null)) {
+    return null;
+  }
+
+  // Drivers start at the first pickup, or the drop-off once everything is picked up
+  const firstStops = stops.some(stop => stop.type === 'pickup')
+    ? stops.filter(stop => stop.type === 'pickup')
+    : stops;
+  const km = Math.min(...firstStops.map(stop => distanceKm(driver.location, stop)));
+  if (km > settings.maxDistanceKm) {
+    return null;
+  }
+
+  const factors = {
+    distance: 1 - km / settings.maxDistanceKm,
+    batchFit: batchFit(driver.stops, stops),
+    availability: availability(driver, now),
+    rating: Math.min(Math.max((driver.rating - 1) / 4, 0), 1)
+  };
+
+  return {
+    score: weightedScore(factors, settings.weights),
+    factors,
+    distanceKm: round(km)
+  };
+};
+
+/**
+ * Offer a batch of deliveries to a driver
+ * @param {Object} driver - Online driver
+ * @param {Array} deliveries - Deliveries to offer
+ * @param {Object} match - Score of the first delivery (see scoreDelivery)
+ * @param {Array} fits - Batch fit of each added delivery
+ * @param {Object} settings - Dispatch system settings
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} DispatchOffer
+ */
+const createOffer = async (driver, deliveries, match, fits, settings, now) => {
+  const { DispatchOffer } = require('../models/dispatch');
+
+  const route = routeSolverService.solveRoute(
+    driver.location,
+    routeSolverService.buildDeliveryStops(deliveries),
+    { strategy: 'balanced', departAt: now }
+  );
+
+  const offer = await DispatchOffer.create({
+    driverId: driver.id,
+    deliveryIds: deliveries.map(delivery => delivery.id),
+    deliverySlotId: deliveries[0].deliverySlotId || null,
+    score: round(match.score, 4),
+    scoreDetails: {
+      factors: Object.entries(match.factors).reduce((rounded, [name, value]) => ({ ...rounded, [name]: round(value, 4) }), {}),
+      weights: settings.weights,
+      distanceKm: match.distanceKm,
+      addedDeliveryFits: fits.map(fit => round(fit, 4))
+    },
+    routeData: route,
+    expiresAt: new Date(now.getTime() + settings.offerTimeoutSeconds * 1000)
+  });
+
+  await notificationService.notify(driver.id, 'delivery_offer', {
+    deliveryCount: deliveries.length,
+    distanceKm: match.distanceKm,
+    totalDistance: route.totalDistance,
+    expiresInSeconds: settings.offerTimeoutSeconds
+  }, { dedupeKey: `delivery_offer:${offer.id}` }).catch(error => {
+    logger.error(`Failed to notify driver ${driver.id} of dispatch offer ${offer.id}: ${error.message}`);
+  });
+
+  logger.info(`Dispatch offer ${offer.id}: ${deliveries.length} deliveries to driver ${driver.id} (score ${offer.score})`);
+  return offer;
+};
+
+/**
+ * Mark pending offers past their deadline as expired, freeing their deliveries
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Offers expired
+ */
+const expireOffers = async (now = new Date()) => {
+  const { DispatchOffer } = require('../models/dispatch');
+
+  const [expired] = await DispatchOffer.update(
+    { status: 'expired' },
+    { where: { status: 'pending', expiresAt: { [Op.lte]: now } } }
+  );
+
+  if (expired > 0) {
+    logger.info(`Dispatch: ${expired} offers expired`);
+  }
+  return expired;
+};
+
+/**
+ * Expire overdue offers, then offer dispatchable deliveries to the
+ * best-scoring online drivers
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { expired, offers }
+ */
+const dispatchOnce = async (now) => {
+  const { DispatchOffer } = require('../models/dispatch');
+
+  const expired = await expireOffers(now);
+
+  const { dispatch: settings } = await systemSettingsService.getSystemSettings();
+  if (!settings.enabled) {
+    return { expired, offers: [] };
+  }
+
+  const pendingOffers = await DispatchOffer.findAll({
+    where: { status: 'pending' },
+    attributes: ['driverId', 'deliveryIds']
+  });
+  const heldIds = new Set(pendingOffers.flatMap(offer => offer.deliveryIds));
+  const busyDriverIds = new Set(pendingOffers.map(offer => offer.driverId));
+
+  const deliveries = await getDispatchableDeliveries(now, heldIds);
+  if (deliveries.length === 0) {
+    return { expired, offers: [] };
+  }
+  const drivers = await getOnlineDrivers(now, busyDriverIds);
+  if (drivers.length === 0) {
+    return { expired, offers: [] };
+  }
+
+  // Drivers are never offered a delivery they have declined or let expire
+  const refusals = await DispatchOffer.findAll({
+    where: {
+      status: ['declined', 'expired'],
+      driverId: drivers.map(driver => driver.id),
+      deliveryIds: { [Op.overlap]: deliveries.map(delivery => delivery.id) }
+    },
+    attributes: ['driverId', 'deliveryIds']
+  });
+  const refused = new Set(refusals.flatMap(offer => offer.deliveryIds.map(id => `${offer.driverId}:${id}`)));
+
+  const stopsByDelivery = new Map(deliveries.map(delivery => [delivery.id, locatedStops(delivery)]));
+  const matches = [];
+  drivers.forEach(driver => {
+    deliveries.forEach(delivery => {
+      const stops = stopsByDelivery.get(delivery.id);
+      if (stops.length === 0 || refused.has(`${driver.id}:${delivery.id}`)) {
+        return;
+      }
+      const match = scoreDelivery(driver, delivery, stops, settings, now);
+      if (match) {
+        matches.push({ driver, delivery, ...match });
+      }
+    });
+  });
+  matches.sort((a, b) => b.score - a.score);
+
+  // Best matches first; each driver gets one offer, filled up with deliveries
+  // from the same slot that fit with it
+  const taken = new Set();
+  const offered = new Set();
+  const offers = [];
+  for (const match of matches) {
+    const { driver, delivery } = match;
+    if (taken.has(delivery.id) || offered.has(driver.id)) {
+      continue;
+    }
+
+    const batch = [delivery];
+    const batchStops = [...driver.stops, ...stopsByDelivery.get(delivery.id)];
+    const fits = [];
+    const companions = deliveries.filter(other => !taken.has(other.id) && other.id !== delivery.id &&
+      (other.deliverySlotId || null) === (delivery.deliverySlotId || null) &&
+      !refused.has(`${driver.id}:${other.id}`) && stopsByDelivery.get(other.id).length > 0);
+
+    while (batch.length < driver.room && companions.length > 0) {
+      const ranked = companions
+        .map(other => ({ other, fit: batchFit(batchStops, stopsByDelivery.get(other.id)) }))
+        .sort((a, b) => b.fit - a.fit);
+      if (ranked[0].fit < DISPATCH_CONSTANTS.MIN_BATCH_FIT) {
+        break;
+      }
+      batch.push(ranked[0].other);
+      batchStops.push(...stopsByDelivery.get(ranked[0].other.id));
+      fits.push(ranked[0].fit);
+      companions.splice(companions.indexOf(ranked[0].other), 1);
+    }
+
+    try {
+      offers.push(await createOffer(driver, batch, match, fits, settings, now));
+      batch.forEach(member => taken.add(member.id));
+      offered.add(driver.id);
+    } catch (error) {
+      logger.error(`Dispatch offer to driver ${driver.id} failed: ${error.message}`);
+    }
+  }
+
+  if (offers.length > 0) {
+    logger.info(`Dispatch: ${offers.length} offers made for ${taken.size} deliveries`);
+  }
+
+  return { expired, offers };
+};
+
+/**
+ * Run the dispatcher once, unless a run is already under way. Runs in other
+ * instances are kept out by a transaction-level advisory lock, held by a
+ * transaction that stays open for the whole run.
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} { expired, offers, skipped }
+ */
+const runDispatch = async ({ now = new Date() } = {}) => {
+  if (running) {
+    return { expired: 0, offers: [], skipped: true };
+  }
+
+  running = true;
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const [[{ locked }]] = await sequelize.query(
+        'SELECT pg_try_advisory_xact_lock(:key) AS locked',
+        { replacements: { key: DISPATCH_CONSTANTS.RUN_LOCK_KEY }, transaction }
+      );
+      if (!locked) {
+        logger.info('Dispatch: skipped, another instance is already dispatching');
+        return { expired: 0, offers: [], skipped: true };
+      }
+
+      return { ...await dispatchOnce(now), skipped: false };
+    });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Get a driver's offer, locked for a response
+ * @param {String} offerId - DispatchOffer ID
+ * @param {String} driverId - Driver responding
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} DispatchOffer
+ * @throws {Error} 404 if not the driver's offer, 409 if it is no longer open
+ */
+const getOpenOffer = async (offerId, driverId, transaction) => {
+  const { DispatchOffer } = require('../models/dispatch');
+
+  const offer = await DispatchOffer.findByPk(offerId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!offer || offer.driverId !== driverId) {
+    throw dispatchError('Offer not found', 404);
+  }
+  if (offer.status !== 'pending') {
+    throw dispatchError(`This offer has already been ${offer.status}`, 409);
+  }
+  if (new Date(offer.expiresAt) <= new Date()) {
+    throw dispatchError('This offer has expired', 409);
+  }
+
+  return offer;
+};
+
+/**
+ * Add an offer's deliveries to the driver's active batch and solve its route
+ * again, from the driver's last known position, with every stop still to make
+ * @param {Object} batch - The driver's active DeliveryBatch, locked
+ * @param {Object} offer - Accepted DispatchOffer
+ * @param {Array} deliveries - The offer's deliveries
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} DeliveryBatch
+ */
+const addToBatch = async (batch, offer, deliveries, transaction) => {
+  const { Delivery } = require('../models/delivery');
+
+  const carried = await Delivery.findAll({
+    where: { batchId: batch.id, status: DISPATCH_CONSTANTS.ACTIVE_DELIVERY_STATUSES },
+    include: deliveryInclude(),
+    transaction
+  });
+  const added = await Delivery.findAll({
+    where: { id: deliveries.map(delivery => delivery.id) },
+    include: deliveryInclude(),
+    transaction
+  });
+
+  const { location } = await driverShiftService.getStatus(batch.driverId);
+  const strategy = batch.optimizationStrategy || offer.routeData.strategy || 'balanced';
+  const route = routeSolverService.solveRoute(
+    location,
+    routeSolverService.buildDeliveryStops([...carried, ...added]),
+    { strategy, departAt: new Date() }
+  );
+
+  const deliveryIds = [...carried, ...added].map(delivery => delivery.id);
+  return batch.update({
+    routeData: {
+      ...batch.routeData,
+      ...route,
+      deliveryIds,
+      optimized: true,
+      dispatchOfferId: offer.id,
+      resolvedAt: new Date()
+    },
+    // Deliveries the batch still has to make
+    deliveryCount: deliveryIds.length,
+    totalDistance: route.totalDistance,
+    estimatedDuration: route.totalDuration,
+    optimizationStrategy: strategy
+  }, { transaction });
+};
+
+/**
+ * Accept an offer: the driver is assigned its deliveries, in their active
+ * batch from the same slot if they have one and as a new batch otherwise
+ * @param {String} offerId - DispatchOffer ID
+ * @param {String} driverId - Driver accepting
+ * @returns {Promise<Object>} { offer, batch }
+ * @throws {Error} 404, or 409 if the driver is offline, the offer is closed or its deliveries were taken
+ */
+const acceptOffer = async (offerId, driverId) => {
+  const { Delivery, DeliveryBatch } = require('../models/delivery');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    // Locked first, as going offline does, so one driver's accepts happen one
+    // at a time and can't together take on more than MAX_ACTIVE_DELIVERIES
+    const status = await driverShiftService.lockStatus(driverId, transaction);
+    if (status.status === 'offline') {
+      throw dispatchError('You must be online to accept deliveries', 409);
+    }
+
+    const offer = await getOpenOffer(offerId, driverId, transaction);
+
+    // Deliveries can still be claimed or assigned by hand while offered
+    const deliveries = await Delivery.findAll({
+      where: { id: offer.deliveryIds },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const available = deliveries.filter(delivery => delivery.status === 'pending' && !delivery.driverId);
+    if (available.length !== offer.deliveryIds.length) {
+      await offer.update({ status: 'withdrawn', respondedAt: new Date() }, { transaction });
+      return { withdrawn: true };
+    }
+
+    const activeCount = await Delivery.count({
+      where: { driverId, status: DISPATCH_CONSTANTS.ACTIVE_DELIVERY_STATUSES },
+      transaction
+    });
+    if (activeCount + deliveries.length > DISPATCH_CONSTANTS.MAX_ACTIVE_DELIVERIES) {
+      throw dispatchError(`You can only have a maximum of ${DISPATCH_CONSTANTS.MAX_ACTIVE_DELIVERIES} active deliveries. You currently have ${activeCount}.`, 409);
+    }
+
+    const activeBatch = await DeliveryBatch.findOne({
+      where: { driverId, status: 'active', deliverySlotId: offer.deliverySlotId },
+      order: [['createdAt', 'DESC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    let batch;
+    if (activeBatch) {
+      batch = await addToBatch(activeBatch, offer, deliveries, transaction);
+    } else {
+      batch = await DeliveryBatch.create({
+        driverId,
+        deliverySlotId: offer.deliverySlotId,
+        routeData: {
+          ...offer.routeData,
+          driverId,
+          deliveryIds: offer.deliveryIds,
+          optimized: true,
+          dispatchOfferId: offer.id,
+          createdAt: new Date()
+        },
+        status: 'active',
+        deliveryCount: deliveries.length,
+        totalDistance: offer.routeData.totalDistance,
+        estimatedDuration: offer.routeData.totalDuration,
+        optimizationStrategy: offer.routeData.strategy
+      }, { transaction });
+    }
+
+    for (const delivery of deliveries) {
+      await delivery.update({
+        driverId,
+        status: 'assigned',
+        batchId: batch.id
+      }, { transaction });
+    }
+
+    await offer.update({ status: 'accepted', respondedAt: new Date(), batchId: batch.id }, { transaction });
+    return { offer, batch };
+  });
+
+  if (result.withdrawn) {
+    throw dispatchError('Some of these deliveries have already been taken; the offer was withdrawn', 409);
+  }
+
+  logger.info(`Dispatch offer ${offerId} accepted by driver ${driverId}: batch ${result.batch.id}`);
+  return result;
+};
+
+/**
+ * Decline an offer; its deliveries are offered to other drivers on the next run
+ * @param {String} offerId - DispatchOffer ID
+ * @param {String} driverId - Driver declining
+ * @param {String} reason - Optional reason
+ * @returns {Promise<Object>} DispatchOffer
+ * @throws {Error} 404, or 409 if the offer is closed
+ */
+const declineOffer = async (offerId, driverId, reason = null) => {
+  const offer = await sequelize.transaction(async (transaction) => {
+    const open = await getOpenOffer(offerId, driverId, transaction);
+    return open.update({ status: 'declined', respondedAt: new Date(), declineReason: reason || null }, { transaction });
+  });
+
+  logger.info(`Dispatch offer ${offerId} declined by driver ${driverId}`);
+  return offer;
+};
+
+/**
+ * List offers. Drivers see their own open offers; admins see every offer.
+ * @param {Object} actor - { userId, role }
+ * @param {Object} filters - { status, driverId, page, limit } (admins only)
+ * @returns {Promise<Object>} { offers, pagination }
+ */
+const listOffers = async (actor, { status, driverId, page = 1, limit = 20 } = {}) => {
+  const { DispatchOffer } = require('../models/dispatch');
+  const { User } = require('../models/user');
+
+  const where = {};
+  if (actor.role === 'admin') {
+    if (status) {
+      where.status = status;
+    }
+    if (driverId) {
+      where.driverId = driverId;
+    }
+  } else {
+    where.driverId = actor.userId;
+    where.status = 'pending';
+    where.expiresAt = { [Op.gt]: new Date() };
+  }
+
+  const { count, rows } = await DispatchOffer.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'Driver', attributes: ['id', 'firstName', 'lastName'] }],
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    offers: rows,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      pages: Math.ceil(count / limit)
+    }
+  };
+};
+
+/**
+ * Start the periodic dispatch job
+ */
+const startDispatchWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    runDispatch().catch(error => {
+      logger.error(`Dispatch worker failed: ${error.message}`);
+    });
+  }, DISPATCH_CONSTANTS.WORKER_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  workerTimer.unref();
+  logger.info('Dispatch worker started');
+};
+
+/**
+ * Stop the periodic dispatch job
+ */
+const stopDispatchWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  DISPATCH_CONSTANTS,
+  runDispatch,
+  expireOffers,
+  acceptOffer,
+  declineOffer,
+  listOffers,
+  startDispatchWorker,
+  stopDispatchWorker
+};
@@ -11,10 +11,13 @@
 
 const { DriverCompensationConfig, DriverEarnings } = require('../models/pricing');
 const { User } = require('../models/user');
-const { DeliveryBatch, DeliveryOrder } = require('../models/delivery');
+const { DeliveryBatch } = require('../models/delivery');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
 const stripeService = require('./stripeService');
+const notificationService = require('./notificationService');
+const driverShiftService = require('./driverShiftService');
 
 class DriverCompensationService {
   /**
@@ -70,12 +73,17 @@ class DriverCompensationService {
         }
       });
       
-      // Calculate total hours worked (sum of actual duration converted to hours)
-      const totalMinutes = batches.reduce(
-        (sum, batch) => sum + (batch.actualDuration || 0), 
-        0
-      );
-      const hoursWorked = parseFloat((totalMinutes / 60).toFixed(2));
+      // Hours worked are the driver's shift time less breaks; periods from before
+      // drivers recorded shifts fall back to the time spent on batches
+      const shiftHours = await driverShiftService.getWorkedHours(driverId, startDate, endDate);
+      let hoursWorked = shiftHours.workedHours;
+      if (shiftHours.workedShifts === 0) {
+        const totalMinutes = batches.reduce(
+          (sum, batch) => sum + (batch.actualDuration || 0), 
+          0
+        );
+        hoursWorked = parseFloat((totalMinutes / 60).toFixed(2));
+      }
       
       // Calculate total deliveries completed
       const deliveriesCompleted = batches.reduce(
@@ -130,7 +138,7 @@ class DriverCompensationService {
       const efficiencyBonusAmount = this.calculateEfficiencyBonus(deliveriesCompleted, hoursWorked, config);
       const batchBonusAmount = this.calculateBatchBonus(batches, config);
       const satisfactionBonusAmount = this.calculateSatisfactionBonus(averageRating, config);
-      const retentionBonusAmount = this.calculateRetentionBonus(driver.createdAt, endDate, config);
+      const retentionBonusAmount = this.calculateRetentionBonus(driver.createdAt, startDate, endDate, config);
       const specialConditionAmount = this.calculateSpecialConditions(specialConditions, config);
       
       // Calculate total earnings
@@ -314,6 +322,7 @@ class DriverCompensationService {
           paymentReference: `MANUAL-${new Date().toISOString().slice(0, 10)}`
         });
         
+        await this.notifyDriverPaid(earnings);
         return earnings;
       }
       
@@ -343,6 +352,7 @@ class DriverCompensationService {
           paymentReference: transfer.id
         });
         
+        await this.notifyDriverPaid(earnings);
         return earnings;
       } catch (error) {
         logger.error(`Error processing payment through Stripe: ${error.message}`);
@@ -354,7 +364,144 @@ class DriverCompensationService {
     }
   }
 
-  // ... other methods ...
+  /**
+   * Let a driver know their earnings have been paid
+   * @param {Object} earnings - Paid DriverEarnings record
+   */
+  async notifyDriverPaid(earnings) {
+    await notificationService.notifyPayoutSent(earnings.driverId, {
+      id: earnings.id,
+      amount: earnings.totalEarnings,
+      reference: earnings.paymentReference,
+      periodStart: earnings.payPeriodStart,
+      periodEnd: earnings.payPeriodEnd
+    });
+  }
+
+  /**
+   * Save a calculated earnings record. Refund clawbacks waiting for the
+   * driver's next earnings are deducted, oldest first, as far as the
+   * earnings cover them; the rest wait for a later period.
+   * @param {Object} earningsData - Earnings fields (see calculatePeriodEarnings)
+   * @returns {Object} Saved earnings record
+   */
+  async saveDriverEarnings(earningsData) {
+    const { RefundAdjustment } = require('../models/payment');
+
+    return sequelize.transaction(async (transaction) => {
+      const pending = await RefundAdjustment.findAll({
+        where: { payeeType: 'driver', payeeId: earningsData.driverId, status: 'pending' },
+        order: [['createdAt', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const totalEarnings = parseFloat(earningsData.totalEarnings) || 0;
+      let deducted = 0;
+      const applied = [];
+      for (const adjustment of pending) {
+        const amount = parseFloat(adjustment.amount);
+        if (deducted + amount > totalEarnings) {
+          break;
+        }
+        deducted += amount;
+        applied.push(adjustment.id);
+      }
+
+      const earnings = await DriverEarnings.create({
+        ...earningsData,
+        adjustmentAmount: -Math.round(deducted * 100) / 100,
+        totalEarnings: Math.round((totalEarnings - deducted) * 100) / 100
+      }, { transaction });
+
+      if (applied.length > 0) {
+        await RefundAdjustment.update(
+          { status: 'applied', appliedAt: new Date(), driverEarningsId: earnings.id },
+          { where: { id: applied }, transaction }
+        );
+        logger.info(`Deducted $${deducted.toFixed(2)} in refund clawbacks from driver ${earningsData.driverId}'s earnings`);
+      }
+
+      return earnings;
+    });
+  }
+
+  /**
+   * Get a driver's saved earnings records overlapping a period
+   * @param {string} driverId - Driver's ID
+   * @param {Date} startDate - Period start date
+   * @param {Date} endDate - Period end date
+   * @returns {Array} Earnings records, most recent first
+   */
+  async getDriverEarnings(driverId, startDate, endDate) {
+    return DriverEarnings.findAll({
+      where: {
+        driverId,
+        payPeriodStart: { [Op.lte]: endDate },
+        payPeriodEnd: { [Op.gte]: startDate }
+      },
+      order: [['payPeriodStart', 'DESC']]
+    });
+  }
+
+  /**
+   * Calculate and save earnings for every active driver for a period
+   * @param {Date} startDate - Period start date
+   * @param {Date} endDate - Period end date
+   * @returns {Array} Saved earnings records
+   */
+  async calculateAllDriverEarnings(startDate, endDate) {
+    const drivers = await User.findAll({
+      where: { role: 'driver', status: 'active' },
+      attributes: ['id']
+    });
+
+    const records = [];
+    for (const driver of drivers) {
+      try {
+        const earnings = await this.calculatePeriodEarnings(driver.id, startDate, endDate);
+        records.push(await this.saveDriverEarnings(earnings));
+      } catch (error) {
+        // One driver's bad data shouldn't hold up everyone else's pay
+        logger.error(`Skipping earnings for driver ${driver.id}: ${error.message}`);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Project weekly earnings from an expected workload
+   * @param {string} driverId - Driver's ID
+   * @param {Object} params - { hoursPerWeek, deliveriesPerHour, averageDistanceKm (per delivery), weeks }
+   * @returns {Object} Weekly and total projected earnings
+   */
+  async generateEarningsProjection(driverId, params = {}) {
+    const config = await this.getActiveCompensationConfig();
+
+    const hoursPerWeek = parseFloat(params.hoursPerWeek) || 20;
+    const deliveriesPerHour = parseFloat(params.deliveriesPerHour) || 2;
+    const averageDistanceKm = parseFloat(params.averageDistanceKm) || 8;
+    const weeks = parseInt(params.weeks, 10) || 4;
+
+    const deliveriesPerWeek = Math.round(hoursPerWeek * deliveriesPerHour);
+    const weekly = {
+      baseHourlyPay: this.calculateHourlyPay(hoursPerWeek, config),
+      deliveryBonusAmount: this.calculateDeliveryBonus(deliveriesPerWeek, config),
+      mileageAmount: this.calculateMileageCompensation(deliveriesPerWeek * averageDistanceKm, config),
+      efficiencyBonusAmount: this.calculateEfficiencyBonus(deliveriesPerWeek, hoursPerWeek, config)
+    };
+    const weeklyTotal = parseFloat(Object.values(weekly).reduce((sum, amount) => sum + amount, 0).toFixed(2));
+
+    return {
+      driverId,
+      configId: config.id,
+      assumptions: { hoursPerWeek, deliveriesPerHour, averageDistanceKm, weeks, deliveriesPerWeek },
+      weekly: { ...weekly, total: weeklyTotal },
+      projectedTotal: parseFloat((weeklyTotal * weeks).toFixed(2)),
+      effectiveHourlyRate: parseFloat((weeklyTotal / hoursPerWeek).toFixed(2))
+    };
+  }
 
   /**
    * Calculate hourly pay for a driver shift
@@ -366,7 +513,100 @@ class DriverCompensationService {
     return parseFloat((hoursWorked * config.baseHourlyRate).toFixed(2));
   }
 
-  // ... other methods ...
+  /**
+   * Calculate the per-delivery completion bonus
+   * @param {number} deliveriesCompleted - Number of deliveries
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Bonus amount
+   */
+  calculateDeliveryBonus(deliveriesCompleted, config) {
+    return parseFloat((deliveriesCompleted * config.deliveryCompletionBonus).toFixed(2));
+  }
+
+  /**
+   * Calculate mileage compensation
+   * @param {number} distanceKm - Distance driven in kilometers
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Mileage amount
+   */
+  calculateMileageCompensation(distanceKm, config) {
+    return parseFloat((distanceKm * config.mileageCompensation).toFixed(2));
+  }
+
+  /**
+   * Pay the efficiency bonus on every delivery when the hourly rate of deliveries beats the threshold
+   * @param {number} deliveriesCompleted - Number of deliveries
+   * @param {number} hoursWorked - Hours worked
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Bonus amount
+   */
+  calculateEfficiencyBonus(deliveriesCompleted, hoursWorked, config) {
+    if (!hoursWorked || deliveriesCompleted / hoursWorked < config.efficiencyThreshold) {
+      return 0;
+    }
+    return parseFloat((deliveriesCompleted * config.efficiencyBonus).toFixed(2));
+  }
+
+  /**
+   * Pay the batch bonus for each delivery beyond the threshold in a batch
+   * @param {Array} batches - Completed delivery batches
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Bonus amount
+   */
+  calculateBatchBonus(batches, config) {
+    const extraDeliveries = batches.reduce(
+      (sum, batch) => sum + Math.max(0, (batch.deliveryCount || 0) - config.batchDeliveryThreshold),
+      0
+    );
+    return parseFloat((extraDeliveries * config.batchDeliveryBonus).toFixed(2));
+  }
+
+  /**
+   * Calculate the customer satisfaction bonus
+   * @param {number} averageRating - Average customer rating for the period
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Bonus amount
+   */
+  calculateSatisfactionBonus(averageRating, config) {
+    return averageRating >= config.satisfactionRatingThreshold ? config.satisfactionWeeklyBonus : 0;
+  }
+
+  /**
+   * Pay each retention milestone whose anniversary falls inside the pay period
+   * @param {Date} hiredAt - When the driver joined
+   * @param {Date} periodStart - Pay period start
+   * @param {Date} periodEnd - Pay period end
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Bonus amount
+   */
+  calculateRetentionBonus(hiredAt, periodStart, periodEnd, config) {
+    const milestones = [
+      [config.retentionMilestone1Months, config.retentionMilestone1Bonus],
+      [config.retentionMilestone2Months, config.retentionMilestone2Bonus],
+      [config.retentionMilestone3Months, config.retentionMilestone3Bonus]
+    ];
+
+    return milestones.reduce((sum, [months, bonus]) => {
+      const milestoneDate = new Date(hiredAt);
+      milestoneDate.setMonth(milestoneDate.getMonth() + months);
+      return milestoneDate >= periodStart && milestoneDate <= periodEnd ? sum + bonus : sum;
+    }, 0);
+  }
+
+  /**
+   * Add the surcharges for any special conditions that applied
+   * @param {Object} conditions - { isRemoteArea, isDifficultAccess, isWeekendHoliday, isAfterHours }
+   * @param {Object} config - Compensation configuration
+   * @returns {number} Surcharge amount
+   */
+  calculateSpecialConditions(conditions, config) {
+    let amount = 0;
+    if (conditions.isRemoteArea) amount += config.remoteAreaSurcharge;
+    if (conditions.isDifficultAccess) amount += config.difficultAccessSurcharge;
+    if (conditions.isWeekendHoliday) amount += config.weekendHolidaySurcharge;
+    if (conditions.isAfterHours) amount += config.afterHoursSurcharge;
+    return parseFloat(amount.toFixed(2));
+  }
 }
 
 module.exports = new DriverCompensationService();
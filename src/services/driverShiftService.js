@@ -0,0 +1,804 @@
+/**
+ * Driver Shift Service
+ *
+ * Driver shifts, breaks and online status:
+ * - Drivers (or admins for them) plan shifts ahead. Going online starts the
+ *   planned shift due now, or an unplanned one if none is; going offline
+ *   ends it. Planned shifts nobody started are marked missed once they end.
+ * - While online a driver can take breaks; time on a break isn't worked.
+ * - Each driver's DriverStatus keeps their state and last known location,
+ *   updated by the driver app and by delivery tracking pings.
+ * - Drivers who forget to go offline are taken offline by a worker: when
+ *   they haven't reported their location for AUTO_OFFLINE_MINUTES, their
+ *   shift ends when they were last seen, and when a shift reaches
+ *   MAX_SHIFT_HOURS it ends there.
+ * - The hours report compares planned with worked hours, and worked hours
+ *   are what drivers are paid hourly for (see driverCompensationService).
+ *   No shift counts for more than MAX_SHIFT_HOURS, including unplanned
+ *   shifts and shifts still open.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const notificationService = require('./notificationService');
+
+const SHIFT_CONSTANTS = {
+  // Going online this long before a planned shift starts it
+  EARLY_START_MINUTES: 30,
+  // Starting a planned shift later than this counts as a late start
+  LATE_START_GRACE_MINUTES: 5,
+  MAX_SHIFT_HOURS: 12,
+  // Online drivers who haven't reported their location for this long aren't
+  // offered work (see dispatchService)
+  LOCATION_STALE_MINUTES: 15,
+  // Online drivers who haven't reported their location for this long are taken offline
+  AUTO_OFFLINE_MINUTES: 60,
+  AUTO_OFFLINE_INTERVAL_MS: 5 * 60 * 1000,
+  STATUSES: ['offline', 'online', 'on_break'],
+  SHIFT_STATUSES: ['scheduled', 'active', 'completed', 'cancelled', 'missed']
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let autoOfflineTimer = null;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const shiftError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Milliseconds two time ranges overlap
+ * @param {Date} start - First range start
+ * @param {Date} end - First range end
+ * @param {Date} rangeStart - Second range start
+ * @param {Date} rangeEnd - Second range end
+ * @returns {Number} Overlap in milliseconds
+ */
+const overlapMs = (start, end, rangeStart, rangeEnd) => Math.max(
+  0,
+  Math.min(new Date(end).getTime(), new Date(rangeEnd).getTime()) -
+  Math.max(new Date(start).getTime(), new Date(rangeStart).getTime())
+);
+
+/**
+ * Convert milliseconds to hours, to two decimals
+ * @param {Number} ms - Milliseconds
+ * @returns {Number} Hours
+ */
+const toHours = (ms) => Math.round(ms / HOUR_MS * 100) / 100;
+
+/**
+ * The latest a shift counts as worked: when it ended, or now while it is
+ * still open, but never more than MAX_SHIFT_HOURS after it started
+ * @param {Object} shift - DriverShift with actualStart
+ * @param {Date} now - Current time
+ * @returns {Date} Payable end
+ */
+const payableEnd = (shift, now) => new Date(Math.min(
+  new Date(shift.actualEnd || now).getTime(),
+  new Date(shift.actualStart).getTime() + SHIFT_CONSTANTS.MAX_SHIFT_HOURS * HOUR_MS
+));
+
+/**
+ * Mark planned shifts that ended without the driver going online as missed
+ * @param {Date} now - Current time
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Number>} Shifts marked missed
+ */
+const markMissedShifts = async (now = new Date(), transaction = null) => {
+  const { DriverShift } = require('../models/driverShift');
+
+  const [missed] = await DriverShift.update(
+    { status: 'missed' },
+    { where: { status: 'scheduled', plannedEnd: { [Op.lte]: now } }, transaction }
+  );
+  return missed;
+};
+
+/**
+ * Check who may manage a driver's shifts: admins, or the driver themselves
+ * @param {Object} actor - { userId, role }
+ * @param {String} driverId - Driver the shift is for
+ * @throws {Error} 403 for anyone else
+ */
+const assertCanManage = (actor, driverId) => {
+  if (actor.role !== 'admin' && actor.userId !== driverId) {
+    throw shiftError('You can only manage your own shifts', 403);
+  }
+};
+
+/**
+ * Check a planned shift's times and that it doesn't overlap the driver's other shifts
+ * @param {String} driverId - Driver
+ * @param {Date} plannedStart - Planned start
+ * @param {Date} plannedEnd - Planned end
+ * @param {String} excludeId - Shift being changed, if any
+ * @throws {Error} 400 for invalid times, 409 for overlaps
+ */
+const assertPlannable = async (driverId, plannedStart, plannedEnd, excludeId = null) => {
+  const { DriverShift } = require('../models/driverShift');
+
+  if (plannedEnd <= plannedStart) {
+    throw shiftError('A shift must end after it starts', 400);
+  }
+  if (plannedEnd - plannedStart > SHIFT_CONSTANTS.MAX_SHIFT_HOURS * HOUR_MS) {
+    throw shiftError(`Shifts can be at most ${SHIFT_CONSTANTS.MAX_SHIFT_HOURS} hours long`, 400);
+  }
+  if (plannedEnd <= new Date()) {
+    throw shiftError('Shifts can only be planned for the future', 400);
+  }
+
+  const where = {
+    driverId,
+    status: ['scheduled', 'active'],
+    plannedStart: { [Op.lt]: plannedEnd },
+    plannedEnd: { [Op.gt]: plannedStart }
+  };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const overlapping = await DriverShift.findOne({ where });
+  if (overlapping) {
+    throw shiftError('This shift overlaps another shift', 409);
+  }
+};
+
+/**
+ * List shifts. Drivers see their own; admins see everyone's or one driver's.
+ * @param {Object} actor - { userId, role }
+ * @param {Object} filters - { driverId, from, to, status }
+ * @returns {Promise<Array>} Shifts with their breaks, soonest first
+ */
+const listShifts = async (actor, { driverId, from, to, status } = {}) => {
+  const { DriverShift, DriverBreak } = require('../models/driverShift');
+  const { User } = require('../models/user');
+
+  await markMissedShifts();
+
+  const where = {};
+  if (actor.role !== 'admin') {
+    where.driverId = actor.userId;
+  } else if (driverId) {
+    where.driverId = driverId;
+  }
+  if (status) {
+    where.status = status;
+  }
+  // A shift is in the range if it was planned or worked in it
+  if (from || to) {
+    const inRange = (field) => ({
+      [field]: {
+        ...(from ? { [Op.gte]: new Date(from) } : {}),
+        ...(to ? { [Op.lt]: new Date(to) } : {})
+      }
+    });
+    where[Op.or] = [inRange('plannedStart'), inRange('actualStart')];
+  }
+
+  return DriverShift.findAll({
+    where,
+    include: [
+      { model: DriverBreak, as: 'Breaks' },
+      { model: User, as: 'Driver', attributes: ['id', 'firstName', 'lastName'] }
+    ],
+    order: [[sequelize.fn('COALESCE', sequelize.col('plannedStart'), sequelize.col('actualStart')), 'ASC']]
+  });
+};
+
+/**
+ * Plan a shift
+ * @param {Object} actor - { userId, role }
+ * @param {Object} data - { driverId (admins; defaults to the actor), plannedStart, plannedEnd, notes }
+ * @returns {Promise<Object>} DriverShift
+ * @throws {Error} 400, 403, 404 for unknown drivers, 409 for overlaps
+ */
+const createShift = async (actor, { driverId, plannedStart, plannedEnd, notes }) => {
+  const { DriverShift } = require('../models/driverShift');
+  const { User } = require('../models/user');
+
+  const shiftDriverId = driverId || actor.userId;
+  assertCanManage(actor, shiftDriverId);
+
+  const driver = await User.findOne({ where: { id: shiftDriverId, role: 'driver' }, attributes: ['id'] });
+  if (!driver) {
+    throw shiftError('Driver not found', 404);
+  }
+
+  const start = new Date(plannedStart);
+  const end = new Date(plannedEnd);
+  await assertPlannable(shiftDriverId, start, end);
+
+  const shift = await DriverShift.create({
+    driverId: shiftDriverId,
+    plannedStart: start,
+    plannedEnd: end,
+    notes: notes || null,
+    createdBy: actor.userId
+  });
+
+  logger.info(`Shift ${shift.id} planned for driver ${shiftDriverId}: ${start.toISOString()} to ${end.toISOString()}`);
+  return shift;
+};
+
+/**
+ * Get a shift the actor may manage
+ * @param {Object} actor - { userId, role }
+ * @param {String} shiftId - DriverShift ID
+ * @returns {Promise<Object>} DriverShift
+ * @throws {Error} 404 if not found, 403 for other drivers' shifts
+ */
+const getShift = async (actor, shiftId) => {
+  const { DriverShift, DriverBreak } = require('../models/driverShift');
+
+  const shift = await DriverShift.findByPk(shiftId, {
+    include: [{ model: DriverBreak, as: 'Breaks' }]
+  });
+  if (!shift) {
+    throw shiftError('Shift not found', 404);
+  }
+  assertCanManage(actor, shift.driverId);
+  return shift;
+};
+
+/**
+ * Change a planned shift's times or notes; shifts already started can't be changed
+ * @param {Object} actor - { userId, role }
+ * @param {String} shiftId - DriverShift ID
+ * @param {Object} changes - { plannedStart, plannedEnd, notes }
+ * @returns {Promise<Object>} DriverShift
+ * @throws {Error} 400, 403, 404, or 409 for started shifts and overlaps
+ */
+const updateShift = async (actor, shiftId, changes) => {
+  const shift = await getShift(actor, shiftId);
+  if (shift.status !== 'scheduled') {
+    throw shiftError(`A ${shift.status} shift can't be changed`, 409);
+  }
+
+  const start = changes.plannedStart ? new Date(changes.plannedStart) : shift.plannedStart;
+  const end = changes.plannedEnd ? new Date(changes.plannedEnd) : shift.plannedEnd;
+  await assertPlannable(shift.driverId, start, end, shift.id);
+
+  return shift.update({
+    plannedStart: start,
+    plannedEnd: end,
+    notes: changes.notes !== undefined ? changes.notes || null : shift.notes
+  });
+};
+
+/**
+ * Cancel a planned shift
+ * @param {Object} actor - { userId, role }
+ * @param {String} shiftId - DriverShift ID
+ * @returns {Promise<Object>} DriverShift
+ * @throws {Error} 403, 404, or 409 for shifts already started
+ */
+const cancelShift = async (actor, shiftId) => {
+  const shift = await getShift(actor, shiftId);
+  if (shift.status !== 'scheduled') {
+    throw shiftError(`A ${shift.status} shift can't be cancelled`, 409);
+  }
+
+  await shift.update({ status: 'cancelled' });
+  logger.info(`Shift ${shift.id} for driver ${shift.driverId} cancelled by ${actor.userId}`);
+  return shift;
+};
+
+/**
+ * Get a driver's status row, locked, creating it (offline) if they have none
+ * @param {String} driverId - Driver
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} DriverStatus
+ */
+const lockStatus = async (driverId, transaction) => {
+  const { DriverStatus } = require('../models/driverShift');
+
+  await DriverStatus.findOrCreate({
+    where: { driverId },
+    defaults: { driverId, status: 'offline' },
+    transaction
+  });
+  return DriverStatus.findByPk(driverId, { transaction, lock: transaction.LOCK.UPDATE });
+};
+
+/**
+ * Get a driver's current status, shift and open break
+ * @param {String} driverId - Driver
+ * @returns {Promise<Object>} { status, location, locationUpdatedAt, statusChangedAt, shift, currentBreak }
+ */
+const getStatus = async (driverId) => {
+  const { DriverStatus, DriverShift, DriverBreak } = require('../models/driverShift');
+
+  const status = await DriverStatus.findByPk(driverId, {
+    include: [{ model: DriverShift, as: 'Shift', include: [{ model: DriverBreak, as: 'Breaks' }] }]
+  });
+  if (!status) {
+    return { status: 'offline', location: null, locationUpdatedAt: null, statusChangedAt: null, shift: null, currentBreak: null };
+  }
+
+  const shift = status.status !== 'offline' ? status.Shift : null;
+  return {
+    status: status.status,
+    location: status.latitude !== null && status.longitude !== null
+      ? { latitude: status.latitude, longitude: status.longitude }
+      : null,
+    locationUpdatedAt: status.locationUpdatedAt,
+    statusChangedAt: status.statusChangedAt,
+    shift,
+    currentBreak: shift && shift.Breaks ? shift.Breaks.find(item => !item.endedAt) || null : null
+  };
+};
+
+/**
+ * Go online, starting the planned shift due now or an unplanned one
+ * @param {String} driverId - Driver
+ * @param {Object} location - Optional { latitude, longitude }
+ * @returns {Promise<Object>} Status (see getStatus)
+ * @throws {Error} 409 if already online
+ */
+const goOnline = async (driverId, location = null) => {
+  const { DriverShift } = require('../models/driverShift');
+
+  await sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const status = await lockStatus(driverId, transaction);
+    if (status.status !== 'offline') {
+      throw shiftError('You are already online', 409);
+    }
+
+    await markMissedShifts(now, transaction);
+
+    let shift = await DriverShift.findOne({
+      where: {
+        driverId,
+        status: 'scheduled',
+        plannedStart: { [Op.lte]: new Date(now.getTime() + SHIFT_CONSTANTS.EARLY_START_MINUTES * 60 * 1000) },
+        plannedEnd: { [Op.gt]: now }
+      },
+      order: [['plannedStart', 'ASC']],
+      transaction
+    });
+
+    if (shift) {
+      await shift.update({ status: 'active', actualStart: now }, { transaction });
+    } else {
+      shift = await DriverShift.create({
+        driverId,
+        status: 'active',
+        actualStart: now,
+        createdBy: driverId
+      }, { transaction });
+    }
+
+    await status.update({
+      status: 'online',
+      shiftId: shift.id,
+      statusChangedAt: now,
+      ...(location ? { latitude: location.latitude, longitude: location.longitude, locationUpdatedAt: now } : {})
+    }, { transaction });
+
+    logger.info(`Driver ${driverId} went online (shift ${shift.id}${shift.plannedStart ? '' : ', unplanned'})`);
+  });
+
+  return getStatus(driverId);
+};
+
+/**
+ * Take a driver offline, ending their shift and any open break at a given time
+ * @param {Object} status - The driver's DriverStatus, locked
+ * @param {Date} endAt - When the shift ended
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<String|null>} ID of the shift ended
+ */
+const endShift = async (status, endAt, transaction) => {
+  const { DriverShift, DriverBreak } = require('../models/driverShift');
+
+  if (status.shiftId) {
+    await DriverBreak.update(
+      { endedAt: endAt },
+      { where: { shiftId: status.shiftId, endedAt: null }, transaction }
+    );
+    await DriverShift.update(
+      { status: 'completed', actualEnd: endAt },
+      { where: { id: status.shiftId }, transaction }
+    );
+  }
+
+  const endedShiftId = status.shiftId;
+  await status.update({ status: 'offline', shiftId: null, statusChangedAt: new Date() }, { transaction });
+  return endedShiftId;
+};
+
+/**
+ * Go offline, ending the current shift and any open break
+ * @param {String} driverId - Driver
+ * @returns {Promise<Object>} Status (see getStatus), with the shift just ended
+ * @throws {Error} 409 if already offline
+ */
+const goOffline = async (driverId) => {
+  const { DriverShift, DriverBreak } = require('../models/driverShift');
+
+  const shiftId = await sequelize.transaction(async (transaction) => {
+    const status = await lockStatus(driverId, transaction);
+    if (status.status === 'offline') {
+      throw shiftError('You are already offline', 409);
+    }
+
+    return endShift(status, new Date(), transaction);
+  });
+
+  logger.info(`Driver ${driverId} went offline (shift ${shiftId})`);
+
+  const result = await getStatus(driverId);
+  result.shift = shiftId
+    ? await DriverShift.findByPk(shiftId, { include: [{ model: DriverBreak, as: 'Breaks' }] })
+    : null;
+  return result;
+};
+
+/**
+ * Start a break; the driver isn't offered work until it ends
+ * @param {String} driverId - Driver
+ * @returns {Promise<Object>} Status (see getStatus)
+ * @throws {Error} 409 unless online
+ */
+const startBreak = async (driverId) => {
+  const { DriverBreak } = require('../models/driverShift');
+
+  await sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const status = await lockStatus(driverId, transaction);
+    if (status.status !== 'online') {
+      throw shiftError(status.status === 'on_break' ? 'You are already on a break' : 'Go online before taking a break', 409);
+    }
+
+    await DriverBreak.create({ shiftId: status.shiftId, driverId, startedAt: now }, { transaction });
+    await status.update({ status: 'on_break', statusChangedAt: now }, { transaction });
+  });
+
+  return getStatus(driverId);
+};
+
+/**
+ * End the current break
+ * @param {String} driverId - Driver
+ * @returns {Promise<Object>} Status (see getStatus)
+ * @throws {Error} 409 unless on a break
+ */
+const endBreak = async (driverId) => {
+  const { DriverBreak } = require('../models/driverShift');
+
+  await sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const status = await lockStatus(driverId, transaction);
+    if (status.status !== 'on_break') {
+      throw shiftError('You are not on a break', 409);
+    }
+
+    await DriverBreak.update(
+      { endedAt: now },
+      { where: { shiftId: status.shiftId, endedAt: null }, transaction }
+    );
+    await status.update({ status: 'online', statusChangedAt: now }, { transaction });
+  });
+
+  return getStatus(driverId);
+};
+
+/**
+ * Record a driver's last known location. Older positions than the one stored are ignored.
+ * @param {String} driverId - Driver
+ * @param {Object} location - { latitude, longitude }
+ * @param {Date} timestamp - When the position was taken (default now)
+ * @returns {Promise<void>}
+ */
+const updateLocation = async (driverId, { latitude, longitude }, timestamp = new Date()) => {
+  const { DriverStatus } = require('../models/driverShift');
+
+  const takenAt = new Date(timestamp);
+  const [status, created] = await DriverStatus.findOrCreate({
+    where: { driverId },
+    defaults: { driverId, status: 'offline', latitude, longitude, locationUpdatedAt: takenAt }
+  });
+
+  if (!created && (!status.locationUpdatedAt || new Date(status.locationUpdatedAt) < takenAt)) {
+    await status.update({ latitude, longitude, locationUpdatedAt: takenAt });
+  }
+};
+
+/**
+ * Drivers online now (not on a break) whose location is recent
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} DriverStatus rows with their Shift
+ */
+const getOnlineDrivers = async (now = new Date()) => {
+  const { DriverStatus, DriverShift } = require('../models/driverShift');
+  const { User } = require('../models/user');
+
+  return DriverStatus.findAll({
+    where: {
+      status: 'online',
+      locationUpdatedAt: { [Op.gte]: new Date(now.getTime() - SHIFT_CONSTANTS.LOCATION_STALE_MINUTES * 60 * 1000) }
+    },
+    include: [
+      { model: DriverShift, as: 'Shift' },
+      { model: User, as: 'Driver', where: { role: 'driver', status: 'active' }, attributes: ['id'] }
+    ]
+  });
+};
+
+/**
+ * List the drivers who are online or on a break (admins)
+ * @returns {Promise<Array>} DriverStatus rows with the driver and shift
+ */
+const listActiveDrivers = async () => {
+  const { DriverStatus, DriverShift } = require('../models/driverShift');
+  const { User } = require('../models/user');
+
+  return DriverStatus.findAll({
+    where: { status: ['online', 'on_break'] },
+    include: [
+      { model: DriverShift, as: 'Shift' },
+      { model: User, as: 'Driver', attributes: ['id', 'firstName', 'lastName'] }
+    ],
+    order: [['statusChangedAt', 'ASC']]
+  });
+};
+
+/**
+ * Planned and worked hours per driver for a period. Shifts still going count
+ * up to now; breaks aren't worked time. A shift counts for at most
+ * MAX_SHIFT_HOURS; cappedShifts are the shifts that ran longer.
+ * @param {Object} options - { from, to, driverId }
+ * @returns {Promise<Object>} { from, to, drivers: [{ driverId, driverName, plannedHours,
+ *   workedHours, breakHours, varianceHours, shiftCount, workedShifts, unplannedShifts, missedShifts,
+ *   lateStarts, cappedShifts }] }
+ */
+const getHoursReport = async ({ from, to, driverId = null }) => {
+  const { DriverShift, DriverBreak } = require('../models/driverShift');
+  const { User } = require('../models/user');
+
+  const now = new Date();
+  const periodStart = new Date(from);
+  const periodEnd = new Date(to);
+  await markMissedShifts(now);
+
+  const where = {
+    status: { [Op.ne]: 'cancelled' },
+    [Op.or]: [
+      { plannedStart: { [Op.lt]: periodEnd }, plannedEnd: { [Op.gt]: periodStart } },
+      {
+        actualStart: { [Op.lt]: periodEnd },
+        [Op.or]: [{ actualEnd: null }, { actualEnd: { [Op.gt]: periodStart } }]
+      }
+    ]
+  };
+  if (driverId) {
+    where.driverId = driverId;
+  }
+
+  const shifts = await DriverShift.findAll({
+    where,
+    include: [
+      { model: DriverBreak, as: 'Breaks' },
+      { model: User, as: 'Driver', attributes: ['id', 'firstName', 'lastName'] }
+    ]
+  });
+
+  const byDriver = new Map();
+  shifts.forEach(shift => {
+    if (!byDriver.has(shift.driverId)) {
+      byDriver.set(shift.driverId, {
+        driverId: shift.driverId,
+        driverName: shift.Driver ? `${shift.Driver.firstName} ${shift.Driver.lastName}` : null,
+        plannedMs: 0,
+        workedMs: 0,
+        breakMs: 0,
+        shiftCount: 0,
+        workedShifts: 0,
+        unplannedShifts: 0,
+        missedShifts: 0,
+        lateStarts: 0,
+        cappedShifts: 0
+      });
+    }
+    const row = byDriver.get(shift.driverId);
+    row.shiftCount += 1;
+
+    if (shift.plannedStart) {
+      row.plannedMs += overlapMs(shift.plannedStart, shift.plannedEnd, periodStart, periodEnd);
+    } else {
+      row.unplannedShifts += 1;
+    }
+    if (shift.status === 'missed') {
+      row.missedShifts += 1;
+    }
+
+    if (shift.actualStart) {
+      row.workedShifts += 1;
+      const shiftEnd = payableEnd(shift, now);
+      if (shiftEnd < new Date(shift.actualEnd || now)) {
+        row.cappedShifts += 1;
+      }
+      const breakMs = (shift.Breaks || []).reduce((sum, item) => sum + overlapMs(
+        item.startedAt, Math.min(new Date(item.endedAt || shiftEnd).getTime(), shiftEnd.getTime()), periodStart, periodEnd
+      ), 0);
+      row.breakMs += breakMs;
+      row.workedMs += Math.max(0, overlapMs(shift.actualStart, shiftEnd, periodStart, periodEnd) - breakMs);
+
+      if (shift.plannedStart && new Date(shift.actualStart) - new Date(shift.plannedStart) >
+        SHIFT_CONSTANTS.LATE_START_GRACE_MINUTES * 60 * 1000) {
+        row.lateStarts += 1;
+      }
+    }
+  });
+
+  const drivers = [...byDriver.values()].map(({ plannedMs, workedMs, breakMs, ...row }) => ({
+    ...row,
+    plannedHours: toHours(plannedMs),
+    workedHours: toHours(workedMs),
+    breakHours: toHours(breakMs),
+    varianceHours: toHours(workedMs - plannedMs)
+  }));
+
+  return { from: periodStart, to: periodEnd, drivers };
+};
+
+/**
+ * Hours a driver worked in a period, for pay
+ * @param {String} driverId - Driver
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @returns {Promise<Object>} { workedHours, plannedHours, workedShifts }
+ */
+const getWorkedHours = async (driverId, from, to) => {
+  const report = await getHoursReport({ from, to, driverId });
+  const row = report.drivers[0];
+  return row
+    ? { workedHours: row.workedHours, plannedHours: row.plannedHours, workedShifts: row.workedShifts }
+    : { workedHours: 0, plannedHours: 0, workedShifts: 0 };
+};
+
+/**
+ * When an online driver's shift should have ended, if they have stopped
+ * reporting their location or the shift has run for MAX_SHIFT_HOURS
+ * @param {Object} status - DriverStatus
+ * @param {Object} shift - The driver's current DriverShift, or null
+ * @param {Date} now - Current time
+ * @returns {Object|null} { endAt, reason }, or null while the shift is still going
+ */
+const abandonedShiftEnd = (status, shift, now) => {
+  // Going online counts as being seen, even without a location
+  const lastSeen = Math.max(
+    status.locationUpdatedAt ? new Date(status.locationUpdatedAt).getTime() : 0,
+    status.statusChangedAt ? new Date(status.statusChangedAt).getTime() : 0
+  );
+  const maxEnd = shift && shift.actualStart
+    ? new Date(shift.actualStart).getTime() + SHIFT_CONSTANTS.MAX_SHIFT_HOURS * HOUR_MS
+    : Infinity;
+
+  if (now.getTime() - lastSeen >= SHIFT_CONSTANTS.AUTO_OFFLINE_MINUTES * 60 * 1000) {
+    return { endAt: new Date(Math.min(lastSeen, maxEnd)), reason: 'location_stale' };
+  }
+  if (maxEnd <= now.getTime()) {
+    return { endAt: new Date(maxEnd), reason: 'max_shift_length' };
+  }
+  return null;
+};
+
+/**
+ * Take drivers offline who have stopped reporting their location or whose
+ * shift has run for MAX_SHIFT_HOURS. Their shift ends when they were last
+ * seen, or at MAX_SHIFT_HOURS, whichever came first.
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Drivers taken offline
+ */
+const endAbandonedShifts = async (now = new Date()) => {
+  const { DriverStatus, DriverShift } = require('../models/driverShift');
+
+  const statuses = await DriverStatus.findAll({
+    where: { status: ['online', 'on_break'] },
+    include: [{ model: DriverShift, as: 'Shift' }]
+  });
+
+  let ended = 0;
+  for (const candidate of statuses) {
+    if (!abandonedShiftEnd(candidate, candidate.Shift, now)) {
+      continue;
+    }
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        // The driver may have gone offline, or reported in, since the lookup
+        const status = await lockStatus(candidate.driverId, transaction);
+        if (status.status === 'offline' || status.shiftId !== candidate.shiftId) {
+          return null;
+        }
+        const end = abandonedShiftEnd(status, candidate.Shift, now);
+        if (!end) {
+          return null;
+        }
+        return { ...end, shiftId: await endShift(status, end.endAt, transaction) };
+      });
+      if (!result) {
+        continue;
+      }
+
+      ended += 1;
+      logger.info(`Driver ${candidate.driverId} taken offline (${result.reason}), shift ${result.shiftId} ended at ${result.endAt.toISOString()}`);
+      await notificationService.notify(candidate.driverId, 'shift_ended_automatically', {
+        reason: result.reason,
+        endedAt: result.endAt.toISOString(),
+        maxShiftHours: SHIFT_CONSTANTS.MAX_SHIFT_HOURS,
+        autoOfflineMinutes: SHIFT_CONSTANTS.AUTO_OFFLINE_MINUTES
+      }, { dedupeKey: `shift_ended_automatically:${candidate.driverId}:${result.endAt.getTime()}` }).catch(error => {
+        logger.error(`Failed to notify driver ${candidate.driverId} of their shift ending: ${error.message}`);
+      });
+    } catch (error) {
+      logger.error(`Failed to take driver ${candidate.driverId} offline: ${error.message}`);
+    }
+  }
+
+  return ended;
+};
+
+/**
+ * Start the periodic job that takes absent drivers offline
+ */
+const startAutoOfflineWorker = () => {
+  if (autoOfflineTimer) {
+    return;
+  }
+
+  autoOfflineTimer = setInterval(() => {
+    endAbandonedShifts().catch(error => {
+      logger.error(`Auto-offline worker failed: ${error.message}`);
+    });
+  }, SHIFT_CONSTANTS.AUTO_OFFLINE_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  autoOfflineTimer.unref();
+  logger.info('Auto-offline worker started');
+};
+
+/**
+ * Stop the periodic auto-offline job
+ */
+const stopAutoOfflineWorker = () => {
+  if (autoOfflineTimer) {
+    clearInterval(autoOfflineTimer);
+    autoOfflineTimer = null;
+  }
+};
+
+module.exports = {
+  SHIFT_CONSTANTS,
+  listShifts,
+  getShift,
+  createShift,
+  updateShift,
+  cancelShift,
+  lockStatus,
+  getStatus,
+  goOnline,
+  goOffline,
+  startBreak,
+  endBreak,
+  updateLocation,
+  getOnlineDrivers,
+  listActiveDrivers,
+  getHoursReport,
+  getWorkedHours,
+  endAbandonedShifts,
+  startAutoOfflineWorker,
+  stopAutoOfflineWorker
+};
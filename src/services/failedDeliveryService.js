@@ -0,0 +1,634 @@
+/**
+ * Failed Delivery Service
+ *
+ * Handles deliveries a driver couldn't complete. The driver records why
+ * (no access, customer absent, damaged or another reason) and what happens to
+ * the goods, item by item: everything goes back to the farm, except that the
+ * driver may donate the perishable items instead. Donated items are refunded
+ * straight away. The customer is told and chooses between a redelivery of
+ * the rest in a new slot and a refund; when a redelivery isn't possible
+ * (damaged goods, everything donated, or no attempts left) the refund is made
+ * straight away, and customers who haven't decided within the failedDelivery
+ * decisionTimeoutHours setting are refunded by a worker.
+ *
+ * Refunds are at the platform's expense, so farms keep their earnings. When
+ * the customer was at fault (not there, or no access) the refund keeps the
+ * delivery fee, per the failedDelivery system settings. Every attempt,
+ * delivered or failed, is recorded as a DeliveryAttempt.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const orderStateMachine = require('./orderStateMachine');
+const fulfillmentService = require('./fulfillmentService');
+const deliverySlotService = require('./deliverySlotService');
+const deliveryProofService = require('./deliveryProofService');
+const deliveryTrackingService = require('./deliveryTrackingService');
+const driverShiftService = require('./driverShiftService');
+const notificationService = require('./notificationService');
+const refundService = require('./refundService');
+const systemSettingsService = require('./systemSettingsService');
+
+// Failed delivery configuration
+const FAILED_DELIVERY_CONSTANTS = {
+  FAILURE_REASONS: ['no_access', 'customer_absent', 'damaged', 'other'],
+  // Failures the customer is responsible for
+  CUSTOMER_FAULT_REASONS: ['no_access', 'customer_absent'],
+  DISPOSITIONS: ['return_to_farm', 'donate'],
+  // Order statuses a redelivery sends back to ready
+  RETURNABLE_ORDER_STATUSES: ['picked_up', 'out_for_delivery'],
+  DECISION_WORKER_INTERVAL_MS: 15 * 60 * 1000
+};
+
+let decisionTimer = null;
+
+// How failure reasons read in messages
+const REASON_LABELS = {
+  no_access: 'we couldn\'t get access to the address',
+  customer_absent: 'nobody was there to take the order',
+  damaged: 'the order was damaged',
+  other: 'something went wrong'
+};
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const failedDeliveryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * When a failed attempt the customer hasn't decided on is refunded automatically
+ * @param {Object} attempt - Failed DeliveryAttempt
+ * @param {Object} settings - failedDelivery system settings
+ * @returns {Date} Deadline
+ */
+const decisionDeadline = (attempt, settings) => new Date(
+  new Date(attempt.attemptedAt).getTime() + settings.decisionTimeoutHours * 60 * 60 * 1000
+);
+
+/**
+ * Decide what happens to each item of a failed attempt: with a donation, the
+ * perishable items are donated and the rest goes back to the farm
+ * @param {Array} items - OrderItems still being delivered, with Product
+ * @param {String} disposition - 'return_to_farm' or 'donate'
+ * @returns {Object} { itemDispositions, goodsDisposition } where goodsDisposition sums
+ *   them up as return_to_farm, donate or partial_donation
+ */
+const disposeItems = (items, disposition) => {
+  const itemDispositions = items.map(item => ({
+    orderItemId: item.id,
+    farmId: item.farmId,
+    productName: item.productName,
+    disposition: disposition === 'donate' && (!item.Product || item.Product.isPerishable) ? 'donate' : 'return_to_farm'
+  }));
+
+  const donated = itemDispositions.filter(item => item.disposition === 'donate').length;
+  let goodsDisposition = 'partial_donation';
+  if (donated === 0) {
+    goodsDisposition = 'return_to_farm';
+  } else if (donated === itemDispositions.length) {
+    goodsDisposition = 'donate';
+  }
+
+  return { itemDispositions, goodsDisposition };
+};
+
+/**
+ * Items of a failed attempt that were donated
+ * @param {Object} attempt - Failed DeliveryAttempt
+ * @returns {Array} Item dispositions
+ */
+const donatedItems = (attempt) => (attempt.itemDispositions || []).filter(item => item.disposition === 'donate');
+
+/**
+ * Whether a failed attempt's order can be delivered again
+ * @param {Object} attempt - Failed DeliveryAttempt
+ * @param {Object} settings - failedDelivery system settings
+ * @returns {Boolean} True if a redelivery can be booked
+ */
+const canRedeliver = (attempt, settings) => attempt.failureReason !== 'damaged' &&
+  attempt.goodsDisposition !== 'donate' &&
+  attempt.attemptNumber < settings.maxAttempts;
+
+/**
+ * Amount the customer gets back if they choose a refund
+ * @param {Object} order - Order instance
+ * @param {Object} attempt - Failed DeliveryAttempt
+ * @param {Object} settings - failedDelivery system settings
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} { amount, feeKept }
+ */
+const refundQuote = async (order, attempt, settings, transaction = null) => {
+  if (order.paymentStatus !== 'paid') {
+    return { amount: 0, feeKept: false };
+  }
+
+  const refundable = await refundService.getRefundableAmount(order, transaction);
+  const fee = parseFloat(order.deliveryFee) || 0;
+  const feeKept = settings.keepDeliveryFeeOnCustomerFault && fee > 0 &&
+    FAILED_DELIVERY_CONSTANTS.CUSTOMER_FAULT_REASONS.includes(attempt.failureReason);
+
+  return {
+    amount: roundMoney(Math.max(0, refundable - (feeKept ? fee : 0))),
+    feeKept
+  };
+};
+
+/**
+ * The options open to the customer after a failed attempt
+ * @param {Object} order - Order instance
+ * @param {Object} attempt - Latest DeliveryAttempt
+ * @param {Object} settings - failedDelivery system settings
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} { canRedeliver, refundAmount, feeKept, donatedItems, refundAutomaticallyAt },
+ *   or null once settled
+ */
+const getOptions = async (order, attempt, settings, transaction = null) => {
+  if (!attempt || attempt.outcome !== 'failed' || attempt.resolution) {
+    return null;
+  }
+
+  const { amount, feeKept } = await refundQuote(order, attempt, settings, transaction);
+  return {
+    canRedeliver: canRedeliver(attempt, settings),
+    refundAmount: amount,
+    feeKept,
+    donatedItems: donatedItems(attempt).map(item => item.productName),
+    refundAutomaticallyAt: decisionDeadline(attempt, settings)
+  };
+};
+
+/**
+ * Refund the customer, at the platform's expense, for the items of a failed
+ * attempt that were donated. Items already refunded are skipped, so this can
+ * be retried.
+ * @param {Object} order - Order instance
+ * @param {Object} attempt - Failed DeliveryAttempt
+ * @returns {Promise<Object|null>} { refund, order }, or null if nothing was refunded
+ * @throws {Error} 502 if Stripe rejects the refund
+ */
+const refundDonatedItems = async (order, attempt) => {
+  const donated = donatedItems(attempt);
+  if (donated.length === 0 || order.paymentStatus !== 'paid') {
+    return null;
+  }
+
+  return refundService.refundByPlatform(order.id, null, {
+    reason: `Donated after failed delivery attempt ${attempt.attemptNumber}`,
+    itemIds: donated.map(item => item.orderItemId)
+  });
+};
+
+/**
+ * Load a failed delivery waiting for the customer's decision, locking it and
+ * its latest attempt, and check the actor may decide for it
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object|null} actor - { userId, role }; null for automatic refunds
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { delivery, order, attempt }
+ */
+const lockUnresolved = async (deliveryId, actor, transaction) => {
+  const { Delivery, DeliveryAttempt } = require('../models/delivery');
+  const { Order } = require('../models/order');
+
+  const delivery = await Delivery.findByPk(deliveryId, { lock: transaction.LOCK.UPDATE, transaction });
+  if (!delivery) {
+    throw failedDeliveryError('Delivery not found', 404);
+  }
+
+  const order = await Order.findByPk(delivery.orderId, { lock: transaction.LOCK.UPDATE, transaction });
+  if (actor && actor.role !== 'admin' && order.userId !== actor.userId) {
+    throw failedDeliveryError('You do not have permission to manage this delivery', 403);
+  }
+
+  const attempt = await DeliveryAttempt.findOne({
+    where: { deliveryId },
+    order: [['attemptNumber', 'DESC']],
+    transaction
+  });
+  if (delivery.status !== 'failed' || !attempt || attempt.outcome !== 'failed') {
+    throw failedDeliveryError('This delivery has not failed', 409);
+  }
+  if (attempt.resolution) {
+    throw failedDeliveryError(`This failed delivery was already settled with a ${attempt.resolution}`, 409);
+  }
+
+  return { delivery, order, attempt };
+};
+
+/**
+ * Mark a delivery attempt failed. The goods go back to the farm, or the
+ * perishable items are donated and refunded and the rest goes back; the
+ * customer and farms are told, and when the order can't be redelivered the
+ * customer is refunded straight away.
+ * @param {String} deliveryId - Delivery ID
+ * @param {String} driverId - Driver who made the attempt
+ * @param {Object} failure - { reason, notes, disposition, latitude, longitude }
+ * @returns {Promise<Object>} { delivery, attempt, options }
+ * @throws {Error} 400 for a missing or invalid reason or disposition, 403 if the delivery
+ *   isn't the driver's, 404 if it doesn't exist, 409 if it isn't under way
+ */
+const failDelivery = async (deliveryId, driverId, failure) => {
+  const { Delivery, DeliveryAttempt } = require('../models/delivery');
+  const { Order, OrderItem } = require('../models/order');
+  const { Product } = require('../models/product');
+  const { Farm } = require('../models/farm');
+
+  const { reason, notes = null, latitude = null, longitude = null } = failure;
+  let { disposition = null } = failure;
+
+  if (!FAILED_DELIVERY_CONSTANTS.FAILURE_REASONS.includes(reason)) {
+    throw failedDeliveryError(`Unknown failure reason: ${reason}`, 400);
+  }
+  if (reason === 'other' && !notes) {
+    throw failedDeliveryError('Describe what went wrong in the notes', 400);
+  }
+
+  const { failedDelivery: settings } = await systemSettingsService.getSystemSettings();
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const delivery = await Delivery.findByPk(deliveryId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!delivery) {
+      throw failedDeliveryError('Delivery not found', 404);
+    }
+    if (delivery.driverId !== driverId) {
+      throw failedDeliveryError('You are not assigned to this delivery', 403);
+    }
+    if (!deliveryProofService.PROOF_CONSTANTS.COMPLETABLE_STATUSES.includes(delivery.status)) {
+      throw failedDeliveryError(`A delivery that is ${delivery.status} can't be marked failed`, 409);
+    }
+
+    const order = await Order.findByPk(delivery.orderId, { transaction });
+    const items = await OrderItem.findAll({
+      where: { orderId: order.id },
+      include: [{ model: Product, attributes: ['id', 'isPerishable'] }],
+      transaction
+    });
+    const delivered = items.filter(item => !['cancelled', 'refunded'].includes(item.status));
+
+    // Only perishable items may be donated; everything else goes back to the farm
+    const hasPerishables = delivered.some(item => !item.Product || item.Product.isPerishable);
+    if (!disposition) {
+      disposition = 'return_to_farm';
+    } else if (disposition === 'donate' && !hasPerishables) {
+      throw failedDeliveryError('Only perishable goods can be donated; this order goes back to the farm', 400);
+    }
+    const { itemDispositions, goodsDisposition } = disposeItems(delivered, disposition);
+
+    const now = new Date();
+    const attempt = await DeliveryAttempt.create({
+      deliveryId: delivery.id,
+      orderId: order.id,
+      driverId,
+      attemptNumber: (await DeliveryAttempt.count({ where: { deliveryId: delivery.id }, transaction })) + 1,
+      outcome: 'failed',
+      failureReason: reason,
+      notes,
+      latitude,
+      longitude,
+      goodsDisposition,
+      itemDispositions,
+      attemptedAt: now
+    }, { transaction });
+
+    await delivery.update({ status: 'failed' }, { transaction });
+    await deliveryProofService.closeBatchIfDone(delivery.batchId, now, transaction);
+
+    const options = await getOptions(order, attempt, settings, transaction);
+
+    await notificationService.notify(order.userId, 'delivery_failed', {
+      orderNumber: order.orderNumber,
+      reason: REASON_LABELS[reason],
+      canRedeliver: options.canRedeliver,
+      refundAmount: options.refundAmount,
+      feeKept: options.feeKept,
+      donatedItems: options.donatedItems,
+      decideWithinHours: settings.decisionTimeoutHours
+    }, { transaction, dedupeKey: `delivery_failed:${attempt.id}` });
+
+    const farms = await Farm.findAll({
+      where: { id: [...new Set(delivered.map(item => item.farmId))] },
+      attributes: ['id', 'name', 'farmerId'],
+      transaction
+    });
+    for (const farm of farms) {
+      const farmItems = itemDispositions.filter(item => item.farmId === farm.id);
+      await notificationService.notify(farm.farmerId, 'delivery_goods_returned', {
+        orderNumber: order.orderNumber,
+        reason: REASON_LABELS[reason],
+        farmName: farm.name,
+        donatedItems: farmItems.filter(item => item.disposition === 'donate').map(item => item.productName),
+        returnedItems: farmItems.filter(item => item.disposition === 'return_to_farm').map(item => item.productName)
+      }, { transaction, dedupeKey: `delivery_goods_returned:${attempt.id}:${farm.id}` });
+    }
+
+    return { delivery, order, attempt, options };
+  });
+
+  deliveryTrackingService.publishStatusChange(result.delivery);
+
+  if (latitude !== null && longitude !== null) {
+    try {
+      await driverShiftService.updateLocation(driverId, { latitude, longitude });
+    } catch (error) {
+      logger.warn(`Could not update last known location of driver ${driverId}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Delivery ${deliveryId} attempt ${result.attempt.attemptNumber} failed (${reason}); goods: ${result.attempt.goodsDisposition}`);
+
+  const { order, ...failed } = result;
+
+  // Nothing for the customer to choose: refund them now. Otherwise refund
+  // what was donated, which can't come back either. A failed refund is
+  // retried when the customer decides, or by the decision worker.
+  try {
+    if (!failed.options.canRedeliver) {
+      await refundFailedDelivery(deliveryId, null);
+      failed.attempt = await failed.attempt.reload();
+    } else if (await refundDonatedItems(order, failed.attempt)) {
+      failed.options = await getOptions(order, failed.attempt, settings);
+    }
+  } catch (error) {
+    logger.error(`Automatic refund for failed delivery ${deliveryId} did not go through: ${error.message}`);
+  }
+
+  return failed;
+};
+
+/**
+ * Book a redelivery for a failed delivery. The order goes back to ready with
+ * its goods at the farm, and the delivery is offered to drivers again.
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} actor - { userId, role }: the customer or an admin
+ * @param {Object|null} selection - { windowId, date } of the new slot; not needed where no
+ *   delivery windows cover the address
+ * @returns {Promise<Object>} { delivery, attempt }
+ * @throws {Error} 400/409 if the slot can't be booked, 403 if the actor can't decide for the
+ *   order, 409 if the delivery can't be redelivered or was already settled
+ */
+const redeliver = async (deliveryId, actor, selection = null) => {
+  const { OrderItem } = require('../models/order');
+  const catchWeightService = require('./catchWeightService');
+  const { failedDelivery: settings } = await systemSettingsService.getSystemSettings();
+
+  // Donated items are refunded before the rest goes out again, in case that
+  // didn't go through when the attempt failed
+  const pending = await sequelize.transaction(transaction => lockUnresolved(deliveryId, actor, transaction));
+  if (canRedeliver(pending.attempt, settings)) {
+    await refundDonatedItems(pending.order, pending.attempt);
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const { delivery, order, attempt } = await lockUnresolved(deliveryId, actor, transaction);
+
+    if (!canRedeliver(attempt, settings)) {
+      throw failedDeliveryError('This order can\'t be delivered again; choose a refund instead', 409);
+    }
+
+    // An order still only authorized (its capture failed) must arrive while the authorization holds
+    const latestStart = order.paymentStatus === 'authorized'
+      ? catchWeightService.getAuthorizationDeadline(order.createdAt)
+      : null;
+
+    // The missed slot is given back; addresses that were never geocoded can't
+    // be matched to delivery windows, so they go without one
+    await deliverySlotService.releaseSlot(order, { transaction });
+    let slot = null;
+    if (delivery.deliveryLatitude !== null && delivery.deliveryLongitude !== null) {
+      const items = await OrderItem.findAll({ where: { orderId: order.id }, attributes: ['farmId'], transaction });
+      slot = await deliverySlotService.holdSlot(selection, {
+        address: { latitude: delivery.deliveryLatitude, longitude: delivery.deliveryLongitude },
+        farmIds: items.map(item => item.farmId),
+        latestStart,
+        transaction
+      });
+    }
+
+    // Same rule as checkout: the slot's start, or two days from now
+    let scheduledDeliveryTime = slot ? slot.startsAt : null;
+    if (!scheduledDeliveryTime) {
+      scheduledDeliveryTime = new Date();
+      scheduledDeliveryTime.setDate(scheduledDeliveryTime.getDate() + 2);
+      if (latestStart && scheduledDeliveryTime > latestStart) {
+        throw failedDeliveryError('This order\'s card authorization runs out before it could be delivered again; choose a refund instead', 409);
+      }
+    }
+
+    await order.update({ deliverySlotId: slot ? slot.id : null, scheduledDeliveryTime }, { transaction });
+
+    // The goods are back at the farm, waiting to be picked up again
+    if (FAILED_DELIVERY_CONSTANTS.RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      await orderStateMachine.transitionOrder(order, 'ready', {
+        reason: `Redelivery booked after failed attempt ${attempt.attemptNumber}`,
+        transaction
+      });
+    }
+    // Farms whose items were all donated have nothing to hand over again
+    const dispositions = attempt.itemDispositions || [];
+    const donatedFarmIds = [...new Set(dispositions.map(item => item.farmId))]
+      .filter(farmId => dispositions.every(item => item.farmId !== farmId || item.disposition === 'donate'));
+    await fulfillmentService.returnGroups(order.id, { transaction, donatedFarmIds });
+
+    await delivery.update({
+      status: 'pending',
+      driverId: null,
+      batchId: null,
+      deliverySlotId: slot ? slot.id : null,
+      scheduledDeliveryTime,
+      actualPickupTime: null
+    }, { transaction });
+
+    await attempt.update({
+      resolution: 'redelivery',
+      resolvedAt: new Date(),
+      resolvedBy: actor.userId,
+      redeliverySlotId: slot ? slot.id : null
+    }, { transaction });
+
+    return { delivery, attempt };
+  });
+
+  deliveryTrackingService.publishStatusChange(result.delivery);
+  logger.info(`Redelivery of delivery ${deliveryId} booked by ${actor.role} ${actor.userId} for ${result.delivery.scheduledDeliveryTime.toISOString()}`);
+
+  return result;
+};
+
+/**
+ * Refund the customer for a failed delivery and close the order
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object|null} actor - { userId, role }: the customer or an admin; null when automatic
+ * @returns {Promise<Object>} { attempt, refund, order }
+ * @throws {Error} 403 if the actor can't decide for the order, 409 if the delivery hasn't failed
+ *   or was already settled, 502 if Stripe rejects the refund
+ */
+const refundFailedDelivery = async (deliveryId, actor) => {
+  const { Order } = require('../models/order');
+  const { failedDelivery: settings } = await systemSettingsService.getSystemSettings();
+
+  // Claim the decision first so a redelivery can't be booked while the refund is sent
+  const { order, attempt } = await sequelize.transaction(async (transaction) => {
+    const locked = await lockUnresolved(deliveryId, actor, transaction);
+    await locked.attempt.update({
+      resolution: 'refund',
+      resolvedAt: new Date(),
+      resolvedBy: actor ? actor.userId : null
+    }, { transaction });
+    return locked;
+  });
+
+  const reason = `Failed delivery (attempt ${attempt.attemptNumber}: ${attempt.failureReason})`;
+  let refunded = null;
+  try {
+    if (order.paymentStatus === 'paid') {
+      const { amount } = await refundQuote(order, attempt, settings);
+      refunded = amount > 0 ? await refundService.refundByPlatform(order.id, amount, { reason, actor }) : null;
+    } else if (order.paymentStatus === 'authorized') {
+      const catchWeightService = require('./catchWeightService');
+      await catchWeightService.releaseAuthorization(order);
+    }
+  } catch (error) {
+    // Let the customer or an admin try again
+    await attempt.update({ resolution: null, resolvedAt: null, resolvedBy: null });
+    throw error;
+  }
+
+  if (refunded) {
+    await attempt.update({ refundId: refunded.refund.id });
+  }
+
+  // Refunds that keep the delivery fee don't close the order by themselves
+  let current = await Order.findByPk(order.id);
+  if (orderStateMachine.isValidTransition(current.status, 'refunded')) {
+    ({ order: current } = await orderStateMachine.transitionOrder(current, 'refunded', { reason }));
+  }
+
+  logger.info(`Failed delivery ${deliveryId} settled with a refund of $${refunded ? parseFloat(refunded.refund.amount).toFixed(2) : '0.00'}`);
+
+  return { attempt, refund: refunded ? refunded.refund : null, order: current };
+};
+
+/**
+ * A delivery's attempts, oldest first, with the customer's options while a
+ * failed attempt waits for their decision
+ * @param {String} deliveryId - Delivery ID
+ * @param {Object} actor - { userId, role }
+ * @returns {Promise<Object>} { attempts, options }
+ * @throws {Error} 403 if the actor isn't involved in the delivery, 404 if it doesn't exist
+ */
+const listAttempts = async (deliveryId, actor) => {
+  const { Delivery, DeliveryAttempt } = require('../models/delivery');
+  const { Order } = require('../models/order');
+  const { User } = require('../models/user');
+
+  const delivery = await Delivery.findByPk(deliveryId, {
+    include: [{ model: Order }]
+  });
+  if (!delivery) {
+    throw failedDeliveryError('Delivery not found', 404);
+  }
+
+  const isCustomer = delivery.Order && delivery.Order.userId === actor.userId;
+  const isDriver = actor.role === 'driver' && delivery.driverId === actor.userId;
+  if (actor.role !== 'admin' && !isCustomer && !isDriver) {
+    throw failedDeliveryError('You do not have permission to view this delivery', 403);
+  }
+
+  const attempts = await DeliveryAttempt.findAll({
+    where: { deliveryId },
+    include: [{ model: User, as: 'Driver', attributes: ['id', 'firstName', 'lastName'] }],
+    order: [['attemptNumber', 'ASC']]
+  });
+
+  const { failedDelivery: settings } = await systemSettingsService.getSystemSettings();
+  const latest = attempts[attempts.length - 1];
+  const options = delivery.status === 'failed' ? await getOptions(delivery.Order, latest, settings) : null;
+
+  return { attempts, options };
+};
+
+/**
+ * Refund failed deliveries whose customers haven't chosen between a
+ * redelivery and a refund within the failedDelivery decisionTimeoutHours
+ * setting, so their orders don't stay out for delivery
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { refunded, failed }
+ */
+const refundUndecidedDeliveries = async (now = new Date()) => {
+  const { DeliveryAttempt } = require('../models/delivery');
+  const { failedDelivery: settings } = await systemSettingsService.getSystemSettings();
+
+  const cutoff = new Date(now.getTime() - settings.decisionTimeoutHours * 60 * 60 * 1000);
+  const attempts = await DeliveryAttempt.findAll({
+    where: { outcome: 'failed', resolution: null, attemptedAt: { [Op.lte]: cutoff } },
+    order: [['attemptedAt', 'ASC']]
+  });
+
+  let refunded = 0;
+  let failed = 0;
+  for (const attempt of attempts) {
+    try {
+      await refundFailedDelivery(attempt.deliveryId, null);
+      refunded++;
+    } catch (error) {
+      failed++;
+      logger.error(`Automatic refund for undecided failed delivery ${attempt.deliveryId} did not go through: ${error.message}`);
+    }
+  }
+
+  if (refunded > 0) {
+    logger.info(`Refunded ${refunded} failed deliveries the customer didn't decide on`);
+  }
+
+  return { refunded, failed };
+};
+
+/**
+ * Start refunding undecided failed deliveries periodically
+ */
+const startDecisionWorker = () => {
+  if (decisionTimer) {
+    return;
+  }
+
+  decisionTimer = setInterval(() => {
+    refundUndecidedDeliveries().catch(error => {
+      logger.error(`Failed delivery decision worker failed: ${error.message}`);
+    });
+  }, FAILED_DELIVERY_CONSTANTS.DECISION_WORKER_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  decisionTimer.unref();
+  logger.info('Failed delivery decision worker started');
+};
+
+/**
+ * Stop the failed delivery decision worker
+ */
+const stopDecisionWorker = () => {
+  if (decisionTimer) {
+    clearInterval(decisionTimer);
+    decisionTimer = null;
+  }
+};
+
+module.exports = {
+  FAILED_DELIVERY_CONSTANTS,
+  failDelivery,
+  redeliver,
+  refundFailedDelivery,
+  listAttempts,
+  refundUndecidedDeliveries,
+  startDecisionWorker,
+  stopDecisionWorker
+};
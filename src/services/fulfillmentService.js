@@ -0,0 +1,542 @@
+/**
+ * Fulfillment Service
+ *
+ * Splits FreshFarmily orders into one fulfillment group per farm. Each farm
+ * confirms, prepares and readies its own group, and may reject it; customers
+ * can cancel a single farm's part of a mixed basket. Drivers mark each farm's
+ * group as picked up separately.
+ *
+ * The order's own status follows its groups: it is confirmed once every
+ * remaining group is confirmed, ready once every group is ready, and so on.
+ * Rejected or cancelled groups are refunded on their own and no longer count.
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const orderStateMachine = require('./orderStateMachine');
+const inventoryService = require('./inventoryService');
+const catchWeightService = require('./catchWeightService');
+const promoCodeService = require('./promoCodeService');
+
+// Groups that no longer take part in the order
+const INACTIVE_STATUSES = ['rejected', 'cancelled'];
+
+// Legal group transitions: from -> to -> roles allowed to make the change
+const FULFILLMENT_TRANSITIONS = {
+  pending: {
+    confirmed: ['farmer', 'admin'],
+    rejected: ['farmer', 'admin'],
+    cancelled: ['consumer', 'admin']
+  },
+  confirmed: {
+    processing: ['farmer', 'admin'],
+    ready: ['farmer', 'admin'],
+    rejected: ['farmer', 'admin'],
+    cancelled: ['consumer', 'admin']
+  },
+  processing: {
+    ready: ['farmer', 'admin'],
+    rejected: ['farmer', 'admin'],
+    cancelled: ['consumer', 'admin']
+  },
+  ready: {
+    picked_up: ['driver', 'admin'],
+    cancelled: ['admin']
+  },
+  picked_up: {},
+  rejected: {},
+  cancelled: {}
+};
+
+// Progress order shared by groups and the parent order
+const PROGRESS = ['pending', 'confirmed', 'processing', 'ready', 'picked_up'];
+
+// Timestamp recorded when a group reaches each status
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  ready: 'readyAt',
+  picked_up: 'pickedUpAt',
+  rejected: 'cancelledAt',
+  cancelled: 'cancelledAt'
+};
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const fulfillmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Create one fulfillment group per farm for a new order and link its items
+ * @param {Object} order - Order instance
+ * @param {Array} orderItems - Created OrderItem instances
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Created fulfillment groups
+ */
+const createFulfillmentGroups = async (order, orderItems, transaction) => {
+  const { OrderFulfillment, OrderItem } = require('../models/order');
+  const { Farm } = require('../models/farm');
+
+  const itemsByFarm = new Map();
+  for (const item of orderItems) {
+    if (!itemsByFarm.has(item.farmId)) {
+      itemsByFarm.set(item.farmId, []);
+    }
+    itemsByFarm.get(item.farmId).push(item);
+  }
+
+  const farms = await Farm.findAll({
+    where: { id: [...itemsByFarm.keys()] },
+    attributes: ['id', 'name', 'address', 'city', 'state', 'zipCode', 'latitude', 'longitude'],
+    transaction
+  });
+
+  const groups = [];
+  for (const [farmId, items] of itemsByFarm) {
+    const farm = farms.find(f => f.id === farmId);
+    const subtotal = items.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0);
+
+    const group = await OrderFulfillment.create({
+      orderId: order.id,
+      farmId,
+      farmName: farm ? farm.name : items[0].farmName,
+      subtotal: Math.round(subtotal * 100) / 100,
+      pickupAddress: farm ? [farm.address, farm.city, farm.state, farm.zipCode].filter(Boolean).join(', ') : null,
+      pickupLatitude: farm ? farm.latitude : null,
+      pickupLongitude: farm ? farm.longitude : null
+    }, { transaction });
+
+    await OrderItem.update(
+      { fulfillmentId: group.id },
+      { where: { id: items.map(item => item.id) }, transaction }
+    );
+
+    groups.push(group);
+  }
+
+  return groups;
+};
+
+/**
+ * Check whether an actor may act on a fulfillment group
+ * @param {Object} group - OrderFulfillment instance
+ * @param {Object} order - Parent order
+ * @param {Object} actor - { userId, role }
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Boolean>} True if allowed
+ */
+const canActOnGroup = async (group, order, actor, transaction = null) => {
+  if (actor.role === 'admin') {
+    return true;
+  }
+
+  if (actor.role === 'farmer') {
+    const { Farm } = require('../models/farm');
+    const farm = await Farm.findOne({
+      where: { id: group.farmId, farmerId: actor.userId },
+      attributes: ['id'],
+      transaction
+    });
+    return Boolean(farm);
+  }
+
+  // Consumers and drivers are checked against the whole order
+  return orderStateMachine.isOrderParticipant(order, actor, transaction);
+};
+
+/**
+ * Share of the order's tax attributable to a group
+ * @param {Object} order - Order instance
+ * @param {Object} group - OrderFulfillment instance
+ * @returns {Number} Tax amount
+ */
+const groupTaxShare = (order, group) => {
+  const orderSubtotal = parseFloat(order.subTotal);
+  if (!orderSubtotal) {
+    return 0;
+  }
+  return Math.round(parseFloat(order.taxAmount) * (parseFloat(group.subtotal) / orderSubtotal) * 100) / 100;
+};
+
+/**
+ * Refund a group's share of a paid order
+ * @param {Object} order - Order instance
+ * @param {Object} group - OrderFulfillment instance
+ * @param {Number} amount - Amount to refund
+ * @param {String} reason - Why the group was closed
+ * @returns {Promise<Object|null>} Stripe refund, or null if nothing was charged
+ * @throws {Error} 502 if Stripe rejects the refund, which stays in the ledger as failed
+ */
+const refundGroup = async (order, group, amount, reason = null) => {
+  if (order.paymentStatus !== 'paid' || !order.paymentIntentId || amount <= 0) {
+    return null;
+  }
+
+  const refundService = require('./refundService');
+
+  return refundService.refundAmount(order, amount, {
+    type: 'fulfillment',
+    fulfillmentId: group.id,
+    farmId: group.farmId,
+    reason
+  });
+};
+
+/**
+ * Move a fulfillment group to a new status and update the parent order to match
+ * @param {Object} group - OrderFulfillment instance
+ * @param {String} toStatus - Requested status
+ * @param {Object} options - { actor: { userId, role }, reason }
+ * @returns {Promise<Object>} { group, order, fromStatus, refund, refundError, captureError } where
+ *   refundError is set when the group was closed but its refund didn't go through, and
+ *   captureError when the order became ready but its weighed total couldn't be captured
+ * @throws {Error} 400 for unknown statuses, 403 for disallowed actors, 409 for illegal transitions
+ */
+const transitionFulfillment = async (group, toStatus, { actor, reason = null }) => {
+  const { Order, OrderItem, OrderFulfillment } = require('../models/order');
+
+  if (!FULFILLMENT_TRANSITIONS[toStatus]) {
+    throw fulfillmentError(`Unknown fulfillment status: ${toStatus}`, 400);
+  }
+
+  const result = await sequelize.transaction(async (t) => {
+    // Lock the order first so sibling groups update the order one at a time
+    const order = await Order.findByPk(group.orderId, { lock: t.LOCK.UPDATE, transaction: t });
+    const locked = await OrderFulfillment.findByPk(group.id, { lock: t.LOCK.UPDATE, transaction: t });
+    const fromStatus = locked.status;
+
+    const allowedRoles = (FULFILLMENT_TRANSITIONS[fromStatus] || {})[toStatus];
+    if (!allowedRoles) {
+      throw fulfillmentError(`Cannot change ${locked.farmName}'s part of the order from ${fromStatus} to ${toStatus}`, 409);
+    }
+    if (!allowedRoles.includes(actor.role)) {
+      throw fulfillmentError(`A ${actor.role} cannot change a fulfillment from ${fromStatus} to ${toStatus}`, 403);
+    }
+    if (!(await canActOnGroup(locked, order, actor, t))) {
+      throw fulfillmentError('You do not have permission to update this part of the order', 403);
+    }
+
+    // Catch-weight items are charged on what they weigh, so they're weighed before packing
+    if (toStatus === 'ready' && !(await catchWeightService.isWeighed({ fulfillmentId: locked.id }, t))) {
+      throw fulfillmentError(`Record the weight of every catch-weight item before marking ${locked.farmName}'s part ready`, 409);
+    }
+
+    const updates = { status: toStatus };
+    if (STATUS_TIMESTAMPS[toStatus]) {
+      updates[STATUS_TIMESTAMPS[toStatus]] = new Date();
+    }
+
+    let refundAmount = 0;
+    if (INACTIVE_STATUSES.includes(toStatus)) {
+      updates.cancellationReason = reason;
+
+      // The customer paid for the farm's products net of its share of any promo discount
+      const promoDiscount = promoCodeService.getFarmDiscount(
+        await promoCodeService.getRedemption(order.id, t),
+        locked.farmId
+      );
+      refundAmount = Math.round((parseFloat(locked.subtotal) - promoDiscount + groupTaxShare(order, locked)) * 100) / 100;
+
+      const items = await OrderItem.findAll({
+        where: { fulfillmentId: locked.id },
+        attributes: ['id', 'productId'],
+        transaction: t
+      });
+
+      await OrderItem.update(
+        { status: order.paymentStatus === 'paid' ? 'refunded' : 'cancelled' },
+        { where: { fulfillmentId: locked.id }, transaction: t }
+      );
+
+      await inventoryService.releaseStock(order.id, {
+        reason: 'order_cancelled',
+        userId: actor.userId,
+        notes: reason || `${locked.farmName} ${toStatus}`,
+        productIds: items.map(item => item.productId),
+        transaction: t
+      });
+
+      // The farm is no longer owed anything for this order
+      const { FarmerPayment } = require('../models/payment');
+      const farmerPayment = await FarmerPayment.findOne({
+        where: { orderId: order.id, farmerId: locked.farmId },
+        transaction: t
+      });
+      if (farmerPayment && !farmerPayment.isPaid) {
+        await farmerPayment.update({
+          amount: 0,
+          commission: 0,
+          paymentDetails: { ...(farmerPayment.paymentDetails || {}), voidedByFulfillment: locked.id }
+        }, { transaction: t });
+      } else if (farmerPayment) {
+        logger.warn(`Farmer payment ${farmerPayment.id} was already paid out before fulfillment ${locked.id} was ${toStatus}`);
+      }
+
+      // Nothing has been charged on an authorized order; capture less instead of refunding
+      if (order.paymentStatus === 'authorized') {
+        const taxShare = groupTaxShare(order, locked);
+        await order.update({
+          subTotal: Math.round((parseFloat(order.subTotal) - parseFloat(locked.subtotal)) * 100) / 100,
+          taxAmount: Math.round((parseFloat(order.taxAmount) - taxShare) * 100) / 100,
+          discountAmount: Math.max(0, Math.round((parseFloat(order.discountAmount) - promoDiscount) * 100) / 100),
+          totalAmount: Math.round((parseFloat(order.totalAmount) - refundAmount) * 100) / 100
+        }, { transaction: t });
+        refundAmount = 0;
+      }
+    }
+
+    await locked.update(updates, { transaction: t });
+
+    const syncedOrder = await syncOrderStatus(order, {
+      reason: reason || `${locked.farmName} ${toStatus.replace('_', ' ')}`,
+      transaction: t
+    });
+
+    return { group: locked, order: syncedOrder, fromStatus, refundAmount };
+  });
+
+  // Refunds go to Stripe after the database changes are committed. The group stays
+  // closed if the refund fails; the caller reports it so the refund can be retried.
+  let refund = null;
+  let refundError = null;
+  if (result.refundAmount > 0) {
+    try {
+      refund = await refundGroup(result.order, result.group, result.refundAmount, reason || `${result.group.farmName} ${toStatus}`);
+    } catch (error) {
+      logger.error(`Failed to refund fulfillment ${result.group.id} for order ${result.order.orderNumber}: ${error.message}`);
+      refundError = error;
+    }
+    if (refund) {
+      await result.group.update({ refundAmount: refund.amount / 100, refundId: refund.id });
+    }
+  }
+
+  // Once every group is gone, refund what is left of the order (e.g. the delivery fee)
+  if (INACTIVE_STATUSES.includes(toStatus) && result.order.status === 'cancelled') {
+    try {
+      await refundRemainder(result.order);
+    } catch (error) {
+      refundError = refundError || error;
+    }
+  }
+
+  // Authorized orders are charged their weighed total once every farm is ready;
+  // a failed capture is reported and retried by the capture worker
+  let captureError = null;
+  try {
+    await catchWeightService.capturePayment(result.order);
+  } catch (error) {
+    captureError = error;
+  }
+
+  logger.info(`Fulfillment ${result.group.id} (${result.group.farmName}) moved from ${result.fromStatus} to ${toStatus} by ${actor.role}`);
+
+  return { group: result.group, order: result.order, fromStatus: result.fromStatus, refund, refundError, captureError };
+};
+
+/**
+ * Refund whatever has not already been refunded (per group or otherwise).
+ * Orders that were only authorized have the authorization released instead.
+ * A refund Stripe rejects is retried by the refund reconciliation worker.
+ * @param {Object} order - Cancelled order
+ * @returns {Promise<Object|null>} Stripe refund or null
+ * @throws {Error} 502 if Stripe rejects the refund
+ */
+const refundRemainder = async (order) => {
+  if (order.paymentStatus === 'authorized') {
+    await catchWeightService.releaseAuthorization(order);
+    return null;
+  }
+
+  if (order.paymentStatus !== 'paid' || !order.paymentIntentId) {
+    return null;
+  }
+
+  const refundService = require('./refundService');
+  try {
+    const refund = await refundService.refundAmount(order, null, {
+      type: 'full',
+      reason: order.cancellationReason || 'Order cancelled'
+    });
+    await order.update({ paymentStatus: 'refunded' });
+    return refund;
+  } catch (error) {
+    logger.error(`Failed to refund remainder of order ${order.orderNumber}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Bring the order's status in line with its fulfillment groups.
+ * Only moves the order forward; never back.
+ * @param {Object} order - Order instance (locked by the caller)
+ * @param {Object} options - { reason, transaction }
+ * @returns {Promise<Object>} Order after any transitions
+ */
+const syncOrderStatus = async (order, { reason = null, transaction }) => {
+  const { OrderFulfillment } = require('../models/order');
+
+  const groups = await OrderFulfillment.findAll({
+    where: { orderId: order.id },
+    attributes: ['status'],
+    transaction
+  });
+
+  const active = groups.filter(group => !INACTIVE_STATUSES.includes(group.status));
+  let current = order;
+
+  if (active.length === 0) {
+    if (orderStateMachine.isValidTransition(current.status, 'cancelled')) {
+      ({ order: current } = await orderStateMachine.transitionOrder(current, 'cancelled', {
+        reason: reason || 'Every farm rejected or cancelled its part of the order',
+        updates: { cancellationReason: reason },
+        transaction
+      }));
+    }
+    return current;
+  }
+
+  // The order can only be as far along as its slowest farm
+  const targetRank = Math.min(...active.map(group => PROGRESS.indexOf(group.status)));
+  let currentRank = PROGRESS.indexOf(current.status);
+
+  while (currentRank !== -1 && currentRank < targetRank) {
+    // Skip 'processing' when it isn't the target, as a farm can ready a confirmed order directly
+    let next = PROGRESS[currentRank + 1];
+    if (next === 'processing' && targetRank > currentRank + 1) {
+      next = PROGRESS[currentRank + 2];
+    }
+
+    ({ order: current } = await orderStateMachine.transitionOrder(current, next, {
+      reason,
+      transaction
+    }));
+    currentRank = PROGRESS.indexOf(current.status);
+  }
+
+  return current;
+};
+
+/**
+ * Cancel every group that is still active, e.g. when the whole order is cancelled
+ * @param {String} orderId - Order ID
+ * @param {Object} options - { reason, transaction }
+ * @returns {Promise<Number>} Number of groups cancelled
+ */
+const cancelAllGroups = async (orderId, { reason = null, transaction }) => {
+  const { OrderFulfillment } = require('../models/order');
+  const { Op } = require('sequelize');
+
+  const [count] = await OrderFulfillment.update({
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancellationReason: reason
+  }, {
+    where: {
+      orderId,
+      status: { [Op.notIn]: [...INACTIVE_STATUSES, 'picked_up'] }
+    },
+    transaction
+  });
+
+  return count;
+};
+
+/**
+ * Move groups that are behind up to a given status, e.g. when an admin readies the whole order
+ * @param {String} orderId - Order ID
+ * @param {String} toStatus - Status the order moved to
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Number>} Number of groups updated
+ */
+const advanceGroups = async (orderId, toStatus, { transaction }) => {
+  const { OrderFulfillment } = require('../models/order');
+
+  const targetRank = PROGRESS.indexOf(toStatus);
+  if (targetRank === -1) {
+    return 0;
+  }
+
+  const behind = PROGRESS.slice(0, targetRank);
+  const updates = { status: toStatus };
+  if (STATUS_TIMESTAMPS[toStatus]) {
+    updates[STATUS_TIMESTAMPS[toStatus]] = new Date();
+  }
+
+  const [count] = await OrderFulfillment.update(updates, {
+    where: { orderId, status: behind },
+    transaction
+  });
+
+  return count;
+};
+
+/**
+ * Put picked up groups back to ready once their goods are back at the farm
+ * after a failed delivery, so drivers pick them up again for the redelivery.
+ * Groups whose goods were all donated have nothing to pick up and are
+ * cancelled instead.
+ * @param {String} orderId - Order ID
+ * @param {Object} options - { transaction, donatedFarmIds }
+ * @returns {Promise<Number>} Number of groups put back to ready
+ */
+const returnGroups = async (orderId, { transaction, donatedFarmIds = [] }) => {
+  const { OrderFulfillment } = require('../models/order');
+  const { Op } = require('sequelize');
+
+  const where = { orderId, status: 'picked_up' };
+  if (donatedFarmIds.length > 0) {
+    await OrderFulfillment.update(
+      { status: 'cancelled', cancelledAt: new Date(), cancellationReason: 'Donated after a failed delivery' },
+      { where: { ...where, farmId: donatedFarmIds }, transaction }
+    );
+    where.farmId = { [Op.notIn]: donatedFarmIds };
+  }
+
+  const [count] = await OrderFulfillment.update(
+    { status: 'ready', pickedUpAt: null },
+    { where, transaction }
+  );
+
+  return count;
+};
+
+/**
+ * Get the fulfillment groups for an order with their items
+ * @param {String} orderId - Order ID
+ * @param {Object} options - { farmIds } to limit the groups returned
+ * @returns {Promise<Array>} Fulfillment groups
+ */
+const getFulfillments = async (orderId, { farmIds = null } = {}) => {
+  const { OrderFulfillment, OrderItem } = require('../models/order');
+
+  const where = { orderId };
+  if (farmIds) {
+    where.farmId = farmIds;
+  }
+
+  return OrderFulfillment.findAll({
+    where,
+    include: [{ model: OrderItem, as: 'Items' }],
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+module.exports = {
+  FULFILLMENT_TRANSITIONS,
+  INACTIVE_STATUSES,
+  createFulfillmentGroups,
+  transitionFulfillment,
+  syncOrderStatus,
+  advanceGroups,
+  returnGroups,
+  cancelAllGroups,
+  refundRemainder,
+  getFulfillments
+};
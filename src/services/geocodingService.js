@@ -0,0 +1,124 @@
+/**
+ * Geocoding Service
+ *
+ * Turns addresses into coordinates:
+ * - Google results are cached in geocode_cache, so each distinct address is
+ *   only looked up once
+ * - Without a Google Maps key, or when Google can't place the address, the
+ *   address is unlocated: it has no coordinates rather than made-up ones, so
+ *   development and outages don't block checkout but nothing downstream
+ *   measures distances from a point that isn't real. Unlocated results are
+ *   never cached, and addressService geocodes unlocated addresses again later.
+ *
+ * Also checks coordinates against the active service areas.
+ */
+
+const crypto = require('crypto');
+const geolib = require('geolib');
+const logger = require('../utils/logger');
+const googleMapsService = require('./googleMapsService');
+
+/**
+ * Normalize an address into the string that is geocoded and cached
+ * @param {Object} address - { streetAddress, city, state, zipCode, country }
+ * @returns {String} Normalized address
+ */
+const normalizeAddress = (address) => [
+  address.streetAddress,
+  address.city,
+  address.state,
+  address.zipCode,
+  address.country || 'CA'
+]
+  .map(part => String(part || '').trim().toUpperCase().replace(/\s+/g, ' '))
+  .filter(Boolean)
+  .join(', ');
+
+const hashQuery = (query) => crypto.createHash('sha256').update(query).digest('hex');
+
+/**
+ * Whether a point has coordinates
+ * @param {Object} point - { latitude, longitude }
+ * @returns {Boolean} False for unlocated addresses
+ */
+const isLocated = (point) => point.latitude !== null && point.latitude !== undefined &&
+  point.longitude !== null && point.longitude !== undefined;
+
+/**
+ * Geocode an address, using the cache when possible
+ * @param {Object} address - { streetAddress, city, state, zipCode, country }
+ * @returns {Promise<Object>} { latitude, longitude, formattedAddress, source }; coordinates are null
+ *   and source is 'unlocated' when the address couldn't be placed
+ */
+const geocode = async (address) => {
+  const { GeocodeCache } = require('../models/address');
+  const query = normalizeAddress(address);
+  const queryHash = hashQuery(query);
+
+  const cached = await GeocodeCache.findOne({ where: { queryHash } });
+  if (cached) {
+    return {
+      latitude: cached.latitude,
+      longitude: cached.longitude,
+      formattedAddress: cached.formattedAddress,
+      source: 'google'
+    };
+  }
+
+  if (process.env.GOOGLE_MAPS_API_KEY) {
+    try {
+      const result = await googleMapsService.geocodeAddress(query);
+
+      // A concurrent lookup of the same address may have cached it first
+      await GeocodeCache.findOrCreate({
+        where: { queryHash },
+        defaults: {
+          query,
+          latitude: result.latitude,
+          longitude: result.longitude,
+          formattedAddress: result.formattedAddress
+        }
+      });
+
+      return { ...result, source: 'google' };
+    } catch (error) {
+      logger.warn(`Geocoding failed, leaving "${query}" unlocated: ${error.message}`);
+    }
+  }
+
+  return { latitude: null, longitude: null, formattedAddress: query, source: 'unlocated' };
+};
+
+/**
+ * Find the active service area covering a point
+ * @param {Object} point - { latitude, longitude }
+ * @returns {Promise<Object>} { serviceable, area } (everywhere is serviceable when no areas are
+ *   configured; an unlocated point can't be checked, so it is serviceable with no area until it is located)
+ */
+const findServiceArea = async (point) => {
+  if (!isLocated(point)) {
+    return { serviceable: true, area: null };
+  }
+
+  const { ServiceArea } = require('../models/address');
+  const areas = await ServiceArea.findAll({ where: { isActive: true } });
+
+  if (areas.length === 0) {
+    return { serviceable: true, area: null };
+  }
+
+  const area = areas.find(candidate => geolib.isPointWithinRadius(
+    { latitude: point.latitude, longitude: point.longitude },
+    { latitude: candidate.centerLatitude, longitude: candidate.centerLongitude },
+    candidate.radiusKm * 1000
+  ));
+
+  return { serviceable: !!area, area: area || null };
+};
+
+module.exports = {
+  normalizeAddress,
+  isLocated,
+  geocode,
+  findServiceArea
+};
@@ -7,6 +7,7 @@
 
 const { Client } = require('@googlemaps/google-maps-services-js');
 const logger = require('../utils/logger');
+const routeSolverService = require('./routeSolverService');
 require('dotenv').config();
 
 // Initialize Google Maps client
@@ -113,24 +114,31 @@ const geocodeAddress = async (address) => {
 };
 
 /**
- * Optimize a delivery route using Google Maps Directions API
+ * Optimize a delivery route, with Google Maps Directions API or the local route solver.
+ * Google's route is only used if it keeps every pickup before its drop-off, the
+ * vehicle's capacity and the stops' time windows; otherwise, or if Google fails,
+ * the local solver plans the route.
  * @param {Object} driverLocation - Driver's current location {latitude, longitude}
- * @param {Array} deliveryPoints - Array of delivery points with {latitude, longitude}
+ * @param {Array} deliveryPoints - Stops with {latitude, longitude}, and optionally type
+ *   ('pickup' or 'delivery'), orderId, load and timeWindow (see routeSolverService.solveRoute)
  * @param {String} strategy - Optimization strategy: 'fastest', 'shortest', or 'balanced'
+ * @param {Object} options - { solver ('google' or 'local'), vehicleCapacity, departAt }
  * @returns {Object} Optimized route data
  */
-const optimizeDeliveryRoute = async (driverLocation, deliveryPoints, strategy = 'balanced') => {
+const optimizeDeliveryRoute = async (driverLocation, deliveryPoints, strategy = 'balanced', options = {}) => {
+  const solverOptions = {
+    strategy,
+    vehicleCapacity: options.vehicleCapacity,
+    departAt: options.departAt
+  };
+  const solver = options.solver || routeSolverService.ROUTE_SOLVER_CONSTANTS.DEFAULT_SOLVER;
+  
+  // A single stop has nothing to reorder
+  if (solver === 'local' || deliveryPoints.length <= 1) {
+    return routeSolverService.solveRoute(driverLocation, deliveryPoints, solverOptions);
+  }
+  
   try {
-    // If we have 0 or 1 delivery points, no need for optimization
-    if (deliveryPoints.length <= 1) {
-      return {
-        optimizedRoute: deliveryPoints,
-        totalDistance: 0,
-        totalDuration: 0,
-        routePolyline: null
-      };
-    }
-    
     // For complex routes, use Google Directions API with waypoint optimization
     const waypoints = [...deliveryPoints];
     const lastDelivery = waypoints.pop(); // Last delivery point will be the destination
@@ -149,26 +157,26 @@ const optimizeDeliveryRoute = async (driverLocation, deliveryPoints, strategy =
       totalDuration += leg.duration.value; // in seconds
     });
     
-    // Build the ordered waypoint list based on the optimized route
-    const optimizedRoute = [driverLocation];
-    
-    // If the API reordered the waypoints, use that order
-    if (route.waypoint_order && route.waypoint_order.length) {
-      route.waypoint_order.forEach(index => {
-        optimizedRoute.push(waypoints[index]);
-      });
-    } else {
-      // Otherwise use the original order
-      optimizedRoute.push(...waypoints);
+    // Build the ordered stop list based on the optimized route
+    const orderedStops = route.waypoint_order && route.waypoint_order.length
+      ? route.waypoint_order.map(index => waypoints[index])
+      : [...waypoints];
+    orderedStops.push(lastDelivery);
+    
+    // Google only minimizes driving time; check the order works for pickups, capacity and time windows
+    const checked = routeSolverService.evaluateRoute(driverLocation, orderedStops, solverOptions);
+    if (!checked.feasible || checked.lateStops > 0) {
+      logger.info(`Google route breaks pickup order, capacity or time windows (${checked.lateStops} late stops); using the local route solver`);
+      return routeSolverService.solveRoute(driverLocation, deliveryPoints, solverOptions);
     }
     
-    // Add the destination
-    optimizedRoute.push(lastDelivery);
-    
     return {
-      optimizedRoute,
+      optimizedRoute: [driverLocation, ...orderedStops],
+      stops: checked.stops,
       totalDistance: Math.round(totalDistance / 1000), // convert to kilometers
       totalDuration: Math.round(totalDuration / 60), // convert to minutes
+      lateStops: 0,
+      feasible: true,
       routePolyline: route.overview_polyline,
       legs: legs.map(leg => ({
         startAddress: leg.start_address,
@@ -177,69 +185,17 @@ const optimizeDeliveryRoute = async (driverLocation, deliveryPoints, strategy =
         duration: leg.duration.value,
         startLocation: leg.start_location,
         endLocation: leg.end_location
-      }))
+      })),
+      strategy,
+      solver: 'google'
     };
   } catch (error) {
     logger.error(`Error optimizing delivery route: ${error.message}`);
     
-    // Fallback to basic optimization if Google API fails
-    logger.info('Falling back to basic route optimization');
-    return fallbackRouteOptimization(driverLocation, deliveryPoints, strategy);
-  }
-};
-
-/**
- * Fallback route optimization using geolib when Google Maps API fails
- * @param {Object} driverLocation - Driver's current location {latitude, longitude}
- * @param {Array} deliveryPoints - Array of delivery points with {latitude, longitude}
- * @param {String} strategy - Optimization strategy: 'fastest', 'shortest', or 'balanced'
- * @returns {Object} Basic optimized route data
- */
-const fallbackRouteOptimization = (driverLocation, deliveryPoints, strategy) => {
-  const geolib = require('geolib');
-  let points = [...deliveryPoints];
-  let currentPoint = driverLocation;
-  let optimizedRoute = [driverLocation];
-  let totalDistance = 0;
-  
-  // Simple nearest neighbor algorithm
-  while (points.length > 0) {
-    // Find nearest point
-    let minDistance = Infinity;
-    let nearestIndex = -1;
-    
-    points.forEach((point, index) => {
-      const distance = geolib.getDistance(
-        { latitude: currentPoint.latitude, longitude: currentPoint.longitude },
-        { latitude: point.latitude, longitude: point.longitude }
-      );
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestIndex = index;
-      }
-    });
-    
-    // Add nearest point to route
-    const nearestPoint = points[nearestIndex];
-    optimizedRoute.push(nearestPoint);
-    totalDistance += minDistance;
-    
-    // Update current point and remove from points array
-    currentPoint = nearestPoint;
-    points.splice(nearestIndex, 1);
+    // Fall back to the local solver if Google API fails
+    logger.info('Falling back to the local route solver');
+    return routeSolverService.solveRoute(driverLocation, deliveryPoints, solverOptions);
   }
-  
-  // Estimate duration (assuming average speed of 30 km/h)
-  const totalDurationMinutes = Math.round((totalDistance / 1000) * 2); // rough estimate
-  
-  return {
-    optimizedRoute,
-    totalDistance: Math.round(totalDistance / 1000), // convert to kilometers
-    totalDuration: totalDurationMinutes,
-    routePolyline: null,
-    legs: []
-  };
 };
 
 module.exports = {
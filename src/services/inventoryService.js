@@ -0,0 +1,393 @@
+/**
+ * Inventory Service
+ *
+ * Handles stock reservation for FreshFarmily orders. Stock is taken from
+ * Product.quantityAvailable (or the variant's, for products sold in sizes or
+ * packs) inside the order transaction while the rows are locked, so two
+ * customers can never buy the same last unit. Reserved stock is returned when
+ * an order is cancelled or its payment fails, and every movement is written
+ * to the inventory ledger.
+ */
+
+const logger = require('../utils/logger');
+const { Product, ProductVariant } = require('../models/product');
+const { InventoryLedgerEntry } = require('../models/inventory');
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @param {Object} details - Extra context for the client
+ * @returns {Error} Error with statusCode and details
+ */
+const inventoryError = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Lock product rows for the rest of the transaction.
+ * Rows are locked in ID order so concurrent orders cannot deadlock.
+ * @param {Array<String>} productIds - Product IDs to lock
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Locked products
+ */
+const lockProducts = async (productIds, transaction) => {
+  return Product.findAll({
+    where: { id: [...new Set(productIds)] },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+};
+
+/**
+ * Lock the variants of some products for the rest of the transaction, in ID order
+ * @param {Array<String>} productIds - Product IDs whose variants to lock
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Locked variants
+ */
+const lockVariants = async (productIds, transaction) => {
+  return ProductVariant.findAll({
+    where: { productId: [...new Set(productIds)] },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+};
+
+/**
+ * Key stock is held under: the variant for products sold in sizes or packs,
+ * otherwise the product itself
+ * @param {Object} line - Anything with productId and optional variantId
+ * @returns {String} Stock key
+ */
+const stockKey = (line) => line.variantId || line.productId;
+
+/**
+ * Reserve stock for order items, decrementing the quantityAvailable of each
+ * product, or of the chosen variant for products that have variants.
+ * Must be called inside the transaction that creates the order.
+ * @param {Array} items - Items with productId, quantity and, for products with variants, variantId
+ * @param {Object} options - { orderId, userId, transaction }
+ * @returns {Promise<Object>} { products, variants } locked for the rest of the transaction
+ * @throws {Error} 409 if a product or variant is unavailable or short on stock, 400 on quantity
+ *   limits or a missing or unknown variant
+ */
+const reserveStock = async (items, { orderId = null, userId = null, transaction }) => {
+  if (!transaction) {
+    throw new Error('Stock reservation requires a transaction');
+  }
+
+  // Combine duplicate lines for the same product or variant before checking limits
+  const requested = new Map();
+  for (const item of items) {
+    const key = stockKey(item);
+    const line = requested.get(key) || { productId: item.productId, variantId: item.variantId || null, quantity: 0 };
+    line.quantity += parseFloat(item.quantity);
+    requested.set(key, line);
+  }
+
+  const productIds = [...new Set([...requested.values()].map(line => line.productId))];
+  const products = await lockProducts(productIds, transaction);
+  const variants = await lockVariants(productIds, transaction);
+
+  const missingIds = productIds.filter(id => !products.find(p => p.id === id));
+  if (missingIds.length > 0) {
+    throw inventoryError(`Some products are not available: ${missingIds.join(', ')}`, 409, { productIds: missingIds });
+  }
+
+  // Validate everything before touching any stock
+  const holders = new Map();
+  for (const [key, line] of requested) {
+    const product = products.find(p => p.id === line.productId);
+    const productVariants = variants.filter(v => v.productId === product.id);
+    const variant = line.variantId ? productVariants.find(v => v.id === line.variantId) : null;
+
+    if (line.variantId && !variant) {
+      throw inventoryError(`Unknown size for ${product.name}`, 400, { productId: product.id, variantId: line.variantId });
+    }
+    if (!line.variantId && productVariants.length > 0) {
+      throw inventoryError(`Choose a size for ${product.name}`, 400, { productId: product.id });
+    }
+
+    // Stock, availability and units come from the variant when there is one
+    const holder = variant || product;
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+    const unit = (variant && variant.unit) || product.unit;
+    const quantity = line.quantity;
+    const available = parseFloat(holder.quantityAvailable);
+    const minOrderQuantity = parseFloat(product.minOrderQuantity || 0);
+    const maxOrderQuantity = product.maxOrderQuantity !== null && product.maxOrderQuantity !== undefined
+      ? parseFloat(product.maxOrderQuantity)
+      : null;
+
+    if (!product.isAvailable || !holder.isAvailable) {
+      throw inventoryError(`${name} is not available`, 409, { productId: product.id, variantId: line.variantId });
+    }
+
+    if (minOrderQuantity > 0 && quantity < minOrderQuantity) {
+      throw inventoryError(
+        `Minimum order quantity for ${name} is ${minOrderQuantity} ${unit}`,
+        400,
+        { productId: product.id, variantId: line.variantId, minOrderQuantity }
+      );
+    }
+
+    if (maxOrderQuantity !== null && maxOrderQuantity > 0 && quantity > maxOrderQuantity) {
+      throw inventoryError(
+        `Maximum order quantity for ${name} is ${maxOrderQuantity} ${unit}`,
+        400,
+        { productId: product.id, variantId: line.variantId, maxOrderQuantity }
+      );
+    }
+
+    if (quantity > available) {
+      throw inventoryError(
+        `Only ${available} ${unit} of ${name} left in stock`,
+        409,
+        { productId: product.id, variantId: line.variantId, quantityAvailable: available }
+      );
+    }
+
+    holders.set(key, { holder, product, name });
+  }
+
+  for (const [key, line] of requested) {
+    const { holder, product, name } = holders.get(key);
+    const remaining = Math.round((parseFloat(holder.quantityAvailable) - line.quantity) * 100) / 100;
+    const markedUnavailable = remaining <= 0;
+
+    await holder.update({
+      quantityAvailable: remaining,
+      ...(markedUnavailable && { isAvailable: false })
+    }, { transaction });
+
+    await InventoryLedgerEntry.create({
+      productId: product.id,
+      variantId: line.variantId,
+      farmId: product.farmId,
+      orderId,
+      userId,
+      reason: 'order_reserved',
+      quantityChange: -line.quantity,
+      quantityAfter: remaining,
+      markedUnavailable
+    }, { transaction });
+
+    if (markedUnavailable) {
+      logger.info(`Product ${name} sold out and marked unavailable`);
+    }
+  }
+
+  return { products, variants };
+};
+
+/**
+ * Get the stock still held by an order, per product or variant
+ * @param {String} orderId - Order ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Map>} stock key -> { productId, variantId, quantity, markedUnavailable }
+ */
+const getOutstandingReservations = async (orderId, transaction) => {
+  const entries = await InventoryLedgerEntry.findAll({
+    where: { orderId },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+
+  const outstanding = new Map();
+  for (const entry of entries) {
+    const key = stockKey(entry);
+    const current = outstanding.get(key) || {
+      productId: entry.productId,
+      variantId: entry.variantId || null,
+      quantity: 0,
+      markedUnavailable: false
+    };
+    current.quantity -= parseFloat(entry.quantityChange);
+    if (entry.reason === 'order_reserved' && entry.markedUnavailable) {
+      current.markedUnavailable = true;
+    }
+    outstanding.set(key, current);
+  }
+
+  // Drop stock whose reservations have already been returned
+  for (const [key, reservation] of outstanding) {
+    if (reservation.quantity <= 0) {
+      outstanding.delete(key);
+    }
+  }
+
+  return outstanding;
+};
+
+/**
+ * Check whether an order still holds reserved stock
+ * @param {String} orderId - Order ID
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Boolean>} True if any stock is still reserved
+ */
+const hasReservedStock = async (orderId, transaction = null) => {
+  const outstanding = await getOutstandingReservations(orderId, transaction);
+  return outstanding.size > 0;
+};
+
+/**
+ * Return the stock held by an order. Safe to call more than once:
+ * only stock that has not already been returned is released.
+ * @param {String} orderId - Order ID
+ * @param {Object} options - { reason: 'order_cancelled'|'payment_failed', userId, notes, productIds, transaction }
+ *   productIds limits the release to some products (e.g. one farm's part of the order)
+ * @returns {Promise<Number>} Number of products and variants restocked
+ */
+const releaseStock = async (orderId, { reason = 'order_cancelled', userId = null, notes = null, productIds = null, transaction }) => {
+  if (!transaction) {
+    throw new Error('Stock release requires a transaction');
+  }
+
+  const candidates = await getOutstandingReservations(orderId, transaction);
+  if (productIds) {
+    for (const [key, reservation] of [...candidates]) {
+      if (!productIds.includes(reservation.productId)) {
+        candidates.delete(key);
+      }
+    }
+  }
+  if (candidates.size === 0) {
+    return 0;
+  }
+
+  const candidateProductIds = [...candidates.values()].map(reservation => reservation.productId);
+  const lockedProducts = await lockProducts(candidateProductIds, transaction);
+  const lockedVariants = await lockVariants(candidateProductIds, transaction);
+
+  // Re-read once the locks are held so a concurrent release cannot restock twice
+  const outstanding = await getOutstandingReservations(orderId, transaction);
+
+  let restockedCount = 0;
+  for (const key of candidates.keys()) {
+    if (!outstanding.has(key)) {
+      continue;
+    }
+
+    const { productId, variantId, quantity, markedUnavailable } = outstanding.get(key);
+    const product = lockedProducts.find(p => p.id === productId);
+    const holder = variantId ? lockedVariants.find(v => v.id === variantId) : product;
+    if (!product || !holder) {
+      logger.warn(`Cannot return stock for order ${orderId}: ${variantId ? 'variant' : 'product'} ${key} no longer exists`);
+      continue;
+    }
+
+    const restocked = Math.round((parseFloat(holder.quantityAvailable) + quantity) * 100) / 100;
+
+    // Only re-enable stock this order sold out; farmer-disabled products and variants stay hidden
+    await holder.update({
+      quantityAvailable: restocked,
+      ...(markedUnavailable && !holder.isAvailable && { isAvailable: true })
+    }, { transaction });
+
+    await InventoryLedgerEntry.create({
+      productId,
+      variantId,
+      farmId: product.farmId,
+      orderId,
+      userId,
+      reason,
+      quantityChange: quantity,
+      quantityAfter: restocked,
+      notes
+    }, { transaction });
+
+    restockedCount += 1;
+  }
+
+  logger.info(`Released reserved stock for order ${orderId} (${reason})`);
+  return restockedCount;
+};
+
+/**
+ * Reserve stock again for an existing order whose reservation was released,
+ * e.g. when a customer retries payment after a failed attempt
+ * @param {Object} order - Order instance
+ * @param {Object} options - { userId, transaction }
+ * @returns {Promise<Boolean>} True if stock was reserved, false if it was already held
+ * @throws {Error} 409/400 if the items can no longer be reserved
+ */
+const reserveOrderStock = async (order, { userId = null, transaction }) => {
+  const { Order, OrderItem } = require('../models/order');
+
+  // Lock the order so a payment retry and a webhook cannot both reserve
+  await Order.findByPk(order.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+  if (await hasReservedStock(order.id, transaction)) {
+    return false;
+  }
+
+  const items = await OrderItem.findAll({
+    where: { orderId: order.id, status: ['pending', 'confirmed'] },
+    attributes: ['productId', 'variantId', 'quantity'],
+    transaction
+  });
+
+  if (items.length === 0) {
+    return false;
+  }
+
+  await reserveStock(items, { orderId: order.id, userId, transaction });
+  logger.info(`Re-reserved stock for order ${order.orderNumber}`);
+  return true;
+};
+
+/**
+ * Record a manual stock change made by a farmer or admin
+ * @param {Object} product - Product instance (already updated or about to be)
+ * @param {Number} previousQuantity - Quantity before the change
+ * @param {Object} options - { variant, userId, notes, transaction }; pass the variant when its stock changed
+ * @returns {Promise<Object|null>} Ledger entry, or null if nothing changed
+ */
+const recordAdjustment = async (product, previousQuantity, { variant = null, userId = null, notes = null, transaction = null } = {}) => {
+  const newQuantity = parseFloat((variant || product).quantityAvailable);
+  const change = Math.round((newQuantity - parseFloat(previousQuantity)) * 100) / 100;
+
+  if (change === 0) {
+    return null;
+  }
+
+  return InventoryLedgerEntry.create({
+    productId: product.id,
+    variantId: variant ? variant.id : null,
+    farmId: product.farmId,
+    userId,
+    reason: 'manual_adjustment',
+    quantityChange: change,
+    quantityAfter: newQuantity,
+    notes
+  }, { transaction });
+};
+
+/**
+ * Get ledger entries for a product, newest first
+ * @param {String} productId - Product ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { count, rows }
+ */
+const getProductLedger = async (productId, { limit = 50, offset = 0 } = {}) => {
+  return InventoryLedgerEntry.findAndCountAll({
+    where: { productId },
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+module.exports = {
+  reserveStock,
+  reserveOrderStock,
+  releaseStock,
+  hasReservedStock,
+  recordAdjustment,
+  getProductLedger
+};
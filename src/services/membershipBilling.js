@@ -0,0 +1,255 @@
+/**
+ * Membership Billing Providers
+ *
+ * Pluggable billing for membership subscriptions:
+ * - stripe: a monthly Stripe subscription per member. Stripe renews it and
+ *   reports each renewal through invoice webhooks (see membershipService).
+ * - stub: no real charges, for development. Renewals are charged by the
+ *   membership scheduler; the payment method 'pm_stub_declined' is declined.
+ *
+ * New memberships use MEMBERSHIP_BILLING_PROVIDER. When unset, Stripe is used
+ * if STRIPE_MEMBERSHIP_PRODUCT_ID is configured. The stub hands out
+ * memberships for free, so it is only used when configured by name and never
+ * in production; the server refuses to start without a usable provider.
+ * Existing memberships stay with the provider they subscribed through.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Payment method the stub provider declines, for testing failures
+const STUB_DECLINED_PAYMENT_METHOD = 'pm_stub_declined';
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const billingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Add whole months to a date
+ * @param {Date} date - Start date
+ * @param {Number} months - Months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * Create the Stripe provider
+ * @returns {Object} Provider
+ */
+const createStripeProvider = () => {
+  // Loaded lazily so the stub works without Stripe credentials
+  const { stripe } = require('./stripeService');
+  const paymentMethodService = require('./paymentMethodService');
+  const fromUnix = (seconds) => new Date(seconds * 1000);
+
+  return {
+    name: 'stripe',
+    renewsItself: true,
+
+    async createSubscription({ membership, user, amount, paymentMethodId, idempotencyKey = null }) {
+      if (!process.env.STRIPE_MEMBERSHIP_PRODUCT_ID) {
+        throw new Error('STRIPE_MEMBERSHIP_PRODUCT_ID is not configured');
+      }
+
+      // Memberships bill the same Stripe customer that holds the user's saved cards
+      const customerId = membership && membership.billingProvider === 'stripe' && membership.providerCustomerId
+        ? membership.providerCustomerId
+        : await paymentMethodService.getOrCreateCustomer(user.id);
+
+      try {
+        const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+        if (paymentMethod.customer !== customerId) {
+          await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+        }
+
+        // error_if_incomplete makes a declined first payment throw instead of leaving a dangling subscription
+        const subscription = await stripe.subscriptions.create({
+          customer: customerId,
+          items: [{
+            price_data: {
+              currency: 'cad',
+              product: process.env.STRIPE_MEMBERSHIP_PRODUCT_ID,
+              unit_amount: Math.round(amount * 100),
+              recurring: { interval: 'month' }
+            }
+          }],
+          // Billed to this card without changing the default card used at checkout
+          default_payment_method: paymentMethodId,
+          payment_behavior: 'error_if_incomplete',
+          metadata: { userId: user.id, membershipId: membership ? membership.id : '' },
+          expand: ['latest_invoice']
+        }, idempotencyKey ? { idempotencyKey } : undefined);
+
+        return {
+          customerId,
+          subscriptionId: subscription.id,
+          periodStart: fromUnix(subscription.current_period_start),
+          periodEnd: fromUnix(subscription.current_period_end),
+          invoice: {
+            id: subscription.latest_invoice ? subscription.latest_invoice.id : null,
+            status: 'paid'
+          }
+        };
+      } catch (error) {
+        // Only the card being declined is a declined payment; anything else is our problem
+        if (error.type === 'StripeCardError') {
+          return {
+            customerId,
+            subscriptionId: null,
+            invoice: { id: null, status: 'failed', failureReason: error.message }
+          };
+        }
+        if (error.type === 'StripeInvalidRequestError' && error.code === 'resource_missing') {
+          throw billingError('Payment method not found', 400);
+        }
+        throw error;
+      }
+    },
+
+    async cancelSubscription(membership, { atPeriodEnd }) {
+      if (!membership.providerSubscriptionId) {
+        return;
+      }
+      if (atPeriodEnd) {
+        await stripe.subscriptions.update(membership.providerSubscriptionId, { cancel_at_period_end: true });
+      } else {
+        await stripe.subscriptions.cancel(membership.providerSubscriptionId);
+      }
+    },
+
+    async pauseSubscription(membership, resumesAt) {
+      // Invoices during the pause are voided; billing picks up on the same cycle afterwards
+      await stripe.subscriptions.update(membership.providerSubscriptionId, {
+        pause_collection: { behavior: 'void', resumes_at: Math.floor(resumesAt.getTime() / 1000) }
+      });
+    },
+
+    async resumeSubscription(membership, { immediately }) {
+      const params = { cancel_at_period_end: false, pause_collection: '' };
+      if (immediately) {
+        // Start a new paid period now rather than waiting for the old cycle date
+        params.billing_cycle_anchor = 'now';
+        params.proration_behavior = 'none';
+      }
+      await stripe.subscriptions.update(membership.providerSubscriptionId, params);
+    },
+
+    async chargeRenewal() {
+      // Stripe charges renewals itself and reports them by webhook
+      return null;
+    }
+  };
+};
+
+/**
+ * Create the development stub provider
+ * @returns {Object} Provider
+ */
+const createStubProvider = () => {
+  const charge = (amount, paymentMethodId, periodStart) => {
+    const declined = paymentMethodId === STUB_DECLINED_PAYMENT_METHOD;
+    logger.info(`[membership stub] ${declined ? 'Declined' : 'Charged'} $${parseFloat(amount).toFixed(2)}`);
+
+    return {
+      periodStart,
+      periodEnd: addMonths(periodStart, 1),
+      invoice: declined
+        ? { id: `stub_in_${uuidv4()}`, status: 'failed', failureReason: 'Your card was declined (stub)' }
+        : { id: `stub_in_${uuidv4()}`, status: 'paid' }
+    };
+  };
+
+  return {
+    name: 'stub',
+    renewsItself: false,
+
+    async createSubscription({ membership, user, amount, paymentMethodId }) {
+      return {
+        customerId: (membership && membership.providerCustomerId) || `stub_cus_${user.id}`,
+        subscriptionId: `stub_sub_${uuidv4()}`,
+        ...charge(amount, paymentMethodId, new Date())
+      };
+    },
+
+    async cancelSubscription() {},
+
+    async pauseSubscription() {},
+
+    async resumeSubscription() {},
+
+    async chargeRenewal(membership, amount, periodStart) {
+      return charge(amount, membership.paymentMethod, periodStart);
+    }
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  stripe: createStripeProvider,
+  stub: createStubProvider
+};
+
+// Unset NODE_ENV counts as production, as in server.js
+const isProduction = () => (process.env.NODE_ENV || 'production') === 'production';
+
+/**
+ * Name of the provider new memberships subscribe through
+ * @returns {String} Provider name
+ * @throws {Error} If no provider is configured, or the stub is configured in production
+ */
+const getDefaultProviderName = () => {
+  const configured = process.env.MEMBERSHIP_BILLING_PROVIDER;
+  if (configured) {
+    return configured;
+  }
+  if (!process.env.STRIPE_MEMBERSHIP_PRODUCT_ID) {
+    throw new Error('Membership billing is not configured: set STRIPE_MEMBERSHIP_PRODUCT_ID, or MEMBERSHIP_BILLING_PROVIDER=stub outside production');
+  }
+  return 'stripe';
+};
+
+/**
+ * Get a billing provider
+ * @param {String} name - Provider name (defaults to the one for new memberships)
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown, or is the stub in production
+ */
+const getProvider = (name = getDefaultProviderName()) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown membership billing provider: ${name}`);
+  }
+  if (name === 'stub' && isProduction()) {
+    throw new Error('The stub membership billing provider cannot be used in production');
+  }
+  return factory();
+};
+
+/**
+ * Check at startup that new memberships have a provider to bill through
+ * @throws {Error} If they don't
+ */
+const checkConfiguration = () => {
+  const name = getDefaultProviderName();
+  getProvider(name);
+  logger.info(`Membership billing provider: ${name}`);
+};
+
+module.exports = {
+  STUB_DECLINED_PAYMENT_METHOD,
+  addMonths,
+  getDefaultProviderName,
+  checkConfiguration,
+  getProvider
+};
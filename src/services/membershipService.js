@@ -0,0 +1,864 @@
+/**
+ * Membership Service
+ *
+ * Paid membership lifecycle on top of the Membership model:
+ * - active: the fee for the current period (currentPeriodStart to renewalDate)
+ *   is paid and the member gets member pricing. A cancellation or a pause can
+ *   be scheduled to take effect at renewalDate.
+ * - past_due: a renewal payment failed; benefits stop until a retry succeeds.
+ *   The membership is cancelled after MAX_FAILED_PAYMENTS failures in a row.
+ * - paused: no billing and no benefits until pausedUntil.
+ * - cancelled: ended; the member can subscribe again.
+ *
+ * Charges go through a billing provider (see membershipBilling). Stripe
+ * renews subscriptions itself and reports each invoice through webhooks; the
+ * stub provider's renewals are charged by the renewal worker here. Every
+ * charge, paid or failed, is recorded as a MembershipInvoice.
+ */
+
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const membershipBilling = require('./membershipBilling');
+
+const MEMBERSHIP_CONSTANTS = {
+  MAX_PAUSE_MONTHS: 3,
+  // Consecutive failed renewals before the membership is cancelled
+  MAX_FAILED_PAYMENTS: 3,
+  // How long the stub provider waits between renewal retries
+  RETRY_INTERVAL_MS: 24 * 60 * 60 * 1000,
+  WORKER_INTERVAL_MS: 60 * 60 * 1000
+};
+
+// Statuses of a membership the member still holds
+const CURRENT_STATUSES = ['active', 'past_due', 'paused'];
+
+let workerTimer = null;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const membershipError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Fee charged for a membership: the rate the member signed up at, or the
+ * current rate for memberships from before billing was recorded
+ * @param {Object} membership - Membership instance
+ * @returns {Promise<Number>} Monthly fee
+ */
+const getMembershipFee = async (membership) => {
+  if (membership && membership.monthlyFee !== null && membership.monthlyFee !== undefined) {
+    return parseFloat(membership.monthlyFee);
+  }
+  const pricingService = require('./pricingService');
+  const config = await pricingService.getActivePricingConfig();
+  return parseFloat(config.membershipFee);
+};
+
+/**
+ * Shape a membership for API responses
+ * @param {Object} membership - Membership instance
+ * @returns {Object} Membership details
+ */
+const serializeMembership = (membership) => ({
+  id: membership.id,
+  status: membership.status,
+  isActive: membership.isActive,
+  membershipType: membership.membershipType,
+  startDate: membership.startDate,
+  currentPeriodStart: membership.currentPeriodStart,
+  renewalDate: membership.renewalDate,
+  cancelAtPeriodEnd: membership.cancelAtPeriodEnd,
+  cancelledAt: membership.cancelledAt,
+  pausedUntil: membership.pausedUntil,
+  monthlyFee: membership.monthlyFee !== null ? parseFloat(membership.monthlyFee) : null,
+  billingProvider: membership.billingProvider,
+  failedPaymentCount: membership.failedPaymentCount
+});
+
+/**
+ * Get a user's membership with the benefits and fee on offer
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { membership, fee, benefits } (membership is null if the user never subscribed)
+ */
+const getMembership = async (userId) => {
+  const { Membership } = require('../models/pricing');
+  const pricingService = require('./pricingService');
+
+  const [membership, config] = await Promise.all([
+    Membership.findOne({ where: { userId } }),
+    pricingService.getActivePricingConfig()
+  ]);
+
+  return {
+    membership: membership ? serializeMembership(membership) : null,
+    fee: membership ? await getMembershipFee(membership) : parseFloat(config.membershipFee),
+    benefits: {
+      productDiscount: config.memberProductDiscount,
+      deliveryDiscount: config.memberDeliveryDiscount,
+      freeDeliveryThreshold: config.memberFreeDeliveryThreshold,
+      serviceFeeCap: config.memberFeeCap
+    }
+  };
+};
+
+/**
+ * Get a user's current (not cancelled) membership
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Membership instance
+ * @throws {Error} 404 if the user has no current membership
+ */
+const getCurrentMembership = async (userId) => {
+  const { Membership } = require('../models/pricing');
+
+  const membership = await Membership.findOne({
+    where: { userId, status: CURRENT_STATUSES }
+  });
+
+  if (!membership) {
+    throw membershipError('You do not have a membership', 404);
+  }
+
+  return membership;
+};
+
+/**
+ * Subscribe a user, charging the first month's fee
+ * @param {String} userId - User ID
+ * @param {Object} options - Options
+ * @param {String} options.paymentMethodId - Payment method to bill
+ * @returns {Promise<Object>} Membership details
+ * @throws {Error} 409 if the user already has a membership, 402 if the payment is declined,
+ *   400 if the payment method doesn't exist
+ */
+const subscribe = async (userId, { paymentMethodId }) => {
+  const { Membership, MembershipInvoice } = require('../models/pricing');
+  const { User } = require('../models/user');
+
+  const pricingService = require('./pricingService');
+  const config = await pricingService.getActivePricingConfig();
+  const fee = roundMoney(parseFloat(config.membershipFee));
+  const provider = membershipBilling.getProvider();
+
+  // The user stays locked until the membership is saved, so a second request
+  // waits for the first and then finds its membership instead of subscribing again
+  let result = null;
+  try {
+    const membership = await sequelize.transaction(async (transaction) => {
+      const user = await User.findByPk(userId, {
+        attributes: ['id', 'email', 'firstName', 'lastName'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!user) {
+        throw membershipError('User not found', 404);
+      }
+
+      const existing = await Membership.findOne({ where: { userId }, transaction });
+
+      // Memberships from before billing have no subscription and may subscribe over the top
+      if (existing && CURRENT_STATUSES.includes(existing.status) && existing.providerSubscriptionId) {
+        throw membershipError('You already have a membership', 409);
+      }
+
+      result = await provider.createSubscription({
+        membership: existing,
+        user,
+        amount: fee,
+        paymentMethodId,
+        // Retries of this request to the provider can't start a second subscription
+        idempotencyKey: `membership-subscribe-${userId}-${uuidv4()}`
+      });
+
+      if (result.invoice.status !== 'paid') {
+        logger.warn(`Membership payment declined for user ${userId}: ${result.invoice.failureReason}`);
+        throw membershipError(`Payment declined: ${result.invoice.failureReason}`, 402);
+      }
+
+      const fields = {
+        status: 'active',
+        isActive: true,
+        startDate: result.periodStart,
+        currentPeriodStart: result.periodStart,
+        renewalDate: result.periodEnd,
+        autoRenew: true,
+        cancelAtPeriodEnd: false,
+        cancelledAt: null,
+        pausedUntil: null,
+        billingProvider: provider.name,
+        providerCustomerId: result.customerId,
+        providerSubscriptionId: result.subscriptionId,
+        monthlyFee: fee,
+        failedPaymentCount: 0,
+        paymentMethod: paymentMethodId,
+        paymentReference: result.subscriptionId
+      };
+
+      const saved = existing
+        ? await existing.update(fields, { transaction })
+        : await Membership.create({ userId, ...fields }, { transaction });
+
+      await MembershipInvoice.create({
+        membershipId: saved.id,
+        userId,
+        amount: fee,
+        status: 'paid',
+        periodStart: result.periodStart,
+        periodEnd: result.periodEnd,
+        providerInvoiceId: result.invoice.id
+      }, { transaction });
+
+      return saved;
+    });
+
+    logger.info(`User ${userId} subscribed to membership ${membership.id} (${provider.name})`);
+    return serializeMembership(membership);
+  } catch (error) {
+    // Don't leave a subscription billing every month that no membership tracks
+    if (result && result.subscriptionId) {
+      logger.error(`Membership for user ${userId} not saved; cancelling subscription ${result.subscriptionId}: ${error.message}`);
+      await provider.cancelSubscription({ providerSubscriptionId: result.subscriptionId }, { atPeriodEnd: false })
+        .catch(cancelError => logger.error(`Could not cancel subscription ${result.subscriptionId}: ${cancelError.message}`));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark a membership cancelled
+ * @param {Object} membership - Membership instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} Updated membership
+ */
+const markCancelled = (membership, transaction = null) => membership.update({
+  status: 'cancelled',
+  isActive: false,
+  autoRenew: false,
+  cancelAtPeriodEnd: false,
+  pausedUntil: null,
+  cancelledAt: new Date()
+}, { transaction });
+
+/**
+ * Cancel a user's membership. An active membership keeps its benefits until
+ * the end of the paid period; a paused or past-due one ends immediately.
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Membership details
+ */
+const cancel = async (userId) => {
+  const membership = await getCurrentMembership(userId);
+  const provider = membershipBilling.getProvider(membership.billingProvider);
+
+  if (membership.status !== 'active') {
+    await provider.cancelSubscription(membership, { atPeriodEnd: false });
+    await markCancelled(membership);
+    logger.info(`Membership ${membership.id} cancelled`);
+    return serializeMembership(membership);
+  }
+
+  if (!membership.cancelAtPeriodEnd) {
+    await provider.cancelSubscription(membership, { atPeriodEnd: true });
+    // Cancelling replaces any scheduled pause
+    await membership.update({ cancelAtPeriodEnd: true, autoRenew: false, pausedUntil: null });
+    logger.info(`Membership ${membership.id} will be cancelled on ${membership.renewalDate.toISOString()}`);
+  }
+
+  return serializeMembership(membership);
+};
+
+/**
+ * Pause a membership from the end of the current period
+ * @param {String} userId - User ID
+ * @param {Number} months - Months to skip (1 to MAX_PAUSE_MONTHS)
+ * @returns {Promise<Object>} Membership details
+ */
+const pause = async (userId, months) => {
+  const membership = await getCurrentMembership(userId);
+
+  if (months < 1 || months > MEMBERSHIP_CONSTANTS.MAX_PAUSE_MONTHS) {
+    throw membershipError(`A membership can be paused for 1 to ${MEMBERSHIP_CONSTANTS.MAX_PAUSE_MONTHS} months`, 400);
+  }
+  if (membership.status !== 'active') {
+    throw membershipError(`A ${membership.status.replace('_', ' ')} membership cannot be paused`, 409);
+  }
+  if (membership.cancelAtPeriodEnd) {
+    throw membershipError('This membership is set to cancel; resume it before pausing', 409);
+  }
+  if (membership.pausedUntil) {
+    throw membershipError('A pause is already scheduled for this membership', 409);
+  }
+
+  const pausedUntil = membershipBilling.addMonths(membership.renewalDate, months);
+  const provider = membershipBilling.getProvider(membership.billingProvider);
+
+  await provider.pauseSubscription(membership, pausedUntil);
+  await membership.update({ pausedUntil });
+
+  logger.info(`Membership ${membership.id} paused from ${membership.renewalDate.toISOString()} until ${pausedUntil.toISOString()}`);
+  return serializeMembership(membership);
+};
+
+/**
+ * Record an invoice against a membership and update the membership to match.
+ * Safe to repeat: an invoice already recorded as paid is left alone.
+ * @param {Object} membership - Membership instance
+ * @param {Object} invoice - Invoice details
+ * @param {String} invoice.providerInvoiceId - Provider's invoice ID
+ * @param {Number} invoice.amount - Amount charged
+ * @param {String} invoice.status - 'paid' or 'failed'
+ * @param {Date} invoice.periodStart - Start of the period billed
+ * @param {Date} invoice.periodEnd - End of the period billed
+ * @param {String} invoice.failureReason - Why the payment failed
+ * @returns {Promise<Object>} Handling result
+ */
+const applyInvoice = async (membership, invoice) => {
+  const { Membership, MembershipInvoice } = require('../models/pricing');
+  const notificationService = require('./notificationService');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const locked = await Membership.findByPk(membership.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    let record = invoice.providerInvoiceId
+      ? await MembershipInvoice.findOne({ where: { providerInvoiceId: invoice.providerInvoiceId }, transaction })
+      : null;
+
+    if (record && record.status === 'paid') {
+      return { handled: false, reason: 'already_paid' };
+    }
+
+    // Providers retry a failed invoice, so a later attempt updates the same row
+    const fields = {
+      amount: invoice.amount,
+      status: invoice.status,
+      periodStart: invoice.periodStart,
+      periodEnd: invoice.periodEnd,
+      failureReason: invoice.failureReason || null
+    };
+    record = record
+      ? await record.update(fields, { transaction })
+      : await MembershipInvoice.create({
+        membershipId: locked.id,
+        userId: locked.userId,
+        providerInvoiceId: invoice.providerInvoiceId,
+        ...fields
+      }, { transaction });
+
+    if (locked.status === 'cancelled') {
+      logger.warn(`Membership ${locked.id} is cancelled; invoice ${record.id} recorded without reactivating it`);
+      return { handled: true, invoiceId: record.id, status: invoice.status };
+    }
+
+    if (invoice.status === 'paid') {
+      await locked.update({
+        status: 'active',
+        isActive: true,
+        currentPeriodStart: invoice.periodStart,
+        renewalDate: invoice.periodEnd,
+        pausedUntil: null,
+        failedPaymentCount: 0
+      }, { transaction });
+
+      return { handled: true, invoiceId: record.id, status: 'paid' };
+    }
+
+    const failedPaymentCount = locked.failedPaymentCount + 1;
+    const cancelled = failedPaymentCount >= MEMBERSHIP_CONSTANTS.MAX_FAILED_PAYMENTS;
+
+    if (cancelled) {
+      await locked.update({ failedPaymentCount }, { transaction });
+      await markCancelled(locked, transaction);
+    } else {
+      await locked.update({
+        status: 'past_due',
+        isActive: false,
+        failedPaymentCount
+      }, { transaction });
+    }
+
+    await notificationService.notify(locked.userId, 'membership_payment_failed', {
+      amount: invoice.amount,
+      reason: invoice.failureReason,
+      cancelled
+    }, {
+      transaction,
+      dedupeKey: `membership_payment_failed:${record.id}:${failedPaymentCount}`
+    });
+
+    return { handled: true, invoiceId: record.id, status: 'failed', cancelled };
+  });
+
+  if (result.cancelled) {
+    // Stop the provider billing a membership we've given up on
+    try {
+      await membershipBilling.getProvider(membership.billingProvider)
+        .cancelSubscription(membership, { atPeriodEnd: false });
+    } catch (error) {
+      logger.error(`Could not cancel subscription for membership ${membership.id}: ${error.message}`);
+    }
+    logger.warn(`Membership ${membership.id} cancelled after ${MEMBERSHIP_CONSTANTS.MAX_FAILED_PAYMENTS} failed payments`);
+  } else if (result.handled) {
+    logger.info(`Membership ${membership.id} invoice ${invoice.status}`);
+  }
+
+  return result;
+};
+
+/**
+ * Charge a stub-billed membership and record the outcome
+ * @param {Object} membership - Membership instance
+ * @param {Date} periodStart - Start of the period to bill
+ * @returns {Promise<Object>} Handling result
+ */
+const chargeStubRenewal = async (membership, periodStart) => {
+  const provider = membershipBilling.getProvider(membership.billingProvider);
+  const amount = await getMembershipFee(membership);
+  const charge = await provider.chargeRenewal(membership, amount, periodStart);
+
+  return applyInvoice(membership, {
+    providerInvoiceId: charge.invoice.id,
+    amount,
+    status: charge.invoice.status,
+    periodStart: charge.periodStart,
+    periodEnd: charge.periodEnd,
+    failureReason: charge.invoice.failureReason
+  });
+};
+
+/**
+ * Undo a scheduled cancellation or pause, or end a pause now
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Membership details
+ * @throws {Error} 409 if there is nothing to resume
+ */
+const resume = async (userId) => {
+  const membership = await getCurrentMembership(userId);
+  const provider = membershipBilling.getProvider(membership.billingProvider);
+
+  if (membership.status === 'active' && (membership.cancelAtPeriodEnd || membership.pausedUntil)) {
+    await provider.resumeSubscription(membership, { immediately: false });
+    await membership.update({ cancelAtPeriodEnd: false, autoRenew: true, pausedUntil: null });
+    logger.info(`Membership ${membership.id} will renew as normal`);
+    return serializeMembership(membership);
+  }
+
+  if (membership.status !== 'paused') {
+    throw membershipError('This membership has no cancellation or pause to undo', 409);
+  }
+
+  if (provider.renewsItself) {
+    // The provider charges straight away and confirms the new period by webhook
+    await provider.resumeSubscription(membership, { immediately: true });
+    await membership.update({ pausedUntil: new Date(), autoRenew: true });
+  } else {
+    const result = await chargeStubRenewal(membership, new Date());
+    if (result.status === 'failed') {
+      throw membershipError('Payment declined; update your payment method and try again', 402);
+    }
+    await membership.reload();
+  }
+
+  logger.info(`Membership ${membership.id} resumed early`);
+  return serializeMembership(membership);
+};
+
+/**
+ * Find the membership a Stripe subscription belongs to
+ * @param {Object|String} subscription - Stripe subscription object or ID
+ * @returns {Promise<Object|null>} Membership or null
+ */
+const findMembershipForSubscription = async (subscription) => {
+  const { Membership } = require('../models/pricing');
+  if (!subscription) {
+    return null;
+  }
+
+  const subscriptionId = typeof subscription === 'object' ? subscription.id : subscription;
+  return Membership.findOne({ where: { providerSubscriptionId: subscriptionId } });
+};
+
+/**
+ * Subscription an invoice belongs to, across Stripe API versions
+ * @param {Object} invoice - Stripe invoice object
+ * @returns {String|Object|null} Subscription ID or object
+ */
+const getInvoiceSubscription = (invoice) => {
+  if (invoice.subscription) {
+    return invoice.subscription;
+  }
+  const details = invoice.parent && invoice.parent.subscription_details;
+  return details ? details.subscription : null;
+};
+
+/**
+ * Record a Stripe membership invoice (invoice.paid / invoice.payment_failed)
+ * @param {Object} invoice - Stripe invoice object
+ * @param {String} status - 'paid' or 'failed'
+ * @returns {Promise<Object>} Handling result
+ */
+const handleStripeInvoice = async (invoice, status) => {
+  const membership = await findMembershipForSubscription(getInvoiceSubscription(invoice));
+
+  if (!membership) {
+    // Also the case for the first invoice when it arrives before subscribe() has saved the membership
+    return { handled: false, reason: 'membership_not_found' };
+  }
+
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  const period = line && line.period
+    ? line.period
+    : { start: invoice.period_start, end: invoice.period_end };
+
+  const failureReason = invoice.last_finalization_error
+    ? invoice.last_finalization_error.message
+    : 'Payment was declined';
+
+  return applyInvoice(membership, {
+    providerInvoiceId: invoice.id,
+    amount: (status === 'paid' ? invoice.amount_paid : invoice.amount_due) / 100,
+    status,
+    periodStart: new Date(period.start * 1000),
+    periodEnd: new Date(period.end * 1000),
+    failureReason: status === 'failed' ? failureReason : null
+  });
+};
+
+/**
+ * Handle customer.subscription.updated and customer.subscription.deleted
+ * @param {String} eventType - Stripe event type
+ * @param {Object} subscription - Stripe subscription object
+ * @returns {Promise<Object>} Handling result
+ */
+const handleStripeSubscriptionEvent = async (eventType, subscription) => {
+  const membership = await findMembershipForSubscription(subscription);
+
+  if (!membership) {
+    return { handled: false, reason: 'membership_not_found' };
+  }
+
+  if (eventType === 'customer.subscription.deleted') {
+    if (membership.status !== 'cancelled') {
+      await markCancelled(membership);
+      logger.info(`Membership ${membership.id} cancelled by Stripe`);
+    }
+    return { handled: true, membershipId: membership.id };
+  }
+
+  // Keep a cancellation scheduled or undone in the Stripe dashboard in step
+  if (membership.status !== 'cancelled' && membership.cancelAtPeriodEnd !== subscription.cancel_at_period_end) {
+    await membership.update({
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      autoRenew: !subscription.cancel_at_period_end
+    });
+  }
+
+  return { handled: true, membershipId: membership.id };
+};
+
+/**
+ * Apply the memberships' scheduled changes and charge stub renewals that are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Counts of memberships handled
+ */
+const processRenewals = async (now = new Date()) => {
+  const { Membership, MembershipInvoice } = require('../models/pricing');
+  const counts = { cancelled: 0, paused: 0, renewed: 0, failed: 0 };
+
+  const each = async (memberships, handler) => {
+    for (const membership of memberships) {
+      try {
+        await handler(membership);
+      } catch (error) {
+        logger.error(`Membership ${membership.id} renewal processing failed: ${error.message}`);
+      }
+    }
+  };
+
+  const countCharge = (result) => {
+    if (result.handled) {
+      counts[result.status === 'paid' ? 'renewed' : 'failed'] += 1;
+    }
+  };
+
+  // Scheduled cancellations, and memberships from before billing that have nothing to renew them
+  await each(await Membership.findAll({
+    where: {
+      status: 'active',
+      renewalDate: { [Op.lte]: now },
+      [Op.or]: [{ cancelAtPeriodEnd: true }, { providerSubscriptionId: null }]
+    }
+  }), async (membership) => {
+    await markCancelled(membership);
+    counts.cancelled += 1;
+  });
+
+  // Scheduled pauses
+  await each(await Membership.findAll({
+    where: {
+      status: 'active',
+      renewalDate: { [Op.lte]: now },
+      pausedUntil: { [Op.ne]: null }
+    }
+  }), async (membership) => {
+    await membership.update({ status: 'paused', isActive: false });
+    counts.paused += 1;
+  });
+
+  // Stripe bills its own renewals; everything below is for the stub provider.
+  // Pauses that end here include ones that only started above.
+  await each(await Membership.findAll({
+    where: {
+      billingProvider: 'stub',
+      status: 'paused',
+      pausedUntil: { [Op.lte]: now }
+    }
+  }), async (membership) => {
+    countCharge(await chargeStubRenewal(membership, membership.pausedUntil));
+  });
+
+  await each(await Membership.findAll({
+    where: {
+      billingProvider: 'stub',
+      status: 'active',
+      renewalDate: { [Op.lte]: now },
+      cancelAtPeriodEnd: false,
+      pausedUntil: null,
+      providerSubscriptionId: { [Op.ne]: null }
+    }
+  }), async (membership) => {
+    countCharge(await chargeStubRenewal(membership, membership.renewalDate));
+  });
+
+  await each(await Membership.findAll({
+    where: { billingProvider: 'stub', status: 'past_due' }
+  }), async (membership) => {
+    const lastAttempt = await MembershipInvoice.max('createdAt', { where: { membershipId: membership.id } });
+    if (lastAttempt && now - new Date(lastAttempt) < MEMBERSHIP_CONSTANTS.RETRY_INTERVAL_MS) {
+      return;
+    }
+    // The member went without benefits while past due, so the new period starts on payment
+    countCharge(await chargeStubRenewal(membership, now));
+  });
+
+  if (counts.cancelled || counts.paused || counts.renewed || counts.failed) {
+    logger.info(`Membership renewals: ${counts.renewed} renewed, ${counts.failed} failed, ${counts.paused} paused, ${counts.cancelled} cancelled`);
+  }
+
+  return counts;
+};
+
+/**
+ * Start the periodic renewal job
+ */
+const startRenewalWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processRenewals().catch(error => {
+      logger.error(`Membership renewal worker failed: ${error.message}`);
+    });
+  }, MEMBERSHIP_CONSTANTS.WORKER_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  workerTimer.unref();
+  logger.info('Membership renewal worker started');
+};
+
+/**
+ * Stop the periodic renewal job
+ */
+const stopRenewalWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+/**
+ * Parse an optional reporting range; defaults to all time
+ * @param {Object} range - { from, to }
+ * @returns {Object} { from, to } as Dates
+ */
+const parseRange = ({ from, to } = {}) => ({
+  from: from ? new Date(from) : new Date(0),
+  to: to ? new Date(to) : new Date()
+});
+
+/**
+ * What a member has saved compared with what their membership cost
+ * @param {String} userId - User ID
+ * @param {Object} range - Optional { from, to }
+ * @returns {Promise<Object>} Savings summary
+ */
+const getMemberSavings = async (userId, range = {}) => {
+  const { from, to } = parseRange(range);
+
+  const [savings] = await sequelize.query(`
+    SELECT
+      COUNT(DISTINCT o.id) as orders,
+      COALESCE(SUM(oc."membershipDiscount"), 0) as saved
+    FROM "order_charges" oc
+    JOIN "orders" o ON oc."orderId" = o.id
+    WHERE o."userId" = :userId
+      AND oc."membershipDiscount" > 0
+      AND o."createdAt" BETWEEN :from AND :to
+      AND o.status NOT IN ('cancelled', 'refunded')
+      AND o."paymentStatus" != 'refunded'
+  `, {
+    replacements: { userId, from, to },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const [fees] = await sequelize.query(`
+    SELECT COALESCE(SUM(mi.amount), 0) as paid
+    FROM "membership_invoices" mi
+    WHERE mi."userId" = :userId
+      AND mi.status = 'paid'
+      AND mi."createdAt" BETWEEN :from AND :to
+  `, {
+    replacements: { userId, from, to },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const saved = roundMoney(parseFloat(savings.saved));
+  const feesPaid = roundMoney(parseFloat(fees.paid));
+
+  return {
+    from,
+    to,
+    orders: parseInt(savings.orders, 10),
+    saved,
+    feesPaid,
+    netSavings: roundMoney(saved - feesPaid)
+  };
+};
+
+/**
+ * Savings and fees across all members, biggest savers first
+ * @param {Object} options - Options
+ * @param {String} options.from - Start of the range
+ * @param {String} options.to - End of the range
+ * @param {Number} options.page - Page number
+ * @param {Number} options.limit - Members per page
+ * @returns {Promise<Object>} { totals, members, pagination }
+ */
+const getSavingsReport = async ({ from, to, page = 1, limit = 20 } = {}) => {
+  const range = parseRange({ from, to });
+  const offset = (page - 1) * limit;
+  const replacements = { ...range, limit, offset };
+
+  // Per-member savings and fees are aggregated separately so neither is multiplied by the join
+  const memberTotals = `
+    SELECT
+      m."userId",
+      m.status,
+      u.email,
+      u."firstName",
+      u."lastName",
+      COALESCE(s.orders, 0) as orders,
+      COALESCE(s.saved, 0) as saved,
+      COALESCE(f.paid, 0) as "feesPaid"
+    FROM "memberships" m
+    JOIN "users" u ON u.id = m."userId"
+    LEFT JOIN (
+      SELECT o."userId", COUNT(DISTINCT o.id) as orders, SUM(oc."membershipDiscount") as saved
+      FROM "order_charges" oc
+      JOIN "orders" o ON oc."orderId" = o.id
+      WHERE oc."membershipDiscount" > 0
+        AND o."createdAt" BETWEEN :from AND :to
+        AND o.status NOT IN ('cancelled', 'refunded')
+        AND o."paymentStatus" != 'refunded'
+      GROUP BY o."userId"
+    ) s ON s."userId" = m."userId"
+    LEFT JOIN (
+      SELECT mi."userId", SUM(mi.amount) as paid
+      FROM "membership_invoices" mi
+      WHERE mi.status = 'paid'
+        AND mi."createdAt" BETWEEN :from AND :to
+      GROUP BY mi."userId"
+    ) f ON f."userId" = m."userId"
+  `;
+
+  const members = await sequelize.query(`
+    ${memberTotals}
+    ORDER BY saved DESC, m."userId"
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements,
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const [totals] = await sequelize.query(`
+    SELECT
+      COUNT(*) as members,
+      COUNT(*) FILTER (WHERE t.status = 'active') as "activeMembers",
+      COALESCE(SUM(t.orders), 0) as orders,
+      COALESCE(SUM(t.saved), 0) as saved,
+      COALESCE(SUM(t."feesPaid"), 0) as "feesPaid"
+    FROM (${memberTotals}) t
+  `, {
+    replacements,
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const total = parseInt(totals.members, 10);
+
+  return {
+    from: range.from,
+    to: range.to,
+    totals: {
+      members: total,
+      activeMembers: parseInt(totals.activeMembers, 10),
+      orders: parseInt(totals.orders, 10),
+      saved: roundMoney(parseFloat(totals.saved)),
+      feesPaid: roundMoney(parseFloat(totals.feesPaid)),
+      netSavings: roundMoney(parseFloat(totals.saved) - parseFloat(totals.feesPaid))
+    },
+    members: members.map(row => ({
+      userId: row.userId,
+      email: row.email,
+      name: `${row.firstName || ''} ${row.lastName || ''}`.trim(),
+      status: row.status,
+      orders: parseInt(row.orders, 10),
+      saved: roundMoney(parseFloat(row.saved)),
+      feesPaid: roundMoney(parseFloat(row.feesPaid)),
+      netSavings: roundMoney(parseFloat(row.saved) - parseFloat(row.feesPaid))
+    })),
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  MEMBERSHIP_CONSTANTS,
+  getMembership,
+  subscribe,
+  cancel,
+  pause,
+  resume,
+  handleStripeInvoice,
+  handleStripeSubscriptionEvent,
+  processRenewals,
+  startRenewalWorker,
+  stopRenewalWorker,
+  getMemberSavings,
+  getSavingsReport
+};
@@ -0,0 +1,331 @@
+/**
+ * Notification Service
+ *
+ * Sends transactional email and SMS notifications through a durable outbox:
+ * - notify() renders a template and queues one outbox row per channel the
+ *   user has enabled, inside the caller's transaction when one is given, so
+ *   a message is queued if and only if the change that caused it commits
+ * - processOutbox() sends due messages through the channel's transport
+ *   (see notificationTransports) and retries failures with backoff
+ * - The outbox worker runs processOutbox() periodically and right after new
+ *   messages are queued
+ *
+ * Users choose channels, and which events they hear about on each, in their
+ * notification settings (see settingsService). Account security messages
+ * (verification, password reset) are always sent by email.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { NotificationOutbox } = require('../models/notification');
+const { TEMPLATES, renderTemplate } = require('./notificationTemplates');
+const notificationTransports = require('./notificationTransports');
+const settingsService = require('./settingsService');
+
+const NOTIFICATION_CONSTANTS = {
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_DELAY_MS: 60 * 1000, // 1 minute, doubled after each failure
+  RETRY_MAX_DELAY_MS: 60 * 60 * 1000, // 1 hour
+  STALE_SENDING_MS: 10 * 60 * 1000, // Messages stuck in 'sending' this long are retried
+  BATCH_SIZE: 50,
+  WORKER_INTERVAL_MS: 30 * 1000
+};
+
+// Order statuses customers are told about
+const ORDER_STATUS_TEMPLATES = {
+  pending: 'order_placed',
+  confirmed: 'order_confirmed',
+  out_for_delivery: 'order_out_for_delivery',
+  delivered: 'order_delivered'
+};
+
+let workerTimer = null;
+let processing = false;
+let dispatchScheduled = false;
+
+/**
+ * Run the outbox soon, once, without blocking the caller
+ */
+const scheduleDispatch = () => {
+  if (dispatchScheduled) {
+    return;
+  }
+  dispatchScheduled = true;
+
+  setImmediate(() => {
+    dispatchScheduled = false;
+    processOutbox().catch(error => {
+      logger.error(`Notification dispatch failed: ${error.message}`);
+    });
+  });
+};
+
+/**
+ * Queue a templated notification for a user on every channel they have enabled
+ * @param {String} userId - Recipient user ID
+ * @param {String} templateName - Template name (see notificationTemplates)
+ * @param {Object} data - Template data
+ * @param {Object} options - {
+ *   transaction: queue as part of this transaction; sending starts after it commits,
+ *   dedupeKey: identifies the event so repeats are not queued again
+ * }
+ * @returns {Promise<Array>} Channels the message was queued for
+ */
+const notify = async (userId, templateName, data = {}, options = {}) => {
+  const { transaction = null, dedupeKey = null } = options;
+  const { User, Profile } = require('../models/user');
+
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${templateName}`);
+  }
+
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'email', 'firstName', 'status'],
+    transaction
+  });
+
+  if (!user || user.status === 'deleted') {
+    logger.warn(`Notification ${templateName} not queued: user ${userId} not found`);
+    return [];
+  }
+
+  const profile = await Profile.findOne({
+    where: { userId },
+    attributes: ['id', 'phone', 'preferences'],
+    transaction
+  });
+  const settings = settingsService.resolveSettings(profile && profile.preferences);
+
+  const recipients = {};
+  if ((template.required || settingsService.wantsNotification(settings, template.category, 'email')) && user.email) {
+    recipients.email = user.email;
+  }
+  if (!template.required && template.sms && settingsService.wantsNotification(settings, template.category, 'sms') &&
+    profile && profile.phone) {
+    recipients.sms = profile.phone;
+  }
+
+  const channels = Object.keys(recipients);
+  if (channels.length === 0) {
+    return [];
+  }
+
+  const templateData = { firstName: user.firstName, currencyFormat: settings.display.currencyFormat, ...data };
+  const rows = channels.map(channel => ({
+    userId,
+    channel,
+    template: templateName,
+    recipient: recipients[channel],
+    ...renderTemplate(templateName, channel, templateData),
+    dedupeKey
+  }));
+
+  // Repeats of the same event hit the (dedupeKey, channel) unique index and are skipped
+  await NotificationOutbox.bulkCreate(rows, { ignoreDuplicates: true, transaction });
+
+  if (transaction) {
+    transaction.afterCommit(scheduleDispatch);
+  } else {
+    scheduleDispatch();
+  }
+
+  return channels;
+};
+
+/**
+ * Queue the customer notification for an order status, if there is one
+ * @param {Object} order - Order instance (id, userId, orderNumber, totalAmount)
+ * @param {String} status - The order's new status
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} Channels the message was queued for
+ */
+const notifyOrderStatus = async (order, status, transaction = null) => {
+  const templateName = ORDER_STATUS_TEMPLATES[status];
+  if (!templateName) {
+    return [];
+  }
+
+  return notify(order.userId, templateName, {
+    orderNumber: order.orderNumber,
+    totalAmount: order.totalAmount
+  }, {
+    transaction,
+    dedupeKey: `${templateName}:${order.id}`
+  });
+};
+
+/**
+ * Queue a payout notification. The money has already moved when this is
+ * called, so failures are logged rather than thrown.
+ * @param {String} userId - Driver or farmer user ID
+ * @param {Object} payout - { id, amount, reference, periodStart, periodEnd }
+ * @param {Object} options - { transaction } to queue it with the payout's changes
+ * @returns {Promise<Array>} Channels the message was queued for
+ */
+const notifyPayoutSent = async (userId, payout, options = {}) => {
+  const { transaction = null } = options;
+  const { id, amount, reference = null, periodStart = null, periodEnd = null } = payout;
+  const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+  try {
+    return await notify(userId, 'payout_sent', {
+      amount,
+      reference,
+      periodLabel: periodStart && periodEnd ? `${formatDate(periodStart)} to ${formatDate(periodEnd)}` : null
+    }, {
+      transaction,
+      dedupeKey: `payout_sent:${id}`
+    });
+  } catch (error) {
+    logger.error(`Failed to queue payout notification for ${id}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(
+  NOTIFICATION_CONSTANTS.RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1),
+  NOTIFICATION_CONSTANTS.RETRY_MAX_DELAY_MS
+);
+
+/**
+ * Send one claimed outbox message and record the outcome
+ * @param {Object} message - NotificationOutbox instance in 'sending' status
+ * @returns {Promise<Boolean>} True if sent
+ */
+const deliverMessage = async (message) => {
+  const attempts = message.attempts + 1;
+
+  try {
+    await notificationTransports.getTransport(message.channel).send(message);
+
+    await message.update({
+      status: 'sent',
+      attempts,
+      sentAt: new Date(),
+      lastError: null
+    });
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= NOTIFICATION_CONSTANTS.MAX_ATTEMPTS;
+
+    await message.update({
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts))
+    });
+
+    if (exhausted) {
+      logger.error(`Notification ${message.id} (${message.template} by ${message.channel}) failed after ${attempts} attempts: ${error.message}`);
+    } else {
+      logger.warn(`Notification ${message.id} attempt ${attempts} failed, retrying: ${error.message}`);
+    }
+    return false;
+  }
+};
+
+/**
+ * Send messages that are due. Safe to run from several processes: each
+ * message is claimed by moving it to 'sending' before it is sent.
+ * @param {Object} options - { limit: maximum messages to send }
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const processOutbox = async ({ limit = NOTIFICATION_CONSTANTS.BATCH_SIZE } = {}) => {
+  if (processing) {
+    return { sent: 0, failed: 0 };
+  }
+  processing = true;
+
+  try {
+    const now = new Date();
+
+    // Give messages back if a process died while sending them
+    await NotificationOutbox.update({ status: 'pending' }, {
+      where: {
+        status: 'sending',
+        updatedAt: { [Op.lt]: new Date(now.getTime() - NOTIFICATION_CONSTANTS.STALE_SENDING_MS) }
+      }
+    });
+
+    const due = await NotificationOutbox.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: now }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit
+    });
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const message of due) {
+      const [claimed] = await NotificationOutbox.update({ status: 'sending' }, {
+        where: { id: message.id, status: 'pending' }
+      });
+      if (claimed === 0) {
+        continue;
+      }
+
+      if (await deliverMessage(message)) {
+        sent++;
+      } else {
+        failed++;
+      }
+    }
+
+    if (sent > 0 || failed > 0) {
+      logger.info(`Notification outbox: sent ${sent}, failed ${failed}`);
+    }
+
+    return { sent, failed };
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Start the periodic outbox worker
+ */
+const startOutboxWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processOutbox().catch(error => {
+      logger.error(`Notification outbox worker failed: ${error.message}`);
+    });
+  }, NOTIFICATION_CONSTANTS.WORKER_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  workerTimer.unref();
+  logger.info('Notification outbox worker started');
+};
+
+/**
+ * Stop the periodic outbox worker
+ */
+const stopOutboxWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  NOTIFICATION_CONSTANTS,
+  ORDER_STATUS_TEMPLATES,
+  notify,
+  notifyOrderStatus,
+  notifyPayoutSent,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker
+};
@@ -0,0 +1,315 @@
+/**
+ * Notification Templates
+ *
+ * Message templates for transactional notifications. Each template has an
+ * email (subject and text) and usually an SMS version, and names the
+ * notification event users turn it on or off with (see settingsService).
+ * Account security templates are marked required: they go by email only and
+ * ignore the user's notification settings.
+ */
+
+/**
+ * Format an amount in the user's chosen currency format
+ * @param {Number} amount - Amount in CAD
+ * @param {String} currencyFormat - 'symbol' ($12.50) or 'code' (12.50 CAD)
+ * @returns {String} Formatted amount
+ */
+const formatMoney = (amount, currencyFormat = 'symbol') => {
+  const value = parseFloat(amount || 0).toFixed(2);
+  return currencyFormat === 'code' ? `${value} CAD` : `$${value}`;
+};
+
+const greeting = (data) => (data.firstName ? `Hi ${data.firstName},` : 'Hi,');
+
+const TEMPLATES = {
+  email_verification: {
+    category: null,
+    required: true,
+    email: {
+      subject: () => 'Confirm your FreshFarmily email address',
+      text: (data) => [
+        greeting(data),
+        '',
+        'Welcome to FreshFarmily! Please confirm your email address to activate your account:',
+        '',
+        data.link,
+        '',
+        `This link expires in ${data.expiresInHours} hours. If you didn't create an account, you can ignore this email.`,
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    }
+  },
+
+  password_reset: {
+    category: null,
+    required: true,
+    email: {
+      subject: () => 'Reset your FreshFarmily password',
+      text: (data) => [
+        greeting(data),
+        '',
+        'We received a request to reset your password. Choose a new one here:',
+        '',
+        data.link,
+        '',
+        `This link expires in ${data.expiresInMinutes} minutes and can only be used once.`,
+        "If you didn't ask to reset your password, you can ignore this email; your password won't change.",
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    }
+  },
+
+  order_placed: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `Order ${data.orderNumber} received`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `Thanks for your order! We've received order ${data.orderNumber} for ${formatMoney(data.totalAmount, data.currencyFormat)} and sent it to the farms.`,
+        'We will let you know as soon as it is confirmed.',
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: we received order ${data.orderNumber} (${formatMoney(data.totalAmount, data.currencyFormat)}). We'll text you when it's confirmed.`
+  },
+
+  order_confirmed: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `Order ${data.orderNumber} confirmed`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `Good news: order ${data.orderNumber} has been confirmed and the farms are preparing it.`,
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: order ${data.orderNumber} is confirmed and being prepared.`
+  },
+
+  order_out_for_delivery: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `Order ${data.orderNumber} is on its way`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `Order ${data.orderNumber} is out for delivery. You can follow your driver live from the order page.`,
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: order ${data.orderNumber} is out for delivery.`
+  },
+
+  order_delivered: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `Order ${data.orderNumber} delivered`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `Order ${data.orderNumber} has been delivered. Enjoy your fresh food!`,
+        'If anything is wrong with your order, reply to this email or contact support.',
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: order ${data.orderNumber} has been delivered. Enjoy!`
+  },
+
+  delivery_failed: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `We couldn't deliver order ${data.orderNumber}`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `Our driver couldn't deliver order ${data.orderNumber}: ${data.reason}.`,
+        data.canRedeliver && data.donatedItems && data.donatedItems.length
+          ? `Rather than let them spoil, we donated ${data.donatedItems.join(', ')} and are refunding them.`
+          : null,
+        data.canRedeliver
+          ? `From your order page, choose a new delivery slot or a refund of ${formatMoney(data.refundAmount, data.currencyFormat)}.`
+          : `We're refunding ${formatMoney(data.refundAmount, data.currencyFormat)} and will confirm once it's done.`,
+        data.canRedeliver && data.decideWithinHours
+          ? `If you haven't chosen within ${data.decideWithinHours} hours, we'll refund you.`
+          : null,
+        data.feeKept ? 'The delivery fee isn\'t refunded, as the delivery was attempted.' : null,
+        '',
+        'The FreshFarmily Team'
+      ].filter(line => line !== null).join('\n')
+    },
+    sms: (data) => (data.canRedeliver
+      ? `FreshFarmily: we couldn't deliver order ${data.orderNumber} (${data.reason}). Choose a new slot or a refund in the app.`
+      : `FreshFarmily: we couldn't deliver order ${data.orderNumber} (${data.reason}). We're refunding ${formatMoney(data.refundAmount, data.currencyFormat)}.`)
+  },
+
+  delivery_goods_returned: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `Delivery of order ${data.orderNumber} failed`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `The delivery of order ${data.orderNumber} failed: ${data.reason}.`,
+        data.donatedItems && data.donatedItems.length
+          ? `These perishable goods from ${data.farmName} were donated: ${data.donatedItems.join(', ')}.`
+          : null,
+        data.returnedItems && data.returnedItems.length
+          ? `These goods from ${data.farmName} are coming back to you: ${data.returnedItems.join(', ')}. Keep them ready in case the customer books a redelivery.`
+          : null,
+        '',
+        'The FreshFarmily Team'
+      ].filter(line => line !== null).join('\n')
+    },
+    sms: (data) => `FreshFarmily: delivery of order ${data.orderNumber} failed (${data.reason}). ${data.returnedItems && data.returnedItems.length
+      ? `${data.returnedItems.length} item(s) are coming back to you.`
+      : 'Perishables were donated.'}`
+  },
+
+  delivery_offer: {
+    category: 'orderUpdates',
+    email: {
+      subject: (data) => `New delivery offer: ${data.deliveryCount} ${data.deliveryCount === 1 ? 'delivery' : 'deliveries'}`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `You've been offered ${data.deliveryCount} ${data.deliveryCount === 1 ? 'delivery' : 'deliveries'} starting ${data.distanceKm} km from you (${data.totalDistance} km in total).`,
+        `Open the driver app to accept or decline it within ${data.expiresInSeconds} seconds.`,
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: new offer of ${data.deliveryCount} ${data.deliveryCount === 1 ? 'delivery' : 'deliveries'}, ${data.distanceKm} km away. Accept within ${data.expiresInSeconds}s in the app.`
+  },
+
+  shift_ended_automatically: {
+    category: 'orderUpdates',
+    email: {
+      subject: () => 'Your shift has ended',
+      text: (data) => [
+        greeting(data),
+        '',
+        data.reason === 'location_stale'
+          ? `We took you offline because your location hadn't updated for ${data.autoOfflineMinutes} minutes. Your shift ended when we last heard from you.`
+          : `We took you offline because your shift reached the ${data.maxShiftHours}-hour maximum.`,
+        'Go online again in the driver app if you are still working.',
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: you've been taken offline (${data.reason === 'location_stale' ? 'no location updates' : `${data.maxShiftHours}-hour shift limit`}). Go online again in the app if you're still working.`
+  },
+
+  refund_issued: {
+    category: 'refunds',
+    email: {
+      subject: (data) => `Refund for order ${data.orderNumber}`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `We've refunded ${formatMoney(data.amount, data.currencyFormat)} for order ${data.orderNumber}.`,
+        data.items && data.items.length ? `Refunded items: ${data.items.join(', ')}` : null,
+        'It usually appears on your statement within 5 to 10 business days.',
+        '',
+        'The FreshFarmily Team'
+      ].filter(line => line !== null).join('\n')
+    },
+    sms: (data) => `FreshFarmily: we've refunded ${formatMoney(data.amount, data.currencyFormat)} for order ${data.orderNumber}.`
+  },
+
+  payout_sent: {
+    category: 'payouts',
+    email: {
+      subject: (data) => `Your ${formatMoney(data.amount, data.currencyFormat)} payout is on its way`,
+      text: (data) => [
+        greeting(data),
+        '',
+        `We've sent your payout of ${formatMoney(data.amount, data.currencyFormat)}${data.periodLabel ? ` for ${data.periodLabel}` : ''}.`,
+        data.reference ? `Reference: ${data.reference}` : null,
+        'It usually arrives in your bank account within 2 business days.',
+        '',
+        'The FreshFarmily Team'
+      ].filter(line => line !== null).join('\n')
+    },
+    sms: (data) => `FreshFarmily: your payout of ${formatMoney(data.amount, data.currencyFormat)} has been sent.`
+  },
+
+  membership_payment_failed: {
+    category: 'membership',
+    email: {
+      subject: () => 'We couldn\'t renew your FreshFarmily membership',
+      text: (data) => [
+        greeting(data),
+        '',
+        `We couldn't charge your ${formatMoney(data.amount, data.currencyFormat)} membership fee${data.reason ? `: ${data.reason}` : '.'}`,
+        data.cancelled
+          ? 'After several attempts your membership has been cancelled. You can subscribe again at any time.'
+          : 'Your member benefits are on hold. We\'ll try again tomorrow, or you can update your payment method now.',
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => (data.cancelled
+      ? 'FreshFarmily: we couldn\'t charge your membership fee and your membership has been cancelled.'
+      : 'FreshFarmily: we couldn\'t charge your membership fee. We\'ll try again tomorrow.')
+  },
+
+  referral_reward: {
+    category: 'referrals',
+    email: {
+      subject: () => 'You earned a referral reward',
+      text: (data) => [
+        greeting(data),
+        '',
+        `You've earned ${data.rewardDescription} through the FreshFarmily referral program.`,
+        'It will be applied automatically to your next eligible order or payout.',
+        '',
+        'The FreshFarmily Team'
+      ].join('\n')
+    },
+    sms: (data) => `FreshFarmily: you earned ${data.rewardDescription} through referrals!`
+  }
+};
+
+/**
+ * Render a template for a channel
+ * @param {String} name - Template name
+ * @param {String} channel - 'email' or 'sms'
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, body } (subject is null for SMS)
+ * @throws {Error} If the template does not exist
+ */
+const renderTemplate = (name, channel, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  if (channel === 'email') {
+    return {
+      subject: template.email.subject(data),
+      body: template.email.text(data)
+    };
+  }
+
+  if (!template.sms) {
+    throw new Error(`Notification template ${name} has no SMS version`);
+  }
+
+  return {
+    subject: null,
+    body: template.sms(data)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,184 @@
+/**
+ * Notification Transports
+ *
+ * Pluggable senders for each notification channel:
+ * - email: smtp (SMTP_* settings), console, file
+ * - sms: twilio (TWILIO_* settings), console, file
+ *
+ * The transport for a channel is picked with NOTIFICATION_EMAIL_TRANSPORT and
+ * NOTIFICATION_SMS_TRANSPORT. When unset, SMTP and Twilio are used if they are
+ * configured and the console transport otherwise, so local runs just log
+ * messages. Every transport exposes send(message) and resolves once the
+ * message has been handed off; a rejection means it should be retried.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// File transport output, one JSON message per line
+const NOTIFICATION_FILE = process.env.NOTIFICATION_FILE ||
+  path.join(__dirname, '../../logs/notifications.log');
+
+/**
+ * Create the SMTP email transport
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = () => {
+  // Loaded lazily so environments that never send email don't need it
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await mailer.sendMail({
+        from: process.env.EMAIL_FROM || 'FreshFarmily <noreply@freshfarmily.com>',
+        to: message.recipient,
+        subject: message.subject,
+        text: message.body
+      });
+      return { providerId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Create the Twilio SMS transport
+ * @returns {Object} Transport
+ */
+const createTwilioTransport = () => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+
+  return {
+    name: 'twilio',
+    async send(message) {
+      const response = await axios.post(url, new URLSearchParams({
+        To: message.recipient,
+        From: process.env.TWILIO_FROM_NUMBER,
+        Body: message.body
+      }).toString(), {
+        auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      });
+      return { providerId: response.data.sid };
+    }
+  };
+};
+
+/**
+ * Create a transport that writes messages to the application log
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = (channel) => ({
+  name: 'console',
+  async send(message) {
+    logger.info(`[${channel}] to ${message.recipient}${message.subject ? ` - ${message.subject}` : ''}\n${message.body}`);
+    return { providerId: null };
+  }
+});
+
+/**
+ * Create a transport that appends messages to NOTIFICATION_FILE
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {Object} Transport
+ */
+const createFileTransport = (channel) => ({
+  name: 'file',
+  async send(message) {
+    await fs.ensureDir(path.dirname(NOTIFICATION_FILE));
+    await fs.appendFile(NOTIFICATION_FILE, JSON.stringify({
+      channel,
+      id: message.id,
+      template: message.template,
+      recipient: message.recipient,
+      subject: message.subject,
+      body: message.body,
+      sentAt: new Date().toISOString()
+    }) + '\n');
+    return { providerId: null };
+  }
+});
+
+const factories = {
+  email: {
+    smtp: createSmtpTransport,
+    console: () => createConsoleTransport('email'),
+    file: () => createFileTransport('email')
+  },
+  sms: {
+    twilio: createTwilioTransport,
+    console: () => createConsoleTransport('sms'),
+    file: () => createFileTransport('sms')
+  }
+};
+
+// Transports are created on first use and reused
+const active = {};
+
+/**
+ * Name of the configured transport for a channel
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {String} Transport name
+ */
+const getTransportName = (channel) => {
+  if (channel === 'email') {
+    return process.env.NOTIFICATION_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  }
+  return process.env.NOTIFICATION_SMS_TRANSPORT || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'console');
+};
+
+/**
+ * Get the transport for a channel
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {Object} Transport with send(message)
+ * @throws {Error} If the configured transport does not exist
+ */
+const getTransport = (channel) => {
+  if (!active[channel]) {
+    const name = getTransportName(channel);
+    const factory = factories[channel] && factories[channel][name];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} notification transport: ${name}`);
+    }
+    active[channel] = factory();
+    logger.info(`Using ${name} transport for ${channel} notifications`);
+  }
+  return active[channel];
+};
+
+/**
+ * Use a custom transport for a channel, replacing the configured one
+ * @param {String} channel - 'email' or 'sms'
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const setTransport = (channel, transport) => {
+  if (!factories[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Notification transports must have a send(message) method');
+  }
+  active[channel] = transport;
+};
+
+module.exports = {
+  NOTIFICATION_FILE,
+  getTransportName,
+  getTransport,
+  setTransport
+};
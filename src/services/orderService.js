@@ -0,0 +1,301 @@
+/**
+ * Order Service
+ *
+ * Places orders: reserves stock, holds the delivery slot, prices the order
+ * with the same quote engine the cart uses and creates the order with its
+ * items, fulfillment groups, placeholder payment and delivery in one
+ * transaction. Used by checkout and by box subscriptions, whose orders are
+ * placed by the scheduler.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+const inventoryService = require('./inventoryService');
+const pricingService = require('./pricingService');
+const fulfillmentService = require('./fulfillmentService');
+const notificationService = require('./notificationService');
+const orderStateMachine = require('./orderStateMachine');
+const addressService = require('./addressService');
+const deliverySlotService = require('./deliverySlotService');
+const catchWeightService = require('./catchWeightService');
+const promoCodeService = require('./promoCodeService');
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const orderError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Place an order. Stock, quantity-limit, delivery address, slot, delivery time
+ * and promo code problems are thrown as errors with a statusCode (and sometimes details).
+ * @param {String} userId - Customer placing the order
+ * @param {Object} orderData - Order data
+ * @param {Array} orderData.items - [{ productId, variantId, quantity }]; variantId picks the size or
+ *   pack of products sold in several, and catch-weight quantities count pieces
+ * @param {Object} orderData.delivery - Delivery method, address or addressId, slot and instructions
+ * @param {String} orderData.promoCode - Promo code to apply, if any
+ * @param {Object} options - Options
+ * @param {Object} options.actor - { userId, role } placing the order (null for the scheduler)
+ * @param {String} options.reason - Reason recorded in the order's status history
+ * @param {Object} options.transaction - Existing transaction to join
+ * @returns {Promise<Object>} Created order
+ */
+const placeOrder = async (userId, { items, delivery = {}, promoCode = null }, { actor = null, reason = 'Order placed', transaction = null } = {}) => {
+  const { Order, OrderItem } = require('../models/order');
+  const { Farm } = require('../models/farm');
+  const { PaymentInfo } = require('../models/payment');
+  const { ReferralInfo } = require('../models/referral');
+  const { Delivery } = require('../models/delivery');
+
+  const deliveryMethod = delivery.deliveryMethod || 'delivery';
+  
+  const run = async (t) => {
+    const orderId = uuidv4();
+    
+    // Deliveries go to a saved address; a new one is only kept if the order is placed.
+    // Resolved before anything is locked, since a new address is geocoded first
+    const address = deliveryMethod === 'delivery'
+      ? await addressService.resolveOrderAddress(userId, delivery, t)
+      : null;
+    
+    // Lock the products and reserve stock before pricing the order
+    const { products, variants } = await inventoryService.reserveStock(items, {
+      orderId,
+      userId,
+      transaction: t
+    });
+    
+    const farms = await Farm.findAll({
+      where: { id: [...new Set(products.map(p => p.farmId))] },
+      attributes: ['id', 'name', 'latitude', 'longitude'],
+      transaction: t
+    });
+    
+    // Book the delivery slot with the stock so a failed order frees both. Orders
+    // with catch-weight items are only authorized, so must arrive while that holds
+    const now = new Date();
+    const latestStart = products.some(p => p.isCatchWeight) ? catchWeightService.getAuthorizationDeadline(now) : null;
+    const slot = address
+      ? await deliverySlotService.holdSlot(delivery.slot, {
+        address,
+        farmIds: farms.map(f => f.id),
+        latestStart,
+        transaction: t
+      })
+      : null;
+    
+    // Without a slot the requested time is used as given, so it has to hold the same rule
+    if (!slot && latestStart && delivery.scheduledDeliveryTime) {
+      const requested = new Date(delivery.scheduledDeliveryTime);
+      if (Number.isNaN(requested.getTime()) || requested <= now) {
+        throw orderError('The delivery time must be in the future', 400);
+      }
+      if (requested > latestStart) {
+        throw orderError(`Orders with items sold by weight must be delivered by ${latestStart.toDateString()}; please choose an earlier delivery time`, 400);
+      }
+    }
+    
+    // Calculate order total
+    let subtotal = 0;
+    let catchWeightSubtotal = 0;
+    const orderItems = [];
+    const promoLines = [];
+    
+    for (const item of items) {
+      const product = products.find(p => p.id === item.productId);
+      const variant = item.variantId ? variants.find(v => v.id === item.variantId) : null;
+      const farm = farms.find(f => f.id === product.farmId);
+      const unitPrice = parseFloat((variant || product).price);
+      
+      // Catch-weight items are priced on an estimate until the farm weighs them
+      const estimatedWeight = product.isCatchWeight
+        ? catchWeightService.estimateWeight(product, variant, item.quantity)
+        : null;
+      const itemTotal = Math.round(unitPrice * (product.isCatchWeight ? estimatedWeight : item.quantity) * 100) / 100;
+      subtotal += itemTotal;
+      if (product.isCatchWeight) {
+        catchWeightSubtotal += itemTotal;
+      }
+      
+      orderItems.push({
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        farmId: product.farmId,
+        productName: variant ? `${product.name} (${variant.name})` : product.name,
+        variantName: variant ? variant.name : null,
+        sku: variant ? variant.sku : null,
+        farmName: farm ? farm.name : 'Unknown Farm',
+        quantity: item.quantity,
+        unit: (variant && variant.unit) || product.unit,
+        unitPrice,
+        totalPrice: itemTotal,
+        isCatchWeight: product.isCatchWeight,
+        estimatedWeight
+      });
+      promoLines.push({ farmId: product.farmId, category: product.category, total: itemTotal });
+    }
+    
+    // Locked so the code's usage limit holds when customers check out at the same time
+    const promo = promoCode
+      ? await promoCodeService.evaluate(promoCode, {
+        userId,
+        lines: promoLines,
+        deliveryMethod,
+        transaction: t,
+        lock: true
+      })
+      : null;
+    
+    // Price the order with the same quote engine the cart uses
+    const deliveryDetails = {
+      address: address ? {
+        street: address.streetAddress,
+        city: address.city,
+        state: address.state,
+        postalCode: address.zipCode
+      } : {},
+      province: address ? address.state : delivery.deliveryState,
+      deliveryMethod,
+      distance: address ? pricingService.calculateDeliveryDistance(farms, address) : 0,
+      promo: promo ? promoCodeService.toPricing(promo) : null
+    };
+    
+    let charges = await pricingService.calculateOrderCharges({ id: orderId, subtotal }, userId, deliveryDetails);
+    
+    // Spend a referral free delivery only when there is a delivery fee left to waive
+    let freeDeliveryApplied = false;
+    if (charges.customerDeliveryFee > 0) {
+      const referralInfo = await ReferralInfo.findOne({
+        where: { userId: userId },
+        transaction: t
+      });
+      if (referralInfo && referralInfo.freeDeliveriesRemaining > 0) {
+        freeDeliveryApplied = true;
+        charges = await pricingService.calculateOrderCharges({ id: orderId, subtotal }, userId, {
+          ...deliveryDetails,
+          applyFreeDelivery: true
+        });
+      }
+    }
+    
+    const totalAmount = charges.finalTotal;
+    
+    // Hold enough on the card to cover heavier-than-estimated pieces
+    const authorizedAmount = catchWeightSubtotal > 0
+      ? catchWeightService.getAuthorizationAmount(totalAmount, catchWeightSubtotal, charges.taxRate)
+      : null;
+    
+    // Generate a unique order number
+    const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    
+    // Create the order
+    const order = await Order.create({
+      id: orderId,
+      userId,
+      orderNumber,
+      subTotal: charges.productSubtotal,
+      taxAmount: charges.taxAmount,
+      deliveryFee: charges.customerDeliveryFee,
+      serviceFee: pricingService.getServiceFee(charges),
+      discountAmount: Math.round((charges.memberProductDiscount + charges.promoProductDiscount) * 100) / 100,
+      promoCodeId: promo ? promo.promoCode.id : null,
+      promoDiscount: charges.promoDiscount,
+      deliveryMethod,
+      addressId: address ? address.id : null,
+      deliverySlotId: slot ? slot.id : null,
+      deliveryAddress: address ? addressService.formatStreet(address) : null,
+      deliveryCity: address ? address.city : null,
+      deliveryState: address ? address.state : null,
+      deliveryZipCode: address ? address.zipCode : null,
+      deliveryInstructions: delivery.deliveryInstructions || (address ? address.deliveryInstructions : null),
+      totalAmount,
+      authorizedAmount,
+      status: 'pending',
+      paymentStatus: 'pending'
+    }, { transaction: t });
+    
+    // Keep the exact quote the customer is charged
+    await pricingService.saveOrderCharges(charges, t);
+    
+    if (promo) {
+      await promoCodeService.redeem(promo, {
+        userId,
+        orderId: order.id,
+        productDiscount: charges.promoProductDiscount,
+        deliveryDiscount: charges.promoDeliveryDiscount,
+        transaction: t
+      });
+    }
+    
+    await orderStateMachine.recordHistory(order, null, 'pending', {
+      actor,
+      reason,
+      transaction: t
+    });
+    
+    // Add order items
+    const createdItems = [];
+    for (const item of orderItems) {
+      createdItems.push(await OrderItem.create({
+        ...item,
+        orderId: order.id
+      }, { transaction: t }));
+    }
+    
+    // Split the order into one fulfillment group per farm
+    await fulfillmentService.createFulfillmentGroups(order, createdItems, t);
+    
+    // Create placeholder payment info
+    await PaymentInfo.create({
+      orderId: order.id,
+      paymentMethod: 'card',
+      paymentStatus: 'pending',
+      amount: totalAmount,
+      currency: 'CAD',
+      freeDeliveryApplied
+    }, { transaction: t });
+    
+    // Add delivery info for delivered orders
+    if (address) {
+      // Booked orders are delivered in their slot; addresses no delivery window
+      // covers yet keep the requested time, or two days from now
+      let scheduledDeliveryTime = slot ? slot.startsAt : delivery.scheduledDeliveryTime;
+      if (!scheduledDeliveryTime) {
+        scheduledDeliveryTime = new Date();
+        scheduledDeliveryTime.setDate(scheduledDeliveryTime.getDate() + 2);
+      }
+      
+      await Delivery.create({
+        orderId: order.id,
+        deliverySlotId: slot ? slot.id : null,
+        status: 'pending',
+        deliveryMethod,
+        scheduledDeliveryTime,
+        deliveryAddress: order.deliveryAddress,
+        deliveryCity: order.deliveryCity,
+        deliveryState: order.deliveryState,
+        deliveryZipCode: order.deliveryZipCode,
+        deliveryLatitude: address.latitude,
+        deliveryLongitude: address.longitude,
+        deliveryInstructions: order.deliveryInstructions
+      }, { transaction: t });
+    }
+    
+    await notificationService.notifyOrderStatus(order, 'pending', t);
+    
+    return order;
+  };
+
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+module.exports = {
+  placeOrder
+};
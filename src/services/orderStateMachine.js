@@ -0,0 +1,313 @@
+/**
+ * Order State Machine
+ *
+ * Central definition of FreshFarmily order statuses and the transitions each
+ * role may make between them:
+ * - Consumers can cancel their own orders before they are ready
+ * - Farmers confirm, prepare and ready their own farm's part of an order
+ *   through its fulfillment group (see fulfillmentService); the order follows
+ * - Drivers pick up from each farm the same way, then deliver the order
+ * - When a delivery fails, the order goes back to ready for a redelivery or
+ *   is closed as refunded (see failedDeliveryService)
+ * - Admins can make any listed transition, and can override the rules with a reason
+ *
+ * Every change is written to order_status_history, and customers are
+ * notified of the statuses they care about (see notificationService).
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+
+// All statuses an order can have (must match the Order.status enum)
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'ready',
+  'picked_up',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+// Legal transitions: from -> to -> roles allowed to make the change
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin'],
+    cancelled: ['consumer', 'admin']
+  },
+  confirmed: {
+    processing: ['admin'],
+    ready: ['admin'],
+    cancelled: ['consumer', 'admin']
+  },
+  processing: {
+    ready: ['admin'],
+    cancelled: ['consumer', 'admin']
+  },
+  ready: {
+    picked_up: ['admin'],
+    out_for_delivery: ['admin'],
+    cancelled: ['admin']
+  },
+  picked_up: {
+    out_for_delivery: ['driver', 'admin'],
+    delivered: ['driver', 'admin'],
+    ready: ['admin'],
+    refunded: ['admin']
+  },
+  out_for_delivery: {
+    delivered: ['driver', 'admin'],
+    ready: ['admin'],
+    refunded: ['admin']
+  },
+  delivered: {
+    refunded: ['admin']
+  },
+  cancelled: {
+    refunded: ['admin']
+  },
+  refunded: {}
+};
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const transitionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check whether a transition is defined at all
+ * @param {String} fromStatus - Current status
+ * @param {String} toStatus - Requested status
+ * @returns {Boolean} True if the transition exists
+ */
+const isValidTransition = (fromStatus, toStatus) => {
+  return Boolean(TRANSITIONS[fromStatus] && TRANSITIONS[fromStatus][toStatus]);
+};
+
+/**
+ * Check whether a role may make a transition
+ * @param {String} fromStatus - Current status
+ * @param {String} toStatus - Requested status
+ * @param {String} role - Actor role
+ * @returns {Boolean} True if allowed
+ */
+const canTransition = (fromStatus, toStatus, role) => {
+  return isValidTransition(fromStatus, toStatus) && TRANSITIONS[fromStatus][toStatus].includes(role);
+};
+
+/**
+ * List the statuses a role can move an order to from its current status
+ * @param {String} fromStatus - Current status
+ * @param {String} role - Actor role
+ * @returns {Array<String>} Allowed next statuses
+ */
+const getAllowedTransitions = (fromStatus, role) => {
+  const transitions = TRANSITIONS[fromStatus] || {};
+  return Object.keys(transitions).filter(toStatus => transitions[toStatus].includes(role));
+};
+
+/**
+ * Check that the actor is involved in the order: the consumer who placed it,
+ * a farmer whose products are in it, or the driver assigned to its delivery
+ * @param {Object} order - Order instance
+ * @param {Object} actor - { userId, role }
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Boolean>} True if the actor may act on the order
+ */
+const isOrderParticipant = async (order, actor, transaction = null) => {
+  if (actor.role === 'admin') {
+    return true;
+  }
+
+  if (actor.role === 'consumer') {
+    return order.userId === actor.userId;
+  }
+
+  if (actor.role === 'farmer') {
+    const { OrderItem } = require('../models/order');
+    const { Farm } = require('../models/farm');
+
+    const items = await OrderItem.findAll({
+      where: { orderId: order.id },
+      attributes: ['farmId'],
+      transaction
+    });
+    const farmIds = [...new Set(items.map(item => item.farmId))];
+    if (farmIds.length === 0) {
+      return false;
+    }
+
+    const ownedFarms = await Farm.count({
+      where: { id: farmIds, farmerId: actor.userId },
+      transaction
+    });
+    return ownedFarms > 0;
+  }
+
+  if (actor.role === 'driver') {
+    const { Delivery } = require('../models/delivery');
+
+    const delivery = await Delivery.findOne({
+      where: { orderId: order.id, driverId: actor.userId },
+      attributes: ['id'],
+      transaction
+    });
+    return Boolean(delivery);
+  }
+
+  return false;
+};
+
+/**
+ * Record a status change in the history table
+ * @param {Object} order - Order instance
+ * @param {String|null} fromStatus - Previous status (null on creation)
+ * @param {String} toStatus - New status
+ * @param {Object} options - { actor, reason, isOverride, transaction }
+ * @returns {Promise<Object>} History entry
+ */
+const recordHistory = async (order, fromStatus, toStatus, { actor = null, reason = null, isOverride = false, transaction = null } = {}) => {
+  const { OrderStatusHistory } = require('../models/order');
+
+  return OrderStatusHistory.create({
+    orderId: order.id,
+    fromStatus,
+    toStatus,
+    changedBy: actor ? actor.userId : null,
+    actorRole: actor ? actor.role : 'system',
+    reason,
+    isOverride
+  }, { transaction });
+};
+
+/**
+ * Move an order to a new status, enforcing the transition rules
+ * @param {Object} order - Order instance
+ * @param {String} toStatus - Requested status
+ * @param {Object} options - {
+ *   actor: { userId, role } (null for system changes),
+ *   reason: why the change was made,
+ *   override: admin-only, bypasses the transition table (reason required),
+ *   updates: extra order fields to save with the status,
+ *   transaction: existing transaction to join
+ * }
+ * @returns {Promise<Object>} { order (freshly saved instance), fromStatus, toStatus, isOverride }
+ * @throws {Error} 400 for unknown statuses, 403 for disallowed roles, 409 for illegal transitions
+ */
+const transitionOrder = async (order, toStatus, options = {}) => {
+  const { actor = null, reason = null, override = false, updates = {}, transaction = null } = options;
+
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw transitionError(`Unknown order status: ${toStatus}`, 400);
+  }
+
+  const run = async (t) => {
+    const { Order } = require('../models/order');
+
+    // Re-read under lock so concurrent transitions see each other's changes
+    const locked = await Order.findByPk(order.id, { lock: t.LOCK.UPDATE, transaction: t });
+    const fromStatus = locked.status;
+
+    if (fromStatus === toStatus) {
+      throw transitionError(`Order is already ${toStatus}`, 409);
+    }
+
+    const role = actor ? actor.role : 'system';
+    let isOverride = false;
+
+    if (override) {
+      if (role !== 'admin') {
+        throw transitionError('Only admins can override order status rules', 403);
+      }
+      if (!reason) {
+        throw transitionError('A reason is required to override order status rules', 400);
+      }
+      isOverride = !isValidTransition(fromStatus, toStatus);
+    } else if (!isValidTransition(fromStatus, toStatus)) {
+      throw transitionError(`Cannot change order status from ${fromStatus} to ${toStatus}`, 409);
+    } else if (role !== 'system' && !canTransition(fromStatus, toStatus, role)) {
+      throw transitionError(`A ${role} cannot change order status from ${fromStatus} to ${toStatus}`, 403);
+    }
+
+    if (actor && !(await isOrderParticipant(locked, actor, t))) {
+      throw transitionError('You do not have permission to update this order', 403);
+    }
+
+    await locked.update({ ...updates, status: toStatus }, { transaction: t });
+
+    const fulfillmentService = require('./fulfillmentService');
+
+    // Cancelled orders give their reserved stock back and close every farm's part
+    if (toStatus === 'cancelled') {
+      const inventoryService = require('./inventoryService');
+      await inventoryService.releaseStock(locked.id, {
+        reason: 'order_cancelled',
+        userId: actor ? actor.userId : null,
+        notes: reason,
+        transaction: t
+      });
+      await fulfillmentService.cancelAllGroups(locked.id, { reason, transaction: t });
+      const deliverySlotService = require('./deliverySlotService');
+      await deliverySlotService.releaseSlot(locked, { transaction: t });
+      // The customer gets the promo code back for another order
+      const promoCodeService = require('./promoCodeService');
+      await promoCodeService.reverseRedemption(locked.id, { transaction: t });
+    } else if (actor) {
+      // A person moving the whole order forward moves every farm's part with it
+      await fulfillmentService.advanceGroups(locked.id, toStatus, { transaction: t });
+    }
+
+    await recordHistory(locked, fromStatus, toStatus, { actor, reason, isOverride, transaction: t });
+
+    // Queued with the change so customers hear about it exactly when it commits
+    const notificationService = require('./notificationService');
+    await notificationService.notifyOrderStatus(locked, toStatus, t);
+
+    logger.info(`Order ${locked.orderNumber} moved from ${fromStatus} to ${toStatus} by ${role}${isOverride ? ' (override)' : ''}`);
+
+    return { order: locked, fromStatus, toStatus, isOverride };
+  };
+
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+/**
+ * Get an order's status history, oldest first
+ * @param {String} orderId - Order ID
+ * @returns {Promise<Array>} History entries
+ */
+const getHistory = async (orderId) => {
+  const { OrderStatusHistory } = require('../models/order');
+  const { User } = require('../models/user');
+
+  return OrderStatusHistory.findAll({
+    where: { orderId },
+    include: [{
+      model: User,
+      as: 'ChangedBy',
+      attributes: ['id', 'firstName', 'lastName', 'role']
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  isValidTransition,
+  canTransition,
+  getAllowedTransitions,
+  isOrderParticipant,
+  recordHistory,
+  transitionOrder,
+  getHistory
+};
@@ -0,0 +1,309 @@
+/**
+ * Payment Method Service
+ *
+ * Manages customers' saved cards. Each user is mapped to a Stripe Customer
+ * (created on first use) and their cards are saved to it through
+ * SetupIntents, so they can be charged later without the customer re-entering
+ * them, including off-session. Stripe is the source of truth for the cards;
+ * the default card is the customer's invoice default payment method.
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const stripeService = require('./stripeService');
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const paymentMethodError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the user's Stripe Customer ID, creating the customer on first use
+ * @param {String} userId - User ID
+ * @returns {Promise<String>} Stripe Customer ID
+ */
+const getOrCreateCustomer = async (userId) => {
+  const { User } = require('../models/user');
+
+  return sequelize.transaction(async (transaction) => {
+    // Locked so concurrent first uses don't create two customers
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'email', 'firstName', 'lastName', 'stripeCustomerId'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!user) {
+      throw paymentMethodError('User not found', 404);
+    }
+
+    if (user.stripeCustomerId) {
+      return user.stripeCustomerId;
+    }
+
+    const customer = await stripeService.stripe.customers.create({
+      email: user.email,
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || undefined,
+      metadata: { userId: user.id }
+    }, { idempotencyKey: `customer-${user.id}` });
+
+    await user.update({ stripeCustomerId: customer.id }, { transaction });
+
+    logger.info(`Stripe customer ${customer.id} created for user ${user.id}`);
+    return customer.id;
+  });
+};
+
+/**
+ * Get the user's Stripe Customer ID without creating one
+ * @param {String} userId - User ID
+ * @returns {Promise<String|null>} Stripe Customer ID
+ */
+const findCustomerId = async (userId) => {
+  const { User } = require('../models/user');
+  const user = await User.findByPk(userId, { attributes: ['id', 'stripeCustomerId'] });
+  return user ? user.stripeCustomerId : null;
+};
+
+/**
+ * Shape a Stripe card payment method for API responses
+ * @param {Object} paymentMethod - Stripe payment method
+ * @param {String} defaultId - ID of the customer's default payment method
+ * @returns {Object} Card details
+ */
+const serializePaymentMethod = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  type: paymentMethod.type,
+  cardBrand: paymentMethod.card ? paymentMethod.card.brand : null,
+  lastFour: paymentMethod.card ? paymentMethod.card.last4 : null,
+  expiryMonth: paymentMethod.card ? paymentMethod.card.exp_month : null,
+  expiryYear: paymentMethod.card ? paymentMethod.card.exp_year : null,
+  name: paymentMethod.billing_details ? paymentMethod.billing_details.name : null,
+  isDefault: paymentMethod.id === defaultId
+});
+
+/**
+ * ID of a customer's default payment method
+ * @param {String} customerId - Stripe Customer ID
+ * @returns {Promise<String|null>} Payment method ID
+ */
+const getCustomerDefaultId = async (customerId) => {
+  const customer = await stripeService.stripe.customers.retrieve(customerId);
+  const defaultMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+  return typeof defaultMethod === 'object' && defaultMethod !== null ? defaultMethod.id : defaultMethod || null;
+};
+
+/**
+ * Get a saved payment method, making sure it belongs to the customer
+ * @param {String} customerId - Stripe Customer ID
+ * @param {String} paymentMethodId - Payment method ID
+ * @returns {Promise<Object>} Stripe payment method
+ * @throws {Error} 404 if the customer has no such payment method
+ */
+const getOwnedPaymentMethod = async (customerId, paymentMethodId) => {
+  let paymentMethod;
+  try {
+    paymentMethod = await stripeService.stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      throw paymentMethodError('Payment method not found', 404);
+    }
+    throw error;
+  }
+
+  const owner = typeof paymentMethod.customer === 'object' && paymentMethod.customer !== null
+    ? paymentMethod.customer.id
+    : paymentMethod.customer;
+
+  if (!customerId || owner !== customerId) {
+    throw paymentMethodError('Payment method not found', 404);
+  }
+  return paymentMethod;
+};
+
+/**
+ * Make a payment method the customer's default
+ * @param {String} customerId - Stripe Customer ID
+ * @param {String} paymentMethodId - Payment method ID
+ */
+const setCustomerDefault = async (customerId, paymentMethodId) => {
+  await stripeService.stripe.customers.update(customerId, {
+    invoice_settings: { default_payment_method: paymentMethodId }
+  });
+};
+
+/**
+ * List the user's saved cards, default first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Cards
+ */
+const listPaymentMethods = async (userId) => {
+  const customerId = await findCustomerId(userId);
+  if (!customerId) {
+    return [];
+  }
+
+  const [paymentMethods, defaultId] = await Promise.all([
+    stripeService.stripe.paymentMethods.list({ customer: customerId, type: 'card', limit: 100 }),
+    getCustomerDefaultId(customerId)
+  ]);
+
+  return paymentMethods.data
+    .map(paymentMethod => serializePaymentMethod(paymentMethod, defaultId))
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+};
+
+/**
+ * Start saving a card: the client confirms the returned SetupIntent with
+ * Stripe.js, then calls savePaymentMethod with its ID
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { setupIntentId, clientSecret, customerId }
+ */
+const createSetupIntent = async (userId) => {
+  const customerId = await getOrCreateCustomer(userId);
+
+  const setupIntent = await stripeService.stripe.setupIntents.create({
+    customer: customerId,
+    payment_method_types: ['card'],
+    // Cards are set up for charges made while the customer isn't present
+    usage: 'off_session',
+    metadata: { userId }
+  });
+
+  return {
+    setupIntentId: setupIntent.id,
+    clientSecret: setupIntent.client_secret,
+    customerId
+  };
+};
+
+/**
+ * Finish saving a card from a confirmed SetupIntent. The user's first card
+ * becomes their default.
+ * @param {String} userId - User ID
+ * @param {String} setupIntentId - Confirmed SetupIntent ID
+ * @param {Object} options - Options
+ * @param {Boolean} options.makeDefault - Make the card the default
+ * @returns {Promise<Object>} Saved card
+ * @throws {Error} 404 if the SetupIntent isn't the user's, 409 if it hasn't succeeded
+ */
+const savePaymentMethod = async (userId, setupIntentId, { makeDefault = false } = {}) => {
+  const customerId = await findCustomerId(userId);
+
+  let setupIntent;
+  try {
+    setupIntent = await stripeService.stripe.setupIntents.retrieve(setupIntentId);
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      throw paymentMethodError('Setup intent not found', 404);
+    }
+    throw error;
+  }
+
+  if (!customerId || setupIntent.customer !== customerId) {
+    throw paymentMethodError('Setup intent not found', 404);
+  }
+  if (setupIntent.status !== 'succeeded') {
+    throw paymentMethodError(`Card setup is not complete (${setupIntent.status})`, 409);
+  }
+
+  const paymentMethod = await getOwnedPaymentMethod(customerId, setupIntent.payment_method);
+  let defaultId = await getCustomerDefaultId(customerId);
+
+  if (makeDefault || !defaultId) {
+    await setCustomerDefault(customerId, paymentMethod.id);
+    defaultId = paymentMethod.id;
+  }
+
+  logger.info(`Payment method ${paymentMethod.id} saved for user ${userId}`);
+  return serializePaymentMethod(paymentMethod, defaultId);
+};
+
+/**
+ * Make a saved card the default
+ * @param {String} userId - User ID
+ * @param {String} paymentMethodId - Payment method ID
+ * @returns {Promise<Object>} Card
+ */
+const setDefaultPaymentMethod = async (userId, paymentMethodId) => {
+  const customerId = await findCustomerId(userId);
+  const paymentMethod = await getOwnedPaymentMethod(customerId, paymentMethodId);
+
+  await setCustomerDefault(customerId, paymentMethod.id);
+  return serializePaymentMethod(paymentMethod, paymentMethod.id);
+};
+
+/**
+ * Remove a saved card. If it was the default, the newest remaining card
+ * takes over.
+ * @param {String} userId - User ID
+ * @param {String} paymentMethodId - Payment method ID
+ */
+const deletePaymentMethod = async (userId, paymentMethodId) => {
+  const customerId = await findCustomerId(userId);
+  await getOwnedPaymentMethod(customerId, paymentMethodId);
+
+  const defaultId = await getCustomerDefaultId(customerId);
+  await stripeService.stripe.paymentMethods.detach(paymentMethodId);
+
+  if (defaultId === paymentMethodId) {
+    // Stripe lists payment methods newest first
+    const remaining = await stripeService.stripe.paymentMethods.list({ customer: customerId, type: 'card', limit: 1 });
+    if (remaining.data.length > 0) {
+      await setCustomerDefault(customerId, remaining.data[0].id);
+    }
+  }
+
+  logger.info(`Payment method ${paymentMethodId} removed for user ${userId}`);
+};
+
+/**
+ * Work out how to charge a user: a payment method they name (a saved card or
+ * one just collected by Stripe.js), or their default saved card
+ * @param {String} userId - User being charged
+ * @param {String} paymentMethodId - Optional payment method ID
+ * @returns {Promise<Object>} { paymentMethodId, customerId } (customerId is null for unsaved cards)
+ * @throws {Error} 400 if no payment method is given and the user has no default card
+ */
+const resolvePaymentMethod = async (userId, paymentMethodId = null) => {
+  const customerId = await findCustomerId(userId);
+
+  if (!paymentMethodId) {
+    const defaultId = customerId ? await getCustomerDefaultId(customerId) : null;
+    if (!defaultId) {
+      throw paymentMethodError('A payment method is required', 400);
+    }
+    return { paymentMethodId: defaultId, customerId };
+  }
+
+  if (customerId) {
+    // Saved cards must be charged through their customer; cards saved elsewhere are rejected
+    try {
+      await getOwnedPaymentMethod(customerId, paymentMethodId);
+      return { paymentMethodId, customerId };
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  return { paymentMethodId, customerId: null };
+};
+
+module.exports = {
+  getOrCreateCustomer,
+  listPaymentMethods,
+  createSetupIntent,
+  savePaymentMethod,
+  setDefaultPaymentMethod,
+  deletePaymentMethod,
+  resolvePaymentMethod
+};
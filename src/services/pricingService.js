@@ -6,12 +6,21 @@
  * - Fee cap enforcement
  * - Revenue distribution
  * - Membership benefits
+ *
+ * calculateOrderCharges is the single checkout quote engine: the cart, order
+ * creation and /api/pricing/calculate all price through it, and every order
+ * stores the resulting OrderCharge.
  */
 
+const geolib = require('geolib');
+const { Op } = require('sequelize');
 const { PricingConfiguration, OrderCharge, Membership } = require('../models/pricing');
 const logger = require('../utils/logger');
-const { sequelize } = require('../config/database');
 const { User } = require('../models/user');
+const stripeService = require('./stripeService');
+
+// Province used when the delivery address doesn't give one
+const DEFAULT_PROVINCE = 'ON';
 
 class PricingService {
   /**
@@ -23,10 +32,10 @@ class PricingService {
       const config = await PricingConfiguration.findOne({
         where: {
           isActive: true,
-          effectiveDate: { [sequelize.Op.lte]: new Date() },
-          [sequelize.Op.or]: [
+          effectiveDate: { [Op.lte]: new Date() },
+          [Op.or]: [
             { expirationDate: null },
-            { expirationDate: { [sequelize.Op.gt]: new Date() } }
+            { expirationDate: { [Op.gt]: new Date() } }
           ]
         },
         order: [['effectiveDate', 'DESC']]
@@ -72,7 +81,7 @@ class PricingService {
         where: {
           userId,
           isActive: true,
-          renewalDate: { [sequelize.Op.gt]: new Date() }
+          renewalDate: { [Op.gt]: new Date() }
         }
       });
       
@@ -94,7 +103,12 @@ class PricingService {
     // or other geographic information to accurately determine location type
     
     // For demo purposes, using a simple keyword-based approach
-    const address = `${deliveryAddress.street} ${deliveryAddress.city} ${deliveryAddress.state} ${deliveryAddress.postalCode}`.toLowerCase();
+    const address = [
+      deliveryAddress.street,
+      deliveryAddress.city,
+      deliveryAddress.state,
+      deliveryAddress.postalCode
+    ].filter(Boolean).join(' ').toLowerCase();
     
     // Check for rural indicators
     if (
@@ -155,18 +169,47 @@ class PricingService {
     return 0;
   }
 
+  /**
+   * Distance the driver covers to reach the customer from the farthest farm
+   * @param {Array} farms - Farms in the order ({ latitude, longitude })
+   * @param {Object} destination - Delivery coordinates ({ latitude, longitude })
+   * @returns {number} Distance in kilometers (0 when coordinates are missing)
+   */
+  calculateDeliveryDistance(farms, destination) {
+    if (!destination || destination.latitude == null || destination.longitude == null) {
+      return 0;
+    }
+
+    const distances = farms
+      .filter(farm => farm.latitude != null && farm.longitude != null)
+      .map(farm => geolib.getDistance(
+        { latitude: farm.latitude, longitude: farm.longitude },
+        { latitude: destination.latitude, longitude: destination.longitude }
+      ));
+
+    return distances.length > 0 ? parseFloat((Math.max(...distances) / 1000).toFixed(2)) : 0;
+  }
+
   /**
    * Calculate all charges for an order
-   * @param {Object} order - Order details
-   * @param {string} userId - User ID
-   * @param {Object} deliveryDetails - Delivery information
+   * @param {Object} order - Order details ({ id, subtotal })
+   * @param {string} userId - User ID (null for guests)
+   * @param {Object} deliveryDetails - Delivery information:
+   *   address ({ street, city, state, postalCode }), province, distance (km),
+   *   deliveryMethod ('delivery' or 'pickup'), applyFreeDelivery (referral credit),
+   *   promo ({ code, productDiscount, freeDelivery, fundedBy } from promoCodeService.toPricing)
    * @returns {Promise<Object>} Calculated order charges
    */
-  async calculateOrderCharges(order, userId, deliveryDetails) {
+  async calculateOrderCharges(order, userId, deliveryDetails = {}) {
     try {
       const pricingConfig = await this.getActivePricingConfig();
-      const hasMembership = await this.hasActiveMembership(userId);
-      const locationType = this.determineLocationType(deliveryDetails.address);
+      const hasMembership = userId ? await this.hasActiveMembership(userId) : false;
+      const address = deliveryDetails.address || {};
+      const locationType = this.determineLocationType(address);
+      const province = String(deliveryDetails.province || address.state || DEFAULT_PROVINCE).toUpperCase();
+      const isPickup = deliveryDetails.deliveryMethod === 'pickup';
+      const distance = parseFloat(deliveryDetails.distance) || 0;
+      const promo = deliveryDetails.promo || null;
       
       // Extract values from configuration based on location type
       let deliveryPercentage, minimumDeliveryFee;
@@ -196,38 +239,50 @@ class PricingService {
         (productSubtotal * pricingConfig.paymentProcessingPercentage + pricingConfig.paymentProcessingFlatFee).toFixed(2)
       );
       
-      // Calculate delivery service fee (percentage with minimum)
+      // Calculate delivery service fee (percentage with minimum); pickups don't pay delivery charges
       const calculatedDeliveryServiceFee = parseFloat((productSubtotal * deliveryPercentage).toFixed(2));
-      const deliveryServiceFee = Math.max(calculatedDeliveryServiceFee, minimumDeliveryFee);
+      const deliveryServiceFee = isPickup ? 0 : Math.max(calculatedDeliveryServiceFee, minimumDeliveryFee);
       
       // Fixed insurance fee
       const insuranceFee = pricingConfig.supplyChainInsuranceFee;
       
       // Calculate delivery fee
-      const baseDeliveryFee = pricingConfig.baseDeliveryFee;
-      const distanceSurcharge = this.calculateDistanceSurcharge(deliveryDetails.distance, pricingConfig);
-      const orderSizeDiscount = this.calculateOrderSizeDiscount(productSubtotal, pricingConfig);
+      const baseDeliveryFee = isPickup ? 0 : pricingConfig.baseDeliveryFee;
+      const distanceSurcharge = isPickup ? 0 : this.calculateDistanceSurcharge(distance, pricingConfig);
+      const orderSizeDiscount = isPickup ? 0 : this.calculateOrderSizeDiscount(productSubtotal, pricingConfig);
+      const deliveryFeeBeforeDiscount = Math.max(0, baseDeliveryFee + distanceSurcharge + orderSizeDiscount);
       
       // Calculate membership benefits
-      let membershipDiscount = 0;
+      let memberProductDiscount = 0;
+      let memberDeliveryDiscount = 0;
       
       if (hasMembership) {
         // Product discount (4%)
-        membershipDiscount += parseFloat((productSubtotal * pricingConfig.memberProductDiscount).toFixed(2));
+        memberProductDiscount = parseFloat((productSubtotal * pricingConfig.memberProductDiscount).toFixed(2));
         
-        // Delivery fee discount (50%)
-        const deliveryFeeBeforeDiscount = baseDeliveryFee + distanceSurcharge + orderSizeDiscount;
         // If order exceeds free delivery threshold, waive delivery fee entirely
         if (productSubtotal >= pricingConfig.memberFreeDeliveryThreshold) {
-          membershipDiscount += deliveryFeeBeforeDiscount;
+          memberDeliveryDiscount = deliveryFeeBeforeDiscount;
         } else {
           // Otherwise apply 50% discount
-          membershipDiscount += parseFloat((deliveryFeeBeforeDiscount * pricingConfig.memberDeliveryDiscount).toFixed(2));
+          memberDeliveryDiscount = parseFloat((deliveryFeeBeforeDiscount * pricingConfig.memberDeliveryDiscount).toFixed(2));
         }
       }
+      const membershipDiscount = parseFloat((memberProductDiscount + memberDeliveryDiscount).toFixed(2));
       
-      // Calculate base totals before fee cap
-      const deliveryFeeBeforeCap = Math.max(0, baseDeliveryFee + distanceSurcharge + orderSizeDiscount - (hasMembership ? membershipDiscount : 0));
+      // Promo codes come off after member discounts, and never take the products below zero
+      const promoProductDiscount = promo
+        ? parseFloat(Math.min(promo.productDiscount, productSubtotal - memberProductDiscount).toFixed(2))
+        : 0;
+      
+      // Calculate base totals before fee cap; a referral or promo free delivery waives whatever is left
+      const deliveryFeeAfterDiscounts = Math.max(0, deliveryFeeBeforeDiscount - memberDeliveryDiscount);
+      const promoDeliveryDiscount = promo && promo.freeDelivery && !deliveryDetails.applyFreeDelivery
+        ? parseFloat(deliveryFeeAfterDiscounts.toFixed(2))
+        : 0;
+      const deliveryFeeBeforeCap = deliveryDetails.applyFreeDelivery || promoDeliveryDiscount > 0
+        ? 0
+        : deliveryFeeAfterDiscounts;
       const platformFeesBeforeCap = platformCommission + farmerServicesFee + paymentProcessingFee + deliveryServiceFee + insuranceFee;
       const subtotalBeforeTaxAndCap = productSubtotal + deliveryFeeBeforeCap + platformFeesBeforeCap;
       
@@ -274,21 +329,24 @@ class PricingService {
       const finalDeliveryFee = parseFloat((deliveryFeeBeforeCap - deliveryFeeReduction).toFixed(2));
       const finalServiceFee = parseFloat((deliveryServiceFee - serviceFeeReduction).toFixed(2));
       const finalPlatformCommission = parseFloat((platformCommission - platformFeeReduction).toFixed(2));
-      
+
       // Calculate final subtotal before tax
       const subtotalBeforeTax = parseFloat((
-        productSubtotal + 
-        finalDeliveryFee + 
-        finalPlatformCommission + 
+        productSubtotal -
+        memberProductDiscount -
+        promoProductDiscount +
+        finalDeliveryFee +
+        finalPlatformCommission +
         farmerServicesFee + 
         paymentProcessingFee + 
         finalServiceFee + 
         insuranceFee
       ).toFixed(2));
       
-      // Calculate tax (simplified example - would need actual tax calculation logic)
-      const taxRate = 0.05; // Example 5% tax rate
-      const taxAmount = parseFloat((subtotalBeforeTax * taxRate).toFixed(2));
+      // Provincial GST/PST (or HST), using the same rates Stripe payments use
+      const { gstAmount, pstAmount, totalTaxAmount: taxAmount } = stripeService.calculateTaxes(subtotalBeforeTax, province);
+      const provinceRates = stripeService.TAX_RATES[province] || stripeService.TAX_RATES[DEFAULT_PROVINCE];
+      const taxRate = parseFloat((provinceRates.gst + provinceRates.pst).toFixed(5));
       
       // Final total
       const finalTotal = parseFloat((subtotalBeforeTax + taxAmount).toFixed(2));
@@ -303,9 +361,12 @@ class PricingService {
       
       const customerDeliveryFee = finalDeliveryFee;
       
-      // Revenue distribution
-      const farmerRevenue = parseFloat((productSubtotal * 0.9).toFixed(2));
-      const driverRevenue = parseFloat((finalDeliveryFee * 0.85).toFixed(2));
+      // Revenue distribution. The driver is paid for a delivery the promo waived;
+      // a farm's own promo comes out of its revenue, a platform promo out of the platform's
+      const promoDiscount = parseFloat((promoProductDiscount + promoDeliveryDiscount).toFixed(2));
+      const farmFundedDiscount = promo && promo.fundedBy === 'farm' ? promoDiscount : 0;
+      const farmerRevenue = parseFloat((productSubtotal * 0.9 - farmFundedDiscount).toFixed(2));
+      const driverRevenue = parseFloat(((finalDeliveryFee + promoDeliveryDiscount) * 0.85).toFixed(2));
       const platformRevenue = parseFloat((finalTotal - farmerRevenue - driverRevenue - taxAmount).toFixed(2));
       
       // Create order charge object
@@ -323,14 +384,29 @@ class PricingService {
         orderSizeDiscount,
         membershipDiscount,
         feeCapDiscount,
+        promoCode: promo ? promo.code : null,
+        promoDiscount,
+        promoFundedBy: promo ? promo.fundedBy : null,
         subtotalBeforeTax,
+        province,
+        taxRate,
         taxAmount,
         finalTotal,
         customerPlatformFee,
         customerDeliveryFee,
         farmerRevenue,
         driverRevenue,
-        platformRevenue
+        platformRevenue,
+        // Quote details that aren't stored with the charge
+        deliveryMethod: isPickup ? 'pickup' : 'delivery',
+        locationType,
+        distance,
+        hasMembership,
+        memberProductDiscount,
+        promoProductDiscount,
+        promoDeliveryDiscount,
+        gstAmount,
+        pstAmount
       };
       
       return orderCharge;
@@ -340,14 +416,45 @@ class PricingService {
     }
   }
 
+  /**
+   * Format charges the way customers see them at checkout
+   * @param {Object} charges - Calculated charges or a saved OrderCharge
+   * @returns {Object} Customer-facing charges
+   */
+  formatCustomerCharges(charges) {
+    return {
+      productSubtotal: parseFloat(charges.productSubtotal),
+      deliveryFee: parseFloat(charges.customerDeliveryFee),
+      platformServiceCharge: parseFloat(charges.customerPlatformFee),
+      paymentProcessingFee: parseFloat(charges.paymentProcessingFee),
+      membershipDiscount: parseFloat(charges.membershipDiscount),
+      promoCode: charges.promoCode || null,
+      promoDiscount: parseFloat(charges.promoDiscount || 0),
+      province: charges.province,
+      taxRate: charges.taxRate !== null && charges.taxRate !== undefined ? parseFloat(charges.taxRate) : null,
+      taxAmount: parseFloat(charges.taxAmount),
+      total: parseFloat(charges.finalTotal)
+    };
+  }
+
+  /**
+   * Fees shown as a single service fee line on carts and orders
+   * @param {Object} charges - Calculated charges
+   * @returns {number} Platform service charge plus payment processing
+   */
+  getServiceFee(charges) {
+    return parseFloat((parseFloat(charges.customerPlatformFee) + parseFloat(charges.paymentProcessingFee)).toFixed(2));
+  }
+
   /**
    * Save order charges to database
    * @param {Object} charges - Calculated order charges
+   * @param {Object} transaction - Optional Sequelize transaction
    * @returns {Promise<Object>} Saved order charge record
    */
-  async saveOrderCharges(charges) {
+  async saveOrderCharges(charges, transaction = null) {
     try {
-      return await OrderCharge.create(charges);
+      return await OrderCharge.create(charges, { transaction });
     } catch (error) {
       logger.error('Error saving order charges:', error);
       throw new Error('Failed to save order charges');
@@ -372,12 +479,7 @@ class PricingService {
       // Format for customer display (simplified view as requested)
       return {
         orderId: orderCharge.orderId,
-        productSubtotal: orderCharge.productSubtotal,
-        deliveryFee: orderCharge.customerDeliveryFee,
-        platformServiceCharge: orderCharge.customerPlatformFee,
-        paymentProcessingFee: orderCharge.paymentProcessingFee,
-        taxAmount: orderCharge.taxAmount,
-        total: orderCharge.finalTotal
+        ...this.formatCustomerCharges(orderCharge)
       };
     } catch (error) {
       logger.error(`Error getting customer order summary for order ${orderId}:`, error);
@@ -0,0 +1,181 @@
+/**
+ * Product Variant Service
+ *
+ * Manages the sizes and packs a product is sold in ("1 lb bag", "5 lb bag").
+ * Each variant has its own price, SKU and stock; once a product has variants,
+ * customers order a variant and stock is reserved from it rather than from
+ * the product (see inventoryService). Stock changes are written to the
+ * inventory ledger like product stock changes.
+ */
+
+const { UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const inventoryService = require('./inventoryService');
+
+// Fields a farmer can set on a variant
+const VARIANT_FIELDS = ['name', 'sku', 'price', 'unit', 'quantityAvailable', 'estimatedWeight', 'isAvailable', 'sortOrder'];
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const variantError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Pick the fields a farmer can set from a request body
+ * @param {Object} data - Request body
+ * @returns {Object} Variant fields
+ */
+const pickFields = (data) => {
+  const fields = {};
+  for (const field of VARIANT_FIELDS) {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Save a variant, reporting a duplicate SKU as a conflict
+ * @param {Function} save - Performs the create or update
+ * @returns {Promise<Object>} Result of save
+ * @throws {Error} 409 if the SKU is already used
+ */
+const withUniqueSku = async (save) => {
+  try {
+    return await save();
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw variantError('That SKU is already used by another product', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List a product's variants in display order
+ * @param {String} productId - Product ID
+ * @returns {Promise<Array>} Variants
+ */
+const listVariants = async (productId) => {
+  const { ProductVariant } = require('../models/product');
+
+  return ProductVariant.findAll({
+    where: { productId },
+    order: [['sortOrder', 'ASC'], ['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Add a variant to a product
+ * @param {Object} product - Product instance
+ * @param {Object} data - Variant fields
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object>} Created variant
+ * @throws {Error} 409 if the SKU is already used
+ */
+const createVariant = async (product, data, { userId = null } = {}) => {
+  const { ProductVariant } = require('../models/product');
+
+  const variant = await withUniqueSku(() => sequelize.transaction(async (t) => {
+    const created = await ProductVariant.create({
+      ...pickFields(data),
+      productId: product.id
+    }, { transaction: t });
+
+    await inventoryService.recordAdjustment(product, 0, {
+      variant: created,
+      userId,
+      notes: `Added ${created.name}`,
+      transaction: t
+    });
+
+    return created;
+  }));
+
+  logger.info(`Variant ${variant.name} added to product ${product.name}`);
+  return variant;
+};
+
+/**
+ * Update a variant, recording any stock change in the ledger
+ * @param {Object} product - Product instance
+ * @param {String} variantId - Variant ID
+ * @param {Object} data - Fields to change, plus an optional inventoryNote
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object>} Updated variant
+ * @throws {Error} 404 if the variant is not the product's, 409 if the SKU is already used
+ */
+const updateVariant = async (product, variantId, data, { userId = null } = {}) => {
+  const { ProductVariant } = require('../models/product');
+
+  return withUniqueSku(() => sequelize.transaction(async (t) => {
+    // Locked so stock changes don't race with order reservations
+    const variant = await ProductVariant.findOne({
+      where: { id: variantId, productId: product.id },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+    if (!variant) {
+      throw variantError('Variant not found', 404);
+    }
+
+    const previousQuantity = variant.quantityAvailable;
+    await variant.update(pickFields(data), { transaction: t });
+
+    if (data.quantityAvailable !== undefined) {
+      await inventoryService.recordAdjustment(product, previousQuantity, {
+        variant,
+        userId,
+        notes: data.inventoryNote,
+        transaction: t
+      });
+    }
+
+    return variant;
+  }));
+};
+
+/**
+ * Remove a variant. Variants that have been ordered are kept for the order
+ * history and only made unavailable.
+ * @param {Object} product - Product instance
+ * @param {String} variantId - Variant ID
+ * @returns {Promise<Object>} { deleted: Boolean, variant }
+ * @throws {Error} 404 if the variant is not the product's
+ */
+const deleteVariant = async (product, variantId) => {
+  const { ProductVariant } = require('../models/product');
+  const { OrderItem } = require('../models/order');
+
+  const variant = await ProductVariant.findOne({ where: { id: variantId, productId: product.id } });
+  if (!variant) {
+    throw variantError('Variant not found', 404);
+  }
+
+  const ordered = await OrderItem.count({ where: { variantId } });
+  if (ordered > 0) {
+    await variant.update({ isAvailable: false });
+    logger.info(`Variant ${variant.name} of ${product.name} has orders; made unavailable instead of deleted`);
+    return { deleted: false, variant };
+  }
+
+  await variant.destroy();
+  logger.info(`Variant ${variant.name} removed from product ${product.name}`);
+  return { deleted: true, variant };
+};
+
+module.exports = {
+  listVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant
+};
@@ -0,0 +1,634 @@
+/**
+ * Promo Code Service
+ *
+ * Checks promo codes against a cart or order and records their use. A code
+ * takes a percentage or a fixed amount off the products it applies to, or
+ * waives the delivery fee, subject to its rules: validity window, minimum
+ * subtotal, farms and categories, first order only, and per-customer and
+ * overall usage limits.
+ *
+ * Platform codes are funded by the platform. Farm codes only apply to the
+ * farm's own products and come out of that farm's earnings for the order
+ * (see stripeService.processOrderPayment). Each redemption keeps the product
+ * discount split across farms, so a farm's part of the order, or any item of
+ * it, is refunded net of its share if it is cancelled or refunded.
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+
+const PROMO_CODE_CONSTANTS = {
+  DISCOUNT_TYPES: ['percent', 'fixed', 'free_delivery'],
+  FUNDERS: ['platform', 'farm'],
+  // Letters, digits, dashes and underscores
+  CODE_PATTERN: /^[A-Z0-9_-]{3,32}$/
+};
+
+// Fields an admin or farmer can set on a code
+const CODE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minSubtotal', 'farmIds',
+  'categories', 'firstOrderOnly', 'usageLimit', 'perUserLimit', 'startsAt', 'endsAt', 'isActive'
+];
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const promoError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round to cents
+ * @param {Number} value - Amount
+ * @returns {Number} Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize a code as entered by a customer
+ * @param {String} code - Code
+ * @returns {String} Trimmed, upper-case code
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Whether a code applies to a line of the cart or order
+ * @param {Object} promoCode - PromoCode instance
+ * @param {Object} line - { farmId, category, total }
+ * @returns {Boolean} True if the line counts towards the code
+ */
+const appliesTo = (promoCode, line) => {
+  // Farms only discount their own products
+  if (promoCode.fundedBy === 'farm' && line.farmId !== promoCode.farmId) {
+    return false;
+  }
+  if (promoCode.farmIds.length > 0 && !promoCode.farmIds.includes(line.farmId)) {
+    return false;
+  }
+  if (promoCode.categories.length > 0 && !promoCode.categories.includes(line.category)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Split a discount across farms in proportion to their eligible subtotals.
+ * Rounding is settled on the last farm so the shares add up to the discount.
+ * @param {Object} eligibleByFarm - { farmId: eligible subtotal }
+ * @param {Number} discount - Discount to split
+ * @returns {Object} { farmId: share }
+ */
+const allocate = (eligibleByFarm, discount) => {
+  const farmIds = Object.keys(eligibleByFarm);
+  const eligible = farmIds.reduce((sum, farmId) => sum + eligibleByFarm[farmId], 0);
+  const allocations = {};
+  if (!eligible || !discount) {
+    return allocations;
+  }
+
+  let remaining = round(discount);
+  farmIds.forEach((farmId, index) => {
+    const share = index === farmIds.length - 1
+      ? remaining
+      : round(discount * eligibleByFarm[farmId] / eligible);
+    allocations[farmId] = share;
+    remaining = round(remaining - share);
+  });
+  return allocations;
+};
+
+/**
+ * Check a code against a cart or order and work out its discount
+ * @param {String} code - Code entered by the customer
+ * @param {Object} options - Options
+ * @param {String} options.userId - Customer using the code
+ * @param {Array} options.lines - [{ farmId, category, total }] products being bought
+ * @param {String} options.deliveryMethod - 'delivery' or 'pickup'
+ * @param {Object} options.transaction - Sequelize transaction
+ * @param {Boolean} options.lock - Lock the code row, when it is about to be redeemed
+ * @returns {Promise<Object>} { promoCode, productDiscount, freeDelivery, fundedBy, farmId, eligibleByFarm }
+ * @throws {Error} 404 if there is no such code, 400 if the code can't be used here
+ */
+const evaluate = async (code, { userId, lines, deliveryMethod = 'delivery', transaction = null, lock = false }) => {
+  const { PromoCode, PromoCodeRedemption } = require('../models/promoCode');
+  const { Order } = require('../models/order');
+
+  const normalized = normalizeCode(code);
+  const promoCode = await PromoCode.findOne({
+    where: { code: normalized },
+    ...(lock && transaction && { lock: transaction.LOCK.UPDATE }),
+    transaction
+  });
+  if (!promoCode || !promoCode.isActive) {
+    throw promoError(`Promo code ${normalized} was not found`, 404);
+  }
+
+  const now = new Date();
+  if (promoCode.startsAt && promoCode.startsAt > now) {
+    throw promoError(`Promo code ${normalized} can't be used yet`, 400);
+  }
+  if (promoCode.endsAt && promoCode.endsAt <= now) {
+    throw promoError(`Promo code ${normalized} has expired`, 400);
+  }
+  if (promoCode.usageLimit !== null && promoCode.usageCount >= promoCode.usageLimit) {
+    throw promoError(`Promo code ${normalized} has been used up`, 400);
+  }
+
+  if (promoCode.perUserLimit !== null) {
+    const used = await PromoCodeRedemption.count({
+      where: { promoCodeId: promoCode.id, userId, status: 'redeemed' },
+      transaction
+    });
+    if (used >= promoCode.perUserLimit) {
+      throw promoError(`You have already used promo code ${normalized}`, 400);
+    }
+  }
+
+  if (promoCode.firstOrderOnly) {
+    const previousOrders = await Order.count({
+      where: { userId, status: { [Op.notIn]: ['cancelled'] } },
+      transaction
+    });
+    if (previousOrders > 0) {
+      throw promoError(`Promo code ${normalized} is only for your first order`, 400);
+    }
+  }
+
+  const eligibleByFarm = {};
+  for (const line of lines) {
+    if (appliesTo(promoCode, line)) {
+      eligibleByFarm[line.farmId] = round((eligibleByFarm[line.farmId] || 0) + parseFloat(line.total));
+    }
+  }
+  const eligibleSubtotal = round(Object.values(eligibleByFarm).reduce((sum, total) => sum + total, 0));
+
+  if (eligibleSubtotal === 0) {
+    throw promoError(`Promo code ${normalized} doesn't apply to anything in your order`, 400);
+  }
+  if (eligibleSubtotal < parseFloat(promoCode.minSubtotal)) {
+    throw promoError(
+      `Promo code ${normalized} needs $${parseFloat(promoCode.minSubtotal).toFixed(2)} of eligible products; you have $${eligibleSubtotal.toFixed(2)}`,
+      400
+    );
+  }
+
+  let productDiscount = 0;
+  const freeDelivery = promoCode.discountType === 'free_delivery';
+  if (freeDelivery) {
+    if (deliveryMethod !== 'delivery') {
+      throw promoError(`Promo code ${normalized} is for free delivery and this order isn't delivered`, 400);
+    }
+  } else if (promoCode.discountType === 'percent') {
+    productDiscount = round(eligibleSubtotal * parseFloat(promoCode.value) / 100);
+    if (promoCode.maxDiscount !== null) {
+      productDiscount = Math.min(productDiscount, parseFloat(promoCode.maxDiscount));
+    }
+  } else {
+    productDiscount = Math.min(parseFloat(promoCode.value), eligibleSubtotal);
+  }
+
+  return {
+    promoCode,
+    productDiscount,
+    freeDelivery,
+    fundedBy: promoCode.fundedBy,
+    farmId: promoCode.farmId,
+    eligibleByFarm
+  };
+};
+
+/**
+ * Pricing input for an evaluated code (see pricingService.calculateOrderCharges)
+ * @param {Object} evaluation - Result of evaluate
+ * @returns {Object} { code, productDiscount, freeDelivery, fundedBy }
+ */
+const toPricing = (evaluation) => ({
+  code: evaluation.promoCode.code,
+  productDiscount: evaluation.productDiscount,
+  freeDelivery: evaluation.freeDelivery,
+  fundedBy: evaluation.fundedBy
+});
+
+/**
+ * Record an order's use of a code. Runs in the order's transaction, after the
+ * code was evaluated with lock: true.
+ * @param {Object} evaluation - Result of evaluate
+ * @param {Object} details - Details
+ * @param {String} details.userId - Customer
+ * @param {String} details.orderId - Order the code was used on
+ * @param {Number} details.productDiscount - Product discount applied by pricing
+ * @param {Number} details.deliveryDiscount - Delivery fee waived by pricing
+ * @param {Object} details.transaction - Sequelize transaction
+ * @returns {Promise<Object>} PromoCodeRedemption
+ */
+const redeem = async (evaluation, { userId, orderId, productDiscount, deliveryDiscount, transaction }) => {
+  const { PromoCodeRedemption } = require('../models/promoCode');
+  const { promoCode } = evaluation;
+
+  await promoCode.increment('usageCount', { transaction });
+
+  const redemption = await PromoCodeRedemption.create({
+    promoCodeId: promoCode.id,
+    userId,
+    orderId,
+    code: promoCode.code,
+    discountType: promoCode.discountType,
+    productDiscount,
+    deliveryDiscount,
+    fundedBy: promoCode.fundedBy,
+    farmId: promoCode.farmId,
+    allocations: allocate(evaluation.eligibleByFarm, productDiscount)
+  }, { transaction });
+
+  logger.info(`Promo code ${promoCode.code} redeemed on order ${orderId}`);
+  return redemption;
+};
+
+/**
+ * Give a cancelled order's code back to the customer, so it counts towards
+ * neither their limit nor the code's
+ * @param {String} orderId - Order ID
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object|null>} Reversed redemption, or null if the order used no code
+ */
+const reverseRedemption = async (orderId, { transaction = null } = {}) => {
+  const { PromoCode, PromoCodeRedemption } = require('../models/promoCode');
+
+  const redemption = await PromoCodeRedemption.findOne({
+    where: { orderId, status: 'redeemed' },
+    transaction
+  });
+  if (!redemption) {
+    return null;
+  }
+
+  await redemption.update({ status: 'reversed', reversedAt: new Date() }, { transaction });
+  await PromoCode.decrement('usageCount', {
+    where: { id: redemption.promoCodeId, usageCount: { [Op.gt]: 0 } },
+    transaction
+  });
+
+  logger.info(`Promo code ${redemption.code} given back from cancelled order ${orderId}`);
+  return redemption;
+};
+
+/**
+ * Get the code redeemed on an order
+ * @param {String} orderId - Order ID
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} PromoCodeRedemption, or null
+ */
+const getRedemption = async (orderId, transaction = null) => {
+  const { PromoCodeRedemption } = require('../models/promoCode');
+  return PromoCodeRedemption.findOne({ where: { orderId }, transaction });
+};
+
+/**
+ * A farm's share of an order's product discount
+ * @param {Object} redemption - PromoCodeRedemption, or null
+ * @param {String} farmId - Farm ID
+ * @returns {Number} Discount on the farm's products
+ */
+const getFarmDiscount = (redemption, farmId) => {
+  if (!redemption) {
+    return 0;
+  }
+  return parseFloat((redemption.allocations || {})[farmId] || 0);
+};
+
+/**
+ * Split each farm's share of an order's product discount across the farm's
+ * items the code applied to, in proportion to their price. Rounding is
+ * settled on each farm's last item so the shares add up to its allocation.
+ * @param {Object} redemption - PromoCodeRedemption, or null
+ * @param {Array} items - Every OrderItem of the order
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Map>} Discount by order item ID; items without one are left out
+ */
+const getItemDiscounts = async (redemption, items, transaction = null) => {
+  const discounts = new Map();
+  if (!redemption || !(parseFloat(redemption.productDiscount) > 0)) {
+    return discounts;
+  }
+
+  const { PromoCode } = require('../models/promoCode');
+  const { Product } = require('../models/product');
+
+  const promoCode = await PromoCode.findByPk(redemption.promoCodeId, { transaction });
+  const products = await Product.findAll({
+    where: { id: [...new Set(items.map(item => item.productId))] },
+    attributes: ['id', 'category'],
+    transaction
+  });
+
+  // Without the code to check against, every item of a discounted farm shares its discount
+  const eligible = items.filter((item) => {
+    const product = products.find(p => p.id === item.productId);
+    return !promoCode || appliesTo(promoCode, { farmId: item.farmId, category: product ? product.category : null });
+  });
+
+  for (const farmId of Object.keys(redemption.allocations || {})) {
+    const farmItems = eligible.filter(item => item.farmId === farmId);
+    const farmTotal = farmItems.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0);
+    if (farmTotal === 0) {
+      continue;
+    }
+
+    let remaining = getFarmDiscount(redemption, farmId);
+    farmItems.forEach((item, index) => {
+      const share = index === farmItems.length - 1
+        ? remaining
+        : round(getFarmDiscount(redemption, farmId) * parseFloat(item.totalPrice) / farmTotal);
+      discounts.set(item.id, share);
+      remaining = round(remaining - share);
+    });
+  }
+
+  return discounts;
+};
+
+/**
+ * Check the user may manage codes for a farm
+ * @param {Object} actor - { userId, role }
+ * @param {String} farmId - Farm ID (null for platform codes)
+ * @throws {Error} 403 if they may not
+ */
+const assertCanManage = async (actor, farmId) => {
+  if (actor.role === 'admin' && !farmId) {
+    return;
+  }
+
+  if (!farmId) {
+    throw promoError('Only admins can manage platform promo codes', 403);
+  }
+
+  if (actor.role === 'admin') {
+    return;
+  }
+
+  const { Farm } = require('../models/farm');
+  const farm = await Farm.findOne({ where: { id: farmId, farmerId: actor.userId }, attributes: ['id'] });
+  if (!farm) {
+    throw promoError('You can only manage promo codes for your own farms', 403);
+  }
+};
+
+/**
+ * Check a code's fields make sense together
+ * @param {Object} fields - Code fields
+ * @throws {Error} 400 if they don't
+ */
+const assertValidCode = (fields) => {
+  if (!PROMO_CODE_CONSTANTS.CODE_PATTERN.test(fields.code)) {
+    throw promoError('Promo codes are 3 to 32 letters, digits, dashes or underscores', 400);
+  }
+  if (fields.discountType === 'percent' && (parseFloat(fields.value) <= 0 || parseFloat(fields.value) > 100)) {
+    throw promoError('A percentage discount must be more than 0 and at most 100', 400);
+  }
+  if (fields.discountType === 'fixed' && parseFloat(fields.value) <= 0) {
+    throw promoError('A fixed discount must be more than 0', 400);
+  }
+  if (fields.startsAt && fields.endsAt && new Date(fields.startsAt) >= new Date(fields.endsAt)) {
+    throw promoError('A promo code must end after it starts', 400);
+  }
+};
+
+/**
+ * Pick the code fields that were provided
+ * @param {Object} data - Request data
+ * @returns {Object} Code fields
+ */
+const pickCodeFields = (data) => {
+  const fields = {};
+  for (const name of CODE_FIELDS) {
+    if (data[name] !== undefined) {
+      fields[name] = data[name];
+    }
+  }
+  if (fields.code !== undefined) {
+    fields.code = normalizeCode(fields.code);
+  }
+  return fields;
+};
+
+/**
+ * Save a code, reporting a duplicate code as a conflict
+ * @param {Function} save - Performs the create or update
+ * @returns {Promise<Object>} Result of save
+ * @throws {Error} 409 if the code is taken
+ */
+const withUniqueCode = async (save) => {
+  try {
+    return await save();
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw promoError('That promo code already exists', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List promo codes: every code for admins, their farms' codes for farmers
+ * @param {Object} actor - { userId, role }
+ * @param {Object} filters - { farmId, isActive }
+ * @returns {Promise<Array>} Codes, newest first
+ */
+const listCodes = async (actor, { farmId, isActive } = {}) => {
+  const { PromoCode } = require('../models/promoCode');
+  const { Farm } = require('../models/farm');
+
+  const where = {};
+  if (farmId) {
+    where.farmId = farmId;
+  }
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (actor.role !== 'admin') {
+    const farms = await Farm.findAll({ where: { farmerId: actor.userId }, attributes: ['id'] });
+    const ownFarmIds = farms.map(farm => farm.id);
+    where.farmId = farmId
+      ? ownFarmIds.filter(id => id === farmId)
+      : ownFarmIds;
+  }
+
+  return PromoCode.findAll({ where, order: [['createdAt', 'DESC']] });
+};
+
+/**
+ * Get a code the user may manage
+ * @param {Object} actor - { userId, role }
+ * @param {String} codeId - PromoCode ID
+ * @returns {Promise<Object>} PromoCode
+ * @throws {Error} 404 if not found, 403 for other farms' codes
+ */
+const getCode = async (actor, codeId) => {
+  const { PromoCode } = require('../models/promoCode');
+
+  const promoCode = await PromoCode.findByPk(codeId);
+  if (!promoCode) {
+    throw promoError('Promo code not found', 404);
+  }
+  await assertCanManage(actor, promoCode.farmId);
+  return promoCode;
+};
+
+/**
+ * Create a promo code. Codes with a farmId are funded by that farm; farmers
+ * can only create those.
+ * @param {Object} actor - { userId, role }
+ * @param {Object} data - Code fields, plus farmId for farm codes
+ * @returns {Promise<Object>} Created PromoCode
+ */
+const createCode = async (actor, data) => {
+  const { PromoCode } = require('../models/promoCode');
+  const fields = pickCodeFields(data);
+  const farmId = data.farmId || null;
+
+  await assertCanManage(actor, farmId);
+  assertValidCode({ value: 0, ...fields });
+
+  const promoCode = await withUniqueCode(() => PromoCode.create({
+    ...fields,
+    farmId,
+    fundedBy: farmId ? 'farm' : 'platform',
+    // A farm's code only ever covers that farm
+    ...(farmId && { farmIds: [] }),
+    createdBy: actor.userId
+  }));
+
+  logger.info(`Promo code ${promoCode.code} created by ${actor.userId}`);
+  return promoCode;
+};
+
+/**
+ * Update a promo code. The code itself and its discount can't change once it
+ * has been redeemed, so customers get what was advertised.
+ * @param {Object} actor - { userId, role }
+ * @param {String} codeId - PromoCode ID
+ * @param {Object} data - Code fields to change
+ * @returns {Promise<Object>} Updated PromoCode
+ * @throws {Error} 409 when changing the discount of a code that has been used
+ */
+const updateCode = async (actor, codeId, data) => {
+  const promoCode = await getCode(actor, codeId);
+  const fields = pickCodeFields(data);
+
+  const changesDiscount = ['code', 'discountType', 'value']
+    .some(name => fields[name] !== undefined && String(fields[name]) !== String(promoCode[name]));
+  if (changesDiscount && promoCode.usageCount > 0) {
+    throw promoError('This code has been used; create a new code instead of changing its discount', 409);
+  }
+  if (promoCode.farmId) {
+    delete fields.farmIds;
+  }
+
+  assertValidCode({ ...promoCode.get(), ...fields });
+
+  return withUniqueCode(() => promoCode.update(fields));
+};
+
+/**
+ * Deactivate a promo code. Codes are kept for their redemption history.
+ * @param {Object} actor - { userId, role }
+ * @param {String} codeId - PromoCode ID
+ * @returns {Promise<Object>} Deactivated PromoCode
+ */
+const deactivateCode = async (actor, codeId) => {
+  const promoCode = await getCode(actor, codeId);
+  await promoCode.update({ isActive: false });
+
+  logger.info(`Promo code ${promoCode.code} deactivated by ${actor.userId}`);
+  return promoCode;
+};
+
+/**
+ * List a code's redemptions, newest first
+ * @param {Object} actor - { userId, role }
+ * @param {String} codeId - PromoCode ID
+ * @returns {Promise<Array>} Redemptions
+ */
+const listRedemptions = async (actor, codeId) => {
+  const { PromoCodeRedemption } = require('../models/promoCode');
+
+  await getCode(actor, codeId);
+  return PromoCodeRedemption.findAll({
+    where: { promoCodeId: codeId },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Preview a code against items a customer is about to order
+ * @param {String} code - Code entered
+ * @param {Object} options - Options
+ * @param {String} options.userId - Customer
+ * @param {Array} options.items - [{ productId, variantId, quantity }], priced as at checkout
+ * @param {String} options.deliveryMethod - 'delivery' or 'pickup'
+ * @returns {Promise<Object>} { code, description, discountType, productDiscount, freeDelivery }
+ */
+const previewCode = async (code, { userId, items, deliveryMethod = 'delivery' }) => {
+  const { Product, ProductVariant } = require('../models/product');
+  const catchWeightService = require('./catchWeightService');
+
+  const products = await Product.findAll({
+    where: { id: items.map(item => item.productId) },
+    attributes: ['id', 'farmId', 'category', 'price', 'isCatchWeight', 'estimatedWeight']
+  });
+  const variantIds = items.map(item => item.variantId).filter(Boolean);
+  const variants = variantIds.length > 0
+    ? await ProductVariant.findAll({ where: { id: variantIds } })
+    : [];
+
+  const lines = [];
+  for (const item of items) {
+    const product = products.find(p => p.id === item.productId);
+    if (!product) {
+      throw promoError(`Product ${item.productId} not found`, 404);
+    }
+    const variant = item.variantId ? variants.find(v => v.id === item.variantId) : null;
+    const quantity = product.isCatchWeight
+      ? catchWeightService.estimateWeight(product, variant, item.quantity)
+      : parseFloat(item.quantity);
+    lines.push({
+      farmId: product.farmId,
+      category: product.category,
+      total: round(parseFloat((variant || product).price) * quantity)
+    });
+  }
+
+  const evaluation = await evaluate(code, { userId, lines, deliveryMethod });
+  return {
+    code: evaluation.promoCode.code,
+    description: evaluation.promoCode.description,
+    discountType: evaluation.promoCode.discountType,
+    productDiscount: evaluation.productDiscount,
+    freeDelivery: evaluation.freeDelivery
+  };
+};
+
+module.exports = {
+  PROMO_CODE_CONSTANTS,
+  normalizeCode,
+  evaluate,
+  toPricing,
+  redeem,
+  reverseRedemption,
+  getRedemption,
+  getFarmDiscount,
+  getItemDiscounts,
+  listCodes,
+  getCode,
+  createCode,
+  updateCode,
+  deactivateCode,
+  listRedemptions,
+  previewCode
+};
@@ -14,6 +14,8 @@ const Sequelize = require('sequelize');
 const logger = require('../utils/logger');
 const { ReferralInfo, ReferralHistory } = require('../models/referral');
 const { User } = require('../models/user');
+const notificationService = require('./notificationService');
+const settingsService = require('./settingsService');
 
 /**
  * Constants for the referral program
@@ -86,6 +88,18 @@ const generateUniqueReferralCode = async (prefix) => {
   return code;
 };
 
+/**
+ * Queue a referral reward notification with the transaction that grants the reward
+ * @param {String} userId - User who earned the reward
+ * @param {String} rewardDescription - e.g. "2 free deliveries"
+ * @param {String} dedupeKey - Identifies the reward
+ * @param {Object} transaction - Sequelize transaction
+ */
+const notifyReward = (userId, rewardDescription, dedupeKey, transaction) =>
+  notificationService.notify(userId, 'referral_reward', { rewardDescription }, { transaction, dedupeKey });
+
+const describeFreeDeliveries = (count) => `${count} free ${count === 1 ? 'delivery' : 'deliveries'}`;
+
 /**
  * Process a referral when a new user registers
  * @param {String} referralCode - The referral code used
@@ -199,6 +213,8 @@ const processReferral = async (referralCode, newUserId, newUserRole) => {
           totalFreeDeliveries: newUserReferralInfo.totalFreeDeliveries + freeDeliveriesToAdd,
           referralStatus: 'completed'
         }, { transaction });
+        
+        await notifyReward(newUserId, describeFreeDeliveries(freeDeliveriesToAdd), `referral_reward:${newUserId}:referred`, transaction);
       }
       
       // Give the referrer reward if they're a consumer
@@ -213,6 +229,8 @@ const processReferral = async (referralCode, newUserId, newUserRole) => {
             freeDeliveriesRemaining: referrerInfo.freeDeliveriesRemaining + referrerFreeDeliveriesToAdd,
             totalFreeDeliveries: referrerInfo.totalFreeDeliveries + referrerFreeDeliveriesToAdd
           }, { transaction });
+          
+          await notifyReward(referrerId, describeFreeDeliveries(referrerFreeDeliveriesToAdd), `referral_reward:${newUserId}:referrer`, transaction);
         }
       }
     }
@@ -281,6 +299,8 @@ const applyFarmerReferralCashback = async (farmerId) => {
       referralStatus: 'completed'
     }, { transaction });
     
+    await notifyReward(farmerId, `$${cashbackToAdd.toFixed(2)} in commission credit`, `referral_cashback:${farmerId}:referred`, transaction);
+    
     // Get referrer information
     const referrerId = farmerReferralInfo.referredBy;
     const referrerInfo = await ReferralInfo.findOne({
@@ -304,6 +324,8 @@ const applyFarmerReferralCashback = async (farmerId) => {
           remainingCredit: referrerInfo.remainingCredit + referrerCashbackToAdd,
           totalEarnedCredit: referrerInfo.totalEarnedCredit + referrerCashbackToAdd
         }, { transaction });
+        
+        await notifyReward(referrerId, `$${referrerCashbackToAdd.toFixed(2)} in commission credit`, `referral_cashback:${farmerId}:referrer`, transaction);
       }
     }
     
@@ -397,6 +419,25 @@ const applyFreeDeliveryIfAvailable = async (order, userId) => {
   }
 };
 
+/**
+ * Name and email to show for the other side of a referral. Users who don't
+ * share their details with referrals are shown by first name only.
+ * @param {Object} row - Row with firstName, lastName, email and preferences
+ * @returns {Object} { name, email }
+ */
+const describeReferralContact = (row) => {
+  const { privacy } = settingsService.resolveSettings(row.preferences);
+
+  if (!privacy.shareDetailsWithReferrals) {
+    return { name: row.firstName || 'FreshFarmily member', email: null };
+  }
+
+  return {
+    name: `${row.firstName || ''} ${row.lastName || ''}`.trim() || 'Unknown User',
+    email: row.email || null
+  };
+};
+
 /**
  * Get referral stats for a user
  * @param {String} userId - User ID
@@ -459,13 +500,14 @@ const getReferralStats = async (userId) => {
       
       if (tableExists) {
         // Get users referred by this user
-        const [referredUsers] = await sequelize.query(
+        const referredUsers = await sequelize.query(
           `SELECT 
             rh.id, rh."referralType", rh."referralCode", rh."referrerRewardType", 
             rh."referrerRewardAmount", rh."referrerFreeDeliveries", rh."createdAt",
-            u.id as "userId", u."firstName", u."lastName", u.email, u.role
+            u.id as "userId", u."firstName", u."lastName", u.email, u.role, p.preferences
            FROM referral_history rh
            LEFT JOIN users u ON rh."referredId" = u.id
+           LEFT JOIN profiles p ON p."userId" = u.id
            WHERE rh."referrerId" = :userId`,
           { 
             replacements: { userId },
@@ -482,8 +524,7 @@ const getReferralStats = async (userId) => {
           // Map referred users
           response.referredUsers = referredUsers.map(r => ({
             id: r.userId,
-            name: `${r.firstName || ''} ${r.lastName || ''}`.trim() || 'Unknown User',
-            email: r.email || null,
+            ...describeReferralContact(r),
             role: r.role || null,
             referralDate: r.createdAt,
             rewardType: r.referrerRewardType || 'none',
@@ -493,12 +534,13 @@ const getReferralStats = async (userId) => {
         }
         
         // Find who referred this user (if anyone)
-        const [referrers] = await sequelize.query(
+        const referrers = await sequelize.query(
           `SELECT 
             rh.id, rh."referralType", rh."referralCode", rh."createdAt",
-            u.id as "userId", u."firstName", u."lastName", u.email, u.role
+            u.id as "userId", u."firstName", u."lastName", u.email, u.role, p.preferences
            FROM referral_history rh
            LEFT JOIN users u ON rh."referrerId" = u.id
+           LEFT JOIN profiles p ON p."userId" = u.id
            WHERE rh."referredId" = :userId
            LIMIT 1`,
           { 
@@ -511,8 +553,7 @@ const getReferralStats = async (userId) => {
           const referrer = referrers[0];
           response.referredBy = {
             id: referrer.userId,
-            name: `${referrer.firstName || ''} ${referrer.lastName || ''}`.trim() || 'Unknown User',
-            email: referrer.email || null,
+            ...describeReferralContact(referrer),
             role: referrer.role || null,
             referralDate: referrer.createdAt,
             referralType: referrer.referralType || null
@@ -0,0 +1,874 @@
+/**
+ * Refund Service
+ *
+ * Refunds paid orders through Stripe and records every refund in the
+ * order_refunds ledger:
+ * - full: everything not refunded yet (admins only)
+ * - items: whole order items, net of their promo discount, with their share of
+ *   tax; the items are marked refunded
+ * - goodwill: any amount, charged to a farm or absorbed by the platform
+ * - fulfillment: a farm's whole part when it is rejected or cancelled (see fulfillmentService)
+ *
+ * A refund is written as pending before Stripe is called, so concurrent
+ * requests can't refund the same money twice, and takes effect once Stripe
+ * accepts it. The farm's share of what was refunded comes back out of its
+ * FarmerPayment (or out of its next payout if that was already paid), and
+ * admins can claw back the delivering driver's pay. Each of these is recorded
+ * as a refund adjustment. A farm never gives back more than it still keeps
+ * from the order, so a goodwill refund charged to it counts towards a later
+ * full refund.
+ *
+ * Once Stripe has refunded the money the request succeeds even if applying
+ * the refund fails; the refund stays pending and is applied by the
+ * reconciliation worker. The same worker retries the refunds of cancelled
+ * orders that Stripe rejected.
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+
+const REFUND_TYPES = ['full', 'items', 'goodwill', 'fulfillment'];
+
+// Reconciliation of refunds Stripe accepted but that weren't applied
+const REFUND_CONSTANTS = {
+  RECONCILE_INTERVAL_MS: 5 * 60 * 1000,
+  // Refunds younger than this may still be being applied by their request
+  RECONCILE_AFTER_MS: 5 * 60 * 1000,
+  // Failed refunds of a cancelled order after which it is left to an admin
+  MAX_CANCELLATION_REFUND_ATTEMPTS: 5
+};
+
+let reconcileTimer = null;
+
+// Ledger statuses that count against what can still be refunded
+const COMMITTED_STATUSES = ['pending', 'succeeded'];
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Amount of an order that can still be refunded
+ * @param {Object} order - Order instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Number>} Refundable amount
+ */
+const getRefundableAmount = async (order, transaction = null) => {
+  const { OrderRefund } = require('../models/payment');
+
+  const refunded = await OrderRefund.sum('amount', {
+    where: { orderId: order.id, status: COMMITTED_STATUSES },
+    transaction
+  }) || 0;
+
+  return Math.max(0, roundMoney(parseFloat(order.totalAmount) - parseFloat(refunded)));
+};
+
+/**
+ * Share of the order's tax attributable to part of its subtotal
+ * @param {Object} order - Order instance
+ * @param {Number} subtotal - Part of the order subtotal
+ * @returns {Number} Tax amount
+ */
+const taxShare = (order, subtotal) => {
+  const orderSubtotal = parseFloat(order.subTotal);
+  if (!orderSubtotal) {
+    return 0;
+  }
+  return roundMoney(parseFloat(order.taxAmount || 0) * (subtotal / orderSubtotal));
+};
+
+/**
+ * IDs of the order's items already claimed by a pending or successful refund
+ * @param {String} orderId - Order ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Set>} Order item IDs
+ */
+const getClaimedItemIds = async (orderId, transaction) => {
+  const { OrderRefund } = require('../models/payment');
+
+  const refunds = await OrderRefund.findAll({
+    where: { orderId, status: COMMITTED_STATUSES, items: { [Op.ne]: null } },
+    attributes: ['items'],
+    transaction
+  });
+
+  return new Set(refunds.flatMap(refund => (refund.items || []).map(item => item.orderItemId)));
+};
+
+/**
+ * Describe order items as refund lines, net of any promo discount on them
+ * @param {Object} order - Order instance
+ * @param {Array} items - OrderItem instances
+ * @param {Map} discounts - Promo discount by order item ID (see promoCodeService.getItemDiscounts)
+ * @returns {Array} Refund lines
+ */
+const toRefundLines = (order, items, discounts) => items.map(item => {
+  const subtotal = parseFloat(item.totalPrice);
+  const discount = discounts.get(item.id) || 0;
+  const tax = taxShare(order, subtotal);
+  return {
+    orderItemId: item.id,
+    farmId: item.farmId,
+    farmName: item.farmName,
+    productName: item.productName,
+    subtotal,
+    discount,
+    tax,
+    amount: roundMoney(subtotal - discount + tax)
+  };
+});
+
+/**
+ * Refund lines for every item of an order not refunded, claimed or cancelled yet
+ * @param {Object} order - Order instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Refund lines
+ */
+const getRemainingLines = async (order, transaction) => {
+  const { OrderItem } = require('../models/order');
+  const promoCodeService = require('./promoCodeService');
+
+  const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+  const redemption = await promoCodeService.getRedemption(order.id, transaction);
+  const discounts = await promoCodeService.getItemDiscounts(redemption, orderItems, transaction);
+  const claimed = await getClaimedItemIds(order.id, transaction);
+
+  return toRefundLines(order, orderItems.filter(item => !['cancelled', 'refunded'].includes(item.status) &&
+    !claimed.has(item.id)), discounts);
+};
+
+/**
+ * Work out what a refund request covers, checking the actor may make it
+ * @param {Object} order - Order instance (locked by the caller)
+ * @param {Object} request - { type, items, amount, farmId, driverClawback }
+ * @param {Object} actor - { userId, role }
+ * @param {Number} refundable - Amount that can still be refunded
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { amount, items, farmId, driverClawback }
+ */
+const planRefund = async (order, request, actor, refundable, transaction) => {
+  const { OrderItem } = require('../models/order');
+  const { Farm } = require('../models/farm');
+  const { type } = request;
+  const isAdmin = actor.role === 'admin';
+
+  const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+  const promoCodeService = require('./promoCodeService');
+  const redemption = await promoCodeService.getRedemption(order.id, transaction);
+  const discounts = await promoCodeService.getItemDiscounts(redemption, orderItems, transaction);
+  const orderFarmIds = [...new Set(orderItems.map(item => item.farmId))];
+
+  // Farmers act for the farms they own in this order
+  let ownFarmIds = orderFarmIds;
+  if (!isAdmin) {
+    const farms = await Farm.findAll({
+      where: { id: orderFarmIds, farmerId: actor.userId },
+      attributes: ['id'],
+      transaction
+    });
+    ownFarmIds = farms.map(farm => farm.id);
+    if (ownFarmIds.length === 0) {
+      throw refundError('You do not have permission to refund this order', 403);
+    }
+  }
+
+  const claimed = await getClaimedItemIds(order.id, transaction);
+  const isRefundable = (item) => !['cancelled', 'refunded'].includes(item.status) && !claimed.has(item.id);
+
+  let plan;
+
+  if (type === 'full') {
+    if (!isAdmin) {
+      throw refundError('Only admins can refund a whole order', 403);
+    }
+    plan = {
+      amount: refundable,
+      items: toRefundLines(order, orderItems.filter(isRefundable), discounts),
+      farmId: null
+    };
+  } else if (type === 'items') {
+    const requestedIds = [...new Set(request.items || [])];
+    const items = orderItems.filter(item => requestedIds.includes(item.id));
+
+    if (items.length === 0 || items.length !== requestedIds.length) {
+      throw refundError('Some of the items are not part of this order', 400);
+    }
+    const unavailable = items.filter(item => !isRefundable(item));
+    if (unavailable.length > 0) {
+      throw refundError(`Already refunded or cancelled: ${unavailable.map(item => item.productName).join(', ')}`, 409);
+    }
+    if (items.some(item => !ownFarmIds.includes(item.farmId))) {
+      throw refundError('Farms can only refund their own items', 403);
+    }
+
+    const lines = toRefundLines(order, items, discounts);
+    plan = {
+      amount: Math.min(refundable, roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))),
+      items: lines,
+      farmId: null
+    };
+  } else if (type === 'goodwill') {
+    const amount = roundMoney(parseFloat(request.amount));
+    if (!(amount > 0)) {
+      throw refundError('A goodwill refund needs an amount greater than zero', 400);
+    }
+    if (amount > refundable) {
+      throw refundError(`Only $${refundable.toFixed(2)} of this order can still be refunded`, 400);
+    }
+
+    // Farmers' goodwill comes out of their own farm; admins may charge a farm or absorb it
+    let farmId = request.farmId || null;
+    if (!isAdmin && !farmId) {
+      if (ownFarmIds.length > 1) {
+        throw refundError('Choose which of your farms the refund is charged to', 400);
+      }
+      farmId = ownFarmIds[0];
+    }
+    if (farmId && !ownFarmIds.includes(farmId)) {
+      throw refundError(isAdmin ? 'That farm has no items in this order' : 'Farms can only charge refunds to their own farm', isAdmin ? 400 : 403);
+    }
+
+    plan = { amount, items: null, farmId };
+  } else {
+    throw refundError(`Unknown refund type: ${type}`, 400);
+  }
+
+  plan.driverClawback = null;
+  if (request.driverClawback) {
+    if (!isAdmin) {
+      throw refundError('Only admins can claw back driver pay', 403);
+    }
+    plan.driverClawback = roundMoney(parseFloat(request.driverClawback));
+    if (!(plan.driverClawback > 0)) {
+      throw refundError('Driver clawback must be greater than zero', 400);
+    }
+
+    const { Delivery } = require('../models/delivery');
+    const delivery = await Delivery.findOne({ where: { orderId: order.id }, transaction });
+    if (!delivery || !delivery.driverId) {
+      throw refundError('This order has no driver to claw back from', 400);
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Record a refund as pending, checking it against the refundable balance
+ * @param {String} orderId - Order ID
+ * @param {Function} plan - async (order, refundable, transaction) => ledger fields, or null to skip
+ * @returns {Promise<Object|null>} { order, refund } or null if nothing is left to refund
+ */
+const reserveRefund = async (orderId, plan) => {
+  const { Order } = require('../models/order');
+  const { OrderRefund } = require('../models/payment');
+
+  return sequelize.transaction(async (t) => {
+    // Lock the order so concurrent refunds see each other's pending rows
+    const order = await Order.findByPk(orderId, { lock: t.LOCK.UPDATE, transaction: t });
+    if (!order) {
+      throw refundError('Order not found', 404);
+    }
+    if (order.paymentStatus === 'refunded') {
+      throw refundError('This order has already been fully refunded', 409);
+    }
+    if (order.paymentStatus !== 'paid' || !order.paymentIntentId) {
+      throw refundError('Only paid orders can be refunded', 409);
+    }
+
+    const refundable = await getRefundableAmount(order, t);
+    if (refundable <= 0) {
+      return null;
+    }
+
+    const fields = await plan(order, refundable, t);
+    if (!fields || !(fields.amount > 0)) {
+      return null;
+    }
+
+    const refund = await OrderRefund.create({ orderId: order.id, status: 'pending', ...fields }, { transaction: t });
+    return { order, refund };
+  });
+};
+
+/**
+ * Send a pending refund to Stripe. Failed refunds are marked failed and no
+ * longer count against the order.
+ * @param {Object} order - Order instance
+ * @param {Object} refund - Pending OrderRefund instance
+ * @returns {Promise<Object>} Stripe refund
+ * @throws {Error} 502 if Stripe rejects the refund
+ */
+const sendRefund = async (order, refund) => {
+  const stripeService = require('./stripeService');
+
+  try {
+    const stripeRefund = await stripeService.refundPayment(order.paymentIntentId, parseFloat(refund.amount), {
+      orderId: order.id,
+      refundId: refund.id,
+      type: refund.type
+    }, `order-refund-${refund.id}`);
+
+    await refund.update({ stripeRefundId: stripeRefund.id });
+    return stripeRefund;
+  } catch (error) {
+    await refund.update({ status: 'failed', failureReason: error.message, processedAt: new Date() });
+    logger.error(`Refund ${refund.id} for order ${order.orderNumber} failed: ${error.message}`);
+    throw refundError(`The payment provider could not process the refund: ${error.message}`, 502);
+  }
+};
+
+/**
+ * Take back part of a farm's earnings for an order. Unpaid earnings are
+ * reduced directly; once paid out, a negative FarmerPayment is added so the
+ * amount comes out of the farm's next payout.
+ * @param {Object} order - Order instance
+ * @param {Object} refund - OrderRefund instance
+ * @param {Object} share - { farmId, farmName, amount, commission }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} RefundAdjustment, or null if the farm hasn't been credited
+ *   yet or has nothing left to give back
+ */
+const clawBackFarm = async (order, refund, share, transaction) => {
+  const { FarmerPayment, RefundAdjustment } = require('../models/payment');
+  let amount = roundMoney(share.amount);
+  let commission = roundMoney(share.commission);
+
+  // FarmerPayment.farmerId holds the farm ID (see stripeService.processOrderPayment)
+  const credited = await FarmerPayment.findAll({
+    where: { orderId: order.id, farmerId: share.farmId },
+    attributes: ['amount'],
+    transaction
+  });
+
+  // Items refunded before the farm was credited are simply never paid (processOrderPayment skips them)
+  if (credited.length === 0 && refund.type !== 'goodwill') {
+    return null;
+  }
+
+  // Refunded items come out of what the farm still keeps from the order, which is
+  // already net of earlier clawbacks (goodwill charged to it, say), so the same
+  // money is never taken twice
+  if (refund.type !== 'goodwill') {
+    const kept = roundMoney(credited.reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
+    if (kept <= 0) {
+      return null;
+    }
+    if (amount > kept) {
+      commission = roundMoney(commission * kept / amount);
+      amount = kept;
+    }
+  }
+
+  const payment = await FarmerPayment.findOne({
+    where: { orderId: order.id, farmerId: share.farmId, isPaid: false, amount: { [Op.gte]: amount } },
+    order: [['createdAt', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  let target = payment;
+  if (payment) {
+    await payment.update({
+      amount: roundMoney(parseFloat(payment.amount) - amount),
+      commission: Math.max(0, roundMoney(parseFloat(payment.commission) - commission)),
+      paymentDetails: {
+        ...(payment.paymentDetails || {}),
+        refunds: [...((payment.paymentDetails && payment.paymentDetails.refunds) || []), refund.id]
+      }
+    }, { transaction });
+  } else {
+    target = await FarmerPayment.create({
+      orderId: order.id,
+      farmerId: share.farmId,
+      farmName: share.farmName || 'Unknown farm',
+      amount: -amount,
+      commission: -commission,
+      isPaid: false,
+      paymentDetails: { clawbackForRefund: refund.id }
+    }, { transaction });
+  }
+
+  return RefundAdjustment.create({
+    refundId: refund.id,
+    payeeType: 'farmer',
+    payeeId: share.farmId,
+    amount,
+    commissionAmount: commission,
+    status: 'applied',
+    farmerPaymentId: target.id,
+    appliedAt: new Date()
+  }, { transaction });
+};
+
+/**
+ * Take back part of the delivering driver's pay. Comes out of the unpaid
+ * earnings record covering the delivery if there is one, otherwise out of
+ * the driver's next earnings record (see driverCompensationService).
+ * @param {Object} order - Order instance
+ * @param {Object} refund - OrderRefund instance
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} RefundAdjustment
+ */
+const clawBackDriver = async (order, refund, transaction) => {
+  const { RefundAdjustment } = require('../models/payment');
+  const { Delivery } = require('../models/delivery');
+  const { DriverEarnings } = require('../models/pricing');
+  const amount = roundMoney(parseFloat(refund.driverClawback));
+
+  const delivery = await Delivery.findOne({ where: { orderId: order.id }, transaction });
+  const deliveredAt = delivery.actualDeliveryTime || order.actualDeliveryTime || new Date();
+
+  const earnings = await DriverEarnings.findOne({
+    where: {
+      driverId: delivery.driverId,
+      isPaid: false,
+      payPeriodStart: { [Op.lte]: deliveredAt },
+      payPeriodEnd: { [Op.gte]: deliveredAt },
+      totalEarnings: { [Op.gte]: amount }
+    },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (earnings) {
+    await earnings.update({
+      adjustmentAmount: roundMoney(parseFloat(earnings.adjustmentAmount || 0) - amount),
+      totalEarnings: roundMoney(parseFloat(earnings.totalEarnings) - amount)
+    }, { transaction });
+  }
+
+  return RefundAdjustment.create({
+    refundId: refund.id,
+    payeeType: 'driver',
+    payeeId: delivery.driverId,
+    amount,
+    status: earnings ? 'applied' : 'pending',
+    driverEarningsId: earnings ? earnings.id : null,
+    appliedAt: earnings ? new Date() : null
+  }, { transaction });
+};
+
+/**
+ * Apply a refund Stripe has accepted: mark items refunded, take back the
+ * farms' and driver's shares, and close out fully refunded orders
+ * @param {String} orderId - Order ID
+ * @param {Object} refund - OrderRefund instance
+ * @returns {Promise<Object>} Updated order
+ */
+const applyRefund = async (orderId, refund) => {
+  const { Order, OrderItem } = require('../models/order');
+  const { PaymentInfo } = require('../models/payment');
+  const { PLATFORM_COMMISSION_RATE } = require('./stripeService');
+
+  return sequelize.transaction(async (t) => {
+    let order = await Order.findByPk(orderId, { lock: t.LOCK.UPDATE, transaction: t });
+
+    // Applied once, whether by its request or by reconciliation
+    await refund.reload({ transaction: t });
+    if (refund.status !== 'pending') {
+      return order;
+    }
+
+    const lines = refund.items || [];
+
+    if (lines.length > 0) {
+      await OrderItem.update(
+        { status: 'refunded' },
+        { where: { id: lines.map(line => line.orderItemId), orderId }, transaction: t }
+      );
+    }
+
+    // The farm gives back its share of refunded items; goodwill charged to a farm comes out in full.
+    // A farm already gave up its own promo code's discount when it was paid (see
+    // stripeService.processOrderPayment), so that part isn't taken back again
+    const promoCodeService = require('./promoCodeService');
+    const redemption = lines.length > 0 ? await promoCodeService.getRedemption(orderId, t) : null;
+    const farmFunded = (farmId) => Boolean(redemption && redemption.fundedBy === 'farm' && redemption.farmId === farmId);
+
+    // Refunds at the platform's expense (goodwill with no farm) take nothing back from farms
+    const shares = new Map();
+    for (const line of refund.type === 'goodwill' ? [] : lines) {
+      const share = shares.get(line.farmId) || { farmId: line.farmId, farmName: line.farmName, amount: 0, commission: 0 };
+      const earned = line.subtotal - (farmFunded(line.farmId) ? (line.discount || 0) : 0);
+      share.commission += earned * PLATFORM_COMMISSION_RATE;
+      share.amount += earned * (1 - PLATFORM_COMMISSION_RATE);
+      shares.set(line.farmId, share);
+    }
+    if (refund.type === 'goodwill' && refund.farmId) {
+      const item = await OrderItem.findOne({ where: { orderId, farmId: refund.farmId }, attributes: ['farmName'], transaction: t });
+      shares.set(refund.farmId, {
+        farmId: refund.farmId,
+        farmName: item ? item.farmName : null,
+        amount: parseFloat(refund.amount),
+        commission: 0
+      });
+    }
+
+    for (const share of shares.values()) {
+      await clawBackFarm(order, refund, share, t);
+    }
+
+    if (refund.driverClawback) {
+      await clawBackDriver(order, refund, t);
+    }
+
+    await refund.update({ status: 'succeeded', processedAt: new Date() }, { transaction: t });
+
+    // Fully refunded orders are closed out
+    if ((await getRefundableAmount(order, t)) <= 0) {
+      await order.update({ paymentStatus: 'refunded' }, { transaction: t });
+      await PaymentInfo.update({ paymentStatus: 'refunded' }, { where: { orderId }, transaction: t });
+
+      // A cancelled order is already closed and stays cancelled
+      const orderStateMachine = require('./orderStateMachine');
+      if (order.status !== 'cancelled' && orderStateMachine.isValidTransition(order.status, 'refunded')) {
+        ({ order } = await orderStateMachine.transitionOrder(order, 'refunded', {
+          reason: refund.reason || 'Order fully refunded',
+          transaction: t
+        }));
+      }
+    }
+
+    const notificationService = require('./notificationService');
+    await notificationService.notify(order.userId, 'refund_issued', {
+      orderNumber: order.orderNumber,
+      amount: refund.amount,
+      items: lines.map(line => line.productName)
+    }, { transaction: t, dedupeKey: `refund_issued:${refund.id}` });
+
+    return order;
+  });
+};
+
+/**
+ * Apply a refund Stripe has already accepted. The customer has their money
+ * either way, so a failure is logged and the refund, still pending, is left
+ * to the reconciliation worker rather than failing the request.
+ * @param {Object} order - Order instance
+ * @param {Object} refund - OrderRefund instance
+ * @returns {Promise<Object>} Updated order, or the order as it was if the refund wasn't applied
+ */
+const applySentRefund = async (order, refund) => {
+  try {
+    return await applyRefund(order.id, refund);
+  } catch (error) {
+    logger.error(`Refund ${refund.id} for order ${order.orderNumber} was sent but not applied; left for reconciliation: ${error.message}`);
+    return order;
+  }
+};
+
+/**
+ * Refund a paid order
+ * @param {String} orderId - Order ID
+ * @param {Object} request - Refund request
+ * @param {String} request.type - 'full', 'items' or 'goodwill'
+ * @param {Array<String>} request.items - Order item IDs (items refunds)
+ * @param {Number} request.amount - Amount (goodwill refunds)
+ * @param {String} request.farmId - Farm charged for a goodwill refund
+ * @param {Number} request.driverClawback - Amount taken back from the driver (admins only)
+ * @param {String} request.reason - Reason shown in the ledger
+ * @param {Object} actor - { userId, role } (admin or farmer)
+ * @returns {Promise<Object>} { refund, order }
+ * @throws {Error} With statusCode 400/403/404/409, or 502 if Stripe rejects the refund
+ */
+const createRefund = async (orderId, request, actor) => {
+  if (!['full', 'items', 'goodwill'].includes(request.type)) {
+    throw refundError(`Unknown refund type: ${request.type}`, 400);
+  }
+
+  const reserved = await reserveRefund(orderId, async (order, refundable, t) => {
+    const plan = await planRefund(order, request, actor, refundable, t);
+    return {
+      type: request.type,
+      amount: plan.amount,
+      items: plan.items,
+      farmId: plan.farmId,
+      driverClawback: plan.driverClawback,
+      reason: request.reason || null,
+      requestedBy: actor.userId,
+      requestedByRole: actor.role
+    };
+  });
+
+  if (!reserved) {
+    throw refundError('Nothing is left to refund on this order', 409);
+  }
+
+  const { order, refund } = reserved;
+  await sendRefund(order, refund);
+  const updatedOrder = await applySentRefund(order, refund);
+
+  logger.info(`${refund.type} refund of $${parseFloat(refund.amount).toFixed(2)} issued for order ${order.orderNumber} by ${actor.role} ${actor.userId}`);
+
+  return { refund: await getRefund(refund.id), order: updatedOrder };
+};
+
+/**
+ * Refund an order on the system's behalf. A fulfillment refund is a rejected
+ * farm's part of the order, which the caller has already accounted for, so
+ * only the ledger and Stripe are touched. A full refund, e.g. of a cancelled
+ * order, is applied like any other: the items left are marked refunded and
+ * their farms give back what they earned on them.
+ * @param {Object} order - Order instance
+ * @param {Number|null} amount - Amount to refund, or null for everything still refundable
+ * @param {Object} options - { type, fulfillmentId, farmId, reason }
+ * @returns {Promise<Object|null>} Stripe refund, or null if nothing was refunded
+ * @throws {Error} 502 if Stripe rejects the refund
+ */
+const refundAmount = async (order, amount, { type = 'full', fulfillmentId = null, farmId = null, reason = null } = {}) => {
+  if (order.paymentStatus !== 'paid' || !order.paymentIntentId) {
+    return null;
+  }
+
+  const reserved = await reserveRefund(order.id, async (locked, refundable, t) => ({
+    type,
+    amount: amount === null ? refundable : Math.min(roundMoney(amount), refundable),
+    items: type === 'full' ? await getRemainingLines(locked, t) : null,
+    fulfillmentId,
+    farmId,
+    reason
+  }));
+
+  if (!reserved) {
+    return null;
+  }
+
+  const stripeRefund = await sendRefund(reserved.order, reserved.refund);
+  if (type === 'full') {
+    await applySentRefund(reserved.order, reserved.refund);
+  } else {
+    await reserved.refund.update({ status: 'succeeded', processedAt: new Date() });
+  }
+
+  return stripeRefund;
+};
+
+/**
+ * Refund an order at the platform's expense, e.g. after a failed delivery.
+ * Recorded as a goodwill refund no farm is charged for, so farms keep their
+ * earnings; the customer is told and fully refunded orders are closed out.
+ * Given items, it refunds what the customer paid for them, as an items
+ * refund would, and marks them refunded.
+ * @param {String} orderId - Order ID
+ * @param {Number|null} amount - Amount to refund, or null for everything still refundable
+ *   (ignored when items are given)
+ * @param {Object} options - { reason, actor, itemIds } where actor is null for automatic refunds
+ * @returns {Promise<Object|null>} { refund, order }, or null if nothing was refunded
+ * @throws {Error} 409 if the order isn't paid, 502 if Stripe rejects the refund
+ */
+const refundByPlatform = async (orderId, amount, { reason = null, actor = null, itemIds = null } = {}) => {
+  const reserved = await reserveRefund(orderId, async (order, refundable, t) => {
+    let items = null;
+    let total = amount === null ? refundable : Math.min(roundMoney(amount), refundable);
+
+    if (itemIds) {
+      const { OrderItem } = require('../models/order');
+      const promoCodeService = require('./promoCodeService');
+
+      const claimed = await getClaimedItemIds(order.id, t);
+      const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction: t });
+      const covered = orderItems.filter(item => itemIds.includes(item.id) &&
+        !['cancelled', 'refunded'].includes(item.status) && !claimed.has(item.id));
+      const redemption = await promoCodeService.getRedemption(order.id, t);
+      const discounts = await promoCodeService.getItemDiscounts(redemption, orderItems, t);
+
+      items = toRefundLines(order, covered, discounts);
+      total = Math.min(total, roundMoney(items.reduce((sum, line) => sum + line.amount, 0)));
+    }
+
+    return {
+      type: 'goodwill',
+      amount: total,
+      items,
+      farmId: null,
+      reason,
+      requestedBy: actor ? actor.userId : null,
+      requestedByRole: actor ? actor.role : 'system'
+    };
+  });
+
+  if (!reserved) {
+    return null;
+  }
+
+  await sendRefund(reserved.order, reserved.refund);
+  const order = await applySentRefund(reserved.order, reserved.refund);
+
+  logger.info(`Platform refund of $${parseFloat(reserved.refund.amount).toFixed(2)} issued for order ${order.orderNumber}`);
+
+  return { refund: await getRefund(reserved.refund.id), order };
+};
+
+/**
+ * Get a refund with its adjustments
+ * @param {String} refundId - OrderRefund ID
+ * @returns {Promise<Object|null>} OrderRefund
+ */
+const getRefund = async (refundId) => {
+  const { OrderRefund, RefundAdjustment } = require('../models/payment');
+
+  return OrderRefund.findByPk(refundId, {
+    include: [{ model: RefundAdjustment, as: 'Adjustments' }]
+  });
+};
+
+/**
+ * List an order's refunds, oldest first
+ * @param {String} orderId - Order ID
+ * @returns {Promise<Object>} { refunds, refundedAmount }
+ */
+const listRefunds = async (orderId) => {
+  const { OrderRefund, RefundAdjustment } = require('../models/payment');
+
+  const refunds = await OrderRefund.findAll({
+    where: { orderId },
+    include: [{ model: RefundAdjustment, as: 'Adjustments' }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const refundedAmount = roundMoney(refunds
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+
+  return { refunds, refundedAmount };
+};
+
+/**
+ * Refund cancelled orders again whose refund Stripe rejected, up to
+ * MAX_CANCELLATION_REFUND_ATTEMPTS times each
+ * @param {Date} cutoff - Only refunds that failed before this are retried
+ * @param {Object} counts - { applied, failed } counts to add to
+ * @returns {Promise<Number>} Number of orders retried
+ */
+const retryCancellationRefunds = async (cutoff, counts) => {
+  const { OrderRefund } = require('../models/payment');
+  const { Order } = require('../models/order');
+  const fulfillmentService = require('./fulfillmentService');
+
+  const failedRefunds = await OrderRefund.findAll({
+    where: { type: 'full', status: 'failed', updatedAt: { [Op.lt]: cutoff } },
+    include: [{ model: Order, as: 'Order', where: { status: 'cancelled', paymentStatus: 'paid' }, attributes: ['id'] }],
+    attributes: ['id', 'orderId'],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const attemptsByOrder = new Map();
+  for (const refund of failedRefunds) {
+    attemptsByOrder.set(refund.orderId, (attemptsByOrder.get(refund.orderId) || 0) + 1);
+  }
+
+  let retried = 0;
+  for (const [orderId, attempts] of attemptsByOrder) {
+    if (attempts >= REFUND_CONSTANTS.MAX_CANCELLATION_REFUND_ATTEMPTS) {
+      continue;
+    }
+
+    retried++;
+    const order = await Order.findByPk(orderId);
+    try {
+      await fulfillmentService.refundRemainder(order);
+      counts.applied++;
+    } catch (error) {
+      counts.failed++;
+    }
+  }
+
+  return retried;
+};
+
+/**
+ * Apply refunds Stripe accepted but that were left pending, e.g. because the
+ * database failed right after the refund was sent, and retry the refunds of
+ * cancelled orders that Stripe rejected
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { applied, failed }
+ */
+const reconcileRefunds = async (now = new Date()) => {
+  const { OrderRefund } = require('../models/payment');
+  const { Order } = require('../models/order');
+  const counts = { applied: 0, failed: 0 };
+  const cutoff = new Date(now.getTime() - REFUND_CONSTANTS.RECONCILE_AFTER_MS);
+
+  const refunds = await OrderRefund.findAll({
+    where: {
+      status: 'pending',
+      stripeRefundId: { [Op.ne]: null },
+      updatedAt: { [Op.lt]: cutoff }
+    },
+    order: [['createdAt', 'ASC']]
+  });
+
+  for (const refund of refunds) {
+    try {
+      await applyRefund(refund.orderId, refund);
+      counts.applied++;
+    } catch (error) {
+      counts.failed++;
+      const order = await Order.findByPk(refund.orderId, { attributes: ['orderNumber'] });
+      logger.error(`Reconciling refund ${refund.id} for order ${order ? order.orderNumber : refund.orderId} failed: ${error.message}`);
+    }
+  }
+
+  const retried = await retryCancellationRefunds(cutoff, counts);
+
+  if (refunds.length + retried > 0) {
+    logger.info(`Refund reconciliation: ${counts.applied} applied, ${counts.failed} failed`);
+  }
+  return counts;
+};
+
+/**
+ * Start the periodic refund reconciliation job
+ */
+const startReconciliationWorker = () => {
+  if (reconcileTimer) {
+    return;
+  }
+
+  reconcileTimer = setInterval(() => {
+    reconcileRefunds().catch(error => {
+      logger.error(`Refund reconciliation worker failed: ${error.message}`);
+    });
+  }, REFUND_CONSTANTS.RECONCILE_INTERVAL_MS);
+
+  // Don't keep the process alive just for this job
+  reconcileTimer.unref();
+  logger.info('Refund reconciliation worker started');
+};
+
+/**
+ * Stop the periodic refund reconciliation job
+ */
+const stopReconciliationWorker = () => {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+  }
+};
+
+module.exports = {
+  REFUND_TYPES,
+  REFUND_CONSTANTS,
+  getRefundableAmount,
+  createRefund,
+  refundAmount,
+  refundByPlatform,
+  getRefund,
+  listRefunds,
+  reconcileRefunds,
+  startReconciliationWorker,
+  stopReconciliationWorker
+};
@@ -0,0 +1,505 @@
+/**
+ * Route Solver Service
+ *
+ * Local vehicle-routing solver for delivery batches, used when Google Maps
+ * is unavailable or when it is chosen as the primary solver. A route visits
+ * pickup stops (farms) and drop-off stops (customers); an order's drop-off
+ * must come after every one of its pickups, the vehicle can't carry more
+ * than its capacity, and stops are served inside their time windows where
+ * possible (arriving early means waiting, arriving late is penalized).
+ *
+ * The solver builds a route greedily and then improves it with 2-opt
+ * (reversing a stretch of the route) and or-opt (moving one to three
+ * consecutive stops elsewhere), keeping only changes that respect the
+ * constraints. Strategies weigh the route differently:
+ * - shortest: fewest kilometres driven
+ * - fastest: customers served soonest, and the route finished soonest
+ * - balanced: a mix of both
+ *
+ * Distances are straight-line distances scaled to approximate roads.
+ */
+
+const geolib = require('geolib');
+
+const ROUTE_SOLVER_CONSTANTS = {
+  STRATEGIES: ['fastest', 'shortest', 'balanced'],
+  SOLVERS: ['google', 'local'],
+  // Solver tried first; the local solver is always the fallback
+  DEFAULT_SOLVER: process.env.ROUTE_SOLVER === 'local' ? 'local' : 'google',
+  AVERAGE_SPEED_KMH: 30,
+  // Roads are longer than the straight line between two points
+  ROAD_FACTOR: 1.3,
+  // Minutes spent at a stop
+  SERVICE_MINUTES: { pickup: 5, delivery: 3 },
+  // Cost per kilometre driven, per minute until the route is finished, and per
+  // minute each customer waits for their drop-off
+  STRATEGY_WEIGHTS: {
+    shortest: { distance: 1, duration: 0, arrival: 0 },
+    fastest: { distance: 0, duration: 1, arrival: 0.5 },
+    balanced: { distance: 1, duration: 0.5, arrival: 0.1 }
+  },
+  // Cost per minute a stop is served after its time window closes
+  LATE_PENALTY_PER_MINUTE: 100,
+  MAX_IMPROVEMENT_PASSES: 50,
+  OR_OPT_MAX_SEGMENT: 3
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const routeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round to a number of decimal places
+ * @param {Number} value - Value to round
+ * @param {Number} places - Decimal places
+ * @returns {Number} Rounded value
+ */
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parse a time window bound
+ * @param {Date|String|null} value - Bound
+ * @returns {Number|null} Milliseconds since the epoch, or null for an open bound
+ */
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Set up a routing problem: stops with their constraints and the distances between them
+ * @param {Object} start - Where the vehicle starts {latitude, longitude}, or null to start at the first stop
+ * @param {Array} stops - Stops to visit (see solveRoute)
+ * @param {Object} options - { strategy, vehicleCapacity, departAt, speedKmh }
+ * @returns {Object} Problem
+ * @throws {Error} 400 for unknown strategies or orders larger than the vehicle
+ */
+const buildProblem = (start, stops, options = {}) => {
+  const strategy = options.strategy || 'balanced';
+  if (!ROUTE_SOLVER_CONSTANTS.STRATEGY_WEIGHTS[strategy]) {
+    throw routeError(`Unknown route strategy: ${strategy}`, 400);
+  }
+
+  const nodes = stops.map((stop, index) => {
+    const type = stop.type === 'pickup' ? 'pickup' : 'delivery';
+    return {
+      stop,
+      key: stop.key || stop.id || `${type}-${index}`,
+      type,
+      orderId: stop.orderId || null,
+      load: stop.load !== undefined ? Number(stop.load) : 1,
+      serviceMinutes: stop.serviceMinutes !== undefined
+        ? Number(stop.serviceMinutes)
+        : ROUTE_SOLVER_CONSTANTS.SERVICE_MINUTES[type],
+      windowStart: toTime(stop.timeWindow && stop.timeWindow.start),
+      windowEnd: toTime(stop.timeWindow && stop.timeWindow.end)
+    };
+  });
+
+  // A drop-off needs every pickup for the same order first
+  const pickupsByOrder = {};
+  nodes.forEach((node, index) => {
+    if (node.type === 'pickup' && node.orderId) {
+      (pickupsByOrder[node.orderId] = pickupsByOrder[node.orderId] || []).push(index);
+    }
+  });
+  nodes.forEach(node => {
+    node.requires = node.type === 'delivery' && node.orderId ? (pickupsByOrder[node.orderId] || []) : [];
+  });
+
+  const capacity = options.vehicleCapacity ? Number(options.vehicleCapacity) : Infinity;
+  const oversized = nodes.find(node => node.type === 'delivery' && node.requires.length > 0 && node.load > capacity);
+  if (oversized) {
+    throw routeError(`Stop ${oversized.key} needs room for ${oversized.load}, more than the vehicle's capacity of ${capacity}`, 400);
+  }
+
+  // Row and column 0 are the start; stop i is at i + 1
+  const points = [start, ...stops];
+  const distances = points.map((from, i) => points.map((to, j) => {
+    if (i === j || !from || !to) {
+      return 0;
+    }
+    return geolib.getDistance(
+      { latitude: from.latitude, longitude: from.longitude },
+      { latitude: to.latitude, longitude: to.longitude }
+    ) * ROUTE_SOLVER_CONSTANTS.ROAD_FACTOR;
+  }));
+
+  return {
+    start,
+    nodes,
+    distances,
+    capacity,
+    strategy,
+    weights: ROUTE_SOLVER_CONSTANTS.STRATEGY_WEIGHTS[strategy],
+    departAt: options.departAt ? new Date(options.departAt).getTime() : Date.now(),
+    speedKmh: options.speedKmh || ROUTE_SOLVER_CONSTANTS.AVERAGE_SPEED_KMH
+  };
+};
+
+/**
+ * Drive a sequence of stops and measure it
+ * @param {Object} problem - Problem from buildProblem
+ * @param {Array} sequence - Stop indexes in visiting order (may be a partial route)
+ * @param {Boolean} strict - Return null when the sequence breaks precedence or capacity
+ * @returns {Object|null} { cost, distance, duration, late, feasible, schedule }
+ */
+const evaluateSequence = (problem, sequence, strict = true) => {
+  const { nodes, distances, weights, departAt, speedKmh, capacity } = problem;
+  const metresPerMinute = speedKmh * 1000 / 60;
+
+  const visited = new Set();
+  const onBoard = new Map();
+  const schedule = [];
+  let feasible = true;
+  let position = 0;
+  let time = departAt;
+  let distance = 0;
+  let arrivalMinutes = 0;
+  let lateMinutes = 0;
+  let load = 0;
+
+  for (const index of sequence) {
+    const node = nodes[index];
+
+    if (node.requires.some(pickup => !visited.has(pickup))) {
+      if (strict) {
+        return null;
+      }
+      feasible = false;
+    }
+
+    const legDistance = distances[position][index + 1];
+    distance += legDistance;
+    time += (legDistance / metresPerMinute) * MS_PER_MINUTE;
+
+    let waitMinutes = 0;
+    if (node.windowStart !== null && time < node.windowStart) {
+      waitMinutes = (node.windowStart - time) / MS_PER_MINUTE;
+      time = node.windowStart;
+    }
+    const late = node.windowEnd !== null && time > node.windowEnd
+      ? (time - node.windowEnd) / MS_PER_MINUTE
+      : 0;
+    lateMinutes += late;
+
+    // An order is on board from its first pickup until it is dropped off
+    if (node.type === 'pickup' && node.orderId && !onBoard.has(node.orderId)) {
+      const dropOff = nodes.find(other => other.type === 'delivery' && other.orderId === node.orderId);
+      const orderLoad = dropOff ? dropOff.load : node.load;
+      onBoard.set(node.orderId, orderLoad);
+      load += orderLoad;
+    } else if (node.type === 'delivery' && onBoard.has(node.orderId)) {
+      load -= onBoard.get(node.orderId);
+      onBoard.delete(node.orderId);
+    }
+    if (load > capacity) {
+      if (strict) {
+        return null;
+      }
+      feasible = false;
+    }
+
+    if (node.type === 'delivery') {
+      arrivalMinutes += (time - departAt) / MS_PER_MINUTE;
+    }
+
+    schedule.push({
+      index,
+      arrivalTime: new Date(time),
+      waitMinutes,
+      lateMinutes: late,
+      legDistance,
+      load
+    });
+
+    time += node.serviceMinutes * MS_PER_MINUTE;
+    visited.add(index);
+    position = index + 1;
+  }
+
+  const duration = (time - departAt) / MS_PER_MINUTE;
+  const cost = weights.distance * (distance / 1000) +
+    weights.duration * duration +
+    weights.arrival * arrivalMinutes +
+    ROUTE_SOLVER_CONSTANTS.LATE_PENALTY_PER_MINUTE * lateMinutes;
+
+  return { cost, distance, duration, late: lateMinutes, feasible, schedule };
+};
+
+/**
+ * Build a first route by repeatedly adding the stop that is cheapest to visit next
+ * @param {Object} problem - Problem from buildProblem (its weights decide "cheapest")
+ * @returns {Array} Stop indexes in visiting order
+ */
+const constructSequence = (problem) => {
+  const sequence = [];
+  const remaining = new Set(problem.nodes.map((node, index) => index));
+
+  while (remaining.size > 0) {
+    let best = null;
+    for (const candidate of remaining) {
+      const result = evaluateSequence(problem, [...sequence, candidate]);
+      if (result && (!best || result.cost < best.cost)) {
+        best = { index: candidate, cost: result.cost };
+      }
+    }
+
+    // Only reachable with inconsistent stops (a drop-off whose pickup is missing)
+    if (!best) {
+      sequence.push(...remaining);
+      break;
+    }
+
+    sequence.push(best.index);
+    remaining.delete(best.index);
+  }
+
+  return sequence;
+};
+
+/**
+ * Try every 2-opt move (reverse sequence[i..j]) and keep the first improvement
+ * @param {Object} problem - Problem from buildProblem
+ * @param {Array} sequence - Current route
+ * @param {Number} cost - Current cost
+ * @returns {Object|null} { sequence, cost } of the improved route, or null
+ */
+const improveTwoOpt = (problem, sequence, cost) => {
+  for (let i = 0; i < sequence.length - 1; i++) {
+    for (let j = i + 1; j < sequence.length; j++) {
+      const candidate = [
+        ...sequence.slice(0, i),
+        ...sequence.slice(i, j + 1).reverse(),
+        ...sequence.slice(j + 1)
+      ];
+      const result = evaluateSequence(problem, candidate);
+      if (result && result.cost < cost - 1e-9) {
+        return { sequence: candidate, cost: result.cost };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Try every or-opt move (move one to three consecutive stops) and keep the first improvement
+ * @param {Object} problem - Problem from buildProblem
+ * @param {Array} sequence - Current route
+ * @param {Number} cost - Current cost
+ * @returns {Object|null} { sequence, cost } of the improved route, or null
+ */
+const improveOrOpt = (problem, sequence, cost) => {
+  for (let length = 1; length <= ROUTE_SOLVER_CONSTANTS.OR_OPT_MAX_SEGMENT; length++) {
+    for (let i = 0; i + length <= sequence.length; i++) {
+      const segment = sequence.slice(i, i + length);
+      const rest = [...sequence.slice(0, i), ...sequence.slice(i + length)];
+
+      for (let k = 0; k <= rest.length; k++) {
+        if (k === i) {
+          continue;
+        }
+        const candidate = [...rest.slice(0, k), ...segment, ...rest.slice(k)];
+        const result = evaluateSequence(problem, candidate);
+        if (result && result.cost < cost - 1e-9) {
+          return { sequence: candidate, cost: result.cost };
+        }
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Describe a measured route in the shape route optimizers return
+ * @param {Object} problem - Problem from buildProblem
+ * @param {Object} result - Result of evaluateSequence
+ * @returns {Object} Route data
+ */
+const describeRoute = (problem, result) => {
+  const stops = result.schedule.map((entry, sequence) => {
+    const node = problem.nodes[entry.index];
+    return {
+      ...node.stop,
+      key: node.key,
+      type: node.type,
+      sequence: sequence + 1,
+      arrivalTime: entry.arrivalTime.toISOString(),
+      departureTime: new Date(entry.arrivalTime.getTime() + node.serviceMinutes * MS_PER_MINUTE).toISOString(),
+      waitMinutes: Math.round(entry.waitMinutes),
+      lateMinutes: Math.round(entry.lateMinutes),
+      load: entry.load
+    };
+  });
+
+  const metresPerSecond = problem.speedKmh * 1000 / 3600;
+  let previous = problem.start ? 'start' : null;
+  const legs = [];
+  result.schedule.forEach((entry, position) => {
+    if (previous) {
+      legs.push({
+        from: previous,
+        to: stops[position].key,
+        distance: Math.round(entry.legDistance),
+        duration: Math.round(entry.legDistance / metresPerSecond)
+      });
+    }
+    previous = stops[position].key;
+  });
+
+  return {
+    optimizedRoute: problem.start ? [problem.start, ...stops] : stops,
+    stops,
+    totalDistance: round(result.distance / 1000),
+    totalDuration: Math.round(result.duration),
+    lateStops: stops.filter(stop => stop.lateMinutes > 0).length,
+    feasible: result.feasible,
+    routePolyline: null,
+    legs,
+    strategy: problem.strategy,
+    solver: 'local'
+  };
+};
+
+/**
+ * Improve a route with 2-opt and or-opt moves until neither helps
+ * @param {Object} problem - Problem from buildProblem
+ * @param {Array} sequence - Starting route
+ * @returns {Object} { sequence, result } of the improved route
+ */
+const improveSequence = (problem, sequence) => {
+  let result = evaluateSequence(problem, sequence, false);
+
+  for (let pass = 0; pass < ROUTE_SOLVER_CONSTANTS.MAX_IMPROVEMENT_PASSES && result.feasible; pass++) {
+    const improved = improveTwoOpt(problem, sequence, result.cost) || improveOrOpt(problem, sequence, result.cost);
+    if (!improved) {
+      break;
+    }
+    sequence = improved.sequence;
+    result = evaluateSequence(problem, sequence, false);
+  }
+
+  return { sequence, result };
+};
+
+/**
+ * Find a good route through a set of stops
+ * @param {Object} start - Where the vehicle starts {latitude, longitude}, or null to start at the first stop
+ * @param {Array} stops - Stops: { key or id, type ('pickup' or 'delivery'), latitude, longitude,
+ *   orderId (links an order's pickups to its drop-off), load (room the order takes, default 1),
+ *   timeWindow ({ start, end }), serviceMinutes }; stops without a type are drop-offs
+ * @param {Object} options - Options
+ * @param {String} options.strategy - 'fastest', 'shortest' or 'balanced'
+ * @param {Number} options.vehicleCapacity - Most the vehicle can carry at once (default unlimited)
+ * @param {Date} options.departAt - When the vehicle sets off (default now)
+ * @param {Number} options.speedKmh - Average driving speed
+ * @returns {Object} Route data: optimizedRoute, stops (with arrival times), totalDistance (km),
+ *   totalDuration (minutes), lateStops, legs, strategy and solver
+ * @throws {Error} 400 for unknown strategies or orders larger than the vehicle
+ */
+const solveRoute = (start, stops, options = {}) => {
+  const problem = buildProblem(start, stops, options);
+
+  // Local search stops at the first route it can't improve, so search from the
+  // best route for every strategy and keep whichever ends up best for this one
+  let best = null;
+  for (const weights of Object.values(ROUTE_SOLVER_CONSTANTS.STRATEGY_WEIGHTS)) {
+    const start = improveSequence({ ...problem, weights }, constructSequence({ ...problem, weights }));
+    const { result } = improveSequence(problem, start.sequence);
+    if (!best || (result.feasible && !best.feasible) ||
+      (result.feasible === best.feasible && result.cost < best.cost)) {
+      best = result;
+    }
+  }
+
+  return describeRoute(problem, best);
+};
+
+/**
+ * Measure a route in a fixed order, e.g. the route before it was optimized or
+ * one returned by Google Maps. Routes that break precedence or capacity are
+ * still measured, with feasible set to false.
+ * @param {Object} start - Where the vehicle starts, or null
+ * @param {Array} stops - Stops in visiting order (see solveRoute)
+ * @param {Object} options - Same as solveRoute
+ * @returns {Object} Route data, as returned by solveRoute
+ */
+const evaluateRoute = (start, stops, options = {}) => {
+  const problem = buildProblem(start, stops, options);
+  const result = evaluateSequence(problem, problem.nodes.map((node, index) => index), false);
+  return describeRoute(problem, result);
+};
+
+/**
+ * Build the stops a batch still has to make: a pickup at each farm in an order
+ * until the order is picked up, and the customer drop-off until it is delivered.
+ * Drop-offs booked into a delivery slot must happen within it.
+ * @param {Array} deliveries - Deliveries with Order (Items.Product.Farm, Consumer) and DeliverySlot
+ * @returns {Array} Stops for the route solver
+ */
+const buildDeliveryStops = (deliveries) => {
+  const stops = [];
+
+  for (const delivery of deliveries) {
+    if (['delivered', 'failed', 'cancelled'].includes(delivery.status)) {
+      continue;
+    }
+    const order = delivery.Order;
+
+    if (!['picked_up', 'in_transit'].includes(delivery.status)) {
+      const farms = new Map();
+      order.Items
+        .filter(item => !['cancelled', 'refunded'].includes(item.status) && item.Product && item.Product.Farm)
+        .forEach(item => farms.set(item.Product.Farm.id, item.Product.Farm));
+
+      farms.forEach(farm => {
+        stops.push({
+          key: `pickup:${order.id}:${farm.id}`,
+          type: 'pickup',
+          farmId: farm.id,
+          farmName: farm.name,
+          latitude: farm.latitude,
+          longitude: farm.longitude,
+          address: farm.address,
+          orderId: order.id,
+          orderNumber: order.orderNumber
+        });
+      });
+    }
+
+    stops.push({
+      key: `delivery:${delivery.id}`,
+      type: 'delivery',
+      customerId: order.Consumer ? order.Consumer.id : null,
+      customerName: order.Consumer ? `${order.Consumer.firstName} ${order.Consumer.lastName}` : 'Unknown',
+      latitude: delivery.deliveryLatitude,
+      longitude: delivery.deliveryLongitude,
+      address: `${delivery.deliveryAddress}, ${delivery.deliveryCity}, ${delivery.deliveryState} ${delivery.deliveryZipCode}`,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      deliveryId: delivery.id,
+      timeWindow: delivery.DeliverySlot
+        ? { start: delivery.DeliverySlot.startsAt, end: delivery.DeliverySlot.endsAt }
+        : null
+    });
+  }
+
+  return stops;
+};
+
+module.exports = {
+  ROUTE_SOLVER_CONSTANTS,
+  solveRoute,
+  evaluateRoute,
+  buildDeliveryStops
+};
@@ -0,0 +1,264 @@
+/**
+ * Session Service
+ *
+ * Manages per-device login sessions and their refresh tokens:
+ * - Every login starts a session and gets an opaque refresh token, stored
+ *   only as a SHA-256 hash
+ * - Each refresh exchanges the token for a new one (rotation) and extends
+ *   the session
+ * - Presenting a refresh token that was already exchanged means it leaked,
+ *   so the whole session (the token family) is revoked
+ * - Access tokens carry the session ID, so revoking a session cuts off its
+ *   access tokens too (see middleware/auth)
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserSession, RefreshToken } = require('../models/session');
+const { authLogger } = require('../utils/logger');
+const { sequelize } = require('../config/database');
+
+/**
+ * Parse a duration such as '7d', '12h' or '30m' into milliseconds
+ * @param {String} value - Duration
+ * @param {Number} fallbackMs - Used when the value can't be parsed
+ * @returns {Number} Milliseconds
+ */
+const parseDuration = (value, fallbackMs) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value || '').trim());
+  if (!match) {
+    return fallbackMs;
+  }
+
+  const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseInt(match[1], 10) * unitMs[match[2]];
+};
+
+const SESSION_CONSTANTS = {
+  // Sessions expire after this long without a refresh
+  REFRESH_TOKEN_TTL_MS: parseDuration(process.env.JWT_REFRESH_EXPIRATION, 7 * 24 * 60 * 60 * 1000),
+  // Throttles lastUsedAt writes from access token checks
+  TOUCH_INTERVAL_MS: 5 * 60 * 1000
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a refresh token for a session
+ * @param {String} sessionId - Session ID
+ * @param {Date} expiresAt - Token expiry
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<String>} Raw token (never stored)
+ */
+const issueRefreshToken = async (sessionId, expiresAt, transaction) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    sessionId,
+    tokenHash: hashToken(token),
+    expiresAt
+  }, { transaction });
+
+  return token;
+};
+
+/**
+ * Start a session for a user
+ * @param {String} userId - User ID
+ * @param {Object} context - Client details
+ * @param {String} context.userAgent - User-Agent header
+ * @param {String} context.ipAddress - Client IP address
+ * @param {String} context.deviceName - Name the client gave the device
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+const createSession = async (userId, context = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_CONSTANTS.REFRESH_TOKEN_TTL_MS);
+
+    const session = await UserSession.create({
+      userId,
+      deviceName: context.deviceName || null,
+      userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : null,
+      ipAddress: context.ipAddress || null,
+      lastUsedAt: now,
+      expiresAt
+    }, { transaction });
+
+    const refreshToken = await issueRefreshToken(session.id, expiresAt, transaction);
+
+    authLogger.info(`Session ${session.id} started for user: ${userId}`);
+    return { session, refreshToken };
+  });
+};
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that was
+ * already exchanged revokes its session.
+ * @param {String} rawToken - Refresh token
+ * @param {Object} context - Client details (userAgent, ipAddress)
+ * @returns {Promise<Object>} { session, refreshToken }
+ * @throws {Error} 'Invalid refresh token'
+ */
+const rotateRefreshToken = async (rawToken, context = {}) => {
+  if (!rawToken || typeof rawToken !== 'string') {
+    throw new Error('Invalid refresh token');
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const token = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(rawToken) },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!token) {
+      return { reason: 'unknown' };
+    }
+
+    const session = await UserSession.findByPk(token.sessionId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const now = new Date();
+
+    if (!session || session.revokedAt) {
+      return { reason: 'revoked' };
+    }
+
+    if (token.usedAt) {
+      // The token was already exchanged, so someone else holds this family
+      await session.update({
+        revokedAt: now,
+        revokedReason: 'token_reuse'
+      }, { transaction });
+
+      authLogger.warn(`Refresh token reuse detected; session ${session.id} revoked for user: ${session.userId}`);
+      return { reason: 'reused' };
+    }
+
+    if (token.expiresAt <= now || session.expiresAt <= now) {
+      return { reason: 'expired' };
+    }
+
+    const expiresAt = new Date(now.getTime() + SESSION_CONSTANTS.REFRESH_TOKEN_TTL_MS);
+
+    await token.update({ usedAt: now }, { transaction });
+    const refreshToken = await issueRefreshToken(session.id, expiresAt, transaction);
+
+    await session.update({
+      lastUsedAt: now,
+      expiresAt,
+      userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : session.userAgent,
+      ipAddress: context.ipAddress || session.ipAddress
+    }, { transaction });
+
+    return { session, refreshToken };
+  });
+
+  if (!result.session) {
+    authLogger.warn(`Refresh token rejected: ${result.reason}`);
+    throw new Error('Invalid refresh token');
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a session can still be used, and record that it was
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Boolean>} True if the session is active
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await UserSession.findByPk(sessionId, {
+    attributes: ['id', 'revokedAt', 'expiresAt', 'lastUsedAt']
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return false;
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > SESSION_CONSTANTS.TOUCH_INTERVAL_MS) {
+    await session.update({ lastUsedAt: new Date() });
+  }
+
+  return true;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} Sessions
+ */
+const listSessions = async (userId) => {
+  return UserSession.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    attributes: ['id', 'deviceName', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'createdAt'],
+    order: [['lastUsedAt', 'DESC']]
+  });
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {String} userId - Owner of the session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Boolean>} False if the user has no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  const [count] = await UserSession.update({
+    revokedAt: new Date(),
+    revokedReason: reason
+  }, {
+    where: { id: sessionId, userId, revokedAt: null }
+  });
+
+  if (count > 0) {
+    authLogger.info(`Session ${sessionId} revoked for user: ${userId} (${reason})`);
+  }
+
+  return count > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {Object} options - Options
+ * @param {String} options.exceptSessionId - Session to keep, e.g. the caller's own
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId = null, transaction = null } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [count] = await UserSession.update({
+    revokedAt: new Date(),
+    revokedReason: reason
+  }, { where, transaction });
+
+  authLogger.info(`Revoked ${count} session(s) for user: ${userId} (${reason})`);
+  return count;
+};
+
+module.exports = {
+  SESSION_CONSTANTS,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
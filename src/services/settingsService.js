@@ -0,0 +1,268 @@
+/**
+ * Settings Service
+ *
+ * Per-user settings with a typed, versioned schema, stored in Profile.preferences:
+ * - Only the values a user has changed are stored, tagged with the schema
+ *   version; reads fill in the defaults from SETTINGS_SCHEMA
+ * - Settings stored under an older version are upgraded on read (and saved
+ *   in the current version on the next update)
+ * - Updates are partial: only the fields given change, and every field is
+ *   validated against the schema
+ * - Some sections only apply to some roles (payout preferences are for farmers)
+ *
+ * Notifications, farmer payouts and the referral program read these settings.
+ * System-wide settings are in systemSettingsService.
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const {
+  bool,
+  oneOf,
+  number,
+  isPlainObject,
+  deepMerge,
+  defaultsFor,
+  pickValid,
+  validateAgainstSchema
+} = require('../utils/settingsSchema');
+
+const SETTINGS_VERSION = 2;
+
+const channels = (email, sms) => ({ email: bool(email), sms: bool(sms) });
+
+// Every setting with its type and default. Leaves have a type; other objects are sections.
+const SETTINGS_SCHEMA = {
+  notifications: {
+    // Master switch per channel
+    channels: channels(true, false),
+    // Per event and channel; an event is sent on a channel only if both are on
+    events: {
+      orderUpdates: channels(true, true),
+      refunds: channels(true, true),
+      payouts: channels(true, true),
+      membership: channels(true, true),
+      referrals: channels(true, true)
+    }
+  },
+  display: {
+    language: oneOf(['en', 'fr'], 'en'),
+    // 'symbol' shows $12.50, 'code' shows 12.50 CAD
+    currencyFormat: oneOf(['symbol', 'code'], 'symbol')
+  },
+  privacy: {
+    // Show full name and email to the people a user referred or was referred by
+    shareDetailsWithReferrals: bool(true)
+  },
+  payouts: {
+    method: oneOf(['bank_transfer', 'stripe'], 'bank_transfer'),
+    // Weekly balances below this are carried over to the next payout
+    minimumAmount: number(0, 1000, 0)
+  }
+};
+
+// Sections only some roles can see and change
+const ROLE_SECTIONS = {
+  payouts: ['farmer']
+};
+
+// Upgrade stored settings from the version they were saved in to the next one
+const MIGRATIONS = {
+  // Version 1 was a flat set of notification flags
+  1: (stored) => {
+    const upgraded = { notifications: { channels: {}, events: {} } };
+
+    if (typeof stored.emailNotifications === 'boolean') {
+      upgraded.notifications.channels.email = stored.emailNotifications;
+    }
+    if (typeof stored.smsNotifications === 'boolean') {
+      upgraded.notifications.channels.sms = stored.smsNotifications;
+    }
+    if (stored.orderUpdates === false) {
+      upgraded.notifications.events.orderUpdates = { email: false, sms: false };
+    }
+
+    return upgraded;
+  }
+};
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @param {Array} errors - Validation errors, one per invalid field
+ * @returns {Error} Error with statusCode
+ */
+const settingsError = (message, statusCode, errors = []) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Validate a partial user settings update
+ * @param {Object} changes - Settings to change
+ * @param {String} role - Role of the user being updated
+ * @returns {Array} Errors in express-validator's shape (empty if valid)
+ */
+const validateSettings = (changes, role) => {
+  // Clients may send back the version from a response; it isn't a setting
+  const values = isPlainObject(changes) ? { ...changes } : changes;
+  if (isPlainObject(values)) {
+    delete values.version;
+  }
+
+  return validateAgainstSchema(values, SETTINGS_SCHEMA, (section) => (
+    ROLE_SECTIONS[section] && !ROLE_SECTIONS[section].includes(role)
+      ? `${section} settings are not available for your account`
+      : null
+  ));
+};
+
+/**
+ * Upgrade stored settings to the current version. Settings from a newer
+ * version (written by a newer release) are read as the current version, and
+ * settings from a version that can't be upgraded are reset to the defaults,
+ * so a bad version never stops settings being read.
+ * @param {Object} stored - Stored settings (Profile.preferences)
+ * @returns {Object} Settings the user has changed, in the current version, without the version tag
+ */
+const upgradeStored = (stored) => {
+  if (!isPlainObject(stored)) {
+    return {};
+  }
+
+  let { version = 1, ...values } = stored;
+  if (Number.isInteger(version) && version > SETTINGS_VERSION) {
+    logger.warn(`Reading settings stored under newer version ${version} as version ${SETTINGS_VERSION}`);
+    version = SETTINGS_VERSION;
+  }
+
+  while (version !== SETTINGS_VERSION) {
+    if (!Number.isInteger(version) || !MIGRATIONS[version]) {
+      logger.warn(`Settings stored under unknown version ${JSON.stringify(version)} were reset to the defaults`);
+      return {};
+    }
+    values = MIGRATIONS[version](values);
+    version += 1;
+  }
+
+  return pickValid(values, SETTINGS_SCHEMA);
+};
+
+/**
+ * Resolve a user's full settings from what is stored
+ * @param {Object} stored - Stored settings (Profile.preferences), may be empty
+ * @param {String} role - User's role; omit to include every section
+ * @returns {Object} Settings with defaults filled in, including the schema version
+ */
+const resolveSettings = (stored, role = null) => {
+  const settings = deepMerge(defaultsFor(SETTINGS_SCHEMA), upgradeStored(stored));
+
+  if (role) {
+    Object.entries(ROLE_SECTIONS).forEach(([section, roles]) => {
+      if (!roles.includes(role)) {
+        delete settings[section];
+      }
+    });
+  }
+
+  return { version: SETTINGS_VERSION, ...settings };
+};
+
+/**
+ * Get a user's settings
+ * @param {String} userId - User ID
+ * @param {Object} options - Options
+ * @param {Object} options.transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} Settings with defaults filled in
+ * @throws {Error} 404 if the user doesn't exist
+ */
+const getSettings = async (userId, { transaction = null } = {}) => {
+  const { User, Profile } = require('../models/user');
+
+  const user = await User.findByPk(userId, { attributes: ['id', 'role'], transaction });
+  if (!user) {
+    throw settingsError('User not found', 404);
+  }
+
+  const profile = await Profile.findOne({
+    where: { userId },
+    attributes: ['id', 'preferences'],
+    transaction
+  });
+
+  return resolveSettings(profile && profile.preferences, user.role);
+};
+
+/**
+ * Change some of a user's settings; fields not given keep their values
+ * @param {String} userId - User ID
+ * @param {Object} changes - Settings to change, shaped like the settings
+ * @returns {Promise<Object>} Updated settings
+ * @throws {Error} 400 with the invalid fields in error.errors, 404 if the user doesn't exist
+ */
+const updateSettings = async (userId, changes) => {
+  const { User, Profile } = require('../models/user');
+
+  const settings = await sequelize.transaction(async (transaction) => {
+    const user = await User.findByPk(userId, { attributes: ['id', 'role'], transaction });
+    if (!user) {
+      throw settingsError('User not found', 404);
+    }
+
+    const errors = validateSettings(changes, user.role);
+    if (errors.length > 0) {
+      throw settingsError('Invalid settings', 400, errors);
+    }
+
+    // Locked so concurrent partial updates don't overwrite each other
+    const profile = await Profile.findOne({
+      where: { userId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const values = { ...changes };
+    delete values.version;
+
+    const stored = {
+      version: SETTINGS_VERSION,
+      ...deepMerge(upgradeStored(profile && profile.preferences), values)
+    };
+
+    if (profile) {
+      await profile.update({ preferences: stored }, { transaction });
+    } else {
+      await Profile.create({ userId, preferences: stored }, { transaction });
+    }
+
+    return resolveSettings(stored, user.role);
+  });
+
+  logger.info(`Settings updated for user ${userId}`);
+  return settings;
+};
+
+/**
+ * Whether a notification event should go out on a channel
+ * @param {Object} settings - Resolved settings
+ * @param {String} event - Event name (see SETTINGS_SCHEMA.notifications.events)
+ * @param {String} channel - 'email' or 'sms'
+ * @returns {Boolean} Whether the user wants it
+ */
+const wantsNotification = (settings, event, channel) => {
+  const { channels: enabled, events } = settings.notifications;
+  return enabled[channel] === true && (!events[event] || events[event][channel] === true);
+};
+
+module.exports = {
+  SETTINGS_VERSION,
+  SETTINGS_SCHEMA,
+  getSettings,
+  updateSettings,
+  resolveSettings,
+  validateSettings,
+  wantsNotification
+};
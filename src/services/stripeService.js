@@ -8,6 +8,7 @@
 const Stripe = require('stripe');
 const logger = require('../utils/logger');
 const { sequelize } = require('../config/database');
+const settingsService = require('./settingsService');
 require('dotenv').config();
 
 // Initialize Stripe with API key
@@ -34,9 +35,15 @@ const TAX_RATES = {
 };
 
 /**
- * Create a payment intent for an order
+ * Create a payment intent for an order. Orders with catch-weight items carry an
+ * authorizedAmount: that much is authorized and the weighed total is captured later.
  * @param {Object} order - Order object with total amount and items
  * @param {Object} paymentDetails - Payment method details
+ * @param {String} paymentDetails.paymentMethodId - Card to charge
+ * @param {String} paymentDetails.customerId - Stripe Customer the card is saved to (required for saved cards)
+ * @param {Boolean} paymentDetails.offSession - Charge without the customer present (saved cards only)
+ * @param {String} paymentDetails.email - Receipt email
+ * @param {String} paymentDetails.idempotencyKey - Makes retries of the same charge safe
  * @returns {Object} Stripe payment intent
  */
 const createPaymentIntent = async (order, paymentDetails) => {
@@ -44,7 +51,8 @@ const createPaymentIntent = async (order, paymentDetails) => {
     logger.info(`Creating payment intent for order ${order.orderNumber}`);
     
     // Calculate order amount in cents (Stripe uses smallest currency unit)
-    const amount = Math.round(order.totalAmount * 100);
+    const authorizeOnly = order.authorizedAmount !== null && order.authorizedAmount !== undefined;
+    const amount = Math.round((authorizeOnly ? order.authorizedAmount : order.totalAmount) * 100);
     
     // Create a payment intent
     const paymentIntent = await stripe.paymentIntents.create({
@@ -59,8 +67,11 @@ const createPaymentIntent = async (order, paymentDetails) => {
       receipt_email: paymentDetails.email,
       payment_method_types: ['card'],
       payment_method: paymentDetails.paymentMethodId,
+      ...(paymentDetails.customerId && { customer: paymentDetails.customerId }),
+      ...(paymentDetails.customerId && paymentDetails.offSession && { off_session: true }),
+      ...(authorizeOnly && { capture_method: 'manual' }),
       confirm: true
-    });
+    }, paymentDetails.idempotencyKey ? { idempotencyKey: paymentDetails.idempotencyKey } : undefined);
     
     logger.info(`Payment intent created: ${paymentIntent.id} for order ${order.orderNumber}`);
     return paymentIntent;
@@ -70,6 +81,92 @@ const createPaymentIntent = async (order, paymentDetails) => {
   }
 };
 
+/**
+ * Capture an authorized payment intent for the final amount
+ * @param {String} paymentIntentId - Stripe payment intent ID
+ * @param {Number} amount - Amount to capture in dollars (at most the amount authorized)
+ * @param {String} idempotencyKey - Makes retries of the same capture safe
+ * @returns {Object} Stripe payment intent
+ */
+const capturePaymentIntent = async (paymentIntentId, amount, idempotencyKey = null) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.capture(
+      paymentIntentId,
+      { amount_to_capture: Math.round(amount * 100) },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+    
+    logger.info(`Captured $${(paymentIntent.amount_received / 100).toFixed(2)} on payment intent ${paymentIntentId}`);
+    return paymentIntent;
+  } catch (error) {
+    logger.error(`Error capturing payment intent ${paymentIntentId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a payment intent, releasing any authorization hold on the card
+ * @param {String} paymentIntentId - Stripe payment intent ID
+ * @returns {Object} Stripe payment intent
+ */
+const cancelPaymentIntent = async (paymentIntentId) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+    logger.info(`Cancelled payment intent ${paymentIntentId}`);
+    return paymentIntent;
+  } catch (error) {
+    logger.error(`Error cancelling payment intent ${paymentIntentId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Refund all or part of a payment
+ * @param {String} paymentIntentId - Stripe payment intent ID
+ * @param {Number} amount - Amount to refund in dollars (omit to refund the remaining balance)
+ * @param {Object} metadata - Metadata stored on the Stripe refund
+ * @param {String} idempotencyKey - Makes retries of the same refund safe (e.g. the ledger ID)
+ * @returns {Object} Stripe refund
+ */
+const refundPayment = async (paymentIntentId, amount = null, metadata = {}, idempotencyKey = null) => {
+  try {
+    const params = {
+      payment_intent: paymentIntentId,
+      metadata
+    };
+    
+    if (amount !== null && amount !== undefined) {
+      params.amount = Math.round(amount * 100);
+    }
+    
+    const refund = await stripe.refunds.create(params, idempotencyKey ? { idempotencyKey } : undefined);
+    
+    logger.info(`Refund ${refund.id} created for payment intent ${paymentIntentId}: $${(refund.amount / 100).toFixed(2)}`);
+    return refund;
+  } catch (error) {
+    logger.error(`Error refunding payment ${paymentIntentId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Verify and parse an incoming Stripe webhook event
+ * @param {Buffer} rawBody - Raw request body exactly as received from Stripe
+ * @param {String} signature - Value of the Stripe-Signature header
+ * @returns {Object} Verified Stripe event
+ * @throws {Error} If the webhook secret is missing or the signature is invalid
+ */
+const constructWebhookEvent = (rawBody, signature) => {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  
+  if (!webhookSecret) {
+    logger.error('STRIPE_WEBHOOK_SECRET is not configured');
+    throw new Error('Stripe webhook secret is not configured');
+  }
+  
+  return stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+};
+
 /**
  * Calculate taxes for a product based on province
  * @param {Number} amount - Product amount
@@ -92,24 +189,49 @@ const calculateTaxes = (amount, province) => {
 };
 
 /**
- * Process order payment including commission calculations
+ * Process order payment including commission calculations. Farmer payments are
+ * recorded once per order: the synchronous payment flow and the Stripe webhook
+ * both call this, and whichever comes second finds the first one's records.
  * @param {Object} order - The order object with items
  * @param {Array} orderItems - The order items with product and farm details
+ * @param {Object} options - { transaction } to join an existing transaction
  * @returns {Object} Payment processing results
  */
-const processOrderPayment = async (order, orderItems) => {
-  const transaction = await sequelize.transaction();
+const processOrderPayment = async (order, orderItems, { transaction: outerTransaction = null } = {}) => {
+  const transaction = outerTransaction || await sequelize.transaction();
   
   try {
     logger.info(`Processing payment for order ${order.orderNumber}`);
     
+    const { Order } = require('../models/order');
+    const { FarmerPayment } = require('../models/payment');
+    
+    // Lock the order so concurrent calls see each other's farmer payments
+    await Order.findByPk(order.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const existing = await FarmerPayment.findAll({ where: { orderId: order.id }, transaction });
+    if (existing.length > 0) {
+      if (!outerTransaction) {
+        await transaction.commit();
+      }
+      logger.info(`Farmer payments for order ${order.orderNumber} already recorded`);
+      return {
+        success: true,
+        alreadyProcessed: true,
+        platformFee: existing.reduce((sum, payment) => sum + parseFloat(payment.commission), 0),
+        farmerPayments: existing
+      };
+    }
+    
     // Group order items by farmer
     const farmerPayments = {};
     let platformFee = 0;
     
-    // Calculate amounts per farmer
-    for (const item of orderItems) {
-      const { farmId, farmName, quantity, price, subtotal } = item;
+    // Calculate amounts per farmer, skipping items a farm rejected or the customer cancelled
+    const payableItems = orderItems.filter(item => !['cancelled', 'refunded'].includes(item.status));
+    for (const item of payableItems) {
+      const { farmId, farmName, quantity } = item;
+      const price = parseFloat(item.price ?? item.unitPrice);
+      const subtotal = parseFloat(item.subtotal ?? item.totalPrice);
       
       if (!farmerPayments[farmId]) {
         farmerPayments[farmId] = {
@@ -132,6 +254,7 @@ const processOrderPayment = async (order, orderItems) => {
         productId: item.productId,
         productName: item.productName,
         quantity,
+        ...(item.isCatchWeight && { actualWeight: item.actualWeight }),
         price,
         subtotal,
         commission: itemCommission
@@ -141,8 +264,26 @@ const processOrderPayment = async (order, orderItems) => {
       platformFee += itemCommission;
     }
     
-    // Save payment records in the database
-    const { FarmerPayment } = require('../models/payment');
+    // A farm's own promo code comes out of its earnings: commission is charged on what
+    // the customer paid for its products, and a waived delivery fee is the farm's to cover
+    const promoCodeService = require('./promoCodeService');
+    const redemption = await promoCodeService.getRedemption(order.id, transaction);
+    if (redemption && redemption.status === 'redeemed' && redemption.fundedBy === 'farm' &&
+      farmerPayments[redemption.farmId]) {
+      const farmPayment = farmerPayments[redemption.farmId];
+      const productDiscount = promoCodeService.getFarmDiscount(redemption, redemption.farmId);
+      const deliveryDiscount = parseFloat(redemption.deliveryDiscount);
+      const commissionReduction = productDiscount * PLATFORM_COMMISSION_RATE;
+      
+      farmPayment.amount -= productDiscount - commissionReduction + deliveryDiscount;
+      farmPayment.commission -= commissionReduction;
+      farmPayment.promoDiscount = {
+        code: redemption.code,
+        productDiscount,
+        deliveryDiscount
+      };
+      platformFee -= commissionReduction;
+    }
     
     // Create farmer payment records
     const paymentRecords = [];
@@ -155,14 +296,17 @@ const processOrderPayment = async (order, orderItems) => {
         commission: farmerPayments[farmerId].commission,
         isPaid: false,
         paymentDetails: {
-          items: farmerPayments[farmerId].items
+          items: farmerPayments[farmerId].items,
+          ...(farmerPayments[farmerId].promoDiscount && { promoDiscount: farmerPayments[farmerId].promoDiscount })
         }
       }, { transaction });
       
       paymentRecords.push(payment);
     }
     
-    await transaction.commit();
+    if (!outerTransaction) {
+      await transaction.commit();
+    }
     
     logger.info(`Payment processed for order ${order.orderNumber}, platform fee: $${platformFee.toFixed(2)}`);
     
@@ -172,7 +316,9 @@ const processOrderPayment = async (order, orderItems) => {
       farmerPayments: paymentRecords
     };
   } catch (error) {
-    await transaction.rollback();
+    if (!outerTransaction) {
+      await transaction.rollback();
+    }
     logger.error(`Error processing payment: ${error.message}`);
     throw error;
   }
@@ -219,11 +365,31 @@ const processWeeklyPayouts = async () => {
     for (const farmerId in paymentsByFarmer) {
       const farmerData = paymentsByFarmer[farmerId];
       
-      // Apply referral program credits if available
+      // Refund clawbacks can outweigh a week's sales; carry them over to next week
+      if (farmerData.totalAmount <= 0) {
+        logger.info(`Skipping payout for ${farmerData.farmName}: balance of $${farmerData.totalAmount.toFixed(2)} carried over`);
+        continue;
+      }
+      
+      // FarmerPayment.farmerId holds the farm ID; the farm's owner has the payout
+      // preferences and referral credits
       const { User } = require('../models/user');
-      const farmer = await User.findByPk(farmerId, {
-        include: ['ReferralInfo']
-      }, { transaction });
+      const { Farm } = require('../models/farm');
+      const farm = await Farm.findByPk(farmerId, { attributes: ['id', 'farmerId'], transaction });
+      const farmer = farm && farm.farmerId
+        ? await User.findByPk(farm.farmerId, { include: ['ReferralInfo', 'Profile'], transaction })
+        : null;
+      if (!farmer) {
+        logger.warn(`Skipping payout for ${farmerData.farmName}: the farm has no owner to pay`);
+        continue;
+      }
+      
+      // Farmers choose how they're paid and the smallest balance worth paying out
+      const { payouts: payoutSettings } = settingsService.resolveSettings(farmer.Profile && farmer.Profile.preferences);
+      if (farmerData.totalAmount < payoutSettings.minimumAmount) {
+        logger.info(`Skipping payout for ${farmerData.farmName}: balance of $${farmerData.totalAmount.toFixed(2)} is below their $${payoutSettings.minimumAmount.toFixed(2)} minimum`);
+        continue;
+      }
       
       let remainingCredit = 0;
       if (farmer.ReferralInfo && farmer.ReferralInfo.remainingCredit > 0) {
@@ -255,7 +421,7 @@ const processWeeklyPayouts = async () => {
         originalAmount: farmerData.totalAmount,
         creditApplied: appliedCredit,
         status: 'pending',
-        paymentMethod: 'bank_transfer',
+        paymentMethod: payoutSettings.method,
         paymentReference: `FreshFarmily-${new Date().toISOString().slice(0, 10)}-${farmerId.slice(-6)}`
       }, { transaction });
       
@@ -298,6 +464,7 @@ const processDriverPayments = async (driverEarnings) => {
     
     const { User } = require('../models/user');
     const processedPayments = [];
+    const paidEarnings = [];
     
     for (const earnings of driverEarnings) {
       // Skip already paid earnings
@@ -353,6 +520,7 @@ const processDriverPayments = async (driverEarnings) => {
           transferId: transfer.id,
           status: 'success'
         });
+        paidEarnings.push(earnings);
         
         logger.info(`Successfully processed payment for driver ${earnings.driverId}: ${transfer.id}`);
       } catch (stripeError) {
@@ -370,6 +538,18 @@ const processDriverPayments = async (driverEarnings) => {
     
     await transaction.commit();
     
+    // Tell drivers once their payments are recorded
+    const notificationService = require('./notificationService');
+    for (const earnings of paidEarnings) {
+      await notificationService.notifyPayoutSent(earnings.driverId, {
+        id: earnings.id,
+        amount: earnings.totalEarnings,
+        reference: earnings.paymentReference,
+        periodStart: earnings.payPeriodStart,
+        periodEnd: earnings.payPeriodEnd
+      });
+    }
+    
     return {
       success: true,
       processedCount: processedPayments.length,
@@ -443,7 +623,12 @@ const createDriverConnectAccount = async (driver, accountDetails) => {
 };
 
 module.exports = {
+  stripe,
   createPaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  refundPayment,
+  constructWebhookEvent,
   calculateTaxes,
   processOrderPayment,
   processWeeklyPayouts,
@@ -0,0 +1,501 @@
+/**
+ * Stripe Webhook Service
+ *
+ * Reconciles local payment state with asynchronous Stripe events:
+ * - payment_intent.succeeded / payment_intent.payment_failed update Order and PaymentInfo
+ * - payment_intent.amount_capturable_updated marks catch-weight orders authorized
+ *   until their weighed total is captured (see catchWeightService)
+ * - charge.refunded marks orders refunded when Stripe (or the dashboard) refunds a charge
+ * - payout.* events move FarmerPayout records through their lifecycle
+ * - invoice.paid / invoice.payment_failed and customer.subscription.* keep
+ *   membership subscriptions in step (see membershipService)
+ *
+ * Every event ID is claimed in stripe_webhook_events in the transaction that handles
+ * it, so redelivered events, including ones delivered twice at once, are no-ops.
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const stripeService = require('./stripeService');
+const inventoryService = require('./inventoryService');
+
+// Maps Stripe payout events to FarmerPayout statuses
+const PAYOUT_STATUS_BY_EVENT = {
+  'payout.created': 'processing',
+  'payout.updated': 'processing',
+  'payout.paid': 'completed',
+  'payout.failed': 'failed',
+  'payout.canceled': 'failed'
+};
+
+// Payout statuses that should not be moved back to 'processing' by late events
+const FINAL_PAYOUT_STATUSES = ['completed', 'failed'];
+
+/**
+ * Find and lock the order a payment intent belongs to
+ * @param {Object} paymentIntent - Stripe payment intent object
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Order or null if not found
+ */
+const findOrderForPaymentIntent = async (paymentIntent, transaction) => {
+  const { Order } = require('../models/order');
+  const lock = transaction.LOCK.UPDATE;
+
+  // Orders are tagged with their ID when the payment intent is created
+  if (paymentIntent.metadata && paymentIntent.metadata.orderId) {
+    const order = await Order.findByPk(paymentIntent.metadata.orderId, { lock, transaction });
+    if (order) {
+      return order;
+    }
+  }
+
+  return Order.findOne({
+    where: { paymentIntentId: paymentIntent.id },
+    lock,
+    transaction
+  });
+};
+
+/**
+ * Get the latest charge for a payment intent, fetching it from Stripe if not expanded
+ * @param {Object} paymentIntent - Stripe payment intent object
+ * @returns {Promise<Object|null>} Stripe charge or null
+ */
+const getLatestCharge = async (paymentIntent) => {
+  // Older API versions embed the charges list on the payment intent
+  if (paymentIntent.charges && paymentIntent.charges.data && paymentIntent.charges.data.length) {
+    return paymentIntent.charges.data[0];
+  }
+
+  if (!paymentIntent.latest_charge) {
+    return null;
+  }
+
+  if (typeof paymentIntent.latest_charge === 'object') {
+    return paymentIntent.latest_charge;
+  }
+
+  try {
+    return await stripeService.stripe.charges.retrieve(paymentIntent.latest_charge);
+  } catch (error) {
+    logger.warn(`Could not retrieve charge ${paymentIntent.latest_charge}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Handle payment_intent.succeeded
+ * @param {Object} paymentIntent - Stripe payment intent object
+ * @param {Object} transaction - Optional transaction to join
+ * @returns {Promise<Object>} Handling result
+ */
+const handlePaymentIntentSucceeded = async (paymentIntent, transaction = null) => {
+  const { PaymentInfo } = require('../models/payment');
+  const { OrderItem } = require('../models/order');
+
+  const charge = await getLatestCharge(paymentIntent);
+  const card = charge && charge.payment_method_details ? charge.payment_method_details.card : null;
+
+  const run = async (t) => {
+    const order = await findOrderForPaymentIntent(paymentIntent, t);
+
+    if (!order) {
+      return null;
+    }
+
+    // Stock is released when an earlier attempt fails; take it again now the customer has paid
+    if (order.status !== 'cancelled') {
+      try {
+        await inventoryService.reserveOrderStock(order, { transaction: t });
+      } catch (error) {
+        logger.error(`Webhook: order ${order.orderNumber} paid but stock could not be re-reserved: ${error.message}`);
+      }
+    }
+
+    // A refund can arrive before a delayed success notification; never undo it
+    if (order.paymentStatus !== 'refunded') {
+      await order.update({
+        paymentStatus: 'paid',
+        paymentIntentId: paymentIntent.id
+      }, { transaction: t });
+    }
+
+    const paymentInfo = await PaymentInfo.findOne({
+      where: { orderId: order.id },
+      transaction: t
+    });
+
+    const paymentFields = {
+      paymentIntentId: paymentIntent.id,
+      paymentStatus: 'succeeded',
+      amount: paymentIntent.amount_received / 100,
+      currency: (paymentIntent.currency || 'cad').toUpperCase(),
+      cardLast4: card ? card.last4 : null,
+      cardBrand: card ? card.brand : null,
+      receiptUrl: charge ? charge.receipt_url : null
+    };
+
+    if (paymentInfo) {
+      if (paymentInfo.paymentStatus !== 'refunded') {
+        await paymentInfo.update(paymentFields, { transaction: t });
+      }
+    } else {
+      await PaymentInfo.create({
+        orderId: order.id,
+        paymentMethod: 'card',
+        ...paymentFields
+      }, { transaction: t });
+    }
+
+    // Record farmer payments once; the synchronous payment flow may already have done so
+    const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction: t });
+    await stripeService.processOrderPayment(order, orderItems, { transaction: t });
+
+    return order;
+  };
+
+  const order = await (transaction ? run(transaction) : sequelize.transaction(run));
+
+  if (!order) {
+    logger.warn(`Webhook: no order found for payment intent ${paymentIntent.id}`);
+    return { handled: false, reason: 'order_not_found' };
+  }
+
+  logger.info(`Webhook: payment succeeded for order ${order.orderNumber}`);
+  return { handled: true, orderId: order.id };
+};
+
+/**
+ * Handle payment_intent.amount_capturable_updated: the card is authorized for an
+ * order with catch-weight items and the final amount is captured once it is weighed
+ * @param {Object} paymentIntent - Stripe payment intent object
+ * @param {Object} transaction - Optional transaction to join
+ * @returns {Promise<Object>} Handling result
+ */
+const handlePaymentIntentAuthorized = async (paymentIntent, transaction = null) => {
+  const { PaymentInfo } = require('../models/payment');
+
+  const charge = await getLatestCharge(paymentIntent);
+  const card = charge && charge.payment_method_details ? charge.payment_method_details.card : null;
+
+  const run = async (t) => {
+    const order = await findOrderForPaymentIntent(paymentIntent, t);
+
+    if (!order) {
+      logger.warn(`Webhook: no order found for authorized payment intent ${paymentIntent.id}`);
+      return { handled: false, reason: 'order_not_found' };
+    }
+
+    // Captured or refunded orders are past the authorization
+    if (order.paymentStatus === 'paid' || order.paymentStatus === 'refunded') {
+      return { handled: false, reason: 'already_settled' };
+    }
+
+    if (order.status !== 'cancelled') {
+      try {
+        await inventoryService.reserveOrderStock(order, { transaction: t });
+      } catch (error) {
+        logger.error(`Webhook: order ${order.orderNumber} authorized but stock could not be re-reserved: ${error.message}`);
+      }
+    }
+
+    await order.update({
+      paymentStatus: 'authorized',
+      paymentIntentId: paymentIntent.id
+    }, { transaction: t });
+
+    const paymentFields = {
+      paymentIntentId: paymentIntent.id,
+      paymentStatus: 'authorized',
+      amount: paymentIntent.amount_capturable / 100,
+      currency: (paymentIntent.currency || 'cad').toUpperCase(),
+      cardLast4: card ? card.last4 : null,
+      cardBrand: card ? card.brand : null
+    };
+
+    const paymentInfo = await PaymentInfo.findOne({ where: { orderId: order.id }, transaction: t });
+    if (paymentInfo) {
+      await paymentInfo.update(paymentFields, { transaction: t });
+    } else {
+      await PaymentInfo.create({
+        orderId: order.id,
+        paymentMethod: 'card',
+        ...paymentFields
+      }, { transaction: t });
+    }
+
+    logger.info(`Webhook: payment authorized for order ${order.orderNumber}`);
+    return { handled: true, orderId: order.id };
+  };
+
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+/**
+ * Handle payment_intent.payment_failed
+ * @param {Object} paymentIntent - Stripe payment intent object
+ * @param {Object} transaction - Optional transaction to join
+ * @returns {Promise<Object>} Handling result
+ */
+const handlePaymentIntentFailed = async (paymentIntent, transaction = null) => {
+  const { PaymentInfo } = require('../models/payment');
+
+  const run = async (t) => {
+    const order = await findOrderForPaymentIntent(paymentIntent, t);
+
+    if (!order) {
+      logger.warn(`Webhook: no order found for failed payment intent ${paymentIntent.id}`);
+      return { handled: false, reason: 'order_not_found' };
+    }
+
+    // Failure events for an earlier attempt must not override a later success
+    if (['authorized', 'paid', 'refunded'].includes(order.paymentStatus)) {
+      logger.info(`Webhook: ignoring payment failure for order ${order.orderNumber} already ${order.paymentStatus}`);
+      return { handled: false, reason: 'already_settled' };
+    }
+
+    await order.update({
+      paymentStatus: 'failed',
+      paymentIntentId: paymentIntent.id
+    }, { transaction: t });
+
+    await PaymentInfo.update(
+      { paymentStatus: 'failed', paymentIntentId: paymentIntent.id },
+      { where: { orderId: order.id }, transaction: t }
+    );
+
+    // Return the reserved stock; it is reserved again if the customer retries payment
+    await inventoryService.releaseStock(order.id, {
+      reason: 'payment_failed',
+      transaction: t
+    });
+
+    const failureMessage = paymentIntent.last_payment_error ? paymentIntent.last_payment_error.message : 'unknown reason';
+    logger.warn(`Webhook: payment failed for order ${order.orderNumber}: ${failureMessage}`);
+
+    return { handled: true, orderId: order.id };
+  };
+
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+/**
+ * Handle charge.refunded
+ * @param {Object} charge - Stripe charge object
+ * @param {Object} transaction - Optional transaction to join
+ * @returns {Promise<Object>} Handling result
+ */
+const handleChargeRefunded = async (charge, transaction = null) => {
+  const { PaymentInfo } = require('../models/payment');
+  const { Order } = require('../models/order');
+
+  if (!charge.payment_intent) {
+    return { handled: false, reason: 'no_payment_intent' };
+  }
+
+  const paymentIntentId = typeof charge.payment_intent === 'object' ? charge.payment_intent.id : charge.payment_intent;
+  const fullyRefunded = charge.refunded === true || charge.amount_refunded >= charge.amount;
+
+  const run = async (t) => {
+    let order = null;
+    if (charge.metadata && charge.metadata.orderId) {
+      order = await Order.findByPk(charge.metadata.orderId, { transaction: t });
+    }
+    if (!order) {
+      order = await Order.findOne({ where: { paymentIntentId }, transaction: t });
+    }
+
+    if (!order) {
+      logger.warn(`Webhook: no order found for refunded charge ${charge.id}`);
+      return { handled: false, reason: 'order_not_found' };
+    }
+
+    const paymentInfo = await PaymentInfo.findOne({ where: { orderId: order.id }, transaction: t });
+    if (paymentInfo && charge.receipt_url) {
+      await paymentInfo.update({ receiptUrl: charge.receipt_url }, { transaction: t });
+    }
+
+    if (!fullyRefunded) {
+      logger.info(`Webhook: partial refund of ${charge.amount_refunded / 100} recorded for order ${order.orderNumber}`);
+      return { handled: true, orderId: order.id, partial: true };
+    }
+
+    await order.update({ paymentStatus: 'refunded' }, { transaction: t });
+
+    if (paymentInfo) {
+      await paymentInfo.update({ paymentStatus: 'refunded' }, { transaction: t });
+    }
+
+    logger.info(`Webhook: order ${order.orderNumber} fully refunded`);
+    return { handled: true, orderId: order.id, partial: false };
+  };
+
+  return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+/**
+ * Handle payout.* events
+ * @param {String} eventType - Stripe event type
+ * @param {Object} payout - Stripe payout object
+ * @param {Object} transaction - Optional transaction to join
+ * @returns {Promise<Object>} Handling result
+ */
+const handlePayoutEvent = async (eventType, payout, transaction = null) => {
+  const { FarmerPayout } = require('../models/payment');
+  const status = PAYOUT_STATUS_BY_EVENT[eventType];
+
+  if (!status) {
+    return { handled: false, reason: 'unsupported_payout_event' };
+  }
+
+  // Payouts are matched by our ID in the metadata, falling back to the Stripe reference
+  let farmerPayout = null;
+  if (payout.metadata && payout.metadata.farmerPayoutId) {
+    farmerPayout = await FarmerPayout.findByPk(payout.metadata.farmerPayoutId, { transaction });
+  }
+  if (!farmerPayout) {
+    farmerPayout = await FarmerPayout.findOne({ where: { paymentReference: payout.id }, transaction });
+  }
+
+  if (!farmerPayout) {
+    logger.warn(`Webhook: no farmer payout found for Stripe payout ${payout.id}`);
+    return { handled: false, reason: 'payout_not_found' };
+  }
+
+  if (status === 'processing' && FINAL_PAYOUT_STATUSES.includes(farmerPayout.status)) {
+    return { handled: false, reason: 'already_final' };
+  }
+
+  const updates = {
+    status,
+    paymentReference: payout.id
+  };
+
+  if (status === 'completed') {
+    updates.paymentDate = payout.arrival_date ? new Date(payout.arrival_date * 1000) : new Date();
+  }
+
+  if (status === 'failed') {
+    updates.notes = payout.failure_message || `Stripe payout ${eventType.split('.')[1]}`;
+  }
+
+  await farmerPayout.update(updates, { transaction });
+
+  // Payouts are made to the farm; its owner is told
+  if (status === 'completed') {
+    const { Farm } = require('../models/farm');
+    const notificationService = require('./notificationService');
+    const farm = await Farm.findByPk(farmerPayout.farmerId, { attributes: ['id', 'farmerId'], transaction });
+    if (farm && farm.farmerId) {
+      await notificationService.notifyPayoutSent(farm.farmerId, {
+        id: farmerPayout.id,
+        amount: farmerPayout.amount,
+        reference: payout.id
+      }, { transaction });
+    }
+  }
+
+  logger.info(`Webhook: farmer payout ${farmerPayout.id} marked ${status}`);
+  return { handled: true, payoutId: farmerPayout.id };
+};
+
+/**
+ * Run the handler for an event
+ * @param {Object} event - Verified Stripe event
+ * @param {Object} transaction - Transaction the event is claimed in
+ * @returns {Promise<Object>} Handling result
+ */
+const dispatchEvent = async (event, transaction) => {
+  const object = event.data ? event.data.object : null;
+
+  if (event.type === 'payment_intent.succeeded') {
+    return handlePaymentIntentSucceeded(object, transaction);
+  }
+  if (event.type === 'payment_intent.amount_capturable_updated') {
+    return handlePaymentIntentAuthorized(object, transaction);
+  }
+  if (event.type === 'payment_intent.payment_failed') {
+    return handlePaymentIntentFailed(object, transaction);
+  }
+  if (event.type === 'charge.refunded') {
+    return handleChargeRefunded(object, transaction);
+  }
+  if (event.type.startsWith('payout.')) {
+    return handlePayoutEvent(event.type, object, transaction);
+  }
+
+  // Membership events run in their own transactions; the claimed event row
+  // still keeps a second delivery waiting until they are done
+  if (event.type === 'invoice.paid' || event.type === 'invoice.payment_failed') {
+    const membershipService = require('./membershipService');
+    return membershipService.handleStripeInvoice(object, event.type === 'invoice.paid' ? 'paid' : 'failed');
+  }
+  if (event.type === 'customer.subscription.updated' || event.type === 'customer.subscription.deleted') {
+    const membershipService = require('./membershipService');
+    return membershipService.handleStripeSubscriptionEvent(event.type, object);
+  }
+
+  return { handled: false, reason: 'unsupported_event' };
+};
+
+/**
+ * Dispatch a verified Stripe event to its handler, skipping events already processed.
+ * The event row is inserted first, in the same transaction as the handler: a second
+ * delivery of the event waits on that insert and then finds the event handled.
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object>} Processing result
+ */
+const processEvent = async (event) => {
+  const { StripeWebhookEvent } = require('../models/payment');
+  const object = event.data ? event.data.object : null;
+  const record = {
+    id: event.id,
+    type: event.type,
+    objectId: object ? object.id : null
+  };
+
+  try {
+    return await sequelize.transaction(async (t) => {
+      // processedAt stays empty until the handler is done, which other deliveries
+      // only ever see if this transaction commits
+      await StripeWebhookEvent.bulkCreate([{ ...record, processedAt: null }], {
+        ignoreDuplicates: true,
+        transaction: t
+      });
+      const claimed = await StripeWebhookEvent.findByPk(event.id, { lock: t.LOCK.UPDATE, transaction: t });
+
+      if (claimed.processedAt && claimed.status !== 'failed') {
+        logger.info(`Webhook: event ${event.id} already processed, skipping`);
+        return { duplicate: true };
+      }
+
+      const result = await dispatchEvent(event, t);
+
+      await claimed.update({
+        status: result.handled ? 'processed' : 'ignored',
+        error: null,
+        processedAt: new Date()
+      }, { transaction: t });
+
+      return { duplicate: false, ...result };
+    });
+  } catch (error) {
+    // Recorded outside the rolled back transaction so Stripe's retry runs the handler again
+    await StripeWebhookEvent.upsert({
+      ...record,
+      status: 'failed',
+      error: error.message,
+      processedAt: new Date()
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  processEvent,
+  handlePaymentIntentSucceeded,
+  handlePaymentIntentAuthorized,
+  handlePaymentIntentFailed,
+  handleChargeRefunded,
+  handlePayoutEvent
+};
@@ -0,0 +1,235 @@
+/**
+ * System Settings Service
+ *
+ * Manages the admin-editable system settings (maintenance mode, feature
+ * flags, limits, dispatch and delivery rules). Each changed setting is a row
+ * in system_settings, every change is recorded in system_setting_changes, and
+ * reads are cached briefly because the maintenance and feature checks run on
+ * every request.
+ */
+
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const {
+  bool,
+  number,
+  integer,
+  text,
+  isPlainObject,
+  deepMerge,
+  defaultsFor,
+  pickValid,
+  validateAgainstSchema
+} = require('../utils/settingsSchema');
+
+// Platform-wide settings admins can change
+const SYSTEM_SETTINGS_SCHEMA = {
+  maintenance: {
+    // While on, every request except an admin's gets a 503 with the message
+    enabled: bool(false),
+    message: text(500, 'FreshFarmily is down for maintenance. Please check back soon.')
+  },
+  features: {
+    referrals: bool(true),
+    ratings: bool(true),
+    wishlist: bool(true)
+  },
+  limits: {
+    maxProductsPerFarm: integer(1, 100000, 500),
+    maxActiveOrders: integer(1, 1000000, 1000)
+  },
+  dispatch: {
+    // While on, the dispatcher offers pending deliveries to drivers
+    enabled: bool(false),
+    // How much each factor counts towards a driver's score; only their ratio matters
+    weights: {
+      distance: number(0, 10, 4),
+      batchFit: number(0, 10, 2),
+      availability: number(0, 10, 2),
+      rating: number(0, 10, 1)
+    },
+    // Drivers further than this from a delivery's first pickup aren't offered it
+    maxDistanceKm: number(1, 200, 15),
+    // How long a driver has to accept an offer
+    offerTimeoutSeconds: integer(15, 3600, 90)
+  },
+  proofOfDelivery: {
+    // Drivers further than this from the delivery address must give a reason to complete it
+    geofenceRadiusMeters: integer(10, 5000, 150)
+  },
+  failedDelivery: {
+    // Attempts an order gets before only a refund is offered
+    maxAttempts: integer(1, 5, 3),
+    // Refunds after a customer wasn't there or gave no access keep the delivery fee
+    keepDeliveryFeeOnCustomerFault: bool(true),
+    // Customers who haven't chosen a redelivery or a refund by then are refunded
+    decisionTimeoutHours: integer(1, 720, 72)
+  }
+};
+
+// System settings are cached for this long, so changes reach other instances within it
+const SYSTEM_SETTINGS_CACHE_MS = 10 * 1000;
+
+let systemSettingsCache = null;
+
+/**
+ * Build an error carrying an HTTP status so routes can surface it directly
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @param {Array} errors - Validation errors, one per invalid field
+ * @returns {Error} Error with statusCode
+ */
+const systemSettingsError = (message, statusCode, errors = []) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * List the leaf values of a settings object with their dotted paths
+ * @param {Object} values - Settings values
+ * @param {String} prefix - Path of the object
+ * @returns {Array} [path, value] pairs
+ */
+const flattenSettings = (values, prefix = '') => Object.entries(values).reduce((pairs, [key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return pairs.concat(isPlainObject(value) ? flattenSettings(value, path) : [[path, value]]);
+}, []);
+
+/**
+ * Build a nested settings object from dotted paths
+ * @param {Array} pairs - [path, value] pairs
+ * @returns {Object} Nested settings
+ */
+const expandSettings = (pairs) => pairs.reduce((values, [path, value]) => {
+  const keys = path.split('.');
+  let node = values;
+  keys.slice(0, -1).forEach((key) => {
+    node[key] = isPlainObject(node[key]) ? node[key] : {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+  return values;
+}, {});
+
+/**
+ * Get the system settings, with defaults for anything never changed
+ * @param {Object} options - Options
+ * @param {Boolean} options.fresh - Skip the cache
+ * @returns {Promise<Object>} System settings
+ */
+const getSystemSettings = async ({ fresh = false } = {}) => {
+  if (!fresh && systemSettingsCache && Date.now() - systemSettingsCache.loadedAt < SYSTEM_SETTINGS_CACHE_MS) {
+    return systemSettingsCache.settings;
+  }
+
+  const { SystemSetting } = require('../models/setting');
+  const rows = await SystemSetting.findAll({ attributes: ['key', 'value'] });
+
+  // Rows for settings since removed from the schema, or with values it no longer allows, are ignored
+  const stored = pickValid(expandSettings(rows.map(row => [row.key, row.value])), SYSTEM_SETTINGS_SCHEMA);
+  const settings = deepMerge(defaultsFor(SYSTEM_SETTINGS_SCHEMA), stored);
+
+  systemSettingsCache = { settings, loadedAt: Date.now() };
+  return settings;
+};
+
+/**
+ * Change some system settings, recording each change in the audit trail
+ * @param {Object} changes - Settings to change, shaped like the settings
+ * @param {String} adminId - Admin making the change
+ * @param {String} reason - Optional note saved with the change
+ * @returns {Promise<Object>} { settings, changes } with one entry per setting that changed
+ * @throws {Error} 400 with the invalid fields in error.errors
+ */
+const updateSystemSettings = async (changes, adminId, reason = null) => {
+  const { SystemSetting, SystemSettingChange } = require('../models/setting');
+
+  const errors = validateAgainstSchema(changes, SYSTEM_SETTINGS_SCHEMA);
+  if (errors.length > 0) {
+    throw systemSettingsError('Invalid settings', 400, errors);
+  }
+
+  const defaults = defaultsFor(SYSTEM_SETTINGS_SCHEMA);
+  const defaultFor = (path) => path.split('.').reduce((node, key) => node[key], defaults);
+
+  const applied = await sequelize.transaction(async (transaction) => {
+    const recorded = [];
+
+    for (const [key, newValue] of flattenSettings(changes)) {
+      const row = await SystemSetting.findByPk(key, { transaction, lock: transaction.LOCK.UPDATE });
+      const oldValue = row ? row.value : defaultFor(key);
+
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+        continue;
+      }
+
+      if (row) {
+        await row.update({ value: newValue, updatedBy: adminId }, { transaction });
+      } else {
+        await SystemSetting.create({ key, value: newValue, updatedBy: adminId }, { transaction });
+      }
+
+      await SystemSettingChange.create({
+        key,
+        oldValue,
+        newValue,
+        changedBy: adminId,
+        reason
+      }, { transaction });
+
+      recorded.push({ key, oldValue, newValue });
+    }
+
+    return recorded;
+  });
+
+  applied.forEach(({ key, oldValue, newValue }) => {
+    logger.info(`System setting ${key} changed from ${JSON.stringify(oldValue)} to ${JSON.stringify(newValue)} by ${adminId}`);
+  });
+
+  const settings = await getSystemSettings({ fresh: true });
+  return { settings, changes: applied };
+};
+
+/**
+ * Get the audit trail of system setting changes, newest first
+ * @param {Object} options - Options
+ * @param {String} options.key - Only changes to this setting (dotted path)
+ * @param {Number} options.limit - Page size
+ * @param {Number} options.offset - Page offset
+ * @returns {Promise<Object>} { total, changes }
+ */
+const getSystemSettingChanges = async ({ key = null, limit = 50, offset = 0 } = {}) => {
+  const { SystemSettingChange } = require('../models/setting');
+  const { User } = require('../models/user');
+
+  const { count, rows } = await SystemSettingChange.findAndCountAll({
+    where: key ? { key } : {},
+    include: [{ model: User, as: 'ChangedBy', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset
+  });
+
+  return { total: count, changes: rows };
+};
+
+/**
+ * Whether a feature flag is on
+ * @param {String} feature - Feature name (see SYSTEM_SETTINGS_SCHEMA.features)
+ * @returns {Promise<Boolean>} Whether the feature is enabled
+ */
+const isFeatureEnabled = async (feature) => {
+  const settings = await getSystemSettings();
+  return settings.features[feature] !== false;
+};
+
+module.exports = {
+  SYSTEM_SETTINGS_SCHEMA,
+  getSystemSettings,
+  updateSystemSettings,
+  getSystemSettingChanges,
+  isFeatureEnabled
+};
@@ -0,0 +1,70 @@
+/**
+ * Unit Test Helpers
+ *
+ * Services are tested against stubbed models and transactions, so the unit
+ * tests need neither a database nor Stripe. Require this before anything
+ * from the app so the environment is in place when modules load.
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_unit';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'unit-test-secret';
+
+const sinon = require('sinon');
+const logger = require('../utils/logger');
+
+// Keep test output readable
+[logger, logger.authLogger].forEach((instance) => {
+  instance.transports.forEach((transport) => {
+    transport.silent = true;
+  });
+});
+
+const { sequelize } = require('../config/database');
+
+/**
+ * A stand-in for a Sequelize transaction
+ * @returns {Object} Transaction with LOCK, commit, rollback and afterCommit
+ */
+const fakeTransaction = () => {
+  const callbacks = [];
+  return {
+    LOCK: { UPDATE: 'UPDATE' },
+    commit: sinon.stub().callsFake(async () => callbacks.forEach(callback => callback())),
+    rollback: sinon.stub().resolves(),
+    afterCommit: (callback) => callbacks.push(callback)
+  };
+};
+
+/**
+ * Make sequelize.transaction run callbacks straight away with a fake
+ * transaction, and hand the same transaction to code that manages its own
+ * @param {Object} sandbox - Sinon sandbox
+ * @returns {Object} The fake transaction
+ */
+const stubTransactions = (sandbox) => {
+  const transaction = fakeTransaction();
+  sandbox.stub(sequelize, 'transaction').callsFake(async (callback) => (
+    typeof callback === 'function' ? callback(transaction) : transaction
+  ));
+  return transaction;
+};
+
+/**
+ * A stand-in for a model instance whose update and reload work in memory
+ * @param {Object} fields - Instance fields
+ * @returns {Object} Record
+ */
+const fakeRecord = (fields) => {
+  const record = { ...fields };
+  record.update = sinon.stub().callsFake(async (values) => Object.assign(record, values));
+  record.reload = sinon.stub().callsFake(async () => record);
+  record.save = sinon.stub().callsFake(async () => record);
+  return record;
+};
+
+module.exports = {
+  fakeTransaction,
+  stubTransactions,
+  fakeRecord
+};
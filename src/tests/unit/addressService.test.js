@@ -0,0 +1,98 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Address, ServiceArea } = require('../../models/address');
+const { Order } = require('../../models/order');
+const { Delivery } = require('../../models/delivery');
+const geocodingService = require('../../services/geocodingService');
+const addressService = require('../../services/addressService');
+
+describe('addressService', () => {
+  const sandbox = sinon.createSandbox();
+  let transaction;
+
+  beforeEach(() => {
+    transaction = stubTransactions(sandbox);
+    sandbox.stub(ServiceArea, 'findAll').resolves([]);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('resolveOrderAddress', () => {
+    const delivery = {
+      deliveryAddress: '12 King St W',
+      deliveryCity: 'Toronto',
+      deliveryState: 'ON',
+      deliveryZipCode: 'M5H 1A1'
+    };
+
+    it('reuses a saved address at the same place instead of adding another', async () => {
+      const saved = fakeRecord({
+        id: 'address-1',
+        userId: 'user-1',
+        streetAddress: '12  King St W',
+        city: 'TORONTO',
+        state: 'on',
+        zipCode: 'M5H  1A1',
+        latitude: 43.65,
+        longitude: -79.38,
+        geocodeSource: 'google'
+      });
+      sandbox.stub(Address, 'findAll').resolves([saved]);
+      sandbox.stub(Address, 'findOne').resolves(saved);
+      const create = sandbox.stub(Address, 'create');
+
+      const address = await addressService.resolveOrderAddress('user-1', delivery, transaction);
+
+      assert.strictEqual(address, saved);
+      sinon.assert.notCalled(create);
+    });
+
+    it('adds a new address in the order\'s transaction', async () => {
+      sandbox.stub(Address, 'findAll').resolves([]);
+      sandbox.stub(Address, 'count').resolves(1);
+      sandbox.stub(geocodingService, 'geocode').resolves({ latitude: 43.65, longitude: -79.38, formattedAddress: '12 King St W', source: 'google' });
+      const create = sandbox.stub(Address, 'create').callsFake(async (values) => fakeRecord({ id: 'address-2', ...values }));
+
+      const address = await addressService.resolveOrderAddress('user-1', delivery, transaction);
+
+      assert.strictEqual(address.id, 'address-2');
+      assert.strictEqual(address.label, 'Other');
+      assert.strictEqual(create.firstCall.args[1].transaction, transaction);
+    });
+
+    it('tries to locate an unlocated address before it is delivered to', async () => {
+      const saved = fakeRecord({ id: 'address-1', userId: 'user-1', latitude: null, longitude: null, geocodeSource: 'unlocated' });
+      sandbox.stub(Address, 'findOne').resolves(saved);
+      sandbox.stub(geocodingService, 'geocode').resolves({ latitude: 43.65, longitude: -79.38, formattedAddress: '12 King St W', source: 'google' });
+      sandbox.stub(Order, 'findAll').resolves([]);
+
+      const address = await addressService.resolveOrderAddress('user-1', { addressId: 'address-1' }, transaction);
+
+      assert.strictEqual(address.geocodeSource, 'google');
+      assert.strictEqual(address.latitude, 43.65);
+    });
+  });
+
+  describe('relocateAddresses', () => {
+    it('gives located addresses and the deliveries still headed to them coordinates', async () => {
+      const found = fakeRecord({ id: 'address-1', latitude: null, longitude: null, geocodeSource: 'unlocated' });
+      const lost = fakeRecord({ id: 'address-2', latitude: null, longitude: null, geocodeSource: 'unlocated' });
+      lost.changed = sinon.stub();
+      sandbox.stub(Address, 'findAll').resolves([found, lost]);
+      sandbox.stub(geocodingService, 'geocode')
+        .onFirstCall().resolves({ latitude: 43.65, longitude: -79.38, formattedAddress: '12 King St W', source: 'google' })
+        .onSecondCall().resolves({ latitude: null, longitude: null, formattedAddress: '1 Nowhere Lane', source: 'unlocated' });
+      sandbox.stub(Order, 'findAll').resolves([{ id: 'order-1' }]);
+      const deliveries = sandbox.stub(Delivery, 'update').resolves([1]);
+
+      const counts = await addressService.relocateAddresses();
+
+      assert.deepStrictEqual(counts, { located: 1, unlocated: 1 });
+      assert.strictEqual(found.latitude, 43.65);
+      sinon.assert.calledWithMatch(deliveries, { deliveryLatitude: 43.65, deliveryLongitude: -79.38 }, { where: { orderId: ['order-1'], deliveryLatitude: null } });
+      assert.strictEqual(lost.geocodeSource, 'unlocated');
+      sinon.assert.calledOnce(lost.save);
+    });
+  });
+});
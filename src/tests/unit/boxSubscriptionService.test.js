@@ -0,0 +1,103 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { BoxSubscription, BoxSubscriptionCycle } = require('../../models/boxSubscription');
+const { PaymentInfo } = require('../../models/payment');
+const inventoryService = require('../../services/inventoryService');
+const orderStateMachine = require('../../services/orderStateMachine');
+const paymentMethodService = require('../../services/paymentMethodService');
+const stripeService = require('../../services/stripeService');
+const boxSubscriptionService = require('../../services/boxSubscriptionService');
+
+describe('boxSubscriptionService', () => {
+  const sandbox = sinon.createSandbox();
+  // Booking for the 10 June slot closes at 22:00 on 9 June
+  const window = { id: 'window-1', startTime: '10:00', endTime: '12:00', cutoffHours: 12 };
+  const beforeCutoff = new Date('2025-06-08T12:00:00');
+  let order;
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+
+    order = fakeRecord({
+      id: 'order-1',
+      orderNumber: 'FF-1',
+      userId: 'customer-1',
+      status: 'pending',
+      paymentStatus: 'pending',
+      paymentIntentId: null,
+      deliverySlotId: 'slot-1',
+      createdAt: new Date('2025-06-08T10:00:00')
+    });
+    const cycle = {
+      id: 'cycle-1',
+      deliveryDate: '2025-06-10',
+      status: 'ordered',
+      Order: order,
+      Subscription: { id: 'subscription-1', userId: 'customer-1', paymentMethodId: 'pm-1', DeliveryWindow: window }
+    };
+
+    sandbox.stub(BoxSubscriptionCycle, 'findAll').resolves([cycle]);
+    sandbox.stub(BoxSubscriptionCycle, 'update').resolves([1]);
+    sandbox.stub(BoxSubscription, 'findAll').resolves([]);
+    sandbox.stub(PaymentInfo, 'update').resolves([1]);
+    sandbox.stub(inventoryService, 'releaseStock').resolves(1);
+    sandbox.stub(orderStateMachine, 'transitionOrder').resolves({ order });
+    sandbox.stub(paymentMethodService, 'resolvePaymentMethod').resolves({ paymentMethodId: 'pm_1', customerId: 'cus_1' });
+    sandbox.stub(stripeService, 'cancelPaymentIntent').resolves({ status: 'canceled' });
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('processSubscriptions', () => {
+    it('charges an order an earlier run placed but never charged', async () => {
+      sandbox.stub(stripeService, 'createPaymentIntent').resolves({ id: 'pi_1', status: 'requires_action' });
+
+      await boxSubscriptionService.processSubscriptions(beforeCutoff);
+
+      sinon.assert.calledOnceWithMatch(stripeService.createPaymentIntent, order, { offSession: true, idempotencyKey: 'box-subscription-order-order-1' });
+      assert.strictEqual(order.paymentIntentId, 'pi_1');
+      sinon.assert.notCalled(orderStateMachine.transitionOrder);
+    });
+
+    it('cancels the order, giving back its stock and slot, when the card is declined', async () => {
+      sandbox.stub(stripeService, 'createPaymentIntent').rejects(Object.assign(new Error('Your card was declined.'), { type: 'StripeCardError', code: 'card_declined' }));
+
+      await boxSubscriptionService.processSubscriptions(beforeCutoff);
+
+      sinon.assert.calledOnceWithMatch(inventoryService.releaseStock, 'order-1', { reason: 'payment_failed', notes: 'card_declined' });
+      // Cancelling releases the order's delivery slot
+      sinon.assert.calledOnceWithMatch(orderStateMachine.transitionOrder, order, 'cancelled', { updates: { paymentStatus: 'failed' } });
+      sinon.assert.calledOnceWithMatch(BoxSubscriptionCycle.update, { status: 'failed' }, { where: { orderId: 'order-1' } });
+    });
+
+    it('leaves the order to be charged again when Stripe could not be reached', async () => {
+      sandbox.stub(stripeService, 'createPaymentIntent').rejects(Object.assign(new Error('Connection error'), { type: 'StripeConnectionError' }));
+
+      await boxSubscriptionService.processSubscriptions(beforeCutoff);
+
+      sinon.assert.notCalled(orderStateMachine.transitionOrder);
+      assert.strictEqual(order.paymentStatus, 'pending');
+    });
+
+    it('leaves an order the current run may still be charging alone', async () => {
+      order.createdAt = new Date('2025-06-08T11:55:00');
+      sandbox.stub(stripeService, 'createPaymentIntent');
+
+      await boxSubscriptionService.processSubscriptions(beforeCutoff);
+
+      sinon.assert.notCalled(stripeService.createPaymentIntent);
+    });
+
+    it('cancels an order still waiting on the customer once its slot has closed', async () => {
+      order.paymentIntentId = 'pi_1';
+      sandbox.stub(stripeService, 'createPaymentIntent');
+
+      await boxSubscriptionService.processSubscriptions(new Date('2025-06-09T23:00:00'));
+
+      sinon.assert.calledOnceWithExactly(stripeService.cancelPaymentIntent, 'pi_1');
+      sinon.assert.calledOnceWithMatch(orderStateMachine.transitionOrder, order, 'cancelled');
+      sinon.assert.notCalled(stripeService.createPaymentIntent);
+    });
+  });
+});
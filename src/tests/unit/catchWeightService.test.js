@@ -0,0 +1,147 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Order, OrderItem } = require('../../models/order');
+const { OrderCharge } = require('../../models/pricing');
+const stripeService = require('../../services/stripeService');
+const stripeWebhookService = require('../../services/stripeWebhookService');
+const catchWeightService = require('../../services/catchWeightService');
+
+describe('catchWeightService', () => {
+  const sandbox = sinon.createSandbox();
+  const farmer = { userId: 'admin-1', role: 'admin' };
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('recordWeight', () => {
+    let order;
+    let item;
+
+    beforeEach(() => {
+      // Two pieces estimated at 1 lb each, $10/lb, with 13% tax
+      order = fakeRecord({
+        id: 'order-1',
+        orderNumber: 'FF-1',
+        paymentStatus: 'authorized',
+        subTotal: '20.00',
+        taxAmount: '2.60',
+        totalAmount: '27.60',
+        authorizedAmount: '31.99'
+      });
+      item = fakeRecord({
+        id: 'item-1',
+        farmId: 'farm-1',
+        productName: 'Beef brisket',
+        unit: 'lb',
+        unitPrice: '10.00',
+        totalPrice: '20.00',
+        isCatchWeight: true,
+        status: 'confirmed'
+      });
+      sandbox.stub(Order, 'findByPk').resolves(order);
+      sandbox.stub(OrderItem, 'findOne').resolves(item);
+      sandbox.stub(OrderCharge, 'findOne').resolves(fakeRecord({
+        taxRate: '0.13',
+        productSubtotal: '20.00',
+        subtotalBeforeTax: '20.00',
+        taxAmount: '2.60',
+        finalTotal: '27.60'
+      }));
+    });
+
+    it('reprices the item, tax and order total on the weight packed', async () => {
+      await catchWeightService.recordWeight('order-1', 'item-1', 2.3, farmer);
+
+      assert.strictEqual(item.totalPrice, 23);
+      assert.strictEqual(order.subTotal, 23);
+      assert.strictEqual(order.taxAmount, 2.99);
+      assert.strictEqual(order.totalAmount, 30.99);
+    });
+
+    it('refuses a weight that would cost more than was authorized', async () => {
+      await assert.rejects(
+        catchWeightService.recordWeight('order-1', 'item-1', 2.5, farmer),
+        (error) => error.statusCode === 409 && /more than the \$31\.99 authorized/.test(error.message)
+      );
+      sinon.assert.notCalled(item.update);
+    });
+  });
+
+  describe('capturePayment', () => {
+    const order = () => fakeRecord({
+      id: 'order-1',
+      orderNumber: 'FF-1',
+      status: 'ready',
+      paymentStatus: 'authorized',
+      paymentIntentId: 'pi_1',
+      totalAmount: '30.99',
+      createdAt: new Date('2025-05-01T12:00:00Z')
+    });
+
+    beforeEach(() => {
+      sandbox.stub(OrderItem, 'count').resolves(0);
+    });
+
+    it('captures the weighed total and records the farmer payments', async () => {
+      const capture = sandbox.stub(stripeService, 'capturePaymentIntent').resolves({ id: 'pi_1', amount_received: 3099 });
+      const settle = sandbox.stub(stripeWebhookService, 'handlePaymentIntentSucceeded').resolves({ handled: true });
+
+      const paymentIntent = await catchWeightService.capturePayment(order());
+
+      assert.strictEqual(paymentIntent.id, 'pi_1');
+      sinon.assert.calledWith(capture, 'pi_1', 30.99, 'capture-order-1');
+      sinon.assert.calledOnce(settle);
+    });
+
+    it('reports a capture Stripe refuses', async () => {
+      sandbox.stub(stripeService, 'capturePaymentIntent').rejects(new Error('authorization expired'));
+
+      await assert.rejects(
+        catchWeightService.capturePayment(order()),
+        (error) => error.statusCode === 502 && /authorization expired/.test(error.message)
+      );
+    });
+
+    it('still counts as captured when only settling the order failed', async () => {
+      sandbox.stub(stripeService, 'capturePaymentIntent').resolves({ id: 'pi_1' });
+      sandbox.stub(stripeWebhookService, 'handlePaymentIntentSucceeded').rejects(new Error('deadlock detected'));
+
+      const paymentIntent = await catchWeightService.capturePayment(order());
+
+      assert.strictEqual(paymentIntent.id, 'pi_1');
+    });
+
+    it('leaves orders with items still to weigh', async () => {
+      OrderItem.count.resolves(1);
+      const capture = sandbox.stub(stripeService, 'capturePaymentIntent');
+
+      assert.strictEqual(await catchWeightService.capturePayment(order()), null);
+      sinon.assert.notCalled(capture);
+    });
+
+    it('retries failed captures and reports orders past their deadline', async () => {
+      const fresh = { ...order(), id: 'order-2', createdAt: new Date('2025-05-05T12:00:00Z') };
+      sandbox.stub(Order, 'findAll').resolves([order(), fresh]);
+      sandbox.stub(stripeService, 'capturePaymentIntent')
+        .onFirstCall().rejects(new Error('authorization expired'))
+        .onSecondCall().resolves({ id: 'pi_2' });
+      sandbox.stub(stripeWebhookService, 'handlePaymentIntentSucceeded').resolves({ handled: true });
+
+      const counts = await catchWeightService.captureDuePayments(new Date('2025-05-08T12:00:00Z'));
+
+      assert.deepStrictEqual(counts, { captured: 1, failed: 1, overdue: 1 });
+    });
+  });
+
+  describe('getAuthorizationDeadline', () => {
+    it('leaves a day to capture before Stripe releases the authorization', () => {
+      const deadline = catchWeightService.getAuthorizationDeadline(new Date(2025, 4, 1, 12));
+
+      assert.deepStrictEqual(deadline, new Date(2025, 4, 7, 12));
+    });
+  });
+});
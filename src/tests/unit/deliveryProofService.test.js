@@ -0,0 +1,45 @@
+require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Delivery, DeliveryProof } = require('../../models/delivery');
+const deliveryProofService = require('../../services/deliveryProofService');
+
+describe('deliveryProofService', () => {
+  const sandbox = sinon.createSandbox();
+  const customer = { userId: 'customer-1', role: 'consumer' };
+
+  beforeEach(() => {
+    sandbox.stub(Delivery, 'findByPk').resolves({ id: 'delivery-1', driverId: 'driver-1', Order: { id: 'order-1', userId: 'customer-1' } });
+    sandbox.stub(DeliveryProof, 'findOne').resolves({
+      photoUrls: [deliveryProofService.proofFileUrl('delivery-1', 'photo-1.jpg')],
+      signatureUrl: deliveryProofService.proofFileUrl('delivery-1', 'signature-1.png')
+    });
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('getProofFile', () => {
+    it('lets the customer see the photos and signature of their delivery', async () => {
+      assert.strictEqual(await deliveryProofService.getProofFile('delivery-1', 'photo-1.jpg', customer), 'photo-1.jpg');
+      assert.strictEqual(await deliveryProofService.getProofFile('delivery-1', 'signature-1.png', customer), 'signature-1.png');
+    });
+
+    it('refuses anyone who may not see the proof', async () => {
+      await assert.rejects(
+        deliveryProofService.getProofFile('delivery-1', 'photo-1.jpg', { userId: 'customer-2', role: 'consumer' }),
+        (error) => error.statusCode === 403
+      );
+      await assert.rejects(
+        deliveryProofService.getProofFile('delivery-1', 'photo-1.jpg', { userId: 'driver-2', role: 'driver' }),
+        (error) => error.statusCode === 403
+      );
+    });
+
+    it('only serves the images of the delivery\'s own proof', async () => {
+      await assert.rejects(
+        deliveryProofService.getProofFile('delivery-1', 'photo-of-another-delivery.jpg', customer),
+        (error) => error.statusCode === 404
+      );
+    });
+  });
+});
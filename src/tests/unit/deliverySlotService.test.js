@@ -0,0 +1,66 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { ServiceArea } = require('../../models/address');
+const { DeliveryWindow, DeliverySlot } = require('../../models/deliverySlot');
+const deliverySlotService = require('../../services/deliverySlotService');
+
+describe('deliverySlotService', () => {
+  const sandbox = sinon.createSandbox();
+  const address = { latitude: 43.65, longitude: -79.38 };
+  let transaction;
+
+  // A window running on the day a number of days from now
+  const windowIn = (days) => {
+    const day = new Date();
+    day.setDate(day.getDate() + days);
+    const window = {
+      id: 'window-1',
+      dayOfWeek: day.getDay(),
+      startTime: '10:00',
+      endTime: '12:00',
+      cutoffHours: 12,
+      driverCount: 2,
+      deliveriesPerDriver: 5
+    };
+    return { window, date: deliverySlotService.toDateString(day) };
+  };
+
+  beforeEach(() => {
+    transaction = stubTransactions(sandbox);
+    sandbox.stub(ServiceArea, 'findAll').resolves([]);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('holdSlot', () => {
+    it('holds a slot that starts before the latest allowed start', async () => {
+      const { window, date } = windowIn(3);
+      sandbox.stub(DeliveryWindow, 'findAll').resolves([window]);
+      sandbox.stub(DeliverySlot, 'bulkCreate').resolves([]);
+      const slot = fakeRecord({ id: 'slot-1', bookedCount: 0 });
+      sandbox.stub(DeliverySlot, 'findOne').resolves(slot);
+      const latestStart = new Date();
+      latestStart.setDate(latestStart.getDate() + 6);
+
+      const held = await deliverySlotService.holdSlot({ windowId: 'window-1', date }, { address, farmIds: ['farm-1'], latestStart, transaction });
+
+      assert.strictEqual(held, slot);
+      assert.strictEqual(slot.bookedCount, 1);
+    });
+
+    it('refuses a slot after the latest allowed start', async () => {
+      const { window, date } = windowIn(10);
+      sandbox.stub(DeliveryWindow, 'findAll').resolves([window]);
+      const create = sandbox.stub(DeliverySlot, 'bulkCreate');
+      const latestStart = new Date();
+      latestStart.setDate(latestStart.getDate() + 6);
+
+      await assert.rejects(
+        deliverySlotService.holdSlot({ windowId: 'window-1', date }, { address, farmIds: ['farm-1'], latestStart, transaction }),
+        (error) => error.statusCode === 400 && /sold by weight/.test(error.message)
+      );
+      sinon.assert.notCalled(create);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { sequelize } = require('../../config/database');
+const { Delivery, DeliveryBatch } = require('../../models/delivery');
+const { DispatchOffer } = require('../../models/dispatch');
+const driverShiftService = require('../../services/driverShiftService');
+const routeSolverService = require('../../services/routeSolverService');
+const systemSettingsService = require('../../services/systemSettingsService');
+const dispatchService = require('../../services/dispatchService');
+
+describe('dispatchService', () => {
+  const sandbox = sinon.createSandbox();
+
+  // A delivery with what the route solver needs to build its stops
+  const delivery = (id, status, farm) => ({
+    id,
+    status,
+    deliveryLatitude: 43.66,
+    deliveryLongitude: -79.39,
+    deliveryAddress: '1 King St',
+    deliveryCity: 'Toronto',
+    deliveryState: 'ON',
+    deliveryZipCode: 'M5H 1A1',
+    DeliverySlot: null,
+    Order: {
+      id: `order-${id}`,
+      orderNumber: `FF-${id}`,
+      Consumer: { id: 'customer-1', firstName: 'Ada', lastName: 'Lovelace' },
+      Items: [{ status: 'pending', Product: { Farm: { id: farm, name: farm, latitude: 43.7, longitude: -79.4, address: 'Farm Rd' } } }]
+    }
+  });
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('acceptOffer', () => {
+    let offer;
+    let offered;
+
+    beforeEach(() => {
+      offer = fakeRecord({
+        id: 'offer-1',
+        driverId: 'driver-1',
+        status: 'pending',
+        deliveryIds: ['delivery-2'],
+        deliverySlotId: 'slot-1',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        routeData: { strategy: 'balanced', totalDistance: 4, totalDuration: 15, stops: [] }
+      });
+      offered = fakeRecord({ id: 'delivery-2', status: 'pending', driverId: null });
+
+      sandbox.stub(driverShiftService, 'lockStatus').resolves({ driverId: 'driver-1', status: 'online' });
+      sandbox.stub(DispatchOffer, 'findByPk').resolves(offer);
+      sandbox.stub(Delivery, 'count').resolves(1);
+      sandbox.stub(Delivery, 'findAll').callsFake(async ({ where, include }) => {
+        if (where.batchId) {
+          // The delivery in the driver's batch, already picked up
+          return [delivery('delivery-1', 'picked_up', 'farm-1')];
+        }
+        // Offered deliveries are locked without their order, then read with it
+        return include ? [delivery('delivery-2', 'pending', 'farm-2')] : [offered];
+      });
+    });
+
+    it('adds the deliveries to the driver\'s active batch and solves its route again', async () => {
+      const batch = fakeRecord({ id: 'batch-1', driverId: 'driver-1', status: 'active', deliveryCount: 1, optimizationStrategy: 'fastest', routeData: { deliveryIds: ['delivery-1'] } });
+      sandbox.stub(DeliveryBatch, 'findOne').resolves(batch);
+      const create = sandbox.stub(DeliveryBatch, 'create');
+      sandbox.stub(driverShiftService, 'getStatus').resolves({ location: { latitude: 43.65, longitude: -79.38 } });
+      const solve = sandbox.stub(routeSolverService, 'solveRoute').returns({ stops: [], totalDistance: 9, totalDuration: 35, strategy: 'fastest' });
+
+      const result = await dispatchService.acceptOffer('offer-1', 'driver-1');
+
+      assert.strictEqual(result.batch, batch);
+      sinon.assert.notCalled(create);
+      const [start, stops, options] = solve.firstCall.args;
+      assert.deepStrictEqual(start, { latitude: 43.65, longitude: -79.38 });
+      // The picked-up delivery only needs dropping off; the new one needs its pickup too
+      assert.deepStrictEqual(stops.map(stop => stop.key), ['delivery:delivery-1', 'pickup:order-delivery-2:farm-2', 'delivery:delivery-2']);
+      assert.strictEqual(options.strategy, 'fastest');
+      assert.deepStrictEqual(batch.routeData.deliveryIds, ['delivery-1', 'delivery-2']);
+      assert.strictEqual(batch.deliveryCount, 2);
+      assert.strictEqual(batch.totalDistance, 9);
+      sinon.assert.calledWithMatch(offered.update, { driverId: 'driver-1', status: 'assigned', batchId: 'batch-1' });
+      assert.strictEqual(offer.status, 'accepted');
+    });
+
+    it('creates a batch for a driver without an active one from the same slot', async () => {
+      sandbox.stub(DeliveryBatch, 'findOne').resolves(null);
+      const create = sandbox.stub(DeliveryBatch, 'create').resolves({ id: 'batch-2' });
+
+      const result = await dispatchService.acceptOffer('offer-1', 'driver-1');
+
+      assert.strictEqual(result.batch.id, 'batch-2');
+      sinon.assert.calledWithMatch(create, { driverId: 'driver-1', deliverySlotId: 'slot-1', deliveryCount: 1, totalDistance: 4 });
+      sinon.assert.calledWithMatch(DeliveryBatch.findOne, { where: { driverId: 'driver-1', status: 'active', deliverySlotId: 'slot-1' } });
+    });
+
+    it('refuses the offer once the driver has gone offline', async () => {
+      driverShiftService.lockStatus.resolves({ driverId: 'driver-1', status: 'offline' });
+
+      await assert.rejects(
+        dispatchService.acceptOffer('offer-1', 'driver-1'),
+        (error) => error.statusCode === 409
+      );
+      sinon.assert.notCalled(offered.update);
+      assert.strictEqual(offer.status, 'pending');
+    });
+
+    it('counts the driver\'s active deliveries only while holding their status lock', async () => {
+      sandbox.stub(DeliveryBatch, 'findOne').resolves(null);
+      sandbox.stub(DeliveryBatch, 'create').resolves({ id: 'batch-2' });
+
+      await dispatchService.acceptOffer('offer-1', 'driver-1');
+
+      sinon.assert.calledWith(driverShiftService.lockStatus, 'driver-1');
+      sinon.assert.callOrder(driverShiftService.lockStatus, Delivery.count);
+    });
+  });
+
+  describe('runDispatch', () => {
+    it('skips the run while another instance holds the dispatch lock', async () => {
+      sandbox.stub(sequelize, 'query').resolves([[{ locked: false }]]);
+      const expire = sandbox.stub(DispatchOffer, 'update');
+
+      const result = await dispatchService.runDispatch();
+
+      assert.deepStrictEqual(result, { expired: 0, offers: [], skipped: true });
+      sinon.assert.notCalled(expire);
+    });
+
+    it('skips a run started while another is under way', async () => {
+      sandbox.stub(sequelize, 'query').resolves([[{ locked: true }]]);
+      sandbox.stub(DispatchOffer, 'update').resolves([0]);
+      let finishSettings;
+      sandbox.stub(systemSettingsService, 'getSystemSettings').returns(new Promise((resolve) => {
+        finishSettings = resolve;
+      }));
+
+      const first = dispatchService.runDispatch();
+      const second = await dispatchService.runDispatch();
+      finishSettings({ dispatch: { enabled: false } });
+
+      assert.strictEqual(second.skipped, true);
+      assert.deepStrictEqual(await first, { expired: 0, offers: [], skipped: false });
+      sinon.assert.calledOnce(DispatchOffer.update);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { DriverShift, DriverBreak, DriverStatus } = require('../../models/driverShift');
+const { User } = require('../../models/user');
+const { DeliveryBatch } = require('../../models/delivery');
+const notificationService = require('../../services/notificationService');
+const driverShiftService = require('../../services/driverShiftService');
+const driverCompensationService = require('../../services/driverCompensationService');
+
+describe('driverShiftService', () => {
+  const sandbox = sinon.createSandbox();
+  const HOUR = 60 * 60 * 1000;
+  const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR);
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+    sandbox.stub(DriverShift, 'update').resolves([0]);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('getHoursReport', () => {
+    const period = { from: hoursAgo(48), to: new Date(Date.now() + HOUR) };
+
+    it('counts a planned shift less its breaks', async () => {
+      sandbox.stub(DriverShift, 'findAll').resolves([{
+        driverId: 'driver-1',
+        status: 'completed',
+        plannedStart: hoursAgo(10),
+        plannedEnd: hoursAgo(2),
+        actualStart: hoursAgo(10),
+        actualEnd: hoursAgo(2),
+        Breaks: [{ startedAt: hoursAgo(6), endedAt: hoursAgo(5.5) }]
+      }]);
+
+      const { drivers: [row] } = await driverShiftService.getHoursReport(period);
+
+      assert.strictEqual(row.plannedHours, 8);
+      assert.strictEqual(row.workedHours, 7.5);
+      assert.strictEqual(row.breakHours, 0.5);
+      assert.strictEqual(row.cappedShifts, 0);
+    });
+
+    it('pays an unplanned shift still open for at most the maximum shift length', async () => {
+      sandbox.stub(DriverShift, 'findAll').resolves([{
+        driverId: 'driver-1',
+        status: 'active',
+        plannedStart: null,
+        plannedEnd: null,
+        actualStart: hoursAgo(30),
+        actualEnd: null,
+        // A break still open long after the shift should have ended
+        Breaks: [{ startedAt: hoursAgo(20), endedAt: null }]
+      }]);
+
+      const { drivers: [row] } = await driverShiftService.getHoursReport(period);
+
+      assert.strictEqual(row.unplannedShifts, 1);
+      assert.strictEqual(row.cappedShifts, 1);
+      assert.strictEqual(row.breakHours, 2);
+      assert.strictEqual(row.workedHours, 10);
+    });
+
+    it('caps a shift that was left running before the driver went offline', async () => {
+      sandbox.stub(DriverShift, 'findAll').resolves([{
+        driverId: 'driver-1',
+        status: 'completed',
+        plannedStart: null,
+        actualStart: hoursAgo(40),
+        actualEnd: hoursAgo(4),
+        Breaks: []
+      }]);
+
+      const { drivers: [row] } = await driverShiftService.getHoursReport(period);
+
+      assert.strictEqual(row.workedHours, driverShiftService.SHIFT_CONSTANTS.MAX_SHIFT_HOURS);
+    });
+  });
+
+  describe('endAbandonedShifts', () => {
+    let status;
+
+    const online = (fields) => fakeRecord({
+      driverId: 'driver-1',
+      status: 'online',
+      shiftId: 'shift-1',
+      statusChangedAt: hoursAgo(3),
+      locationUpdatedAt: hoursAgo(0.1),
+      Shift: { id: 'shift-1', actualStart: hoursAgo(3) },
+      ...fields
+    });
+
+    beforeEach(() => {
+      sandbox.stub(DriverBreak, 'update').resolves([0]);
+      sandbox.stub(DriverStatus, 'findOrCreate').resolves([null, false]);
+      sandbox.stub(DriverStatus, 'findByPk').callsFake(async () => status);
+      sandbox.stub(notificationService, 'notify').resolves([]);
+    });
+
+    it('ends the shift of a driver who stopped reporting their location when they were last seen', async () => {
+      const lastSeen = hoursAgo(2);
+      status = online({ locationUpdatedAt: lastSeen });
+      sandbox.stub(DriverStatus, 'findAll').resolves([status]);
+
+      const ended = await driverShiftService.endAbandonedShifts();
+
+      assert.strictEqual(ended, 1);
+      sinon.assert.calledWithMatch(DriverShift.update, { status: 'completed', actualEnd: lastSeen }, { where: { id: 'shift-1' } });
+      sinon.assert.calledWithMatch(DriverBreak.update, { endedAt: lastSeen }, { where: { shiftId: 'shift-1', endedAt: null } });
+      assert.strictEqual(status.status, 'offline');
+      assert.strictEqual(status.shiftId, null);
+      sinon.assert.calledWithMatch(notificationService.notify, 'driver-1', 'shift_ended_automatically', { reason: 'location_stale' });
+    });
+
+    it('ends a shift at the maximum shift length', async () => {
+      const actualStart = hoursAgo(13);
+      status = online({ statusChangedAt: actualStart, Shift: { id: 'shift-1', actualStart } });
+      sandbox.stub(DriverStatus, 'findAll').resolves([status]);
+
+      await driverShiftService.endAbandonedShifts();
+
+      const { actualEnd } = DriverShift.update.firstCall.args[0];
+      assert.strictEqual(actualEnd.getTime(), actualStart.getTime() + 12 * HOUR);
+      sinon.assert.calledWithMatch(notificationService.notify, 'driver-1', 'shift_ended_automatically', { reason: 'max_shift_length' });
+    });
+
+    it('leaves a driver who reported in since they were looked up', async () => {
+      sandbox.stub(DriverStatus, 'findAll').resolves([online({ locationUpdatedAt: hoursAgo(2) })]);
+      status = online({ locationUpdatedAt: new Date() });
+
+      const ended = await driverShiftService.endAbandonedShifts();
+
+      assert.strictEqual(ended, 0);
+      sinon.assert.notCalled(DriverShift.update);
+      assert.strictEqual(status.status, 'online');
+    });
+  });
+
+  describe('driverCompensationService.calculatePeriodEarnings', () => {
+    const config = {
+      baseHourlyRate: 20,
+      deliveryCompletionBonus: 0,
+      mileageCompensation: 0,
+      efficiencyThreshold: 100,
+      efficiencyBonus: 0,
+      batchDeliveryThreshold: 100,
+      batchDeliveryBonus: 0,
+      satisfactionRatingThreshold: 5,
+      satisfactionWeeklyBonus: 0,
+      retentionMilestone1Months: 100,
+      retentionMilestone2Months: 100,
+      retentionMilestone3Months: 100
+    };
+
+    beforeEach(() => {
+      sandbox.stub(driverCompensationService, 'getActiveCompensationConfig').resolves(config);
+      sandbox.stub(User, 'findByPk').resolves({ id: 'driver-1', createdAt: hoursAgo(24) });
+      sandbox.stub(DeliveryBatch, 'findAll').resolves([]);
+    });
+
+    it('pays the hours worked on shifts at the hourly rate', async () => {
+      sandbox.stub(DriverShift, 'findAll').resolves([{
+        driverId: 'driver-1',
+        status: 'completed',
+        plannedStart: hoursAgo(10),
+        plannedEnd: hoursAgo(2),
+        actualStart: hoursAgo(10),
+        actualEnd: hoursAgo(2),
+        Breaks: [{ startedAt: hoursAgo(6), endedAt: hoursAgo(5) }]
+      }]);
+
+      const earnings = await driverCompensationService.calculatePeriodEarnings('driver-1', hoursAgo(24), new Date());
+
+      assert.strictEqual(earnings.hoursWorked, 7);
+      assert.strictEqual(earnings.baseHourlyPay, 140);
+    });
+
+    it('pays an unplanned shift left open for no more than the maximum shift length', async () => {
+      sandbox.stub(DriverShift, 'findAll').resolves([{
+        driverId: 'driver-1',
+        status: 'active',
+        plannedStart: null,
+        actualStart: hoursAgo(20),
+        actualEnd: null,
+        Breaks: []
+      }]);
+
+      const earnings = await driverCompensationService.calculatePeriodEarnings('driver-1', hoursAgo(24), new Date());
+
+      assert.strictEqual(earnings.hoursWorked, 12);
+      assert.strictEqual(earnings.baseHourlyPay, 240);
+    });
+  });
+});
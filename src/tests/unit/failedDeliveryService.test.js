@@ -0,0 +1,189 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { Delivery, DeliveryAttempt } = require('../../models/delivery');
+const { Order, OrderItem } = require('../../models/order');
+const { Farm } = require('../../models/farm');
+const systemSettingsService = require('../../services/systemSettingsService');
+const deliveryProofService = require('../../services/deliveryProofService');
+const deliveryTrackingService = require('../../services/deliveryTrackingService');
+const deliverySlotService = require('../../services/deliverySlotService');
+const fulfillmentService = require('../../services/fulfillmentService');
+const notificationService = require('../../services/notificationService');
+const orderStateMachine = require('../../services/orderStateMachine');
+const refundService = require('../../services/refundService');
+const failedDeliveryService = require('../../services/failedDeliveryService');
+
+describe('failedDeliveryService', () => {
+  const sandbox = sinon.createSandbox();
+  const customer = { userId: 'customer-1', role: 'consumer' };
+  let delivery;
+  let order;
+  let items;
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+
+    delivery = fakeRecord({
+      id: 'delivery-1',
+      orderId: 'order-1',
+      driverId: 'driver-1',
+      batchId: null,
+      status: 'in_transit',
+      deliveryLatitude: null,
+      deliveryLongitude: null
+    });
+    order = fakeRecord({
+      id: 'order-1',
+      orderNumber: 'FF-1',
+      userId: 'customer-1',
+      status: 'out_for_delivery',
+      paymentStatus: 'paid',
+      deliveryFee: '5.00',
+      totalAmount: '38.00'
+    });
+    // Milk spoils; the honey from another farm keeps
+    items = [
+      { id: 'item-milk', farmId: 'farm-1', productName: 'Milk', status: 'pending', Product: { isPerishable: true } },
+      { id: 'item-honey', farmId: 'farm-2', productName: 'Honey', status: 'pending', Product: { isPerishable: false } }
+    ];
+
+    sandbox.stub(systemSettingsService, 'getSystemSettings').resolves({
+      failedDelivery: { maxAttempts: 3, keepDeliveryFeeOnCustomerFault: true, decisionTimeoutHours: 72 }
+    });
+    sandbox.stub(Delivery, 'findByPk').resolves(delivery);
+    sandbox.stub(Order, 'findByPk').resolves(order);
+    sandbox.stub(OrderItem, 'findAll').callsFake(async () => items);
+    sandbox.stub(DeliveryAttempt, 'count').resolves(0);
+    sandbox.stub(DeliveryAttempt, 'create').callsFake(async (values) => fakeRecord({ id: 'attempt-1', resolution: null, ...values }));
+    sandbox.stub(Farm, 'findAll').resolves([
+      { id: 'farm-1', name: 'Green Acres', farmerId: 'farmer-1' },
+      { id: 'farm-2', name: 'Bee Farm', farmerId: 'farmer-2' }
+    ]);
+    sandbox.stub(deliveryProofService, 'closeBatchIfDone').resolves(false);
+    sandbox.stub(deliveryTrackingService, 'publishStatusChange');
+    sandbox.stub(notificationService, 'notify').resolves([]);
+    sandbox.stub(refundService, 'getRefundableAmount').resolves(38);
+    sandbox.stub(refundService, 'refundByPlatform').resolves({ refund: { id: 'refund-1', amount: '11.00' }, order });
+    sandbox.stub(orderStateMachine, 'isValidTransition').returns(false);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('failDelivery', () => {
+    it('donates only the perishables of a mixed order and refunds them', async () => {
+      const result = await failedDeliveryService.failDelivery('delivery-1', 'driver-1', { reason: 'customer_absent', disposition: 'donate' });
+
+      assert.strictEqual(result.attempt.goodsDisposition, 'partial_donation');
+      assert.deepStrictEqual(result.attempt.itemDispositions.map(item => [item.orderItemId, item.disposition]), [
+        ['item-milk', 'donate'],
+        ['item-honey', 'return_to_farm']
+      ]);
+      // The honey can still be delivered
+      assert.strictEqual(result.options.canRedeliver, true);
+      sinon.assert.calledOnceWithMatch(refundService.refundByPlatform, 'order-1', null, { itemIds: ['item-milk'] });
+      sinon.assert.calledWithMatch(notificationService.notify, 'farmer-2', 'delivery_goods_returned', { donatedItems: [], returnedItems: ['Honey'] });
+    });
+
+    it('refuses to donate an order with nothing perishable', async () => {
+      items = [items[1]];
+
+      await assert.rejects(
+        failedDeliveryService.failDelivery('delivery-1', 'driver-1', { reason: 'customer_absent', disposition: 'donate' }),
+        (error) => error.statusCode === 400
+      );
+      sinon.assert.notCalled(DeliveryAttempt.create);
+    });
+
+    it('refunds straight away, keeping the fee, when everything was donated', async () => {
+      items = [items[0]];
+      let attempt = null;
+      DeliveryAttempt.create.callsFake(async (values) => {
+        attempt = fakeRecord({ id: 'attempt-1', resolution: null, ...values });
+        return attempt;
+      });
+      sandbox.stub(DeliveryAttempt, 'findOne').callsFake(async () => attempt);
+
+      const result = await failedDeliveryService.failDelivery('delivery-1', 'driver-1', { reason: 'customer_absent', disposition: 'donate' });
+
+      assert.strictEqual(result.attempt.goodsDisposition, 'donate');
+      assert.strictEqual(result.attempt.resolution, 'refund');
+      // $38 refundable less the $5 delivery fee
+      sinon.assert.calledOnceWithMatch(refundService.refundByPlatform, 'order-1', 33);
+    });
+  });
+
+  describe('redeliver', () => {
+    it('sends back to ready only the farms that still have goods to hand over', async () => {
+      const attempt = fakeRecord({
+        id: 'attempt-1',
+        attemptNumber: 1,
+        outcome: 'failed',
+        failureReason: 'customer_absent',
+        goodsDisposition: 'partial_donation',
+        itemDispositions: [
+          { orderItemId: 'item-milk', farmId: 'farm-1', productName: 'Milk', disposition: 'donate' },
+          { orderItemId: 'item-honey', farmId: 'farm-2', productName: 'Honey', disposition: 'return_to_farm' }
+        ],
+        resolution: null
+      });
+      delivery.status = 'failed';
+      sandbox.stub(DeliveryAttempt, 'findOne').resolves(attempt);
+      sandbox.stub(deliverySlotService, 'releaseSlot').resolves();
+      sandbox.stub(orderStateMachine, 'transitionOrder').resolves({ order });
+      sandbox.stub(fulfillmentService, 'returnGroups').resolves();
+
+      await failedDeliveryService.redeliver('delivery-1', customer);
+
+      sinon.assert.calledWithMatch(fulfillmentService.returnGroups, 'order-1', { donatedFarmIds: ['farm-1'] });
+      // A donated refund that didn't go through before is retried
+      sinon.assert.calledWithMatch(refundService.refundByPlatform, 'order-1', null, { itemIds: ['item-milk'] });
+      assert.strictEqual(attempt.resolution, 'redelivery');
+      assert.strictEqual(delivery.status, 'pending');
+    });
+  });
+
+  describe('refundUndecidedDeliveries', () => {
+    let attempt;
+
+    beforeEach(() => {
+      delivery.status = 'failed';
+      attempt = fakeRecord({
+        id: 'attempt-1',
+        deliveryId: 'delivery-1',
+        attemptNumber: 1,
+        outcome: 'failed',
+        failureReason: 'customer_absent',
+        goodsDisposition: 'return_to_farm',
+        itemDispositions: [],
+        resolution: null,
+        attemptedAt: new Date('2025-05-01T10:00:00Z')
+      });
+      sandbox.stub(DeliveryAttempt, 'findAll').resolves([attempt]);
+      sandbox.stub(DeliveryAttempt, 'findOne').resolves(attempt);
+    });
+
+    it('refunds failed deliveries the customer hasn\'t decided on in time', async () => {
+      const now = new Date('2025-05-04T12:00:00Z');
+
+      const counts = await failedDeliveryService.refundUndecidedDeliveries(now);
+
+      assert.deepStrictEqual(counts, { refunded: 1, failed: 0 });
+      const { where } = DeliveryAttempt.findAll.firstCall.args[0];
+      assert.deepStrictEqual(where.attemptedAt[Op.lte], new Date('2025-05-01T12:00:00Z'));
+      sinon.assert.calledOnceWithMatch(refundService.refundByPlatform, 'order-1', 33);
+      assert.strictEqual(attempt.resolution, 'refund');
+      assert.strictEqual(attempt.refundId, 'refund-1');
+    });
+
+    it('leaves the decision open when the refund doesn\'t go through', async () => {
+      refundService.refundByPlatform.rejects(Object.assign(new Error('card expired'), { statusCode: 502 }));
+
+      const counts = await failedDeliveryService.refundUndecidedDeliveries(new Date('2025-05-04T12:00:00Z'));
+
+      assert.deepStrictEqual(counts, { refunded: 0, failed: 1 });
+      assert.strictEqual(attempt.resolution, null);
+    });
+  });
+});
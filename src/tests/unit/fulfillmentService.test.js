@@ -0,0 +1,111 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Order, OrderItem, OrderFulfillment } = require('../../models/order');
+const { FarmerPayment } = require('../../models/payment');
+const promoCodeService = require('../../services/promoCodeService');
+const inventoryService = require('../../services/inventoryService');
+const catchWeightService = require('../../services/catchWeightService');
+const refundService = require('../../services/refundService');
+const orderStateMachine = require('../../services/orderStateMachine');
+const fulfillmentService = require('../../services/fulfillmentService');
+
+describe('fulfillmentService', () => {
+  const sandbox = sinon.createSandbox();
+  const admin = { userId: 'admin-1', role: 'admin' };
+  let order;
+  let group;
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+
+    order = fakeRecord({
+      id: 'order-1',
+      orderNumber: 'FF-1',
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      paymentIntentId: 'pi_1',
+      subTotal: '30.00',
+      taxAmount: '3.00',
+      totalAmount: '38.00'
+    });
+    group = fakeRecord({
+      id: 'group-1',
+      orderId: 'order-1',
+      farmId: 'farm-1',
+      farmName: 'Green Acres',
+      subtotal: '10.00',
+      status: 'confirmed'
+    });
+
+    sandbox.stub(Order, 'findByPk').resolves(order);
+    sandbox.stub(OrderFulfillment, 'findByPk').resolves(group);
+    // Another farm's part is still going, so the order itself doesn't change
+    sandbox.stub(OrderFulfillment, 'findAll').resolves([{ status: 'rejected' }, { status: 'confirmed' }]);
+    sandbox.stub(OrderItem, 'findAll').resolves([{ id: 'item-1', productId: 'product-1' }]);
+    sandbox.stub(OrderItem, 'update').resolves([1]);
+    sandbox.stub(FarmerPayment, 'findOne').resolves(null);
+    sandbox.stub(inventoryService, 'releaseStock').resolves();
+    sandbox.stub(catchWeightService, 'capturePayment').resolves(null);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('transitionFulfillment', () => {
+    it('refunds a rejected farm its products net of its promo share, plus its share of the tax', async () => {
+      sandbox.stub(promoCodeService, 'getRedemption').resolves({ allocations: { 'farm-1': '2.00' } });
+      const refundAmount = sandbox.stub(refundService, 'refundAmount').resolves({ id: 're_1', amount: 900 });
+
+      const result = await fulfillmentService.transitionFulfillment(group, 'rejected', { actor: admin, reason: 'Out of stock' });
+
+      sinon.assert.calledWithMatch(refundAmount, order, 9, { type: 'fulfillment', fulfillmentId: 'group-1', farmId: 'farm-1' });
+      assert.strictEqual(result.refundError, null);
+      assert.strictEqual(group.refundAmount, 9);
+      assert.strictEqual(group.refundId, 're_1');
+    });
+
+    it('reports a refund Stripe rejects instead of treating the group as refunded', async () => {
+      sandbox.stub(promoCodeService, 'getRedemption').resolves(null);
+      const failure = Object.assign(new Error('The payment provider could not process the refund: card expired'), { statusCode: 502 });
+      sandbox.stub(refundService, 'refundAmount').rejects(failure);
+
+      const result = await fulfillmentService.transitionFulfillment(group, 'rejected', { actor: admin, reason: 'Out of stock' });
+
+      assert.strictEqual(result.group.status, 'rejected');
+      assert.strictEqual(result.refund, null);
+      assert.strictEqual(result.refundError, failure);
+      assert.strictEqual(group.refundId, undefined);
+    });
+
+    it('reports a refund of the rest of the order Stripe rejects once every farm is gone', async () => {
+      sandbox.stub(promoCodeService, 'getRedemption').resolves(null);
+      sandbox.stub(refundService, 'refundAmount')
+        .onFirstCall().resolves({ id: 're_1', amount: 1100 })
+        .onSecondCall().rejects(Object.assign(new Error('card expired'), { statusCode: 502 }));
+      OrderFulfillment.findAll.resolves([{ status: 'rejected' }]);
+      order.update.callsFake(async (values) => Object.assign(order, values));
+      sandbox.stub(orderStateMachine, 'transitionOrder').callsFake(async (current, status) => {
+        current.status = status;
+        return { order: current };
+      });
+
+      const result = await fulfillmentService.transitionFulfillment(group, 'rejected', { actor: admin, reason: 'Out of stock' });
+
+      assert.strictEqual(result.order.status, 'cancelled');
+      assert.strictEqual(result.refundError.statusCode, 502);
+      assert.strictEqual(order.paymentStatus, 'paid');
+    });
+
+    it('reports a weighed total Stripe won\'t capture once the order is ready', async () => {
+      const failure = Object.assign(new Error('The payment provider could not capture the payment for order FF-1: card expired'), { statusCode: 502 });
+      catchWeightService.capturePayment.rejects(failure);
+      sandbox.stub(refundService, 'refundAmount');
+
+      const result = await fulfillmentService.transitionFulfillment(group, 'processing', { actor: admin });
+
+      assert.strictEqual(result.group.status, 'processing');
+      assert.strictEqual(result.captureError, failure);
+      assert.strictEqual(result.refundError, null);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { GeocodeCache, ServiceArea } = require('../../models/address');
+const googleMapsService = require('../../services/googleMapsService');
+const geocodingService = require('../../services/geocodingService');
+
+describe('geocodingService', () => {
+  const sandbox = sinon.createSandbox();
+  const address = { streetAddress: '1 Nowhere Lane', city: 'Toronto', state: 'ON', zipCode: 'M5V 1A1' };
+  let savedKey;
+
+  beforeEach(() => {
+    savedKey = process.env.GOOGLE_MAPS_API_KEY;
+    sandbox.stub(GeocodeCache, 'findOne').resolves(null);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    if (savedKey === undefined) {
+      delete process.env.GOOGLE_MAPS_API_KEY;
+    } else {
+      process.env.GOOGLE_MAPS_API_KEY = savedKey;
+    }
+  });
+
+  describe('geocode', () => {
+    it('leaves an address unlocated without a Google Maps key', async () => {
+      delete process.env.GOOGLE_MAPS_API_KEY;
+
+      const location = await geocodingService.geocode(address);
+
+      assert.deepStrictEqual(location, {
+        latitude: null,
+        longitude: null,
+        formattedAddress: '1 NOWHERE LANE, TORONTO, ON, M5V 1A1, CA',
+        source: 'unlocated'
+      });
+    });
+
+    it('leaves an address unlocated rather than making up a point when Google fails', async () => {
+      process.env.GOOGLE_MAPS_API_KEY = 'key';
+      sandbox.stub(googleMapsService, 'geocodeAddress').rejects(new Error('ZERO_RESULTS'));
+      const cache = sandbox.stub(GeocodeCache, 'findOrCreate');
+
+      const location = await geocodingService.geocode(address);
+
+      assert.strictEqual(location.source, 'unlocated');
+      assert.strictEqual(location.latitude, null);
+      sinon.assert.notCalled(cache);
+    });
+  });
+
+  describe('findServiceArea', () => {
+    it('does not measure an unlocated point against the service areas', async () => {
+      const areas = sandbox.stub(ServiceArea, 'findAll');
+
+      const result = await geocodingService.findServiceArea({ latitude: null, longitude: null });
+
+      assert.deepStrictEqual(result, { serviceable: true, area: null });
+      sinon.assert.notCalled(areas);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { stripe } = require('../../services/stripeService');
+const paymentMethodService = require('../../services/paymentMethodService');
+const membershipBilling = require('../../services/membershipBilling');
+
+describe('membershipBilling', () => {
+  const saved = {};
+  const ENV = ['NODE_ENV', 'MEMBERSHIP_BILLING_PROVIDER', 'STRIPE_MEMBERSHIP_PRODUCT_ID'];
+
+  beforeEach(() => {
+    ENV.forEach((name) => {
+      saved[name] = process.env[name];
+    });
+    delete process.env.MEMBERSHIP_BILLING_PROVIDER;
+    delete process.env.STRIPE_MEMBERSHIP_PRODUCT_ID;
+  });
+
+  afterEach(() => {
+    ENV.forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  });
+
+  describe('checkConfiguration', () => {
+    it('refuses to start without a billing provider', () => {
+      assert.throws(() => membershipBilling.checkConfiguration(), /not configured/);
+    });
+
+    it('uses Stripe when a membership product is configured', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.STRIPE_MEMBERSHIP_PRODUCT_ID = 'prod_1';
+
+      membershipBilling.checkConfiguration();
+
+      assert.strictEqual(membershipBilling.getDefaultProviderName(), 'stripe');
+    });
+
+    it('allows the stub outside production when configured by name', () => {
+      process.env.NODE_ENV = 'development';
+      process.env.MEMBERSHIP_BILLING_PROVIDER = 'stub';
+
+      membershipBilling.checkConfiguration();
+
+      assert.strictEqual(membershipBilling.getDefaultProviderName(), 'stub');
+    });
+
+    it('refuses the stub in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.MEMBERSHIP_BILLING_PROVIDER = 'stub';
+
+      assert.throws(() => membershipBilling.checkConfiguration(), /cannot be used in production/);
+    });
+
+    it('treats an unset NODE_ENV as production', () => {
+      delete process.env.NODE_ENV;
+      process.env.MEMBERSHIP_BILLING_PROVIDER = 'stub';
+
+      assert.throws(() => membershipBilling.checkConfiguration(), /cannot be used in production/);
+    });
+  });
+
+  describe('getProvider', () => {
+    it('does not renew existing stub memberships for free in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.STRIPE_MEMBERSHIP_PRODUCT_ID = 'prod_1';
+
+      assert.throws(() => membershipBilling.getProvider('stub'), /cannot be used in production/);
+    });
+  });
+
+  describe('stripe provider', () => {
+    const sandbox = sinon.createSandbox();
+    const user = { id: 'user-1' };
+    const stripeError = (type, message, extra = {}) => Object.assign(new Error(message), { type, ...extra });
+
+    beforeEach(() => {
+      process.env.STRIPE_MEMBERSHIP_PRODUCT_ID = 'prod_1';
+      sandbox.stub(paymentMethodService, 'getOrCreateCustomer').resolves('cus_1');
+      sandbox.stub(stripe.paymentMethods, 'retrieve').resolves({ id: 'pm_1', customer: 'cus_1' });
+      sandbox.stub(stripe.subscriptions, 'create').resolves({
+        id: 'sub_1',
+        current_period_start: 1746057600,
+        current_period_end: 1748736000,
+        latest_invoice: { id: 'in_1' }
+      });
+    });
+
+    afterEach(() => sandbox.restore());
+
+    it('starts the subscription with the idempotency key it was given', async () => {
+      const result = await membershipBilling.getProvider('stripe').createSubscription({ user, amount: 9.99, paymentMethodId: 'pm_1', idempotencyKey: 'key-1' });
+
+      assert.strictEqual(result.subscriptionId, 'sub_1');
+      assert.deepStrictEqual(stripe.subscriptions.create.firstCall.args[1], { idempotencyKey: 'key-1' });
+    });
+
+    it('reports a declined card as a failed payment', async () => {
+      stripe.subscriptions.create.rejects(stripeError('StripeCardError', 'Your card was declined.'));
+
+      const result = await membershipBilling.getProvider('stripe').createSubscription({ user, amount: 9.99, paymentMethodId: 'pm_1' });
+
+      assert.deepStrictEqual(result.invoice, { id: null, status: 'failed', failureReason: 'Your card was declined.' });
+    });
+
+    it('does not pass other failures off as a declined payment', async () => {
+      stripe.subscriptions.create.rejects(stripeError('StripeConnectionError', 'Could not connect to Stripe'));
+
+      await assert.rejects(
+        membershipBilling.getProvider('stripe').createSubscription({ user, amount: 9.99, paymentMethodId: 'pm_1' }),
+        (error) => error.message === 'Could not connect to Stripe' && !error.statusCode
+      );
+    });
+
+    it('answers 400 for a payment method that does not exist', async () => {
+      stripe.paymentMethods.retrieve.rejects(stripeError('StripeInvalidRequestError', 'No such PaymentMethod', { code: 'resource_missing' }));
+
+      await assert.rejects(
+        membershipBilling.getProvider('stripe').createSubscription({ user, amount: 9.99, paymentMethodId: 'pm_missing' }),
+        (error) => error.statusCode === 400
+      );
+    });
+  });
+});
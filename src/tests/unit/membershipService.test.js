@@ -0,0 +1,68 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Membership, MembershipInvoice } = require('../../models/pricing');
+const { User } = require('../../models/user');
+const pricingService = require('../../services/pricingService');
+const membershipBilling = require('../../services/membershipBilling');
+const membershipService = require('../../services/membershipService');
+
+describe('membershipService', () => {
+  const sandbox = sinon.createSandbox();
+  let transaction;
+  let provider;
+
+  beforeEach(() => {
+    transaction = stubTransactions(sandbox);
+
+    provider = {
+      name: 'stripe',
+      createSubscription: sinon.stub().resolves({
+        customerId: 'cus_1',
+        subscriptionId: 'sub_1',
+        periodStart: new Date('2025-05-01T00:00:00Z'),
+        periodEnd: new Date('2025-06-01T00:00:00Z'),
+        invoice: { id: 'in_1', status: 'paid' }
+      }),
+      cancelSubscription: sinon.stub().resolves()
+    };
+
+    sandbox.stub(pricingService, 'getActivePricingConfig').resolves({ membershipFee: '9.99' });
+    sandbox.stub(membershipBilling, 'getProvider').returns(provider);
+    sandbox.stub(User, 'findByPk').resolves({ id: 'user-1', email: 'member@example.com' });
+    sandbox.stub(Membership, 'findOne').resolves(null);
+    sandbox.stub(Membership, 'create').callsFake(async (values) => fakeRecord({ id: 'membership-1', ...values }));
+    sandbox.stub(MembershipInvoice, 'create').resolves({});
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('subscribe', () => {
+    it('holds the user\'s lock while subscribing so a second request can\'t subscribe again', async () => {
+      const membership = await membershipService.subscribe('user-1', { paymentMethodId: 'pm_1' });
+
+      assert.strictEqual(membership.status, 'active');
+      assert.strictEqual(User.findByPk.firstCall.args[1].lock, transaction.LOCK.UPDATE);
+      assert.strictEqual(Membership.findOne.firstCall.args[0].transaction, transaction);
+      assert.match(provider.createSubscription.firstCall.args[0].idempotencyKey, /^membership-subscribe-user-1-/);
+    });
+
+    it('refuses a user who already has a membership before billing them', async () => {
+      Membership.findOne.resolves({ id: 'membership-1', status: 'active', providerSubscriptionId: 'sub_0' });
+
+      await assert.rejects(
+        membershipService.subscribe('user-1', { paymentMethodId: 'pm_1' }),
+        (error) => error.statusCode === 409
+      );
+      sinon.assert.notCalled(provider.createSubscription);
+    });
+
+    it('cancels the new subscription when the membership can\'t be saved', async () => {
+      Membership.create.rejects(new Error('connection lost'));
+
+      await assert.rejects(membershipService.subscribe('user-1', { paymentMethodId: 'pm_1' }), /connection lost/);
+
+      sinon.assert.calledOnceWithMatch(provider.cancelSubscription, { providerSubscriptionId: 'sub_1' }, { atPeriodEnd: false });
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Order } = require('../../models/order');
+const { Farm } = require('../../models/farm');
+const addressService = require('../../services/addressService');
+const deliverySlotService = require('../../services/deliverySlotService');
+const inventoryService = require('../../services/inventoryService');
+const orderService = require('../../services/orderService');
+
+describe('orderService', () => {
+  const sandbox = sinon.createSandbox();
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+
+    // An address no delivery window covers yet
+    sandbox.stub(addressService, 'resolveOrderAddress').resolves({ id: 'address-1', latitude: 43.65, longitude: -79.38 });
+    sandbox.stub(deliverySlotService, 'holdSlot').resolves(null);
+    sandbox.stub(inventoryService, 'reserveStock').resolves({
+      products: [{ id: 'product-1', farmId: 'farm-1', name: 'Whole chicken', price: '12.00', isCatchWeight: true, estimatedWeight: '1.8' }],
+      variants: []
+    });
+    sandbox.stub(Farm, 'findAll').resolves([{ id: 'farm-1', name: 'Green Acres' }]);
+    sandbox.stub(Order, 'create');
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('placeOrder', () => {
+    const place = (scheduledDeliveryTime) => orderService.placeOrder('customer-1', {
+      items: [{ productId: 'product-1', quantity: 1 }],
+      delivery: { deliveryMethod: 'delivery', addressId: 'address-1', scheduledDeliveryTime }
+    });
+
+    it('refuses a delivery time after a catch-weight order\'s authorization runs out', async () => {
+      await assert.rejects(
+        place(new Date(Date.now() + 10 * DAY_MS).toISOString()),
+        (error) => error.statusCode === 400 && /sold by weight/.test(error.message)
+      );
+      sinon.assert.notCalled(Order.create);
+    });
+
+    it('refuses a delivery time in the past', async () => {
+      await assert.rejects(
+        place(new Date(Date.now() - DAY_MS).toISOString()),
+        (error) => error.statusCode === 400
+      );
+      sinon.assert.notCalled(Order.create);
+    });
+  });
+});
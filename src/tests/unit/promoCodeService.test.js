@@ -0,0 +1,75 @@
+require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { PromoCode } = require('../../models/promoCode');
+const { Product } = require('../../models/product');
+const promoCodeService = require('../../services/promoCodeService');
+
+describe('promoCodeService', () => {
+  const sandbox = sinon.createSandbox();
+
+  afterEach(() => sandbox.restore());
+
+  describe('getItemDiscounts', () => {
+    const items = [
+      { id: 'item-a', productId: 'product-a', farmId: 'farm-1', totalPrice: '10.00' },
+      { id: 'item-b', productId: 'product-b', farmId: 'farm-1', totalPrice: '10.00' },
+      { id: 'item-c', productId: 'product-c', farmId: 'farm-1', totalPrice: '10.00' },
+      { id: 'item-d', productId: 'product-d', farmId: 'farm-2', totalPrice: '5.00' }
+    ];
+
+    beforeEach(() => {
+      sandbox.stub(Product, 'findAll').resolves([
+        { id: 'product-a', category: 'fruits' },
+        { id: 'product-b', category: 'fruits' },
+        { id: 'product-c', category: 'fruits' },
+        { id: 'product-d', category: 'dairy' }
+      ]);
+    });
+
+    it('splits each farm\'s discount across its items so the shares add up', async () => {
+      sandbox.stub(PromoCode, 'findByPk').resolves({ fundedBy: 'platform', farmIds: [], categories: [] });
+
+      const discounts = await promoCodeService.getItemDiscounts({
+        promoCodeId: 'promo-1',
+        productDiscount: '3.50',
+        allocations: { 'farm-1': '3.00', 'farm-2': '0.50' }
+      }, items);
+
+      assert.deepStrictEqual(Object.fromEntries(discounts), { 'item-a': 1, 'item-b': 1, 'item-c': 1, 'item-d': 0.5 });
+    });
+
+    it('settles rounding on a farm\'s last item', async () => {
+      sandbox.stub(PromoCode, 'findByPk').resolves({ fundedBy: 'platform', farmIds: [], categories: [] });
+
+      const discounts = await promoCodeService.getItemDiscounts({
+        promoCodeId: 'promo-1',
+        productDiscount: '1.00',
+        allocations: { 'farm-1': '1.00' }
+      }, items);
+
+      assert.deepStrictEqual(Object.fromEntries(discounts), { 'item-a': 0.33, 'item-b': 0.33, 'item-c': 0.34 });
+    });
+
+    it('leaves out items the code did not apply to', async () => {
+      sandbox.stub(PromoCode, 'findByPk').resolves({ fundedBy: 'platform', farmIds: [], categories: ['dairy'] });
+
+      const discounts = await promoCodeService.getItemDiscounts({
+        promoCodeId: 'promo-1',
+        productDiscount: '0.50',
+        allocations: { 'farm-2': '0.50' }
+      }, items);
+
+      assert.deepStrictEqual(Object.fromEntries(discounts), { 'item-d': 0.5 });
+    });
+
+    it('has nothing to split without a product discount', async () => {
+      const findCode = sandbox.stub(PromoCode, 'findByPk');
+
+      const discounts = await promoCodeService.getItemDiscounts({ productDiscount: '0.00', allocations: {} }, items);
+
+      assert.strictEqual(discounts.size, 0);
+      sinon.assert.notCalled(findCode);
+    });
+  });
+});
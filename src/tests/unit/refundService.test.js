@@ -0,0 +1,240 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Order, OrderItem } = require('../../models/order');
+const { OrderRefund, FarmerPayment, RefundAdjustment, PaymentInfo } = require('../../models/payment');
+const notificationService = require('../../services/notificationService');
+const orderStateMachine = require('../../services/orderStateMachine');
+const { PromoCode } = require('../../models/promoCode');
+const { Product } = require('../../models/product');
+const promoCodeService = require('../../services/promoCodeService');
+const stripeService = require('../../services/stripeService');
+const refundService = require('../../services/refundService');
+const fulfillmentService = require('../../services/fulfillmentService');
+
+describe('refundService', () => {
+  const sandbox = sinon.createSandbox();
+  const admin = { userId: 'admin-1', role: 'admin' };
+  let order;
+  let items;
+  let refunded;
+  let farmerPayment;
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+
+    order = fakeRecord({
+      id: 'order-1',
+      orderNumber: 'FF-1',
+      userId: 'customer-1',
+      status: 'delivered',
+      paymentStatus: 'paid',
+      paymentIntentId: 'pi_1',
+      subTotal: '30.00',
+      taxAmount: '3.00',
+      totalAmount: '33.00'
+    });
+    items = [
+      { id: 'item-a', productId: 'product-a', farmId: 'farm-1', farmName: 'Green Acres', productName: 'Apples', totalPrice: '20.00', status: 'delivered' },
+      { id: 'item-b', productId: 'product-b', farmId: 'farm-1', farmName: 'Green Acres', productName: 'Beets', totalPrice: '10.00', status: 'delivered' }
+    ];
+    refunded = 0;
+    // Credited 30 x 95% for its products
+    farmerPayment = fakeRecord({ id: 'payment-1', amount: '28.50', commission: '1.50', isPaid: false, paymentDetails: {} });
+
+    sandbox.stub(Order, 'findByPk').resolves(order);
+    sandbox.stub(OrderItem, 'findAll').resolves(items);
+    sandbox.stub(OrderItem, 'update').resolves([2]);
+    sandbox.stub(OrderRefund, 'sum').callsFake(async () => refunded);
+    sandbox.stub(OrderRefund, 'findAll').resolves([]);
+    sandbox.stub(OrderRefund, 'create').callsFake(async (values) => fakeRecord({ id: 'refund-2', ...values }));
+    sandbox.stub(OrderRefund, 'findByPk').callsFake(async (id) => ({ id }));
+    sandbox.stub(FarmerPayment, 'findAll').callsFake(async () => [{ amount: farmerPayment.amount }]);
+    sandbox.stub(FarmerPayment, 'findOne').callsFake(async () => farmerPayment);
+    sandbox.stub(RefundAdjustment, 'create').callsFake(async (values) => values);
+    sandbox.stub(PaymentInfo, 'update').resolves([1]);
+    sandbox.stub(stripeService, 'refundPayment').resolves({ id: 're_1' });
+    sandbox.stub(orderStateMachine, 'isValidTransition').returns(false);
+    sandbox.stub(notificationService, 'notify').resolves([]);
+    sandbox.stub(promoCodeService, 'getRedemption').resolves(null);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('createRefund', () => {
+    it('claws back a farm\'s share of every refunded item', async () => {
+      await refundService.createRefund('order-1', { type: 'full' }, admin);
+
+      sinon.assert.calledWithMatch(RefundAdjustment.create, { payeeType: 'farmer', payeeId: 'farm-1', amount: 28.5, commissionAmount: 1.5 });
+      assert.strictEqual(farmerPayment.amount, 0);
+    });
+
+    it('takes a farm\'s earlier goodwill refund into account on a full refund', async () => {
+      // $5 of goodwill was already charged to the farm
+      refunded = 5;
+      farmerPayment.amount = '23.50';
+
+      const { refund } = await refundService.createRefund('order-1', { type: 'full' }, admin);
+
+      assert.strictEqual(refund.id, 'refund-2');
+      sinon.assert.calledWithMatch(OrderRefund.create, { type: 'full', amount: 28 });
+      sinon.assert.calledWithMatch(RefundAdjustment.create, { payeeType: 'farmer', amount: 23.5, commissionAmount: 1.24 });
+      assert.strictEqual(farmerPayment.amount, 0);
+    });
+
+    it('leaves a farm that has nothing left from the order alone', async () => {
+      refunded = 5;
+      farmerPayment.amount = '0.00';
+      sandbox.stub(FarmerPayment, 'create');
+
+      await refundService.createRefund('order-1', { type: 'full' }, admin);
+
+      sinon.assert.notCalled(RefundAdjustment.create);
+      sinon.assert.notCalled(FarmerPayment.create);
+    });
+
+    it('still succeeds when Stripe refunded the money but applying the refund failed', async () => {
+      OrderItem.update.rejects(new Error('deadlock detected'));
+
+      const { refund, order: returned } = await refundService.createRefund('order-1', { type: 'full' }, admin);
+
+      assert.strictEqual(refund.id, 'refund-2');
+      assert.strictEqual(returned, order);
+      const created = await OrderRefund.create.firstCall.returnValue;
+      assert.strictEqual(created.status, 'pending');
+      assert.strictEqual(created.stripeRefundId, 're_1');
+    });
+  });
+
+  describe('refunds on promo orders', () => {
+    // $3 off the order's $30 of products, $2 of it on the apples and $1 on the beets
+    const redemption = (fundedBy) => ({
+      promoCodeId: 'promo-1',
+      fundedBy,
+      farmId: fundedBy === 'farm' ? 'farm-1' : null,
+      productDiscount: '3.00',
+      allocations: { 'farm-1': '3.00' }
+    });
+
+    beforeEach(() => {
+      order.totalAmount = '30.00';
+      sandbox.stub(PromoCode, 'findByPk').resolves({ fundedBy: 'platform', farmIds: [], categories: [] });
+      sandbox.stub(Product, 'findAll').resolves([{ id: 'product-a', category: 'fruits' }, { id: 'product-b', category: 'vegetables' }]);
+    });
+
+    it('refunds an item net of its share of the discount', async () => {
+      promoCodeService.getRedemption.resolves(redemption('platform'));
+
+      await refundService.createRefund('order-1', { type: 'items', items: ['item-b'] }, admin);
+
+      sinon.assert.calledWithMatch(OrderRefund.create, { type: 'items', amount: 10 });
+      const line = OrderRefund.create.firstCall.args[0].items[0];
+      assert.deepStrictEqual([line.subtotal, line.discount, line.tax, line.amount], [10, 1, 1, 10]);
+      // The platform funded the discount, so the farm gives back what it earned on the full price
+      sinon.assert.calledWithMatch(RefundAdjustment.create, { payeeType: 'farmer', amount: 9.5, commissionAmount: 0.5 });
+    });
+
+    it('does not take a farm\'s own discount back from it a second time', async () => {
+      promoCodeService.getRedemption.resolves(redemption('farm'));
+      // Credited (30 - 3) x 95%
+      farmerPayment.amount = '25.65';
+
+      await refundService.createRefund('order-1', { type: 'items', items: ['item-b'] }, admin);
+
+      sinon.assert.calledWithMatch(RefundAdjustment.create, { payeeType: 'farmer', amount: 8.55, commissionAmount: 0.45 });
+      assert.strictEqual(farmerPayment.amount, 17.1);
+    });
+
+    it('refunds the rest of the order at what the customer paid for it', async () => {
+      promoCodeService.getRedemption.resolves(redemption('farm'));
+      farmerPayment.amount = '25.65';
+
+      await refundService.createRefund('order-1', { type: 'full' }, admin);
+
+      const { amount, items: lines } = OrderRefund.create.firstCall.args[0];
+      assert.strictEqual(amount, 30);
+      assert.strictEqual(lines.reduce((sum, line) => sum + line.amount, 0), 30);
+      sinon.assert.calledWithMatch(RefundAdjustment.create, { payeeType: 'farmer', amount: 25.65, commissionAmount: 1.35 });
+      assert.strictEqual(farmerPayment.amount, 0);
+    });
+  });
+
+  describe('refundAmount', () => {
+    it('takes back what the farms earned when a paid order is cancelled', async () => {
+      order.status = 'cancelled';
+
+      await fulfillmentService.refundRemainder(order);
+
+      sinon.assert.calledWithMatch(OrderRefund.create, { type: 'full', amount: 33 });
+      sinon.assert.calledWithMatch(OrderItem.update, { status: 'refunded' }, { where: { id: ['item-a', 'item-b'] } });
+      sinon.assert.calledWithMatch(RefundAdjustment.create, { payeeType: 'farmer', payeeId: 'farm-1', amount: 28.5, commissionAmount: 1.5 });
+      // Nothing left for the weekly payout
+      assert.strictEqual(farmerPayment.amount, 0);
+      assert.strictEqual(order.paymentStatus, 'refunded');
+    });
+
+    it('leaves a rejected farm\'s part, already accounted for, to the ledger and Stripe', async () => {
+      await refundService.refundAmount(order, 11, { type: 'fulfillment', fulfillmentId: 'group-1', farmId: 'farm-1' });
+
+      sinon.assert.calledWithMatch(OrderRefund.create, { type: 'fulfillment', amount: 11, items: null });
+      sinon.assert.notCalled(OrderItem.update);
+      sinon.assert.notCalled(RefundAdjustment.create);
+    });
+  });
+
+  describe('refundByPlatform', () => {
+    it('refunds the given items at the platform\'s expense and marks them refunded', async () => {
+      await refundService.refundByPlatform('order-1', null, { reason: 'Donated after failed delivery attempt 1', itemIds: ['item-b'] });
+
+      sinon.assert.calledWithMatch(OrderRefund.create, { type: 'goodwill', amount: 11, farmId: null, requestedByRole: 'system' });
+      sinon.assert.calledWithMatch(OrderItem.update, { status: 'refunded' }, { where: { id: ['item-b'] } });
+      // Farms keep their earnings
+      sinon.assert.notCalled(RefundAdjustment.create);
+    });
+  });
+
+  describe('reconcileRefunds', () => {
+    it('applies refunds Stripe accepted that were left pending', async () => {
+      const pending = fakeRecord({
+        id: 'refund-3',
+        orderId: 'order-1',
+        type: 'items',
+        status: 'pending',
+        stripeRefundId: 're_3',
+        amount: '11.00',
+        items: [{ orderItemId: 'item-b', farmId: 'farm-1', farmName: 'Green Acres', productName: 'Beets', subtotal: 10, tax: 1, amount: 11 }]
+      });
+      const applied = fakeRecord({ id: 'refund-4', orderId: 'order-1', status: 'succeeded', stripeRefundId: 're_4' });
+      OrderRefund.findAll.withArgs(sinon.match({ where: { status: 'pending' } })).resolves([pending, applied]);
+
+      const counts = await refundService.reconcileRefunds();
+
+      assert.deepStrictEqual(counts, { applied: 2, failed: 0 });
+      assert.strictEqual(pending.status, 'succeeded');
+      // Only the pending refund was applied
+      sinon.assert.calledOnce(RefundAdjustment.create);
+      sinon.assert.notCalled(applied.update);
+    });
+
+    it('refunds a cancelled order again after Stripe rejected its refund', async () => {
+      order.status = 'cancelled';
+      OrderRefund.findAll.withArgs(sinon.match({ where: { status: 'failed' } })).resolves([{ id: 'refund-1', orderId: 'order-1' }]);
+      const refundRemainder = sandbox.stub(fulfillmentService, 'refundRemainder').resolves({ id: 're_2' });
+
+      const counts = await refundService.reconcileRefunds();
+
+      assert.deepStrictEqual(counts, { applied: 1, failed: 0 });
+      sinon.assert.calledOnceWithExactly(refundRemainder, order);
+    });
+
+    it('leaves a cancelled order to an admin once its refund has failed too often', async () => {
+      const failures = Array.from({ length: refundService.REFUND_CONSTANTS.MAX_CANCELLATION_REFUND_ATTEMPTS }, (_, i) => ({ id: `refund-${i}`, orderId: 'order-1' }));
+      OrderRefund.findAll.withArgs(sinon.match({ where: { status: 'failed' } })).resolves(failures);
+      const refundRemainder = sandbox.stub(fulfillmentService, 'refundRemainder');
+
+      await refundService.reconcileRefunds();
+
+      sinon.assert.notCalled(refundRemainder);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+require('../helpers');
+const assert = require('assert');
+const settingsService = require('../../services/settingsService');
+
+describe('settingsService', () => {
+  describe('resolveSettings', () => {
+    const defaults = settingsService.resolveSettings({});
+
+    it('upgrades settings stored under an older version', () => {
+      const settings = settingsService.resolveSettings({ emailNotifications: false });
+
+      assert.strictEqual(settings.version, settingsService.SETTINGS_VERSION);
+      assert.strictEqual(settings.notifications.channels.email, false);
+    });
+
+    it('reads settings from a newer version as the current version', () => {
+      const settings = settingsService.resolveSettings({
+        version: settingsService.SETTINGS_VERSION + 1,
+        display: { language: 'fr' },
+        somethingNew: true
+      });
+
+      assert.strictEqual(settings.display.language, 'fr');
+      assert.strictEqual(settings.somethingNew, undefined);
+    });
+
+    it('resets settings from a version it can\'t upgrade to the defaults', () => {
+      [0, -1, 1.5, '1', null, 'two'].forEach((version) => {
+        assert.deepStrictEqual(
+          settingsService.resolveSettings({ version, display: { language: 'fr' } }),
+          defaults
+        );
+      });
+    });
+  });
+});
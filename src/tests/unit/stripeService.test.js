@@ -0,0 +1,55 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { FarmerPayment, FarmerPayout } = require('../../models/payment');
+const { Farm } = require('../../models/farm');
+const { User } = require('../../models/user');
+const settingsService = require('../../services/settingsService');
+const stripeService = require('../../services/stripeService');
+
+describe('stripeService', () => {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(() => {
+    stubTransactions(sandbox);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('processWeeklyPayouts', () => {
+    const payment = (farmId, amount) => fakeRecord({ id: `payment-${farmId}`, farmerId: farmId, farmName: farmId, amount, commission: '0.00', isPaid: false });
+    const preferences = (payouts) => ({ version: settingsService.SETTINGS_VERSION, payouts });
+
+    beforeEach(() => {
+      sandbox.stub(Farm, 'findByPk').callsFake(async (id) => ({
+        'farm-1': { id: 'farm-1', farmerId: 'farmer-1' },
+        'farm-2': { id: 'farm-2', farmerId: 'farmer-2' },
+        'farm-3': { id: 'farm-3', farmerId: null }
+      }[id]));
+      sandbox.stub(User, 'findByPk').callsFake(async (id) => ({
+        'farmer-1': { id: 'farmer-1', Profile: { preferences: preferences({ method: 'stripe', minimumAmount: 0 }) } },
+        'farmer-2': { id: 'farmer-2', Profile: { preferences: preferences({ minimumAmount: 50 }) } }
+      }[id] || null));
+      sandbox.stub(FarmerPayout, 'create').callsFake(async (values) => ({ id: `payout-${values.farmerId}`, ...values }));
+    });
+
+    it('pays each farm by its owner\'s payout preferences', async () => {
+      sandbox.stub(FarmerPayment, 'findAll').resolves([payment('farm-1', '40.00'), payment('farm-2', '30.00')]);
+
+      const result = await stripeService.processWeeklyPayouts();
+
+      assert.strictEqual(result.payoutCount, 1);
+      sinon.assert.calledOnceWithMatch(FarmerPayout.create, { farmerId: 'farm-1', amount: 40, paymentMethod: 'stripe' });
+      sinon.assert.calledWith(User.findByPk, 'farmer-1');
+    });
+
+    it('carries over the balance of a farm with no owner instead of failing the run', async () => {
+      sandbox.stub(FarmerPayment, 'findAll').resolves([payment('farm-3', '25.00'), payment('farm-1', '40.00')]);
+
+      const result = await stripeService.processWeeklyPayouts();
+
+      assert.strictEqual(result.payoutCount, 1);
+      sinon.assert.calledOnceWithMatch(FarmerPayout.create, { farmerId: 'farm-1' });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { fakeRecord, stubTransactions } = require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { Order, OrderItem } = require('../../models/order');
+const { StripeWebhookEvent, FarmerPayment, FarmerPayout, PaymentInfo } = require('../../models/payment');
+const { Farm } = require('../../models/farm');
+const promoCodeService = require('../../services/promoCodeService');
+const notificationService = require('../../services/notificationService');
+const inventoryService = require('../../services/inventoryService');
+const stripeService = require('../../services/stripeService');
+const stripeWebhookService = require('../../services/stripeWebhookService');
+
+describe('stripeWebhookService', () => {
+  const sandbox = sinon.createSandbox();
+  let transaction;
+
+  beforeEach(() => {
+    transaction = stubTransactions(sandbox);
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('processEvent', () => {
+    const event = { id: 'evt_1', type: 'customer.created', data: { object: { id: 'cus_1' } } };
+
+    it('claims the event row inside the handling transaction before handling it', async () => {
+      const claimed = fakeRecord({ id: 'evt_1', processedAt: null, status: 'processed' });
+      const insert = sandbox.stub(StripeWebhookEvent, 'bulkCreate').resolves([]);
+      sandbox.stub(StripeWebhookEvent, 'findByPk').resolves(claimed);
+
+      const result = await stripeWebhookService.processEvent(event);
+
+      assert.deepStrictEqual(result, { duplicate: false, handled: false, reason: 'unsupported_event' });
+      assert.strictEqual(insert.firstCall.args[1].ignoreDuplicates, true);
+      assert.strictEqual(insert.firstCall.args[1].transaction, transaction);
+      assert.strictEqual(StripeWebhookEvent.findByPk.firstCall.args[1].lock, transaction.LOCK.UPDATE);
+      sinon.assert.calledWithMatch(claimed.update, { status: 'ignored' }, { transaction });
+    });
+
+    it('skips an event another delivery already handled', async () => {
+      const claimed = fakeRecord({ id: 'evt_1', processedAt: new Date(), status: 'processed' });
+      sandbox.stub(StripeWebhookEvent, 'bulkCreate').resolves([]);
+      sandbox.stub(StripeWebhookEvent, 'findByPk').resolves(claimed);
+
+      const result = await stripeWebhookService.processEvent(event);
+
+      assert.deepStrictEqual(result, { duplicate: true });
+      sinon.assert.notCalled(claimed.update);
+    });
+
+    it('handles an event again after it failed, and records failures for the retry', async () => {
+      const claimed = fakeRecord({ id: 'evt_2', processedAt: new Date(), status: 'failed' });
+      sandbox.stub(StripeWebhookEvent, 'bulkCreate').resolves([]);
+      sandbox.stub(StripeWebhookEvent, 'findByPk').resolves(claimed);
+      const upsert = sandbox.stub(StripeWebhookEvent, 'upsert').resolves();
+      sandbox.stub(FarmerPayout, 'findByPk').rejects(new Error('connection lost'));
+
+      await assert.rejects(
+        stripeWebhookService.processEvent({
+          id: 'evt_2',
+          type: 'payout.paid',
+          data: { object: { id: 'po_1', metadata: { farmerPayoutId: 'fp_1' } } }
+        }),
+        /connection lost/
+      );
+
+      sinon.assert.calledWithMatch(upsert, { id: 'evt_2', status: 'failed', error: 'connection lost' });
+    });
+  });
+
+  describe('handlePaymentIntentSucceeded', () => {
+    const paymentIntent = {
+      id: 'pi_1',
+      amount_received: 2000,
+      currency: 'cad',
+      metadata: { orderId: 'order-1' }
+    };
+
+    beforeEach(() => {
+      sandbox.stub(inventoryService, 'reserveOrderStock').resolves();
+      sandbox.stub(PaymentInfo, 'findOne').resolves(null);
+      sandbox.stub(PaymentInfo, 'create').resolves();
+      sandbox.stub(OrderItem, 'findAll').resolves([
+        { farmId: 'farm-1', farmName: 'Green Acres', quantity: 2, price: '5.00', subtotal: '10.00', status: 'pending' }
+      ]);
+      sandbox.stub(promoCodeService, 'getRedemption').resolves(null);
+    });
+
+    it('records farmer payments in the transaction that marks the order paid', async () => {
+      const order = fakeRecord({ id: 'order-1', orderNumber: 'FF-1', status: 'confirmed', paymentStatus: 'pending' });
+      sandbox.stub(Order, 'findByPk').resolves(order);
+      sandbox.stub(FarmerPayment, 'findAll').resolves([]);
+      const create = sandbox.stub(FarmerPayment, 'create').callsFake(async (values) => values);
+
+      const result = await stripeWebhookService.handlePaymentIntentSucceeded(paymentIntent, transaction);
+
+      assert.deepStrictEqual(result, { handled: true, orderId: 'order-1' });
+      assert.strictEqual(order.paymentStatus, 'paid');
+      sinon.assert.calledOnce(create);
+      assert.strictEqual(create.firstCall.args[1].transaction, transaction);
+      // Joined the caller's transaction rather than committing one of its own
+      sinon.assert.notCalled(transaction.commit);
+    });
+
+    it('does not record farmer payments twice', async () => {
+      const order = fakeRecord({ id: 'order-1', orderNumber: 'FF-1', status: 'confirmed', paymentStatus: 'paid' });
+      sandbox.stub(Order, 'findByPk').resolves(order);
+      sandbox.stub(FarmerPayment, 'findAll').resolves([{ commission: '1.00' }]);
+      const create = sandbox.stub(FarmerPayment, 'create');
+
+      await stripeWebhookService.handlePaymentIntentSucceeded(paymentIntent, transaction);
+
+      sinon.assert.notCalled(create);
+    });
+  });
+
+  describe('handlePayoutEvent', () => {
+    it('tells the farm\'s owner about a paid payout in the event\'s transaction', async () => {
+      const farmerPayout = fakeRecord({ id: 'fp_1', farmerId: 'farm-1', amount: '120.00', status: 'processing' });
+      sandbox.stub(FarmerPayout, 'findByPk').resolves(farmerPayout);
+      sandbox.stub(Farm, 'findByPk').resolves({ id: 'farm-1', farmerId: 'farmer-1' });
+      const notify = sandbox.stub(notificationService, 'notifyPayoutSent').resolves([]);
+
+      await stripeWebhookService.handlePayoutEvent('payout.paid', { id: 'po_1', metadata: { farmerPayoutId: 'fp_1' } }, transaction);
+
+      assert.strictEqual(farmerPayout.status, 'completed');
+      sinon.assert.calledOnceWithMatch(notify, 'farmer-1', { id: 'fp_1', reference: 'po_1' }, { transaction });
+    });
+  });
+
+  describe('stripeService.processOrderPayment', () => {
+    it('returns the existing farmer payments when the order was already processed', async () => {
+      sandbox.stub(Order, 'findByPk').resolves({ id: 'order-1' });
+      sandbox.stub(FarmerPayment, 'findAll').resolves([{ commission: '1.50' }, { commission: '0.50' }]);
+
+      const result = await stripeService.processOrderPayment({ id: 'order-1', orderNumber: 'FF-1' }, []);
+
+      assert.strictEqual(result.alreadyProcessed, true);
+      assert.strictEqual(result.platformFee, 2);
+      sinon.assert.calledOnce(transaction.commit);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { createAccessToken } = require('../../utils/jwt');
+const sessionService = require('../../services/sessionService');
+const systemSettingsService = require('../../services/systemSettingsService');
+const { maintenanceMode } = require('../../middleware/systemSettings');
+
+describe('systemSettings middleware', () => {
+  const sandbox = sinon.createSandbox();
+  const admin = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+
+  const request = (token) => ({
+    path: '/orders',
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  });
+
+  const response = () => {
+    const res = {};
+    res.setHeader = sinon.stub();
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    sandbox.stub(systemSettingsService, 'getSystemSettings').resolves({
+      maintenance: { enabled: true, message: 'Back soon' }
+    });
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('maintenanceMode', () => {
+    it('lets an admin with an active session through', async () => {
+      sandbox.stub(sessionService, 'isSessionActive').resolves(true);
+      const next = sinon.stub();
+
+      await maintenanceMode(request(createAccessToken(admin, 'session-1')), response(), next);
+
+      sinon.assert.calledOnce(next);
+    });
+
+    it('turns away an admin whose session was revoked', async () => {
+      sandbox.stub(sessionService, 'isSessionActive').resolves(false);
+      const next = sinon.stub();
+      const res = response();
+
+      await maintenanceMode(request(createAccessToken(admin, 'session-1')), res, next);
+
+      sinon.assert.notCalled(next);
+      sinon.assert.calledWith(res.status, 503);
+    });
+
+    it('turns away everyone else', async () => {
+      const next = sinon.stub();
+      const res = response();
+
+      await maintenanceMode(request(createAccessToken({ ...admin, role: 'consumer' })), res, next);
+
+      sinon.assert.notCalled(next);
+      sinon.assert.calledWithMatch(res.json, { message: 'Back soon', maintenance: true });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+require('../helpers');
+const assert = require('assert');
+const sinon = require('sinon');
+const { SystemSetting } = require('../../models/setting');
+const systemSettingsService = require('../../services/systemSettingsService');
+
+describe('systemSettingsService', () => {
+  const sandbox = sinon.createSandbox();
+
+  afterEach(() => sandbox.restore());
+
+  describe('getSystemSettings', () => {
+    it('fills in the defaults, including the order and product limits', async () => {
+      sandbox.stub(SystemSetting, 'findAll').resolves([{ key: 'limits.maxProductsPerFarm', value: 200 }]);
+
+      const settings = await systemSettingsService.getSystemSettings({ fresh: true });
+
+      assert.deepStrictEqual(settings.limits, { maxProductsPerFarm: 200, maxActiveOrders: 1000 });
+      assert.strictEqual(settings.maintenance.enabled, false);
+    });
+
+    it('ignores stored values the schema no longer allows', async () => {
+      sandbox.stub(SystemSetting, 'findAll').resolves([
+        { key: 'limits.maxActiveOrders', value: 'lots' },
+        { key: 'features.retired', value: false }
+      ]);
+
+      const settings = await systemSettingsService.getSystemSettings({ fresh: true });
+
+      assert.strictEqual(settings.limits.maxActiveOrders, 1000);
+      assert.strictEqual(settings.features.retired, undefined);
+    });
+  });
+});
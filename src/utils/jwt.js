@@ -13,7 +13,6 @@ require('dotenv').config();
 // Configuration
 const JWT_SECRET = process.env.JWT_SECRET || '';
 const JWT_ACCESS_EXPIRATION = process.env.JWT_ACCESS_EXPIRATION || '30m';
-const JWT_REFRESH_EXPIRATION = process.env.JWT_REFRESH_EXPIRATION || '7d';
 
 // Role-based permission mapping
 const ROLE_PERMISSIONS = {
@@ -27,9 +26,10 @@ const ROLE_PERMISSIONS = {
  * Create an access token for a user
  * 
  * @param {Object} userData - User data to encode in the token
+ * @param {string} [sessionId] - Login session the token belongs to
  * @returns {string} JWT token
  */
-const createAccessToken = (userData) => {
+const createAccessToken = (userData, sessionId = null) => {
   try {
     const tokenData = {
       sub: userData.id, // Use standard 'sub' claim for subject (user ID)
@@ -41,6 +41,11 @@ const createAccessToken = (userData) => {
       iat: Math.floor(Date.now() / 1000) // Issued at timestamp
     };
 
+    // Session ID lets revoked sessions be rejected before the token expires
+    if (sessionId) {
+      tokenData.sid = sessionId;
+    }
+
     authLogger.debug(`Creating access token for user: ${userData.id} with role: ${userData.role}`);
     
     // Set expiration time
@@ -60,48 +65,19 @@ const createAccessToken = (userData) => {
 };
 
 /**
- * Create a refresh token for a user
- * 
- * @param {Object} userData - User data to encode in the token
- * @returns {string} JWT token
- */
-const createRefreshToken = (userData) => {
-  try {
-    const tokenData = {
-      userId: userData.id,
-      email: userData.email,
-      type: 'refresh',
-      iat: Math.floor(Date.now() / 1000) // Issued at timestamp
-    };
-
-    authLogger.debug(`Creating refresh token for user: ${userData.id}`);
-    
-    // Set expiration time
-    const expiresIn = JWT_REFRESH_EXPIRATION;
-    
-    // Make sure JWT_SECRET is not empty
-    if (!JWT_SECRET || JWT_SECRET === '') {
-      authLogger.error('JWT_SECRET is not properly set!');
-      throw new Error('JWT secret key is not configured. Please set JWT_SECRET environment variable.');
-    }
-    
-    return jwt.sign(tokenData, JWT_SECRET, { expiresIn });
-  } catch (error) {
-    authLogger.error(`Error creating refresh token: ${error.message}`);
-    throw error;
-  }
-};
-
-/**
- * Create both access and refresh tokens for a user
+ * Create the token response for a user. Refresh tokens are opaque and
+ * issued per session by the session service, so they are passed in here.
  * 
  * @param {Object} user - User object
+ * @param {Object} [session] - Session the tokens belong to
+ * @param {string} [session.sessionId] - Session ID
+ * @param {string} [session.refreshToken] - Raw refresh token for the session
  * @returns {Object} Object containing both tokens and user info
  */
-const createTokens = (user) => {
+const createTokens = (user, session = {}) => {
   try {
-    const accessToken = createAccessToken(user);
-    const refreshToken = createRefreshToken(user);
+    const accessToken = createAccessToken(user, session.sessionId);
+    const refreshToken = session.refreshToken || null;
     
     // Calculate token expiration in seconds for client
     const decoded = jwt.decode(accessToken);
@@ -253,7 +229,6 @@ const getUserById = async (userId, models) => {
 
 module.exports = {
   createAccessToken,
-  createRefreshToken,
   createTokens,
   verifyToken,
   getPermissionsForRole,
@@ -0,0 +1,159 @@
+/**
+ * Settings Schemas
+ *
+ * Typed settings schemas shared by user settings (settingsService) and system
+ * settings (systemSettingsService). A schema is a tree of sections whose
+ * leaves have a type and a default; settings are stored as just the values
+ * that differ from the defaults.
+ */
+
+const bool = (defaultValue) => ({ type: 'boolean', default: defaultValue });
+const oneOf = (values, defaultValue) => ({ type: 'enum', values, default: defaultValue });
+const number = (min, max, defaultValue) => ({ type: 'number', min, max, default: defaultValue });
+const integer = (min, max, defaultValue) => ({ type: 'integer', min, max, default: defaultValue });
+const text = (maxLength, defaultValue) => ({ type: 'text', maxLength, default: defaultValue });
+
+const isLeaf = (node) => typeof node.type === 'string';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Overlay values onto a base object, section by section
+ * @param {Object} base - Base values
+ * @param {Object} overrides - Values that take precedence
+ * @returns {Object} New merged object
+ */
+const deepMerge = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? deepMerge(merged[key], value)
+      : value;
+  });
+  return merged;
+};
+
+/**
+ * Default values for a schema section
+ * @param {Object} schema - Schema section
+ * @returns {Object} Defaults
+ */
+const defaultsFor = (schema) => Object.entries(schema).reduce((defaults, [key, node]) => {
+  defaults[key] = isLeaf(node) ? node.default : defaultsFor(node);
+  return defaults;
+}, {});
+
+/**
+ * Keep only values that match the schema, dropping anything stale or invalid
+ * @param {Object} values - Values to check
+ * @param {Object} schema - Schema section
+ * @returns {Object} Valid values
+ */
+const pickValid = (values, schema) => Object.entries(values || {}).reduce((valid, [key, value]) => {
+  const node = schema[key];
+  if (!node) {
+    return valid;
+  }
+
+  if (!isLeaf(node)) {
+    if (isPlainObject(value)) {
+      valid[key] = pickValid(value, node);
+    }
+  } else if (checkValue(node, value) === null) {
+    valid[key] = value;
+  }
+  return valid;
+}, {});
+
+/**
+ * Check a value against a schema leaf
+ * @param {Object} node - Schema leaf
+ * @param {*} value - Value to check
+ * @returns {String|null} Error message, or null if the value is valid
+ */
+const checkValue = (node, value) => {
+  switch (node.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'enum':
+      return node.values.includes(value) ? null : `must be one of ${node.values.join(', ')}`;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && value >= node.min && value <= node.max
+        ? null
+        : `must be a number from ${node.min} to ${node.max}`;
+    case 'integer':
+      return Number.isInteger(value) && value >= node.min && value <= node.max
+        ? null
+        : `must be a whole number from ${node.min} to ${node.max}`;
+    case 'text':
+      return typeof value === 'string' && value.length <= node.maxLength
+        ? null
+        : `must be text of at most ${node.maxLength} characters`;
+    default:
+      return 'has an unknown type';
+  }
+};
+
+/**
+ * Validate a partial update against a schema
+ * @param {Object} changes - Settings to change
+ * @param {Object} schema - Schema to check against
+ * @param {Function} checkSection - Returns an error message for a top-level section the caller can't change, or null
+ * @returns {Array} Errors in express-validator's shape (empty if valid)
+ */
+const validateAgainstSchema = (changes, schema, checkSection = () => null) => {
+  const errors = [];
+  const fieldError = (path, value, message) => errors.push({
+    type: 'field',
+    location: 'body',
+    path,
+    value,
+    msg: message
+  });
+
+  const walk = (values, section, prefix) => {
+    Object.entries(values).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const node = section[key];
+      const sectionError = !prefix && node ? checkSection(key) : null;
+
+      if (!node) {
+        fieldError(path, value, `Unknown setting ${path}`);
+      } else if (sectionError) {
+        fieldError(path, value, sectionError);
+      } else if (!isLeaf(node)) {
+        if (isPlainObject(value)) {
+          walk(value, node, path);
+        } else {
+          fieldError(path, value, `${path} must be an object`);
+        }
+      } else {
+        const message = checkValue(node, value);
+        if (message) {
+          fieldError(path, value, `${path} ${message}`);
+        }
+      }
+    });
+  };
+
+  if (!isPlainObject(changes)) {
+    fieldError('', changes, 'Settings must be an object');
+  } else {
+    walk(changes, schema, '');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  bool,
+  oneOf,
+  number,
+  integer,
+  text,
+  isPlainObject,
+  deepMerge,
+  defaultsFor,
+  pickValid,
+  validateAgainstSchema
+};